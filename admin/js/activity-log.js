@@ -0,0 +1,182 @@
+/**
+ * WP Care Activity Log AJAX Controller
+ *
+ * Loads, filters and pages the activity log, and exports it with the
+ * current filters.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+(function($) {
+    'use strict';
+
+    var WPCareActivityLog = {
+        page: 1,
+        pages: 0,
+        request: null,
+
+        /**
+         * Get the current filters as name/value pairs.
+         */
+        getFilters: function() {
+            return $('#wp-care-log-filters').serializeArray();
+        },
+
+        /**
+         * Load a page of entries with the current filters.
+         */
+        load: function(page) {
+            var self = this;
+            var data = self.getFilters();
+            var strings = wpCareActivityLog.strings;
+
+            if (self.request) {
+                self.request.abort();
+            }
+
+            self.page = page;
+            data.push({ name: 'action', value: 'wp_care_activity_log_query' });
+            data.push({ name: '_wpnonce', value: wpCareActivityLog.nonce });
+            data.push({ name: 'page', value: page });
+
+            self.showMessage(strings.loading);
+
+            self.request = $.ajax({
+                url: wpCareActivityLog.ajaxUrl,
+                type: 'POST',
+                data: $.param(data),
+                success: function(response) {
+                    if (!response.success) {
+                        self.showMessage((response.data && response.data.message) ? response.data.message : strings.error);
+                        return;
+                    }
+
+                    self.pages = response.data.pages;
+                    self.render(response.data);
+                },
+                error: function(xhr, status) {
+                    if (status !== 'abort') {
+                        self.showMessage(strings.error + ' (HTTP ' + xhr.status + ')');
+                    }
+                },
+                complete: function() {
+                    self.request = null;
+                }
+            });
+        },
+
+        /**
+         * Render entries and pagination.
+         */
+        render: function(data) {
+            var strings = wpCareActivityLog.strings;
+            var $tbody = $('#wp-care-log-table tbody').empty();
+
+            if (!data.entries.length) {
+                this.showMessage(strings.empty);
+            }
+
+            $.each(data.entries, function(i, entry) {
+                var $details = $('<td></td>');
+                var $action = $('<td></td>').append($('<strong></strong>').text(entry.label));
+                var $target = $('<td></td>');
+
+                $.each(entry.details, function(key, value) {
+                    if ($.isArray(value)) {
+                        value = value.join(', ');
+                    } else if (value !== null && typeof value === 'object') {
+                        value = JSON.stringify(value);
+                    }
+                    $details.append($('<div></div>').text(key + ': ' + value));
+                });
+                if (!$details.children().length) {
+                    $details.html('&mdash;');
+                }
+
+                if (entry.result === 'failure') {
+                    $action.append(' ').append($('<span class="wp-care-log-failure"></span>').text(strings.failure));
+                }
+
+                if (entry.object_id) {
+                    $target.append($('<code></code>').text(entry.object_id))
+                        .append($('<br>'))
+                        .append($('<small style="color: #666;"></small>').text(entry.object_type));
+                } else {
+                    $target.html('&mdash;');
+                }
+
+                $tbody.append(
+                    $('<tr></tr>')
+                        .append(
+                            $('<td></td>').text(entry.time)
+                                .append($('<br>'))
+                                .append($('<small style="color: #666;"></small>').text(entry.time_ago))
+                        )
+                        .append($action)
+                        .append($('<td></td>').text(entry.user))
+                        .append(
+                            $('<td></td>').text(entry.source_label)
+                                .append(entry.ip ? $('<br>') : '')
+                                .append(entry.ip ? $('<small style="color: #666;"></small>').text(entry.ip) : '')
+                        )
+                        .append($target)
+                        .append($details)
+                );
+            });
+
+            $('.wp-care-log-page-info').text(
+                data.total ? strings.page_of.replace('%1$d', this.page).replace('%2$d', data.pages).replace('%3$d', data.total) : ''
+            );
+            $('.wp-care-log-prev').prop('disabled', this.page <= 1);
+            $('.wp-care-log-next').prop('disabled', this.page >= data.pages);
+        },
+
+        /**
+         * Replace the table body with a single message row.
+         */
+        showMessage: function(message) {
+            $('#wp-care-log-table tbody').empty().append(
+                $('<tr></tr>').append($('<td colspan="6"></td>').text(message))
+            );
+        },
+
+        /**
+         * Download the log with the current filters.
+         */
+        exportLog: function(format) {
+            var $form = $('#wp-care-log-export');
+
+            $form.find('.wp-care-log-export-filter').remove();
+            $.each(this.getFilters(), function(i, field) {
+                $form.append($('<input type="hidden" class="wp-care-log-export-filter">').attr('name', field.name).val(field.value));
+            });
+            $form.find('input[name="format"]').val(format);
+            $form.trigger('submit');
+        }
+    };
+
+    $(document).ready(function() {
+        $('#wp-care-log-filters').on('submit', function(e) {
+            e.preventDefault();
+            WPCareActivityLog.load(1);
+        });
+
+        $('#wp-care-log-filters select').on('change', function() {
+            WPCareActivityLog.load(1);
+        });
+
+        $('.wp-care-log-prev').on('click', function() {
+            WPCareActivityLog.load(WPCareActivityLog.page - 1);
+        });
+
+        $('.wp-care-log-next').on('click', function() {
+            WPCareActivityLog.load(WPCareActivityLog.page + 1);
+        });
+
+        $('.wp-care-log-export-btn').on('click', function() {
+            WPCareActivityLog.exportLog($(this).data('format'));
+        });
+
+        WPCareActivityLog.load(1);
+    });
+})(jQuery);
@@ -0,0 +1,318 @@
+/**
+ * WP Care Checkpoints AJAX Controller
+ *
+ * Creates checkpoints, shows what changed since them and rolls them back
+ * from the Tools page, one chunk per request.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+(function($) {
+    'use strict';
+
+    var WPCareCheckpoints = {
+        checkpointId: null,
+        isRunning: false,
+        mode: null, // 'create' or 'rollback'
+
+        /**
+         * Start a checkpoint from the create form.
+         */
+        startCreate: function() {
+            var $form = $('#wp-care-checkpoint-form');
+            var paths = $form.find('input[name="paths[]"]:checked').map(function() {
+                return $(this).val();
+            }).get();
+            var extra = $.trim($('#wp-care-checkpoint-extra').val());
+            var includeDatabase = $form.find('input[name="include_database"]').is(':checked');
+
+            if (!includeDatabase && !paths.length && !extra) {
+                alert(wpCareCheckpoints.strings.nothing_selected);
+                return;
+            }
+
+            this.start('create', {
+                action: 'wp_care_checkpoint_init',
+                include_database: includeDatabase ? 1 : 0,
+                paths: paths,
+                extra_paths: extra
+            });
+        },
+
+        /**
+         * Start rolling back to a checkpoint.
+         */
+        startRollback: function(checkpointId) {
+            if (!confirm(wpCareCheckpoints.strings.confirm_rollback)) {
+                return;
+            }
+
+            this.start('rollback', {
+                action: 'wp_care_checkpoint_rollback',
+                checkpoint_id: checkpointId
+            });
+        },
+
+        /**
+         * Send the init request for either mode, then process chunks.
+         */
+        start: function(mode, data) {
+            if (this.isRunning) {
+                return;
+            }
+
+            var self = this;
+            self.isRunning = true;
+            self.mode = mode;
+            self.updateUI('running');
+
+            $.ajax({
+                url: wpCareCheckpoints.ajaxUrl,
+                type: 'POST',
+                data: $.extend({ _wpnonce: wpCareCheckpoints.nonce }, data),
+                success: function(response) {
+                    if (!response.success) {
+                        var msg = (response.data && response.data.message) ? response.data.message : wpCareCheckpoints.strings.error;
+                        self.handleError(msg);
+                        return;
+                    }
+
+                    self.checkpointId = response.data.id;
+                    self.updateProgress(response.data);
+                    self.processChunk();
+                },
+                error: function(xhr) {
+                    self.handleError(wpCareCheckpoints.strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * Process the next chunk.
+         */
+        processChunk: function() {
+            if (!this.isRunning || !this.checkpointId) {
+                return;
+            }
+
+            var self = this;
+
+            $.ajax({
+                url: wpCareCheckpoints.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_checkpoint_chunk',
+                    _wpnonce: wpCareCheckpoints.nonce,
+                    checkpoint_id: self.checkpointId
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        var msg = (response.data && response.data.message) ? response.data.message : wpCareCheckpoints.strings.error;
+                        self.handleError(msg);
+                        return;
+                    }
+
+                    var state = response.data;
+
+                    if (state.error) {
+                        self.handleError(state.error);
+                        return;
+                    }
+
+                    self.updateProgress(state);
+
+                    if (state.completed) {
+                        self.isRunning = false;
+                        // A rollback may have replaced the session along with
+                        // the database, so reload rather than keep using the nonce
+                        window.location.reload();
+                    } else {
+                        setTimeout(function() {
+                            self.processChunk();
+                        }, 100);
+                    }
+                },
+                error: function(xhr) {
+                    self.handleError(wpCareCheckpoints.strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * Update the progress display.
+         */
+        updateProgress: function(state) {
+            var strings = wpCareCheckpoints.strings;
+            var progress = state.progress || 0;
+            var phase = state.phase || '';
+            var phaseLabels;
+
+            if (this.mode === 'rollback') {
+                phaseLabels = {
+                    'files': strings.restoring_files,
+                    'cleanup': strings.removing_files,
+                    'database': strings.restoring_db,
+                    'complete': strings.rollback_complete
+                };
+            } else {
+                phaseLabels = {
+                    'database': strings.exporting_db,
+                    'enumerate': strings.scanning,
+                    'files': strings.archiving,
+                    'finalize': strings.finalizing,
+                    'complete': strings.create_complete
+                };
+            }
+
+            var label = phaseLabels[phase] || strings.initializing;
+            var detail = '';
+
+            if (this.mode === 'create' && phase === 'files' && state.total_files > 0) {
+                detail = ' — ' + state.archived_files + ' / ' + state.total_files + ' ' + strings.files_count;
+            } else if (this.mode === 'rollback' && phase === 'files' && state.total_entries > 0) {
+                detail = ' — ' + state.restored_files + ' / ' + state.total_entries + ' ' + strings.files_count;
+            }
+
+            $('#wp-care-checkpoint-progress .wp-care-progress-fill').css('width', progress + '%');
+            $('#wp-care-checkpoint-progress .wp-care-progress-status').text(label + ' (' + progress + '%)' + detail);
+        },
+
+        /**
+         * Show or hide what changed since a checkpoint.
+         */
+        toggleDiff: function(checkpointId) {
+            var $row = $('.wp-care-checkpoint-diff[data-id="' + checkpointId + '"]');
+            var $cell = $row.find('td');
+
+            if ($row.is(':visible')) {
+                $row.hide();
+                return;
+            }
+
+            $cell.text(wpCareCheckpoints.strings.diff_loading);
+            $row.show();
+
+            $.ajax({
+                url: wpCareCheckpoints.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_checkpoint_diff',
+                    _wpnonce: wpCareCheckpoints.nonce,
+                    checkpoint_id: checkpointId
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        $cell.text((response.data && response.data.message) ? response.data.message : wpCareCheckpoints.strings.error);
+                        return;
+                    }
+
+                    WPCareCheckpoints.renderDiff($cell, response.data);
+                },
+                error: function(xhr) {
+                    $cell.text(wpCareCheckpoints.strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * Render a diff into a table cell.
+         */
+        renderDiff: function($cell, diff) {
+            var strings = wpCareCheckpoints.strings;
+            var $list = $('<ul class="wp-care-checkpoint-changes"></ul>');
+
+            var addGroup = function(label, className, items, total) {
+                if (!items.length) {
+                    return;
+                }
+
+                var $items = $('<ul></ul>');
+                $.each(items, function(i, item) {
+                    $items.append($('<li></li>').append($('<code></code>').text(item)));
+                });
+                if (total > items.length) {
+                    $items.append($('<li></li>').text(strings.diff_more.replace('%d', total - items.length)));
+                }
+
+                $list.append(
+                    $('<li></li>')
+                        .append($('<strong></strong>').addClass(className).text(label + ' (' + total + ')'))
+                        .append($items)
+                );
+            };
+
+            addGroup(strings.diff_added, 'is-added', diff.files.added, diff.file_counts.added);
+            addGroup(strings.diff_modified, 'is-modified', diff.files.modified, diff.file_counts.modified);
+            addGroup(strings.diff_deleted, 'is-deleted', diff.files.deleted, diff.file_counts.deleted);
+            addGroup(strings.diff_tables + ': ' + strings.diff_changed, 'is-modified', diff.tables.changed, diff.tables.changed.length);
+            addGroup(strings.diff_tables + ': ' + strings.diff_added, 'is-added', diff.tables.added, diff.tables.added.length);
+            addGroup(strings.diff_tables + ': ' + strings.diff_removed, 'is-deleted', diff.tables.removed, diff.tables.removed.length);
+
+            $cell.empty();
+            if ($list.children().length) {
+                $cell.append($list);
+            } else {
+                $cell.append($('<p></p>').text(strings.diff_none));
+            }
+            if (!diff.tables_compared) {
+                $cell.append($('<p class="description"></p>').text(strings.diff_no_tables));
+            }
+        },
+
+        /**
+         * Handle an error.
+         */
+        handleError: function(message) {
+            this.isRunning = false;
+            this.checkpointId = null;
+            this.mode = null;
+
+            $('#wp-care-checkpoint-error p').text(message);
+            $('#wp-care-checkpoint-error').show();
+
+            this.updateUI('idle');
+        },
+
+        /**
+         * Update UI state.
+         */
+        updateUI: function(state) {
+            var $checkpoints = $('#wp-care-checkpoints');
+
+            if (state === 'running') {
+                var title = this.mode === 'rollback' ? wpCareCheckpoints.strings.rollback_title : wpCareCheckpoints.strings.create_title;
+
+                $('#wp-care-checkpoint-error').hide();
+                $('#wp-care-checkpoint-progress .wp-care-checkpoint-progress-title').text(title);
+                $('#wp-care-checkpoint-progress .wp-care-progress-fill').css('width', '0%');
+                $('#wp-care-checkpoint-progress .wp-care-progress-status').text(wpCareCheckpoints.strings.initializing);
+                $('#wp-care-checkpoint-progress').show();
+                $checkpoints.find('button').prop('disabled', true);
+            } else {
+                $('#wp-care-checkpoint-progress').hide();
+                $checkpoints.find('button').prop('disabled', false);
+            }
+        }
+    };
+
+    $(document).ready(function() {
+        $('#wp-care-checkpoint-form').on('submit', function(e) {
+            e.preventDefault();
+            WPCareCheckpoints.startCreate();
+        });
+
+        $('.wp-care-checkpoint-rollback-btn').on('click', function(e) {
+            e.preventDefault();
+            WPCareCheckpoints.startRollback($(this).data('id'));
+        });
+
+        $('.wp-care-checkpoint-diff-btn').on('click', function(e) {
+            e.preventDefault();
+            WPCareCheckpoints.toggleDiff($(this).data('id'));
+        });
+
+        $('.wp-care-checkpoint-delete-form').on('submit', function() {
+            return confirm(wpCareCheckpoints.strings.confirm_delete);
+        });
+    });
+})(jQuery);
@@ -0,0 +1,329 @@
+/**
+ * WP Care Health Metrics AJAX Controller
+ *
+ * Loads the recorded health metrics for the chosen period and draws a
+ * line chart per metric on the Site Health page, with the alert
+ * thresholds as dashed lines.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+(function($) {
+    'use strict';
+
+    var SVG_NS = 'http://www.w3.org/2000/svg';
+    var WIDTH = 400;
+    var HEIGHT = 150;
+    var PAD = { top: 10, right: 10, bottom: 22, left: 10 };
+
+    var WPCareHealthMetrics = {
+        request: null,
+
+        /**
+         * Load the series for the chosen number of days.
+         */
+        load: function() {
+            var self = this;
+            var strings = wpCareHealthMetrics.strings;
+
+            if (self.request) {
+                self.request.abort();
+            }
+
+            self.request = $.ajax({
+                url: wpCareHealthMetrics.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_health_metrics',
+                    _wpnonce: wpCareHealthMetrics.nonce,
+                    days: $('#wp-care-trend-range').val()
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        self.showMessage((response.data && response.data.message) ? response.data.message : strings.error);
+                        return;
+                    }
+
+                    self.render(response.data);
+                },
+                error: function(xhr, status) {
+                    if (status !== 'abort') {
+                        self.showMessage(strings.error + ' (HTTP ' + xhr.status + ')');
+                    }
+                },
+                complete: function() {
+                    self.request = null;
+                }
+            });
+        },
+
+        /**
+         * Take a measurement now, then reload the charts.
+         */
+        recordNow: function($button) {
+            var self = this;
+            var strings = wpCareHealthMetrics.strings;
+
+            $button.prop('disabled', true).text(strings.measuring);
+
+            $.ajax({
+                url: wpCareHealthMetrics.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_health_record',
+                    _wpnonce: wpCareHealthMetrics.nonce
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        self.showMessage((response.data && response.data.message) ? response.data.message : strings.error);
+                        return;
+                    }
+
+                    self.load();
+                },
+                error: function(xhr) {
+                    self.showMessage(strings.error + ' (HTTP ' + xhr.status + ')');
+                },
+                complete: function() {
+                    $button.prop('disabled', false).text(strings.measure_now);
+                }
+            });
+        },
+
+        /**
+         * Draw every chart and the table growth list.
+         */
+        render: function(data) {
+            var strings = wpCareHealthMetrics.strings;
+            var samples = data.samples;
+            var thresholds = data.thresholds;
+            var latest = samples.length ? samples[samples.length - 1] : null;
+            var mb = 1024 * 1024;
+
+            if (!samples.length) {
+                this.showMessage(strings.empty);
+            } else {
+                $('#wp-care-trend-message').hide();
+            }
+
+            var charts = {
+                db_size: {
+                    series: [{ key: 'db_size' }],
+                    format: this.formatBytes,
+                    threshold: thresholds.db_size_mb * mb
+                },
+                uploads_size: {
+                    series: [{ key: 'uploads_size' }],
+                    format: this.formatBytes,
+                    threshold: thresholds.uploads_size_mb * mb
+                },
+                plugins: {
+                    series: [
+                        { key: 'plugins', label: strings.plugins },
+                        { key: 'active_plugins', label: strings.active_plugins },
+                        { key: 'themes', label: strings.themes }
+                    ],
+                    format: this.formatCount
+                },
+                pending_updates: {
+                    series: [{ key: 'pending_updates' }],
+                    format: this.formatCount,
+                    threshold: thresholds.pending_updates
+                },
+                memory_usage: {
+                    series: [{ key: 'memory_usage' }],
+                    format: this.formatBytes,
+                    threshold: (latest && latest.memory_limit > 0) ? latest.memory_limit * thresholds.memory_percent / 100 : 0
+                },
+                loopback_ms: {
+                    series: [{ key: 'loopback_ms' }],
+                    format: this.formatMs,
+                    threshold: thresholds.loopback_ms
+                }
+            };
+
+            $.each(charts, function(metric, chart) {
+                var $chart = $('.wp-care-trend-chart[data-metric="' + metric + '"]').empty();
+                var $current = $('.wp-care-trend-current[data-metric="' + metric + '"]').empty();
+
+                if (!samples.length) {
+                    return;
+                }
+
+                $chart.append(WPCareHealthMetrics.drawChart(samples, chart));
+
+                if (chart.series.length > 1) {
+                    $.each(chart.series, function(i, series) {
+                        $chart.append(
+                            $('<span class="wp-care-trend-legend"></span>')
+                                .addClass('is-series-' + i)
+                                .text(series.label + ': ' + chart.format(latest[series.key]))
+                        );
+                    });
+                } else {
+                    $current.text(latest[chart.series[0].key] === null ? strings.failed : chart.format(latest[chart.series[0].key]));
+                }
+            });
+
+            this.renderTableGrowth(data.table_growth);
+        },
+
+        /**
+         * Build an SVG line chart.
+         */
+        drawChart: function(samples, chart) {
+            var first = samples[0].recorded_at;
+            var last = samples[samples.length - 1].recorded_at;
+            var max = chart.threshold || 0;
+            var svg = document.createElementNS(SVG_NS, 'svg');
+            var plotWidth = WIDTH - PAD.left - PAD.right;
+            var plotHeight = HEIGHT - PAD.top - PAD.bottom;
+
+            $.each(samples, function(i, sample) {
+                $.each(chart.series, function(j, series) {
+                    if (sample[series.key] !== null && sample[series.key] > max) {
+                        max = sample[series.key];
+                    }
+                });
+            });
+            max = max ? max * 1.1 : 1;
+
+            var x = function(time) {
+                return PAD.left + (last === first ? plotWidth : (time - first) / (last - first) * plotWidth);
+            };
+            var y = function(value) {
+                return PAD.top + plotHeight - value / max * plotHeight;
+            };
+            var add = function(name, attrs, text) {
+                var el = document.createElementNS(SVG_NS, name);
+                $.each(attrs, function(attr, value) {
+                    el.setAttribute(attr, value);
+                });
+                if (text) {
+                    el.textContent = text;
+                }
+                svg.appendChild(el);
+                return el;
+            };
+
+            svg.setAttribute('viewBox', '0 0 ' + WIDTH + ' ' + HEIGHT);
+            svg.setAttribute('class', 'wp-care-trend-svg');
+
+            add('line', { x1: PAD.left, y1: PAD.top + plotHeight, x2: WIDTH - PAD.right, y2: PAD.top + plotHeight, 'class': 'wp-care-trend-axis' });
+            add('text', { x: PAD.left, y: PAD.top + 10, 'class': 'wp-care-trend-label' }, chart.format(max / 1.1));
+            add('text', { x: PAD.left, y: HEIGHT - 6, 'class': 'wp-care-trend-label' }, this.formatDate(first));
+            add('text', { x: WIDTH - PAD.right, y: HEIGHT - 6, 'class': 'wp-care-trend-label', 'text-anchor': 'end' }, this.formatDate(last));
+
+            if (chart.threshold) {
+                add('line', { x1: PAD.left, y1: y(chart.threshold), x2: WIDTH - PAD.right, y2: y(chart.threshold), 'class': 'wp-care-trend-threshold' });
+            }
+
+            // One polyline per unbroken run; failed measurements (null) leave gaps
+            $.each(chart.series, function(i, series) {
+                var points = [];
+                var flush = function() {
+                    if (points.length) {
+                        add('polyline', { points: points.join(' '), 'class': 'wp-care-trend-line is-series-' + i });
+                        points = [];
+                    }
+                };
+
+                $.each(samples, function(j, sample) {
+                    if (sample[series.key] === null) {
+                        flush();
+                        return;
+                    }
+                    points.push(x(sample.recorded_at).toFixed(1) + ',' + y(sample[series.key]).toFixed(1));
+                });
+                flush();
+            });
+
+            return svg;
+        },
+
+        /**
+         * Fill the largest tables list.
+         */
+        renderTableGrowth: function(tables) {
+            var self = this;
+            var $tbody = $('#wp-care-table-growth tbody').empty();
+
+            if (!tables.length) {
+                $tbody.append($('<tr></tr>').append($('<td colspan="3"></td>').text(wpCareHealthMetrics.strings.empty)));
+                return;
+            }
+
+            $.each(tables, function(i, table) {
+                var change = (table.change > 0 ? '+' : (table.change < 0 ? '-' : '')) + self.formatBytes(Math.abs(table.change));
+
+                $tbody.append(
+                    $('<tr></tr>')
+                        .append($('<td></td>').append($('<code></code>').text(table.table)))
+                        .append($('<td></td>').text(self.formatBytes(table.size)))
+                        .append($('<td></td>').text(change).toggleClass('wp-care-trend-growth', table.change > 0))
+                );
+            });
+        },
+
+        /**
+         * Show a message above the charts.
+         */
+        showMessage: function(message) {
+            $('#wp-care-trend-message p').text(message);
+            $('#wp-care-trend-message').show();
+        },
+
+        /**
+         * Format a size in bytes.
+         */
+        formatBytes: function(bytes) {
+            var units = ['B', 'KB', 'MB', 'GB', 'TB'];
+            var i = 0;
+
+            while (bytes >= 1024 && i < units.length - 1) {
+                bytes /= 1024;
+                i++;
+            }
+
+            return (i ? bytes.toFixed(1) : Math.round(bytes)) + ' ' + units[i];
+        },
+
+        /**
+         * Format a count.
+         */
+        formatCount: function(value) {
+            return String(Math.round(value));
+        },
+
+        /**
+         * Format a duration in milliseconds.
+         */
+        formatMs: function(value) {
+            return Math.round(value) + ' ms';
+        },
+
+        /**
+         * Format a Unix timestamp as a short local date and time.
+         */
+        formatDate: function(timestamp) {
+            return new Date(timestamp * 1000).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        }
+    };
+
+    $(document).ready(function() {
+        if (!$('#wp-care-health-trends').length) {
+            return;
+        }
+
+        $('#wp-care-trend-range').on('change', function() {
+            WPCareHealthMetrics.load();
+        });
+
+        $('#wp-care-record-metrics').on('click', function(e) {
+            e.preventDefault();
+            WPCareHealthMetrics.recordNow($(this));
+        });
+
+        WPCareHealthMetrics.load();
+    });
+})(jQuery);
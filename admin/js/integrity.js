@@ -0,0 +1,161 @@
+/**
+ * WP Care File Integrity AJAX Controller
+ *
+ * Starts file integrity scans from the File Integrity page and hashes the
+ * files one chunk per request, then reloads the page for the results.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+(function($) {
+    'use strict';
+
+    var WPCareIntegrity = {
+        isRunning: false,
+
+        /**
+         * Start a scan or a new baseline.
+         */
+        start: function(mode) {
+            var self = this;
+            var strings = wpCareIntegrity.strings;
+
+            if (self.isRunning) {
+                return;
+            }
+
+            if (mode === 'baseline' && !confirm(strings.confirm_baseline)) {
+                return;
+            }
+
+            self.isRunning = true;
+            self.showProgress(strings.listing, 0);
+
+            $.ajax({
+                url: wpCareIntegrity.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_integrity_start',
+                    _wpnonce: wpCareIntegrity.nonce,
+                    mode: mode
+                },
+                success: function(response) {
+                    // Already running: follow that scan instead
+                    if (!response.success && !(response.data && response.data.code === 'scan_running')) {
+                        self.handleError((response.data && response.data.message) ? response.data.message : strings.error);
+                        return;
+                    }
+
+                    self.processChunk();
+                },
+                error: function(xhr) {
+                    self.handleError(strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * Hash the next chunk of files, until the scan completes.
+         */
+        processChunk: function() {
+            var self = this;
+            var strings = wpCareIntegrity.strings;
+
+            self.isRunning = true;
+
+            $.ajax({
+                url: wpCareIntegrity.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_integrity_chunk',
+                    _wpnonce: wpCareIntegrity.nonce
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        self.handleError((response.data && response.data.message) ? response.data.message : strings.error);
+                        return;
+                    }
+
+                    var progress = response.data;
+                    var percent = progress.total ? Math.round(progress.processed / progress.total * 100) : 0;
+
+                    if (progress.completed) {
+                        self.showProgress(strings.done, 100);
+                        window.location.reload();
+                        return;
+                    }
+
+                    if (progress.busy) {
+                        // Cron is working on it; check back shortly
+                        self.showProgress(strings.busy, percent);
+                        setTimeout(function() {
+                            self.processChunk();
+                        }, 5000);
+                        return;
+                    }
+
+                    self.showProgress(
+                        strings.hashing.replace('%1$s', progress.processed.toLocaleString()).replace('%2$s', progress.total.toLocaleString()),
+                        percent
+                    );
+                    self.processChunk();
+                },
+                error: function(xhr) {
+                    self.handleError(strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * Show the progress bar.
+         */
+        showProgress: function(message, percent) {
+            var $progress = $('#wp-care-integrity-progress').show();
+
+            $progress.find('.wp-care-progress-fill').css('width', percent + '%');
+            $progress.find('.wp-care-progress-status').text(message);
+            $('.wp-care-integrity-start').prop('disabled', true);
+        },
+
+        /**
+         * Show an error and allow another try.
+         */
+        handleError: function(message) {
+            this.isRunning = false;
+            $('#wp-care-integrity-progress').find('.wp-care-progress-status').text(message);
+            $('.wp-care-integrity-start').prop('disabled', false);
+        }
+    };
+
+    $(document).ready(function() {
+        if (!$('#wp-care-integrity-progress').length) {
+            return;
+        }
+
+        $('.wp-care-integrity-start').on('click', function(e) {
+            e.preventDefault();
+            WPCareIntegrity.start($(this).data('mode'));
+        });
+
+        $('#wp-care-integrity-all').on('change', function() {
+            $('#wp-care-integrity-changes input[name="paths[]"]').prop('checked', $(this).prop('checked'));
+        });
+
+        $('#wp-care-integrity-changes').on('submit', function(e) {
+            var acceptAll = $(document.activeElement).val() === 'all';
+
+            if (acceptAll && !confirm(wpCareIntegrity.strings.confirm_all)) {
+                e.preventDefault();
+            } else if (!acceptAll && !$(this).find('input[name="paths[]"]:checked').length) {
+                alert(wpCareIntegrity.strings.none_selected);
+                e.preventDefault();
+            }
+        });
+
+        // Pick up a scan that is already running
+        if ($('#wp-care-integrity-progress').data('running')) {
+            WPCareIntegrity.showProgress(wpCareIntegrity.strings.busy, 0);
+            WPCareIntegrity.processChunk();
+        }
+    });
+})(jQuery);
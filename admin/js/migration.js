@@ -12,30 +12,221 @@
     var WPCareMigration = {
         migrationId: null,
         isRunning: false,
-        mode: null, // 'export' or 'restore'
+        mode: null, // 'export', 'restore', 'upload', 'verify', 'pull' or 'staging'
+        upload: null, // { file, fingerprint, uploadId, offset, retries }
+        verifyCallback: null,
+        pullChunkAction: null, // storage pull or site-to-site transfer
+        stagingChanged: false, // staging panel is out of date after a create or push
+        maxChunkRetries: 3,
+        uploadsStorageKey: 'wpCareUploads',
 
         /**
-         * Collect export options from checkboxes.
+         * Collect export options from the export panel. Rule lists are sent
+         * as text (one entry per line, tables comma-separated) so an empty
+         * list still overrides the preset.
          */
         getOptions: function() {
             var options = {};
-            var optionKeys = [
-                'include_database', 'include_themes', 'include_plugins',
-                'include_uploads', 'include_mu_plugins', 'exclude_cache',
-                'exclude_inactive_themes', 'exclude_inactive_plugins',
-                'exclude_spam_comments', 'exclude_post_revisions'
-            ];
-
-            optionKeys.forEach(function(key) {
-                var $checkbox = $('#wp-care-opt-' + key);
-                if ($checkbox.length) {
-                    options[key] = $checkbox.is(':checked');
+            var tableMode = $('#wp-care-table-mode').val();
+            var tables = ($('#wp-care-opt-tables').val() || []).join(',');
+
+            $.each(wpCareMigration.defaultOptions, function(key, defaultValue) {
+                var $field = $('#wp-care-opt-' + key);
+                if (typeof defaultValue === 'boolean') {
+                    if ($field.length) {
+                        options[key] = $field.is(':checked');
+                    }
+                } else if ($field.length) {
+                    options[key] = $field.val();
                 }
             });
 
+            options.include_tables = tableMode === 'include' ? tables : '';
+            options.exclude_tables = tableMode === 'exclude' ? tables : '';
+
+            var preset = $('#wp-care-export-preset').val();
+            if (preset) {
+                options.preset = preset;
+            }
+
             return options;
         },
 
+        /**
+         * Fill the export panel from a set of options (e.g. a preset).
+         */
+        setOptions: function(options) {
+            $.each(wpCareMigration.defaultOptions, function(key, defaultValue) {
+                var value = options.hasOwnProperty(key) ? options[key] : defaultValue;
+                var $field = $('#wp-care-opt-' + key);
+                if (typeof defaultValue === 'boolean') {
+                    $field.prop('checked', !!value);
+                } else if ($.isArray(value)) {
+                    $field.val(value.join('\n'));
+                } else {
+                    $field.val(value);
+                }
+            });
+
+            var include = options.include_tables || [];
+            var exclude = options.exclude_tables || [];
+            var mode = include.length ? 'include' : (exclude.length ? 'exclude' : 'all');
+
+            $('#wp-care-table-mode').val(mode);
+            $('#wp-care-opt-tables').val(include.length ? include : exclude).prop('disabled', mode === 'all');
+            $('#wp-care-export-estimate').text('');
+        },
+
+        /**
+         * Get the export an incremental export builds on, or '' for a full export.
+         */
+        getBaseId: function() {
+            if ($('input[name="wp_care_export_type"]:checked').val() !== 'incremental') {
+                return '';
+            }
+
+            return $('#wp-care-export-base').val() || '';
+        },
+
+        // =================================================================
+        // Presets & Estimate
+        // =================================================================
+
+        /**
+         * Load a preset into the export panel.
+         */
+        applyPreset: function(presetId) {
+            var preset = wpCareMigration.presets[presetId];
+
+            $('#wp-care-preset-delete').prop('disabled', !preset);
+            if (preset) {
+                this.setOptions(preset.options);
+            }
+        },
+
+        /**
+         * Rebuild the preset dropdown after a save or delete.
+         */
+        renderPresets: function(presets, selectedId) {
+            var $select = $('#wp-care-export-preset').empty();
+
+            wpCareMigration.presets = presets;
+            $('<option value="">').text(wpCareMigration.strings.preset_custom).appendTo($select);
+            $.each(presets, function(id, preset) {
+                $('<option>').val(id).text(preset.name).appendTo($select);
+            });
+
+            $select.val(selectedId || '');
+            $('#wp-care-preset-delete').prop('disabled', !selectedId);
+        },
+
+        /**
+         * Save the export panel's options as a named preset.
+         */
+        savePreset: function() {
+            var self = this;
+            var current = wpCareMigration.presets[$('#wp-care-export-preset').val()];
+            var name = prompt(wpCareMigration.strings.preset_name_prompt, current ? current.name : '');
+
+            if (!name) {
+                return;
+            }
+
+            var options = this.getOptions();
+            delete options.preset;
+
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_export_preset_save',
+                    _wpnonce: wpCareMigration.nonce,
+                    name: name,
+                    options: options
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.renderPresets(response.data.presets, response.data.preset.id);
+                    } else {
+                        alert((response.data && response.data.message) ? response.data.message : wpCareMigration.strings.error);
+                    }
+                },
+                error: function(xhr) {
+                    alert(wpCareMigration.strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * Delete the selected preset.
+         */
+        deletePreset: function() {
+            var self = this;
+            var presetId = $('#wp-care-export-preset').val();
+
+            if (!presetId || !confirm(wpCareMigration.strings.confirm_delete_preset)) {
+                return;
+            }
+
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_export_preset_delete',
+                    _wpnonce: wpCareMigration.nonce,
+                    preset_id: presetId
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.renderPresets(response.data.presets, '');
+                    } else {
+                        alert((response.data && response.data.message) ? response.data.message : wpCareMigration.strings.error);
+                    }
+                },
+                error: function(xhr) {
+                    alert(wpCareMigration.strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * Estimate the export size for the current options.
+         */
+        estimateSize: function() {
+            var strings = wpCareMigration.strings;
+            var $button = $('#wp-care-migration-estimate').prop('disabled', true);
+            var $result = $('#wp-care-export-estimate').text(strings.estimating);
+
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_migration_estimate',
+                    _wpnonce: wpCareMigration.nonce,
+                    options: this.getOptions()
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        $result.text((response.data && response.data.message) ? response.data.message : strings.error);
+                        return;
+                    }
+
+                    var data = response.data;
+                    $result.text(strings.estimate_result
+                        .replace('%1$s', data.total_size_human)
+                        .replace('%2$s', data.files)
+                        .replace('%3$s', data.files_size_human)
+                        .replace('%4$s', data.database_size_human));
+                },
+                error: function(xhr) {
+                    $result.text(strings.error + ' (HTTP ' + xhr.status + ')');
+                },
+                complete: function() {
+                    $button.prop('disabled', false);
+                }
+            });
+        },
+
         // =================================================================
         // Panel Toggle
         // =================================================================
@@ -80,6 +271,11 @@
                 return;
             }
 
+            var passphrase = this.getExportPassphrase();
+            if (passphrase === false) {
+                return;
+            }
+
             this.isRunning = true;
             this.mode = 'export';
             this.updateUI('running');
@@ -94,10 +290,13 @@
                 data: {
                     action: 'wp_care_migration_init',
                     _wpnonce: wpCareMigration.nonce,
-                    options: options
+                    options: options,
+                    base_id: self.getBaseId(),
+                    passphrase: passphrase
                 },
                 success: function(response) {
                     if (response.success && response.data && response.data.migration_id) {
+                        $('#wp-care-export-passphrase input').val('');
                         self.migrationId = response.data.migration_id;
                         self.processChunk();
                     } else {
@@ -112,9 +311,1387 @@
         },
 
         /**
-         * Process next export chunk via AJAX.
+         * Read the export passphrase, checking it is long enough and typed
+         * the same twice.
+         *
+         * @return {string|boolean} The passphrase, '' when not encrypting, or false if invalid.
+         */
+        getExportPassphrase: function() {
+            if (!$('#wp-care-export-encrypt').is(':checked')) {
+                return '';
+            }
+
+            var strings = wpCareMigration.strings;
+            var minLength = wpCareMigration.minPassphraseLength || 8;
+            var passphrase = $('#wp-care-export-passphrase-1').val();
+
+            if (passphrase.length < minLength) {
+                alert(strings.passphrase_short.replace('%d', minLength));
+                $('#wp-care-export-passphrase-1').trigger('focus');
+                return false;
+            }
+
+            if (passphrase !== $('#wp-care-export-passphrase-2').val()) {
+                alert(strings.passphrase_mismatch);
+                $('#wp-care-export-passphrase-2').trigger('focus');
+                return false;
+            }
+
+            return passphrase;
+        },
+
+        /**
+         * Process next export chunk via AJAX.
+         */
+        processChunk: function() {
+            if (!this.isRunning || !this.migrationId) {
+                return;
+            }
+
+            var self = this;
+
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_migration_chunk',
+                    _wpnonce: wpCareMigration.nonce,
+                    migration_id: self.migrationId
+                },
+                success: function(response) {
+                    if (!self.isRunning) {
+                        return;
+                    }
+
+                    if (!response.success) {
+                        var msg = (response.data && response.data.message) ? response.data.message : wpCareMigration.strings.error;
+                        self.handleError(msg);
+                        return;
+                    }
+
+                    var state = response.data;
+
+                    if (state.error) {
+                        self.handleError(state.error);
+                        return;
+                    }
+
+                    // A request from before a page reload is still running
+                    if (state.busy) {
+                        setTimeout(function() {
+                            self.processChunk();
+                        }, 2000);
+                        return;
+                    }
+
+                    self.updateProgress(state);
+
+                    if (state.completed) {
+                        self.showDownloadLink(state);
+                    } else {
+                        setTimeout(function() {
+                            self.processChunk();
+                        }, 100);
+                    }
+                },
+                error: function(xhr) {
+                    self.handleError(wpCareMigration.strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * Cancel running export.
+         */
+        cancelExport: function() {
+            if (!confirm(wpCareMigration.strings.confirm_cancel)) {
+                return;
+            }
+
+            this.isRunning = false;
+
+            if (this.migrationId) {
+                $.ajax({
+                    url: wpCareMigration.ajaxUrl,
+                    type: 'POST',
+                    data: {
+                        // Cancelling a restore must keep the archive it restores from
+                        action: this.mode === 'restore' ? 'wp_care_migration_discard' : 'wp_care_migration_cancel',
+                        _wpnonce: wpCareMigration.nonce,
+                        migration_id: this.migrationId
+                    }
+                });
+            }
+
+            this.migrationId = null;
+            this.mode = null;
+            this.updateUI('idle');
+        },
+
+        // =================================================================
+        // Restore
+        // =================================================================
+
+        /**
+         * Show the restore confirmation modal.
+         */
+        showRestoreModal: function(migrationId, browse, encrypted) {
+            this.migrationId = migrationId;
+            $('#wp-care-restore-passphrase-input').val('');
+            $('#wp-care-restore-passphrase-error').hide();
+            this.loadReplacements(migrationId);
+            if (!encrypted) {
+                this.loadContents(migrationId);
+            }
+            $('#wp-care-restore-selection').toggle(!!browse);
+            this.setRestoreEncrypted(!!encrypted);
+            $('#wp-care-restore-modal').show();
+        },
+
+        /**
+         * Ask for the passphrase of an encrypted package in the restore
+         * modal. Its contents can't be listed before it is decrypted, so
+         * individual tables and folders can't be chosen.
+         */
+        setRestoreEncrypted: function(encrypted) {
+            $('#wp-care-restore-passphrase').toggle(encrypted);
+            $('#wp-care-restore-customize').parent().toggle(!encrypted);
+            if (encrypted) {
+                $('#wp-care-restore-selection').hide();
+            }
+        },
+
+        /**
+         * List the tables and folders inside an archive for selective restore.
+         */
+        loadContents: function(migrationId) {
+            var self = this;
+            var strings = wpCareMigration.strings;
+            var $status = $('#wp-care-restore-selection-status').text(strings.contents_loading);
+            var $tables = $('#wp-care-restore-tables').empty();
+            var $paths = $('#wp-care-restore-paths').empty();
+
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_migration_contents',
+                    _wpnonce: wpCareMigration.nonce,
+                    migration_id: migrationId
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        $status.text((response.data && response.data.message) ? response.data.message : strings.error);
+                        return;
+                    }
+
+                    $status.text('');
+
+                    (response.data.tables || []).forEach(function(table) {
+                        $tables.append(self.renderSelectionItem('table', table.name, self.formatFileSize(table.size)));
+                    });
+                    (response.data.directories || []).forEach(function(dir) {
+                        $paths.append(self.renderSelectionItem('path', dir.path,
+                            self.formatFileSize(dir.size) + ', ' + dir.files + ' ' + strings.files_count));
+                    });
+
+                    if (!$tables.children().length) {
+                        $tables.text(strings.contents_no_database);
+                    }
+                    if (!$paths.children().length) {
+                        $paths.text(strings.contents_no_files);
+                    }
+                },
+                error: function(xhr) {
+                    $status.text(strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * Build one checkbox row of the restore selection.
+         */
+        renderSelectionItem: function(type, value, meta) {
+            var $label = $('<label>');
+            var $name = $('<span>');
+
+            $('<input type="checkbox" checked>')
+                .addClass('wp-care-restore-' + type)
+                .val(value)
+                .appendTo($name);
+            $name.append(document.createTextNode(' ' + value)).appendTo($label);
+            $('<span class="wp-care-item-size">').text(meta).appendTo($label);
+
+            return $label;
+        },
+
+        /**
+         * Get the checked values of a selection list, or null when every
+         * item is checked (restore everything, including anything new).
+         */
+        getSelection: function(type) {
+            var $all = $('.wp-care-restore-' + type);
+
+            if (!$('#wp-care-restore-selection').is(':visible') || !$all.length || $all.filter(':checked').length === $all.length) {
+                return null;
+            }
+
+            return $all.filter(':checked').map(function() {
+                return $(this).val();
+            }).get();
+        },
+
+        /**
+         * Show the source -> target URL/path rewrites detected for an archive.
+         */
+        loadReplacements: function(migrationId) {
+            var self = this;
+            var $list = $('#wp-care-restore-replace-detected').empty();
+            var $note = $('#wp-care-restore-replace-note').text(wpCareMigration.strings.initializing);
+
+            $('#wp-care-restore-replace-extra').empty();
+
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_restore_replacements',
+                    _wpnonce: wpCareMigration.nonce,
+                    migration_id: migrationId
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        $note.text((response.data && response.data.message) ? response.data.message : wpCareMigration.strings.error);
+                        return;
+                    }
+
+                    var pairs = response.data.replacements || [];
+
+                    pairs.forEach(function(pair) {
+                        $('<li>').text(pair.from + ' \u2192 ' + pair.to).appendTo($list);
+                    });
+
+                    // Also catches encrypted packages opened from a pull or transfer
+                    if (response.data.encrypted) {
+                        self.setRestoreEncrypted(true);
+                    }
+
+                    if (pairs.length) {
+                        $note.text('');
+                    } else if (response.data.encrypted) {
+                        $note.text(wpCareMigration.strings.replace_encrypted);
+                    } else if (response.data.source_known) {
+                        $note.text(wpCareMigration.strings.replace_none);
+                    } else {
+                        $note.text(wpCareMigration.strings.replace_unknown);
+                    }
+                },
+                error: function(xhr) {
+                    $note.text(wpCareMigration.strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * Add an empty search/replace row to the restore modal.
+         */
+        addReplacementRow: function() {
+            var strings = wpCareMigration.strings;
+            var $row = $('<div class="wp-care-replace-pair">');
+
+            $('<input type="text" class="wp-care-replace-from">').attr('placeholder', strings.replace_search).appendTo($row);
+            $('<input type="text" class="wp-care-replace-to">').attr('placeholder', strings.replace_with).appendTo($row);
+            $('<button type="button" class="button button-small wp-care-replace-remove">').text(strings.replace_remove).appendTo($row);
+
+            $row.appendTo('#wp-care-restore-replace-extra');
+            $row.find('.wp-care-replace-from').trigger('focus');
+        },
+
+        /**
+         * Collect the extra search/replace rows entered in the modal.
+         */
+        getExtraReplacements: function() {
+            var pairs = [];
+
+            $('#wp-care-restore-replace-extra .wp-care-replace-pair').each(function() {
+                var from = $.trim($(this).find('.wp-care-replace-from').val());
+                var to = $.trim($(this).find('.wp-care-replace-to').val());
+                if (from) {
+                    pairs.push({ from: from, to: to });
+                }
+            });
+
+            return pairs;
+        },
+
+        /**
+         * Start the restore process after confirmation.
+         */
+        startRestore: function(skipVerification) {
+            if (this.isRunning || !this.migrationId) {
+                return;
+            }
+
+            var tables = this.getSelection('table');
+            var paths = this.getSelection('path');
+            var restoreDatabase = $('#wp-care-restore-database').is(':checked') && !(tables && !tables.length);
+            var restoreFiles = $('#wp-care-restore-files').is(':checked') && !(paths && !paths.length);
+
+            if (!restoreDatabase && !restoreFiles) {
+                alert(wpCareMigration.strings.nothing_selected);
+                return;
+            }
+
+            $('#wp-care-restore-modal').hide();
+
+            this.isRunning = true;
+            this.mode = 'restore';
+            this.updateUI('running');
+            $('#wp-care-progress-title').text(wpCareMigration.strings.restore_title || 'Restore Progress');
+
+            var self = this;
+            var options = {
+                restore_database: restoreDatabase,
+                restore_files: restoreFiles,
+                search_replace: $('#wp-care-restore-search-replace').is(':checked'),
+                skip_verification: !!skipVerification
+            };
+            var replacements = options.search_replace ? this.getExtraReplacements() : [];
+            var data = {
+                action: 'wp_care_restore_init',
+                _wpnonce: wpCareMigration.nonce,
+                migration_id: self.migrationId,
+                options: options,
+                replacements: replacements,
+                passphrase: $('#wp-care-restore-passphrase-input').val()
+            };
+
+            if (restoreDatabase && tables) {
+                data.tables = tables;
+            }
+            if (restoreFiles && paths) {
+                data.paths = paths;
+            }
+
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: data,
+                success: function(response) {
+                    if (response.success && response.data && response.data.migration_id) {
+                        $('#wp-care-restore-passphrase-input').val('');
+                        self.processRestoreChunk();
+                        return;
+                    }
+
+                    var data = response.data || {};
+
+                    // Nothing was changed yet: ask for the passphrase again
+                    if (data.code === 'passphrase_required' || data.code === 'wrong_passphrase') {
+                        self.isRunning = false;
+                        self.mode = null;
+                        $('#wp-care-migration-progress').hide();
+                        self.updateUI('idle');
+                        self.setRestoreEncrypted(true);
+                        $('#wp-care-restore-passphrase-error').text(data.message).show();
+                        $('#wp-care-restore-modal').show();
+                        $('#wp-care-restore-passphrase-input').trigger('focus');
+                        return;
+                    }
+
+                    if (data.code === 'verification_required') {
+                        self.verifyBeforeRestore();
+                        return;
+                    }
+
+                    if (data.code === 'verification_failed') {
+                        self.isRunning = false;
+                        if (confirm(data.message + '\n\n' + wpCareMigration.strings.confirm_restore_unverified)) {
+                            self.startRestore(true);
+                            return;
+                        }
+                    }
+
+                    self.handleError(data.message || wpCareMigration.strings.error);
+                },
+                error: function(xhr) {
+                    self.handleError(wpCareMigration.strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * Process next restore chunk via AJAX.
+         */
+        processRestoreChunk: function() {
+            if (!this.isRunning || !this.migrationId) {
+                return;
+            }
+
+            var self = this;
+
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_restore_chunk',
+                    _wpnonce: wpCareMigration.nonce,
+                    migration_id: self.migrationId
+                },
+                success: function(response) {
+                    if (!self.isRunning) {
+                        return;
+                    }
+
+                    if (!response.success) {
+                        var msg = (response.data && response.data.message) ? response.data.message : wpCareMigration.strings.error;
+                        self.handleError(msg);
+                        return;
+                    }
+
+                    var state = response.data;
+
+                    if (state.error) {
+                        self.handleError(state.error);
+                        return;
+                    }
+
+                    if (state.busy) {
+                        setTimeout(function() {
+                            self.processRestoreChunk();
+                        }, 2000);
+                        return;
+                    }
+
+                    self.updateRestoreProgress(state);
+
+                    if (state.completed) {
+                        self.showRestoreComplete(state);
+                    } else {
+                        setTimeout(function() {
+                            self.processRestoreChunk();
+                        }, 100);
+                    }
+                },
+                error: function(xhr) {
+                    self.handleError(wpCareMigration.strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        // =================================================================
+        // Verification
+        // =================================================================
+
+        /**
+         * Verify a package against its manifest.
+         * Calls onComplete(state) when done, or shows the result if omitted.
+         */
+        startVerify: function(migrationId, onComplete) {
+            if (this.isRunning || !migrationId) {
+                return;
+            }
+
+            this.isRunning = true;
+            this.mode = 'verify';
+            this.migrationId = migrationId;
+            this.verifyCallback = onComplete || null;
+            this.updateUI('running');
+            $('#wp-care-progress-title').text(wpCareMigration.strings.verify_title);
+
+            var self = this;
+
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_verify_init',
+                    _wpnonce: wpCareMigration.nonce,
+                    migration_id: migrationId
+                },
+                success: function(response) {
+                    if (response.success && response.data) {
+                        self.processVerifyChunk();
+                    } else {
+                        var msg = (response.data && response.data.message) ? response.data.message : wpCareMigration.strings.error;
+                        self.handleError(msg);
+                    }
+                },
+                error: function(xhr) {
+                    self.handleError(wpCareMigration.strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * Process next verification chunk via AJAX.
+         */
+        processVerifyChunk: function() {
+            if (!this.isRunning || !this.migrationId) {
+                return;
+            }
+
+            var self = this;
+
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_verify_chunk',
+                    _wpnonce: wpCareMigration.nonce,
+                    migration_id: self.migrationId
+                },
+                success: function(response) {
+                    if (!self.isRunning) {
+                        return;
+                    }
+
+                    if (!response.success) {
+                        var msg = (response.data && response.data.message) ? response.data.message : wpCareMigration.strings.error;
+                        self.handleError(msg);
+                        return;
+                    }
+
+                    var state = response.data;
+
+                    if (state.error) {
+                        self.handleError(state.error);
+                        return;
+                    }
+
+                    self.updateVerifyProgress(state);
+
+                    if (!state.completed) {
+                        setTimeout(function() {
+                            self.processVerifyChunk();
+                        }, 100);
+                        return;
+                    }
+
+                    self.isRunning = false;
+                    self.mode = null;
+                    self.markVerified(state);
+
+                    if (self.verifyCallback) {
+                        self.verifyCallback(state);
+                    } else {
+                        self.showVerifyResult(state);
+                    }
+                },
+                error: function(xhr) {
+                    self.handleError(wpCareMigration.strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * Stop a running verification. Nothing needs cleaning up: the next
+         * run starts over.
+         */
+        cancelVerify: function() {
+            this.isRunning = false;
+            this.migrationId = null;
+            this.mode = null;
+            this.verifyCallback = null;
+            $('#wp-care-migration-progress').hide();
+            this.updateUI('idle');
+        },
+
+        /**
+         * Verify the package the restore modal was opened for, then restore.
+         */
+        verifyBeforeRestore: function() {
+            var self = this;
+
+            this.isRunning = false;
+            this.startVerify(this.migrationId, function(state) {
+                if (state.status === 'passed') {
+                    self.startRestore();
+                } else if (confirm(wpCareMigration.strings.confirm_restore_unverified)) {
+                    self.startRestore(true);
+                } else {
+                    self.showVerifyResult(state);
+                }
+            });
+        },
+
+        /**
+         * Update verification progress display.
+         */
+        updateVerifyProgress: function(state) {
+            var progress = state.progress || 0;
+            var label = state.phase === 'extra' ? wpCareMigration.strings.verify_extra : wpCareMigration.strings.verifying;
+
+            $('.wp-care-progress-fill').css('width', progress + '%');
+            $('.wp-care-progress-status').text(label + ' (' + progress + '%)');
+            $('.wp-care-progress-detail').text(state.checked + ' / ' + state.total + ' ' + wpCareMigration.strings.verify_entries);
+        },
+
+        /**
+         * Update the verification badge in the migrations table.
+         */
+        markVerified: function(state) {
+            var passed = state.status === 'passed';
+
+            $('.wp-care-verify-btn[data-id="' + state.migration_id + '"]').closest('tr').find('.wp-care-verify-status')
+                .removeClass('wp-care-verify-passed wp-care-verify-failed')
+                .addClass(passed ? 'wp-care-verify-passed' : 'wp-care-verify-failed')
+                .text(passed ? wpCareMigration.strings.verified : wpCareMigration.strings.verification_failed);
+        },
+
+        /**
+         * Show the outcome of a verification.
+         */
+        showVerifyResult: function(state) {
+            var strings = wpCareMigration.strings;
+            var passed = state.status === 'passed';
+            var $list = $('#wp-care-verify-result-list').empty();
+
+            $('#wp-care-verify-result-title')
+                .text(passed ? strings.verify_passed : strings.verify_failed)
+                .css('color', passed ? '#00a32a' : '#d63638');
+
+            if (passed) {
+                $('#wp-care-verify-result-summary').text(strings.verify_passed_detail);
+            } else {
+                $('#wp-care-verify-result-summary').text(
+                    strings.verify_missing + ': ' + state.missing_count + ', ' +
+                    strings.verify_corrupted + ': ' + state.corrupted_count + ', ' +
+                    strings.verify_unexpected + ': ' + state.extra_count
+                );
+
+                [['missing', strings.verify_missing], ['corrupted', strings.verify_corrupted], ['extra', strings.verify_unexpected]].forEach(function(kind) {
+                    (state[kind[0]] || []).forEach(function(name) {
+                        $('<li>').text(kind[1] + ': ' + name).appendTo($list);
+                    });
+                });
+            }
+
+            $('#wp-care-migration-progress').hide();
+            $('#wp-care-verify-result').show();
+            this.updateUI('idle');
+        },
+
+        // =================================================================
+        // Interrupted Operations
+        // =================================================================
+
+        /**
+         * Resume an export or restore left behind by a page reload.
+         * Continues through the regular chunk endpoints.
+         */
+        resumeOperation: function(migrationId, type) {
+            if (this.isRunning || !migrationId) {
+                return;
+            }
+
+            this.isRunning = true;
+            this.mode = type === 'restore' ? 'restore' : 'export';
+            this.migrationId = migrationId;
+            this.updateUI('running');
+            $('.wp-care-progress-status').text(wpCareMigration.strings.resuming);
+
+            if (this.mode === 'restore') {
+                $('#wp-care-progress-title').text(wpCareMigration.strings.restore_title || 'Restore Progress');
+                this.processRestoreChunk();
+            } else {
+                $('#wp-care-progress-title').text(wpCareMigration.strings.export_title || 'Migration Progress');
+                this.processChunk();
+            }
+
+            $('#wp-care-interrupted tr[data-id="' + migrationId + '"]').remove();
+        },
+
+        /**
+         * Discard an interrupted export or restore.
+         */
+        discardOperation: function(migrationId, type) {
+            var message = type === 'restore' ?
+                wpCareMigration.strings.confirm_discard_restore :
+                wpCareMigration.strings.confirm_discard_export;
+
+            if (!confirm(message)) {
+                return;
+            }
+
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_migration_discard',
+                    _wpnonce: wpCareMigration.nonce,
+                    migration_id: migrationId
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        alert((response.data && response.data.message) ? response.data.message : wpCareMigration.strings.error);
+                        return;
+                    }
+
+                    $('#wp-care-interrupted tr[data-id="' + migrationId + '"]').remove();
+                    if (!$('#wp-care-interrupted tbody tr').length) {
+                        $('#wp-care-interrupted').remove();
+                    }
+                },
+                error: function(xhr) {
+                    alert(wpCareMigration.strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        // =================================================================
+        // Background Jobs
+        // =================================================================
+
+        /**
+         * Poll background jobs while any are queued or running, updating
+         * their rows and reloading once one finishes so the migrations
+         * list picks up the result.
+         */
+        pollJobs: function() {
+            var self = this;
+
+            if (!$('#wp-care-jobs tr.is-active').length) {
+                return;
+            }
+
+            setTimeout(function() {
+                $.ajax({
+                    url: wpCareMigration.ajaxUrl,
+                    type: 'POST',
+                    data: {
+                        action: 'wp_care_jobs_status',
+                        _wpnonce: wpCareMigration.nonce
+                    },
+                    success: function(response) {
+                        if (!response.success) {
+                            return;
+                        }
+
+                        var finished = false;
+
+                        $.each(response.data, function(i, job) {
+                            var $row = $('#wp-care-jobs tr.is-active[data-id="' + job.id + '"]');
+
+                            if (!$row.length) {
+                                return;
+                            }
+                            if (job.status !== 'queued' && job.status !== 'running') {
+                                finished = true;
+                                return;
+                            }
+
+                            var label = job.stage === 'verify' ? wpCareMigration.strings.job_verify :
+                                (job.phase ? job.phase.charAt(0).toUpperCase() + job.phase.slice(1) : wpCareMigration.strings.job_queued);
+                            var $progress = $row.find('.wp-care-job-progress');
+
+                            if (!$progress.length) {
+                                $progress = $('<small class="wp-care-job-progress"></small>');
+                                $row.find('.wp-care-job-status').append('<br>').append($progress);
+                            }
+                            $row.find('.wp-care-job-badge').attr('class', 'wp-care-job-badge is-' + job.status)
+                                .text(job.status.charAt(0).toUpperCase() + job.status.slice(1));
+                            $progress.text(label + ' (' + (job.progress || 0) + '%)');
+                        });
+
+                        // Don't pull the page out from under a local export or restore
+                        if (finished && !self.isRunning) {
+                            window.location.reload();
+                            return;
+                        }
+
+                        self.pollJobs();
+                    },
+                    error: function() {
+                        self.pollJobs();
+                    }
+                });
+            }, 5000);
+        },
+
+        // =================================================================
+        // Chunked Upload
+        // =================================================================
+
+        /**
+         * Fingerprint a file so an interrupted upload can be matched
+         * when the same file is selected again.
+         */
+        getFileFingerprint: function(file) {
+            return file.name + ':' + file.size + ':' + (file.lastModified || 0);
+        },
+
+        /**
+         * Interrupted uploads remembered in localStorage, keyed by fingerprint.
+         */
+        getPendingUploads: function() {
+            try {
+                return JSON.parse(window.localStorage.getItem(this.uploadsStorageKey)) || {};
+            } catch (e) {
+                return {};
+            }
+        },
+
+        /**
+         * Remember (or forget, when data is null) an upload for resuming.
+         */
+        savePendingUpload: function(fingerprint, data) {
+            var pending = this.getPendingUploads();
+
+            if (data) {
+                pending[fingerprint] = data;
+            } else {
+                delete pending[fingerprint];
+            }
+
+            try {
+                window.localStorage.setItem(this.uploadsStorageKey, JSON.stringify(pending));
+            } catch (e) {
+                // Storage full or disabled: the upload still works, it just can't resume
+            }
+        },
+
+        /**
+         * List interrupted uploads in the upload panel.
+         */
+        showPendingUploads: function() {
+            var pending = this.getPendingUploads();
+            var $list = $('#wp-care-upload-pending-list').empty();
+            var self = this;
+
+            $.each(pending, function(fingerprint, item) {
+                var percent = item.size ? Math.floor(100 * item.received / item.size) : 0;
+                $('<li>').text(item.name + ' (' + self.formatFileSize(item.size) + ', ' + percent + '%)').appendTo($list);
+            });
+
+            if ($list.children().length) {
+                $('#wp-care-upload-pending-text').text(wpCareMigration.strings.upload_pending);
+                $('#wp-care-upload-pending').show();
+            } else {
+                $('#wp-care-upload-pending').hide();
+            }
+        },
+
+        /**
+         * Start (or resume) uploading a migration archive in chunks.
+         */
+        startUpload: function(file) {
+            if (this.isRunning || !file) {
+                return;
+            }
+
+            var fingerprint = this.getFileFingerprint(file);
+            var pending = this.getPendingUploads()[fingerprint];
+
+            this.isRunning = true;
+            this.mode = 'upload';
+            this.upload = {
+                file: file,
+                fingerprint: fingerprint,
+                uploadId: null,
+                offset: 0,
+                retries: 0
+            };
+            this.updateUI('running');
+            $('#wp-care-progress-title').text(wpCareMigration.strings.upload_title || 'Upload Progress');
+
+            var self = this;
+
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_upload_init',
+                    _wpnonce: wpCareMigration.nonce,
+                    filename: file.name,
+                    total_size: file.size,
+                    fingerprint: fingerprint,
+                    upload_id: pending ? pending.uploadId : ''
+                },
+                success: function(response) {
+                    if (!response.success || !response.data || !response.data.upload_id) {
+                        var msg = (response.data && response.data.message) ? response.data.message : wpCareMigration.strings.error;
+                        self.handleError(msg);
+                        return;
+                    }
+
+                    self.upload.uploadId = response.data.upload_id;
+                    self.upload.offset = response.data.received;
+                    self.migrationId = response.data.upload_id;
+
+                    if (response.data.resumed) {
+                        $('.wp-care-progress-status').text(wpCareMigration.strings.upload_resuming);
+                    }
+
+                    self.rememberUpload();
+                    self.updateUploadProgress(self.upload.offset);
+                    self.sendNextChunk();
+                },
+                error: function(xhr) {
+                    self.handleError(wpCareMigration.strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * Persist the current upload position so it survives a browser restart.
+         */
+        rememberUpload: function() {
+            var upload = this.upload;
+
+            this.savePendingUpload(upload.fingerprint, {
+                uploadId: upload.uploadId,
+                name: upload.file.name,
+                size: upload.file.size,
+                received: upload.offset
+            });
+        },
+
+        /**
+         * SHA-256 a chunk so the server can reject corrupted data.
+         * Passes an empty string where SubtleCrypto is unavailable (non-HTTPS).
+         */
+        hashChunk: function(blob, callback) {
+            if (!window.crypto || !window.crypto.subtle || !window.FileReader) {
+                callback('');
+                return;
+            }
+
+            var reader = new FileReader();
+            reader.onload = function() {
+                window.crypto.subtle.digest('SHA-256', reader.result).then(function(digest) {
+                    var bytes = new Uint8Array(digest);
+                    var hex = '';
+                    for (var i = 0; i < bytes.length; i++) {
+                        hex += ('0' + bytes[i].toString(16)).slice(-2);
+                    }
+                    callback(hex);
+                }, function() {
+                    callback('');
+                });
+            };
+            reader.onerror = function() {
+                callback('');
+            };
+            reader.readAsArrayBuffer(blob);
+        },
+
+        /**
+         * Upload the chunk starting at the current offset.
+         */
+        sendNextChunk: function() {
+            if (!this.isRunning || this.mode !== 'upload') {
+                return;
+            }
+
+            var self = this;
+            var upload = this.upload;
+
+            if (upload.offset >= upload.file.size) {
+                this.finalizeUpload();
+                return;
+            }
+
+            var blob = upload.file.slice(upload.offset, upload.offset + wpCareMigration.chunkSize);
+
+            this.hashChunk(blob, function(hash) {
+                var formData = new FormData();
+                formData.append('action', 'wp_care_upload_chunk');
+                formData.append('_wpnonce', wpCareMigration.nonce);
+                formData.append('upload_id', upload.uploadId);
+                formData.append('offset', upload.offset);
+                formData.append('hash', hash);
+                formData.append('chunk', blob, 'chunk.bin');
+
+                $.ajax({
+                    url: wpCareMigration.ajaxUrl,
+                    type: 'POST',
+                    data: formData,
+                    processData: false,
+                    contentType: false,
+                    xhr: function() {
+                        var xhr = $.ajaxSettings.xhr();
+                        if (xhr.upload) {
+                            xhr.upload.addEventListener('progress', function(e) {
+                                if (e.lengthComputable && self.isRunning) {
+                                    self.updateUploadProgress(upload.offset + Math.min(e.loaded, blob.size));
+                                }
+                            });
+                        }
+                        return xhr;
+                    },
+                    success: function(response) {
+                        if (!self.isRunning) {
+                            return;
+                        }
+
+                        if (!response.success) {
+                            var data = response.data || {};
+                            if (data.code === 'not_found') {
+                                self.savePendingUpload(upload.fingerprint, null);
+                            } else if (data.code === 'chunk_corrupt') {
+                                self.retryChunk(data.message);
+                                return;
+                            }
+                            self.handleError(data.message || wpCareMigration.strings.error);
+                            return;
+                        }
+
+                        // Server reports how much it really has; trust it over our own count
+                        upload.offset = response.data.received;
+                        upload.retries = 0;
+                        self.rememberUpload();
+                        self.updateUploadProgress(upload.offset);
+                        self.sendNextChunk();
+                    },
+                    error: function(xhr) {
+                        self.retryChunk(wpCareMigration.strings.error + ' (HTTP ' + xhr.status + ')');
+                    }
+                });
+            });
+        },
+
+        /**
+         * Retry the current chunk with a growing delay, then give up.
+         * The upload stays resumable after giving up.
+         */
+        retryChunk: function(message) {
+            var self = this;
+
+            if (!this.isRunning) {
+                return;
+            }
+
+            if (this.upload.retries >= this.maxChunkRetries) {
+                this.handleError(message);
+                return;
+            }
+
+            this.upload.retries++;
+            setTimeout(function() {
+                self.sendNextChunk();
+            }, 2000 * this.upload.retries);
+        },
+
+        /**
+         * Ask the server to verify the reassembled archive.
+         */
+        finalizeUpload: function() {
+            var self = this;
+            var upload = this.upload;
+
+            $('.wp-care-progress-status').text(wpCareMigration.strings.upload_verifying);
+
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_upload_finalize',
+                    _wpnonce: wpCareMigration.nonce,
+                    upload_id: upload.uploadId
+                },
+                success: function(response) {
+                    if (!self.isRunning) {
+                        return;
+                    }
+
+                    if (!response.success) {
+                        var data = response.data || {};
+                        // Anything but an incomplete upload means the file itself was rejected
+                        if (data.code !== 'incomplete_upload') {
+                            self.savePendingUpload(upload.fingerprint, null);
+                        }
+                        self.handleError(data.message || wpCareMigration.strings.error);
+                        return;
+                    }
+
+                    self.savePendingUpload(upload.fingerprint, null);
+                    $('.wp-care-progress-fill').css('width', '100%');
+                    $('.wp-care-progress-status').text(wpCareMigration.strings.upload_complete);
+
+                    // Reload so the new archive shows in the migrations table
+                    window.location.reload();
+                },
+                error: function(xhr) {
+                    self.handleError(wpCareMigration.strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * Cancel a running upload and discard the partial file.
+         */
+        cancelUpload: function() {
+            if (!confirm(wpCareMigration.strings.confirm_cancel_upload)) {
+                return;
+            }
+
+            this.isRunning = false;
+
+            if (this.upload && this.upload.uploadId) {
+                $.ajax({
+                    url: wpCareMigration.ajaxUrl,
+                    type: 'POST',
+                    data: {
+                        action: 'wp_care_migration_cancel',
+                        _wpnonce: wpCareMigration.nonce,
+                        migration_id: this.upload.uploadId
+                    }
+                });
+                this.savePendingUpload(this.upload.fingerprint, null);
+            }
+
+            this.upload = null;
+            this.migrationId = null;
+            this.mode = null;
+            this.updateUI('idle');
+            this.showPendingUploads();
+        },
+
+        /**
+         * Update upload progress display.
+         */
+        updateUploadProgress: function(received) {
+            var total = this.upload.file.size;
+            var progress = total > 0 ? Math.floor(100 * received / total) : 0;
+
+            $('.wp-care-progress-fill').css('width', progress + '%');
+            $('.wp-care-progress-status').text(wpCareMigration.strings.uploading + ' (' + progress + '%)');
+            $('.wp-care-progress-detail').text(this.formatFileSize(received) + ' / ' + this.formatFileSize(total));
+        },
+
+        // =================================================================
+        // Off-site Storage
+        // =================================================================
+
+        /**
+         * Check a storage target's connection and show the result inline.
+         */
+        testTarget: function(targetId) {
+            var strings = wpCareMigration.strings;
+            var $result = $('.wp-care-storage-test-result[data-target="' + targetId + '"]');
+
+            $result.removeClass('is-ok is-error').text(strings.storage_testing);
+
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_storage_test',
+                    _wpnonce: wpCareMigration.nonce,
+                    target_id: targetId
+                },
+                success: function(response) {
+                    if (response.success) {
+                        $result.addClass('is-ok').text(strings.storage_test_ok);
+                    } else {
+                        $result.addClass('is-error').text((response.data && response.data.message) ? response.data.message : strings.error);
+                    }
+                },
+                error: function(xhr) {
+                    $result.addClass('is-error').text(strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * List the archives stored on a target, with a pull button for each.
+         */
+        browseRemote: function(targetId, label) {
+            var self = this;
+            var strings = wpCareMigration.strings;
+            var $box = $('#wp-care-remote-archives').show();
+            var $table = $box.find('table').hide();
+            var $tbody = $table.find('tbody').empty();
+            var $status = $('#wp-care-remote-archives-status').text(strings.storage_loading);
+
+            $('#wp-care-remote-archives-title').text(label);
+
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_storage_list',
+                    _wpnonce: wpCareMigration.nonce,
+                    target_id: targetId
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        $status.text((response.data && response.data.message) ? response.data.message : strings.error);
+                        return;
+                    }
+
+                    var archives = response.data.archives || [];
+                    if (!archives.length) {
+                        $status.text(strings.storage_empty);
+                        return;
+                    }
+
+                    $status.text('');
+                    archives.forEach(function(archive) {
+                        var $action = $('<td style="text-align: center;">');
+                        if (archive.available_locally) {
+                            $action.text(strings.storage_local);
+                        } else {
+                            $('<button type="button" class="button button-small wp-care-pull-btn">')
+                                .text(strings.pull_button)
+                                .attr('data-target', targetId)
+                                .attr('data-id', archive.id)
+                                .appendTo($action);
+                        }
+
+                        $('<tr>')
+                            .append($('<td>').text(new Date(archive.created_at).toLocaleString()))
+                            .append($('<td>').text(archive.site_url || ''))
+                            .append($('<td>').text(self.formatFileSize(archive.archive_size || 0)))
+                            .append($action)
+                            .appendTo($tbody);
+                    });
+                    $table.show();
+                },
+                error: function(xhr) {
+                    $status.text(strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * Download an archive from a target, then open the restore modal.
+         * An interrupted pull resumes from what was already downloaded.
+         */
+        startPull: function(targetId, migrationId) {
+            if (this.isRunning) {
+                return;
+            }
+
+            this.isRunning = true;
+            this.mode = 'pull';
+            this.migrationId = migrationId;
+            this.pullChunkAction = 'wp_care_storage_pull_chunk';
+            this.updateUI('running');
+            $('#wp-care-progress-title').text(wpCareMigration.strings.pull_title);
+
+            var self = this;
+
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_storage_pull_init',
+                    _wpnonce: wpCareMigration.nonce,
+                    target_id: targetId,
+                    migration_id: migrationId
+                },
+                success: function(response) {
+                    if (response.success && response.data) {
+                        self.updatePullProgress(response.data);
+                        self.processPullChunk();
+                    } else {
+                        var msg = (response.data && response.data.message) ? response.data.message : wpCareMigration.strings.error;
+                        self.handleError(msg);
+                    }
+                },
+                error: function(xhr) {
+                    self.handleError(wpCareMigration.strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * Pull a migration straight from another site using a transfer
+         * token created there, then open the restore modal.
+         */
+        startTransfer: function() {
+            if (this.isRunning) {
+                return;
+            }
+
+            var sourceUrl = $.trim($('#wp-care-transfer-url').val());
+            var token = $.trim($('#wp-care-transfer-token').val());
+
+            if (!sourceUrl || !token) {
+                alert(wpCareMigration.strings.transfer_missing);
+                return;
+            }
+
+            this.isRunning = true;
+            this.mode = 'pull';
+            this.migrationId = null;
+            this.pullChunkAction = 'wp_care_transfer_chunk';
+            this.updateUI('running');
+            $('#wp-care-progress-title').text(wpCareMigration.strings.transfer_title);
+            $('.wp-care-progress-status').text(wpCareMigration.strings.transfer_connecting);
+
+            var self = this;
+
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_transfer_init',
+                    _wpnonce: wpCareMigration.nonce,
+                    source_url: sourceUrl,
+                    token: token
+                },
+                success: function(response) {
+                    if (response.success && response.data) {
+                        self.migrationId = response.data.migration_id;
+                        self.updatePullProgress(response.data);
+                        self.processPullChunk();
+                    } else {
+                        var msg = (response.data && response.data.message) ? response.data.message : wpCareMigration.strings.error;
+                        self.handleError(msg);
+                    }
+                },
+                error: function(xhr) {
+                    self.handleError(wpCareMigration.strings.error + ' (HTTP ' + xhr.status + ')');
+                }
+            });
+        },
+
+        /**
+         * Create a transfer token for the selected migration so another
+         * site can pull it.
+         */
+        createTransferToken: function() {
+            var strings = wpCareMigration.strings;
+            var $button = $('#wp-care-transfer-token-create').prop('disabled', true);
+            var $status = $('#wp-care-transfer-token-status').text(strings.transfer_token_creating);
+
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_transfer_token',
+                    _wpnonce: wpCareMigration.nonce,
+                    migration_id: $('#wp-care-transfer-migration').val()
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        $status.text((response.data && response.data.message) ? response.data.message : strings.error);
+                        return;
+                    }
+
+                    $status.text('');
+                    $('#wp-care-transfer-token-site').val(response.data.site_url);
+                    $('#wp-care-transfer-token-value').val(response.data.token);
+                    $('#wp-care-transfer-token-result').show();
+                },
+                error: function(xhr) {
+                    $status.text(strings.error + ' (HTTP ' + xhr.status + ')');
+                },
+                complete: function() {
+                    $button.prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Download the next chunk of a pull via AJAX. Storage pulls and
+         * site-to-site transfers share this loop and differ only in the
+         * AJAX action.
          */
-        processChunk: function() {
+        processPullChunk: function() {
             if (!this.isRunning || !this.migrationId) {
                 return;
             }
@@ -125,7 +1702,7 @@
                 url: wpCareMigration.ajaxUrl,
                 type: 'POST',
                 data: {
-                    action: 'wp_care_migration_chunk',
+                    action: self.pullChunkAction,
                     _wpnonce: wpCareMigration.nonce,
                     migration_id: self.migrationId
                 },
@@ -141,21 +1718,21 @@
                     }
 
                     var state = response.data;
+                    self.updatePullProgress(state);
 
-                    if (state.error) {
-                        self.handleError(state.error);
-                        return;
-                    }
-
-                    self.updateProgress(state);
-
-                    if (state.completed) {
-                        self.showDownloadLink(state);
-                    } else {
+                    if (!state.completed) {
                         setTimeout(function() {
-                            self.processChunk();
+                            self.processPullChunk();
                         }, 100);
+                        return;
                     }
+
+                    var migrationId = self.migrationId;
+                    self.isRunning = false;
+                    self.mode = null;
+                    $('#wp-care-migration-progress').hide();
+                    self.updateUI('idle');
+                    self.showRestoreModal(migrationId);
                 },
                 error: function(xhr) {
                     self.handleError(wpCareMigration.strings.error + ' (HTTP ' + xhr.status + ')');
@@ -164,77 +1741,122 @@
         },
 
         /**
-         * Cancel running export.
+         * Cancel a running pull and delete the partial download.
          */
-        cancelExport: function() {
-            if (!confirm(wpCareMigration.strings.confirm_cancel)) {
+        cancelPull: function() {
+            if (!confirm(wpCareMigration.strings.confirm_cancel_pull)) {
                 return;
             }
 
             this.isRunning = false;
 
-            if (this.migrationId) {
-                $.ajax({
-                    url: wpCareMigration.ajaxUrl,
-                    type: 'POST',
-                    data: {
-                        action: 'wp_care_migration_cancel',
-                        _wpnonce: wpCareMigration.nonce,
-                        migration_id: this.migrationId
-                    }
-                });
-            }
+            $.ajax({
+                url: wpCareMigration.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_migration_cancel',
+                    _wpnonce: wpCareMigration.nonce,
+                    migration_id: this.migrationId
+                }
+            });
 
             this.migrationId = null;
             this.mode = null;
             this.updateUI('idle');
         },
 
+        /**
+         * Update pull progress display.
+         */
+        updatePullProgress: function(state) {
+            var progress = state.progress || 0;
+
+            $('.wp-care-progress-fill').css('width', progress + '%');
+            $('.wp-care-progress-status').text(wpCareMigration.strings.pulling + ' (' + progress + '%)');
+            $('.wp-care-progress-detail').text(this.formatFileSize(state.received || 0) + ' / ' + this.formatFileSize(state.size || 0));
+        },
+
         // =================================================================
-        // Restore
+        // Staging
         // =================================================================
 
         /**
-         * Show the restore confirmation modal.
+         * Start creating the staging site.
          */
-        showRestoreModal: function(migrationId) {
-            this.migrationId = migrationId;
-            $('#wp-care-restore-modal').show();
+        startStagingCreate: function() {
+            this.startStaging('wp_care_staging_create', {
+                directory: $.trim($('#wp-care-staging-directory').val()),
+                include_uploads: $('#wp-care-staging-uploads').is(':checked')
+            }, wpCareMigration.strings.staging_create_title);
         },
 
         /**
-         * Start the restore process after confirmation.
+         * Push the selected staging tables and folders to the live site.
          */
-        startRestore: function() {
-            if (this.isRunning || !this.migrationId) {
+        startStagingPush: function() {
+            var tables = $('.wp-care-staging-table:checked').map(function() {
+                return $(this).val();
+            }).get();
+            var folders = $('.wp-care-staging-folder:checked').map(function() {
+                return $(this).val();
+            }).get();
+
+            if (!tables.length && !folders.length) {
+                alert(wpCareMigration.strings.staging_nothing_selected);
                 return;
             }
 
-            $('#wp-care-restore-modal').hide();
+            if (!confirm(wpCareMigration.strings.confirm_staging_push)) {
+                return;
+            }
+
+            this.startStaging('wp_care_staging_push', {
+                tables: tables,
+                folders: folders
+            }, wpCareMigration.strings.staging_push_title);
+        },
+
+        /**
+         * Continue a staging create or push that was interrupted.
+         */
+        resumeStaging: function(type) {
+            if (this.isRunning) {
+                return;
+            }
 
             this.isRunning = true;
-            this.mode = 'restore';
+            this.mode = 'staging';
             this.updateUI('running');
-            $('#wp-care-progress-title').text(wpCareMigration.strings.restore_title || 'Restore Progress');
+            $('#wp-care-progress-title').text(type === 'push' ? wpCareMigration.strings.staging_push_title : wpCareMigration.strings.staging_create_title);
+            this.processStagingChunk();
+        },
+
+        /**
+         * Initialize a staging create or push, then process it in chunks.
+         */
+        startStaging: function(action, data, title) {
+            if (this.isRunning) {
+                return;
+            }
+
+            this.isRunning = true;
+            this.mode = 'staging';
+            this.updateUI('running');
+            $('#wp-care-progress-title').text(title);
 
             var self = this;
-            var options = {
-                restore_database: $('#wp-care-restore-database').is(':checked'),
-                restore_files: $('#wp-care-restore-files').is(':checked')
-            };
 
             $.ajax({
                 url: wpCareMigration.ajaxUrl,
                 type: 'POST',
-                data: {
-                    action: 'wp_care_restore_init',
-                    _wpnonce: wpCareMigration.nonce,
-                    migration_id: self.migrationId,
-                    options: options
-                },
+                data: $.extend({
+                    action: action,
+                    _wpnonce: wpCareMigration.nonce
+                }, data),
                 success: function(response) {
-                    if (response.success && response.data && response.data.migration_id) {
-                        self.processRestoreChunk();
+                    if (response.success && response.data) {
+                        self.updateStagingProgress(response.data);
+                        self.processStagingChunk();
                     } else {
                         var msg = (response.data && response.data.message) ? response.data.message : wpCareMigration.strings.error;
                         self.handleError(msg);
@@ -247,10 +1869,10 @@
         },
 
         /**
-         * Process next restore chunk via AJAX.
+         * Process the next staging chunk via AJAX.
          */
-        processRestoreChunk: function() {
-            if (!this.isRunning || !this.migrationId) {
+        processStagingChunk: function() {
+            if (!this.isRunning || this.mode !== 'staging') {
                 return;
             }
 
@@ -260,9 +1882,8 @@
                 url: wpCareMigration.ajaxUrl,
                 type: 'POST',
                 data: {
-                    action: 'wp_care_restore_chunk',
-                    _wpnonce: wpCareMigration.nonce,
-                    migration_id: self.migrationId
+                    action: 'wp_care_staging_chunk',
+                    _wpnonce: wpCareMigration.nonce
                 },
                 success: function(response) {
                     if (!self.isRunning) {
@@ -278,17 +1899,25 @@
                     var state = response.data;
 
                     if (state.error) {
+                        self.stagingChanged = true;
                         self.handleError(state.error);
                         return;
                     }
 
-                    self.updateRestoreProgress(state);
+                    if (state.busy) {
+                        setTimeout(function() {
+                            self.processStagingChunk();
+                        }, 2000);
+                        return;
+                    }
+
+                    self.updateStagingProgress(state);
 
                     if (state.completed) {
-                        self.showRestoreComplete(state);
+                        self.showStagingComplete(state);
                     } else {
                         setTimeout(function() {
-                            self.processRestoreChunk();
+                            self.processStagingChunk();
                         }, 100);
                     }
                 },
@@ -298,10 +1927,92 @@
             });
         },
 
+        /**
+         * Stop processing a staging create or push. It stays resumable, so
+         * reload to show it in the staging panel.
+         */
+        cancelStaging: function() {
+            if (!confirm(wpCareMigration.strings.confirm_cancel_staging)) {
+                return;
+            }
+
+            this.isRunning = false;
+            this.mode = null;
+            window.location.reload();
+        },
+
+        /**
+         * Update staging progress display.
+         */
+        updateStagingProgress: function(state) {
+            var progress = state.progress || 0;
+            var phase = state.phase || '';
+
+            $('.wp-care-progress-fill').css('width', progress + '%');
+
+            var phaseLabels = {
+                'checkpoint': wpCareMigration.strings.restore_checkpoint,
+                'database': wpCareMigration.strings.staging_db,
+                'replace': wpCareMigration.strings.restore_replace,
+                'swap': wpCareMigration.strings.staging_swap,
+                'enumerate': wpCareMigration.strings.staging_scanning,
+                'files': wpCareMigration.strings.staging_files,
+                'config': wpCareMigration.strings.staging_config,
+                'complete': state.type === 'push' ? wpCareMigration.strings.staging_pushed : wpCareMigration.strings.staging_created
+            };
+
+            var label = phaseLabels[phase] || phase;
+            $('.wp-care-progress-status').text(label + ' (' + progress + '%)');
+
+            var detail = '';
+            if (phase === 'database' && state.total_tables > 0) {
+                detail = state.table_index + ' / ' + state.total_tables + ' ' + wpCareMigration.strings.replace_tables;
+            } else if (phase === 'replace' && state.replace_tables) {
+                detail = state.replace_table_index + ' / ' + state.replace_tables.length + ' ' + wpCareMigration.strings.replace_tables +
+                    ', ' + state.replaced_rows + ' ' + wpCareMigration.strings.replace_rows;
+            } else if (phase === 'files' && state.total_files > 0) {
+                detail = state.copied_files + ' / ' + state.total_files + ' files';
+            }
+            $('.wp-care-progress-detail').text(detail);
+        },
+
+        /**
+         * Show staging complete message.
+         */
+        showStagingComplete: function(state) {
+            this.isRunning = false;
+            this.mode = null;
+            this.stagingChanged = true;
+
+            var push = state.type === 'push';
+            var checkpointMsg = '';
+            if (push && state.checkpoint_id) {
+                checkpointMsg = wpCareMigration.strings.staging_push_checkpoint_note + ' ' + state.checkpoint_id;
+            }
+
+            $('#wp-care-staging-complete-title').text(push ? wpCareMigration.strings.staging_pushed : wpCareMigration.strings.staging_created);
+            $('#wp-care-staging-complete-link').attr('href', push ? wpCareMigration.siteUrl : state.url).text(push ? wpCareMigration.siteUrl : state.url);
+            $('#wp-care-staging-checkpoint').text(checkpointMsg);
+
+            $('#wp-care-migration-progress').hide();
+            $('#wp-care-staging-complete').show();
+            this.updateUI('idle');
+        },
+
         // =================================================================
         // UI Helpers
         // =================================================================
 
+        /**
+         * Format a byte count for display.
+         */
+        formatFileSize: function(bytes) {
+            if (bytes >= 1073741824) return (bytes / 1073741824).toFixed(1) + ' GB';
+            if (bytes >= 1048576) return (bytes / 1048576).toFixed(1) + ' MB';
+            if (bytes >= 1024) return (bytes / 1024).toFixed(1) + ' KB';
+            return bytes + ' bytes';
+        },
+
         /**
          * Update export progress display.
          */
@@ -316,6 +2027,7 @@
                 'database': wpCareMigration.strings.exporting_db,
                 'enumerate': wpCareMigration.strings.scanning,
                 'archive': wpCareMigration.strings.archiving,
+                'encrypt': wpCareMigration.strings.encrypting,
                 'finalize': wpCareMigration.strings.finalizing,
                 'complete': wpCareMigration.strings.complete
             };
@@ -342,8 +2054,10 @@
             $('.wp-care-progress-fill').css('width', progress + '%');
 
             var phaseLabels = {
+                'decrypt': wpCareMigration.strings.restore_decrypt,
                 'checkpoint': wpCareMigration.strings.restore_checkpoint,
                 'database': wpCareMigration.strings.restore_db,
+                'replace': wpCareMigration.strings.restore_replace,
                 'files': wpCareMigration.strings.restore_files,
                 'complete': wpCareMigration.strings.restore_complete
             };
@@ -354,6 +2068,14 @@
             var detail = '';
             if (phase === 'files' && state.extracted_files > 0) {
                 detail = state.extracted_files + (state.total_entries ? ' / ' + state.total_entries : '') + ' files';
+                if (state.chain && state.chain.length > 1) {
+                    detail = wpCareMigration.strings.restore_chain
+                        .replace('%1$d', state.chain_index + 1)
+                        .replace('%2$d', state.chain.length) + ': ' + detail;
+                }
+            } else if (phase === 'replace' && state.replace_tables) {
+                detail = state.replace_table_index + ' / ' + state.replace_tables.length + ' ' + wpCareMigration.strings.replace_tables +
+                    ', ' + state.replaced_rows + ' ' + wpCareMigration.strings.replace_rows;
             }
             $('.wp-care-progress-detail').text(detail);
         },
@@ -407,6 +2129,7 @@
             this.isRunning = false;
             this.migrationId = null;
             this.mode = null;
+            this.upload = null;
 
             $('#wp-care-migration-error-message').text(message);
             $('#wp-care-migration-error').show();
@@ -423,8 +2146,11 @@
                 // Hide everything except progress and action cards
                 $('.wp-care-panel').hide();
                 $('#wp-care-migrations-table').hide();
+                $('#wp-care-interrupted').hide();
+                $('#wp-care-verify-result').hide();
                 $('#wp-care-migration-download').hide();
                 $('#wp-care-restore-complete').hide();
+                $('#wp-care-staging-complete').hide();
                 $('#wp-care-migration-error').hide();
 
                 // Show progress
@@ -438,8 +2164,13 @@
                 $('.wp-care-migration-checkboxes input').prop('disabled', true);
                 $('.wp-care-restore-btn').prop('disabled', true);
             } else {
-                // Show table, re-enable action cards
+                // Show tables, re-enable action cards
                 $('#wp-care-migrations-table').show();
+                if ($('#wp-care-interrupted tbody tr').length) {
+                    $('#wp-care-interrupted').show();
+                } else {
+                    $('#wp-care-interrupted').remove();
+                }
                 $('.wp-care-action-card').css('pointer-events', '').css('opacity', '');
 
                 // Enable inputs
@@ -461,6 +2192,101 @@
             WPCareMigration.togglePanel('wp-care-panel-upload');
         });
 
+        $('#wp-care-btn-schedule').on('click', function(e) {
+            e.preventDefault();
+            WPCareMigration.togglePanel('wp-care-panel-schedule');
+        });
+
+        $('#wp-care-btn-storage').on('click', function(e) {
+            e.preventDefault();
+            WPCareMigration.togglePanel('wp-care-panel-storage');
+        });
+
+        $('#wp-care-btn-transfer').on('click', function(e) {
+            e.preventDefault();
+            WPCareMigration.togglePanel('wp-care-panel-transfer');
+        });
+
+        // The staging panel is rendered by PHP, so reload it after a change
+        $('#wp-care-btn-staging').on('click', function(e) {
+            e.preventDefault();
+            if (WPCareMigration.stagingChanged) {
+                window.location.reload();
+                return;
+            }
+            WPCareMigration.togglePanel('wp-care-panel-staging');
+        });
+
+        $('#wp-care-staging-create').on('click', function(e) {
+            e.preventDefault();
+            WPCareMigration.startStagingCreate();
+        });
+
+        $('#wp-care-staging-push').on('click', function(e) {
+            e.preventDefault();
+            WPCareMigration.startStagingPush();
+        });
+
+        $('#wp-care-staging-resume').on('click', function(e) {
+            e.preventDefault();
+            WPCareMigration.resumeStaging($(this).data('type'));
+        });
+
+        $('#wp-care-transfer-start').on('click', function(e) {
+            e.preventDefault();
+            WPCareMigration.startTransfer();
+        });
+
+        $('#wp-care-transfer-token-create').on('click', function(e) {
+            e.preventDefault();
+            WPCareMigration.createTransferToken();
+        });
+
+        $('#wp-care-transfer-token-site, #wp-care-transfer-token-value').on('focus', function() {
+            $(this).select();
+        });
+
+        // Off-site storage: only show the fields of the chosen target type
+        $('#wp-care-storage-type').on('change', function() {
+            var type = $(this).val();
+            $('.wp-care-storage-fields').each(function() {
+                var active = $(this).data('type') === type;
+                $(this).toggle(active);
+                $(this).find('[data-required]').prop('required', active);
+            });
+        }).trigger('change');
+
+        $(document).on('click', '.wp-care-storage-test-btn', function(e) {
+            e.preventDefault();
+            WPCareMigration.testTarget($(this).data('target'));
+        });
+
+        $(document).on('click', '.wp-care-storage-browse-btn', function(e) {
+            e.preventDefault();
+            WPCareMigration.browseRemote($(this).data('target'), $.trim($(this).closest('tr').find('strong').first().text()));
+        });
+
+        $(document).on('click', '.wp-care-pull-btn', function(e) {
+            e.preventDefault();
+            WPCareMigration.startPull($(this).data('target'), $(this).data('id'));
+        });
+
+        // Only show the schedule fields that apply to the chosen frequency
+        $('#wp-care-schedule-frequency').on('change', function() {
+            var frequency = $(this).val();
+            $('.wp-care-schedule-field').each(function() {
+                var applies = $.inArray(frequency, String($(this).data('frequency')).split(' ')) !== -1;
+                $(this).toggle(applies);
+            });
+        }).trigger('change');
+
+        // Incremental exports reuse their base's options
+        $('input[name="wp_care_export_type"]').on('change', function() {
+            var incremental = $('input[name="wp_care_export_type"]:checked').val() === 'incremental';
+            $('#wp-care-export-base').prop('disabled', !incremental);
+            $('#wp-care-panel-create .wp-care-migration-checkboxes input').prop('disabled', incremental);
+        });
+
         // Panel close buttons — close panel, show table
         $(document).on('click', '.wp-care-panel-close', function(e) {
             e.preventDefault();
@@ -468,21 +2294,91 @@
         });
 
         // Export
+        // Presets fill the export panel; editing any field makes it custom
+        $('#wp-care-export-preset').on('change', function() {
+            WPCareMigration.applyPreset($(this).val());
+        });
+
+        $('#wp-care-preset-save').on('click', function(e) {
+            e.preventDefault();
+            WPCareMigration.savePreset();
+        });
+
+        $('#wp-care-preset-delete').on('click', function(e) {
+            e.preventDefault();
+            WPCareMigration.deletePreset();
+        });
+
+        $('#wp-care-panel-create').on('change input', '.wp-care-migration-checkboxes input, .wp-care-export-rules :input', function() {
+            $('#wp-care-export-preset').val('');
+            $('#wp-care-preset-delete').prop('disabled', true);
+            $('#wp-care-export-estimate').text('');
+        });
+
+        $('#wp-care-table-mode').on('change', function() {
+            $('#wp-care-opt-tables').prop('disabled', $(this).val() === 'all');
+        });
+
+        $('#wp-care-migration-estimate').on('click', function(e) {
+            e.preventDefault();
+            WPCareMigration.estimateSize();
+        });
+
         $('#wp-care-migration-start').on('click', function(e) {
             e.preventDefault();
             WPCareMigration.startExport();
         });
 
+        $('#wp-care-export-encrypt').on('change', function() {
+            $('#wp-care-export-passphrase').toggle($(this).is(':checked'));
+        });
+
+        // Enter in the passphrase field confirms the restore
+        $('#wp-care-restore-passphrase-input').on('keydown', function(e) {
+            if (e.which === 13) {
+                e.preventDefault();
+                WPCareMigration.startRestore();
+            }
+        });
+
         $('#wp-care-migration-cancel').on('click', function(e) {
             e.preventDefault();
-            WPCareMigration.cancelExport();
+            if (WPCareMigration.mode === 'upload') {
+                WPCareMigration.cancelUpload();
+            } else if (WPCareMigration.mode === 'verify') {
+                WPCareMigration.cancelVerify();
+            } else if (WPCareMigration.mode === 'pull') {
+                WPCareMigration.cancelPull();
+            } else if (WPCareMigration.mode === 'staging') {
+                WPCareMigration.cancelStaging();
+            } else {
+                WPCareMigration.cancelExport();
+            }
+        });
+
+        // Interrupted operations
+        $(document).on('click', '.wp-care-resume-btn', function(e) {
+            e.preventDefault();
+            WPCareMigration.resumeOperation($(this).data('id'), $(this).data('type'));
+        });
+
+        $(document).on('click', '.wp-care-discard-btn', function(e) {
+            e.preventDefault();
+            WPCareMigration.discardOperation($(this).data('id'), $(this).data('type'));
         });
 
+        // Background jobs
+        $('.wp-care-cancel-job-form').on('submit', function() {
+            return confirm(wpCareMigration.strings.confirm_cancel_job);
+        });
+
+        WPCareMigration.pollJobs();
+
         // Restore - open modal
         $(document).on('click', '.wp-care-restore-btn', function(e) {
             e.preventDefault();
             var id = $(this).data('id');
-            WPCareMigration.showRestoreModal(id);
+            WPCareMigration.showRestoreModal(id, false, $(this).data('encrypted') === 1);
         });
 
         // Restore - confirm
@@ -491,6 +2387,49 @@
             WPCareMigration.startRestore();
         });
 
+        // Verify package
+        $(document).on('click', '.wp-care-verify-btn', function(e) {
+            e.preventDefault();
+            WPCareMigration.startVerify($(this).data('id'));
+        });
+
+        // Browse archive - restore modal with the selection open
+        $(document).on('click', '.wp-care-browse-btn', function(e) {
+            e.preventDefault();
+            WPCareMigration.showRestoreModal($(this).data('id'), true);
+        });
+
+        $('#wp-care-restore-customize').on('click', function(e) {
+            e.preventDefault();
+            $('#wp-care-restore-selection').toggle();
+        });
+
+        $(document).on('click', '.wp-care-select-all, .wp-care-select-none', function(e) {
+            e.preventDefault();
+            $(this).closest('.wp-care-restore-selection-group')
+                .find('input[type="checkbox"]')
+                .prop('checked', $(this).hasClass('wp-care-select-all'));
+        });
+
+        // Restore - search/replace rows
+        $('#wp-care-restore-replace-add').on('click', function(e) {
+            e.preventDefault();
+            WPCareMigration.addReplacementRow();
+        });
+
+        $(document).on('click', '.wp-care-replace-remove', function(e) {
+            e.preventDefault();
+            $(this).closest('.wp-care-replace-pair').remove();
+        });
+
+        $('#wp-care-restore-search-replace').on('change', function() {
+            $('#wp-care-restore-replace-detected, #wp-care-restore-replace-extra, #wp-care-restore-replace-add').toggle($(this).is(':checked'));
+        });
+
+        $('#wp-care-restore-database').on('change', function() {
+            $('#wp-care-restore-replace').toggle($(this).is(':checked'));
+        });
+
         // Restore - cancel modal
         $('#wp-care-restore-cancel-modal').on('click', function(e) {
             e.preventDefault();
@@ -507,16 +2446,9 @@
         var $fileDisplay = $('#wp-care-upload-file');
         var $submitWrap = $('#wp-care-upload-submit-wrap');
 
-        function formatFileSize(bytes) {
-            if (bytes >= 1073741824) return (bytes / 1073741824).toFixed(1) + ' GB';
-            if (bytes >= 1048576) return (bytes / 1048576).toFixed(1) + ' MB';
-            if (bytes >= 1024) return (bytes / 1024).toFixed(1) + ' KB';
-            return bytes + ' bytes';
-        }
-
         function showSelectedFile(file) {
             $('#wp-care-upload-file-name').text(file.name);
-            $('#wp-care-upload-file-size').text(formatFileSize(file.size));
+            $('#wp-care-upload-file-size').text(WPCareMigration.formatFileSize(file.size));
             $zone.hide();
             $fileDisplay.show();
             $submitWrap.show();
@@ -566,11 +2498,23 @@
             $(this).removeClass('dragover');
         });
 
+        // Upload in chunks instead of posting the whole file at once
+        $('#wp-care-upload-form').on('submit', function(e) {
+            e.preventDefault();
+            var file = $fileInput[0].files && $fileInput[0].files[0];
+            if (file) {
+                WPCareMigration.startUpload(file);
+                clearSelectedFile();
+            }
+        });
+
+        WPCareMigration.showPendingUploads();
+
         $zone.on('drop', function(e) {
             var files = e.originalEvent.dataTransfer.files;
             if (files && files.length > 0) {
                 var file = files[0];
-                if (file.name.toLowerCase().endsWith('.zip')) {
+                if (/\.(zip|enc)$/i.test(file.name)) {
                     $fileInput[0].files = files;
                     showSelectedFile(file);
                 } else {
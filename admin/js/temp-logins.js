@@ -0,0 +1,184 @@
+/**
+ * WP Care Temporary Logins AJAX Controller
+ *
+ * Keeps the list of active temporary logins on the Tools page up to date
+ * and ends their sessions on request.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+(function($) {
+    'use strict';
+
+    var WPCareTempLogins = {
+        timer: null,
+
+        /**
+         * Load the active temp logins, then check again in 15 seconds.
+         */
+        load: function() {
+            var self = this;
+            var strings = wpCareTempLogins.strings;
+
+            clearTimeout(self.timer);
+
+            $.ajax({
+                url: wpCareTempLogins.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_temp_sessions',
+                    _wpnonce: wpCareTempLogins.nonce
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        self.showMessage((response.data && response.data.message) ? response.data.message : strings.error);
+                        return;
+                    }
+
+                    self.render(response.data.users);
+                },
+                error: function(xhr) {
+                    self.showMessage(strings.error + ' (HTTP ' + xhr.status + ')');
+                },
+                complete: function() {
+                    self.timer = setTimeout(function() {
+                        self.load();
+                    }, 15000);
+                }
+            });
+        },
+
+        /**
+         * Render one row per temp login.
+         */
+        render: function(users) {
+            var strings = wpCareTempLogins.strings;
+            var $tbody = $('#wp-care-temp-sessions tbody').empty();
+
+            if (!users.length) {
+                this.showMessage(strings.empty);
+                return;
+            }
+
+            $.each(users, function(i, user) {
+                var $access = $('<td></td>').text(user.access);
+                var $seen = $('<td></td>');
+                var $pages = $('<td></td>');
+
+                if (user.allowed_ips.length) {
+                    $access.append($('<br>'))
+                        .append($('<small style="color: #666;"></small>').text(strings.ips + ' ' + user.allowed_ips.join(', ')));
+                }
+
+                if (user.last_seen) {
+                    $seen.text(user.last_seen)
+                        .append(user.online ? ' ' : '')
+                        .append(user.online ? $('<span class="wp-care-temp-online"></span>').text(strings.online) : '')
+                        .append(user.last_ip ? $('<br>') : '')
+                        .append(user.last_ip ? $('<small style="color: #666;"></small>').text(user.last_ip) : '');
+                } else {
+                    $seen.text(strings.never);
+                }
+
+                if (user.pages.length) {
+                    var $list = $('<ul class="wp-care-temp-pages"></ul>');
+                    $.each(user.pages, function(j, page) {
+                        $list.append(
+                            $('<li></li>')
+                                .append($('<code></code>').text(page.url))
+                                .append(' ')
+                                .append($('<small style="color: #666;"></small>').text(page.time_ago))
+                        );
+                    });
+                    $pages.append($list);
+                } else {
+                    $pages.html('&mdash;');
+                }
+
+                $tbody.append(
+                    $('<tr></tr>').attr('data-id', user.user_id)
+                        .append(
+                            $('<td></td>').text(user.username)
+                                .append(user.requester ? $('<br>') : '')
+                                .append(user.requester ? $('<small style="color: #666;"></small>').text(strings.created_by + ' ' + user.requester) : '')
+                        )
+                        .append($access)
+                        .append($('<td></td>').text(user.uses))
+                        .append($seen)
+                        .append($pages)
+                        .append($('<td></td>').text(user.expires_in))
+                        .append(
+                            $('<td style="text-align: center;"></td>').append(
+                                $('<button type="button" class="button button-small button-link-delete wp-care-temp-kill-btn"></button>')
+                                    .attr('data-id', user.user_id)
+                                    .text(strings.kill)
+                            )
+                        )
+                );
+            });
+        },
+
+        /**
+         * End a temp login's sessions and delete the user.
+         */
+        kill: function($button) {
+            var self = this;
+            var strings = wpCareTempLogins.strings;
+
+            if (!confirm(strings.confirm_kill)) {
+                return;
+            }
+
+            $button.prop('disabled', true);
+
+            $.ajax({
+                url: wpCareTempLogins.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_temp_kill',
+                    _wpnonce: wpCareTempLogins.nonce,
+                    user_id: $button.data('id')
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        alert((response.data && response.data.message) ? response.data.message : strings.error);
+                        $button.prop('disabled', false);
+                        return;
+                    }
+
+                    self.load();
+                },
+                error: function(xhr) {
+                    alert(strings.error + ' (HTTP ' + xhr.status + ')');
+                    $button.prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Replace the table body with a single message row.
+         */
+        showMessage: function(message) {
+            $('#wp-care-temp-sessions tbody').empty().append(
+                $('<tr></tr>').append($('<td colspan="7"></td>').text(message))
+            );
+        }
+    };
+
+    $(document).ready(function() {
+        if (!$('#wp-care-temp-sessions').length) {
+            return;
+        }
+
+        $('#wp-care-temp-role').on('change', function() {
+            $('#wp-care-temp-caps').toggle($(this).val() === 'custom');
+        });
+
+        $('#wp-care-temp-sessions').on('click', '.wp-care-temp-kill-btn', function(e) {
+            e.preventDefault();
+            WPCareTempLogins.kill($(this));
+        });
+
+        WPCareTempLogins.load();
+    });
+})(jQuery);
@@ -0,0 +1,114 @@
+/**
+ * WP Care Safe Updates AJAX Controller
+ *
+ * Runs the updates selected on the Tools page one at a time, showing each
+ * one's result, then reloads the page for the new versions and history.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+(function($) {
+    'use strict';
+
+    var WPCareUpdates = {
+        queue: [],
+
+        /**
+         * Queue the selected updates and start the first.
+         */
+        start: function() {
+            var strings = wpCareUpdates.strings;
+            var $selected = $('.wp-care-update-item:checked');
+
+            if (!$selected.length) {
+                alert(strings.none_selected);
+                return;
+            }
+
+            if (!confirm(strings.confirm)) {
+                return;
+            }
+
+            this.queue = $selected.toArray();
+            $('#wp-care-update-run, .wp-care-update-item, #wp-care-update-all').prop('disabled', true);
+            $selected.closest('tr').find('.wp-care-update-status').text(strings.queued);
+
+            this.next();
+        },
+
+        /**
+         * Run the next queued update, or reload once all are done.
+         */
+        next: function() {
+            var self = this;
+            var strings = wpCareUpdates.strings;
+            var $item = $(self.queue.shift());
+
+            if (!$item.length) {
+                $('#wp-care-update-run').text(strings.reloading);
+                window.location.reload();
+                return;
+            }
+
+            var $status = $item.closest('tr').find('.wp-care-update-status');
+            $status.text(strings.updating);
+
+            $.ajax({
+                url: wpCareUpdates.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'wp_care_update_run',
+                    _wpnonce: wpCareUpdates.nonce,
+                    type: $item.data('type'),
+                    id: $item.data('id')
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        self.setStatus($status, 'failed', (response.data && response.data.message) ? response.data.message : strings.error);
+                        return;
+                    }
+
+                    self.setStatus($status, response.data.status, response.data.error);
+                },
+                error: function(xhr) {
+                    self.setStatus($status, 'failed', strings.error + ' (HTTP ' + xhr.status + ')');
+                },
+                complete: function() {
+                    self.next();
+                }
+            });
+        },
+
+        /**
+         * Show an update's result in its row.
+         */
+        setStatus: function($status, status, message) {
+            var strings = wpCareUpdates.strings;
+
+            $status.empty().append(
+                $('<span class="wp-care-update-result"></span>')
+                    .addClass('is-' + status)
+                    .text(strings.statuses[status] || status)
+            );
+
+            if (message) {
+                $status.append($('<br>')).append($('<small style="color: #666;"></small>').text(message));
+            }
+        }
+    };
+
+    $(document).ready(function() {
+        if (!$('#wp-care-update-list').length) {
+            return;
+        }
+
+        $('#wp-care-update-all').on('change', function() {
+            $('.wp-care-update-item').prop('checked', $(this).prop('checked'));
+        });
+
+        $('#wp-care-update-run').on('click', function(e) {
+            e.preventDefault();
+            WPCareUpdates.start();
+        });
+    });
+})(jQuery);
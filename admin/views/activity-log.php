@@ -0,0 +1,113 @@
+<?php
+/**
+ * Activity Log admin page template.
+ *
+ * Entries are loaded and paged by admin/js/activity-log.js.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ *
+ * @var array    $actions   Action labels, keyed by action.
+ * @var string[] $users     User logins that appear in the log.
+ * @var array    $sources   Source labels, keyed by source.
+ * @var int      $retention Days entries are kept (0 = forever).
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+$retention_choices = array(
+    7   => __( '7 days', 'wp-care-connector' ),
+    30  => __( '30 days', 'wp-care-connector' ),
+    90  => __( '90 days', 'wp-care-connector' ),
+    180 => __( '180 days', 'wp-care-connector' ),
+    365 => __( '1 year', 'wp-care-connector' ),
+    0   => __( 'Forever', 'wp-care-connector' ),
+);
+?>
+<div class="wrap wp-care-wrap">
+    <h1><?php esc_html_e( 'Activity Log', 'wp-care-connector' ); ?></h1>
+    <p class="description"><?php esc_html_e( 'Actions performed by WP Care on this site, from the admin, remote commands and scheduled tasks.', 'wp-care-connector' ); ?></p>
+
+    <!-- Filters -->
+    <form id="wp-care-log-filters" class="wp-care-log-filters">
+        <select name="filters[action]">
+            <option value=""><?php esc_html_e( 'All actions', 'wp-care-connector' ); ?></option>
+            <?php foreach ( $actions as $action => $label ) : ?>
+            <option value="<?php echo esc_attr( $action ); ?>"><?php echo esc_html( $label ); ?></option>
+            <?php endforeach; ?>
+        </select>
+        <select name="filters[user]">
+            <option value=""><?php esc_html_e( 'All users', 'wp-care-connector' ); ?></option>
+            <?php foreach ( $users as $user_login ) : ?>
+            <option value="<?php echo esc_attr( $user_login ); ?>"><?php echo esc_html( $user_login ); ?></option>
+            <?php endforeach; ?>
+        </select>
+        <select name="filters[source]">
+            <option value=""><?php esc_html_e( 'All sources', 'wp-care-connector' ); ?></option>
+            <?php foreach ( $sources as $source => $label ) : ?>
+            <option value="<?php echo esc_attr( $source ); ?>"><?php echo esc_html( $label ); ?></option>
+            <?php endforeach; ?>
+        </select>
+        <label>
+            <?php esc_html_e( 'From', 'wp-care-connector' ); ?>
+            <input type="date" name="filters[date_from]">
+        </label>
+        <label>
+            <?php esc_html_e( 'To', 'wp-care-connector' ); ?>
+            <input type="date" name="filters[date_to]">
+        </label>
+        <input type="search" name="filters[search]" placeholder="<?php esc_attr_e( 'Search log...', 'wp-care-connector' ); ?>">
+        <button type="submit" class="button"><?php esc_html_e( 'Filter', 'wp-care-connector' ); ?></button>
+        <span class="wp-care-log-export">
+            <button type="button" class="button wp-care-log-export-btn" data-format="csv"><?php esc_html_e( 'Export CSV', 'wp-care-connector' ); ?></button>
+            <button type="button" class="button wp-care-log-export-btn" data-format="json"><?php esc_html_e( 'Export JSON', 'wp-care-connector' ); ?></button>
+        </span>
+    </form>
+
+    <!-- Export (filled from the filters by activity-log.js) -->
+    <form id="wp-care-log-export" method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" style="display: none;">
+        <?php wp_nonce_field( 'wp_care_activity_log', '_wpnonce' ); ?>
+        <input type="hidden" name="action" value="wp_care_export_activity_log">
+        <input type="hidden" name="format" value="csv">
+    </form>
+
+    <table id="wp-care-log-table" class="widefat striped">
+        <thead>
+            <tr>
+                <th><?php esc_html_e( 'Time', 'wp-care-connector' ); ?></th>
+                <th><?php esc_html_e( 'Action', 'wp-care-connector' ); ?></th>
+                <th><?php esc_html_e( 'User', 'wp-care-connector' ); ?></th>
+                <th><?php esc_html_e( 'Source', 'wp-care-connector' ); ?></th>
+                <th><?php esc_html_e( 'Target', 'wp-care-connector' ); ?></th>
+                <th><?php esc_html_e( 'Details', 'wp-care-connector' ); ?></th>
+            </tr>
+        </thead>
+        <tbody>
+            <tr><td colspan="6"><?php esc_html_e( 'Loading...', 'wp-care-connector' ); ?></td></tr>
+        </tbody>
+    </table>
+
+    <div class="tablenav bottom">
+        <div class="tablenav-pages">
+            <span class="displaying-num wp-care-log-page-info"></span>
+            <button type="button" class="button wp-care-log-prev" disabled>&lsaquo;</button>
+            <button type="button" class="button wp-care-log-next" disabled>&rsaquo;</button>
+        </div>
+    </div>
+
+    <!-- Retention -->
+    <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" class="wp-care-log-retention">
+        <?php wp_nonce_field( 'wp_care_activity_retention', '_wpnonce' ); ?>
+        <input type="hidden" name="action" value="wp_care_save_activity_retention">
+        <label for="wp-care-log-retention"><?php esc_html_e( 'Keep entries for', 'wp-care-connector' ); ?></label>
+        <select id="wp-care-log-retention" name="retention">
+            <?php foreach ( $retention_choices as $days => $label ) : ?>
+            <option value="<?php echo esc_attr( $days ); ?>" <?php selected( $retention, $days ); ?>><?php echo esc_html( $label ); ?></option>
+            <?php endforeach; ?>
+        </select>
+        <button type="submit" class="button"><?php esc_html_e( 'Save', 'wp-care-connector' ); ?></button>
+        <span class="description"><?php esc_html_e( 'Older entries are removed once a day.', 'wp-care-connector' ); ?></span>
+    </form>
+</div>
@@ -0,0 +1,124 @@
+<?php
+/**
+ * Checkpoints section of the Tools page.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ *
+ * @var array $checkpoints Stored checkpoints, newest first.
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+$checkpoint_folders = array(
+    'themes'     => __( 'Themes', 'wp-care-connector' ),
+    'plugins'    => __( 'Plugins', 'wp-care-connector' ),
+    'mu-plugins' => __( 'Must-use plugins', 'wp-care-connector' ),
+    'uploads'    => __( 'Uploads', 'wp-care-connector' ),
+);
+?>
+<div id="wp-care-checkpoints" class="card wp-care-checkpoints">
+    <h2 style="margin-top: 0;">
+        <span class="dashicons dashicons-backup" style="color: #2271b1;"></span>
+        <?php esc_html_e( 'Checkpoints', 'wp-care-connector' ); ?>
+    </h2>
+    <p class="description"><?php esc_html_e( 'Snapshot the database and chosen wp-content folders, see what changed since, and roll both back together.', 'wp-care-connector' ); ?></p>
+
+    <!-- Create Checkpoint -->
+    <form id="wp-care-checkpoint-form">
+        <fieldset>
+            <label>
+                <input type="checkbox" name="include_database" value="1" checked>
+                <?php esc_html_e( 'Database', 'wp-care-connector' ); ?>
+            </label>
+            <?php foreach ( $checkpoint_folders as $folder => $label ) : ?>
+            <label>
+                <input type="checkbox" name="paths[]" value="<?php echo esc_attr( $folder ); ?>">
+                <?php echo esc_html( $label ); ?>
+            </label>
+            <?php endforeach; ?>
+        </fieldset>
+        <p>
+            <label for="wp-care-checkpoint-extra"><?php esc_html_e( 'Other files or folders (one per line, relative to wp-content):', 'wp-care-connector' ); ?></label><br>
+            <textarea id="wp-care-checkpoint-extra" name="extra_paths" rows="2" class="large-text code" placeholder="plugins/woocommerce&#10;themes/my-theme/functions.php"></textarea>
+        </p>
+        <button type="submit" id="wp-care-checkpoint-create" class="button button-primary">
+            <?php esc_html_e( 'Create Checkpoint', 'wp-care-connector' ); ?>
+        </button>
+    </form>
+
+    <!-- Progress (shown while creating or rolling back) -->
+    <div id="wp-care-checkpoint-progress" style="display: none;">
+        <h3 class="wp-care-checkpoint-progress-title"></h3>
+        <div class="wp-care-progress-bar">
+            <div class="wp-care-progress-fill" style="width: 0%;"></div>
+        </div>
+        <p class="wp-care-progress-status"><?php esc_html_e( 'Initializing...', 'wp-care-connector' ); ?></p>
+    </div>
+
+    <div id="wp-care-checkpoint-error" class="notice notice-error inline" style="display: none;"><p></p></div>
+
+    <!-- Stored Checkpoints -->
+    <?php if ( ! empty( $checkpoints ) ) : ?>
+    <table class="widefat striped wp-care-checkpoint-table">
+        <thead>
+            <tr>
+                <th><?php esc_html_e( 'Created', 'wp-care-connector' ); ?></th>
+                <th><?php esc_html_e( 'Operation', 'wp-care-connector' ); ?></th>
+                <th><?php esc_html_e( 'Contents', 'wp-care-connector' ); ?></th>
+                <th style="text-align: center;"><?php esc_html_e( 'Actions', 'wp-care-connector' ); ?></th>
+            </tr>
+        </thead>
+        <tbody>
+            <?php foreach ( $checkpoints as $cp ) : ?>
+            <tr data-id="<?php echo esc_attr( $cp['id'] ); ?>">
+                <td>
+                    <?php echo esc_html( human_time_diff( strtotime( $cp['created_at'] ) ) ); ?> <?php esc_html_e( 'ago', 'wp-care-connector' ); ?>
+                    <br><small style="color: #666;"><?php echo esc_html( $cp['id'] ); ?></small>
+                </td>
+                <td><code><?php echo esc_html( $cp['operation_type'] ); ?></code></td>
+                <td>
+                    <?php if ( $cp['has_database'] ) : ?>
+                        <?php
+                        /* translators: %s: size of the database dump */
+                        echo esc_html( sprintf( __( 'Database (%s)', 'wp-care-connector' ), size_format( $cp['db_size'] ) ) );
+                        ?>
+                        <br>
+                    <?php endif; ?>
+                    <?php if ( ! empty( $cp['paths'] ) ) : ?>
+                        <?php
+                        /* translators: 1: number of files, 2: size of the files, 3: compressed size */
+                        echo esc_html( sprintf( __( '%1$d files, %2$s (%3$s compressed)', 'wp-care-connector' ), $cp['files_count'], size_format( $cp['files_size'] ), size_format( $cp['files_archive_size'] ) ) );
+                        ?>
+                        <br><small style="color: #666;"><?php echo esc_html( implode( ', ', $cp['paths'] ) ); ?></small>
+                    <?php endif; ?>
+                </td>
+                <td style="text-align: center;">
+                    <button type="button" class="button button-small wp-care-checkpoint-diff-btn" data-id="<?php echo esc_attr( $cp['id'] ); ?>">
+                        <?php esc_html_e( 'Show Changes', 'wp-care-connector' ); ?>
+                    </button>
+                    <button type="button" class="button button-small button-primary wp-care-checkpoint-rollback-btn" data-id="<?php echo esc_attr( $cp['id'] ); ?>">
+                        <?php esc_html_e( 'Roll Back', 'wp-care-connector' ); ?>
+                    </button>
+                    <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" class="wp-care-checkpoint-delete-form" style="display: inline;">
+                        <?php wp_nonce_field( 'wp_care_delete_checkpoint', '_wpnonce' ); ?>
+                        <input type="hidden" name="action" value="wp_care_delete_checkpoint">
+                        <input type="hidden" name="checkpoint_id" value="<?php echo esc_attr( $cp['id'] ); ?>">
+                        <button type="submit" class="button button-small button-link-delete">
+                            <?php esc_html_e( 'Delete', 'wp-care-connector' ); ?>
+                        </button>
+                    </form>
+                </td>
+            </tr>
+            <tr class="wp-care-checkpoint-diff" data-id="<?php echo esc_attr( $cp['id'] ); ?>" style="display: none;">
+                <td colspan="4"></td>
+            </tr>
+            <?php endforeach; ?>
+        </tbody>
+    </table>
+    <?php else : ?>
+    <p><?php esc_html_e( 'No checkpoints yet.', 'wp-care-connector' ); ?></p>
+    <?php endif; ?>
+</div>
@@ -0,0 +1,92 @@
+<?php
+/**
+ * Trends section of the Site Health page.
+ *
+ * Charts are loaded and drawn by admin/js/health-metrics.js.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ *
+ * @var array $thresholds Alert thresholds from WP_Care_Health_Metrics::get_thresholds().
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+$trend_charts = array(
+    'db_size'         => __( 'Database Size', 'wp-care-connector' ),
+    'uploads_size'    => __( 'Uploads Size', 'wp-care-connector' ),
+    'plugins'         => __( 'Plugins and Themes', 'wp-care-connector' ),
+    'pending_updates' => __( 'Pending Updates', 'wp-care-connector' ),
+    'memory_usage'    => __( 'PHP Memory (peak)', 'wp-care-connector' ),
+    'loopback_ms'     => __( 'Loopback Response Time', 'wp-care-connector' ),
+);
+
+$threshold_fields = array(
+    'db_size_mb'      => array( __( 'Database size above', 'wp-care-connector' ), __( 'MB', 'wp-care-connector' ) ),
+    'uploads_size_mb' => array( __( 'Uploads size above', 'wp-care-connector' ), __( 'MB', 'wp-care-connector' ) ),
+    'pending_updates' => array( __( 'Pending updates at least', 'wp-care-connector' ), '' ),
+    'memory_percent'  => array( __( 'PHP memory use at least', 'wp-care-connector' ), __( '% of the limit', 'wp-care-connector' ) ),
+    'loopback_ms'     => array( __( 'Loopback slower than', 'wp-care-connector' ), __( 'ms', 'wp-care-connector' ) ),
+);
+?>
+<div id="wp-care-health-trends" class="wp-care-health-trends">
+    <h2 style="margin-top: 30px;">
+        <?php esc_html_e( 'Trends', 'wp-care-connector' ); ?>
+        <select id="wp-care-trend-range">
+            <option value="1"><?php esc_html_e( 'Last 24 hours', 'wp-care-connector' ); ?></option>
+            <option value="7"><?php esc_html_e( 'Last 7 days', 'wp-care-connector' ); ?></option>
+            <option value="30" selected><?php esc_html_e( 'Last 30 days', 'wp-care-connector' ); ?></option>
+            <option value="90"><?php esc_html_e( 'Last 90 days', 'wp-care-connector' ); ?></option>
+        </select>
+        <button type="button" class="button" id="wp-care-record-metrics"><?php esc_html_e( 'Measure Now', 'wp-care-connector' ); ?></button>
+    </h2>
+    <p class="description"><?php esc_html_e( 'Measured every hour. Dashed lines mark the alert thresholds.', 'wp-care-connector' ); ?></p>
+
+    <div id="wp-care-trend-message" class="notice notice-info inline" style="display: none;"><p></p></div>
+
+    <div class="wp-care-trend-grid">
+        <?php foreach ( $trend_charts as $metric => $label ) : ?>
+        <div class="card wp-care-trend-card">
+            <h3><?php echo esc_html( $label ); ?> <span class="wp-care-trend-current" data-metric="<?php echo esc_attr( $metric ); ?>"></span></h3>
+            <div class="wp-care-trend-chart" data-metric="<?php echo esc_attr( $metric ); ?>"></div>
+        </div>
+        <?php endforeach; ?>
+    </div>
+
+    <!-- Table Growth (filled by health-metrics.js) -->
+    <h3><?php esc_html_e( 'Largest Tables', 'wp-care-connector' ); ?></h3>
+    <table id="wp-care-table-growth" class="widefat striped">
+        <thead>
+            <tr>
+                <th><?php esc_html_e( 'Table', 'wp-care-connector' ); ?></th>
+                <th><?php esc_html_e( 'Size', 'wp-care-connector' ); ?></th>
+                <th><?php esc_html_e( 'Growth in Period', 'wp-care-connector' ); ?></th>
+            </tr>
+        </thead>
+        <tbody>
+            <tr><td colspan="3"><?php esc_html_e( 'Loading...', 'wp-care-connector' ); ?></td></tr>
+        </tbody>
+    </table>
+
+    <!-- Thresholds -->
+    <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" class="card wp-care-thresholds">
+        <h3 style="margin-top: 0;"><?php esc_html_e( 'Alert Thresholds', 'wp-care-connector' ); ?></h3>
+        <p class="description"><?php esc_html_e( 'Administrators see a notice while the latest measurement is past a threshold. Use 0 to switch one off.', 'wp-care-connector' ); ?></p>
+        <?php wp_nonce_field( 'wp_care_health_thresholds', '_wpnonce' ); ?>
+        <input type="hidden" name="action" value="wp_care_save_health_thresholds">
+        <table class="form-table" role="presentation">
+            <?php foreach ( $threshold_fields as $key => $field ) : ?>
+            <tr>
+                <th scope="row"><label for="wp-care-threshold-<?php echo esc_attr( $key ); ?>"><?php echo esc_html( $field[0] ); ?></label></th>
+                <td>
+                    <input type="number" min="0" step="1" class="small-text" id="wp-care-threshold-<?php echo esc_attr( $key ); ?>" name="thresholds[<?php echo esc_attr( $key ); ?>]" value="<?php echo esc_attr( $thresholds[ $key ] ); ?>">
+                    <?php echo esc_html( $field[1] ); ?>
+                </td>
+            </tr>
+            <?php endforeach; ?>
+        </table>
+        <button type="submit" class="button"><?php esc_html_e( 'Save Thresholds', 'wp-care-connector' ); ?></button>
+    </form>
+</div>
@@ -0,0 +1,181 @@
+<?php
+/**
+ * File Integrity admin page template.
+ *
+ * Scans are started and followed by admin/js/integrity.js.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ *
+ * @var array      $status    Scan status from WP_Care_Integrity::get_status().
+ * @var array|null $results   Last scan results from WP_Care_Integrity::get_results().
+ * @var string     $frequency Scan frequency.
+ * @var int        $changes   Unaccepted changes.
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+$frequency_labels = array(
+    'off'        => __( 'Off', 'wp-care-connector' ),
+    'twicedaily' => __( 'Twice daily', 'wp-care-connector' ),
+    'daily'      => __( 'Daily', 'wp-care-connector' ),
+    'weekly'     => __( 'Weekly', 'wp-care-connector' ),
+);
+
+$change_labels = array(
+    'added'    => __( 'Added', 'wp-care-connector' ),
+    'modified' => __( 'Modified', 'wp-care-connector' ),
+    'deleted'  => __( 'Deleted', 'wp-care-connector' ),
+);
+
+$date_format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+?>
+<div class="wrap wp-care-wrap">
+    <h1><?php esc_html_e( 'File Integrity', 'wp-care-connector' ); ?></h1>
+    <p class="description"><?php esc_html_e( 'Compares WordPress core, plugin, theme and must-use plugin files against a baseline of known-good hashes, and flags PHP files in the uploads folder.', 'wp-care-connector' ); ?></p>
+
+    <!-- Status -->
+    <div class="card wp-care-integrity-status">
+        <h2 style="margin-top: 0;">
+            <span class="dashicons dashicons-shield" style="color: #2271b1;"></span>
+            <?php esc_html_e( 'Status', 'wp-care-connector' ); ?>
+        </h2>
+        <table class="form-table" role="presentation">
+            <tr>
+                <th scope="row"><?php esc_html_e( 'Baseline', 'wp-care-connector' ); ?></th>
+                <td>
+                    <?php if ( $status['baseline'] ) : ?>
+                        <?php
+                        /* translators: 1: number of files, 2: date */
+                        echo esc_html( sprintf( __( '%1$s files, last changed %2$s', 'wp-care-connector' ), number_format_i18n( $status['baseline']['files'] ), get_date_from_gmt( gmdate( 'Y-m-d H:i:s', $status['baseline']['updated_at'] ), $date_format ) ) );
+                        ?>
+                    <?php else : ?>
+                        <?php esc_html_e( 'None yet. The first scan records the baseline.', 'wp-care-connector' ); ?>
+                    <?php endif; ?>
+                </td>
+            </tr>
+            <tr>
+                <th scope="row"><?php esc_html_e( 'Last scan', 'wp-care-connector' ); ?></th>
+                <td>
+                    <?php if ( $status['last_scan'] ) : ?>
+                        <?php
+                        /* translators: 1: date, 2: number of files */
+                        echo esc_html( sprintf( __( '%1$s, %2$s files checked', 'wp-care-connector' ), get_date_from_gmt( gmdate( 'Y-m-d H:i:s', $status['last_scan']['finished_at'] ), $date_format ), number_format_i18n( $status['last_scan']['files'] ) ) );
+                        ?>
+                    <?php else : ?>
+                        <?php esc_html_e( 'Never', 'wp-care-connector' ); ?>
+                    <?php endif; ?>
+                </td>
+            </tr>
+            <tr>
+                <th scope="row"><label for="wp-care-integrity-frequency"><?php esc_html_e( 'Scheduled scans', 'wp-care-connector' ); ?></label></th>
+                <td>
+                    <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" class="wp-care-inline-form">
+                        <?php wp_nonce_field( 'wp_care_integrity_settings', '_wpnonce' ); ?>
+                        <input type="hidden" name="action" value="wp_care_save_integrity_settings">
+                        <select name="frequency" id="wp-care-integrity-frequency">
+                            <?php foreach ( $frequency_labels as $value => $label ) : ?>
+                            <option value="<?php echo esc_attr( $value ); ?>" <?php selected( $frequency, $value ); ?>><?php echo esc_html( $label ); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                        <button type="submit" class="button"><?php esc_html_e( 'Save', 'wp-care-connector' ); ?></button>
+                    </form>
+                </td>
+            </tr>
+        </table>
+
+        <p>
+            <button type="button" class="button button-primary wp-care-integrity-start" data-mode="scan"><?php esc_html_e( 'Scan Now', 'wp-care-connector' ); ?></button>
+            <?php if ( $status['baseline'] ) : ?>
+            <button type="button" class="button wp-care-integrity-start" data-mode="baseline"><?php esc_html_e( 'Record New Baseline', 'wp-care-connector' ); ?></button>
+            <?php endif; ?>
+        </p>
+
+        <!-- Progress (shown by integrity.js) -->
+        <div id="wp-care-integrity-progress" data-running="<?php echo $status['current'] ? '1' : '0'; ?>" style="display: none;">
+            <div class="wp-care-progress-bar">
+                <div class="wp-care-progress-fill" style="width: 0%;"></div>
+            </div>
+            <p class="wp-care-progress-status"><?php esc_html_e( 'Listing files...', 'wp-care-connector' ); ?></p>
+        </div>
+    </div>
+
+    <?php if ( $results && $status['baseline'] ) : ?>
+
+    <!-- PHP files in uploads -->
+    <?php if ( ! empty( $results['uploads_php'] ) ) : ?>
+    <div class="notice notice-error inline wp-care-integrity-uploads">
+        <p>
+            <strong><?php esc_html_e( 'PHP files in the uploads folder', 'wp-care-connector' ); ?></strong>
+            <?php esc_html_e( 'Uploads should only hold media. PHP here is a common sign of a compromise; check each file and delete any you don\'t recognise.', 'wp-care-connector' ); ?>
+        </p>
+        <ul>
+            <?php foreach ( $results['uploads_php'] as $file ) : ?>
+            <li>
+                <code><?php echo esc_html( WP_Care_Integrity::get_display_path( $file['path'] ) ); ?></code>
+                <?php if ( $file['new'] ) : ?>
+                    <span class="wp-care-integrity-change is-added"><?php esc_html_e( 'New', 'wp-care-connector' ); ?></span>
+                <?php endif; ?>
+            </li>
+            <?php endforeach; ?>
+        </ul>
+    </div>
+    <?php endif; ?>
+
+    <!-- Changes -->
+    <h2>
+        <?php
+        /* translators: %s: number of changed files */
+        echo esc_html( sprintf( _n( '%s Change Since the Baseline', '%s Changes Since the Baseline', $changes, 'wp-care-connector' ), number_format_i18n( $changes ) ) );
+        ?>
+    </h2>
+
+    <?php if ( ! $changes ) : ?>
+        <p><?php esc_html_e( 'Every monitored file matches the baseline.', 'wp-care-connector' ); ?></p>
+    <?php else : ?>
+        <p class="description"><?php esc_html_e( 'Accept changes you expect, such as updates you installed, so later scans only report what is new.', 'wp-care-connector' ); ?></p>
+
+        <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" id="wp-care-integrity-changes">
+            <?php wp_nonce_field( 'wp_care_integrity_accept', '_wpnonce' ); ?>
+            <input type="hidden" name="action" value="wp_care_integrity_accept">
+
+            <table class="widefat striped">
+                <thead>
+                    <tr>
+                        <td class="check-column"><input type="checkbox" id="wp-care-integrity-all"></td>
+                        <th><?php esc_html_e( 'File', 'wp-care-connector' ); ?></th>
+                        <th><?php esc_html_e( 'Change', 'wp-care-connector' ); ?></th>
+                        <th><?php esc_html_e( 'Size', 'wp-care-connector' ); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php foreach ( $change_labels as $type => $label ) : ?>
+                        <?php foreach ( $results[ $type ] as $file ) : ?>
+                        <tr>
+                            <th scope="row" class="check-column">
+                                <input type="checkbox" name="paths[]" value="<?php echo esc_attr( $file['path'] ); ?>">
+                            </th>
+                            <td><code><?php echo esc_html( WP_Care_Integrity::get_display_path( $file['path'] ) ); ?></code></td>
+                            <td><span class="wp-care-integrity-change is-<?php echo esc_attr( $type ); ?>"><?php echo esc_html( $label ); ?></span></td>
+                            <td><?php echo esc_html( size_format( $file['size'] ) ); ?></td>
+                        </tr>
+                        <?php endforeach; ?>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+
+            <?php if ( $results['truncated'] ) : ?>
+                <p class="description"><?php esc_html_e( 'Only the first 500 changes of each kind are listed. Accept All covers every change.', 'wp-care-connector' ); ?></p>
+            <?php endif; ?>
+
+            <p>
+                <button type="submit" class="button" name="accept" value="selected"><?php esc_html_e( 'Accept Selected', 'wp-care-connector' ); ?></button>
+                <button type="submit" class="button" name="accept" value="all" id="wp-care-integrity-accept-all"><?php esc_html_e( 'Accept All', 'wp-care-connector' ); ?></button>
+            </p>
+        </form>
+    <?php endif; ?>
+
+    <?php endif; ?>
+</div>
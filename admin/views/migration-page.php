@@ -5,7 +5,24 @@
  * @package WP_Care_Connector
  * @since 1.2.0
  *
- * @var array $migrations List of existing migrations.
+ * @var array $migrations  List of existing migrations.
+ * @var array $interrupted Exports and restores that were started but not finished.
+ * @var array $schedule    Scheduled export settings.
+ * @var array $schedule_status Scheduled export run status (current, last_run, failures).
+ * @var int[] $upcoming_runs   Timestamps of the next scheduled exports.
+ * @var array $retention   Retention policy (keep_last, keep_daily, keep_weekly).
+ * @var array $storage_types   Off-site storage types (type => class, label).
+ * @var array $storage_targets Configured off-site storage targets, with 'location'.
+ * @var array $incremental_bases Exports an incremental export can build on.
+ * @var int[] $dependents        Number of incrementals that need each export, keyed by ID.
+ * @var array $transfer_tokens   Transfer tokens issued by this site, keyed by ID.
+ * @var array $presets           Saved export rule presets, keyed by ID.
+ * @var string[] $db_tables      Tables in the site database.
+ * @var array $jobs              Background jobs started by remote commands, keyed by ID.
+ * @var array|null $staging      Staging site (status, directory, path, url, prefix, timestamps).
+ * @var array|null $staging_unfinished Staging create or push that has not finished.
+ * @var string[] $staging_tables  Staging tables a push can copy, without prefix.
+ * @var string[] $staging_folders wp-content folders a push can copy.
  */
 
 if ( ! defined( 'ABSPATH' ) ) {
@@ -35,6 +52,42 @@ if ( ! defined( 'ABSPATH' ) ) {
                 <p><?php esc_html_e( 'Upload a .zip migration file from another site.', 'wp-care-connector' ); ?></p>
             </div>
         </div>
+        <div class="wp-care-action-card" id="wp-care-btn-transfer">
+            <div class="wp-care-action-card-header">
+                <span class="dashicons dashicons-randomize"></span>
+                <?php esc_html_e( 'Pull from Another Site', 'wp-care-connector' ); ?>
+            </div>
+            <div class="wp-care-action-card-body">
+                <p><?php esc_html_e( 'Copy a migration straight from another site, without downloading it first.', 'wp-care-connector' ); ?></p>
+            </div>
+        </div>
+        <div class="wp-care-action-card" id="wp-care-btn-schedule">
+            <div class="wp-care-action-card-header">
+                <span class="dashicons dashicons-clock"></span>
+                <?php esc_html_e( 'Schedule & Retention', 'wp-care-connector' ); ?>
+            </div>
+            <div class="wp-care-action-card-body">
+                <p><?php esc_html_e( 'Create migrations automatically and choose how many to keep.', 'wp-care-connector' ); ?></p>
+            </div>
+        </div>
+        <div class="wp-care-action-card" id="wp-care-btn-storage">
+            <div class="wp-care-action-card-header">
+                <span class="dashicons dashicons-cloud"></span>
+                <?php esc_html_e( 'Off-site Storage', 'wp-care-connector' ); ?>
+            </div>
+            <div class="wp-care-action-card-body">
+                <p><?php esc_html_e( 'Copy migrations to S3, SFTP or WebDAV, and pull them back to restore.', 'wp-care-connector' ); ?></p>
+            </div>
+        </div>
+        <div class="wp-care-action-card" id="wp-care-btn-staging">
+            <div class="wp-care-action-card-header">
+                <span class="dashicons dashicons-admin-multisite"></span>
+                <?php esc_html_e( 'Staging Site', 'wp-care-connector' ); ?>
+            </div>
+            <div class="wp-care-action-card-body">
+                <p><?php esc_html_e( 'Try changes on a private copy of this site, then push them to live.', 'wp-care-connector' ); ?></p>
+            </div>
+        </div>
     </div>
 
     <!-- Create Migration Panel (hidden by default) -->
@@ -44,6 +97,46 @@ if ( ! defined( 'ABSPATH' ) ) {
             <button type="button" class="wp-care-panel-close">&times;</button>
         </h2>
 
+        <div class="wp-care-export-preset">
+            <label for="wp-care-export-preset"><strong><?php esc_html_e( 'Preset', 'wp-care-connector' ); ?></strong></label>
+            <select id="wp-care-export-preset">
+                <option value=""><?php esc_html_e( '— Custom —', 'wp-care-connector' ); ?></option>
+                <?php foreach ( $presets as $preset ) : ?>
+                <option value="<?php echo esc_attr( $preset['id'] ); ?>"><?php echo esc_html( $preset['name'] ); ?></option>
+                <?php endforeach; ?>
+            </select>
+            <button type="button" id="wp-care-preset-save" class="button"><?php esc_html_e( 'Save as Preset…', 'wp-care-connector' ); ?></button>
+            <button type="button" id="wp-care-preset-delete" class="button button-link-delete" disabled><?php esc_html_e( 'Delete Preset', 'wp-care-connector' ); ?></button>
+        </div>
+
+        <div class="wp-care-export-type">
+            <h3 style="margin-bottom: 8px;"><?php esc_html_e( 'Export type', 'wp-care-connector' ); ?></h3>
+            <label><input type="radio" name="wp_care_export_type" value="full" checked> <?php esc_html_e( 'Full — everything selected below', 'wp-care-connector' ); ?></label>
+            <label>
+                <input type="radio" name="wp_care_export_type" value="incremental" <?php disabled( empty( $incremental_bases ) ); ?>>
+                <?php esc_html_e( 'Incremental — only files added, changed or deleted since', 'wp-care-connector' ); ?>
+                <select id="wp-care-export-base" disabled>
+                    <?php foreach ( $incremental_bases as $base ) : ?>
+                    <option value="<?php echo esc_attr( $base['id'] ); ?>">
+                        <?php
+                        echo esc_html( date_i18n( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), strtotime( $base['created_at'] ) ) );
+                        if ( ! empty( $base['chain'] ) ) {
+                            echo ' ' . esc_html__( '(incremental)', 'wp-care-connector' );
+                        }
+                        ?>
+                    </option>
+                    <?php endforeach; ?>
+                </select>
+            </label>
+            <p class="description">
+                <?php if ( empty( $incremental_bases ) ) : ?>
+                    <?php esc_html_e( 'Create a full export on this site first to use it as a base.', 'wp-care-connector' ); ?>
+                <?php else : ?>
+                    <?php esc_html_e( 'Incremental exports reuse the options of their base and need every export in their chain to restore. The database is always exported in full.', 'wp-care-connector' ); ?>
+                <?php endif; ?>
+            </p>
+        </div>
+
         <div class="wp-care-migration-checkboxes">
             <div>
                 <h3 style="margin-bottom: 8px;"><?php esc_html_e( 'Include in migration', 'wp-care-connector' ); ?></h3>
@@ -63,11 +156,67 @@ if ( ! defined( 'ABSPATH' ) ) {
             </div>
         </div>
 
+        <details class="wp-care-export-rules">
+            <summary><?php esc_html_e( 'Custom rules', 'wp-care-connector' ); ?></summary>
+            <table class="form-table" role="presentation">
+                <tr>
+                    <th scope="row"><label for="wp-care-opt-exclude_patterns"><?php esc_html_e( 'Exclude patterns', 'wp-care-connector' ); ?></label></th>
+                    <td>
+                        <textarea id="wp-care-opt-exclude_patterns" rows="4" class="large-text code" placeholder="<?php echo esc_attr( "uploads/backup-*
+*.log
+node_modules" ); ?>"></textarea>
+                        <p class="description"><?php esc_html_e( 'One pattern per line. Patterns with a slash match the path inside wp-content; patterns without one match file and folder names anywhere.', 'wp-care-connector' ); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="wp-care-opt-max_file_size"><?php esc_html_e( 'Skip files larger than', 'wp-care-connector' ); ?></label></th>
+                    <td>
+                        <input type="number" id="wp-care-opt-max_file_size" min="0" class="small-text" value="0">
+                        <?php esc_html_e( 'MB (0 for no limit)', 'wp-care-connector' ); ?>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="wp-care-opt-extra_folders"><?php esc_html_e( 'Extra folders', 'wp-care-connector' ); ?></label></th>
+                    <td>
+                        <textarea id="wp-care-opt-extra_folders" rows="3" class="large-text code" placeholder="downloads"></textarea>
+                        <p class="description"><?php esc_html_e( 'Folders outside wp-content to include, one per line, relative to the WordPress root. They are restored to the same place. Core folders are not allowed.', 'wp-care-connector' ); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="wp-care-table-mode"><?php esc_html_e( 'Database tables', 'wp-care-connector' ); ?></label></th>
+                    <td>
+                        <select id="wp-care-table-mode">
+                            <option value="all"><?php esc_html_e( 'All tables', 'wp-care-connector' ); ?></option>
+                            <option value="include"><?php esc_html_e( 'Only the selected tables', 'wp-care-connector' ); ?></option>
+                            <option value="exclude"><?php esc_html_e( 'All except the selected tables', 'wp-care-connector' ); ?></option>
+                        </select>
+                        <br>
+                        <select id="wp-care-opt-tables" multiple size="8" class="wp-care-table-list" disabled>
+                            <?php foreach ( $db_tables as $table ) : ?>
+                            <option value="<?php echo esc_attr( $table ); ?>"><?php echo esc_html( $table ); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                    </td>
+                </tr>
+            </table>
+        </details>
+
+        <div class="wp-care-export-encrypt">
+            <label><input type="checkbox" id="wp-care-export-encrypt"> <?php esc_html_e( 'Encrypt the package with a passphrase', 'wp-care-connector' ); ?></label>
+            <div id="wp-care-export-passphrase" class="wp-care-passphrase-fields" style="display: none;">
+                <input type="password" id="wp-care-export-passphrase-1" class="regular-text" autocomplete="new-password" placeholder="<?php esc_attr_e( 'Passphrase', 'wp-care-connector' ); ?>">
+                <input type="password" id="wp-care-export-passphrase-2" class="regular-text" autocomplete="new-password" placeholder="<?php esc_attr_e( 'Confirm passphrase', 'wp-care-connector' ); ?>">
+                <p class="description"><?php esc_html_e( 'Recommended when the package is emailed or kept in a cloud drive: it contains the database, including password hashes and API secrets. The passphrase is not stored anywhere and is needed to restore the package.', 'wp-care-connector' ); ?></p>
+            </div>
+        </div>
+
         <div style="margin-top: 20px;">
             <button id="wp-care-migration-start" class="button button-primary">
                 <span class="dashicons dashicons-migrate" style="vertical-align: middle; margin-right: 4px;"></span>
                 <?php esc_html_e( 'Create Migration', 'wp-care-connector' ); ?>
             </button>
+            <button type="button" id="wp-care-migration-estimate" class="button"><?php esc_html_e( 'Estimate Size', 'wp-care-connector' ); ?></button>
+            <span id="wp-care-export-estimate" class="wp-care-export-estimate"></span>
         </div>
     </div>
 
@@ -81,7 +230,7 @@ if ( ! defined( 'ABSPATH' ) ) {
         <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" enctype="multipart/form-data" id="wp-care-upload-form">
             <?php wp_nonce_field( 'wp_care_upload_migration', '_wpnonce' ); ?>
             <input type="hidden" name="action" value="wp_care_upload_migration">
-            <input type="file" id="wp-care-file-input" name="migration_file" accept=".zip" required style="position: absolute; left: -9999px;">
+            <input type="file" id="wp-care-file-input" name="migration_file" accept=".zip,.enc" required style="position: absolute; left: -9999px;">
 
             <!-- Drop Zone -->
             <div class="wp-care-upload-zone" id="wp-care-upload-zone">
@@ -90,15 +239,16 @@ if ( ! defined( 'ABSPATH' ) ) {
                 <p class="wp-care-upload-or"><?php esc_html_e( 'or', 'wp-care-connector' ); ?></p>
                 <button type="button" class="button" id="wp-care-browse-btn"><?php esc_html_e( 'Browse Files', 'wp-care-connector' ); ?></button>
                 <p class="wp-care-upload-hint">
-                    <?php
-                    printf(
-                        esc_html__( '.zip files only — Maximum size: %s', 'wp-care-connector' ),
-                        esc_html( size_format( wp_max_upload_size() ) )
-                    );
-                    ?>
+                    <?php esc_html_e( '.zip or encrypted .zip.enc files only — large archives are uploaded in chunks and can be resumed if interrupted.', 'wp-care-connector' ); ?>
                 </p>
             </div>
 
+            <!-- Interrupted uploads remembered by the browser -->
+            <div class="wp-care-upload-pending" id="wp-care-upload-pending" style="display: none;">
+                <p id="wp-care-upload-pending-text"></p>
+                <ul id="wp-care-upload-pending-list"></ul>
+            </div>
+
             <!-- Selected File -->
             <div class="wp-care-upload-file" id="wp-care-upload-file" style="display: none;">
                 <span class="dashicons dashicons-media-archive"></span>
@@ -118,6 +268,463 @@ if ( ! defined( 'ABSPATH' ) ) {
         </form>
     </div>
 
+    <!-- Schedule & Retention Panel (hidden by default) -->
+    <div id="wp-care-panel-schedule" class="card wp-care-panel" style="display: none;">
+        <h2>
+            <?php esc_html_e( 'Schedule & Retention', 'wp-care-connector' ); ?>
+            <button type="button" class="wp-care-panel-close">&times;</button>
+        </h2>
+
+        <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" id="wp-care-schedule-form">
+            <?php wp_nonce_field( 'wp_care_save_migration_schedule', '_wpnonce' ); ?>
+            <input type="hidden" name="action" value="wp_care_save_migration_schedule">
+
+            <table class="form-table" role="presentation">
+                <tr>
+                    <th scope="row"><?php esc_html_e( 'Automatic exports', 'wp-care-connector' ); ?></th>
+                    <td>
+                        <label><input type="checkbox" name="enabled" value="1" <?php checked( ! empty( $schedule['enabled'] ) ); ?>> <?php esc_html_e( 'Create migrations on a schedule', 'wp-care-connector' ); ?></label>
+                        <p class="description"><?php esc_html_e( 'Runs in the background with WP-Cron, so it needs site traffic or a real cron job calling wp-cron.php.', 'wp-care-connector' ); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="wp-care-schedule-frequency"><?php esc_html_e( 'Frequency', 'wp-care-connector' ); ?></label></th>
+                    <td>
+                        <select name="frequency" id="wp-care-schedule-frequency">
+                            <option value="daily" <?php selected( $schedule['frequency'], 'daily' ); ?>><?php esc_html_e( 'Daily', 'wp-care-connector' ); ?></option>
+                            <option value="weekly" <?php selected( $schedule['frequency'], 'weekly' ); ?>><?php esc_html_e( 'Weekly', 'wp-care-connector' ); ?></option>
+                            <option value="custom" <?php selected( $schedule['frequency'], 'custom' ); ?>><?php esc_html_e( 'Custom interval', 'wp-care-connector' ); ?></option>
+                        </select>
+                        <span class="wp-care-schedule-field" data-frequency="weekly">
+                            <select name="weekday" aria-label="<?php esc_attr_e( 'Day of the week', 'wp-care-connector' ); ?>">
+                                <?php
+                                global $wp_locale;
+                                for ( $day = 0; $day < 7; $day++ ) :
+                                ?>
+                                <option value="<?php echo esc_attr( $day ); ?>" <?php selected( (int) $schedule['weekday'], $day ); ?>><?php echo esc_html( $wp_locale->get_weekday( $day ) ); ?></option>
+                                <?php endfor; ?>
+                            </select>
+                        </span>
+                        <span class="wp-care-schedule-field" data-frequency="daily weekly">
+                            <?php esc_html_e( 'at', 'wp-care-connector' ); ?>
+                            <input type="time" name="time" value="<?php echo esc_attr( $schedule['time'] ); ?>">
+                        </span>
+                        <span class="wp-care-schedule-field" data-frequency="custom">
+                            <?php esc_html_e( 'every', 'wp-care-connector' ); ?>
+                            <input type="number" name="custom_hours" min="1" max="168" class="small-text" value="<?php echo esc_attr( $schedule['custom_hours'] ); ?>">
+                            <?php esc_html_e( 'hours', 'wp-care-connector' ); ?>
+                        </span>
+                        <p class="description"><?php esc_html_e( 'Times are in the site\'s timezone.', 'wp-care-connector' ); ?></p>
+                    </td>
+                </tr>
+                <?php if ( ! empty( $presets ) ) : ?>
+                <tr>
+                    <th scope="row"><label for="wp-care-schedule-preset"><?php esc_html_e( 'Preset', 'wp-care-connector' ); ?></label></th>
+                    <td>
+                        <select name="options[preset]" id="wp-care-schedule-preset">
+                            <option value=""><?php esc_html_e( 'None — use the options below', 'wp-care-connector' ); ?></option>
+                            <?php foreach ( $presets as $preset ) : ?>
+                            <option value="<?php echo esc_attr( $preset['id'] ); ?>" <?php selected( isset( $schedule['options']['preset'] ) ? $schedule['options']['preset'] : '', $preset['id'] ); ?>><?php echo esc_html( $preset['name'] ); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                    </td>
+                </tr>
+                <?php endif; ?>
+            </table>
+
+            <div class="wp-care-migration-checkboxes">
+                <div>
+                    <h3 style="margin-bottom: 8px;"><?php esc_html_e( 'Include in migration', 'wp-care-connector' ); ?></h3>
+                    <label><input type="checkbox" name="options[include_database]" value="1" <?php checked( ! empty( $schedule['options']['include_database'] ) ); ?>> <?php esc_html_e( 'Database', 'wp-care-connector' ); ?></label>
+                    <label><input type="checkbox" name="options[include_themes]" value="1" <?php checked( ! empty( $schedule['options']['include_themes'] ) ); ?>> <?php esc_html_e( 'Themes', 'wp-care-connector' ); ?></label>
+                    <label><input type="checkbox" name="options[include_plugins]" value="1" <?php checked( ! empty( $schedule['options']['include_plugins'] ) ); ?>> <?php esc_html_e( 'Plugins', 'wp-care-connector' ); ?></label>
+                    <label><input type="checkbox" name="options[include_uploads]" value="1" <?php checked( ! empty( $schedule['options']['include_uploads'] ) ); ?>> <?php esc_html_e( 'Media / Uploads', 'wp-care-connector' ); ?></label>
+                    <label><input type="checkbox" name="options[include_mu_plugins]" value="1" <?php checked( ! empty( $schedule['options']['include_mu_plugins'] ) ); ?>> <?php esc_html_e( 'Must-Use Plugins', 'wp-care-connector' ); ?></label>
+                </div>
+                <div>
+                    <h3 style="margin-top: 16px; margin-bottom: 8px;"><?php esc_html_e( 'Exclusions', 'wp-care-connector' ); ?></h3>
+                    <label><input type="checkbox" name="options[exclude_cache]" value="1" <?php checked( ! empty( $schedule['options']['exclude_cache'] ) ); ?>> <?php esc_html_e( 'Exclude cache files', 'wp-care-connector' ); ?></label>
+                    <label><input type="checkbox" name="options[exclude_inactive_themes]" value="1" <?php checked( ! empty( $schedule['options']['exclude_inactive_themes'] ) ); ?>> <?php esc_html_e( 'Exclude inactive themes', 'wp-care-connector' ); ?></label>
+                    <label><input type="checkbox" name="options[exclude_inactive_plugins]" value="1" <?php checked( ! empty( $schedule['options']['exclude_inactive_plugins'] ) ); ?>> <?php esc_html_e( 'Exclude inactive plugins', 'wp-care-connector' ); ?></label>
+                    <label><input type="checkbox" name="options[exclude_spam_comments]" value="1" <?php checked( ! empty( $schedule['options']['exclude_spam_comments'] ) ); ?>> <?php esc_html_e( 'Exclude spam comments', 'wp-care-connector' ); ?></label>
+                    <label><input type="checkbox" name="options[exclude_post_revisions]" value="1" <?php checked( ! empty( $schedule['options']['exclude_post_revisions'] ) ); ?>> <?php esc_html_e( 'Exclude post revisions', 'wp-care-connector' ); ?></label>
+                </div>
+            </div>
+
+            <h3 style="margin-top: 20px;"><?php esc_html_e( 'Retention', 'wp-care-connector' ); ?></h3>
+            <p class="description"><?php esc_html_e( 'Applied after every new migration, whether created manually, on schedule or uploaded. A migration is kept if any rule keeps it.', 'wp-care-connector' ); ?></p>
+            <table class="form-table" role="presentation">
+                <tr>
+                    <th scope="row"><label for="wp-care-retention-last"><?php esc_html_e( 'Keep latest', 'wp-care-connector' ); ?></label></th>
+                    <td>
+                        <input type="number" name="retention[keep_last]" id="wp-care-retention-last" min="1" max="50" class="small-text" value="<?php echo esc_attr( $retention['keep_last'] ); ?>">
+                        <?php esc_html_e( 'migrations', 'wp-care-connector' ); ?>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="wp-care-retention-daily"><?php esc_html_e( 'Keep daily', 'wp-care-connector' ); ?></label></th>
+                    <td>
+                        <input type="number" name="retention[keep_daily]" id="wp-care-retention-daily" min="0" max="31" class="small-text" value="<?php echo esc_attr( $retention['keep_daily'] ); ?>">
+                        <?php esc_html_e( 'days (newest migration of each day)', 'wp-care-connector' ); ?>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="wp-care-retention-weekly"><?php esc_html_e( 'Keep weekly', 'wp-care-connector' ); ?></label></th>
+                    <td>
+                        <input type="number" name="retention[keep_weekly]" id="wp-care-retention-weekly" min="0" max="52" class="small-text" value="<?php echo esc_attr( $retention['keep_weekly'] ); ?>">
+                        <?php esc_html_e( 'weeks (newest migration of each week)', 'wp-care-connector' ); ?>
+                    </td>
+                </tr>
+            </table>
+
+            <div style="margin-top: 20px;">
+                <button type="submit" class="button button-primary"><?php esc_html_e( 'Save Schedule', 'wp-care-connector' ); ?></button>
+            </div>
+        </form>
+    </div>
+
+    <!-- Off-site Storage Panel (hidden by default) -->
+    <div id="wp-care-panel-storage" class="card wp-care-panel" style="display: none;">
+        <h2>
+            <?php esc_html_e( 'Off-site Storage', 'wp-care-connector' ); ?>
+            <button type="button" class="wp-care-panel-close">&times;</button>
+        </h2>
+
+        <?php if ( ! empty( $storage_targets ) ) : ?>
+        <table class="widefat striped wp-care-storage-targets">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e( 'Target', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Location', 'wp-care-connector' ); ?></th>
+                    <th style="text-align: center;"><?php esc_html_e( 'Actions', 'wp-care-connector' ); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ( $storage_targets as $target ) : ?>
+                <tr>
+                    <td>
+                        <strong><?php echo esc_html( $target['label'] ); ?></strong>
+                        <br><small style="color: #666;"><?php echo esc_html( isset( $storage_types[ $target['type'] ] ) ? $storage_types[ $target['type'] ]['label'] : $target['type'] ); ?></small>
+                    </td>
+                    <td>
+                        <code><?php echo esc_html( $target['location'] ); ?></code>
+                        <br><small class="wp-care-storage-test-result" data-target="<?php echo esc_attr( $target['id'] ); ?>"></small>
+                    </td>
+                    <td style="text-align: center;">
+                        <button type="button" class="button button-small wp-care-storage-test-btn" data-target="<?php echo esc_attr( $target['id'] ); ?>">
+                            <?php esc_html_e( 'Test', 'wp-care-connector' ); ?>
+                        </button>
+                        <button type="button" class="button button-small wp-care-storage-browse-btn" data-target="<?php echo esc_attr( $target['id'] ); ?>">
+                            <?php esc_html_e( 'Remote Archives', 'wp-care-connector' ); ?>
+                        </button>
+                        <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" style="display: inline;">
+                            <?php wp_nonce_field( 'wp_care_delete_storage_target', '_wpnonce' ); ?>
+                            <input type="hidden" name="action" value="wp_care_delete_storage_target">
+                            <input type="hidden" name="target_id" value="<?php echo esc_attr( $target['id'] ); ?>">
+                            <button type="submit" class="button button-small button-link-delete" onclick="return confirm('<?php esc_attr_e( 'Remove this storage target? Archives already copied to it are kept there.', 'wp-care-connector' ); ?>');">
+                                <?php esc_html_e( 'Remove', 'wp-care-connector' ); ?>
+                            </button>
+                        </form>
+                    </td>
+                </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+
+        <!-- Archives on the selected target, filled in by JS -->
+        <div id="wp-care-remote-archives" class="wp-care-remote-archives" style="display: none;">
+            <h3 id="wp-care-remote-archives-title"></h3>
+            <p id="wp-care-remote-archives-status" class="description"></p>
+            <table class="widefat striped" style="display: none;">
+                <thead>
+                    <tr>
+                        <th><?php esc_html_e( 'Date', 'wp-care-connector' ); ?></th>
+                        <th><?php esc_html_e( 'Site', 'wp-care-connector' ); ?></th>
+                        <th><?php esc_html_e( 'Size', 'wp-care-connector' ); ?></th>
+                        <th style="text-align: center;"><?php esc_html_e( 'Actions', 'wp-care-connector' ); ?></th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        </div>
+        <?php else : ?>
+        <p class="description"><?php esc_html_e( 'No storage targets yet. Add one below and every new migration is copied to it automatically.', 'wp-care-connector' ); ?></p>
+        <?php endif; ?>
+
+        <h3 style="margin-top: 20px;"><?php esc_html_e( 'Add Storage Target', 'wp-care-connector' ); ?></h3>
+        <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" id="wp-care-storage-form">
+            <?php wp_nonce_field( 'wp_care_add_storage_target', '_wpnonce' ); ?>
+            <input type="hidden" name="action" value="wp_care_add_storage_target">
+
+            <table class="form-table" role="presentation">
+                <tr>
+                    <th scope="row"><label for="wp-care-storage-type"><?php esc_html_e( 'Type', 'wp-care-connector' ); ?></label></th>
+                    <td>
+                        <select name="type" id="wp-care-storage-type">
+                            <?php foreach ( $storage_types as $type => $info ) : ?>
+                            <option value="<?php echo esc_attr( $type ); ?>"><?php echo esc_html( $info['label'] ); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="wp-care-storage-label"><?php esc_html_e( 'Name', 'wp-care-connector' ); ?></label></th>
+                    <td><input type="text" name="label" id="wp-care-storage-label" class="regular-text" placeholder="<?php esc_attr_e( 'e.g. Offsite MinIO', 'wp-care-connector' ); ?>"></td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="wp-care-storage-prefix"><?php esc_html_e( 'Folder', 'wp-care-connector' ); ?></label></th>
+                    <td>
+                        <input type="text" name="prefix" id="wp-care-storage-prefix" class="regular-text" placeholder="<?php echo esc_attr( 'wp-care/' . sanitize_file_name( wp_parse_url( home_url(), PHP_URL_HOST ) ) ); ?>">
+                        <p class="description"><?php esc_html_e( 'Where archives are stored on the target. Use the same folder on a new server to pull this site\'s archives back.', 'wp-care-connector' ); ?></p>
+                    </td>
+                </tr>
+                <?php foreach ( $storage_types as $type => $info ) : ?>
+                    <?php foreach ( call_user_func( array( $info['class'], 'get_fields' ) ) as $key => $field ) : ?>
+                    <?php
+                    $field_id   = 'wp-care-storage-' . $type . '-' . $key;
+                    $field_type = isset( $field['type'] ) ? $field['type'] : 'text';
+                    ?>
+                    <tr class="wp-care-storage-fields" data-type="<?php echo esc_attr( $type ); ?>">
+                        <th scope="row"><label for="<?php echo esc_attr( $field_id ); ?>"><?php echo esc_html( $field['label'] ); ?></label></th>
+                        <td>
+                            <?php if ( $field_type === 'checkbox' ) : ?>
+                                <input type="checkbox" name="fields[<?php echo esc_attr( $type ); ?>][<?php echo esc_attr( $key ); ?>]" id="<?php echo esc_attr( $field_id ); ?>" value="1">
+                            <?php else : ?>
+                                <input type="<?php echo esc_attr( $field_type ); ?>" name="fields[<?php echo esc_attr( $type ); ?>][<?php echo esc_attr( $key ); ?>]" id="<?php echo esc_attr( $field_id ); ?>" class="regular-text"
+                                    <?php echo ! empty( $field['placeholder'] ) ? 'placeholder="' . esc_attr( $field['placeholder'] ) . '"' : ''; ?>
+                                    <?php echo $field_type === 'password' ? 'autocomplete="new-password"' : ''; ?>
+                                    <?php echo ! empty( $field['required'] ) ? 'data-required="1"' : ''; ?>>
+                            <?php endif; ?>
+                            <?php if ( ! empty( $field['description'] ) ) : ?>
+                                <p class="description"><?php echo esc_html( $field['description'] ); ?></p>
+                            <?php endif; ?>
+                        </td>
+                    </tr>
+                    <?php endforeach; ?>
+                <?php endforeach; ?>
+            </table>
+
+            <button type="submit" class="button button-primary"><?php esc_html_e( 'Add & Test Connection', 'wp-care-connector' ); ?></button>
+        </form>
+    </div>
+
+    <!-- Site-to-site Transfer Panel (hidden by default) -->
+    <div id="wp-care-panel-transfer" class="card wp-care-panel" style="display: none;">
+        <h2>
+            <?php esc_html_e( 'Pull from Another Site', 'wp-care-connector' ); ?>
+            <button type="button" class="wp-care-panel-close">&times;</button>
+        </h2>
+
+        <p class="description"><?php esc_html_e( 'On the site you are moving from, create a transfer token below for the migration you want, then enter it here. The archive is copied directly between the two servers and checked before you restore it.', 'wp-care-connector' ); ?></p>
+
+        <table class="form-table" role="presentation">
+            <tr>
+                <th scope="row"><label for="wp-care-transfer-url"><?php esc_html_e( 'Source site', 'wp-care-connector' ); ?></label></th>
+                <td><input type="url" id="wp-care-transfer-url" class="regular-text" placeholder="https://old-site.example.com"></td>
+            </tr>
+            <tr>
+                <th scope="row"><label for="wp-care-transfer-token"><?php esc_html_e( 'Transfer token', 'wp-care-connector' ); ?></label></th>
+                <td><input type="text" id="wp-care-transfer-token" class="large-text code" autocomplete="off"></td>
+            </tr>
+        </table>
+
+        <button type="button" id="wp-care-transfer-start" class="button button-primary">
+            <span class="dashicons dashicons-randomize" style="vertical-align: middle; margin-right: 4px;"></span>
+            <?php esc_html_e( 'Pull & Restore', 'wp-care-connector' ); ?>
+        </button>
+
+        <h3 style="margin-top: 24px;"><?php esc_html_e( 'Send a Migration from This Site', 'wp-care-connector' ); ?></h3>
+        <?php
+        $transferable = array_filter( $migrations, function( $m ) {
+            return empty( $m['chain'] );
+        } );
+        ?>
+        <?php if ( ! empty( $transferable ) ) : ?>
+        <p>
+            <select id="wp-care-transfer-migration">
+                <?php foreach ( $transferable as $m ) : ?>
+                <option value="<?php echo esc_attr( $m['id'] ); ?>">
+                    <?php echo esc_html( date_i18n( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), strtotime( $m['created_at'] ) ) . ' (' . $m['archive_size_human'] . ')' ); ?>
+                </option>
+                <?php endforeach; ?>
+            </select>
+            <button type="button" id="wp-care-transfer-token-create" class="button"><?php esc_html_e( 'Create Transfer Token', 'wp-care-connector' ); ?></button>
+        </p>
+        <div id="wp-care-transfer-token-result" class="wp-care-transfer-token-result" style="display: none;">
+            <p><?php esc_html_e( 'Enter this site address and token on the destination site. The token is shown only once, works for a single transfer and expires in 24 hours.', 'wp-care-connector' ); ?></p>
+            <p><input type="text" id="wp-care-transfer-token-site" class="regular-text code" readonly></p>
+            <p><input type="text" id="wp-care-transfer-token-value" class="large-text code" readonly></p>
+        </div>
+        <p class="description" id="wp-care-transfer-token-status"></p>
+        <?php else : ?>
+        <p class="description"><?php esc_html_e( 'Create a full migration on this site first to send it to another site.', 'wp-care-connector' ); ?></p>
+        <?php endif; ?>
+
+        <?php if ( ! empty( $transfer_tokens ) ) : ?>
+        <table class="widefat striped" style="margin-top: 12px;">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e( 'Token', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Migration', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Status', 'wp-care-connector' ); ?></th>
+                    <th style="text-align: center;"><?php esc_html_e( 'Actions', 'wp-care-connector' ); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ( $transfer_tokens as $token ) : ?>
+                <tr>
+                    <td><code><?php echo esc_html( $token['id'] ); ?></code></td>
+                    <td><code><?php echo esc_html( $token['migration_id'] ); ?></code></td>
+                    <td>
+                        <?php
+                        if ( $token['used_at'] ) {
+                            /* translators: %s: time since the transfer completed */
+                            echo esc_html( sprintf( __( 'Used %s ago', 'wp-care-connector' ), human_time_diff( $token['used_at'] ) ) );
+                        } elseif ( $token['expires_at'] < time() ) {
+                            esc_html_e( 'Expired', 'wp-care-connector' );
+                        } elseif ( $token['last_seen'] ) {
+                            /* translators: %s: time since the last request */
+                            echo esc_html( sprintf( __( 'Transferring (last request %s ago)', 'wp-care-connector' ), human_time_diff( $token['last_seen'] ) ) );
+                        } else {
+                            /* translators: %s: time until the token expires */
+                            echo esc_html( sprintf( __( 'Unused, expires in %s', 'wp-care-connector' ), human_time_diff( $token['expires_at'] ) ) );
+                        }
+                        ?>
+                    </td>
+                    <td style="text-align: center;">
+                        <?php if ( ! $token['used_at'] && $token['expires_at'] >= time() ) : ?>
+                        <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" style="display: inline;">
+                            <?php wp_nonce_field( 'wp_care_revoke_transfer_token', '_wpnonce' ); ?>
+                            <input type="hidden" name="action" value="wp_care_revoke_transfer_token">
+                            <input type="hidden" name="token_id" value="<?php echo esc_attr( $token['id'] ); ?>">
+                            <button type="submit" class="button button-small button-link-delete"><?php esc_html_e( 'Revoke', 'wp-care-connector' ); ?></button>
+                        </form>
+                        <?php endif; ?>
+                    </td>
+                </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+        <?php endif; ?>
+    </div>
+
+    <!-- Staging Site Panel (hidden by default) -->
+    <div id="wp-care-panel-staging" class="card wp-care-panel" style="display: none;">
+        <h2>
+            <?php esc_html_e( 'Staging Site', 'wp-care-connector' ); ?>
+            <button type="button" class="wp-care-panel-close">&times;</button>
+        </h2>
+
+        <?php if ( is_multisite() ) : ?>
+        <p class="description"><?php esc_html_e( 'Staging sites are not supported on multisite networks.', 'wp-care-connector' ); ?></p>
+        <?php elseif ( ! $staging ) : ?>
+        <p class="description"><?php esc_html_e( 'Copies the database and files into a subfolder of this site with its own table prefix. The copy is hidden from search engines and cannot send email.', 'wp-care-connector' ); ?></p>
+
+        <table class="form-table" role="presentation">
+            <tr>
+                <th scope="row"><label for="wp-care-staging-directory"><?php esc_html_e( 'Folder', 'wp-care-connector' ); ?></label></th>
+                <td>
+                    <code><?php echo esc_html( trailingslashit( site_url() ) ); ?></code><input type="text" id="wp-care-staging-directory" class="regular-text" value="staging">
+                </td>
+            </tr>
+            <tr>
+                <th scope="row"><?php esc_html_e( 'Media', 'wp-care-connector' ); ?></th>
+                <td>
+                    <label><input type="checkbox" id="wp-care-staging-uploads" checked> <?php esc_html_e( 'Copy the uploads folder', 'wp-care-connector' ); ?></label>
+                    <p class="description"><?php esc_html_e( 'Leave unchecked on sites with large media libraries; images will be missing on the staging site.', 'wp-care-connector' ); ?></p>
+                </td>
+            </tr>
+        </table>
+
+        <button type="button" id="wp-care-staging-create" class="button button-primary">
+            <span class="dashicons dashicons-admin-multisite" style="vertical-align: middle; margin-right: 4px;"></span>
+            <?php esc_html_e( 'Create Staging Site', 'wp-care-connector' ); ?>
+        </button>
+        <?php else : ?>
+        <p>
+            <?php if ( $staging['status'] === 'ready' ) : ?>
+            <a href="<?php echo esc_url( $staging['url'] ); ?>" target="_blank" rel="noopener"><strong><?php echo esc_html( $staging['url'] ); ?></strong></a>
+            <br><small style="color: #666;">
+            <?php
+            /* translators: %s: time since the staging site was created */
+            echo esc_html( sprintf( __( 'Created %s ago', 'wp-care-connector' ), human_time_diff( strtotime( $staging['created_at'] ) ) ) );
+            if ( $staging['pushed_at'] ) {
+                /* translators: %s: time since the last push */
+                echo ' &middot; ' . esc_html( sprintf( __( 'last pushed %s ago', 'wp-care-connector' ), human_time_diff( strtotime( $staging['pushed_at'] ) ) ) );
+            }
+            ?>
+            </small>
+            <?php else : ?>
+            <strong><?php esc_html_e( 'The staging site was not finished.', 'wp-care-connector' ); ?></strong>
+            <?php endif; ?>
+        </p>
+
+        <?php if ( $staging_unfinished ) : ?>
+        <div class="notice notice-<?php echo $staging_unfinished['error'] ? 'error' : 'warning'; ?> inline">
+            <p>
+                <?php
+                if ( $staging_unfinished['error'] ) {
+                    echo esc_html( $staging_unfinished['error'] );
+                } elseif ( $staging_unfinished['type'] === 'push' ) {
+                    /* translators: %d: percentage */
+                    echo esc_html( sprintf( __( 'A push to live stopped at %d%%. Resume it to finish replacing the live tables and files.', 'wp-care-connector' ), $staging_unfinished['progress'] ) );
+                } else {
+                    /* translators: %d: percentage */
+                    echo esc_html( sprintf( __( 'Creating the staging site stopped at %d%%.', 'wp-care-connector' ), $staging_unfinished['progress'] ) );
+                }
+                ?>
+            </p>
+            <?php if ( $staging_unfinished['error'] && ! empty( $staging_unfinished['checkpoint_id'] ) ) : ?>
+            <p>
+                <?php
+                /* translators: %s: checkpoint ID */
+                echo esc_html( sprintf( __( 'The live site may be partly updated. Roll back to checkpoint %s from the Tools page if needed.', 'wp-care-connector' ), $staging_unfinished['checkpoint_id'] ) );
+                ?>
+            </p>
+            <?php endif; ?>
+            <?php if ( ! $staging_unfinished['error'] ) : ?>
+            <p>
+                <button type="button" id="wp-care-staging-resume" class="button button-primary" data-type="<?php echo esc_attr( $staging_unfinished['type'] ); ?>">
+                    <?php esc_html_e( 'Resume', 'wp-care-connector' ); ?>
+                </button>
+            </p>
+            <?php endif; ?>
+        </div>
+        <?php endif; ?>
+
+        <?php if ( $staging['status'] === 'ready' && ! ( $staging_unfinished && ! $staging_unfinished['error'] ) ) : ?>
+        <h3><?php esc_html_e( 'Push to Live', 'wp-care-connector' ); ?></h3>
+        <p class="description"><?php esc_html_e( 'The selected tables and folders replace the live ones, with URLs changed back to the live site. A checkpoint is created first. The live site address, search engine visibility, scheduled tasks, WP Care settings and login sessions are kept.', 'wp-care-connector' ); ?></p>
+
+        <div class="wp-care-migration-checkboxes wp-care-staging-push">
+            <div>
+                <h3><?php esc_html_e( 'Database tables', 'wp-care-connector' ); ?></h3>
+                <?php foreach ( $staging_tables as $table ) : ?>
+                <label><input type="checkbox" class="wp-care-staging-table" value="<?php echo esc_attr( $table ); ?>"> <code><?php echo esc_html( $table ); ?></code></label>
+                <?php endforeach; ?>
+            </div>
+            <div>
+                <h3><?php esc_html_e( 'Folders in wp-content', 'wp-care-connector' ); ?></h3>
+                <?php foreach ( $staging_folders as $folder ) : ?>
+                <label><input type="checkbox" class="wp-care-staging-folder" value="<?php echo esc_attr( $folder ); ?>"> <code><?php echo esc_html( $folder ); ?></code></label>
+                <?php endforeach; ?>
+            </div>
+        </div>
+
+        <button type="button" id="wp-care-staging-push" class="button button-primary">
+            <span class="dashicons dashicons-upload" style="vertical-align: middle; margin-right: 4px;"></span>
+            <?php esc_html_e( 'Push to Live', 'wp-care-connector' ); ?>
+        </button>
+        <?php endif; ?>
+
+        <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" id="wp-care-staging-delete-form" style="margin-top: 20px;">
+            <?php wp_nonce_field( 'wp_care_delete_staging', '_wpnonce' ); ?>
+            <input type="hidden" name="action" value="wp_care_delete_staging">
+            <button type="submit" class="button button-link-delete" onclick="return confirm('<?php esc_attr_e( 'Delete the staging site? Its tables and folder are removed; the live site is not changed.', 'wp-care-connector' ); ?>');"><?php esc_html_e( 'Delete Staging Site', 'wp-care-connector' ); ?></button>
+        </form>
+        <?php endif; ?>
+    </div>
+
     <!-- Progress Section (shown during export/restore, hides everything else) -->
     <div id="wp-care-migration-progress" class="card" style="padding: 20px; margin-top: 20px; display: none;">
         <h2 id="wp-care-progress-title" style="margin-top: 0;"><?php esc_html_e( 'Migration Progress', 'wp-care-connector' ); ?></h2>
@@ -154,11 +761,256 @@ if ( ! defined( 'ABSPATH' ) ) {
         <p id="wp-care-restore-checkpoint" style="color: #666;"></p>
     </div>
 
+    <!-- Staging Complete Section -->
+    <div id="wp-care-staging-complete" class="card" style="padding: 20px; margin-top: 20px; display: none;">
+        <h2 style="margin-top: 0; color: #00a32a;">
+            <span class="dashicons dashicons-yes-alt" style="vertical-align: middle;"></span>
+            <span id="wp-care-staging-complete-title"></span>
+        </h2>
+        <p><a href="#" id="wp-care-staging-complete-link" target="_blank" rel="noopener"></a></p>
+        <p id="wp-care-staging-checkpoint" style="color: #666;"></p>
+    </div>
+
     <!-- Error Section -->
     <div id="wp-care-migration-error" class="notice notice-error" style="margin-top: 20px; display: none;">
         <p id="wp-care-migration-error-message"></p>
     </div>
 
+    <!-- Scheduled Exports Status -->
+    <?php if ( ! empty( $schedule['enabled'] ) || ! empty( $schedule_status['last_run'] ) ) : ?>
+    <div id="wp-care-schedule-status" class="card wp-care-schedule-status">
+        <h2 style="margin-top: 0;"><?php esc_html_e( 'Scheduled Exports', 'wp-care-connector' ); ?></h2>
+        <?php $datetime_format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' ); ?>
+        <div class="wp-care-schedule-status-grid">
+            <div>
+                <h3><?php esc_html_e( 'Upcoming', 'wp-care-connector' ); ?></h3>
+                <?php if ( ! empty( $schedule_status['current'] ) ) : ?>
+                    <p>
+                        <span class="dashicons dashicons-update"></span>
+                        <?php
+                        /* translators: %s: human-readable time difference */
+                        echo esc_html( sprintf( __( 'Running now (started %s ago)', 'wp-care-connector' ), human_time_diff( strtotime( $schedule_status['current']['started_at'] ) ) ) );
+                        ?>
+                    </p>
+                <?php endif; ?>
+                <?php if ( ! empty( $upcoming_runs ) ) : ?>
+                    <ul>
+                        <?php foreach ( $upcoming_runs as $run ) : ?>
+                        <li><?php echo esc_html( get_date_from_gmt( gmdate( 'Y-m-d H:i:s', $run ), $datetime_format ) ); ?></li>
+                        <?php endforeach; ?>
+                    </ul>
+                <?php else : ?>
+                    <p><?php esc_html_e( 'Automatic exports are turned off.', 'wp-care-connector' ); ?></p>
+                <?php endif; ?>
+            </div>
+            <div>
+                <h3><?php esc_html_e( 'Last run', 'wp-care-connector' ); ?></h3>
+                <?php $last_run = $schedule_status['last_run']; ?>
+                <?php if ( empty( $last_run ) ) : ?>
+                    <p><?php esc_html_e( 'No scheduled export has run yet.', 'wp-care-connector' ); ?></p>
+                <?php elseif ( $last_run['status'] === 'success' ) : ?>
+                    <p class="wp-care-verify-passed">
+                        <span class="dashicons dashicons-yes-alt"></span>
+                        <?php
+                        /* translators: 1: date and time, 2: archive size */
+                        echo esc_html( sprintf( __( 'Completed %1$s (%2$s)', 'wp-care-connector' ), get_date_from_gmt( gmdate( 'Y-m-d H:i:s', strtotime( $last_run['finished_at'] ) ), $datetime_format ), $last_run['size'] ) );
+                        ?>
+                    </p>
+                <?php else : ?>
+                    <p class="wp-care-verify-failed">
+                        <span class="dashicons dashicons-warning"></span>
+                        <?php
+                        /* translators: %s: date and time */
+                        echo esc_html( sprintf( __( 'Failed %s', 'wp-care-connector' ), get_date_from_gmt( gmdate( 'Y-m-d H:i:s', strtotime( $last_run['finished_at'] ) ), $datetime_format ) ) );
+                        ?>
+                        <br><small><?php echo esc_html( $last_run['error'] ); ?></small>
+                    </p>
+                <?php endif; ?>
+                <p class="description">
+                    <?php
+                    /* translators: 1: latest count, 2: daily count, 3: weekly count */
+                    echo esc_html( sprintf( __( 'Retention: latest %1$d, daily %2$d, weekly %3$d.', 'wp-care-connector' ), $retention['keep_last'], $retention['keep_daily'], $retention['keep_weekly'] ) );
+                    ?>
+                </p>
+            </div>
+        </div>
+        <?php if ( ! empty( $schedule_status['failures'] ) ) : ?>
+        <details class="wp-care-schedule-failures">
+            <summary>
+                <?php
+                /* translators: %d: number of failures */
+                echo esc_html( sprintf( _n( '%d recent failure', '%d recent failures', count( $schedule_status['failures'] ), 'wp-care-connector' ), count( $schedule_status['failures'] ) ) );
+                ?>
+            </summary>
+            <ul>
+                <?php foreach ( $schedule_status['failures'] as $failure ) : ?>
+                <li>
+                    <strong><?php echo esc_html( get_date_from_gmt( gmdate( 'Y-m-d H:i:s', strtotime( $failure['finished_at'] ) ), $datetime_format ) ); ?></strong>
+                    &mdash; <?php echo esc_html( $failure['error'] ); ?>
+                </li>
+                <?php endforeach; ?>
+            </ul>
+        </details>
+        <?php endif; ?>
+    </div>
+    <?php endif; ?>
+
+    <!-- Interrupted Operations (exports/restores left behind by a reload or closed tab) -->
+    <?php if ( ! empty( $interrupted ) ) : ?>
+    <div id="wp-care-interrupted" class="card wp-care-interrupted">
+        <h2 style="margin-top: 0;"><?php esc_html_e( 'Unfinished Operations', 'wp-care-connector' ); ?></h2>
+        <p class="description"><?php esc_html_e( 'These were interrupted before they finished, for example by reloading the page. Resume to continue where they stopped.', 'wp-care-connector' ); ?></p>
+        <table class="widefat striped">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e( 'Operation', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Last Activity', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Stopped At', 'wp-care-connector' ); ?></th>
+                    <th style="text-align: center;"><?php esc_html_e( 'Actions', 'wp-care-connector' ); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ( $interrupted as $op ) : ?>
+                <tr data-id="<?php echo esc_attr( $op['migration_id'] ); ?>">
+                    <td>
+                        <?php if ( $op['type'] === 'restore' ) : ?>
+                            <span class="dashicons dashicons-backup" style="font-size: 14px; width: 14px; height: 14px; vertical-align: middle;"></span>
+                            <?php esc_html_e( 'Restore', 'wp-care-connector' ); ?>
+                        <?php else : ?>
+                            <span class="dashicons dashicons-migrate" style="font-size: 14px; width: 14px; height: 14px; vertical-align: middle;"></span>
+                            <?php if ( ! empty( $op['source'] ) && $op['source'] === 'scheduled' ) : ?>
+                                <?php esc_html_e( 'Scheduled Export', 'wp-care-connector' ); ?>
+                            <?php else : ?>
+                                <?php esc_html_e( 'Export', 'wp-care-connector' ); ?>
+                            <?php endif; ?>
+                        <?php endif; ?>
+                        <br><small style="color: #666;"><?php echo esc_html( $op['migration_id'] ); ?></small>
+                    </td>
+                    <td>
+                        <?php echo esc_html( human_time_diff( strtotime( $op['updated_at'] ) ) ); ?> <?php esc_html_e( 'ago', 'wp-care-connector' ); ?>
+                    </td>
+                    <td>
+                        <?php
+                        /* translators: 1: phase name, 2: percentage */
+                        echo esc_html( sprintf( __( '%1$s (%2$d%%)', 'wp-care-connector' ), ucfirst( $op['phase'] ), $op['progress'] ) );
+                        ?>
+                        <br><small style="color: #666;">
+                        <?php
+                        if ( ! empty( $op['error'] ) ) {
+                            echo esc_html( $op['error'] );
+                        } elseif ( $op['type'] === 'restore' && ! empty( $op['total_entries'] ) ) {
+                            /* translators: 1: files extracted, 2: total files */
+                            echo esc_html( sprintf( __( '%1$d / %2$d files restored', 'wp-care-connector' ), $op['extracted_files'], $op['total_entries'] ) );
+                        } elseif ( $op['type'] === 'export' && ! empty( $op['total_files_count'] ) ) {
+                            /* translators: 1: files archived, 2: total files */
+                            echo esc_html( sprintf( __( '%1$d / %2$d files archived', 'wp-care-connector' ), $op['archived_files'], $op['total_files_count'] ) );
+                        } elseif ( $op['type'] === 'export' && ! empty( $op['total_tables'] ) ) {
+                            /* translators: 1: tables exported, 2: total tables */
+                            echo esc_html( sprintf( __( '%1$d / %2$d tables exported', 'wp-care-connector' ), $op['table_index'], $op['total_tables'] ) );
+                        }
+                        ?>
+                        </small>
+                    </td>
+                    <td style="text-align: center;">
+                        <?php if ( empty( $op['error'] ) ) : ?>
+                        <button type="button" class="button button-small button-primary wp-care-resume-btn" data-id="<?php echo esc_attr( $op['migration_id'] ); ?>" data-type="<?php echo esc_attr( $op['type'] ); ?>">
+                            <?php esc_html_e( 'Resume', 'wp-care-connector' ); ?>
+                        </button>
+                        <?php endif; ?>
+                        <button type="button" class="button button-small button-link-delete wp-care-discard-btn" data-id="<?php echo esc_attr( $op['migration_id'] ); ?>" data-type="<?php echo esc_attr( $op['type'] ); ?>">
+                            <?php esc_html_e( 'Discard', 'wp-care-connector' ); ?>
+                        </button>
+                    </td>
+                </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+    </div>
+    <?php endif; ?>
+
+    <!-- Background Jobs (exports/restores queued by remote commands) -->
+    <?php if ( ! empty( $jobs ) ) : ?>
+    <div id="wp-care-jobs" class="card wp-care-jobs">
+        <h2 style="margin-top: 0;"><?php esc_html_e( 'Background Jobs', 'wp-care-connector' ); ?></h2>
+        <p class="description"><?php esc_html_e( 'Exports and restores requested remotely run here in the background, without a browser tab open.', 'wp-care-connector' ); ?></p>
+        <table class="widefat striped">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e( 'Job', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Status', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Started', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Result', 'wp-care-connector' ); ?></th>
+                    <th style="text-align: center;"><?php esc_html_e( 'Actions', 'wp-care-connector' ); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ( $jobs as $job ) : ?>
+                <?php $job_active = in_array( $job['status'], array( 'queued', 'running' ), true ); ?>
+                <tr data-id="<?php echo esc_attr( $job['id'] ); ?>"<?php echo $job_active ? ' class="is-active"' : ''; ?>>
+                    <td>
+                        <?php if ( $job['type'] === 'restore' ) : ?>
+                            <span class="dashicons dashicons-backup" style="font-size: 14px; width: 14px; height: 14px; vertical-align: middle;"></span>
+                            <?php esc_html_e( 'Restore', 'wp-care-connector' ); ?>
+                        <?php else : ?>
+                            <span class="dashicons dashicons-migrate" style="font-size: 14px; width: 14px; height: 14px; vertical-align: middle;"></span>
+                            <?php esc_html_e( 'Export', 'wp-care-connector' ); ?>
+                        <?php endif; ?>
+                        <br><small style="color: #666;"><?php echo esc_html( $job['id'] ); ?></small>
+                    </td>
+                    <td class="wp-care-job-status">
+                        <span class="wp-care-job-badge is-<?php echo esc_attr( $job['status'] ); ?>"><?php echo esc_html( ucfirst( $job['status'] ) ); ?></span>
+                        <?php if ( $job['status'] === 'running' ) : ?>
+                            <br><small class="wp-care-job-progress">
+                                <?php
+                                $job_phase = $job['stage'] === 'verify' ? __( 'Verifying package', 'wp-care-connector' ) : ucfirst( (string) $job['phase'] );
+                                /* translators: 1: phase name, 2: percentage */
+                                echo esc_html( sprintf( __( '%1$s (%2$d%%)', 'wp-care-connector' ), $job_phase, $job['progress'] ) );
+                                ?>
+                            </small>
+                        <?php endif; ?>
+                    </td>
+                    <td>
+                        <?php $job_started = $job['started_at'] ? $job['started_at'] : $job['created_at']; ?>
+                        <?php echo esc_html( human_time_diff( strtotime( $job_started ) ) ); ?> <?php esc_html_e( 'ago', 'wp-care-connector' ); ?>
+                    </td>
+                    <td>
+                        <?php if ( ! empty( $job['error'] ) ) : ?>
+                            <span style="color: #d63638;"><?php echo esc_html( $job['error'] ); ?></span>
+                        <?php elseif ( ! empty( $job['migration_id'] ) ) : ?>
+                            <code><?php echo esc_html( $job['migration_id'] ); ?></code>
+                            <?php if ( ! empty( $job['result']['archive_size_human'] ) ) : ?>
+                                <br><small style="color: #666;"><?php echo esc_html( $job['result']['archive_size_human'] ); ?></small>
+                            <?php endif; ?>
+                        <?php else : ?>
+                            &mdash;
+                        <?php endif; ?>
+                    </td>
+                    <td style="text-align: center;">
+                        <?php if ( $job_active ) : ?>
+                        <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" class="wp-care-cancel-job-form" style="display: inline;">
+                            <?php wp_nonce_field( 'wp_care_cancel_job', '_wpnonce' ); ?>
+                            <input type="hidden" name="action" value="wp_care_cancel_job">
+                            <input type="hidden" name="job_id" value="<?php echo esc_attr( $job['id'] ); ?>">
+                            <button type="submit" class="button button-small button-link-delete">
+                                <?php esc_html_e( 'Cancel', 'wp-care-connector' ); ?>
+                            </button>
+                        </form>
+                        <?php endif; ?>
+                    </td>
+                </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+    </div>
+    <?php endif; ?>
+
+    <!-- Verification Result (shown after a Verify run) -->
+    <div id="wp-care-verify-result" class="card" style="padding: 20px; margin-top: 20px; display: none;">
+        <h2 id="wp-care-verify-result-title" style="margin-top: 0;"></h2>
+        <p id="wp-care-verify-result-summary"></p>
+        <ul id="wp-care-verify-result-list" class="wp-care-replace-list"></ul>
+    </div>
+
     <!-- Available Migrations Table -->
     <div id="wp-care-migrations-table">
         <h2><?php esc_html_e( 'Available Migrations', 'wp-care-connector' ); ?></h2>
@@ -169,15 +1021,56 @@ if ( ! defined( 'ABSPATH' ) ) {
                     <th><?php esc_html_e( 'Date', 'wp-care-connector' ); ?></th>
                     <th><?php esc_html_e( 'Source', 'wp-care-connector' ); ?></th>
                     <th><?php esc_html_e( 'Size', 'wp-care-connector' ); ?></th>
+                    <?php if ( ! empty( $storage_targets ) ) : ?>
+                    <th><?php esc_html_e( 'Off-site', 'wp-care-connector' ); ?></th>
+                    <?php endif; ?>
                     <th style=" text-align: center;"><?php esc_html_e( 'Actions', 'wp-care-connector' ); ?></th>
                 </tr>
             </thead>
             <tbody>
+                <?php
+                $migration_dates = array();
+                foreach ( $migrations as $m ) {
+                    $migration_dates[ $m['id'] ] = date_i18n( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), strtotime( $m['created_at'] ) );
+                }
+                ?>
                 <?php foreach ( $migrations as $m ) : ?>
                 <tr>
                     <td>
-                        <?php echo esc_html( date_i18n( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), strtotime( $m['created_at'] ) ) ); ?>
+                        <?php echo esc_html( $migration_dates[ $m['id'] ] ); ?>
                         <br><small style="color: #666;"><?php echo esc_html( human_time_diff( strtotime( $m['created_at'] ) ) ); ?> <?php esc_html_e( 'ago', 'wp-care-connector' ); ?></small>
+                        <?php if ( ! empty( $m['chain'] ) ) : ?>
+                            <div class="wp-care-chain">
+                                <strong><?php esc_html_e( 'Incremental', 'wp-care-connector' ); ?></strong>
+                                <?php
+                                /* translators: 1: files archived, 2: files deleted */
+                                echo esc_html( sprintf( __( '%1$d changed, %2$d deleted', 'wp-care-connector' ), $m['total_files'], $m['deleted_files'] ) );
+                                ?>
+                                <ol>
+                                    <?php foreach ( $m['chain'] as $base_id ) : ?>
+                                    <?php if ( isset( $migration_dates[ $base_id ] ) ) : ?>
+                                    <li><?php echo esc_html( $migration_dates[ $base_id ] ); ?></li>
+                                    <?php else : ?>
+                                    <li class="wp-care-chain-missing">
+                                        <?php
+                                        /* translators: %s: migration ID */
+                                        echo esc_html( sprintf( __( '%s (missing)', 'wp-care-connector' ), $base_id ) );
+                                        ?>
+                                    </li>
+                                    <?php endif; ?>
+                                    <?php endforeach; ?>
+                                    <li><?php esc_html_e( 'This export', 'wp-care-connector' ); ?></li>
+                                </ol>
+                            </div>
+                        <?php endif; ?>
+                        <?php if ( ! empty( $dependents[ $m['id'] ] ) ) : ?>
+                            <br><small class="wp-care-chain-base">
+                                <?php
+                                /* translators: %d: number of incremental exports */
+                                echo esc_html( sprintf( _n( 'Base for %d incremental export', 'Base for %d incremental exports', $dependents[ $m['id'] ], 'wp-care-connector' ), $dependents[ $m['id'] ] ) );
+                                ?>
+                            </small>
+                        <?php endif; ?>
                     </td>
                     <td>
                         <?php if ( ! empty( $m['source'] ) && $m['source'] === 'upload' ) : ?>
@@ -186,17 +1079,116 @@ if ( ! defined( 'ABSPATH' ) ) {
                             <?php if ( ! empty( $m['site_url'] ) && $m['site_url'] !== 'unknown' ) : ?>
                                 <br><small style="color: #666;"><?php echo esc_html( $m['site_url'] ); ?></small>
                             <?php endif; ?>
+                        <?php elseif ( ! empty( $m['source'] ) && $m['source'] === 'transfer' ) : ?>
+                            <span class="dashicons dashicons-randomize" style="font-size: 14px; width: 14px; height: 14px; vertical-align: middle;"></span>
+                            <?php esc_html_e( 'Pulled from another site', 'wp-care-connector' ); ?>
+                            <br><small style="color: #666;"><?php echo esc_html( $m['transferred_from'] ); ?></small>
+                        <?php elseif ( ! empty( $m['source'] ) && $m['source'] === 'scheduled' ) : ?>
+                            <span class="dashicons dashicons-clock" style="font-size: 14px; width: 14px; height: 14px; vertical-align: middle;"></span>
+                            <?php esc_html_e( 'This site (scheduled)', 'wp-care-connector' ); ?>
+                        <?php elseif ( ! empty( $m['source'] ) && $m['source'] === 'remote' ) : ?>
+                            <span class="dashicons dashicons-cloud" style="font-size: 14px; width: 14px; height: 14px; vertical-align: middle;"></span>
+                            <?php esc_html_e( 'This site (remote command)', 'wp-care-connector' ); ?>
                         <?php else : ?>
                             <span class="dashicons dashicons-admin-site-alt3" style="font-size: 14px; width: 14px; height: 14px; vertical-align: middle;"></span>
                             <?php esc_html_e( 'This site', 'wp-care-connector' ); ?>
                         <?php endif; ?>
+                        <?php if ( ! empty( $m['preset'] ) ) : ?>
+                            <br><small style="color: #666;">
+                                <?php
+                                /* translators: %s: export preset name */
+                                echo esc_html( sprintf( __( 'Preset: %s', 'wp-care-connector' ), $m['preset'] ) );
+                                ?>
+                            </small>
+                        <?php endif; ?>
+                        <?php if ( ! empty( $m['pulled_at'] ) && empty( $m['transferred_from'] ) ) : ?>
+                            <br><small style="color: #666;"><?php esc_html_e( 'Pulled from off-site storage', 'wp-care-connector' ); ?></small>
+                        <?php endif; ?>
                     </td>
-                    <td><?php echo esc_html( $m['archive_size_human'] ); ?></td>
+                    <td>
+                        <?php echo esc_html( $m['archive_size_human'] ); ?>
+                        <?php if ( ! empty( $m['encrypted'] ) ) : ?>
+                            <br><small class="wp-care-encrypted">
+                                <span class="dashicons dashicons-lock"></span>
+                                <?php esc_html_e( 'Encrypted', 'wp-care-connector' ); ?>
+                            </small>
+                        <?php endif; ?>
+                        <?php $verify_status = ! empty( $m['verification']['status'] ) ? $m['verification']['status'] : ''; ?>
+                        <br><small class="wp-care-verify-status<?php echo $verify_status ? ' wp-care-verify-' . esc_attr( $verify_status ) : ''; ?>">
+                            <?php
+                            if ( $verify_status === 'passed' ) {
+                                esc_html_e( 'Verified', 'wp-care-connector' );
+                            } elseif ( $verify_status === 'failed' ) {
+                                esc_html_e( 'Failed verification', 'wp-care-connector' );
+                            }
+                            ?>
+                        </small>
+                    </td>
+                    <?php if ( ! empty( $storage_targets ) ) : ?>
+                    <td class="wp-care-offsite">
+                        <?php
+                        $copies     = ! empty( $m['remote'] ) ? $m['remote'] : array();
+                        $needs_sync = false;
+                        $has_failed = false;
+                        foreach ( $storage_targets as $target_id => $target ) {
+                            if ( ! isset( $copies[ $target_id ] ) ) {
+                                $needs_sync = true;
+                            } elseif ( $copies[ $target_id ]['status'] === 'failed' ) {
+                                $needs_sync = true;
+                                $has_failed = true;
+                            }
+                        }
+                        ?>
+                        <?php foreach ( $copies as $copy ) : ?>
+                            <div class="wp-care-offsite-copy wp-care-offsite-<?php echo esc_attr( $copy['status'] ); ?>" title="<?php echo esc_attr( $copy['location'] ); ?>">
+                                <strong><?php echo esc_html( $copy['label'] ); ?>:</strong>
+                                <?php
+                                if ( $copy['status'] === 'synced' ) {
+                                    esc_html_e( 'Synced', 'wp-care-connector' );
+                                } elseif ( $copy['status'] === 'uploading' ) {
+                                    /* translators: %d: percentage uploaded */
+                                    echo esc_html( sprintf( __( 'Uploading (%d%%)', 'wp-care-connector' ), $copy['size'] > 0 ? floor( 100 * $copy['offset'] / $copy['size'] ) : 0 ) );
+                                } elseif ( $copy['status'] === 'pending' ) {
+                                    esc_html_e( 'Queued', 'wp-care-connector' );
+                                } else {
+                                    esc_html_e( 'Failed', 'wp-care-connector' );
+                                }
+                                ?>
+                                <?php if ( $copy['status'] !== 'synced' && ! empty( $copy['error'] ) ) : ?>
+                                    <br><small><?php echo esc_html( $copy['error'] ); ?></small>
+                                <?php elseif ( ! empty( $copy['location'] ) ) : ?>
+                                    <br><small><code><?php echo esc_html( $copy['location'] ); ?></code></small>
+                                <?php endif; ?>
+                            </div>
+                        <?php endforeach; ?>
+                        <?php if ( $needs_sync ) : ?>
+                            <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+                                <?php wp_nonce_field( 'wp_care_sync_migration', '_wpnonce' ); ?>
+                                <input type="hidden" name="action" value="wp_care_sync_migration">
+                                <input type="hidden" name="migration_id" value="<?php echo esc_attr( $m['id'] ); ?>">
+                                <button type="submit" class="button button-small">
+                                    <span class="dashicons dashicons-cloud-upload" style="vertical-align: middle; font-size: 14px; width: 14px; height: 14px;"></span>
+                                    <?php echo esc_html( $has_failed ? __( 'Retry', 'wp-care-connector' ) : __( 'Copy Off-site', 'wp-care-connector' ) ); ?>
+                                </button>
+                            </form>
+                        <?php endif; ?>
+                    </td>
+                    <?php endif; ?>
                     <td style="text-align: center;">
                         <a href="<?php echo esc_url( wp_nonce_url( admin_url( 'admin-ajax.php?action=wp_care_migration_download&id=' . urlencode( $m['id'] ) ), 'wp_care_migration_download' ) ); ?>" class="button button-small">
                             <?php esc_html_e( 'Download', 'wp-care-connector' ); ?>
                         </a>
-                        <button type="button" class="button button-small wp-care-restore-btn" data-id="<?php echo esc_attr( $m['id'] ); ?>">
+                        <?php if ( ! empty( $m['has_manifest'] ) && empty( $m['encrypted'] ) ) : ?>
+                        <button type="button" class="button button-small wp-care-verify-btn" data-id="<?php echo esc_attr( $m['id'] ); ?>">
+                            <?php esc_html_e( 'Verify', 'wp-care-connector' ); ?>
+                        </button>
+                        <?php endif; ?>
+                        <?php if ( empty( $m['encrypted'] ) ) : ?>
+                        <button type="button" class="button button-small wp-care-browse-btn" data-id="<?php echo esc_attr( $m['id'] ); ?>">
+                            <?php esc_html_e( 'Browse', 'wp-care-connector' ); ?>
+                        </button>
+                        <?php endif; ?>
+                        <button type="button" class="button button-small wp-care-restore-btn" data-id="<?php echo esc_attr( $m['id'] ); ?>" data-encrypted="<?php echo ! empty( $m['encrypted'] ) ? '1' : '0'; ?>">
                             <span class="dashicons dashicons-backup" style="vertical-align: middle; font-size: 14px; width: 14px; height: 14px;"></span>
                             <?php esc_html_e( 'Restore', 'wp-care-connector' ); ?>
                         </button>
@@ -204,7 +1196,12 @@ if ( ! defined( 'ABSPATH' ) ) {
                             <?php wp_nonce_field( 'wp_care_delete_migration', '_wpnonce' ); ?>
                             <input type="hidden" name="action" value="wp_care_delete_migration">
                             <input type="hidden" name="migration_id" value="<?php echo esc_attr( $m['id'] ); ?>">
-                            <button type="submit" class="button button-small button-link-delete" onclick="return confirm('<?php esc_attr_e( 'Delete this migration?', 'wp-care-connector' ); ?>');">
+                            <?php
+                            $delete_confirm = ! empty( $dependents[ $m['id'] ] )
+                                ? __( 'Other incremental exports build on this migration and can no longer be restored without it. Delete it anyway?', 'wp-care-connector' )
+                                : __( 'Delete this migration?', 'wp-care-connector' );
+                            ?>
+                            <button type="submit" class="button button-small button-link-delete" onclick="return confirm('<?php echo esc_js( $delete_confirm ); ?>');">
                                 <?php esc_html_e( 'Delete', 'wp-care-connector' ); ?>
                             </button>
                         </form>
@@ -228,9 +1225,50 @@ if ( ! defined( 'ABSPATH' ) ) {
             <p><strong><?php esc_html_e( 'This will overwrite your current site data.', 'wp-care-connector' ); ?></strong></p>
             <p><?php esc_html_e( 'A database checkpoint will be created before restoring so you can roll back if needed.', 'wp-care-connector' ); ?></p>
 
+            <div id="wp-care-restore-passphrase" class="wp-care-restore-passphrase" style="display: none;">
+                <label for="wp-care-restore-passphrase-input"><strong><?php esc_html_e( 'Package passphrase', 'wp-care-connector' ); ?></strong></label>
+                <input type="password" id="wp-care-restore-passphrase-input" class="regular-text" autocomplete="off">
+                <p class="description"><?php esc_html_e( 'This package is encrypted. The passphrase is checked before anything on this site is changed.', 'wp-care-connector' ); ?></p>
+                <p class="wp-care-restore-passphrase-error" id="wp-care-restore-passphrase-error" style="display: none;"></p>
+            </div>
+
             <div class="wp-care-migration-checkboxes" style="background: #f6f7f7; padding: 12px; border-radius: 4px; margin: 15px 0;">
                 <label><input type="checkbox" id="wp-care-restore-database" checked> <?php esc_html_e( 'Restore database', 'wp-care-connector' ); ?></label>
                 <label><input type="checkbox" id="wp-care-restore-files" checked> <?php esc_html_e( 'Restore files (themes, plugins, uploads)', 'wp-care-connector' ); ?></label>
+                <p style="margin: 8px 0 0;">
+                    <a href="#" id="wp-care-restore-customize"><?php esc_html_e( 'Choose individual tables and folders', 'wp-care-connector' ); ?></a>
+                </p>
+            </div>
+
+            <div id="wp-care-restore-selection" class="wp-care-restore-selection" style="display: none;">
+                <p class="description" id="wp-care-restore-selection-status"></p>
+                <div class="wp-care-restore-selection-group" data-type="table">
+                    <h3>
+                        <?php esc_html_e( 'Database tables', 'wp-care-connector' ); ?>
+                        <a href="#" class="wp-care-select-all"><?php esc_html_e( 'All', 'wp-care-connector' ); ?></a> |
+                        <a href="#" class="wp-care-select-none"><?php esc_html_e( 'None', 'wp-care-connector' ); ?></a>
+                    </h3>
+                    <div class="wp-care-restore-selection-list" id="wp-care-restore-tables"></div>
+                </div>
+                <div class="wp-care-restore-selection-group" data-type="path">
+                    <h3>
+                        <?php esc_html_e( 'Folders in wp-content', 'wp-care-connector' ); ?>
+                        <a href="#" class="wp-care-select-all"><?php esc_html_e( 'All', 'wp-care-connector' ); ?></a> |
+                        <a href="#" class="wp-care-select-none"><?php esc_html_e( 'None', 'wp-care-connector' ); ?></a>
+                    </h3>
+                    <div class="wp-care-restore-selection-list" id="wp-care-restore-paths"></div>
+                </div>
+            </div>
+
+            <div id="wp-care-restore-replace" class="wp-care-restore-replace">
+                <h3><?php esc_html_e( 'Search & Replace', 'wp-care-connector' ); ?></h3>
+                <label><input type="checkbox" id="wp-care-restore-search-replace" checked> <?php esc_html_e( 'Update URLs and paths in the database for this site', 'wp-care-connector' ); ?></label>
+                <p class="description" id="wp-care-restore-replace-note"></p>
+                <ul id="wp-care-restore-replace-detected" class="wp-care-replace-list"></ul>
+                <div id="wp-care-restore-replace-extra"></div>
+                <button type="button" class="button button-small" id="wp-care-restore-replace-add">
+                    <?php esc_html_e( 'Add replacement', 'wp-care-connector' ); ?>
+                </button>
             </div>
 
             <div style="display: flex; gap: 10px; margin-top: 20px;">
@@ -16,6 +16,10 @@
  *   - site_info: array (from SiteMapper)
  *   - connection_status: array (connected, message)
  *   - pending_requests: int
+ *   - api_keys: array (named keys from WP_Care_API_Keys, keyed by ID)
+ *   - api_key_scopes: string[] (scopes a named key can be given)
+ *   - require_nonce: bool (primary key requests must send X-Nonce)
+ *   - new_api_key: array|null (id, secret of a key just created or rotated)
  */
 
 // Security check: prevent direct access
@@ -70,6 +74,131 @@ if ( ! defined( 'ABSPATH' ) ) {
             </table>
         </div>
 
+        <!-- Named API Keys -->
+        <div id="wp-care-api-keys" class="wp-care-status-card wp-care-api-keys">
+            <h2><?php esc_html_e( 'API Keys', 'wp-care-connector' ); ?></h2>
+            <p class="description"><?php esc_html_e( 'Named keys for other tools, each limited to the commands you choose. Requests pick a key with the X-Key-Id header and must send a unique X-Nonce, which is signed with the request.', 'wp-care-connector' ); ?></p>
+
+            <?php if ( ! empty( $status_data['new_api_key']['secret'] ) ) : ?>
+            <div class="notice notice-warning inline wp-care-new-api-key">
+                <p>
+                    <?php
+                    /* translators: %s: API key ID */
+                    echo esc_html( sprintf( __( 'Secret for %s. Copy it now: it will not be shown again.', 'wp-care-connector' ), $status_data['new_api_key']['id'] ) );
+                    ?>
+                </p>
+                <p><input type="text" class="large-text code" readonly value="<?php echo esc_attr( $status_data['new_api_key']['secret'] ); ?>" onfocus="this.select();"></p>
+            </div>
+            <?php endif; ?>
+
+            <?php if ( ! empty( $status_data['api_keys'] ) ) : ?>
+            <table class="widefat striped">
+                <thead>
+                    <tr>
+                        <th><?php esc_html_e( 'Key', 'wp-care-connector' ); ?></th>
+                        <th><?php esc_html_e( 'Commands', 'wp-care-connector' ); ?></th>
+                        <th><?php esc_html_e( 'Expires', 'wp-care-connector' ); ?></th>
+                        <th><?php esc_html_e( 'Last Used', 'wp-care-connector' ); ?></th>
+                        <th style="text-align: center;"><?php esc_html_e( 'Actions', 'wp-care-connector' ); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php foreach ( $status_data['api_keys'] as $key ) : ?>
+                    <tr>
+                        <td>
+                            <strong><?php echo esc_html( $key['name'] ); ?></strong>
+                            <br><small style="color: #666;"><code><?php echo esc_html( $key['id'] ); ?></code> &hellip;<?php echo esc_html( $key['hint'] ); ?></small>
+                        </td>
+                        <td>
+                            <?php if ( in_array( WP_Care_API_Keys::SCOPE_ALL, $key['scopes'], true ) ) : ?>
+                                <?php esc_html_e( 'All commands', 'wp-care-connector' ); ?>
+                            <?php else : ?>
+                                <small><?php echo esc_html( implode( ', ', $key['scopes'] ) ); ?></small>
+                            <?php endif; ?>
+                        </td>
+                        <td>
+                            <?php if ( empty( $key['expires_at'] ) ) : ?>
+                                <?php esc_html_e( 'Never', 'wp-care-connector' ); ?>
+                            <?php elseif ( WP_Care_API_Keys::is_expired( $key ) ) : ?>
+                                <span class="status-warning"><?php esc_html_e( 'Expired', 'wp-care-connector' ); ?></span>
+                            <?php else : ?>
+                                <?php echo esc_html( date_i18n( get_option( 'date_format' ), $key['expires_at'] ) ); ?>
+                            <?php endif; ?>
+                        </td>
+                        <td>
+                            <?php if ( empty( $key['last_used_at'] ) ) : ?>
+                                <?php esc_html_e( 'Never', 'wp-care-connector' ); ?>
+                            <?php else : ?>
+                                <?php echo esc_html( human_time_diff( $key['last_used_at'] ) ); ?> <?php esc_html_e( 'ago', 'wp-care-connector' ); ?>
+                                <br><small style="color: #666;"><?php echo esc_html( trim( $key['last_command'] . ' ' . $key['last_used_ip'] ) ); ?></small>
+                            <?php endif; ?>
+                        </td>
+                        <td style="text-align: center;">
+                            <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" style="display: inline;" onsubmit="return confirm('<?php echo esc_js( __( 'Rotate this key? Tools using the old secret stop working.', 'wp-care-connector' ) ); ?>');">
+                                <?php wp_nonce_field( 'wp_care_api_keys', '_wpnonce' ); ?>
+                                <input type="hidden" name="action" value="wp_care_rotate_api_key">
+                                <input type="hidden" name="key_id" value="<?php echo esc_attr( $key['id'] ); ?>">
+                                <button type="submit" class="button button-small"><?php esc_html_e( 'Rotate', 'wp-care-connector' ); ?></button>
+                            </form>
+                            <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" style="display: inline;" onsubmit="return confirm('<?php echo esc_js( __( 'Revoke this key?', 'wp-care-connector' ) ); ?>');">
+                                <?php wp_nonce_field( 'wp_care_api_keys', '_wpnonce' ); ?>
+                                <input type="hidden" name="action" value="wp_care_revoke_api_key">
+                                <input type="hidden" name="key_id" value="<?php echo esc_attr( $key['id'] ); ?>">
+                                <button type="submit" class="button button-small button-link-delete"><?php esc_html_e( 'Revoke', 'wp-care-connector' ); ?></button>
+                            </form>
+                        </td>
+                    </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+            <?php endif; ?>
+
+            <details class="wp-care-api-key-create">
+                <summary><?php esc_html_e( 'Create a key', 'wp-care-connector' ); ?></summary>
+                <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+                    <?php wp_nonce_field( 'wp_care_api_keys', '_wpnonce' ); ?>
+                    <input type="hidden" name="action" value="wp_care_create_api_key">
+                    <p>
+                        <label for="wp-care-key-name"><?php esc_html_e( 'Name', 'wp-care-connector' ); ?></label><br>
+                        <input type="text" id="wp-care-key-name" name="key_name" class="regular-text" required placeholder="<?php esc_attr_e( 'Uptime monitor', 'wp-care-connector' ); ?>">
+                    </p>
+                    <fieldset>
+                        <legend><?php esc_html_e( 'Access', 'wp-care-connector' ); ?></legend>
+                        <label><input type="radio" name="key_access" value="monitoring" checked> <?php echo esc_html( sprintf( /* translators: %s: list of commands */ __( 'Read-only monitoring (%s)', 'wp-care-connector' ), implode( ', ', WP_Care_API_Keys::get_monitoring_scopes() ) ) ); ?></label><br>
+                        <label><input type="radio" name="key_access" value="all"> <?php esc_html_e( 'All commands', 'wp-care-connector' ); ?></label><br>
+                        <label><input type="radio" name="key_access" value="custom"> <?php esc_html_e( 'Only the commands ticked below', 'wp-care-connector' ); ?></label>
+                    </fieldset>
+                    <div class="wp-care-api-key-scopes">
+                        <?php foreach ( $status_data['api_key_scopes'] as $scope ) : ?>
+                        <label><input type="checkbox" name="key_scopes[]" value="<?php echo esc_attr( $scope ); ?>"> <code><?php echo esc_html( $scope ); ?></code></label>
+                        <?php endforeach; ?>
+                    </div>
+                    <p>
+                        <label for="wp-care-key-expires"><?php esc_html_e( 'Expires', 'wp-care-connector' ); ?></label><br>
+                        <select id="wp-care-key-expires" name="key_expires_in">
+                            <option value="0"><?php esc_html_e( 'Never', 'wp-care-connector' ); ?></option>
+                            <option value="7"><?php esc_html_e( 'In 7 days', 'wp-care-connector' ); ?></option>
+                            <option value="30"><?php esc_html_e( 'In 30 days', 'wp-care-connector' ); ?></option>
+                            <option value="90" selected><?php esc_html_e( 'In 90 days', 'wp-care-connector' ); ?></option>
+                            <option value="365"><?php esc_html_e( 'In a year', 'wp-care-connector' ); ?></option>
+                        </select>
+                    </p>
+                    <button type="submit" class="button button-primary"><?php esc_html_e( 'Create Key', 'wp-care-connector' ); ?></button>
+                </form>
+            </details>
+
+            <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" class="wp-care-api-key-settings">
+                <?php wp_nonce_field( 'wp_care_api_keys', '_wpnonce' ); ?>
+                <input type="hidden" name="action" value="wp_care_save_api_key_settings">
+                <label>
+                    <input type="checkbox" name="require_nonce" value="1" <?php checked( $status_data['require_nonce'] ); ?>>
+                    <?php esc_html_e( 'Require X-Nonce on requests signed with the primary API key', 'wp-care-connector' ); ?>
+                </label>
+                <button type="submit" class="button button-small"><?php esc_html_e( 'Save', 'wp-care-connector' ); ?></button>
+                <br><small class="description"><?php esc_html_e( 'Only turn this off for older tools that cannot send a nonce. Without it, a captured request can be replayed within a minute.', 'wp-care-connector' ); ?></small>
+            </form>
+        </div>
+
         <!-- Site Information -->
         <div class="wp-care-status-card">
             <h2><?php esc_html_e( 'Site Information', 'wp-care-connector' ); ?></h2>
@@ -15,16 +15,103 @@
  *   - user_email: string
  *   - user_name: string
  *   - site_context: array
+ *   - page_url: string URL of this page
+ *   - connected: bool Whether the site is registered with the central API
+ *   - unsent: array Support requests not yet sent to the central API
+ *   - diagnostics: array|null Diagnostics bundle preview, on the form view
+ *   - tickets: array|WP_Error Tickets from WP_Care_Support_Tickets::get_tickets()
+ *   - ticket: array|WP_Error|null Ticket with replies, on the conversation view
+ *   - reply_draft: string Reply that failed to send
  */
 
 // Security check: prevent direct access
 if ( ! defined( 'ABSPATH' ) ) {
     exit;
 }
+
+$ticket_statuses = array(
+    'open'     => __( 'Open', 'wp-care-connector' ),
+    'pending'  => __( 'Waiting for WP Care', 'wp-care-connector' ),
+    'answered' => __( 'Answered', 'wp-care-connector' ),
+    'closed'   => __( 'Closed', 'wp-care-connector' ),
+);
+
+$date_format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+
+$format_date = function ( $date ) use ( $date_format ) {
+    $time = strtotime( $date );
+    return $time ? get_date_from_gmt( gmdate( 'Y-m-d H:i:s', $time ), $date_format ) : '';
+};
+
+$status_label = function ( $status ) use ( $ticket_statuses ) {
+    return isset( $ticket_statuses[ $status ] ) ? $ticket_statuses[ $status ] : ucfirst( $status );
+};
 ?>
 <div class="wrap wp-care-wrap">
     <h1><?php esc_html_e( 'Get Help', 'wp-care-connector' ); ?></h1>
 
+    <?php if ( $form_data['ticket'] !== null ) : ?>
+    <p><a href="<?php echo esc_url( $form_data['page_url'] ); ?>">&larr; <?php esc_html_e( 'All support requests', 'wp-care-connector' ); ?></a></p>
+
+        <?php if ( is_wp_error( $form_data['ticket'] ) ) : ?>
+    <div class="notice notice-error inline">
+        <p>
+            <?php
+            /* translators: %s: error message */
+            echo esc_html( sprintf( __( 'The ticket could not be loaded: %s', 'wp-care-connector' ), $form_data['ticket']->get_error_message() ) );
+            ?>
+        </p>
+    </div>
+        <?php else : ?>
+            <?php $ticket = $form_data['ticket']; ?>
+    <div class="card wp-care-ticket">
+        <h2><?php echo esc_html( $ticket['subject'] ); ?></h2>
+        <p class="wp-care-ticket-meta">
+            <span class="wp-care-ticket-status is-<?php echo esc_attr( $ticket['status'] ); ?>"><?php echo esc_html( $status_label( $ticket['status'] ) ); ?></span>
+            <?php
+            /* translators: 1: date, 2: priority */
+            echo esc_html( sprintf( __( 'Opened %1$s, %2$s priority', 'wp-care-connector' ), $format_date( $ticket['created_at'] ), $ticket['priority'] ) );
+            ?>
+        </p>
+
+        <div class="wp-care-ticket-thread">
+            <div class="wp-care-ticket-message">
+                <div class="wp-care-ticket-message-meta">
+                    <strong><?php esc_html_e( 'You', 'wp-care-connector' ); ?></strong>
+                    <?php echo esc_html( $format_date( $ticket['created_at'] ) ); ?>
+                </div>
+                <?php echo wp_kses_post( wpautop( esc_html( $ticket['message'] ) ) ); ?>
+            </div>
+
+            <?php foreach ( $ticket['replies'] as $reply ) : ?>
+            <div class="wp-care-ticket-message<?php echo $reply['from_agent'] ? ' is-agent' : ''; ?>">
+                <div class="wp-care-ticket-message-meta">
+                    <strong><?php echo esc_html( $reply['author'] !== '' ? $reply['author'] : ( $reply['from_agent'] ? __( 'WP Care', 'wp-care-connector' ) : __( 'You', 'wp-care-connector' ) ) ); ?></strong>
+                    <?php echo esc_html( $format_date( $reply['created_at'] ) ); ?>
+                </div>
+                <?php echo wp_kses_post( wpautop( esc_html( $reply['message'] ) ) ); ?>
+            </div>
+            <?php endforeach; ?>
+        </div>
+
+            <?php if ( $ticket['status'] === 'closed' ) : ?>
+        <p class="description"><?php esc_html_e( 'This ticket is closed. Submit a new request if you need more help.', 'wp-care-connector' ); ?></p>
+            <?php else : ?>
+        <form method="post" action="<?php echo esc_url( $form_data['form_action'] ); ?>" class="wp-care-ticket-reply">
+            <input type="hidden" name="action" value="wp_care_support_reply" />
+            <input type="hidden" name="ticket_id" value="<?php echo esc_attr( $ticket['id'] ); ?>" />
+            <?php echo $form_data['nonce_field']; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>
+            <label for="reply_message" class="screen-reader-text"><?php esc_html_e( 'Reply', 'wp-care-connector' ); ?></label>
+            <textarea id="reply_message" name="reply_message" rows="5" class="large-text" required placeholder="<?php esc_attr_e( 'Write a reply', 'wp-care-connector' ); ?>"><?php echo esc_textarea( $form_data['reply_draft'] ); ?></textarea>
+            <p>
+                <button type="submit" class="button button-primary"><?php esc_html_e( 'Send Reply', 'wp-care-connector' ); ?></button>
+            </p>
+        </form>
+            <?php endif; ?>
+    </div>
+        <?php endif; ?>
+    <?php else : ?>
+
     <div class="wp-care-support-form-container">
         <div class="wp-care-form-intro">
             <p><?php esc_html_e( 'Need assistance with your website? Submit a support request below and our team will help you.', 'wp-care-connector' ); ?></p>
@@ -96,6 +183,23 @@ if ( ! defined( 'ABSPATH' ) ) {
                         </td>
                     </tr>
 
+                    <tr>
+                        <th scope="row">
+                            <?php esc_html_e( 'Diagnostics', 'wp-care-connector' ); ?>
+                        </th>
+                        <td>
+                            <label for="support_diagnostics">
+                                <input type="checkbox" id="support_diagnostics" name="support_diagnostics" value="1" />
+                                <?php esc_html_e( 'Include a diagnostics bundle', 'wp-care-connector' ); ?>
+                            </label>
+                            <p class="description"><?php esc_html_e( 'Recent PHP errors, active plugins with versions, scheduled task health, and a summary of .htaccess and wp-config.php. Passwords, keys, email addresses and file paths are removed.', 'wp-care-connector' ); ?></p>
+                            <details class="wp-care-diagnostics-preview">
+                                <summary><?php esc_html_e( 'Preview what is sent', 'wp-care-connector' ); ?></summary>
+                                <pre><?php echo esc_html( wp_json_encode( $form_data['diagnostics'], JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES ) ); ?></pre>
+                            </details>
+                        </td>
+                    </tr>
+
                     <tr>
                         <th scope="row">
                             <?php esc_html_e( 'Contact Email', 'wp-care-connector' ); ?>
@@ -160,4 +264,73 @@ if ( ! defined( 'ABSPATH' ) ) {
             </p>
         </form>
     </div>
+
+    <div class="wp-care-support-tickets">
+        <h2><?php esc_html_e( 'Your Support Requests', 'wp-care-connector' ); ?></h2>
+
+        <?php if ( ! empty( $form_data['unsent'] ) ) : ?>
+        <table class="widefat striped">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e( 'Not sent yet', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Submitted', 'wp-care-connector' ); ?></th>
+                    <th style="text-align: center;"><?php esc_html_e( 'Actions', 'wp-care-connector' ); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ( $form_data['unsent'] as $request ) : ?>
+                <tr>
+                    <td><strong><?php echo esc_html( $request['subject'] ); ?></strong></td>
+                    <td><?php echo esc_html( mysql2date( $date_format, $request['submitted_at'] ) ); ?></td>
+                    <td style="text-align: center;">
+                        <form method="post" action="<?php echo esc_url( $form_data['form_action'] ); ?>" style="display: inline;">
+                            <input type="hidden" name="action" value="wp_care_send_support_request" />
+                            <input type="hidden" name="request_id" value="<?php echo esc_attr( $request['id'] ); ?>" />
+                            <?php echo $form_data['nonce_field']; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>
+                            <button type="submit" class="button button-small"><?php esc_html_e( 'Send Now', 'wp-care-connector' ); ?></button>
+                        </form>
+                    </td>
+                </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+        <?php endif; ?>
+
+        <?php if ( ! $form_data['connected'] ) : ?>
+        <p class="description"><?php esc_html_e( 'Connect this site to WP Care to send requests and follow the replies here.', 'wp-care-connector' ); ?></p>
+        <?php elseif ( is_wp_error( $form_data['tickets'] ) ) : ?>
+        <div class="notice notice-error inline">
+            <p>
+                <?php
+                /* translators: %s: error message */
+                echo esc_html( sprintf( __( 'Your tickets could not be loaded: %s', 'wp-care-connector' ), $form_data['tickets']->get_error_message() ) );
+                ?>
+            </p>
+        </div>
+        <?php elseif ( empty( $form_data['tickets'] ) ) : ?>
+        <p class="description"><?php esc_html_e( 'No support requests yet.', 'wp-care-connector' ); ?></p>
+        <?php else : ?>
+        <table class="widefat striped">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e( 'Subject', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Status', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Replies', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Last Update', 'wp-care-connector' ); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ( $form_data['tickets'] as $ticket ) : ?>
+                <tr>
+                    <td><a href="<?php echo esc_url( add_query_arg( 'ticket', rawurlencode( $ticket['id'] ), $form_data['page_url'] ) ); ?>"><strong><?php echo esc_html( $ticket['subject'] ); ?></strong></a></td>
+                    <td><span class="wp-care-ticket-status is-<?php echo esc_attr( $ticket['status'] ); ?>"><?php echo esc_html( $status_label( $ticket['status'] ) ); ?></span></td>
+                    <td><?php echo esc_html( number_format_i18n( $ticket['reply_count'] ) ); ?></td>
+                    <td><?php echo esc_html( $format_date( $ticket['updated_at'] ) ); ?></td>
+                </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+        <?php endif; ?>
+    </div>
+    <?php endif; ?>
 </div>
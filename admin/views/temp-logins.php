@@ -0,0 +1,108 @@
+<?php
+/**
+ * Temporary Logins section of the Tools page.
+ *
+ * Active sessions are loaded and refreshed by admin/js/temp-logins.js.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ *
+ * @var array    $temp_roles        Role slug => display name.
+ * @var string[] $temp_capabilities Capabilities that can make up a custom set.
+ * @var array    $temp_defaults     Default options for a new login.
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+$temp_lifetimes = array(
+    1   => __( '1 hour', 'wp-care-connector' ),
+    4   => __( '4 hours', 'wp-care-connector' ),
+    12  => __( '12 hours', 'wp-care-connector' ),
+    24  => __( '1 day', 'wp-care-connector' ),
+    72  => __( '3 days', 'wp-care-connector' ),
+    168 => __( '7 days', 'wp-care-connector' ),
+);
+?>
+<div id="wp-care-temp-logins" class="card wp-care-temp-logins">
+    <h2 style="margin-top: 0;">
+        <span class="dashicons dashicons-admin-users" style="color: #2271b1;"></span>
+        <?php esc_html_e( 'Temporary Logins', 'wp-care-connector' ); ?>
+    </h2>
+    <p class="description"><?php esc_html_e( 'Create a login link with only the access it needs, and watch or end the sessions it opens.', 'wp-care-connector' ); ?></p>
+
+    <!-- Create Temp Login -->
+    <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" id="wp-care-temp-login-form">
+        <?php wp_nonce_field( 'wp_care_create_temp_login', '_wpnonce' ); ?>
+        <input type="hidden" name="action" value="wp_care_create_temp_login">
+        <table class="form-table" role="presentation">
+            <tr>
+                <th scope="row"><label for="wp-care-temp-role"><?php esc_html_e( 'Access', 'wp-care-connector' ); ?></label></th>
+                <td>
+                    <select id="wp-care-temp-role" name="role">
+                        <?php foreach ( $temp_roles as $role => $label ) : ?>
+                        <option value="<?php echo esc_attr( $role ); ?>" <?php selected( $temp_defaults['role'], $role ); ?>><?php echo esc_html( $label ); ?></option>
+                        <?php endforeach; ?>
+                        <option value="custom"><?php esc_html_e( 'Custom capabilities...', 'wp-care-connector' ); ?></option>
+                    </select>
+                    <fieldset id="wp-care-temp-caps" class="wp-care-temp-caps" style="display: none;">
+                        <?php foreach ( $temp_capabilities as $cap ) : ?>
+                        <label>
+                            <input type="checkbox" name="capabilities[]" value="<?php echo esc_attr( $cap ); ?>" <?php checked( $cap, 'read' ); ?>>
+                            <code><?php echo esc_html( $cap ); ?></code>
+                        </label>
+                        <?php endforeach; ?>
+                    </fieldset>
+                </td>
+            </tr>
+            <tr>
+                <th scope="row"><label for="wp-care-temp-expiry"><?php esc_html_e( 'Expires after', 'wp-care-connector' ); ?></label></th>
+                <td>
+                    <select id="wp-care-temp-expiry" name="expiry_hours">
+                        <?php foreach ( $temp_lifetimes as $hours => $label ) : ?>
+                        <option value="<?php echo esc_attr( $hours ); ?>" <?php selected( $temp_defaults['expiry_hours'], $hours ); ?>><?php echo esc_html( $label ); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                </td>
+            </tr>
+            <tr>
+                <th scope="row"><label for="wp-care-temp-uses"><?php esc_html_e( 'Allowed uses', 'wp-care-connector' ); ?></label></th>
+                <td>
+                    <input type="number" id="wp-care-temp-uses" name="max_uses" min="0" step="1" class="small-text" value="<?php echo esc_attr( $temp_defaults['max_uses'] ); ?>">
+                    <p class="description"><?php esc_html_e( 'How many times the link can be opened. 0 lets it be reused until it expires.', 'wp-care-connector' ); ?></p>
+                </td>
+            </tr>
+            <tr>
+                <th scope="row"><label for="wp-care-temp-ips"><?php esc_html_e( 'Allowed IPs', 'wp-care-connector' ); ?></label></th>
+                <td>
+                    <textarea id="wp-care-temp-ips" name="allowed_ips" rows="2" class="regular-text code" placeholder="203.0.113.7&#10;198.51.100.0/24"></textarea>
+                    <p class="description"><?php esc_html_e( 'Optional. One address or CIDR range per line; the link and its sessions only work from these.', 'wp-care-connector' ); ?></p>
+                </td>
+            </tr>
+        </table>
+        <button type="submit" class="button button-primary">
+            <span class="dashicons dashicons-admin-network" style="vertical-align: middle;"></span>
+            <?php esc_html_e( 'Generate Login Link', 'wp-care-connector' ); ?>
+        </button>
+    </form>
+
+    <!-- Active Temp Logins (filled by temp-logins.js) -->
+    <h3><?php esc_html_e( 'Active Temporary Logins', 'wp-care-connector' ); ?></h3>
+    <table id="wp-care-temp-sessions" class="widefat striped wp-care-temp-sessions">
+        <thead>
+            <tr>
+                <th><?php esc_html_e( 'User', 'wp-care-connector' ); ?></th>
+                <th><?php esc_html_e( 'Access', 'wp-care-connector' ); ?></th>
+                <th><?php esc_html_e( 'Uses', 'wp-care-connector' ); ?></th>
+                <th><?php esc_html_e( 'Last Seen', 'wp-care-connector' ); ?></th>
+                <th><?php esc_html_e( 'Pages Visited', 'wp-care-connector' ); ?></th>
+                <th><?php esc_html_e( 'Expires', 'wp-care-connector' ); ?></th>
+                <th style="text-align: center;"><?php esc_html_e( 'Actions', 'wp-care-connector' ); ?></th>
+            </tr>
+        </thead>
+        <tbody>
+            <tr><td colspan="7"><?php esc_html_e( 'Loading...', 'wp-care-connector' ); ?></td></tr>
+        </tbody>
+    </table>
+</div>
@@ -0,0 +1,123 @@
+<?php
+/**
+ * Safe Updates section of the Tools page.
+ *
+ * The selected updates are run one at a time by admin/js/updates.js.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ *
+ * @var array   $updates_available Available updates from WP_Care_Updates::get_available().
+ * @var array[] $updates_history   Recent runs from WP_Care_Updates::get_history().
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+$update_rows = array();
+foreach ( $updates_available['plugins'] as $package ) {
+    $update_rows[] = array_merge( $package, array( 'type' => 'plugin', 'type_label' => __( 'Plugin', 'wp-care-connector' ) ) );
+}
+foreach ( $updates_available['themes'] as $package ) {
+    $update_rows[] = array_merge( $package, array( 'type' => 'theme', 'type_label' => __( 'Theme', 'wp-care-connector' ) ) );
+}
+if ( $updates_available['core'] ) {
+    $update_rows[] = array_merge( $updates_available['core'], array( 'type' => 'core', 'type_label' => __( 'Core', 'wp-care-connector' ) ) );
+}
+
+$update_statuses = array(
+    'updated'         => __( 'Updated', 'wp-care-connector' ),
+    'rolled_back'     => __( 'Rolled back', 'wp-care-connector' ),
+    'rollback_failed' => __( 'Rollback failed', 'wp-care-connector' ),
+    'failed'          => __( 'Not updated', 'wp-care-connector' ),
+);
+?>
+<div id="wp-care-updates" class="card wp-care-updates">
+    <h2 style="margin-top: 0;">
+        <span class="dashicons dashicons-update" style="color: #2271b1;"></span>
+        <?php esc_html_e( 'Safe Updates', 'wp-care-connector' ); ?>
+    </h2>
+    <p class="description"><?php esc_html_e( 'Each update is backed up first (database and the package\'s files), then the home page, the dashboard and the error log are checked. If anything fails, the update is rolled back.', 'wp-care-connector' ); ?></p>
+
+    <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" class="wp-care-updates-check">
+        <?php wp_nonce_field( 'wp_care_check_updates', '_wpnonce' ); ?>
+        <input type="hidden" name="action" value="wp_care_check_updates">
+        <button type="submit" class="button"><?php esc_html_e( 'Check for Updates', 'wp-care-connector' ); ?></button>
+    </form>
+
+    <?php if ( empty( $update_rows ) ) : ?>
+        <p><?php esc_html_e( 'Everything is up to date.', 'wp-care-connector' ); ?></p>
+    <?php else : ?>
+        <table id="wp-care-update-list" class="widefat striped">
+            <thead>
+                <tr>
+                    <td class="check-column"><input type="checkbox" id="wp-care-update-all"></td>
+                    <th><?php esc_html_e( 'Name', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Type', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Installed', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Available', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Status', 'wp-care-connector' ); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ( $update_rows as $row ) : ?>
+                <tr>
+                    <th scope="row" class="check-column">
+                        <input type="checkbox" class="wp-care-update-item" data-type="<?php echo esc_attr( $row['type'] ); ?>" data-id="<?php echo esc_attr( $row['id'] ); ?>" data-name="<?php echo esc_attr( $row['name'] ); ?>">
+                    </th>
+                    <td>
+                        <strong><?php echo esc_html( $row['name'] ); ?></strong>
+                        <?php if ( $row['active'] && $row['type'] !== 'core' ) : ?>
+                            <small style="color: #666;"><?php esc_html_e( '(active)', 'wp-care-connector' ); ?></small>
+                        <?php endif; ?>
+                    </td>
+                    <td><?php echo esc_html( $row['type_label'] ); ?></td>
+                    <td><?php echo esc_html( $row['version'] ); ?></td>
+                    <td><?php echo esc_html( $row['new_version'] ); ?></td>
+                    <td class="wp-care-update-status">&mdash;</td>
+                </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+        <p>
+            <button type="button" class="button button-primary" id="wp-care-update-run"><?php esc_html_e( 'Update Selected Safely', 'wp-care-connector' ); ?></button>
+        </p>
+    <?php endif; ?>
+
+    <?php if ( ! empty( $updates_history ) ) : ?>
+        <h3><?php esc_html_e( 'Recent Updates', 'wp-care-connector' ); ?></h3>
+        <table class="widefat striped wp-care-update-history">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e( 'When', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Package', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Version', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Result', 'wp-care-connector' ); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ( $updates_history as $run ) : ?>
+                <tr>
+                    <td>
+                        <?php
+                        /* translators: %s: human-readable time difference */
+                        echo esc_html( sprintf( __( '%s ago', 'wp-care-connector' ), human_time_diff( $run['started_at'] ) ) );
+                        ?>
+                    </td>
+                    <td><?php echo esc_html( $run['name'] ); ?></td>
+                    <td><?php echo esc_html( $run['from_version'] . ' → ' . $run['to_version'] ); ?></td>
+                    <td>
+                        <span class="wp-care-update-result is-<?php echo esc_attr( $run['status'] ); ?>">
+                            <?php echo esc_html( isset( $update_statuses[ $run['status'] ] ) ? $update_statuses[ $run['status'] ] : $run['status'] ); ?>
+                        </span>
+                        <?php if ( $run['error'] ) : ?>
+                            <br><small style="color: #666;"><?php echo esc_html( $run['error'] ); ?></small>
+                        <?php endif; ?>
+                    </td>
+                </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+    <?php endif; ?>
+</div>
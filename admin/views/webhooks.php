@@ -0,0 +1,192 @@
+<?php
+/**
+ * Webhooks admin page template.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ *
+ * @var array      $webhooks   Webhooks from WP_Care_Webhooks::get_webhooks().
+ * @var array      $events     Event => label, from WP_Care_Webhooks::get_events().
+ * @var array      $deliveries Latest deliveries, newest first.
+ * @var array|null $new_secret Secret of the webhook created on the last request: id, secret.
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+$status_labels = array(
+    'pending'   => __( 'Queued', 'wp-care-connector' ),
+    'sending'   => __( 'Sending', 'wp-care-connector' ),
+    'delivered' => __( 'Delivered', 'wp-care-connector' ),
+    'failed'    => __( 'Failed', 'wp-care-connector' ),
+);
+
+$date_format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+?>
+<div class="wrap wp-care-wrap">
+    <h1><?php esc_html_e( 'Webhooks', 'wp-care-connector' ); ?></h1>
+    <p class="description"><?php esc_html_e( 'Send site events to other services as they happen. Failed deliveries are retried for about a day.', 'wp-care-connector' ); ?></p>
+
+    <?php if ( $new_secret ) : ?>
+    <div class="notice notice-warning inline wp-care-new-api-key">
+        <p>
+            <?php
+            /* translators: %s: webhook ID */
+            echo esc_html( sprintf( __( 'Signing secret for %s. Copy it now: it will not be shown again.', 'wp-care-connector' ), $new_secret['id'] ) );
+            ?>
+        </p>
+        <p><input type="text" class="large-text code" readonly value="<?php echo esc_attr( $new_secret['secret'] ); ?>" onfocus="this.select();"></p>
+    </div>
+    <?php endif; ?>
+
+    <!-- Endpoints -->
+    <div class="card wp-care-webhooks-card">
+        <h2 style="margin-top: 0;">
+            <span class="dashicons dashicons-rest-api" style="color: #2271b1;"></span>
+            <?php esc_html_e( 'Endpoints', 'wp-care-connector' ); ?>
+        </h2>
+        <p class="description">
+            <?php esc_html_e( 'Each request is a JSON POST signed like WP Care health reports: X-Signature is the hex HMAC-SHA256 of the X-Timestamp header, a newline and the body, keyed with the webhook\'s secret. X-Webhook-Event names the event and X-Webhook-Id stays the same when a delivery is resent.', 'wp-care-connector' ); ?>
+        </p>
+
+        <?php if ( ! empty( $webhooks ) ) : ?>
+        <table class="widefat striped">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e( 'Webhook', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Events', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Created', 'wp-care-connector' ); ?></th>
+                    <th style="text-align: center;"><?php esc_html_e( 'Actions', 'wp-care-connector' ); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ( $webhooks as $webhook ) : ?>
+                <tr>
+                    <td>
+                        <strong><?php echo esc_html( $webhook['name'] ); ?></strong>
+                        <br><code><?php echo esc_html( $webhook['url'] ); ?></code>
+                        <br><small style="color: #666;"><code><?php echo esc_html( $webhook['id'] ); ?></code> &hellip;<?php echo esc_html( $webhook['hint'] ); ?></small>
+                    </td>
+                    <td><small><?php echo esc_html( implode( ', ', $webhook['events'] ) ); ?></small></td>
+                    <td><?php echo esc_html( date_i18n( get_option( 'date_format' ), $webhook['created_at'] ) ); ?></td>
+                    <td style="text-align: center;">
+                        <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" style="display: inline;" onsubmit="return confirm('<?php echo esc_js( __( 'Delete this webhook? Deliveries still waiting for a retry are marked failed.', 'wp-care-connector' ) ); ?>');">
+                            <?php wp_nonce_field( 'wp_care_webhooks', '_wpnonce' ); ?>
+                            <input type="hidden" name="action" value="wp_care_delete_webhook">
+                            <input type="hidden" name="webhook_id" value="<?php echo esc_attr( $webhook['id'] ); ?>">
+                            <button type="submit" class="button button-small button-link-delete"><?php esc_html_e( 'Delete', 'wp-care-connector' ); ?></button>
+                        </form>
+                    </td>
+                </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+        <?php endif; ?>
+
+        <details class="wp-care-webhook-create" <?php echo empty( $webhooks ) ? 'open' : ''; ?>>
+            <summary><?php esc_html_e( 'Add a webhook', 'wp-care-connector' ); ?></summary>
+            <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+                <?php wp_nonce_field( 'wp_care_webhooks', '_wpnonce' ); ?>
+                <input type="hidden" name="action" value="wp_care_add_webhook">
+                <p>
+                    <label for="wp-care-webhook-name"><?php esc_html_e( 'Name', 'wp-care-connector' ); ?></label><br>
+                    <input type="text" id="wp-care-webhook-name" name="webhook_name" class="regular-text" required placeholder="<?php esc_attr_e( 'Team chat', 'wp-care-connector' ); ?>">
+                </p>
+                <p>
+                    <label for="wp-care-webhook-url"><?php esc_html_e( 'URL', 'wp-care-connector' ); ?></label><br>
+                    <input type="url" id="wp-care-webhook-url" name="webhook_url" class="large-text code" required placeholder="https://">
+                </p>
+                <fieldset>
+                    <legend><?php esc_html_e( 'Events', 'wp-care-connector' ); ?></legend>
+                    <div class="wp-care-webhook-events">
+                        <?php foreach ( $events as $event => $label ) : ?>
+                        <label><input type="checkbox" name="webhook_events[]" value="<?php echo esc_attr( $event ); ?>" checked> <?php echo esc_html( $label ); ?> <code><?php echo esc_html( $event ); ?></code></label>
+                        <?php endforeach; ?>
+                    </div>
+                </fieldset>
+                <button type="submit" class="button button-primary"><?php esc_html_e( 'Add Webhook', 'wp-care-connector' ); ?></button>
+            </form>
+        </details>
+    </div>
+
+    <!-- Delivery log -->
+    <h2><?php esc_html_e( 'Recent Deliveries', 'wp-care-connector' ); ?></h2>
+
+    <?php if ( empty( $deliveries ) ) : ?>
+        <p><?php esc_html_e( 'Nothing has been sent yet.', 'wp-care-connector' ); ?></p>
+    <?php else : ?>
+        <table class="widefat striped wp-care-webhook-deliveries">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e( 'Time', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Event', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Webhook', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Status', 'wp-care-connector' ); ?></th>
+                    <th><?php esc_html_e( 'Response', 'wp-care-connector' ); ?></th>
+                    <th style="text-align: center;"><?php esc_html_e( 'Actions', 'wp-care-connector' ); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ( $deliveries as $delivery ) : ?>
+                <tr>
+                    <td><?php echo esc_html( get_date_from_gmt( gmdate( 'Y-m-d H:i:s', $delivery['created_at'] ), $date_format ) ); ?></td>
+                    <td>
+                        <code><?php echo esc_html( $delivery['event'] ); ?></code>
+                        <details>
+                            <summary><?php esc_html_e( 'Payload', 'wp-care-connector' ); ?></summary>
+                            <pre><?php echo esc_html( wp_json_encode( $delivery['payload'], JSON_PRETTY_PRINT ) ); ?></pre>
+                        </details>
+                    </td>
+                    <td>
+                        <?php if ( isset( $webhooks[ $delivery['webhook_id'] ] ) ) : ?>
+                            <?php echo esc_html( $webhooks[ $delivery['webhook_id'] ]['name'] ); ?>
+                        <?php else : ?>
+                            <small style="color: #666;"><?php echo esc_html( $delivery['webhook_id'] ); ?> (<?php esc_html_e( 'deleted', 'wp-care-connector' ); ?>)</small>
+                        <?php endif; ?>
+                    </td>
+                    <td>
+                        <span class="wp-care-webhook-status is-<?php echo esc_attr( $delivery['status'] ); ?>">
+                            <?php echo esc_html( isset( $status_labels[ $delivery['status'] ] ) ? $status_labels[ $delivery['status'] ] : $delivery['status'] ); ?>
+                        </span>
+                        <?php if ( $delivery['attempts'] > 1 ) : ?>
+                            <br><small style="color: #666;">
+                                <?php
+                                /* translators: %d: number of attempts */
+                                echo esc_html( sprintf( _n( '%d attempt', '%d attempts', $delivery['attempts'], 'wp-care-connector' ), $delivery['attempts'] ) );
+                                ?>
+                            </small>
+                        <?php endif; ?>
+                        <?php if ( $delivery['status'] === 'pending' && $delivery['next_attempt_at'] ) : ?>
+                            <br><small style="color: #666;">
+                                <?php
+                                /* translators: %s: human-readable time difference */
+                                echo esc_html( sprintf( __( 'next try in %s', 'wp-care-connector' ), human_time_diff( $delivery['next_attempt_at'] ) ) );
+                                ?>
+                            </small>
+                        <?php endif; ?>
+                    </td>
+                    <td>
+                        <?php if ( $delivery['response_code'] ) : ?>
+                            <code><?php echo esc_html( $delivery['response_code'] ); ?></code><br>
+                        <?php endif; ?>
+                        <?php if ( $delivery['error'] !== '' ) : ?>
+                            <small style="color: #666;"><?php echo esc_html( $delivery['error'] ); ?></small>
+                        <?php endif; ?>
+                    </td>
+                    <td style="text-align: center;">
+                        <?php if ( in_array( $delivery['status'], array( 'delivered', 'failed' ), true ) && isset( $webhooks[ $delivery['webhook_id'] ] ) ) : ?>
+                        <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+                            <?php wp_nonce_field( 'wp_care_webhooks', '_wpnonce' ); ?>
+                            <input type="hidden" name="action" value="wp_care_resend_webhook">
+                            <input type="hidden" name="delivery_id" value="<?php echo esc_attr( $delivery['id'] ); ?>">
+                            <button type="submit" class="button button-small"><?php esc_html_e( 'Resend', 'wp-care-connector' ); ?></button>
+                        </form>
+                        <?php endif; ?>
+                    </td>
+                </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+    <?php endif; ?>
+</div>
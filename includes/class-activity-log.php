@@ -2,7 +2,8 @@
 /**
  * WP Care Activity Log
  *
- * Rolling buffer activity log stored in WordPress options.
+ * Activity log stored in its own database table, with structured fields
+ * (actor, source, IP, target object, result) and a retention period.
  * Other classes call WP_Care_Activity_Log::log() to record actions.
  *
  * @package WP_Care_Connector
@@ -16,56 +17,381 @@ if ( ! defined( 'ABSPATH' ) ) {
 class WP_Care_Activity_Log {
 
     /**
-     * Option key for storing activity log entries.
+     * Option key the log was stored in before it had its own table.
+     * Read once by install() to carry old entries over.
      *
      * @var string
      */
     const OPTION_KEY = 'wp_care_activity_log';
 
     /**
-     * Maximum number of log entries to keep.
+     * Table name, without the site prefix.
+     *
+     * @var string
+     */
+    const TABLE = 'wp_care_activity_log';
+
+    /**
+     * Schema version, bumped when the table changes.
+     *
+     * @var string
+     */
+    const DB_VERSION = '1';
+
+    /**
+     * Option holding the installed schema version.
+     *
+     * @var string
+     */
+    const DB_VERSION_OPTION = 'wp_care_activity_log_db_version';
+
+    /**
+     * Option holding how many days entries are kept (0 keeps them forever).
+     *
+     * @var string
+     */
+    const RETENTION_OPTION = 'wp_care_activity_log_retention';
+
+    /**
+     * Default retention in days.
+     *
+     * @var int
+     */
+    const DEFAULT_RETENTION = 90;
+
+    /**
+     * Daily cron hook that removes entries past the retention period.
+     *
+     * @var string
+     */
+    const PRUNE_HOOK = 'wp_care_prune_activity_log';
+
+    /**
+     * Entries per page on the log page.
      *
      * @var int
      */
-    const MAX_ENTRIES = 50;
+    const PER_PAGE = 50;
+
+    /**
+     * Detail keys that name the object an action was about, in order of
+     * preference, with the object type each one implies.
+     *
+     * @var array
+     */
+    private static $object_keys = array(
+        'package'       => 'package',
+        'migration_id'  => 'migration',
+        'checkpoint_id' => 'checkpoint',
+        'job_id'        => 'job',
+        'key'           => 'api_key',
+        'token'         => 'transfer_token',
+        'target_id'     => 'storage_target',
+        'target'        => 'storage_target',
+        'preset'        => 'export_preset',
+        'webhook_id'    => 'webhook',
+        'ticket_id'     => 'support_ticket',
+        'command'       => 'command',
+        'user_id'       => 'user',
+    );
+
+    /**
+     * Get the full table name.
+     *
+     * @return string
+     */
+    public static function table() {
+        global $wpdb;
+
+        return $wpdb->prefix . self::TABLE;
+    }
+
+    /**
+     * Create or upgrade the table, carry over entries from the old option
+     * and schedule pruning.
+     *
+     * @return void
+     */
+    public static function install() {
+        global $wpdb;
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $table           = self::table();
+        $charset_collate = $wpdb->get_charset_collate();
+
+        dbDelta( "CREATE TABLE {$table} (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            created_at datetime NOT NULL,
+            action varchar(64) NOT NULL,
+            user_id bigint(20) unsigned NOT NULL DEFAULT 0,
+            user_login varchar(60) NOT NULL DEFAULT '',
+            source varchar(20) NOT NULL DEFAULT '',
+            ip varchar(45) NOT NULL DEFAULT '',
+            object_type varchar(40) NOT NULL DEFAULT '',
+            object_id varchar(191) NOT NULL DEFAULT '',
+            result varchar(20) NOT NULL DEFAULT '',
+            details longtext NOT NULL,
+            PRIMARY KEY  (id),
+            KEY created_at (created_at),
+            KEY action (action),
+            KEY user_login (user_login),
+            KEY source (source)
+        ) {$charset_collate};" );
+
+        // Entries from the option-based log, oldest first so IDs keep their order
+        $legacy = get_option( self::OPTION_KEY );
+        if ( is_array( $legacy ) ) {
+            foreach ( array_reverse( $legacy ) as $entry ) {
+                $details = isset( $entry['details'] ) ? (array) $entry['details'] : array();
+                $object  = self::detect_object( $details );
+
+                $wpdb->insert( $table, array(
+                    'created_at'  => gmdate( 'Y-m-d H:i:s', $entry['timestamp'] ),
+                    'action'      => $entry['action'],
+                    'user_login'  => $entry['user'] !== '' ? $entry['user'] : 'system',
+                    'source'      => 'legacy',
+                    'object_type' => $object[0],
+                    'object_id'   => $object[1],
+                    'result'      => self::detect_result( $entry['action'] ),
+                    'details'     => wp_json_encode( $details ),
+                ) );
+            }
+        }
+        delete_option( self::OPTION_KEY );
+
+        if ( ! wp_next_scheduled( self::PRUNE_HOOK ) ) {
+            wp_schedule_event( time() + HOUR_IN_SECONDS, 'daily', self::PRUNE_HOOK );
+        }
+
+        update_option( self::DB_VERSION_OPTION, self::DB_VERSION );
+    }
+
+    /**
+     * Install the table if this version of the plugin hasn't yet, e.g.
+     * after an update that didn't go through activation.
+     *
+     * @return void
+     */
+    public static function maybe_install() {
+        if ( get_option( self::DB_VERSION_OPTION ) !== self::DB_VERSION ) {
+            self::install();
+        }
+    }
 
     /**
      * Log an activity entry.
      *
+     * The source, actor and IP come from the current request. The target
+     * object is taken from the details (migration_id, checkpoint_id, ...)
+     * and the result from the action name, unless $context says otherwise.
+     * Fires wp_care_activity_logged once stored, which webhooks listen to.
+     *
      * @param string $action  The action identifier (e.g. 'command_executed', 'temp_login_created').
      * @param array  $details Additional details about the action.
+     * @param array  $context Optional overrides: source, object_type, object_id, result.
      * @return void
      */
-    public static function log( $action, $details = array() ) {
-        $entries = get_option( self::OPTION_KEY, array() );
+    public static function log( $action, $details = array(), $context = array() ) {
+        global $wpdb;
+
+        $action = sanitize_key( $action );
+        $user   = function_exists( 'wp_get_current_user' ) ? wp_get_current_user() : null;
+        $object = self::detect_object( (array) $details );
+
+        $context = wp_parse_args( $context, array(
+            'source'      => self::detect_source(),
+            'object_type' => $object[0],
+            'object_id'   => $object[1],
+            'result'      => self::detect_result( $action ),
+        ) );
 
         $entry = array(
-            'action'    => sanitize_text_field( $action ),
-            'details'   => $details,
-            'timestamp' => time(),
-            'user'      => function_exists( 'wp_get_current_user' ) ? wp_get_current_user()->user_login : 'system',
+            'created_at'  => gmdate( 'Y-m-d H:i:s' ),
+            'action'      => $action,
+            'user_id'     => $user ? $user->ID : 0,
+            'user_login'  => $user && $user->user_login !== '' ? $user->user_login : 'system',
+            'source'      => sanitize_key( $context['source'] ),
+            'ip'          => isset( $_SERVER['REMOTE_ADDR'] ) ? sanitize_text_field( wp_unslash( $_SERVER['REMOTE_ADDR'] ) ) : '',
+            'object_type' => sanitize_key( $context['object_type'] ),
+            'object_id'   => substr( (string) $context['object_id'], 0, 191 ),
+            'result'      => sanitize_key( $context['result'] ),
+            'details'     => wp_json_encode( $details ),
         );
 
-        // Prepend new entry (newest first)
-        array_unshift( $entries, $entry );
+        $wpdb->insert( self::table(), $entry );
+
+        /**
+         * Fires after an activity log entry is stored.
+         *
+         * @param string $action  Action identifier.
+         * @param array  $details Action details.
+         * @param array  $entry   The stored row, without its ID.
+         */
+        do_action( 'wp_care_activity_logged', $action, $details, $entry );
+    }
+
+    /**
+     * Query log entries.
+     *
+     * @param array $args {
+     *     Filters, all optional.
+     *
+     *     @type string $action    Action identifier.
+     *     @type string $user      User login ('system' for actions without a user).
+     *     @type string $source    Source (admin, rest, cron, cli, system, legacy).
+     *     @type string $date_from First day to include, Y-m-d in the site timezone.
+     *     @type string $date_to   Last day to include, Y-m-d in the site timezone.
+     *     @type string $search    Text to find in the action, user, object or details.
+     *     @type int    $page      1-based page. Default 1.
+     *     @type int    $per_page  Entries per page. Default PER_PAGE.
+     * }
+     * @return array array( 'entries' => array, 'total' => int, 'pages' => int ), newest first.
+     */
+    public static function query( $args = array() ) {
+        global $wpdb;
+
+        $args = wp_parse_args( $args, array(
+            'action'    => '',
+            'user'      => '',
+            'source'    => '',
+            'date_from' => '',
+            'date_to'   => '',
+            'search'    => '',
+            'page'      => 1,
+            'per_page'  => self::PER_PAGE,
+        ) );
 
-        // Trim to max size
-        if ( count( $entries ) > self::MAX_ENTRIES ) {
-            $entries = array_slice( $entries, 0, self::MAX_ENTRIES );
+        $where  = array( '1=1' );
+        $params = array();
+
+        foreach ( array( 'action', 'source' ) as $field ) {
+            if ( $args[ $field ] !== '' ) {
+                $where[]  = "{$field} = %s";
+                $params[] = $args[ $field ];
+            }
+        }
+
+        if ( $args['user'] !== '' ) {
+            $where[]  = 'user_login = %s';
+            $params[] = $args['user'];
+        }
+
+        if ( preg_match( '/^\d{4}-\d{2}-\d{2}$/', $args['date_from'] ) ) {
+            $where[]  = 'created_at >= %s';
+            $params[] = get_gmt_from_date( $args['date_from'] . ' 00:00:00' );
         }
 
-        update_option( self::OPTION_KEY, $entries, false );
+        if ( preg_match( '/^\d{4}-\d{2}-\d{2}$/', $args['date_to'] ) ) {
+            $where[]  = 'created_at <= %s';
+            $params[] = get_gmt_from_date( $args['date_to'] . ' 23:59:59' );
+        }
+
+        if ( $args['search'] !== '' ) {
+            $like     = '%' . $wpdb->esc_like( $args['search'] ) . '%';
+            $where[]  = '(action LIKE %s OR user_login LIKE %s OR object_id LIKE %s OR details LIKE %s)';
+            $params   = array_merge( $params, array( $like, $like, $like, $like ) );
+        }
+
+        $table    = self::table();
+        $where    = implode( ' AND ', $where );
+        $per_page = max( 1, (int) $args['per_page'] );
+        $page     = max( 1, (int) $args['page'] );
+
+        $count_sql = "SELECT COUNT(*) FROM {$table} WHERE {$where}";
+        $total     = (int) $wpdb->get_var( $params ? $wpdb->prepare( $count_sql, $params ) : $count_sql );
+
+        $rows = $wpdb->get_results( $wpdb->prepare(
+            "SELECT * FROM {$table} WHERE {$where} ORDER BY id DESC LIMIT %d OFFSET %d",
+            array_merge( $params, array( $per_page, ( $page - 1 ) * $per_page ) )
+        ), ARRAY_A );
+
+        return array(
+            'entries' => array_map( array( __CLASS__, 'format_row' ), (array) $rows ),
+            'total'   => $total,
+            'pages'   => (int) ceil( $total / $per_page ),
+        );
     }
 
     /**
-     * Get all log entries.
+     * Get the most recent log entries.
      *
      * @param int $limit Number of entries to return. Default 50.
      * @return array Log entries, newest first.
      */
     public static function get_entries( $limit = 50 ) {
-        $entries = get_option( self::OPTION_KEY, array() );
-        return array_slice( $entries, 0, $limit );
+        $result = self::query( array( 'per_page' => $limit ) );
+
+        return $result['entries'];
+    }
+
+    /**
+     * Get the users that appear in the log, for the user filter.
+     *
+     * @return string[] User logins.
+     */
+    public static function get_users() {
+        global $wpdb;
+
+        $table = self::table();
+
+        return (array) $wpdb->get_col( "SELECT DISTINCT user_login FROM {$table} ORDER BY user_login" );
+    }
+
+    /**
+     * Get the sources an entry can have, with labels.
+     *
+     * @return array Source => label.
+     */
+    public static function get_sources() {
+        return array(
+            'admin'  => __( 'Admin UI', 'wp-care-connector' ),
+            'rest'   => __( 'REST command', 'wp-care-connector' ),
+            'cron'   => __( 'Cron', 'wp-care-connector' ),
+            'cli'    => __( 'WP-CLI', 'wp-care-connector' ),
+            'system' => __( 'System', 'wp-care-connector' ),
+            'legacy' => __( 'Earlier log', 'wp-care-connector' ),
+        );
+    }
+
+    /**
+     * Get the retention period.
+     *
+     * @return int Days entries are kept; 0 keeps them forever.
+     */
+    public static function get_retention() {
+        return (int) get_option( self::RETENTION_OPTION, self::DEFAULT_RETENTION );
+    }
+
+    /**
+     * Set the retention period.
+     *
+     * @param int $days Days entries are kept; 0 keeps them forever.
+     * @return void
+     */
+    public static function set_retention( $days ) {
+        update_option( self::RETENTION_OPTION, max( 0, (int) $days ), false );
+    }
+
+    /**
+     * Delete entries older than the retention period (daily cron).
+     *
+     * @return int Number of entries deleted.
+     */
+    public static function prune() {
+        global $wpdb;
+
+        $days = self::get_retention();
+        if ( $days < 1 ) {
+            return 0;
+        }
+
+        $table = self::table();
+
+        return (int) $wpdb->query( $wpdb->prepare(
+            "DELETE FROM {$table} WHERE created_at < %s",
+            gmdate( 'Y-m-d H:i:s', time() - $days * DAY_IN_SECONDS )
+        ) );
     }
 
     /**
@@ -74,32 +400,170 @@ class WP_Care_Activity_Log {
      * @return void
      */
     public static function clear() {
-        update_option( self::OPTION_KEY, array(), false );
+        global $wpdb;
+
+        $table = self::table();
+        $wpdb->query( "TRUNCATE TABLE {$table}" );
     }
 
     /**
-     * Get a human-readable label for an action.
+     * Turn a table row into a log entry.
      *
-     * @param string $action The action identifier.
-     * @return string Human-readable label.
+     * @param array $row Table row.
+     * @return array Entry with 'timestamp' and decoded 'details'.
      */
-    public static function get_action_label( $action ) {
-        $labels = array(
+    private static function format_row( $row ) {
+        $details = json_decode( $row['details'], true );
+
+        return array(
+            'id'          => (int) $row['id'],
+            'action'      => $row['action'],
+            'timestamp'   => strtotime( $row['created_at'] . ' UTC' ),
+            'user'        => $row['user_login'],
+            'user_id'     => (int) $row['user_id'],
+            'source'      => $row['source'],
+            'ip'          => $row['ip'],
+            'object_type' => $row['object_type'],
+            'object_id'   => $row['object_id'],
+            'result'      => $row['result'],
+            'details'     => is_array( $details ) ? $details : array(),
+        );
+    }
+
+    /**
+     * Work out where the current request came from.
+     *
+     * @return string admin, rest, cron, cli or system.
+     */
+    private static function detect_source() {
+        if ( defined( 'WP_CLI' ) && WP_CLI ) {
+            return 'cli';
+        }
+
+        if ( function_exists( 'wp_doing_cron' ) && wp_doing_cron() ) {
+            return 'cron';
+        }
+
+        if ( defined( 'REST_REQUEST' ) && REST_REQUEST ) {
+            return 'rest';
+        }
+
+        if ( function_exists( 'is_user_logged_in' ) && is_user_logged_in() ) {
+            return 'admin';
+        }
+
+        // Background runners and loopbacks
+        return 'system';
+    }
+
+    /**
+     * Find the object an entry is about from its details.
+     *
+     * @param array $details Entry details.
+     * @return array array( object_type, object_id ), empty strings if none.
+     */
+    private static function detect_object( $details ) {
+        foreach ( self::$object_keys as $key => $type ) {
+            if ( isset( $details[ $key ] ) && is_scalar( $details[ $key ] ) && $details[ $key ] !== '' ) {
+                return array( $type, (string) $details[ $key ] );
+            }
+        }
+
+        return array( '', '' );
+    }
+
+    /**
+     * Guess an entry's result from its action name.
+     *
+     * @param string $action Action identifier.
+     * @return string 'failure' for *_failed actions, otherwise 'success'.
+     */
+    private static function detect_result( $action ) {
+        return substr( $action, -7 ) === '_failed' ? 'failure' : 'success';
+    }
+
+    /**
+     * Get labels for every known action.
+     *
+     * @return array Action => label.
+     */
+    public static function get_action_labels() {
+        return array(
             'command_executed'    => __( 'Command Executed', 'wp-care-connector' ),
             'temp_login_created' => __( 'Temporary Login Created', 'wp-care-connector' ),
             'temp_login_used'    => __( 'Temporary Login Used', 'wp-care-connector' ),
+            'temp_login_revoked' => __( 'Temporary Login Revoked', 'wp-care-connector' ),
             'health_reported'    => __( 'Health Report Sent', 'wp-care-connector' ),
             'backup_created'     => __( 'Backup Created', 'wp-care-connector' ),
+            'checkpoint_restored' => __( 'Rolled Back to Checkpoint', 'wp-care-connector' ),
+            'checkpoint_deleted'  => __( 'Checkpoint Deleted', 'wp-care-connector' ),
             'cache_cleared'      => __( 'Cache Cleared', 'wp-care-connector' ),
             'plugin_updated'     => __( 'Plugin Updated', 'wp-care-connector' ),
             'support_submitted'    => __( 'Support Request Submitted', 'wp-care-connector' ),
+            'support_replied'      => __( 'Support Reply Sent', 'wp-care-connector' ),
             'settings_saved'       => __( 'Settings Saved', 'wp-care-connector' ),
             'migration_created'    => __( 'Migration Created', 'wp-care-connector' ),
             'migration_deleted'    => __( 'Migration Deleted', 'wp-care-connector' ),
             'migration_downloaded' => __( 'Migration Downloaded', 'wp-care-connector' ),
             'migration_uploaded'   => __( 'Migration Uploaded', 'wp-care-connector' ),
             'migration_restored'   => __( 'Site Restored from Migration', 'wp-care-connector' ),
+            'migration_verified'   => __( 'Migration Verified', 'wp-care-connector' ),
+            'migration_schedule_saved'  => __( 'Migration Schedule Saved', 'wp-care-connector' ),
+            'migration_scheduled_run'   => __( 'Scheduled Migration Created', 'wp-care-connector' ),
+            'migration_schedule_failed' => __( 'Scheduled Migration Failed', 'wp-care-connector' ),
+            'migration_synced'          => __( 'Migration Copied Off-site', 'wp-care-connector' ),
+            'migration_sync_failed'     => __( 'Off-site Copy Failed', 'wp-care-connector' ),
+            'migration_pulled'          => __( 'Migration Pulled from Off-site Storage', 'wp-care-connector' ),
+            'storage_target_added'      => __( 'Storage Target Added', 'wp-care-connector' ),
+            'storage_target_removed'    => __( 'Storage Target Removed', 'wp-care-connector' ),
+            'transfer_token_created'    => __( 'Transfer Token Created', 'wp-care-connector' ),
+            'transfer_token_revoked'    => __( 'Transfer Token Revoked', 'wp-care-connector' ),
+            'migration_transfer_sent'   => __( 'Migration Sent to Another Site', 'wp-care-connector' ),
+            'migration_transferred'     => __( 'Migration Pulled from Another Site', 'wp-care-connector' ),
+            'export_preset_saved'       => __( 'Export Preset Saved', 'wp-care-connector' ),
+            'export_preset_deleted'     => __( 'Export Preset Deleted', 'wp-care-connector' ),
+            'job_queued'                => __( 'Background Job Queued', 'wp-care-connector' ),
+            'job_cancelled'             => __( 'Background Job Cancelled', 'wp-care-connector' ),
+            'job_failed'                => __( 'Background Job Failed', 'wp-care-connector' ),
+            'staging_created'           => __( 'Staging Site Created', 'wp-care-connector' ),
+            'staging_failed'            => __( 'Staging Site Creation Failed', 'wp-care-connector' ),
+            'staging_pushed'            => __( 'Staging Pushed to Live', 'wp-care-connector' ),
+            'staging_push_failed'       => __( 'Staging Push Failed', 'wp-care-connector' ),
+            'staging_deleted'           => __( 'Staging Site Deleted', 'wp-care-connector' ),
+            'api_key_created'           => __( 'API Key Created', 'wp-care-connector' ),
+            'api_key_rotated'           => __( 'API Key Rotated', 'wp-care-connector' ),
+            'api_key_revoked'           => __( 'API Key Revoked', 'wp-care-connector' ),
+            'update_started'            => __( 'Update Started', 'wp-care-connector' ),
+            'update_backup_created'     => __( 'Update Backup Created', 'wp-care-connector' ),
+            'update_installed'          => __( 'Update Installed', 'wp-care-connector' ),
+            'update_check_passed'       => __( 'Post-update Check Passed', 'wp-care-connector' ),
+            'update_check_failed'       => __( 'Post-update Check Failed', 'wp-care-connector' ),
+            'update_completed'          => __( 'Update Completed', 'wp-care-connector' ),
+            'update_failed'             => __( 'Update Failed', 'wp-care-connector' ),
+            'update_rolled_back'        => __( 'Update Rolled Back', 'wp-care-connector' ),
+            'update_rollback_failed'    => __( 'Update Rollback Failed', 'wp-care-connector' ),
+            'integrity_baseline_created' => __( 'File Integrity Baseline Created', 'wp-care-connector' ),
+            'integrity_scan_completed'   => __( 'File Integrity Scan: No Changes', 'wp-care-connector' ),
+            'integrity_changes_found'    => __( 'File Integrity Scan: Changes Found', 'wp-care-connector' ),
+            'integrity_changes_accepted' => __( 'File Changes Accepted', 'wp-care-connector' ),
+            'integrity_scan_failed'      => __( 'File Integrity Scan Failed', 'wp-care-connector' ),
+            'migration_failed'           => __( 'Migration Failed', 'wp-care-connector' ),
+            'migration_restore_failed'   => __( 'Migration Restore Failed', 'wp-care-connector' ),
+            'option_changed'             => __( 'Option Changed', 'wp-care-connector' ),
+            'webhook_added'              => __( 'Webhook Added', 'wp-care-connector' ),
+            'webhook_removed'            => __( 'Webhook Removed', 'wp-care-connector' ),
+            'webhook_delivery_failed'    => __( 'Webhook Delivery Failed', 'wp-care-connector' ),
         );
+    }
+
+    /**
+     * Get a human-readable label for an action.
+     *
+     * @param string $action The action identifier.
+     * @return string Human-readable label.
+     */
+    public static function get_action_label( $action ) {
+        $labels = self::get_action_labels();
 
         return isset( $labels[ $action ] ) ? $labels[ $action ] : sanitize_text_field( $action );
     }
@@ -54,20 +54,79 @@ class WP_Care_Admin {
         add_action( 'admin_menu', array( $this, 'register_menu' ) );
         add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_assets' ) );
         add_action( 'admin_post_wp_care_support_request', array( $this, 'handle_support_submission' ) );
+        add_action( 'admin_post_wp_care_send_support_request', array( $this, 'handle_send_support_request' ) );
+        add_action( 'admin_post_wp_care_support_reply', array( $this, 'handle_support_reply' ) );
         add_action( 'admin_post_wp_care_save_settings', array( $this, 'handle_settings_save' ) );
         add_action( 'admin_post_wp_care_clear_cache', array( $this, 'handle_clear_cache' ) );
         add_action( 'admin_post_wp_care_create_backup', array( $this, 'handle_create_backup' ) );
+        add_action( 'admin_post_wp_care_delete_checkpoint', array( $this, 'handle_delete_checkpoint' ) );
         add_action( 'admin_post_wp_care_create_temp_login', array( $this, 'handle_create_temp_login' ) );
         add_action( 'admin_post_wp_care_delete_migration', array( $this, 'handle_delete_migration' ) );
         add_action( 'admin_post_wp_care_upload_migration', array( $this, 'handle_upload_migration' ) );
+        add_action( 'admin_post_wp_care_save_migration_schedule', array( $this, 'handle_save_migration_schedule' ) );
+        add_action( 'admin_post_wp_care_add_storage_target', array( $this, 'handle_add_storage_target' ) );
+        add_action( 'admin_post_wp_care_delete_storage_target', array( $this, 'handle_delete_storage_target' ) );
+        add_action( 'admin_post_wp_care_sync_migration', array( $this, 'handle_sync_migration' ) );
+        add_action( 'admin_post_wp_care_revoke_transfer_token', array( $this, 'handle_revoke_transfer_token' ) );
+        add_action( 'admin_post_wp_care_cancel_job', array( $this, 'handle_cancel_job' ) );
+        add_action( 'admin_post_wp_care_create_api_key', array( $this, 'handle_create_api_key' ) );
+        add_action( 'admin_post_wp_care_rotate_api_key', array( $this, 'handle_rotate_api_key' ) );
+        add_action( 'admin_post_wp_care_revoke_api_key', array( $this, 'handle_revoke_api_key' ) );
+        add_action( 'admin_post_wp_care_save_api_key_settings', array( $this, 'handle_save_api_key_settings' ) );
+        add_action( 'admin_post_wp_care_export_activity_log', array( $this, 'handle_export_activity_log' ) );
+        add_action( 'admin_post_wp_care_save_activity_retention', array( $this, 'handle_save_activity_retention' ) );
+        add_action( 'admin_post_wp_care_save_health_thresholds', array( $this, 'handle_save_health_thresholds' ) );
+        add_action( 'admin_post_wp_care_check_updates', array( $this, 'handle_check_updates' ) );
+        add_action( 'admin_post_wp_care_integrity_accept', array( $this, 'handle_integrity_accept' ) );
+        add_action( 'admin_post_wp_care_save_integrity_settings', array( $this, 'handle_save_integrity_settings' ) );
+        add_action( 'admin_post_wp_care_add_webhook', array( $this, 'handle_add_webhook' ) );
+        add_action( 'admin_post_wp_care_delete_webhook', array( $this, 'handle_delete_webhook' ) );
+        add_action( 'admin_post_wp_care_resend_webhook', array( $this, 'handle_resend_webhook' ) );
+        add_action( 'admin_post_wp_care_delete_staging', array( $this, 'handle_delete_staging' ) );
+        add_action( 'wp_ajax_wp_care_upload_init', array( $this, 'ajax_upload_init' ) );
+        add_action( 'wp_ajax_wp_care_upload_chunk', array( $this, 'ajax_upload_chunk' ) );
+        add_action( 'wp_ajax_wp_care_upload_finalize', array( $this, 'ajax_upload_finalize' ) );
         add_action( 'wp_ajax_wp_care_migration_init', array( $this, 'ajax_migration_init' ) );
+        add_action( 'wp_ajax_wp_care_migration_estimate', array( $this, 'ajax_migration_estimate' ) );
+        add_action( 'wp_ajax_wp_care_export_preset_save', array( $this, 'ajax_export_preset_save' ) );
+        add_action( 'wp_ajax_wp_care_export_preset_delete', array( $this, 'ajax_export_preset_delete' ) );
         add_action( 'wp_ajax_wp_care_migration_chunk', array( $this, 'ajax_migration_chunk' ) );
         add_action( 'wp_ajax_wp_care_migration_cancel', array( $this, 'ajax_migration_cancel' ) );
+        add_action( 'wp_ajax_wp_care_migration_discard', array( $this, 'ajax_migration_discard' ) );
         add_action( 'wp_ajax_wp_care_migration_download', array( $this, 'ajax_migration_download' ) );
+        add_action( 'wp_ajax_wp_care_restore_replacements', array( $this, 'ajax_restore_replacements' ) );
+        add_action( 'wp_ajax_wp_care_migration_contents', array( $this, 'ajax_migration_contents' ) );
+        add_action( 'wp_ajax_wp_care_verify_init', array( $this, 'ajax_verify_init' ) );
+        add_action( 'wp_ajax_wp_care_verify_chunk', array( $this, 'ajax_verify_chunk' ) );
         add_action( 'wp_ajax_wp_care_restore_init', array( $this, 'ajax_restore_init' ) );
         add_action( 'wp_ajax_wp_care_restore_chunk', array( $this, 'ajax_restore_chunk' ) );
+        add_action( 'wp_ajax_wp_care_staging_create', array( $this, 'ajax_staging_create' ) );
+        add_action( 'wp_ajax_wp_care_staging_push', array( $this, 'ajax_staging_push' ) );
+        add_action( 'wp_ajax_wp_care_staging_chunk', array( $this, 'ajax_staging_chunk' ) );
+        add_action( 'wp_ajax_wp_care_storage_test', array( $this, 'ajax_storage_test' ) );
+        add_action( 'wp_ajax_wp_care_storage_list', array( $this, 'ajax_storage_list' ) );
+        add_action( 'wp_ajax_wp_care_storage_pull_init', array( $this, 'ajax_storage_pull_init' ) );
+        add_action( 'wp_ajax_wp_care_storage_pull_chunk', array( $this, 'ajax_storage_pull_chunk' ) );
+        add_action( 'wp_ajax_wp_care_transfer_token', array( $this, 'ajax_transfer_token' ) );
+        add_action( 'wp_ajax_wp_care_transfer_init', array( $this, 'ajax_transfer_init' ) );
+        add_action( 'wp_ajax_wp_care_transfer_chunk', array( $this, 'ajax_transfer_chunk' ) );
+        add_action( 'wp_ajax_wp_care_jobs_status', array( $this, 'ajax_jobs_status' ) );
+        add_action( 'wp_ajax_wp_care_activity_log_query', array( $this, 'ajax_activity_log_query' ) );
+        add_action( 'wp_ajax_wp_care_checkpoint_init', array( $this, 'ajax_checkpoint_init' ) );
+        add_action( 'wp_ajax_wp_care_checkpoint_rollback', array( $this, 'ajax_checkpoint_rollback' ) );
+        add_action( 'wp_ajax_wp_care_checkpoint_chunk', array( $this, 'ajax_checkpoint_chunk' ) );
+        add_action( 'wp_ajax_wp_care_checkpoint_diff', array( $this, 'ajax_checkpoint_diff' ) );
+        add_action( 'wp_ajax_wp_care_temp_sessions', array( $this, 'ajax_temp_sessions' ) );
+        add_action( 'wp_ajax_wp_care_temp_kill', array( $this, 'ajax_temp_kill' ) );
+        add_action( 'wp_ajax_wp_care_update_run', array( $this, 'ajax_update_run' ) );
+        add_action( 'wp_ajax_wp_care_integrity_start', array( $this, 'ajax_integrity_start' ) );
+        add_action( 'wp_ajax_wp_care_integrity_chunk', array( $this, 'ajax_integrity_chunk' ) );
+        add_action( 'wp_ajax_wp_care_health_metrics', array( $this, 'ajax_health_metrics' ) );
+        add_action( 'wp_ajax_wp_care_health_record', array( $this, 'ajax_health_record' ) );
         add_action( 'wp_ajax_wp_care_plugin_disconnect', array( $this, 'ajax_plugin_disconnect' ) );
         add_action( 'admin_notices', array( $this, 'show_notices' ) );
+        add_action( 'admin_notices', array( $this, 'show_health_alerts' ) );
+        add_action( 'admin_notices', array( $this, 'show_integrity_alert' ) );
         add_action( 'wp_dashboard_setup', array( $this, 'register_dashboard_widget' ) );
         add_action( 'admin_init', array( $this, 'handle_plugin_connect_callback' ) );
     }
@@ -132,6 +191,26 @@ class WP_Care_Admin {
             array( 'WP_Care_Health_Page', 'render' )
         );
 
+        // Submenu - File Integrity page
+        add_submenu_page(
+            $this->menu_slug,
+            __( 'File Integrity', 'wp-care-connector' ),
+            __( 'File Integrity', 'wp-care-connector' ),
+            'manage_options',
+            $this->menu_slug . '-integrity',
+            array( $this, 'render_integrity_page' )
+        );
+
+        // Submenu - Webhooks page
+        add_submenu_page(
+            $this->menu_slug,
+            __( 'Webhooks', 'wp-care-connector' ),
+            __( 'Webhooks', 'wp-care-connector' ),
+            'manage_options',
+            $this->menu_slug . '-webhooks',
+            array( $this, 'render_webhooks_page' )
+        );
+
         // Submenu - Activity Log page
         add_submenu_page(
             $this->menu_slug,
@@ -187,26 +266,288 @@ class WP_Care_Admin {
                 WP_CARE_VERSION,
                 true
             );
+            $migration = new WP_Care_Migration();
+
             wp_localize_script( 'wp-care-migration', 'wpCareMigration', array(
-                'ajaxUrl' => admin_url( 'admin-ajax.php' ),
-                'nonce'   => wp_create_nonce( 'wp_care_migration' ),
+                'ajaxUrl'   => admin_url( 'admin-ajax.php' ),
+                'nonce'     => wp_create_nonce( 'wp_care_migration' ),
+                // Keep each chunk comfortably below the server's upload limit
+                'chunkSize' => (int) min( 8 * MB_IN_BYTES, wp_max_upload_size() * 0.8 ),
+                'defaultOptions' => $migration->get_default_options(),
+                'presets'   => (object) $migration->get_presets(),
+                'siteUrl'   => home_url(),
+                'minPassphraseLength' => WP_Care_Package_Encryption::MIN_PASSPHRASE_LENGTH,
                 'strings' => array(
                     'initializing'           => __( 'Initializing...', 'wp-care-connector' ),
                     'exporting_db'           => __( 'Exporting database...', 'wp-care-connector' ),
                     'scanning'               => __( 'Scanning files...', 'wp-care-connector' ),
                     'archiving'              => __( 'Archiving files...', 'wp-care-connector' ),
+                    'encrypting'             => __( 'Encrypting package...', 'wp-care-connector' ),
                     'finalizing'             => __( 'Finalizing migration...', 'wp-care-connector' ),
                     'complete'               => __( 'Migration complete!', 'wp-care-connector' ),
                     'error'                  => __( 'Operation failed', 'wp-care-connector' ),
                     'confirm_cancel'         => __( 'Are you sure you want to cancel?', 'wp-care-connector' ),
                     'export_title'           => __( 'Export Progress', 'wp-care-connector' ),
                     'restore_title'          => __( 'Restore Progress', 'wp-care-connector' ),
+                    'restore_decrypt'        => __( 'Decrypting package...', 'wp-care-connector' ),
                     'restore_checkpoint'     => __( 'Creating checkpoint...', 'wp-care-connector' ),
                     'restore_db'             => __( 'Restoring database...', 'wp-care-connector' ),
+                    'restore_replace'        => __( 'Updating URLs and paths...', 'wp-care-connector' ),
                     'restore_files'          => __( 'Restoring files...', 'wp-care-connector' ),
                     'restore_complete'       => __( 'Restore complete!', 'wp-care-connector' ),
-                    'restore_checkpoint_note' => __( 'A database checkpoint was created before restoring. Checkpoint ID:', 'wp-care-connector' ),
+                    /* translators: 1: archive number, 2: number of archives in the chain */
+                    'restore_chain'          => __( 'Archive %1$d of %2$d', 'wp-care-connector' ),
+                    'restore_checkpoint_note' => __( 'A checkpoint was created before restoring; roll back to it from the Tools page if needed. Checkpoint ID:', 'wp-care-connector' ),
                     'confirm_delete'          => __( 'Delete this migration?', 'wp-care-connector' ),
+                    'zip_only'                => __( 'Please select a .zip or .zip.enc file.', 'wp-care-connector' ),
+                    'upload_title'            => __( 'Upload Progress', 'wp-care-connector' ),
+                    'uploading'               => __( 'Uploading...', 'wp-care-connector' ),
+                    'upload_resuming'         => __( 'Resuming upload...', 'wp-care-connector' ),
+                    'upload_verifying'        => __( 'Verifying archive...', 'wp-care-connector' ),
+                    'upload_complete'         => __( 'Upload complete!', 'wp-care-connector' ),
+                    'upload_pending'          => __( 'An interrupted upload was found. Select the same file again to resume it:', 'wp-care-connector' ),
+                    'confirm_cancel_upload'   => __( 'Cancel the upload? The partially uploaded file will be deleted.', 'wp-care-connector' ),
+                    'resuming'                => __( 'Resuming...', 'wp-care-connector' ),
+                    'replace_none'            => __( 'No URL or path changes needed: this archive was made on this site.', 'wp-care-connector' ),
+                    'replace_unknown'         => __( 'The archive does not record its source site. Add replacements below if needed.', 'wp-care-connector' ),
+                    'replace_encrypted'       => __( 'The source site of an encrypted package is read once it is decrypted, and its URLs and paths are then updated automatically. Add further replacements below if needed.', 'wp-care-connector' ),
+                    'replace_search'          => __( 'Search for', 'wp-care-connector' ),
+                    'replace_with'            => __( 'Replace with', 'wp-care-connector' ),
+                    'replace_remove'          => __( 'Remove', 'wp-care-connector' ),
+                    'replace_tables'          => __( 'tables', 'wp-care-connector' ),
+                    'replace_rows'            => __( 'rows updated', 'wp-care-connector' ),
+                    'contents_loading'        => __( 'Reading archive...', 'wp-care-connector' ),
+                    'contents_no_database'    => __( 'This archive has no database.', 'wp-care-connector' ),
+                    'contents_no_files'       => __( 'This archive has no files.', 'wp-care-connector' ),
+                    'files_count'             => __( 'files', 'wp-care-connector' ),
+                    'nothing_selected'        => __( 'Select at least one table or folder to restore.', 'wp-care-connector' ),
+                    'verify_title'            => __( 'Verifying Package', 'wp-care-connector' ),
+                    'verifying'               => __( 'Checking files against the manifest...', 'wp-care-connector' ),
+                    'verify_extra'            => __( 'Looking for unexpected files...', 'wp-care-connector' ),
+                    'verify_entries'          => __( 'entries checked', 'wp-care-connector' ),
+                    'verify_passed'           => __( 'Package verified', 'wp-care-connector' ),
+                    'verify_failed'           => __( 'Package failed verification', 'wp-care-connector' ),
+                    'verify_passed_detail'    => __( 'Every file matches the manifest recorded when the package was created.', 'wp-care-connector' ),
+                    'verify_missing'          => __( 'Missing', 'wp-care-connector' ),
+                    'verify_corrupted'        => __( 'Corrupted', 'wp-care-connector' ),
+                    'verify_unexpected'       => __( 'Unexpected', 'wp-care-connector' ),
+                    'verified'                => __( 'Verified', 'wp-care-connector' ),
+                    'verification_failed'     => __( 'Failed verification', 'wp-care-connector' ),
+                    'confirm_restore_unverified' => __( 'This package failed its integrity check and may be incomplete or tampered with. Restore it anyway?', 'wp-care-connector' ),
+                    'confirm_discard_export'  => __( 'Discard this unfinished export? Its partial files will be deleted.', 'wp-care-connector' ),
+                    'confirm_discard_restore' => __( 'Discard this unfinished restore? Your site may be left partially restored; the pre-restore checkpoint is kept.', 'wp-care-connector' ),
+                    'storage_testing'         => __( 'Testing...', 'wp-care-connector' ),
+                    'storage_test_ok'         => __( 'Connection OK', 'wp-care-connector' ),
+                    'storage_loading'         => __( 'Loading remote archives...', 'wp-care-connector' ),
+                    'storage_empty'           => __( 'No archives found on this target.', 'wp-care-connector' ),
+                    'storage_local'           => __( 'Already on this site', 'wp-care-connector' ),
+                    'pull_button'             => __( 'Pull & Restore', 'wp-care-connector' ),
+                    'pull_title'              => __( 'Pulling Archive from Off-site Storage', 'wp-care-connector' ),
+                    'pulling'                 => __( 'Downloading', 'wp-care-connector' ),
+                    'confirm_cancel_pull'     => __( 'Cancel the download? The partial file will be deleted.', 'wp-care-connector' ),
+                    'transfer_title'          => __( 'Pulling Migration from Another Site', 'wp-care-connector' ),
+                    'transfer_connecting'     => __( 'Connecting to the source site...', 'wp-care-connector' ),
+                    'transfer_missing'        => __( 'Enter the source site address and its transfer token.', 'wp-care-connector' ),
+                    'transfer_token_creating' => __( 'Creating token...', 'wp-care-connector' ),
+                    'estimating'              => __( 'Estimating size...', 'wp-care-connector' ),
+                    /* translators: 1: estimated total size, 2: number of files, 3: size of the files, 4: size of the database */
+                    'estimate_result'         => __( 'About %1$s before compression: %2$s files (%3$s) and %4$s of database.', 'wp-care-connector' ),
+                    'preset_custom'           => __( '— Custom —', 'wp-care-connector' ),
+                    'preset_name_prompt'      => __( 'Name for this preset (an existing preset with the same name is replaced):', 'wp-care-connector' ),
+                    'confirm_delete_preset'   => __( 'Delete this preset?', 'wp-care-connector' ),
+                    'job_queued'              => __( 'Queued', 'wp-care-connector' ),
+                    'job_verify'              => __( 'Verifying package', 'wp-care-connector' ),
+                    'confirm_cancel_job'      => __( 'Cancel this job? An unfinished export is deleted; an unfinished restore leaves the site partially restored.', 'wp-care-connector' ),
+                    'staging_create_title'    => __( 'Creating Staging Site', 'wp-care-connector' ),
+                    'staging_push_title'      => __( 'Pushing Staging to Live', 'wp-care-connector' ),
+                    'staging_db'              => __( 'Copying database...', 'wp-care-connector' ),
+                    'staging_scanning'        => __( 'Scanning files...', 'wp-care-connector' ),
+                    'staging_files'           => __( 'Copying files...', 'wp-care-connector' ),
+                    'staging_config'          => __( 'Configuring staging site...', 'wp-care-connector' ),
+                    'staging_swap'            => __( 'Replacing live tables...', 'wp-care-connector' ),
+                    'staging_created'         => __( 'Staging site created!', 'wp-care-connector' ),
+                    'staging_pushed'          => __( 'Staging pushed to live!', 'wp-care-connector' ),
+                    'staging_push_checkpoint_note' => __( 'A checkpoint was created before pushing; roll back to it from the Tools page if needed. Checkpoint ID:', 'wp-care-connector' ),
+                    'staging_nothing_selected' => __( 'Select at least one table or folder to push.', 'wp-care-connector' ),
+                    'confirm_staging_push'    => __( 'Push the selected tables and folders to the live site? They replace the live versions; a checkpoint is created first.', 'wp-care-connector' ),
+                    'confirm_cancel_staging'  => __( 'Stop? You can resume from this page later.', 'wp-care-connector' ),
+                    'passphrase_mismatch'     => __( 'The passphrases do not match.', 'wp-care-connector' ),
+                    /* translators: %d: minimum number of characters */
+                    'passphrase_short'        => __( 'The passphrase must be at least %d characters long.', 'wp-care-connector' ),
+                    'passphrase_required'     => __( 'Enter the passphrase this package was encrypted with.', 'wp-care-connector' ),
+                ),
+            ) );
+        }
+
+        // Checkpoint list and rollback on the tools page
+        if ( strpos( $hook_suffix, $this->menu_slug . '-tools' ) !== false ) {
+            wp_enqueue_script(
+                'wp-care-checkpoints',
+                WP_CARE_PLUGIN_URL . 'admin/js/checkpoints.js',
+                array( 'jquery' ),
+                WP_CARE_VERSION,
+                true
+            );
+
+            wp_localize_script( 'wp-care-checkpoints', 'wpCareCheckpoints', array(
+                'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+                'nonce'   => wp_create_nonce( 'wp_care_checkpoints' ),
+                'strings' => array(
+                    'create_title'     => __( 'Creating Checkpoint', 'wp-care-connector' ),
+                    'rollback_title'   => __( 'Rolling Back', 'wp-care-connector' ),
+                    'initializing'     => __( 'Initializing...', 'wp-care-connector' ),
+                    'exporting_db'     => __( 'Exporting database...', 'wp-care-connector' ),
+                    'scanning'         => __( 'Scanning files...', 'wp-care-connector' ),
+                    'archiving'        => __( 'Archiving files...', 'wp-care-connector' ),
+                    'finalizing'       => __( 'Finalizing checkpoint...', 'wp-care-connector' ),
+                    'restoring_files'  => __( 'Restoring files...', 'wp-care-connector' ),
+                    'removing_files'   => __( 'Removing files added since the checkpoint...', 'wp-care-connector' ),
+                    'restoring_db'     => __( 'Restoring database...', 'wp-care-connector' ),
+                    'create_complete'  => __( 'Checkpoint created.', 'wp-care-connector' ),
+                    'rollback_complete' => __( 'Rollback complete. Reloading...', 'wp-care-connector' ),
+                    'error'            => __( 'Operation failed', 'wp-care-connector' ),
+                    'files_count'      => __( 'files', 'wp-care-connector' ),
+                    'nothing_selected' => __( 'Select the database or at least one folder.', 'wp-care-connector' ),
+                    'confirm_rollback' => __( 'Roll the site back to this checkpoint? Everything it contains is overwritten and files added since are deleted. You may have to log in again afterwards.', 'wp-care-connector' ),
+                    'confirm_delete'   => __( 'Delete this checkpoint?', 'wp-care-connector' ),
+                    'diff_loading'     => __( 'Comparing with the current site...', 'wp-care-connector' ),
+                    'diff_none'        => __( 'Nothing has changed since this checkpoint.', 'wp-care-connector' ),
+                    'diff_added'       => __( 'Added', 'wp-care-connector' ),
+                    'diff_modified'    => __( 'Modified', 'wp-care-connector' ),
+                    'diff_deleted'     => __( 'Deleted', 'wp-care-connector' ),
+                    'diff_tables'      => __( 'Tables', 'wp-care-connector' ),
+                    'diff_changed'     => __( 'Changed', 'wp-care-connector' ),
+                    'diff_removed'     => __( 'Removed', 'wp-care-connector' ),
+                    'diff_no_tables'   => __( 'Table changes cannot be shown for this checkpoint.', 'wp-care-connector' ),
+                    /* translators: %d: number of entries not shown */
+                    'diff_more'        => __( '...and %d more', 'wp-care-connector' ),
+                ),
+            ) );
+
+            wp_enqueue_script(
+                'wp-care-temp-logins',
+                WP_CARE_PLUGIN_URL . 'admin/js/temp-logins.js',
+                array( 'jquery' ),
+                WP_CARE_VERSION,
+                true
+            );
+
+            wp_localize_script( 'wp-care-temp-logins', 'wpCareTempLogins', array(
+                'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+                'nonce'   => wp_create_nonce( 'wp_care_temp_logins' ),
+                'strings' => array(
+                    'empty'        => __( 'No active temporary logins.', 'wp-care-connector' ),
+                    'error'        => __( 'Temporary logins could not be loaded.', 'wp-care-connector' ),
+                    'never'        => __( 'Not used yet', 'wp-care-connector' ),
+                    'online'       => __( 'Online', 'wp-care-connector' ),
+                    'ips'          => __( 'Only from:', 'wp-care-connector' ),
+                    'created_by'   => __( 'by', 'wp-care-connector' ),
+                    'kill'         => __( 'Kill Session', 'wp-care-connector' ),
+                    'confirm_kill' => __( 'End this login now? Its sessions are signed out and the temporary user is deleted.', 'wp-care-connector' ),
+                ),
+            ) );
+
+            wp_enqueue_script(
+                'wp-care-updates',
+                WP_CARE_PLUGIN_URL . 'admin/js/updates.js',
+                array( 'jquery' ),
+                WP_CARE_VERSION,
+                true
+            );
+
+            wp_localize_script( 'wp-care-updates', 'wpCareUpdates', array(
+                'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+                'nonce'   => wp_create_nonce( 'wp_care_updates' ),
+                'strings' => array(
+                    'none_selected' => __( 'Select at least one update.', 'wp-care-connector' ),
+                    'confirm'       => __( 'Update the selected items now? Each one is backed up and checked, and rolled back if the site breaks. Keep this page open until they finish.', 'wp-care-connector' ),
+                    'queued'        => __( 'Waiting...', 'wp-care-connector' ),
+                    'updating'      => __( 'Backing up, updating and checking...', 'wp-care-connector' ),
+                    'reloading'     => __( 'Reloading...', 'wp-care-connector' ),
+                    'error'         => __( 'The update request failed.', 'wp-care-connector' ),
+                    'statuses'      => array(
+                        'updated'         => __( 'Updated', 'wp-care-connector' ),
+                        'rolled_back'     => __( 'Rolled back', 'wp-care-connector' ),
+                        'rollback_failed' => __( 'Rollback failed', 'wp-care-connector' ),
+                        'failed'          => __( 'Not updated', 'wp-care-connector' ),
+                    ),
+                ),
+            ) );
+        }
+
+        // Enqueue health trend charts only on the site health page
+        if ( strpos( $hook_suffix, $this->menu_slug . '-health' ) !== false ) {
+            wp_enqueue_script(
+                'wp-care-health-metrics',
+                WP_CARE_PLUGIN_URL . 'admin/js/health-metrics.js',
+                array( 'jquery' ),
+                WP_CARE_VERSION,
+                true
+            );
+
+            wp_localize_script( 'wp-care-health-metrics', 'wpCareHealthMetrics', array(
+                'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+                'nonce'   => wp_create_nonce( 'wp_care_health_metrics' ),
+                'strings' => array(
+                    'empty'          => __( 'Nothing recorded yet. The first measurement is taken within the hour, or use Measure Now.', 'wp-care-connector' ),
+                    'error'          => __( 'Health metrics could not be loaded.', 'wp-care-connector' ),
+                    'failed'         => __( 'Failed', 'wp-care-connector' ),
+                    'measure_now'    => __( 'Measure Now', 'wp-care-connector' ),
+                    'measuring'      => __( 'Measuring...', 'wp-care-connector' ),
+                    'plugins'        => __( 'Plugins', 'wp-care-connector' ),
+                    'active_plugins' => __( 'Active plugins', 'wp-care-connector' ),
+                    'themes'         => __( 'Themes', 'wp-care-connector' ),
+                ),
+            ) );
+        }
+
+        // Enqueue file integrity scans only on the file integrity page
+        if ( strpos( $hook_suffix, $this->menu_slug . '-integrity' ) !== false ) {
+            wp_enqueue_script(
+                'wp-care-integrity',
+                WP_CARE_PLUGIN_URL . 'admin/js/integrity.js',
+                array( 'jquery' ),
+                WP_CARE_VERSION,
+                true
+            );
+
+            wp_localize_script( 'wp-care-integrity', 'wpCareIntegrity', array(
+                'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+                'nonce'   => wp_create_nonce( 'wp_care_integrity' ),
+                'strings' => array(
+                    'listing'          => __( 'Listing files...', 'wp-care-connector' ),
+                    /* translators: 1: files checked, 2: total files */
+                    'hashing'          => __( 'Checked %1$s of %2$s files...', 'wp-care-connector' ),
+                    'busy'             => __( 'A scan is already running; following its progress...', 'wp-care-connector' ),
+                    'done'             => __( 'Scan complete. Reloading...', 'wp-care-connector' ),
+                    'error'            => __( 'The scan failed.', 'wp-care-connector' ),
+                    'confirm_baseline' => __( 'Record the current files as the new baseline? Changes not yet reviewed will no longer be reported.', 'wp-care-connector' ),
+                    'confirm_all'      => __( 'Accept every listed change into the baseline?', 'wp-care-connector' ),
+                    'none_selected'    => __( 'Select at least one file.', 'wp-care-connector' ),
+                ),
+            ) );
+        }
+
+        // Enqueue activity log JS only on the activity log page
+        if ( strpos( $hook_suffix, $this->menu_slug . '-activity' ) !== false ) {
+            wp_enqueue_script(
+                'wp-care-activity-log',
+                WP_CARE_PLUGIN_URL . 'admin/js/activity-log.js',
+                array( 'jquery' ),
+                WP_CARE_VERSION,
+                true
+            );
+
+            wp_localize_script( 'wp-care-activity-log', 'wpCareActivityLog', array(
+                'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+                'nonce'   => wp_create_nonce( 'wp_care_activity_log' ),
+                'strings' => array(
+                    'loading' => __( 'Loading...', 'wp-care-connector' ),
+                    'empty'   => __( 'No matching activity.', 'wp-care-connector' ),
+                    'error'   => __( 'The log could not be loaded.', 'wp-care-connector' ),
+                    'failure' => __( 'Failed', 'wp-care-connector' ),
+                    /* translators: 1: current page, 2: number of pages, 3: number of entries */
+                    'page_of' => __( 'Page %1$d of %2$d (%3$d entries)', 'wp-care-connector' ),
                 ),
             ) );
         }
@@ -217,6 +558,8 @@ class WP_Care_Admin {
      *
      * Captures site context before displaying form so support agents
      * have full diagnostic information when request is submitted.
+     * Below the form are the site's tickets from the central API; with
+     * ?ticket=<id> the page shows that ticket's conversation instead.
      *
      * @return void
      */
@@ -228,16 +571,41 @@ class WP_Care_Admin {
         // Get current user info
         $current_user = wp_get_current_user();
 
+        $ticket_id = isset( $_GET['ticket'] ) ? sanitize_text_field( wp_unslash( $_GET['ticket'] ) ) : '';
+        $connected = WP_Care_API_Endpoints::is_registered();
+
         // Pass data to template
         $form_data = array(
             'nonce_action' => $this->nonce_action,
             'nonce_field'  => wp_nonce_field( $this->nonce_action, '_wpnonce', true, false ),
             'form_action'  => admin_url( 'admin-post.php' ),
+            'page_url'     => admin_url( 'admin.php?page=' . $this->menu_slug ),
             'user_email'   => $current_user->user_email,
             'user_name'    => $current_user->display_name,
             'site_context' => $site_context,
+            'connected'    => $connected,
+            'unsent'       => get_option( $this->support_requests_key, array() ),
+            'diagnostics'  => null,
+            'tickets'      => array(),
+            'ticket'       => null,
+            'reply_draft'  => '',
         );
 
+        if ( $ticket_id ) {
+            $form_data['ticket'] = WP_Care_Support_Tickets::get_ticket( $ticket_id );
+
+            // A reply that failed to send, to try again
+            $form_data['reply_draft'] = (string) get_transient( 'wp_care_support_reply_' . get_current_user_id() );
+            delete_transient( 'wp_care_support_reply_' . get_current_user_id() );
+        } else {
+            // Shown in the form so users see what the bundle contains
+            $form_data['diagnostics'] = WP_Care_Diagnostics::collect();
+
+            if ( $connected ) {
+                $form_data['tickets'] = WP_Care_Support_Tickets::get_tickets();
+            }
+        }
+
         // Include template
         include WP_CARE_PLUGIN_DIR . 'admin/views/support-form.php';
     }
@@ -256,8 +624,22 @@ class WP_Care_Admin {
             'has_api_key'      => WP_Care_Security::has_api_key(),
             'plugin_version'   => WP_CARE_VERSION,
             'rest_url'         => rest_url( 'wp-care/v1/' ),
+            'api_keys'         => WP_Care_API_Keys::get_keys(),
+            'api_key_scopes'   => WP_Care_API_Keys::get_available_scopes(),
+            'require_nonce'    => (bool) get_option( 'wp_care_require_nonce', true ),
+            'new_api_key'      => null,
         );
 
+        // A key secret created or rotated on the last request, shown once
+        $new_key = get_transient( 'wp_care_new_api_key_' . get_current_user_id() );
+        if ( $new_key ) {
+            delete_transient( 'wp_care_new_api_key_' . get_current_user_id() );
+            $status_data['new_api_key'] = array(
+                'id'     => $new_key['id'],
+                'secret' => WP_Care_Security::decrypt( $new_key['secret'] ),
+            );
+        }
+
         // Get site map for additional context
         $site_mapper = new WP_Care_Site_Mapper();
         $status_data['site_info'] = $site_mapper->get_site_map();
@@ -370,24 +752,160 @@ class WP_Care_Admin {
             'user_email'     => $current_user->user_email,
             'user_name'      => $current_user->display_name,
             'site_context'   => $site_context,
+            'diagnostics'    => ! empty( $_POST['support_diagnostics'] ) ? WP_Care_Diagnostics::collect() : null,
             'submitted_at'   => current_time( 'mysql' ),
             'status'         => 'pending',
         );
 
-        // Store request locally (will be synced to central API)
+        // Store request locally until the central API has it
         $requests = get_option( $this->support_requests_key, array() );
         $requests[] = $request;
         update_option( $this->support_requests_key, $requests, false );
 
+        $ticket = $this->send_support_request( $request );
+
         // Log the activity
         WP_Care_Activity_Log::log( 'support_submitted', array(
-            'subject'  => $subject,
-            'category' => $category,
-            'priority' => $priority,
+            'subject'     => $subject,
+            'category'    => $category,
+            'priority'    => $priority,
+            'diagnostics' => $request['diagnostics'] !== null,
+            'ticket_id'   => is_wp_error( $ticket ) ? '' : $ticket['id'],
         ) );
 
+        if ( is_wp_error( $ticket ) ) {
+            $this->redirect_with_notice( 'warning', sprintf(
+                /* translators: %s: error message */
+                __( 'Your support request was saved but could not be sent to WP Care: %s You can send it again from the list below.', 'wp-care-connector' ),
+                $ticket->get_error_message()
+            ) );
+            return;
+        }
+
         // Redirect with success
-        $this->redirect_with_notice( 'success', __( 'Your support request has been submitted successfully.', 'wp-care-connector' ) );
+        $this->redirect_with_notice( 'success', __( 'Your support request has been submitted successfully.', 'wp-care-connector' ), array( 'ticket' => $ticket['id'] ) );
+    }
+
+    /**
+     * Send a saved support request that could not be sent before.
+     *
+     * @return void
+     */
+    public function handle_send_support_request() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), $this->nonce_action ) ) {
+            wp_die(
+                esc_html__( 'Security check failed. Please try again.', 'wp-care-connector' ),
+                esc_html__( 'Error', 'wp-care-connector' ),
+                array( 'response' => 403, 'back_link' => true )
+            );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die(
+                esc_html__( 'You do not have permission to submit support requests.', 'wp-care-connector' ),
+                esc_html__( 'Error', 'wp-care-connector' ),
+                array( 'response' => 403, 'back_link' => true )
+            );
+        }
+
+        $request_id = isset( $_POST['request_id'] ) ? sanitize_text_field( wp_unslash( $_POST['request_id'] ) ) : '';
+        $request    = null;
+
+        foreach ( get_option( $this->support_requests_key, array() ) as $pending ) {
+            if ( isset( $pending['id'] ) && $pending['id'] === $request_id ) {
+                $request = $pending;
+                break;
+            }
+        }
+
+        if ( ! $request ) {
+            $this->redirect_with_notice( 'error', __( 'Support request not found.', 'wp-care-connector' ) );
+            return;
+        }
+
+        $ticket = $this->send_support_request( $request );
+
+        if ( is_wp_error( $ticket ) ) {
+            $this->redirect_with_notice( 'error', sprintf(
+                /* translators: %s: error message */
+                __( 'The support request could not be sent: %s', 'wp-care-connector' ),
+                $ticket->get_error_message()
+            ) );
+            return;
+        }
+
+        $this->redirect_with_notice( 'success', __( 'Your support request has been sent.', 'wp-care-connector' ), array( 'ticket' => $ticket['id'] ) );
+    }
+
+    /**
+     * Handle a reply to a ticket from the conversation view.
+     *
+     * @return void
+     */
+    public function handle_support_reply() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), $this->nonce_action ) ) {
+            wp_die(
+                esc_html__( 'Security check failed. Please try again.', 'wp-care-connector' ),
+                esc_html__( 'Error', 'wp-care-connector' ),
+                array( 'response' => 403, 'back_link' => true )
+            );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die(
+                esc_html__( 'You do not have permission to submit support requests.', 'wp-care-connector' ),
+                esc_html__( 'Error', 'wp-care-connector' ),
+                array( 'response' => 403, 'back_link' => true )
+            );
+        }
+
+        $ticket_id = isset( $_POST['ticket_id'] ) ? sanitize_text_field( wp_unslash( $_POST['ticket_id'] ) ) : '';
+        $message   = isset( $_POST['reply_message'] ) ? sanitize_textarea_field( wp_unslash( $_POST['reply_message'] ) ) : '';
+
+        if ( $ticket_id === '' ) {
+            $this->redirect_with_notice( 'error', __( 'Ticket not found.', 'wp-care-connector' ) );
+            return;
+        }
+
+        if ( trim( $message ) === '' ) {
+            $this->redirect_with_notice( 'error', __( 'Please write a reply.', 'wp-care-connector' ), array( 'ticket' => $ticket_id ) );
+            return;
+        }
+
+        $result = WP_Care_Support_Tickets::reply( $ticket_id, $message );
+
+        if ( is_wp_error( $result ) ) {
+            // Keep the text so it isn't lost
+            set_transient( 'wp_care_support_reply_' . get_current_user_id(), $message, 10 * MINUTE_IN_SECONDS );
+
+            $this->redirect_with_notice( 'error', sprintf(
+                /* translators: %s: error message */
+                __( 'Your reply could not be sent: %s', 'wp-care-connector' ),
+                $result->get_error_message()
+            ), array( 'ticket' => $ticket_id ) );
+            return;
+        }
+
+        WP_Care_Activity_Log::log( 'support_replied', array( 'ticket_id' => $ticket_id ) );
+
+        $this->redirect_with_notice( 'success', __( 'Your reply has been sent.', 'wp-care-connector' ), array( 'ticket' => $ticket_id ) );
+    }
+
+    /**
+     * Send a saved support request to the central API as a ticket, and
+     * drop it from the local queue once the API has it.
+     *
+     * @param array $request Support request.
+     * @return array|WP_Error The ticket.
+     */
+    private function send_support_request( $request ) {
+        $ticket = WP_Care_Support_Tickets::create( $request );
+
+        if ( ! is_wp_error( $ticket ) ) {
+            $this->clear_request( $request['id'] );
+        }
+
+        return $ticket;
     }
 
     /**
@@ -422,6 +940,65 @@ class WP_Care_Admin {
         );
     }
 
+    /**
+     * Show a notice for each health threshold the latest measurement exceeded.
+     *
+     * @return void
+     */
+    public function show_health_alerts() {
+        if ( ! current_user_can( 'manage_options' ) ) {
+            return;
+        }
+
+        $alerts = WP_Care_Health_Metrics::get_alerts();
+        if ( empty( $alerts ) ) {
+            return;
+        }
+
+        $link = admin_url( 'admin.php?page=' . $this->menu_slug . '-health#wp-care-health-trends' );
+
+        foreach ( $alerts as $alert ) {
+            printf(
+                '<div class="notice notice-warning"><p><strong>%1$s</strong> %2$s <a href="%3$s">%4$s</a></p></div>',
+                esc_html__( 'WP Care:', 'wp-care-connector' ),
+                esc_html( $alert['message'] ),
+                esc_url( $link ),
+                esc_html__( 'View trends', 'wp-care-connector' )
+            );
+        }
+    }
+
+    /**
+     * Show a notice when the last file integrity scan found changes.
+     *
+     * @return void
+     */
+    public function show_integrity_alert() {
+        if ( ! current_user_can( 'manage_options' ) ) {
+            return;
+        }
+
+        // The page itself lists the changes
+        $screen = get_current_screen();
+        if ( $screen && strpos( $screen->id, $this->menu_slug . '-integrity' ) !== false ) {
+            return;
+        }
+
+        $changes = WP_Care_Integrity::count_changes();
+        if ( ! $changes ) {
+            return;
+        }
+
+        printf(
+            '<div class="notice notice-warning"><p><strong>%1$s</strong> %2$s <a href="%3$s">%4$s</a></p></div>',
+            esc_html__( 'WP Care:', 'wp-care-connector' ),
+            /* translators: %s: number of changed files */
+            esc_html( sprintf( _n( 'The file integrity scan found %s changed file.', 'The file integrity scan found %s changed files.', $changes, 'wp-care-connector' ), number_format_i18n( $changes ) ) ),
+            esc_url( admin_url( 'admin.php?page=' . $this->menu_slug . '-integrity' ) ),
+            esc_html__( 'Review changes', 'wp-care-connector' )
+        );
+    }
+
     /**
      * Check connection status to central API.
      *
@@ -450,11 +1027,12 @@ class WP_Care_Admin {
      *
      * Sets transient notice and redirects back to support form.
      *
-     * @param string $type    Notice type: 'success' or 'error'.
+     * @param string $type    Notice type: 'success', 'warning' or 'error'.
      * @param string $message The message to display.
+     * @param array  $args    Query arguments for the page, such as 'ticket'.
      * @return void
      */
-    private function redirect_with_notice( $type, $message ) {
+    private function redirect_with_notice( $type, $message, $args = array() ) {
         // Set notice transient (expires in 30 seconds)
         set_transient( 'wp_care_admin_notice', array(
             'type'    => $type,
@@ -462,12 +1040,12 @@ class WP_Care_Admin {
         ), 30 );
 
         // Redirect back to form
-        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug ) );
+        wp_safe_redirect( add_query_arg( array_map( 'rawurlencode', $args ), admin_url( 'admin.php?page=' . $this->menu_slug ) ) );
         exit;
     }
 
     /**
-     * Get all pending support requests.
+     * Get all pending support requests: those not yet sent to the central API.
      *
      * @return array Array of support request data.
      */
@@ -692,9 +1270,17 @@ class WP_Care_Admin {
         $backup = new WP_Care_Backup();
         $checkpoints = $backup->list_checkpoints();
 
-        // Get active temp users
-        $temp_login = new WP_Care_Temp_Login();
-        $temp_users = $temp_login->get_active_temp_users();
+        // Get active temp users and the options for new ones
+        $temp_login        = new WP_Care_Temp_Login();
+        $temp_users        = $temp_login->get_active_temp_users();
+        $temp_roles        = $temp_login->get_roles();
+        $temp_capabilities = $temp_login->get_capabilities();
+        $temp_defaults     = $temp_login->get_default_options();
+
+        // Get available updates and recent update runs
+        $updates_available = WP_Care_Updates::get_available();
+        $updates_history   = WP_Care_Updates::get_history();
+        $updates_count     = count( $updates_available['plugins'] ) + count( $updates_available['themes'] ) + ( $updates_available['core'] ? 1 : 0 );
         ?>
         <div class="wrap">
             <h1><?php esc_html_e( 'WP Care Tools', 'wp-care-connector' ); ?></h1>
@@ -708,7 +1294,7 @@ class WP_Care_Admin {
             ?>
             <div class="notice notice-info" style="padding: 15px; margin: 20px 0;">
                 <h3 style="margin-top: 0;"><?php esc_html_e( 'Temporary Login Link Generated', 'wp-care-connector' ); ?></h3>
-                <p><?php esc_html_e( 'Copy this link and share it with whoever needs temporary admin access. It expires in 4 hours and works only once.', 'wp-care-connector' ); ?></p>
+                <p><?php esc_html_e( 'Copy this link and share it with whoever needs temporary access. It stops working when it expires or its allowed uses run out.', 'wp-care-connector' ); ?></p>
                 <input type="text" value="<?php echo esc_url( $temp_login_url ); ?>" readonly
                        style="width: 100%; max-width: 600px; padding: 10px; font-family: monospace;"
                        onclick="this.select();">
@@ -751,17 +1337,16 @@ class WP_Care_Admin {
                             <span class="dashicons dashicons-backup" style="vertical-align: middle;"></span>
                             <?php esc_html_e( 'Create Backup', 'wp-care-connector' ); ?>
                         </button>
+                        <a href="#wp-care-checkpoints" class="button"><?php esc_html_e( 'Include Files...', 'wp-care-connector' ); ?></a>
                     </form>
                     <?php if ( ! empty( $checkpoints ) ) : ?>
-                        <h4 style="margin-bottom: 5px;"><?php esc_html_e( 'Recent Backups', 'wp-care-connector' ); ?></h4>
-                        <ul style="margin: 0; font-size: 12px;">
-                            <?php foreach ( array_slice( $checkpoints, 0, 3 ) as $cp ) : ?>
-                                <li>
-                                    <code><?php echo esc_html( $cp['id'] ); ?></code>
-                                    <span style="color: #666;">(<?php echo esc_html( human_time_diff( $cp['created_at'] ) ); ?> ago)</span>
-                                </li>
-                            <?php endforeach; ?>
-                        </ul>
+                        <p style="font-size: 12px;">
+                            <?php
+                            /* translators: %d: number of checkpoints */
+                            echo esc_html( sprintf( _n( '%d checkpoint stored.', '%d checkpoints stored.', count( $checkpoints ), 'wp-care-connector' ), count( $checkpoints ) ) );
+                            ?>
+                            <a href="#wp-care-checkpoints"><?php esc_html_e( 'View changes or roll back', 'wp-care-connector' ); ?></a>
+                        </p>
                     <?php endif; ?>
                 </div>
 
@@ -771,7 +1356,7 @@ class WP_Care_Admin {
                         <span class="dashicons dashicons-admin-users" style="color: #2271b1;"></span>
                         <?php esc_html_e( 'Temporary Admin Login', 'wp-care-connector' ); ?>
                     </h2>
-                    <p><?php esc_html_e( 'Generate a secure temporary admin login link. Perfect for giving support access without sharing your password. Expires in 4 hours.', 'wp-care-connector' ); ?></p>
+                    <p><?php esc_html_e( 'Generate a secure temporary admin login link. Perfect for giving support access without sharing your password. Expires in 4 hours and works once.', 'wp-care-connector' ); ?></p>
                     <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
                         <?php wp_nonce_field( 'wp_care_create_temp_login', '_wpnonce' ); ?>
                         <input type="hidden" name="action" value="wp_care_create_temp_login">
@@ -779,20 +1364,42 @@ class WP_Care_Admin {
                             <span class="dashicons dashicons-admin-network" style="vertical-align: middle;"></span>
                             <?php esc_html_e( 'Generate Login Link', 'wp-care-connector' ); ?>
                         </button>
+                        <a href="#wp-care-temp-logins" class="button"><?php esc_html_e( 'Options...', 'wp-care-connector' ); ?></a>
                     </form>
                     <?php if ( ! empty( $temp_users ) ) : ?>
-                        <h4 style="margin-bottom: 5px;"><?php esc_html_e( 'Active Temp Users', 'wp-care-connector' ); ?></h4>
-                        <ul style="margin: 0; font-size: 12px;">
-                            <?php foreach ( $temp_users as $user ) : ?>
-                                <li>
-                                    <?php echo esc_html( $user['username'] ); ?>
-                                    <span style="color: #666;">(expires <?php echo esc_html( human_time_diff( $user['expires'] ) ); ?>)</span>
-                                </li>
-                            <?php endforeach; ?>
-                        </ul>
+                        <p style="font-size: 12px;">
+                            <?php
+                            /* translators: %d: number of active temporary logins */
+                            echo esc_html( sprintf( _n( '%d temporary login active.', '%d temporary logins active.', count( $temp_users ), 'wp-care-connector' ), count( $temp_users ) ) );
+                            ?>
+                            <a href="#wp-care-temp-logins"><?php esc_html_e( 'View sessions', 'wp-care-connector' ); ?></a>
+                        </p>
                     <?php endif; ?>
                 </div>
 
+                <!-- Safe Updates -->
+                <div class="wp-care-tool-card card" style="padding: 20px;">
+                    <h2 style="margin-top: 0;">
+                        <span class="dashicons dashicons-update" style="color: #2271b1;"></span>
+                        <?php esc_html_e( 'Safe Updates', 'wp-care-connector' ); ?>
+                    </h2>
+                    <p><?php esc_html_e( 'Update plugins, themes and WordPress with a backup first and an automatic rollback if the site stops working.', 'wp-care-connector' ); ?></p>
+                    <a href="#wp-care-updates" class="button button-primary">
+                        <span class="dashicons dashicons-update" style="vertical-align: middle;"></span>
+                        <?php esc_html_e( 'Choose Updates', 'wp-care-connector' ); ?>
+                    </a>
+                    <p style="font-size: 12px;">
+                        <?php
+                        if ( $updates_count ) {
+                            /* translators: %d: number of available updates */
+                            echo esc_html( sprintf( _n( '%d update available.', '%d updates available.', $updates_count, 'wp-care-connector' ), $updates_count ) );
+                        } else {
+                            esc_html_e( 'Everything is up to date.', 'wp-care-connector' );
+                        }
+                        ?>
+                    </p>
+                </div>
+
                 <!-- Site Migration -->
                 <div class="wp-care-tool-card card" style="padding: 20px;">
                     <h2 style="margin-top: 0;">
@@ -823,6 +1430,12 @@ class WP_Care_Admin {
                 </div>
 
             </div>
+
+            <?php include WP_CARE_PLUGIN_DIR . 'admin/views/updates.php'; ?>
+
+            <?php include WP_CARE_PLUGIN_DIR . 'admin/views/temp-logins.php'; ?>
+
+            <?php include WP_CARE_PLUGIN_DIR . 'admin/views/checkpoints.php'; ?>
         </div>
         <?php
     }
@@ -893,13 +1506,12 @@ class WP_Care_Admin {
     }
 
     /**
-     * Handle temporary login creation.
+     * Handle checkpoint deletion.
      *
      * @return void
      */
-    public function handle_create_temp_login() {
-        // Verify nonce
-        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_create_temp_login' ) ) {
+    public function handle_delete_checkpoint() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_delete_checkpoint' ) ) {
             wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
         }
 
@@ -907,17 +1519,22 @@ class WP_Care_Admin {
             wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
         }
 
-        $temp_login = new WP_Care_Temp_Login();
-        $current_user = wp_get_current_user();
-        $result = $temp_login->create_login( $current_user->user_login );
+        $checkpoint_id = isset( $_POST['checkpoint_id'] ) ? sanitize_file_name( wp_unslash( $_POST['checkpoint_id'] ) ) : '';
 
-        if ( is_wp_error( $result ) ) {
-            $this->redirect_with_notice( 'error', $result->get_error_message() );
+        $backup = new WP_Care_Backup();
+        if ( $checkpoint_id !== '' && $backup->delete_checkpoint( $checkpoint_id ) ) {
+            WP_Care_Activity_Log::log( 'checkpoint_deleted', array( 'checkpoint_id' => $checkpoint_id ) );
+
+            // Stay on the tools page; redirect_with_notice() goes to the help form
+            set_transient( 'wp_care_admin_notice', array(
+                'type'    => 'success',
+                'message' => __( 'Checkpoint deleted.', 'wp-care-connector' ),
+            ), 30 );
         } else {
-            WP_Care_Activity_Log::log( 'temp_login_created', array( 'created_by' => $current_user->user_login ) );
-            // Store the login URL in a transient so we can display it
-            set_transient( 'wp_care_temp_login_url', $result, 60 );
-            $this->redirect_with_notice( 'success', __( 'Temporary login created! The link is shown below.', 'wp-care-connector' ) );
+            set_transient( 'wp_care_admin_notice', array(
+                'type'    => 'error',
+                'message' => __( 'Checkpoint not found.', 'wp-care-connector' ),
+            ), 30 );
         }
 
         wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-tools' ) );
@@ -925,31 +1542,329 @@ class WP_Care_Admin {
     }
 
     /**
-     * Handle settings form submission.
+     * AJAX handler: Start a checkpoint of the database and/or chosen paths.
      *
      * @return void
      */
-    public function handle_settings_save() {
-        // Verify nonce
-        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_settings' ) ) {
-            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
-        }
+    public function ajax_checkpoint_init() {
+        check_ajax_referer( 'wp_care_checkpoints' );
 
-        // Check capability
         if ( ! current_user_can( 'manage_options' ) ) {
-            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
         }
 
-        // Save API URL
-        $api_url = isset( $_POST['wp_care_api_url'] ) ? esc_url_raw( wp_unslash( $_POST['wp_care_api_url'] ) ) : '';
-        update_option( 'wp_care_api_url', $api_url );
+        $paths = isset( $_POST['paths'] ) ? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['paths'] ) ) : array();
+        if ( ! empty( $_POST['extra_paths'] ) ) {
+            $paths = array_merge( $paths, preg_split( '/[\r\n]+/', sanitize_textarea_field( wp_unslash( $_POST['extra_paths'] ) ) ) );
+        }
 
-        WP_Care_Activity_Log::log( 'settings_saved', array( 'api_url' => $api_url ) );
+        $backup = new WP_Care_Backup();
+        $state  = $backup->init_checkpoint( 'manual_admin', $paths, ! empty( $_POST['include_database'] ) );
 
-        set_transient( 'wp_care_admin_notice', array(
-            'type'    => 'success',
-            'message' => __( 'Settings saved successfully.', 'wp-care-connector' ),
-        ), 30 );
+        if ( is_wp_error( $state ) ) {
+            wp_send_json_error( array(
+                'message' => $state->get_error_message(),
+                'code'    => $state->get_error_code(),
+            ) );
+        }
+
+        wp_send_json_success( $state );
+    }
+
+    /**
+     * AJAX handler: Start rolling back to a checkpoint.
+     *
+     * @return void
+     */
+    public function ajax_checkpoint_rollback() {
+        check_ajax_referer( 'wp_care_checkpoints' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $checkpoint_id = isset( $_POST['checkpoint_id'] ) ? sanitize_file_name( wp_unslash( $_POST['checkpoint_id'] ) ) : '';
+
+        $backup = new WP_Care_Backup();
+        $state  = $backup->init_rollback( $checkpoint_id );
+
+        if ( is_wp_error( $state ) ) {
+            wp_send_json_error( array(
+                'message' => $state->get_error_message(),
+                'code'    => $state->get_error_code(),
+            ) );
+        }
+
+        wp_send_json_success( $state );
+    }
+
+    /**
+     * AJAX handler: Process the next chunk of a checkpoint or rollback.
+     *
+     * @return void
+     */
+    public function ajax_checkpoint_chunk() {
+        check_ajax_referer( 'wp_care_checkpoints' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $checkpoint_id = isset( $_POST['checkpoint_id'] ) ? sanitize_file_name( wp_unslash( $_POST['checkpoint_id'] ) ) : '';
+
+        if ( empty( $checkpoint_id ) ) {
+            wp_send_json_error( array( 'message' => __( 'Checkpoint ID is required.', 'wp-care-connector' ) ) );
+        }
+
+        $backup = new WP_Care_Backup();
+        $state  = $backup->process_chunk( $checkpoint_id );
+
+        if ( ! empty( $state['completed'] ) ) {
+            WP_Care_Activity_Log::log( $state['type'] === 'rollback' ? 'checkpoint_restored' : 'backup_created', array(
+                'checkpoint_id' => $checkpoint_id,
+            ) );
+        }
+
+        wp_send_json_success( $state );
+    }
+
+    /**
+     * AJAX handler: List what changed since a checkpoint.
+     *
+     * @return void
+     */
+    public function ajax_checkpoint_diff() {
+        check_ajax_referer( 'wp_care_checkpoints' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $checkpoint_id = isset( $_POST['checkpoint_id'] ) ? sanitize_file_name( wp_unslash( $_POST['checkpoint_id'] ) ) : '';
+
+        $backup = new WP_Care_Backup();
+        $diff   = $backup->get_checkpoint_diff( $checkpoint_id );
+
+        if ( is_wp_error( $diff ) ) {
+            wp_send_json_error( array(
+                'message' => $diff->get_error_message(),
+                'code'    => $diff->get_error_code(),
+            ) );
+        }
+
+        wp_send_json_success( $diff );
+    }
+
+    /**
+     * Handle temporary login creation.
+     *
+     * @return void
+     */
+    public function handle_create_temp_login() {
+        // Verify nonce
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_create_temp_login' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        // The quick button on the tools card sends no options and gets the defaults
+        $options = array();
+        if ( isset( $_POST['role'] ) ) {
+            $options = array(
+                'role'         => sanitize_key( wp_unslash( $_POST['role'] ) ),
+                'capabilities' => isset( $_POST['capabilities'] ) ? array_map( 'sanitize_key', (array) wp_unslash( $_POST['capabilities'] ) ) : array(),
+                'expiry_hours' => isset( $_POST['expiry_hours'] ) ? floatval( $_POST['expiry_hours'] ) : 0,
+                'max_uses'     => isset( $_POST['max_uses'] ) ? absint( $_POST['max_uses'] ) : 1,
+                'allowed_ips'  => isset( $_POST['allowed_ips'] ) ? sanitize_textarea_field( wp_unslash( $_POST['allowed_ips'] ) ) : '',
+            );
+        }
+
+        $temp_login = new WP_Care_Temp_Login();
+        $current_user = wp_get_current_user();
+        $result = $temp_login->create_login( $current_user->user_login, $options );
+
+        if ( is_wp_error( $result ) ) {
+            set_transient( 'wp_care_admin_notice', array(
+                'type'    => 'error',
+                'message' => $result->get_error_message(),
+            ), 30 );
+        } else {
+            parse_str( (string) wp_parse_url( $result, PHP_URL_QUERY ), $query );
+
+            WP_Care_Activity_Log::log( 'temp_login_created', array(
+                'created_by' => $current_user->user_login,
+                'user_id'    => isset( $query['uid'] ) ? absint( $query['uid'] ) : 0,
+            ) );
+
+            // Store the login URL in a transient so we can display it
+            set_transient( 'wp_care_temp_login_url', $result, 60 );
+        }
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-tools' ) );
+        exit;
+    }
+
+    /**
+     * AJAX: List active temporary logins with their session activity.
+     *
+     * @return void
+     */
+    public function ajax_temp_sessions() {
+        check_ajax_referer( 'wp_care_temp_logins' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $temp_login = new WP_Care_Temp_Login();
+        $roles      = $temp_login->get_roles();
+        $users      = array();
+
+        foreach ( $temp_login->get_active_temp_users() as $user ) {
+            if ( $user['role'] === 'custom' ) {
+                $access = implode( ', ', $user['capabilities'] );
+            } else {
+                $access = isset( $roles[ $user['role'] ] ) ? $roles[ $user['role'] ] : $user['role'];
+            }
+
+            $pages = array();
+            foreach ( array_reverse( $user['pages'] ) as $page ) {
+                $pages[] = array(
+                    'url'      => $page['url'],
+                    /* translators: %s: human-readable time difference */
+                    'time_ago' => sprintf( __( '%s ago', 'wp-care-connector' ), human_time_diff( $page['time'] ) ),
+                );
+            }
+
+            $users[] = array(
+                'user_id'     => $user['user_id'],
+                'username'    => $user['username'],
+                'requester'   => $user['requester'],
+                'access'      => $access,
+                'allowed_ips' => $user['allowed_ips'],
+                /* translators: 1: times used, 2: allowed uses */
+                'uses'        => $user['max_uses'] ? sprintf( __( '%1$d of %2$d', 'wp-care-connector' ), $user['uses'], $user['max_uses'] ) : sprintf( __( '%d (no limit)', 'wp-care-connector' ), $user['uses'] ),
+                /* translators: %s: human-readable time difference */
+                'last_seen'   => $user['last_seen'] ? sprintf( __( '%s ago', 'wp-care-connector' ), human_time_diff( $user['last_seen'] ) ) : '',
+                // A session that was active in the last two minutes counts as online
+                'online'      => $user['sessions'] > 0 && $user['last_seen'] > time() - 2 * MINUTE_IN_SECONDS,
+                'last_ip'     => $user['last_ip'],
+                /* translators: %s: human-readable time difference */
+                'expires_in'  => sprintf( __( 'in %s', 'wp-care-connector' ), human_time_diff( $user['expiry'] ) ),
+                'pages'       => $pages,
+            );
+        }
+
+        wp_send_json_success( array( 'users' => $users ) );
+    }
+
+    /**
+     * AJAX: End a temporary login's sessions and delete the user.
+     *
+     * @return void
+     */
+    public function ajax_temp_kill() {
+        check_ajax_referer( 'wp_care_temp_logins' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $user_id    = isset( $_POST['user_id'] ) ? absint( $_POST['user_id'] ) : 0;
+        $temp_login = new WP_Care_Temp_Login();
+
+        if ( ! $temp_login->revoke_login( $user_id ) ) {
+            wp_send_json_error( array( 'message' => __( 'That temporary login no longer exists.', 'wp-care-connector' ) ) );
+        }
+
+        wp_send_json_success();
+    }
+
+    /**
+     * Handle the check for new updates on the Tools page.
+     *
+     * @return void
+     */
+    public function handle_check_updates() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_check_updates' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'update_plugins' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        $available = WP_Care_Updates::get_available( true );
+        $count     = count( $available['plugins'] ) + count( $available['themes'] ) + ( $available['core'] ? 1 : 0 );
+
+        set_transient( 'wp_care_admin_notice', array(
+            'type'    => 'success',
+            /* translators: %d: number of available updates */
+            'message' => sprintf( _n( 'Checked for updates: %d update available.', 'Checked for updates: %d updates available.', $count, 'wp-care-connector' ), $count ),
+        ), 30 );
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-tools#wp-care-updates' ) );
+        exit;
+    }
+
+    /**
+     * AJAX: Safely update one plugin, theme or core.
+     *
+     * @return void
+     */
+    public function ajax_update_run() {
+        check_ajax_referer( 'wp_care_updates' );
+
+        $type = isset( $_POST['type'] ) ? sanitize_key( $_POST['type'] ) : '';
+        $id   = isset( $_POST['id'] ) ? sanitize_text_field( wp_unslash( $_POST['id'] ) ) : '';
+        $caps = array(
+            'plugin' => 'update_plugins',
+            'theme'  => 'update_themes',
+            'core'   => 'update_core',
+        );
+
+        if ( ! current_user_can( 'manage_options' ) || ! isset( $caps[ $type ] ) || ! current_user_can( $caps[ $type ] ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $run = WP_Care_Updates::update( $type, $id );
+
+        if ( is_wp_error( $run ) ) {
+            wp_send_json_error( array( 'message' => $run->get_error_message() ) );
+        }
+
+        wp_send_json_success( $run );
+    }
+
+    /**
+     * Handle settings form submission.
+     *
+     * @return void
+     */
+    public function handle_settings_save() {
+        // Verify nonce
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_settings' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        // Check capability
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        // Save API URL
+        $api_url = isset( $_POST['wp_care_api_url'] ) ? esc_url_raw( wp_unslash( $_POST['wp_care_api_url'] ) ) : '';
+        update_option( 'wp_care_api_url', $api_url );
+
+        WP_Care_Activity_Log::log( 'settings_saved', array( 'api_url' => $api_url ) );
+
+        set_transient( 'wp_care_admin_notice', array(
+            'type'    => 'success',
+            'message' => __( 'Settings saved successfully.', 'wp-care-connector' ),
+        ), 30 );
         wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-settings' ) );
         exit;
     }
@@ -1170,8 +2085,58 @@ class WP_Care_Admin {
      * @return void
      */
     public function render_migration_page() {
-        $migration  = new WP_Care_Migration();
-        $migrations = $migration->list_migrations();
+        global $wpdb;
+
+        $migration   = new WP_Care_Migration();
+        $migrations  = $migration->list_migrations();
+        $interrupted = $migration->list_interrupted();
+
+        // Exports and restores a background job is still working on are
+        // shown with the job, not as interrupted
+        $jobs           = WP_Care_Jobs::get_jobs();
+        $job_migrations = wp_list_pluck( WP_Care_Jobs::get_active_jobs(), 'migration_id' );
+        $interrupted    = array_values( array_filter( $interrupted, function( $op ) use ( $job_migrations ) {
+            return ! in_array( $op['migration_id'], $job_migrations, true );
+        } ) );
+
+        $schedule        = WP_Care_Migration_Schedule::get_settings();
+        $schedule_status = WP_Care_Migration_Schedule::get_status();
+        $upcoming_runs   = WP_Care_Migration_Schedule::get_upcoming_runs();
+        $retention       = WP_Care_Migration::get_retention_policy();
+
+        // Exports an incremental can build on, and how many incrementals
+        // need each export
+        $incremental_bases = array();
+        $dependents        = array();
+        foreach ( $migrations as $m ) {
+            if ( $migration->can_be_base( $m['id'] ) ) {
+                $incremental_bases[] = $m;
+            }
+            if ( ! empty( $m['chain'] ) ) {
+                foreach ( $m['chain'] as $base_id ) {
+                    $dependents[ $base_id ] = isset( $dependents[ $base_id ] ) ? $dependents[ $base_id ] + 1 : 1;
+                }
+            }
+        }
+
+        $transfer_tokens = WP_Care_Transfer::get_tokens();
+
+        $presets   = $migration->get_presets();
+        $db_tables = array_values( array_diff( $wpdb->get_col( 'SHOW TABLES' ), WP_Care_Staging::get_staging_tables() ) );
+
+        $staging_engine     = new WP_Care_Staging();
+        $staging            = WP_Care_Staging::get_staging();
+        $staging_unfinished = $staging_engine->get_unfinished();
+        $staging_tables     = $staging && $staging['status'] === 'ready' ? $staging_engine->get_pushable_tables() : array();
+        $staging_folders    = $staging && $staging['status'] === 'ready' ? $staging_engine->get_pushable_folders() : array();
+
+        $storage_types   = WP_Care_Storage::get_types();
+        $storage_targets = WP_Care_Storage::get_targets();
+        foreach ( $storage_targets as $id => $target ) {
+            $instance = WP_Care_Storage::get_target( $id );
+            $storage_targets[ $id ]['location'] = is_wp_error( $instance ) ? '' : $instance->get_location( $target['prefix'] );
+        }
+
         include WP_CARE_PLUGIN_DIR . 'admin/views/migration-page.php';
     }
 
@@ -1187,15 +2152,23 @@ class WP_Care_Admin {
             wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
         }
 
-        $options = isset( $_POST['options'] ) ? array_map( 'sanitize_text_field', wp_unslash( $_POST['options'] ) ) : array();
+        // init_export() sanitizes the options, including "true"/"false" strings
+        $options = isset( $_POST['options'] ) ? wp_unslash( (array) $_POST['options'] ) : array();
 
-        // Convert string "true"/"false" to boolean
-        foreach ( $options as $key => $value ) {
-            $options[ $key ] = filter_var( $value, FILTER_VALIDATE_BOOLEAN );
-        }
+        $base_id = isset( $_POST['base_id'] ) ? sanitize_file_name( wp_unslash( $_POST['base_id'] ) ) : '';
+
+        // Only used to derive the keys, never stored or echoed, so kept as typed
+        $passphrase = isset( $_POST['passphrase'] ) ? (string) wp_unslash( $_POST['passphrase'] ) : '';
 
         $migration = new WP_Care_Migration();
-        $state = $migration->init_export( $options );
+        $state = $migration->init_export( $options, 'manual', $base_id, $passphrase );
+
+        if ( is_wp_error( $state ) ) {
+            wp_send_json_error( array(
+                'message' => $state->get_error_message(),
+                'code'    => $state->get_error_code(),
+            ) );
+        }
 
         if ( ! $state ) {
             wp_send_json_error( array( 'message' => __( 'Failed to initialize migration. Check directory permissions.', 'wp-care-connector' ) ) );
@@ -1205,93 +2178,218 @@ class WP_Care_Admin {
     }
 
     /**
-     * AJAX handler: Process migration chunk.
+     * AJAX handler: Estimate the size of an export before starting it.
      *
      * @return void
      */
-    public function ajax_migration_chunk() {
+    public function ajax_migration_estimate() {
         check_ajax_referer( 'wp_care_migration' );
 
         if ( ! current_user_can( 'manage_options' ) ) {
             wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
         }
 
-        $migration_id = isset( $_POST['migration_id'] ) ? sanitize_file_name( wp_unslash( $_POST['migration_id'] ) ) : '';
-
-        if ( empty( $migration_id ) ) {
-            wp_send_json_error( array( 'message' => __( 'Migration ID is required.', 'wp-care-connector' ) ) );
-        }
+        $options = isset( $_POST['options'] ) ? wp_unslash( (array) $_POST['options'] ) : array();
 
         $migration = new WP_Care_Migration();
-        $state = $migration->process_chunk( $migration_id );
+        $estimate  = $migration->estimate_export( $options );
 
-        if ( $state['completed'] ) {
-            WP_Care_Activity_Log::log( 'migration_created', array(
-                'migration_id' => $migration_id,
-                'size'         => isset( $state['archive_size_human'] ) ? $state['archive_size_human'] : '',
+        if ( is_wp_error( $estimate ) ) {
+            wp_send_json_error( array(
+                'message' => $estimate->get_error_message(),
+                'code'    => $estimate->get_error_code(),
             ) );
         }
 
-        wp_send_json_success( $state );
+        $estimate['total_size_human']    = size_format( $estimate['total_size'] );
+        $estimate['files_size_human']    = size_format( $estimate['files_size'] );
+        $estimate['database_size_human'] = size_format( $estimate['database_size'] );
+
+        wp_send_json_success( $estimate );
     }
 
     /**
-     * AJAX handler: Cancel migration export.
+     * AJAX handler: Save the export panel's options as a named preset.
      *
      * @return void
      */
-    public function ajax_migration_cancel() {
+    public function ajax_export_preset_save() {
         check_ajax_referer( 'wp_care_migration' );
 
         if ( ! current_user_can( 'manage_options' ) ) {
             wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
         }
 
-        $migration_id = isset( $_POST['migration_id'] ) ? sanitize_file_name( wp_unslash( $_POST['migration_id'] ) ) : '';
+        $name    = isset( $_POST['name'] ) ? sanitize_text_field( wp_unslash( $_POST['name'] ) ) : '';
+        $options = isset( $_POST['options'] ) ? wp_unslash( (array) $_POST['options'] ) : array();
 
-        if ( ! empty( $migration_id ) ) {
-            $migration = new WP_Care_Migration();
-            $migration->delete_migration( $migration_id );
+        $migration = new WP_Care_Migration();
+        $preset    = $migration->save_preset( $name, $options );
+
+        if ( is_wp_error( $preset ) ) {
+            wp_send_json_error( array(
+                'message' => $preset->get_error_message(),
+                'code'    => $preset->get_error_code(),
+            ) );
         }
 
-        wp_send_json_success( array( 'message' => __( 'Export cancelled.', 'wp-care-connector' ) ) );
+        WP_Care_Activity_Log::log( 'export_preset_saved', array(
+            'preset' => $preset['id'],
+            'name'   => $preset['name'],
+        ) );
+
+        wp_send_json_success( array(
+            'preset'  => $preset,
+            'presets' => (object) $migration->get_presets(),
+        ) );
     }
 
     /**
-     * AJAX handler: Download migration file.
+     * AJAX handler: Delete an export preset.
      *
      * @return void
      */
-    public function ajax_migration_download() {
-        check_ajax_referer( 'wp_care_migration_download', '_wpnonce', false ) || check_ajax_referer( 'wp_care_migration' );
+    public function ajax_export_preset_delete() {
+        check_ajax_referer( 'wp_care_migration' );
 
         if ( ! current_user_can( 'manage_options' ) ) {
-            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
         }
 
-        $migration_id = isset( $_GET['id'] ) ? sanitize_file_name( wp_unslash( $_GET['id'] ) ) : '';
-
-        if ( empty( $migration_id ) ) {
-            wp_die( esc_html__( 'Migration ID is required.', 'wp-care-connector' ) );
-        }
+        $preset_id = isset( $_POST['preset_id'] ) ? sanitize_key( wp_unslash( $_POST['preset_id'] ) ) : '';
 
         $migration = new WP_Care_Migration();
-        $file_path = $migration->get_download_path( $migration_id );
-
-        if ( ! $file_path ) {
-            wp_die( esc_html__( 'Migration file not found.', 'wp-care-connector' ) );
+        if ( ! $migration->delete_preset( $preset_id ) ) {
+            wp_send_json_error( array( 'message' => __( 'Preset not found.', 'wp-care-connector' ) ) );
         }
 
-        WP_Care_Activity_Log::log( 'migration_downloaded', array( 'migration_id' => $migration_id ) );
+        WP_Care_Activity_Log::log( 'export_preset_deleted', array( 'preset' => $preset_id ) );
 
-        $info     = $migration->get_migration_info( $migration_id );
-        $filename = sanitize_file_name(
-            wp_parse_url( get_site_url(), PHP_URL_HOST ) . '-migration-' . gmdate( 'Y-m-d' ) . '.zip'
-        );
+        wp_send_json_success( array( 'presets' => (object) $migration->get_presets() ) );
+    }
 
-        header( 'Content-Type: application/zip' );
-        header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
-        header( 'Content-Length: ' . filesize( $file_path ) );
+    /**
+     * AJAX handler: Process migration chunk.
+     *
+     * @return void
+     */
+    public function ajax_migration_chunk() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $migration_id = isset( $_POST['migration_id'] ) ? sanitize_file_name( wp_unslash( $_POST['migration_id'] ) ) : '';
+
+        if ( empty( $migration_id ) ) {
+            wp_send_json_error( array( 'message' => __( 'Migration ID is required.', 'wp-care-connector' ) ) );
+        }
+
+        $migration = new WP_Care_Migration();
+        $state = $migration->process_chunk( $migration_id );
+
+        if ( $state['completed'] ) {
+            WP_Care_Activity_Log::log( 'migration_created', array(
+                'migration_id' => $migration_id,
+                'size'         => isset( $state['archive_size_human'] ) ? $state['archive_size_human'] : '',
+            ) );
+        } elseif ( ! empty( $state['error'] ) ) {
+            WP_Care_Activity_Log::log( 'migration_failed', array(
+                'migration_id' => $migration_id,
+                'error'        => $state['error'],
+            ) );
+        }
+
+        wp_send_json_success( $state );
+    }
+
+    /**
+     * AJAX handler: Cancel migration export.
+     *
+     * @return void
+     */
+    public function ajax_migration_cancel() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $migration_id = isset( $_POST['migration_id'] ) ? sanitize_file_name( wp_unslash( $_POST['migration_id'] ) ) : '';
+
+        if ( ! empty( $migration_id ) ) {
+            $migration = new WP_Care_Migration();
+            $migration->delete_migration( $migration_id );
+        }
+
+        wp_send_json_success( array( 'message' => __( 'Export cancelled.', 'wp-care-connector' ) ) );
+    }
+
+    /**
+     * AJAX handler: Discard an interrupted export or restore.
+     *
+     * @return void
+     */
+    public function ajax_migration_discard() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $migration_id = isset( $_POST['migration_id'] ) ? sanitize_file_name( wp_unslash( $_POST['migration_id'] ) ) : '';
+
+        if ( empty( $migration_id ) ) {
+            wp_send_json_error( array( 'message' => __( 'Migration ID is required.', 'wp-care-connector' ) ) );
+        }
+
+        $migration = new WP_Care_Migration();
+        $result    = $migration->discard_interrupted( $migration_id );
+
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+        }
+
+        wp_send_json_success( array( 'message' => __( 'Operation discarded.', 'wp-care-connector' ) ) );
+    }
+
+    /**
+     * AJAX handler: Download migration file.
+     *
+     * @return void
+     */
+    public function ajax_migration_download() {
+        check_ajax_referer( 'wp_care_migration_download', '_wpnonce', false ) || check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        $migration_id = isset( $_GET['id'] ) ? sanitize_file_name( wp_unslash( $_GET['id'] ) ) : '';
+
+        if ( empty( $migration_id ) ) {
+            wp_die( esc_html__( 'Migration ID is required.', 'wp-care-connector' ) );
+        }
+
+        $migration = new WP_Care_Migration();
+        $file_path = $migration->get_download_path( $migration_id );
+
+        if ( ! $file_path ) {
+            wp_die( esc_html__( 'Migration file not found.', 'wp-care-connector' ) );
+        }
+
+        WP_Care_Activity_Log::log( 'migration_downloaded', array( 'migration_id' => $migration_id ) );
+
+        $info      = $migration->get_migration_info( $migration_id );
+        $encrypted = WP_Care_Package_Encryption::is_encrypted( $file_path );
+        $filename  = sanitize_file_name(
+            wp_parse_url( get_site_url(), PHP_URL_HOST ) . '-migration-' . gmdate( 'Y-m-d' ) . ( $encrypted ? '.zip.enc' : '.zip' )
+        );
+
+        header( 'Content-Type: ' . ( $encrypted ? 'application/octet-stream' : 'application/zip' ) );
+        header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+        header( 'Content-Length: ' . filesize( $file_path ) );
         header( 'Pragma: no-cache' );
         header( 'Expires: 0' );
 
@@ -1336,6 +2434,103 @@ class WP_Care_Admin {
         exit;
     }
 
+    /**
+     * AJAX handler: Start or resume a chunked migration upload.
+     *
+     * @return void
+     */
+    public function ajax_upload_init() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $filename    = isset( $_POST['filename'] ) ? sanitize_file_name( wp_unslash( $_POST['filename'] ) ) : '';
+        $total_size  = isset( $_POST['total_size'] ) ? absint( $_POST['total_size'] ) : 0;
+        $fingerprint = isset( $_POST['fingerprint'] ) ? sanitize_text_field( wp_unslash( $_POST['fingerprint'] ) ) : '';
+        $upload_id   = isset( $_POST['upload_id'] ) ? sanitize_file_name( wp_unslash( $_POST['upload_id'] ) ) : '';
+
+        $migration = new WP_Care_Migration();
+        $state = $migration->init_chunked_upload( $filename, $total_size, $fingerprint, $upload_id );
+
+        if ( is_wp_error( $state ) ) {
+            wp_send_json_error( array( 'message' => $state->get_error_message() ) );
+        }
+
+        wp_send_json_success( $state );
+    }
+
+    /**
+     * AJAX handler: Receive one chunk of a migration upload.
+     *
+     * @return void
+     */
+    public function ajax_upload_chunk() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $upload_id = isset( $_POST['upload_id'] ) ? sanitize_file_name( wp_unslash( $_POST['upload_id'] ) ) : '';
+        $offset    = isset( $_POST['offset'] ) ? absint( $_POST['offset'] ) : 0;
+        $hash      = isset( $_POST['hash'] ) ? sanitize_text_field( wp_unslash( $_POST['hash'] ) ) : '';
+
+        if ( empty( $upload_id ) || empty( $_FILES['chunk'] ) ) {
+            wp_send_json_error( array( 'message' => __( 'Upload ID and chunk are required.', 'wp-care-connector' ) ) );
+        }
+
+        $migration = new WP_Care_Migration();
+        $state = $migration->receive_upload_chunk( $upload_id, $offset, $_FILES['chunk'], $hash );
+
+        if ( is_wp_error( $state ) ) {
+            wp_send_json_error( array(
+                'message' => $state->get_error_message(),
+                'code'    => $state->get_error_code(),
+            ) );
+        }
+
+        wp_send_json_success( $state );
+    }
+
+    /**
+     * AJAX handler: Verify a fully uploaded archive and register it.
+     *
+     * @return void
+     */
+    public function ajax_upload_finalize() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $upload_id = isset( $_POST['upload_id'] ) ? sanitize_file_name( wp_unslash( $_POST['upload_id'] ) ) : '';
+
+        $migration = new WP_Care_Migration();
+        $result = $migration->finalize_chunked_upload( $upload_id );
+
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( array(
+                'message' => $result->get_error_message(),
+                'code'    => $result->get_error_code(),
+            ) );
+        }
+
+        WP_Care_Activity_Log::log( 'migration_uploaded', array(
+            'migration_id' => $result['id'],
+            'size'         => $result['archive_size_human'],
+        ) );
+
+        set_transient( 'wp_care_admin_notice', array(
+            'type'    => 'success',
+            'message' => __( 'Migration uploaded successfully.', 'wp-care-connector' ),
+        ), 30 );
+
+        wp_send_json_success( $result );
+    }
+
     /**
      * AJAX handler: Initialize migration restore.
      *
@@ -1359,9 +2554,40 @@ class WP_Care_Admin {
             $options[ $key ] = filter_var( $value, FILTER_VALIDATE_BOOLEAN );
         }
 
+        // Selective restore: only sent when the user narrowed the selection
+        foreach ( array( 'tables', 'paths' ) as $key ) {
+            if ( isset( $_POST[ $key ] ) && is_array( $_POST[ $key ] ) ) {
+                $options[ $key ] = array_map( 'sanitize_text_field', wp_unslash( $_POST[ $key ] ) );
+            }
+        }
+
+        // Extra search-replace pairs entered in the restore modal
+        $options['replacements'] = array();
+        if ( isset( $_POST['replacements'] ) && is_array( $_POST['replacements'] ) ) {
+            foreach ( wp_unslash( $_POST['replacements'] ) as $pair ) {
+                if ( is_array( $pair ) && ! empty( $pair['from'] ) && isset( $pair['to'] ) ) {
+                    $options['replacements'][] = array(
+                        'from' => sanitize_text_field( $pair['from'] ),
+                        'to'   => sanitize_text_field( $pair['to'] ),
+                    );
+                }
+            }
+        }
+
+        $options['passphrase'] = isset( $_POST['passphrase'] ) ? (string) wp_unslash( $_POST['passphrase'] ) : '';
+
         $migration = new WP_Care_Migration();
         $state = $migration->init_restore( $migration_id, $options );
 
+        // The code lets the JS verify the package first, ask to override,
+        // or ask for the passphrase again
+        if ( is_wp_error( $state ) ) {
+            wp_send_json_error( array(
+                'message' => $state->get_error_message(),
+                'code'    => $state->get_error_code(),
+            ) );
+        }
+
         if ( ! $state || ( isset( $state['error'] ) && $state['error'] ) ) {
             $msg = isset( $state['error'] ) ? $state['error'] : __( 'Failed to initialize restore.', 'wp-care-connector' );
             wp_send_json_error( array( 'message' => $msg ) );
@@ -1371,11 +2597,11 @@ class WP_Care_Admin {
     }
 
     /**
-     * AJAX handler: Process restore chunk.
+     * AJAX handler: Detect the URL/path replacements a restore would apply.
      *
      * @return void
      */
-    public function ajax_restore_chunk() {
+    public function ajax_restore_replacements() {
         check_ajax_referer( 'wp_care_migration' );
 
         if ( ! current_user_can( 'manage_options' ) ) {
@@ -1388,116 +2614,1364 @@ class WP_Care_Admin {
             wp_send_json_error( array( 'message' => __( 'Migration ID is required.', 'wp-care-connector' ) ) );
         }
 
-        $migration = new WP_Care_Migration();
-        $state = $migration->process_restore_chunk( $migration_id );
+        $migration    = new WP_Care_Migration();
+        $replacements = $migration->get_restore_replacements( $migration_id );
 
-        if ( isset( $state['completed'] ) && $state['completed'] ) {
-            WP_Care_Activity_Log::log( 'migration_restored', array(
-                'migration_id'  => $migration_id,
-                'checkpoint_id' => isset( $state['checkpoint_id'] ) ? $state['checkpoint_id'] : '',
-            ) );
+        if ( is_wp_error( $replacements ) ) {
+            wp_send_json_error( array( 'message' => $replacements->get_error_message() ) );
         }
 
-        wp_send_json_success( $state );
+        $info = $migration->get_migration_info( $migration_id );
+
+        wp_send_json_success( array(
+            'replacements' => $replacements,
+            'source_known' => ! empty( $info['site_url'] ) && $info['site_url'] !== 'unknown',
+            'encrypted'    => ! empty( $info['encrypted'] ),
+        ) );
     }
 
     /**
-     * Handle migration deletion.
+     * AJAX handler: List the tables and folders inside an archive.
      *
      * @return void
      */
-    public function handle_delete_migration() {
-        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_delete_migration' ) ) {
-            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
-        }
+    public function ajax_migration_contents() {
+        check_ajax_referer( 'wp_care_migration' );
 
         if ( ! current_user_can( 'manage_options' ) ) {
-            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
         }
 
         $migration_id = isset( $_POST['migration_id'] ) ? sanitize_file_name( wp_unslash( $_POST['migration_id'] ) ) : '';
 
-        if ( ! empty( $migration_id ) ) {
-            $migration = new WP_Care_Migration();
-            $deleted = $migration->delete_migration( $migration_id );
+        if ( empty( $migration_id ) ) {
+            wp_send_json_error( array( 'message' => __( 'Migration ID is required.', 'wp-care-connector' ) ) );
+        }
 
-            if ( $deleted ) {
-                WP_Care_Activity_Log::log( 'migration_deleted', array( 'migration_id' => $migration_id ) );
-                $this->redirect_with_notice( 'success', __( 'Migration deleted.', 'wp-care-connector' ) );
-            } else {
-                $this->redirect_with_notice( 'error', __( 'Migration not found.', 'wp-care-connector' ) );
-            }
+        $migration = new WP_Care_Migration();
+        $contents  = $migration->get_archive_contents( $migration_id );
+
+        if ( is_wp_error( $contents ) ) {
+            wp_send_json_error( array( 'message' => $contents->get_error_message() ) );
         }
 
-        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-migration' ) );
-        exit;
+        wp_send_json_success( $contents );
     }
 
     /**
-     * Render the activity log page.
+     * AJAX handler: Test an off-site storage target.
      *
      * @return void
      */
-    public function render_activity_log_page() {
-        $entries = WP_Care_Activity_Log::get_entries();
-        ?>
-        <div class="wrap">
-            <h1><?php esc_html_e( 'Activity Log', 'wp-care-connector' ); ?></h1>
-            <p class="description"><?php esc_html_e( 'Recent actions performed by WP Care on this site.', 'wp-care-connector' ); ?></p>
+    public function ajax_storage_test() {
+        check_ajax_referer( 'wp_care_migration' );
 
-            <?php if ( empty( $entries ) ) : ?>
-                <div class="notice notice-info inline" style="margin-top: 20px;">
-                    <p><?php esc_html_e( 'No activity logged yet.', 'wp-care-connector' ); ?></p>
-                </div>
-            <?php else : ?>
-                <table class="widefat striped" style="margin-top: 20px;">
-                    <thead>
-                        <tr>
-                            <th><?php esc_html_e( 'Time', 'wp-care-connector' ); ?></th>
-                            <th><?php esc_html_e( 'Action', 'wp-care-connector' ); ?></th>
-                            <th><?php esc_html_e( 'User', 'wp-care-connector' ); ?></th>
-                            <th><?php esc_html_e( 'Details', 'wp-care-connector' ); ?></th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        <?php foreach ( $entries as $entry ) : ?>
-                        <tr>
-                            <td>
-                                <?php echo esc_html( date_i18n( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $entry['timestamp'] ) ); ?>
-                                <br><small style="color: #666;"><?php echo esc_html( human_time_diff( $entry['timestamp'] ) ); ?> <?php esc_html_e( 'ago', 'wp-care-connector' ); ?></small>
-                            </td>
-                            <td><strong><?php echo esc_html( WP_Care_Activity_Log::get_action_label( $entry['action'] ) ); ?></strong></td>
-                            <td><?php echo esc_html( $entry['user'] ); ?></td>
-                            <td>
-                                <?php
-                                if ( ! empty( $entry['details'] ) ) {
-                                    $details = array();
-                                    foreach ( $entry['details'] as $key => $value ) {
-                                        if ( is_array( $value ) ) {
-                                            $value = implode( ', ', $value );
-                                        }
-                                        $details[] = esc_html( $key ) . ': ' . esc_html( $value );
-                                    }
-                                    echo implode( '<br>', $details );
-                                } else {
-                                    echo '&mdash;';
-                                }
-                                ?>
-                            </td>
-                        </tr>
-                        <?php endforeach; ?>
-                    </tbody>
-                </table>
-                <p class="description" style="margin-top: 10px;">
-                    <?php
-                    printf(
-                        esc_html__( 'Showing last %d entries. Older entries are automatically removed.', 'wp-care-connector' ),
-                        WP_Care_Activity_Log::MAX_ENTRIES
-                    );
-                    ?>
-                </p>
-            <?php endif; ?>
-        </div>
-        <?php
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $target_id = isset( $_POST['target_id'] ) ? sanitize_key( wp_unslash( $_POST['target_id'] ) ) : '';
+        $result    = WP_Care_Storage::test_target( $target_id );
+
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( array(
+                'message' => $result->get_error_message(),
+                'code'    => $result->get_error_code(),
+            ) );
+        }
+
+        wp_send_json_success( array( 'message' => __( 'Connection OK', 'wp-care-connector' ) ) );
+    }
+
+    /**
+     * AJAX handler: List archives stored on an off-site target.
+     *
+     * @return void
+     */
+    public function ajax_storage_list() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $target_id = isset( $_POST['target_id'] ) ? sanitize_key( wp_unslash( $_POST['target_id'] ) ) : '';
+        $archives  = WP_Care_Storage::list_remote( $target_id );
+
+        if ( is_wp_error( $archives ) ) {
+            wp_send_json_error( array(
+                'message' => $archives->get_error_message(),
+                'code'    => $archives->get_error_code(),
+            ) );
+        }
+
+        wp_send_json_success( array( 'archives' => $archives ) );
+    }
+
+    /**
+     * AJAX handler: Start pulling an archive from an off-site target.
+     *
+     * @return void
+     */
+    public function ajax_storage_pull_init() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $target_id    = isset( $_POST['target_id'] ) ? sanitize_key( wp_unslash( $_POST['target_id'] ) ) : '';
+        $migration_id = isset( $_POST['migration_id'] ) ? sanitize_file_name( wp_unslash( $_POST['migration_id'] ) ) : '';
+
+        if ( empty( $migration_id ) ) {
+            wp_send_json_error( array( 'message' => __( 'Migration ID is required.', 'wp-care-connector' ) ) );
+        }
+
+        $state = WP_Care_Storage::init_pull( $target_id, $migration_id );
+
+        if ( is_wp_error( $state ) ) {
+            wp_send_json_error( array(
+                'message' => $state->get_error_message(),
+                'code'    => $state->get_error_code(),
+            ) );
+        }
+
+        wp_send_json_success( $state );
+    }
+
+    /**
+     * AJAX handler: Download the next chunk of a pull.
+     *
+     * @return void
+     */
+    public function ajax_storage_pull_chunk() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $migration_id = isset( $_POST['migration_id'] ) ? sanitize_file_name( wp_unslash( $_POST['migration_id'] ) ) : '';
+
+        if ( empty( $migration_id ) ) {
+            wp_send_json_error( array( 'message' => __( 'Migration ID is required.', 'wp-care-connector' ) ) );
+        }
+
+        $state = WP_Care_Storage::process_pull_chunk( $migration_id );
+
+        if ( is_wp_error( $state ) ) {
+            wp_send_json_error( array(
+                'message' => $state->get_error_message(),
+                'code'    => $state->get_error_code(),
+            ) );
+        }
+
+        wp_send_json_success( $state );
+    }
+
+    /**
+     * AJAX handler: Create a transfer token so another site can pull a migration.
+     *
+     * @return void
+     */
+    public function ajax_transfer_token() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $migration_id = isset( $_POST['migration_id'] ) ? sanitize_file_name( wp_unslash( $_POST['migration_id'] ) ) : '';
+
+        if ( empty( $migration_id ) ) {
+            wp_send_json_error( array( 'message' => __( 'Migration ID is required.', 'wp-care-connector' ) ) );
+        }
+
+        $token = WP_Care_Transfer::create_token( $migration_id );
+
+        if ( is_wp_error( $token ) ) {
+            wp_send_json_error( array(
+                'message' => $token->get_error_message(),
+                'code'    => $token->get_error_code(),
+            ) );
+        }
+
+        wp_send_json_success( array(
+            'token'    => $token,
+            'site_url' => home_url(),
+        ) );
+    }
+
+    /**
+     * AJAX handler: Start pulling a migration from another site.
+     *
+     * @return void
+     */
+    public function ajax_transfer_init() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $source_url = isset( $_POST['source_url'] ) ? esc_url_raw( wp_unslash( $_POST['source_url'] ) ) : '';
+        $token      = isset( $_POST['token'] ) ? sanitize_text_field( wp_unslash( $_POST['token'] ) ) : '';
+
+        $state = WP_Care_Transfer::init_pull( $source_url, $token );
+
+        if ( is_wp_error( $state ) ) {
+            wp_send_json_error( array(
+                'message' => $state->get_error_message(),
+                'code'    => $state->get_error_code(),
+            ) );
+        }
+
+        wp_send_json_success( $state );
+    }
+
+    /**
+     * AJAX handler: Download the next chunk from another site.
+     *
+     * @return void
+     */
+    public function ajax_transfer_chunk() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $migration_id = isset( $_POST['migration_id'] ) ? sanitize_file_name( wp_unslash( $_POST['migration_id'] ) ) : '';
+
+        if ( empty( $migration_id ) ) {
+            wp_send_json_error( array( 'message' => __( 'Migration ID is required.', 'wp-care-connector' ) ) );
+        }
+
+        $state = WP_Care_Transfer::process_pull_chunk( $migration_id );
+
+        if ( is_wp_error( $state ) ) {
+            wp_send_json_error( array(
+                'message' => $state->get_error_message(),
+                'code'    => $state->get_error_code(),
+            ) );
+        }
+
+        wp_send_json_success( $state );
+    }
+
+    /**
+     * AJAX handler: Start verifying a package against its manifest.
+     *
+     * @return void
+     */
+    public function ajax_verify_init() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $migration_id = isset( $_POST['migration_id'] ) ? sanitize_file_name( wp_unslash( $_POST['migration_id'] ) ) : '';
+
+        if ( empty( $migration_id ) ) {
+            wp_send_json_error( array( 'message' => __( 'Migration ID is required.', 'wp-care-connector' ) ) );
+        }
+
+        $migration = new WP_Care_Migration();
+        $state     = $migration->init_verify( $migration_id );
+
+        if ( is_wp_error( $state ) ) {
+            wp_send_json_error( array(
+                'message' => $state->get_error_message(),
+                'code'    => $state->get_error_code(),
+            ) );
+        }
+
+        wp_send_json_success( $state );
+    }
+
+    /**
+     * AJAX handler: Process verification chunk.
+     *
+     * @return void
+     */
+    public function ajax_verify_chunk() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $migration_id = isset( $_POST['migration_id'] ) ? sanitize_file_name( wp_unslash( $_POST['migration_id'] ) ) : '';
+
+        if ( empty( $migration_id ) ) {
+            wp_send_json_error( array( 'message' => __( 'Migration ID is required.', 'wp-care-connector' ) ) );
+        }
+
+        $migration = new WP_Care_Migration();
+        $state     = $migration->process_verify_chunk( $migration_id );
+
+        if ( ! empty( $state['completed'] ) ) {
+            WP_Care_Activity_Log::log( 'migration_verified', array(
+                'migration_id' => $migration_id,
+                'status'       => $state['status'],
+                'missing'      => $state['missing_count'],
+                'corrupted'    => $state['corrupted_count'],
+                'extra'        => $state['extra_count'],
+            ) );
+        }
+
+        wp_send_json_success( $state );
+    }
+
+    /**
+     * AJAX handler: Process restore chunk.
+     *
+     * @return void
+     */
+    public function ajax_restore_chunk() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $migration_id = isset( $_POST['migration_id'] ) ? sanitize_file_name( wp_unslash( $_POST['migration_id'] ) ) : '';
+
+        if ( empty( $migration_id ) ) {
+            wp_send_json_error( array( 'message' => __( 'Migration ID is required.', 'wp-care-connector' ) ) );
+        }
+
+        $migration = new WP_Care_Migration();
+        $state = $migration->process_restore_chunk( $migration_id );
+
+        if ( isset( $state['completed'] ) && $state['completed'] ) {
+            WP_Care_Activity_Log::log( 'migration_restored', array(
+                'migration_id'  => $migration_id,
+                'checkpoint_id' => isset( $state['checkpoint_id'] ) ? $state['checkpoint_id'] : '',
+            ) );
+        } elseif ( ! empty( $state['error'] ) ) {
+            WP_Care_Activity_Log::log( 'migration_restore_failed', array(
+                'migration_id' => $migration_id,
+                'error'        => $state['error'],
+            ) );
+        }
+
+        wp_send_json_success( $state );
+    }
+
+    /**
+     * AJAX handler: Start creating the staging site.
+     *
+     * @return void
+     */
+    public function ajax_staging_create() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $staging = new WP_Care_Staging();
+        $state   = $staging->init_create( array(
+            'directory'       => isset( $_POST['directory'] ) ? sanitize_title( wp_unslash( $_POST['directory'] ) ) : '',
+            'include_uploads' => ! empty( $_POST['include_uploads'] ) && filter_var( wp_unslash( $_POST['include_uploads'] ), FILTER_VALIDATE_BOOLEAN ),
+        ) );
+
+        if ( is_wp_error( $state ) ) {
+            wp_send_json_error( array(
+                'message' => $state->get_error_message(),
+                'code'    => $state->get_error_code(),
+            ) );
+        }
+
+        wp_send_json_success( $state );
+    }
+
+    /**
+     * AJAX handler: Start pushing the staging site to live.
+     *
+     * @return void
+     */
+    public function ajax_staging_push() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $options = array();
+        foreach ( array( 'tables', 'folders' ) as $key ) {
+            $options[ $key ] = isset( $_POST[ $key ] ) && is_array( $_POST[ $key ] ) ? array_map( 'sanitize_text_field', wp_unslash( $_POST[ $key ] ) ) : array();
+        }
+
+        $staging = new WP_Care_Staging();
+        $state   = $staging->init_push( $options );
+
+        if ( is_wp_error( $state ) ) {
+            wp_send_json_error( array(
+                'message' => $state->get_error_message(),
+                'code'    => $state->get_error_code(),
+            ) );
+        }
+
+        wp_send_json_success( $state );
+    }
+
+    /**
+     * AJAX handler: Process the next chunk of a staging create or push.
+     *
+     * @return void
+     */
+    public function ajax_staging_chunk() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $staging = new WP_Care_Staging();
+        $state   = $staging->process_chunk();
+        $push    = isset( $state['type'] ) && $state['type'] === 'push';
+
+        if ( ! empty( $state['completed'] ) ) {
+            WP_Care_Activity_Log::log( $push ? 'staging_pushed' : 'staging_created', array(
+                'url'           => $state['url'],
+                'checkpoint_id' => isset( $state['checkpoint_id'] ) ? $state['checkpoint_id'] : '',
+                'tables'        => $state['total_tables'],
+                'files'         => $state['copied_files'],
+            ) );
+        } elseif ( ! empty( $state['error'] ) ) {
+            WP_Care_Activity_Log::log( $push ? 'staging_push_failed' : 'staging_failed', array(
+                'url'           => isset( $state['url'] ) ? $state['url'] : '',
+                'checkpoint_id' => isset( $state['checkpoint_id'] ) ? $state['checkpoint_id'] : '',
+                'error'         => $state['error'],
+            ) );
+        }
+
+        wp_send_json_success( $state );
+    }
+
+    /**
+     * Handle staging site deletion (admin-post).
+     *
+     * @return void
+     */
+    public function handle_delete_staging() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_delete_staging' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        $staging = WP_Care_Staging::get_staging();
+        $engine  = new WP_Care_Staging();
+        $result  = $engine->delete_staging();
+
+        if ( is_wp_error( $result ) ) {
+            $notice = array(
+                'type'    => 'error',
+                'message' => $result->get_error_message(),
+            );
+        } else {
+            WP_Care_Activity_Log::log( 'staging_deleted', array( 'url' => $staging['url'] ) );
+            $notice = array(
+                'type'    => 'success',
+                'message' => __( 'Staging site deleted.', 'wp-care-connector' ),
+            );
+        }
+
+        set_transient( 'wp_care_admin_notice', $notice, 30 );
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-migration' ) );
+        exit;
+    }
+
+    /**
+     * Handle migration deletion.
+     *
+     * @return void
+     */
+    public function handle_delete_migration() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_delete_migration' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        $migration_id = isset( $_POST['migration_id'] ) ? sanitize_file_name( wp_unslash( $_POST['migration_id'] ) ) : '';
+
+        if ( ! empty( $migration_id ) ) {
+            $migration = new WP_Care_Migration();
+            $deleted = $migration->delete_migration( $migration_id );
+
+            if ( $deleted ) {
+                WP_Care_Activity_Log::log( 'migration_deleted', array( 'migration_id' => $migration_id ) );
+                $this->redirect_with_notice( 'success', __( 'Migration deleted.', 'wp-care-connector' ) );
+            } else {
+                $this->redirect_with_notice( 'error', __( 'Migration not found.', 'wp-care-connector' ) );
+            }
+        }
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-migration' ) );
+        exit;
+    }
+
+    /**
+     * Handle scheduled export and retention settings (admin-post).
+     *
+     * @return void
+     */
+    public function handle_save_migration_schedule() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_save_migration_schedule' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        $settings = WP_Care_Migration_Schedule::save_settings( array(
+            'enabled'      => ! empty( $_POST['enabled'] ),
+            'frequency'    => isset( $_POST['frequency'] ) ? sanitize_key( wp_unslash( $_POST['frequency'] ) ) : 'daily',
+            'time'         => isset( $_POST['time'] ) ? sanitize_text_field( wp_unslash( $_POST['time'] ) ) : '',
+            'weekday'      => isset( $_POST['weekday'] ) ? absint( $_POST['weekday'] ) : 0,
+            'custom_hours' => isset( $_POST['custom_hours'] ) ? absint( $_POST['custom_hours'] ) : 12,
+            'options'      => isset( $_POST['options'] ) ? array_map( 'sanitize_text_field', wp_unslash( (array) $_POST['options'] ) ) : array(),
+        ) );
+
+        $retention = WP_Care_Migration::save_retention_policy(
+            isset( $_POST['retention'] ) ? array_map( 'absint', wp_unslash( (array) $_POST['retention'] ) ) : array()
+        );
+
+        // Apply the new policy right away rather than waiting for the next export
+        $migration = new WP_Care_Migration();
+        $deleted   = $migration->apply_retention_policy();
+
+        WP_Care_Activity_Log::log( 'migration_schedule_saved', array(
+            'enabled'   => $settings['enabled'],
+            'frequency' => $settings['frequency'],
+            'retention' => $retention,
+            'deleted'   => $deleted,
+        ) );
+
+        $message = __( 'Schedule saved.', 'wp-care-connector' );
+        if ( $deleted > 0 ) {
+            /* translators: %d: number of migrations deleted */
+            $message .= ' ' . sprintf( _n( '%d old migration was removed by the retention policy.', '%d old migrations were removed by the retention policy.', $deleted, 'wp-care-connector' ), $deleted );
+        }
+
+        set_transient( 'wp_care_admin_notice', array(
+            'type'    => 'success',
+            'message' => $message,
+        ), 30 );
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-migration' ) );
+        exit;
+    }
+
+    /**
+     * Handle adding an off-site storage target (admin-post).
+     *
+     * @return void
+     */
+    public function handle_add_storage_target() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_add_storage_target' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        $type   = isset( $_POST['type'] ) ? sanitize_key( wp_unslash( $_POST['type'] ) ) : '';
+        $fields = isset( $_POST['fields'][ $type ] ) ? wp_unslash( (array) $_POST['fields'][ $type ] ) : array();
+
+        $target_id = WP_Care_Storage::add_target( array_merge( $fields, array(
+            'type'   => $type,
+            'label'  => isset( $_POST['label'] ) ? wp_unslash( $_POST['label'] ) : '',
+            'prefix' => isset( $_POST['prefix'] ) ? wp_unslash( $_POST['prefix'] ) : '',
+        ) ) );
+
+        if ( is_wp_error( $target_id ) ) {
+            $notice = array(
+                'type'    => 'error',
+                'message' => $target_id->get_error_message(),
+            );
+        } else {
+            $test   = WP_Care_Storage::test_target( $target_id );
+            $notice = array(
+                'type'    => is_wp_error( $test ) ? 'warning' : 'success',
+                'message' => is_wp_error( $test )
+                    /* translators: %s: connection error */
+                    ? sprintf( __( 'Storage target added, but the connection test failed: %s', 'wp-care-connector' ), $test->get_error_message() )
+                    : __( 'Storage target added and connected. New migrations will be copied to it automatically.', 'wp-care-connector' ),
+            );
+
+            WP_Care_Activity_Log::log( 'storage_target_added', array(
+                'target_id' => $target_id,
+                'type'      => $type,
+            ) );
+        }
+
+        set_transient( 'wp_care_admin_notice', $notice, 30 );
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-migration' ) );
+        exit;
+    }
+
+    /**
+     * Handle removing an off-site storage target (admin-post).
+     *
+     * @return void
+     */
+    public function handle_delete_storage_target() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_delete_storage_target' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        $target_id = isset( $_POST['target_id'] ) ? sanitize_key( wp_unslash( $_POST['target_id'] ) ) : '';
+
+        if ( WP_Care_Storage::delete_target( $target_id ) ) {
+            WP_Care_Activity_Log::log( 'storage_target_removed', array( 'target_id' => $target_id ) );
+
+            set_transient( 'wp_care_admin_notice', array(
+                'type'    => 'success',
+                'message' => __( 'Storage target removed. Copies already stored on it were not deleted.', 'wp-care-connector' ),
+            ), 30 );
+        }
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-migration' ) );
+        exit;
+    }
+
+    /**
+     * Handle revoking a transfer token (admin-post).
+     *
+     * @return void
+     */
+    public function handle_revoke_transfer_token() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_revoke_transfer_token' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        $token_id = isset( $_POST['token_id'] ) ? sanitize_key( wp_unslash( $_POST['token_id'] ) ) : '';
+
+        if ( WP_Care_Transfer::revoke_token( $token_id ) ) {
+            WP_Care_Activity_Log::log( 'transfer_token_revoked', array( 'token' => $token_id ) );
+
+            set_transient( 'wp_care_admin_notice', array(
+                'type'    => 'success',
+                'message' => __( 'Transfer token revoked.', 'wp-care-connector' ),
+            ), 30 );
+        }
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-migration' ) );
+        exit;
+    }
+
+    /**
+     * Handle creating a named API key (admin-post).
+     *
+     * @return void
+     */
+    public function handle_create_api_key() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_api_keys' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        $name       = isset( $_POST['key_name'] ) ? sanitize_text_field( wp_unslash( $_POST['key_name'] ) ) : '';
+        $access     = isset( $_POST['key_access'] ) ? sanitize_key( wp_unslash( $_POST['key_access'] ) ) : 'custom';
+        $expires_in = isset( $_POST['key_expires_in'] ) ? absint( $_POST['key_expires_in'] ) : 0;
+
+        if ( $access === 'all' ) {
+            $scopes = array( WP_Care_API_Keys::SCOPE_ALL );
+        } elseif ( $access === 'monitoring' ) {
+            $scopes = WP_Care_API_Keys::get_monitoring_scopes();
+        } else {
+            $scopes = isset( $_POST['key_scopes'] ) ? array_map( 'sanitize_key', wp_unslash( (array) $_POST['key_scopes'] ) ) : array();
+        }
+
+        $created = WP_Care_API_Keys::create( $name, $scopes, $expires_in ? time() + $expires_in * DAY_IN_SECONDS : null );
+
+        if ( is_wp_error( $created ) ) {
+            set_transient( 'wp_care_admin_notice', array(
+                'type'    => 'error',
+                'message' => $created->get_error_message(),
+            ), 30 );
+        } else {
+            set_transient( 'wp_care_new_api_key_' . get_current_user_id(), array(
+                'id'     => $created['key']['id'],
+                'secret' => WP_Care_Security::encrypt( $created['secret'] ),
+            ), 60 );
+        }
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-status' ) );
+        exit;
+    }
+
+    /**
+     * Handle rotating a named API key's secret (admin-post).
+     *
+     * @return void
+     */
+    public function handle_rotate_api_key() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_api_keys' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        $key_id = isset( $_POST['key_id'] ) ? sanitize_key( wp_unslash( $_POST['key_id'] ) ) : '';
+        $secret = WP_Care_API_Keys::rotate( $key_id );
+
+        if ( is_wp_error( $secret ) ) {
+            set_transient( 'wp_care_admin_notice', array(
+                'type'    => 'error',
+                'message' => $secret->get_error_message(),
+            ), 30 );
+        } else {
+            set_transient( 'wp_care_new_api_key_' . get_current_user_id(), array(
+                'id'     => $key_id,
+                'secret' => WP_Care_Security::encrypt( $secret ),
+            ), 60 );
+        }
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-status' ) );
+        exit;
+    }
+
+    /**
+     * Handle revoking a named API key (admin-post).
+     *
+     * @return void
+     */
+    public function handle_revoke_api_key() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_api_keys' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        $key_id = isset( $_POST['key_id'] ) ? sanitize_key( wp_unslash( $_POST['key_id'] ) ) : '';
+
+        if ( WP_Care_API_Keys::revoke( $key_id ) ) {
+            set_transient( 'wp_care_admin_notice', array(
+                'type'    => 'success',
+                'message' => __( 'API key revoked.', 'wp-care-connector' ),
+            ), 30 );
+        }
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-status' ) );
+        exit;
+    }
+
+    /**
+     * Handle saving whether the primary key must send a nonce (admin-post).
+     *
+     * @return void
+     */
+    public function handle_save_api_key_settings() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_api_keys' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        update_option( 'wp_care_require_nonce', ! empty( $_POST['require_nonce'] ), false );
+
+        set_transient( 'wp_care_admin_notice', array(
+            'type'    => 'success',
+            'message' => __( 'API key settings saved.', 'wp-care-connector' ),
+        ), 30 );
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-status' ) );
+        exit;
+    }
+
+    /**
+     * Handle cancelling a background job (admin-post).
+     *
+     * @return void
+     */
+    public function handle_cancel_job() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_cancel_job' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        $job_id = isset( $_POST['job_id'] ) ? sanitize_file_name( wp_unslash( $_POST['job_id'] ) ) : '';
+        $job    = WP_Care_Jobs::cancel( $job_id );
+
+        set_transient( 'wp_care_admin_notice', array(
+            'type'    => is_wp_error( $job ) ? 'error' : 'success',
+            'message' => is_wp_error( $job ) ? $job->get_error_message() : __( 'Job cancelled.', 'wp-care-connector' ),
+        ), 30 );
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-migration' ) );
+        exit;
+    }
+
+    /**
+     * AJAX handler: Current state of background jobs, for the jobs table.
+     *
+     * @return void
+     */
+    public function ajax_jobs_status() {
+        check_ajax_referer( 'wp_care_migration' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        wp_send_json_success( array_values( array_map( array( 'WP_Care_Jobs', 'to_public' ), WP_Care_Jobs::get_jobs() ) ) );
+    }
+
+    /**
+     * Handle pushing a migration to off-site storage now (admin-post).
+     *
+     * @return void
+     */
+    public function handle_sync_migration() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_sync_migration' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        $migration_id = isset( $_POST['migration_id'] ) ? sanitize_file_name( wp_unslash( $_POST['migration_id'] ) ) : '';
+
+        if ( WP_Care_Storage::queue_migration( $migration_id ) ) {
+            spawn_cron();
+            $notice = array(
+                'type'    => 'success',
+                'message' => __( 'Off-site copy queued. It uploads in the background; reload this page to see progress.', 'wp-care-connector' ),
+            );
+        } else {
+            $notice = array(
+                'type'    => 'error',
+                'message' => __( 'Nothing to sync. Check that a storage target is configured and the archive still exists.', 'wp-care-connector' ),
+            );
+        }
+
+        set_transient( 'wp_care_admin_notice', $notice, 30 );
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-migration' ) );
+        exit;
+    }
+
+    /**
+     * Render the activity log page. Entries are loaded by activity-log.js.
+     *
+     * @return void
+     */
+    public function render_activity_log_page() {
+        $actions   = WP_Care_Activity_Log::get_action_labels();
+        $users     = WP_Care_Activity_Log::get_users();
+        $sources   = WP_Care_Activity_Log::get_sources();
+        $retention = WP_Care_Activity_Log::get_retention();
+
+        asort( $actions );
+
+        include WP_CARE_PLUGIN_DIR . 'admin/views/activity-log.php';
+    }
+
+    /**
+     * Render the File Integrity page.
+     *
+     * @return void
+     */
+    public function render_integrity_page() {
+        $status    = WP_Care_Integrity::get_status();
+        $results   = WP_Care_Integrity::get_results( 500 );
+        $frequency = WP_Care_Integrity::get_frequency();
+        $changes   = WP_Care_Integrity::count_changes();
+
+        include WP_CARE_PLUGIN_DIR . 'admin/views/integrity.php';
+    }
+
+    /**
+     * AJAX: Start a file integrity scan.
+     *
+     * @return void
+     */
+    public function ajax_integrity_start() {
+        check_ajax_referer( 'wp_care_integrity' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $mode = isset( $_POST['mode'] ) && $_POST['mode'] === 'baseline' ? 'baseline' : 'scan';
+        $scan = WP_Care_Integrity::start_scan( $mode, 'manual' );
+
+        if ( is_wp_error( $scan ) ) {
+            wp_send_json_error( array(
+                'message' => $scan->get_error_message(),
+                'code'    => $scan->get_error_code(),
+            ) );
+        }
+
+        wp_send_json_success( $scan );
+    }
+
+    /**
+     * AJAX: Hash the next files of the running file integrity scan.
+     *
+     * @return void
+     */
+    public function ajax_integrity_chunk() {
+        check_ajax_referer( 'wp_care_integrity' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $progress = WP_Care_Integrity::process_chunk( 20 );
+
+        if ( is_wp_error( $progress ) ) {
+            wp_send_json_error( array( 'message' => $progress->get_error_message() ) );
+        }
+
+        wp_send_json_success( $progress );
+    }
+
+    /**
+     * Handle accepting file changes into the integrity baseline.
+     *
+     * @return void
+     */
+    public function handle_integrity_accept() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_integrity_accept' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        // Only paths among the reported changes are used, so they are not sanitized further
+        $paths = null;
+        if ( ! isset( $_POST['accept'] ) || $_POST['accept'] !== 'all' ) {
+            $paths = isset( $_POST['paths'] ) ? array_filter( (array) wp_unslash( $_POST['paths'] ), 'is_string' ) : array();
+        }
+
+        $accepted = WP_Care_Integrity::accept_changes( $paths );
+
+        if ( is_wp_error( $accepted ) ) {
+            set_transient( 'wp_care_admin_notice', array(
+                'type'    => 'error',
+                'message' => $accepted->get_error_message(),
+            ), 30 );
+        } else {
+            set_transient( 'wp_care_admin_notice', array(
+                'type'    => 'success',
+                /* translators: %d: number of files */
+                'message' => sprintf( _n( '%d change accepted into the baseline.', '%d changes accepted into the baseline.', $accepted, 'wp-care-connector' ), $accepted ),
+            ), 30 );
+        }
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-integrity' ) );
+        exit;
+    }
+
+    /**
+     * Handle saving the file integrity scan frequency.
+     *
+     * @return void
+     */
+    public function handle_save_integrity_settings() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_integrity_settings' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        WP_Care_Integrity::set_frequency( isset( $_POST['frequency'] ) ? sanitize_key( $_POST['frequency'] ) : 'daily' );
+
+        set_transient( 'wp_care_admin_notice', array(
+            'type'    => 'success',
+            'message' => __( 'Scan schedule saved.', 'wp-care-connector' ),
+        ), 30 );
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-integrity' ) );
+        exit;
+    }
+
+    /**
+     * Render the Webhooks page.
+     *
+     * @return void
+     */
+    public function render_webhooks_page() {
+        $webhooks   = WP_Care_Webhooks::get_webhooks();
+        $events     = WP_Care_Webhooks::get_events();
+        $deliveries = WP_Care_Webhooks::get_deliveries( 50 );
+        $new_secret = null;
+
+        // A webhook secret created on the last request, shown once
+        $created = get_transient( 'wp_care_new_webhook_' . get_current_user_id() );
+        if ( $created ) {
+            delete_transient( 'wp_care_new_webhook_' . get_current_user_id() );
+            $new_secret = array(
+                'id'     => $created['id'],
+                'secret' => WP_Care_Security::decrypt( $created['secret'] ),
+            );
+        }
+
+        include WP_CARE_PLUGIN_DIR . 'admin/views/webhooks.php';
+    }
+
+    /**
+     * Handle adding a webhook (admin-post).
+     *
+     * @return void
+     */
+    public function handle_add_webhook() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_webhooks' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        $name   = isset( $_POST['webhook_name'] ) ? sanitize_text_field( wp_unslash( $_POST['webhook_name'] ) ) : '';
+        $url    = isset( $_POST['webhook_url'] ) ? esc_url_raw( wp_unslash( $_POST['webhook_url'] ) ) : '';
+        $events = isset( $_POST['webhook_events'] ) ? array_map( 'sanitize_text_field', wp_unslash( (array) $_POST['webhook_events'] ) ) : array();
+
+        $created = WP_Care_Webhooks::add( $name, $url, $events );
+
+        if ( is_wp_error( $created ) ) {
+            set_transient( 'wp_care_admin_notice', array(
+                'type'    => 'error',
+                'message' => $created->get_error_message(),
+            ), 30 );
+        } else {
+            set_transient( 'wp_care_new_webhook_' . get_current_user_id(), array(
+                'id'     => $created['webhook']['id'],
+                'secret' => WP_Care_Security::encrypt( $created['secret'] ),
+            ), 60 );
+        }
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-webhooks' ) );
+        exit;
+    }
+
+    /**
+     * Handle deleting a webhook (admin-post).
+     *
+     * @return void
+     */
+    public function handle_delete_webhook() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_webhooks' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        $webhook_id = isset( $_POST['webhook_id'] ) ? sanitize_key( wp_unslash( $_POST['webhook_id'] ) ) : '';
+        $removed    = WP_Care_Webhooks::remove( $webhook_id );
+
+        if ( is_wp_error( $removed ) ) {
+            set_transient( 'wp_care_admin_notice', array(
+                'type'    => 'error',
+                'message' => $removed->get_error_message(),
+            ), 30 );
+        } else {
+            set_transient( 'wp_care_admin_notice', array(
+                'type'    => 'success',
+                'message' => __( 'Webhook deleted.', 'wp-care-connector' ),
+            ), 30 );
+        }
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-webhooks' ) );
+        exit;
+    }
+
+    /**
+     * Handle resending a webhook delivery (admin-post). The new delivery
+     * is sent right away so its result shows on the page.
+     *
+     * @return void
+     */
+    public function handle_resend_webhook() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_webhooks' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        $delivery = WP_Care_Webhooks::resend( isset( $_POST['delivery_id'] ) ? absint( $_POST['delivery_id'] ) : 0 );
+
+        if ( is_wp_error( $delivery ) ) {
+            set_transient( 'wp_care_admin_notice', array(
+                'type'    => 'error',
+                'message' => $delivery->get_error_message(),
+            ), 30 );
+        } elseif ( $delivery['status'] === 'delivered' ) {
+            set_transient( 'wp_care_admin_notice', array(
+                'type'    => 'success',
+                /* translators: %d: HTTP status code */
+                'message' => sprintf( __( 'Delivered (HTTP %d).', 'wp-care-connector' ), $delivery['response_code'] ),
+            ), 30 );
+        } else {
+            set_transient( 'wp_care_admin_notice', array(
+                'type'    => 'warning',
+                /* translators: %s: error message */
+                'message' => sprintf( __( 'Delivery failed: %s. It will be retried.', 'wp-care-connector' ), $delivery['error'] ),
+            ), 30 );
+        }
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-webhooks' ) );
+        exit;
+    }
+
+    /**
+     * Read activity log filters from the request. They are sent as a
+     * 'filters' array so the action filter can't clash with 'action'.
+     *
+     * @return array Filters for WP_Care_Activity_Log::query().
+     */
+    private function get_activity_log_filters() {
+        $source  = isset( $_POST['filters'] ) && is_array( $_POST['filters'] ) ? wp_unslash( $_POST['filters'] ) : array();
+        $filters = array();
+
+        foreach ( array( 'action', 'user', 'source', 'date_from', 'date_to', 'search' ) as $field ) {
+            $filters[ $field ] = isset( $source[ $field ] ) && is_string( $source[ $field ] ) ? sanitize_text_field( $source[ $field ] ) : '';
+        }
+
+        return $filters;
+    }
+
+    /**
+     * AJAX handler: One page of activity log entries.
+     *
+     * @return void
+     */
+    public function ajax_activity_log_query() {
+        check_ajax_referer( 'wp_care_activity_log' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $filters         = $this->get_activity_log_filters();
+        $filters['page'] = isset( $_POST['page'] ) ? absint( $_POST['page'] ) : 1;
+
+        $result  = WP_Care_Activity_Log::query( $filters );
+        $sources = WP_Care_Activity_Log::get_sources();
+        $format  = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+
+        foreach ( $result['entries'] as &$entry ) {
+            $entry['time']         = date_i18n( $format, $entry['timestamp'] );
+            /* translators: %s: human-readable time difference */
+            $entry['time_ago']     = sprintf( __( '%s ago', 'wp-care-connector' ), human_time_diff( $entry['timestamp'] ) );
+            $entry['label']        = WP_Care_Activity_Log::get_action_label( $entry['action'] );
+            $entry['source_label'] = isset( $sources[ $entry['source'] ] ) ? $sources[ $entry['source'] ] : $entry['source'];
+        }
+        unset( $entry );
+
+        wp_send_json_success( $result );
+    }
+
+    /**
+     * Handle exporting the filtered activity log as CSV or JSON (admin-post).
+     *
+     * @return void
+     */
+    public function handle_export_activity_log() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_activity_log' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        $format  = isset( $_POST['format'] ) && $_POST['format'] === 'json' ? 'json' : 'csv';
+        $filters = $this->get_activity_log_filters();
+
+        $filters['per_page'] = 500;
+        $filters['page']     = 1;
+
+        nocache_headers();
+        header( 'Content-Type: ' . ( $format === 'json' ? 'application/json' : 'text/csv' ) . '; charset=utf-8' );
+        header( 'Content-Disposition: attachment; filename="wp-care-activity-' . gmdate( 'Y-m-d' ) . '.' . $format . '"' );
+
+        $out   = fopen( 'php://output', 'w' );
+        $first = true;
+
+        if ( $format === 'csv' ) {
+            fputcsv( $out, array( 'time', 'action', 'label', 'user', 'source', 'ip', 'object_type', 'object_id', 'result', 'details' ) );
+        } else {
+            fwrite( $out, '[' );
+        }
+
+        // Page through so a long log isn't held in memory at once
+        do {
+            $result = WP_Care_Activity_Log::query( $filters );
+
+            foreach ( $result['entries'] as $entry ) {
+                $row = array(
+                    'time'        => gmdate( 'c', $entry['timestamp'] ),
+                    'action'      => $entry['action'],
+                    'label'       => WP_Care_Activity_Log::get_action_label( $entry['action'] ),
+                    'user'        => $entry['user'],
+                    'source'      => $entry['source'],
+                    'ip'          => $entry['ip'],
+                    'object_type' => $entry['object_type'],
+                    'object_id'   => $entry['object_id'],
+                    'result'      => $entry['result'],
+                    'details'     => $entry['details'],
+                );
+
+                if ( $format === 'csv' ) {
+                    $row['details'] = wp_json_encode( $row['details'] );
+                    fputcsv( $out, array_values( $row ) );
+                } else {
+                    fwrite( $out, ( $first ? '' : ',' ) . "\n" . wp_json_encode( $row ) );
+                }
+                $first = false;
+            }
+
+            $filters['page']++;
+        } while ( $filters['page'] <= $result['pages'] );
+
+        if ( $format === 'json' ) {
+            fwrite( $out, "\n]\n" );
+        }
+
+        fclose( $out );
+        exit;
+    }
+
+    /**
+     * Handle saving the activity log retention period (admin-post).
+     *
+     * @return void
+     */
+    public function handle_save_activity_retention() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_activity_retention' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        WP_Care_Activity_Log::set_retention( isset( $_POST['retention'] ) ? absint( $_POST['retention'] ) : WP_Care_Activity_Log::DEFAULT_RETENTION );
+        $deleted = WP_Care_Activity_Log::prune();
+
+        set_transient( 'wp_care_admin_notice', array(
+            'type'    => 'success',
+            'message' => $deleted
+                /* translators: %d: number of entries removed */
+                ? sprintf( _n( 'Retention saved. %d older entry was removed.', 'Retention saved. %d older entries were removed.', $deleted, 'wp-care-connector' ), $deleted )
+                : __( 'Retention saved.', 'wp-care-connector' ),
+        ), 30 );
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-activity' ) );
+        exit;
+    }
+
+    /**
+     * Handle saving the health alert thresholds.
+     *
+     * @return void
+     */
+    public function handle_save_health_thresholds() {
+        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ), 'wp_care_health_thresholds' ) ) {
+            wp_die( esc_html__( 'Security check failed.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-care-connector' ), '', array( 'response' => 403 ) );
+        }
+
+        $thresholds = isset( $_POST['thresholds'] ) ? array_map( 'absint', (array) wp_unslash( $_POST['thresholds'] ) ) : array();
+        WP_Care_Health_Metrics::set_thresholds( $thresholds );
+
+        set_transient( 'wp_care_admin_notice', array(
+            'type'    => 'success',
+            'message' => __( 'Alert thresholds saved.', 'wp-care-connector' ),
+        ), 30 );
+
+        wp_safe_redirect( admin_url( 'admin.php?page=' . $this->menu_slug . '-health' ) );
+        exit;
+    }
+
+    /**
+     * AJAX: Get the recorded health metrics for the trend charts.
+     *
+     * @return void
+     */
+    public function ajax_health_metrics() {
+        check_ajax_referer( 'wp_care_health_metrics' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $days   = isset( $_POST['days'] ) ? absint( $_POST['days'] ) : 30;
+        $series = WP_Care_Health_Metrics::get_series( $days );
+
+        $series['thresholds'] = WP_Care_Health_Metrics::get_thresholds();
+
+        wp_send_json_success( $series );
+    }
+
+    /**
+     * AJAX: Take a health measurement now instead of waiting for cron.
+     *
+     * @return void
+     */
+    public function ajax_health_record() {
+        check_ajax_referer( 'wp_care_health_metrics' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( array( 'message' => __( 'Permission denied.', 'wp-care-connector' ) ), 403 );
+        }
+
+        $sample = WP_Care_Health_Metrics::record();
+
+        if ( is_wp_error( $sample ) ) {
+            wp_send_json_error( array( 'message' => $sample->get_error_message() ) );
+        }
+
+        wp_send_json_success( $sample );
     }
 }
@@ -167,14 +167,37 @@ class WP_Care_API_Endpoints {
         $this->register_command('restore_checkpoint', [$this, 'cmd_restore_checkpoint']);
         $this->register_command('list_checkpoints', [$this, 'cmd_list_checkpoints']);
         $this->register_command('delete_checkpoint', [$this, 'cmd_delete_checkpoint']);
+        $this->register_command('checkpoint_diff', [$this, 'cmd_checkpoint_diff']);
 
         // Register migration commands
         $this->register_command('create_migration_backup', [$this, 'cmd_create_migration_backup']);
         $this->register_command('list_migration_backups', [$this, 'cmd_list_migration_backups']);
+        $this->register_command('list_export_presets', [$this, 'cmd_list_export_presets']);
+        $this->register_command('estimate_migration_backup', [$this, 'cmd_estimate_migration_backup']);
         $this->register_command('delete_migration_backup', [$this, 'cmd_delete_migration_backup']);
         $this->register_command('get_migration_status', [$this, 'cmd_get_migration_status']);
         $this->register_command('restore_migration_backup', [$this, 'cmd_restore_migration_backup']);
 
+        // Register background job commands
+        $this->register_command('get_job_status', [$this, 'cmd_get_job_status']);
+        $this->register_command('cancel_job', [$this, 'cmd_cancel_job']);
+        $this->register_command('list_jobs', [$this, 'cmd_list_jobs']);
+
+        // Register health metrics commands
+        $this->register_command('get_health_metrics', [$this, 'cmd_get_health_metrics']);
+
+        // Register update commands
+        $this->register_command('list_updates', [$this, 'cmd_list_updates']);
+        $this->register_command('update_plugins', [$this, 'cmd_update_plugins']);
+        $this->register_command('update_themes', [$this, 'cmd_update_themes']);
+        $this->register_command('update_core', [$this, 'cmd_update_core']);
+        $this->register_command('get_update_history', [$this, 'cmd_get_update_history']);
+
+        // Register file integrity commands
+        $this->register_command('get_integrity_results', [$this, 'cmd_get_integrity_results']);
+        $this->register_command('start_integrity_scan', [$this, 'cmd_start_integrity_scan']);
+        $this->register_command('accept_integrity_changes', [$this, 'cmd_accept_integrity_changes']);
+
         // Store instance for singleton access
         if (self::$instance === null) {
             self::$instance = $this;
@@ -187,22 +210,18 @@ class WP_Care_API_Endpoints {
      * @return void
      */
     public function register_routes() {
-        // GET /wp-care/v1/health - Site health/status (API key auth)
+        // GET /wp-care/v1/health - Site health/status (API key auth, or a named key with the 'health' scope)
         register_rest_route($this->namespace, '/health', [
             'methods'             => 'GET',
             'callback'            => [$this, 'health_endpoint'],
-            'permission_callback' => function ($request) {
-                return WP_Care_Security::verify_api_key($request);
-            },
+            'permission_callback' => ['WP_Care_API_Keys', 'verify_health_request'],
         ]);
 
-        // POST /wp-care/v1/command - Execute registered commands (HMAC auth)
+        // POST /wp-care/v1/command - Execute registered commands (HMAC auth, scoped by X-Key-Id)
         register_rest_route($this->namespace, '/command', [
             'methods'             => 'POST',
             'callback'            => [$this, 'command_endpoint'],
-            'permission_callback' => function ($request) {
-                return WP_Care_Security::verify_hmac($request);
-            },
+            'permission_callback' => ['WP_Care_API_Keys', 'verify_command_request'],
         ]);
 
         // GET /wp-care/v1/ping - Public connectivity check
@@ -227,6 +246,15 @@ class WP_Care_API_Endpoints {
             },
         ]);
 
+        // POST /wp-care/v1/transfer/{info,chunk,complete} - Site-to-site transfer (transfer token HMAC auth)
+        foreach (['info', 'chunk', 'complete'] as $endpoint) {
+            register_rest_route($this->namespace, '/transfer/' . $endpoint, [
+                'methods'             => 'POST',
+                'callback'            => ['WP_Care_Transfer', 'rest_' . $endpoint],
+                'permission_callback' => ['WP_Care_Transfer', 'verify_request'],
+            ]);
+        }
+
         // Allow external plugins to register commands
         do_action('wp_care_register_commands', $this);
     }
@@ -313,18 +341,56 @@ class WP_Care_API_Endpoints {
         // Execute command handler
         try {
             $result = call_user_func($this->commands[$command], $args);
-            return rest_ensure_response([
-                'status'  => 'ok',
-                'command' => $command,
-                'result'  => $result,
-            ]);
         } catch (Exception $e) {
+            $this->log_command($request, $command, false, $e->getMessage());
+
             return new WP_Error(
                 'command_failed',
                 $e->getMessage(),
                 ['status' => 500]
             );
         }
+
+        // Handlers report failure either as a WP_Error or as ['success' => false, ...]
+        if (is_wp_error($result)) {
+            $this->log_command($request, $command, false, $result->get_error_message());
+        } elseif (is_array($result) && isset($result['success']) && $result['success'] === false) {
+            $this->log_command($request, $command, false, isset($result['error']) && is_string($result['error']) ? $result['error'] : '');
+        } else {
+            $this->log_command($request, $command, true);
+        }
+
+        return rest_ensure_response([
+            'status'  => 'ok',
+            'command' => $command,
+            'result'  => $result,
+        ]);
+    }
+
+    /**
+     * Record a command run in the activity log
+     *
+     * @param WP_REST_Request $request The REST API request.
+     * @param string          $command Command name.
+     * @param bool            $success Whether the command succeeded.
+     * @param string          $error   Error message, if it failed.
+     * @return void
+     */
+    private function log_command($request, $command, $success, $error = '') {
+        $key_id = $request->get_header('X-Key-Id');
+        $details = [
+            'command' => $command,
+            'key'     => $key_id ? sanitize_key($key_id) : 'primary',
+        ];
+        if ($error !== '') {
+            $details['error'] = $error;
+        }
+
+        WP_Care_Activity_Log::log('command_executed', $details, [
+            'object_type' => 'command',
+            'object_id'   => $command,
+            'result'      => $success ? 'success' : 'failure',
+        ]);
     }
 
     /**
@@ -554,6 +620,13 @@ class WP_Care_API_Endpoints {
         // Update the option
         $updated = update_option($key, $args['value']);
 
+        if ($updated) {
+            WP_Care_Activity_Log::log('option_changed', [
+                'key'           => $key,
+                'checkpoint_id' => $checkpoint_id !== false ? $checkpoint_id : '',
+            ]);
+        }
+
         $response = [
             'success' => true,
             'key'     => $key,
@@ -603,29 +676,50 @@ class WP_Care_API_Endpoints {
     /**
      * Command: create_temp_login
      *
-     * Creates a temporary admin login with 4-hour expiry.
+     * Creates a temporary login. Defaults to a single-use administrator
+     * login with 4-hour expiry.
      *
-     * @param array $args Command arguments containing optional 'requester_id'.
+     * @param array $args Command arguments: optional 'requester_id', 'role' (or 'custom'),
+     *                    'capabilities', 'expiry_hours', 'max_uses' (0 = until expiry)
+     *                    and 'allowed_ips'.
      * @return array Login URL and user details, or error.
      */
     public function cmd_create_temp_login($args) {
         $temp_login = new WP_Care_Temp_Login();
         $requester_id = isset($args['requester_id']) ? sanitize_text_field($args['requester_id']) : 'api';
 
-        $result = $temp_login->create_login($requester_id);
+        $options = array_intersect_key((array) $args, $temp_login->get_default_options());
+        $result = $temp_login->create_login($requester_id, $options);
 
         if (is_wp_error($result)) {
             return [
                 'success' => false,
                 'error'   => $result->get_error_message(),
+                'code'    => $result->get_error_code(),
             ];
         }
 
+        $options = $temp_login->sanitize_options($options);
+
+        // The user ID is in the link; callers need it to revoke the login
+        parse_str((string) wp_parse_url($result, PHP_URL_QUERY), $query);
+        $user_id = isset($query['uid']) ? absint($query['uid']) : 0;
+
+        WP_Care_Activity_Log::log('temp_login_created', [
+            'created_by' => $requester_id,
+            'user_id'    => $user_id,
+        ]);
+
         return [
-            'success'   => true,
-            'login_url' => $result,
-            'expires'   => time() + (4 * HOUR_IN_SECONDS),
-            'requester' => $requester_id,
+            'success'      => true,
+            'login_url'    => $result,
+            'user_id'      => $user_id,
+            'expires'      => (int) get_user_meta($user_id, '_wp_care_expiry', true),
+            'requester'    => $requester_id,
+            'role'         => $options['role'],
+            'capabilities' => $options['capabilities'],
+            'max_uses'     => $options['max_uses'],
+            'allowed_ips'  => $options['allowed_ips'],
         ];
     }
 
@@ -735,16 +829,20 @@ class WP_Care_API_Endpoints {
     /**
      * Command: create_checkpoint
      *
-     * Creates a database checkpoint before destructive operations.
+     * Creates a checkpoint before destructive operations: the database,
+     * plus a snapshot of any wp-content paths given.
      *
-     * @param array $args Command arguments containing optional 'operation_type'.
+     * @param array $args Command arguments containing optional 'operation_type',
+     *                    'paths' (relative to wp-content) and 'include_database'.
      * @return array Checkpoint ID and details, or error.
      */
     public function cmd_create_checkpoint($args) {
         $backup = new WP_Care_Backup();
         $operation_type = isset($args['operation_type']) ? sanitize_text_field($args['operation_type']) : 'manual';
+        $paths = isset($args['paths']) ? $backup->sanitize_paths($args['paths']) : [];
+        $include_database = isset($args['include_database']) ? (bool) $args['include_database'] : true;
 
-        $checkpoint_id = $backup->create_checkpoint($operation_type);
+        $checkpoint_id = $backup->create_checkpoint($operation_type, $paths, $include_database);
 
         if ($checkpoint_id === false) {
             return [
@@ -753,10 +851,16 @@ class WP_Care_API_Endpoints {
             ];
         }
 
+        WP_Care_Activity_Log::log('backup_created', [
+            'checkpoint_id' => $checkpoint_id,
+            'operation'     => $operation_type,
+        ]);
+
         return [
             'success'       => true,
             'checkpoint_id' => $checkpoint_id,
             'operation'     => $operation_type,
+            'paths'         => $paths,
             'created_at'    => gmdate('c'),
         ];
     }
@@ -764,7 +868,7 @@ class WP_Care_API_Endpoints {
     /**
      * Command: restore_checkpoint
      *
-     * Restores database from a checkpoint.
+     * Restores the database and any snapshotted files from a checkpoint.
      *
      * @param array $args Command arguments containing 'checkpoint_id'.
      * @return array Success or error status.
@@ -789,14 +893,45 @@ class WP_Care_API_Endpoints {
             ];
         }
 
+        WP_Care_Activity_Log::log('checkpoint_restored', ['checkpoint_id' => $checkpoint_id]);
+
         return [
             'success'       => true,
             'checkpoint_id' => $checkpoint_id,
             'restored_at'   => gmdate('c'),
-            'message'       => 'Database restored successfully',
+            'message'       => 'Checkpoint restored successfully',
         ];
     }
 
+    /**
+     * Command: checkpoint_diff
+     *
+     * Lists the files and tables that changed since a checkpoint.
+     *
+     * @param array $args Command arguments containing 'checkpoint_id'.
+     * @return array Changes, or error.
+     */
+    public function cmd_checkpoint_diff($args) {
+        if (empty($args['checkpoint_id'])) {
+            return [
+                'success' => false,
+                'error'   => 'Checkpoint ID is required',
+            ];
+        }
+
+        $backup = new WP_Care_Backup();
+        $diff = $backup->get_checkpoint_diff(sanitize_file_name($args['checkpoint_id']));
+
+        if (is_wp_error($diff)) {
+            return [
+                'success' => false,
+                'error'   => $diff->get_error_message(),
+            ];
+        }
+
+        return array_merge(['success' => true], $diff);
+    }
+
     /**
      * Command: list_checkpoints
      *
@@ -854,18 +989,49 @@ class WP_Care_API_Endpoints {
     /**
      * Command: create_migration_backup
      *
-     * Creates a full site migration backup (database + files).
-     * Runs all phases in a single request. May take several minutes for large sites.
+     * Creates a full site migration backup (database + files), or an
+     * incremental one on top of 'base_id'.
+     * Queues a background job and returns its ID; poll get_job_status.
+     * Pass 'wait' => true to run all phases in this request instead, which
+     * may take several minutes for large sites. A 'passphrase' encrypts the
+     * package; it is needed again to restore it.
      *
-     * @param array $args Command arguments with optional 'options' array.
-     * @return array Migration details.
+     * @param array $args Command arguments with optional 'options' array, 'preset' ID, 'base_id', 'passphrase' and 'wait'.
+     * @return array Job or migration details.
      */
     public function cmd_create_migration_backup($args) {
         $migration = new WP_Care_Migration();
-        $options = isset($args['options']) ? $args['options'] : [];
-        $result = $migration->run_full_export($options);
+        $options = isset($args['options']) ? (array) $args['options'] : [];
+        if (!empty($args['preset'])) {
+            $options['preset'] = $args['preset'];
+        }
+        $base_id = isset($args['base_id']) ? sanitize_file_name($args['base_id']) : '';
+        $passphrase = isset($args['passphrase']) ? (string) $args['passphrase'] : '';
+
+        // Reject an unusable passphrase before a job is queued for it
+        if ($passphrase !== '') {
+            $valid = WP_Care_Package_Encryption::validate_passphrase($passphrase);
+            if (is_wp_error($valid)) {
+                return ['success' => false, 'error' => $valid->get_error_message()];
+            }
+        }
+
+        if (empty($args['wait'])) {
+            return $this->queue_job('export', [
+                'options'    => $options,
+                'base_id'    => $base_id,
+                'passphrase' => $passphrase,
+            ]);
+        }
+
+        $result = $migration->run_full_export($options, $base_id, $passphrase);
 
         if (isset($result['error']) && $result['error']) {
+            WP_Care_Activity_Log::log('migration_failed', [
+                'migration_id' => isset($result['migration_id']) ? $result['migration_id'] : '',
+                'error'        => $result['error'],
+            ]);
+
             return ['success' => false, 'error' => $result['error']];
         }
 
@@ -883,6 +1049,48 @@ class WP_Care_API_Endpoints {
         ];
     }
 
+    /**
+     * Command: list_export_presets
+     *
+     * Lists the saved export rule presets, for use as the 'preset' argument
+     * of create_migration_backup.
+     *
+     * @param array $args Command arguments (unused).
+     * @return array Presets.
+     */
+    public function cmd_list_export_presets($args) {
+        $migration = new WP_Care_Migration();
+
+        return [
+            'success'         => true,
+            'presets'         => array_values($migration->get_presets()),
+            'default_options' => $migration->get_default_options(),
+        ];
+    }
+
+    /**
+     * Command: estimate_migration_backup
+     *
+     * Estimates the size of an export without creating it.
+     *
+     * @param array $args Command arguments: 'options' and/or 'preset'.
+     * @return array Estimate or error.
+     */
+    public function cmd_estimate_migration_backup($args) {
+        $migration = new WP_Care_Migration();
+        $options = isset($args['options']) ? (array) $args['options'] : [];
+        if (!empty($args['preset'])) {
+            $options['preset'] = $args['preset'];
+        }
+
+        $estimate = $migration->estimate_export($options);
+        if (is_wp_error($estimate)) {
+            return ['success' => false, 'error' => $estimate->get_error_message()];
+        }
+
+        return array_merge(['success' => true], $estimate);
+    }
+
     /**
      * Command: list_migration_backups
      *
@@ -957,10 +1165,12 @@ class WP_Care_API_Endpoints {
      * Command: restore_migration_backup
      *
      * Restores a site from a migration backup (database + files).
-     * Runs all phases in a single request. Creates a DB checkpoint first.
+     * Creates a checkpoint first. Queues a background job and returns its
+     * ID; pass 'wait' => true to run all phases in this request instead.
+     * Encrypted packages need the 'passphrase' they were created with.
      *
-     * @param array $args Command arguments containing 'migration_id' and optional 'options'.
-     * @return array Restore result.
+     * @param array $args Command arguments containing 'migration_id' and optional 'options', 'passphrase' and 'wait'.
+     * @return array Job or restore result.
      */
     public function cmd_restore_migration_backup($args) {
         if (empty($args['migration_id'])) {
@@ -970,10 +1180,24 @@ class WP_Care_API_Endpoints {
         $migration = new WP_Care_Migration();
         $migration_id = sanitize_file_name($args['migration_id']);
         $options = isset($args['options']) ? $args['options'] : [];
+        $passphrase = isset($args['passphrase']) ? (string) $args['passphrase'] : '';
+
+        if (empty($args['wait'])) {
+            return $this->queue_job('restore', [
+                'migration_id' => $migration_id,
+                'options'      => (array) $options,
+                'passphrase'   => $passphrase,
+            ]);
+        }
 
-        $result = $migration->run_full_restore($migration_id, $options);
+        $result = $migration->run_full_restore($migration_id, array_merge((array) $options, ['passphrase' => $passphrase]));
 
         if (isset($result['error']) && $result['error']) {
+            WP_Care_Activity_Log::log('migration_restore_failed', [
+                'migration_id' => $migration_id,
+                'error'        => $result['error'],
+            ]);
+
             return ['success' => false, 'error' => $result['error']];
         }
 
@@ -990,6 +1214,289 @@ class WP_Care_API_Endpoints {
         ];
     }
 
+    /**
+     * Queue a background job for a long-running command.
+     *
+     * @param string $type Job type.
+     * @param array  $args Job arguments.
+     * @return array Job details, or error.
+     */
+    private function queue_job($type, $args) {
+        $job = WP_Care_Jobs::create($type, $args);
+
+        if (is_wp_error($job)) {
+            return ['success' => false, 'error' => $job->get_error_message()];
+        }
+
+        return [
+            'success' => true,
+            'job_id'  => $job['id'],
+            'status'  => $job['status'],
+            'message' => 'Job queued; poll get_job_status for progress',
+        ];
+    }
+
+    /**
+     * Command: get_job_status
+     *
+     * Returns the status, progress and result of a background job.
+     *
+     * @param array $args Command arguments containing 'job_id'.
+     * @return array Job details.
+     */
+    public function cmd_get_job_status($args) {
+        if (empty($args['job_id'])) {
+            return ['success' => false, 'error' => 'Job ID is required'];
+        }
+
+        $job = WP_Care_Jobs::get_job(sanitize_file_name($args['job_id']));
+        if (!$job) {
+            return ['success' => false, 'error' => 'Job not found'];
+        }
+
+        return ['success' => true, 'job' => WP_Care_Jobs::to_public($job)];
+    }
+
+    /**
+     * Command: cancel_job
+     *
+     * Cancels a queued or running background job.
+     *
+     * @param array $args Command arguments containing 'job_id'.
+     * @return array Cancelled job, or error.
+     */
+    public function cmd_cancel_job($args) {
+        if (empty($args['job_id'])) {
+            return ['success' => false, 'error' => 'Job ID is required'];
+        }
+
+        $job = WP_Care_Jobs::cancel(sanitize_file_name($args['job_id']));
+        if (is_wp_error($job)) {
+            return ['success' => false, 'error' => $job->get_error_message()];
+        }
+
+        return ['success' => true, 'job' => WP_Care_Jobs::to_public($job)];
+    }
+
+    /**
+     * Command: list_jobs
+     *
+     * Lists background jobs, newest first. Pass 'status' to filter.
+     *
+     * @param array $args Command arguments with optional 'status'.
+     * @return array Jobs.
+     */
+    public function cmd_list_jobs($args) {
+        $jobs = array_values(array_map(['WP_Care_Jobs', 'to_public'], WP_Care_Jobs::get_jobs()));
+
+        if (!empty($args['status'])) {
+            $status = sanitize_key($args['status']);
+            $jobs = array_values(array_filter($jobs, function($job) use ($status) {
+                return $job['status'] === $status;
+            }));
+        }
+
+        return [
+            'success' => true,
+            'jobs'    => $jobs,
+            'count'   => count($jobs),
+        ];
+    }
+
+    /**
+     * Command: get_health_metrics
+     *
+     * Returns the recorded health metrics time series, the alert thresholds
+     * and the thresholds the latest sample exceeded.
+     *
+     * @param array $args Command arguments with optional 'days' (default 30, up to 90).
+     * @return array Series.
+     */
+    public function cmd_get_health_metrics($args) {
+        $days = isset($args['days']) ? absint($args['days']) : 30;
+
+        return array_merge(
+            ['success' => true],
+            WP_Care_Health_Metrics::get_series($days),
+            [
+                'thresholds' => WP_Care_Health_Metrics::get_thresholds(),
+                'alerts'     => WP_Care_Health_Metrics::get_alerts(),
+            ]
+        );
+    }
+
+    /**
+     * Command: list_updates
+     *
+     * Lists the plugins, themes and core version with an update available.
+     *
+     * @param array $args Command arguments with optional 'refresh' to check WordPress.org first.
+     * @return array Available updates.
+     */
+    public function cmd_list_updates($args) {
+        return array_merge(
+            ['success' => true],
+            WP_Care_Updates::get_available(!empty($args['refresh']))
+        );
+    }
+
+    /**
+     * Command: update_plugins
+     *
+     * Safely updates plugins one at a time. Each is rolled back if the
+     * update or the health check after it fails.
+     *
+     * @param array $args Command arguments with 'plugins' (plugin files, e.g. akismet/akismet.php).
+     * @return array Per-plugin results.
+     */
+    public function cmd_update_plugins($args) {
+        return $this->run_updates('plugin', isset($args['plugins']) ? $args['plugins'] : []);
+    }
+
+    /**
+     * Command: update_themes
+     *
+     * Safely updates themes one at a time, like update_plugins.
+     *
+     * @param array $args Command arguments with 'themes' (theme directory names).
+     * @return array Per-theme results.
+     */
+    public function cmd_update_themes($args) {
+        return $this->run_updates('theme', isset($args['themes']) ? $args['themes'] : []);
+    }
+
+    /**
+     * Command: update_core
+     *
+     * Safely updates WordPress to the version offered by WordPress.org.
+     *
+     * @param array $args Command arguments (unused).
+     * @return array Result.
+     */
+    public function cmd_update_core($args) {
+        return $this->run_updates('core', ['wordpress']);
+    }
+
+    /**
+     * Command: get_update_history
+     *
+     * @param array $args Command arguments (unused).
+     * @return array Recent update runs, newest first.
+     */
+    public function cmd_get_update_history($args) {
+        return [
+            'success' => true,
+            'history' => WP_Care_Updates::get_history(),
+        ];
+    }
+
+    /**
+     * Command: get_integrity_results
+     *
+     * Returns the file integrity status (scan in progress, baseline, last
+     * scan counts) and the files added, modified and deleted since the
+     * baseline, plus PHP files found in uploads.
+     *
+     * @param array $args Command arguments with optional 'limit' per list (default 500, 0 for all).
+     * @return array Status and results.
+     */
+    public function cmd_get_integrity_results($args) {
+        $limit = isset($args['limit']) ? absint($args['limit']) : 500;
+
+        return array_merge(
+            ['success' => true],
+            WP_Care_Integrity::get_status(),
+            [
+                'changes' => WP_Care_Integrity::count_changes(),
+                'results' => WP_Care_Integrity::get_results($limit),
+            ]
+        );
+    }
+
+    /**
+     * Command: start_integrity_scan
+     *
+     * Starts a scan and hashes for as long as this request allows; the rest
+     * continues in WP-Cron. Poll get_integrity_results for the outcome.
+     *
+     * @param array $args Command arguments with optional 'baseline' to make the scan the new baseline.
+     * @return array Scan progress.
+     */
+    public function cmd_start_integrity_scan($args) {
+        $scan = WP_Care_Integrity::start_scan(!empty($args['baseline']) ? 'baseline' : 'scan', 'api');
+
+        if (is_wp_error($scan)) {
+            return ['success' => false, 'error' => $scan->get_error_message()];
+        }
+
+        $progress = WP_Care_Integrity::process_chunk(20);
+
+        if (is_wp_error($progress)) {
+            return ['success' => false, 'error' => $progress->get_error_message()];
+        }
+
+        if (!$progress['completed']) {
+            wp_schedule_single_event(time(), WP_Care_Integrity::CHUNK_HOOK);
+        }
+
+        return array_merge(['success' => true], $progress);
+    }
+
+    /**
+     * Command: accept_integrity_changes
+     *
+     * Accepts changes from the last scan into the baseline.
+     *
+     * @param array $args Command arguments with optional 'files' (paths as reported); all changes if omitted.
+     * @return array Number of changes accepted and remaining.
+     */
+    public function cmd_accept_integrity_changes($args) {
+        // Only paths among the reported changes are used, so they are not sanitized further
+        $paths = isset($args['files']) ? array_filter((array) $args['files'], 'is_string') : null;
+        $accepted = WP_Care_Integrity::accept_changes($paths);
+
+        if (is_wp_error($accepted)) {
+            return ['success' => false, 'error' => $accepted->get_error_message()];
+        }
+
+        return [
+            'success'   => true,
+            'accepted'  => $accepted,
+            'remaining' => WP_Care_Integrity::count_changes(),
+        ];
+    }
+
+    /**
+     * Run safe updates for a list of packages.
+     *
+     * @param string $type Package type.
+     * @param array  $ids  Package IDs.
+     * @return array Results, with success false if any package was not updated.
+     */
+    private function run_updates($type, $ids) {
+        $ids = array_filter(array_map('sanitize_text_field', (array) $ids));
+
+        if (empty($ids)) {
+            return ['success' => false, 'error' => 'Nothing to update'];
+        }
+
+        $results = WP_Care_Updates::update_many($type, $ids);
+        $failed = array_filter($results, function($result) {
+            return $result['status'] !== 'updated';
+        });
+
+        $response = [
+            'success' => empty($failed),
+            'results' => $results,
+        ];
+
+        if (!empty($failed)) {
+            $response['error'] = sprintf('%d of %d updates did not complete', count($failed), count($results));
+        }
+
+        return $response;
+    }
+
     /**
      * Set the Central API base URL
      *
@@ -0,0 +1,366 @@
+<?php
+/**
+ * WP Care API Keys
+ *
+ * Named API keys for the command endpoint, each limited to a set of
+ * commands, with its own expiry and last-used tracking. They sit alongside
+ * the primary key from WP_Care_Security, which keeps full access for the
+ * WP Care platform.
+ *
+ * A request picks a named key with the X-Key-Id header and signs as usual
+ * with that key's secret. Named keys must also send an X-Nonce header,
+ * which is part of the signature and rejected if seen twice.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Class WP_Care_API_Keys
+ */
+class WP_Care_API_Keys {
+
+    /**
+     * Option holding the named keys.
+     */
+    const OPTION_KEY = 'wp_care_api_keys';
+
+    /**
+     * Scope that grants every command.
+     */
+    const SCOPE_ALL = '*';
+
+    /**
+     * Scope for the GET /health endpoint, which is not a command.
+     */
+    const SCOPE_HEALTH = 'health';
+
+    /**
+     * Get the scopes of the read-only monitoring preset.
+     *
+     * @return string[]
+     */
+    public static function get_monitoring_scopes() {
+        return array( 'ping', 'get_option', 'get_health_metrics', 'list_updates', 'get_update_history', 'get_integrity_results', self::SCOPE_HEALTH );
+    }
+
+    /**
+     * Get every scope a key can be given: the registered commands and
+     * the health endpoint.
+     *
+     * @return string[]
+     */
+    public static function get_available_scopes() {
+        $scopes   = WP_Care_API_Endpoints::instance()->get_registered_commands();
+        $scopes[] = self::SCOPE_HEALTH;
+        sort( $scopes );
+
+        return $scopes;
+    }
+
+    /**
+     * Get all named keys.
+     *
+     * @return array Key records keyed by ID. Secrets stay encrypted.
+     */
+    public static function get_keys() {
+        return (array) get_option( self::OPTION_KEY, array() );
+    }
+
+    /**
+     * Get one named key.
+     *
+     * @param string $key_id Key ID.
+     * @return array|null
+     */
+    public static function get_key( $key_id ) {
+        $keys = self::get_keys();
+
+        return isset( $keys[ $key_id ] ) ? $keys[ $key_id ] : null;
+    }
+
+    /**
+     * Create a named key.
+     *
+     * @param string   $name       Label shown in the admin.
+     * @param string[] $scopes     Commands the key may run, or array( '*' ) for all.
+     * @param int|null $expires_at Unix timestamp the key stops working at, or null for never.
+     * @return array|WP_Error array( 'key' => record, 'secret' => raw secret ). The secret is only available now.
+     */
+    public static function create( $name, $scopes, $expires_at = null ) {
+        $name   = sanitize_text_field( $name );
+        $scopes = self::sanitize_scopes( $scopes );
+
+        if ( $name === '' ) {
+            return new WP_Error( 'missing_name', __( 'Give the key a name.', 'wp-care-connector' ) );
+        }
+
+        if ( empty( $scopes ) ) {
+            return new WP_Error( 'missing_scopes', __( 'Choose at least one command the key may run.', 'wp-care-connector' ) );
+        }
+
+        if ( $expires_at !== null && $expires_at <= time() ) {
+            return new WP_Error( 'invalid_expiry', __( 'The expiry date must be in the future.', 'wp-care-connector' ) );
+        }
+
+        $id     = 'ak_' . strtolower( wp_generate_password( 12, false, false ) );
+        $secret = wp_generate_password( 40, false, false );
+
+        $keys        = self::get_keys();
+        $keys[ $id ] = array(
+            'id'           => $id,
+            'name'         => $name,
+            'secret'       => WP_Care_Security::encrypt( $secret ),
+            'hint'         => substr( $secret, -4 ),
+            'scopes'       => $scopes,
+            'created_at'   => time(),
+            'rotated_at'   => null,
+            'expires_at'   => $expires_at !== null ? (int) $expires_at : null,
+            'last_used_at' => null,
+            'last_used_ip' => null,
+            'last_command' => null,
+        );
+
+        update_option( self::OPTION_KEY, $keys, false );
+
+        WP_Care_Activity_Log::log( 'api_key_created', array(
+            'key'    => $id,
+            'name'   => $name,
+            'scopes' => implode( ', ', $scopes ),
+        ) );
+
+        return array(
+            'key'    => $keys[ $id ],
+            'secret' => $secret,
+        );
+    }
+
+    /**
+     * Replace a key's secret, keeping its ID, name and scopes.
+     *
+     * @param string $key_id Key ID.
+     * @return string|WP_Error The new raw secret.
+     */
+    public static function rotate( $key_id ) {
+        $keys = self::get_keys();
+
+        if ( ! isset( $keys[ $key_id ] ) ) {
+            return new WP_Error( 'not_found', __( 'API key not found.', 'wp-care-connector' ) );
+        }
+
+        $secret = wp_generate_password( 40, false, false );
+
+        $keys[ $key_id ]['secret']     = WP_Care_Security::encrypt( $secret );
+        $keys[ $key_id ]['hint']       = substr( $secret, -4 );
+        $keys[ $key_id ]['rotated_at'] = time();
+
+        update_option( self::OPTION_KEY, $keys, false );
+
+        WP_Care_Activity_Log::log( 'api_key_rotated', array(
+            'key'  => $key_id,
+            'name' => $keys[ $key_id ]['name'],
+        ) );
+
+        return $secret;
+    }
+
+    /**
+     * Revoke (delete) a key.
+     *
+     * @param string $key_id Key ID.
+     * @return bool
+     */
+    public static function revoke( $key_id ) {
+        $keys = self::get_keys();
+
+        if ( ! isset( $keys[ $key_id ] ) ) {
+            return false;
+        }
+
+        $name = $keys[ $key_id ]['name'];
+        unset( $keys[ $key_id ] );
+        update_option( self::OPTION_KEY, $keys, false );
+
+        WP_Care_Activity_Log::log( 'api_key_revoked', array(
+            'key'  => $key_id,
+            'name' => $name,
+        ) );
+
+        return true;
+    }
+
+    /**
+     * Check whether a key may use a scope.
+     *
+     * @param array  $key   Key record.
+     * @param string $scope Command name or 'health'.
+     * @return bool
+     */
+    public static function allows( $key, $scope ) {
+        return in_array( self::SCOPE_ALL, $key['scopes'], true ) || in_array( $scope, $key['scopes'], true );
+    }
+
+    /**
+     * Check whether a key has passed its expiry.
+     *
+     * @param array $key Key record.
+     * @return bool
+     */
+    public static function is_expired( $key ) {
+        return ! empty( $key['expires_at'] ) && $key['expires_at'] <= time();
+    }
+
+    /**
+     * REST permission callback for the command endpoint.
+     *
+     * Without X-Key-Id the request is checked against the primary key and
+     * must carry a fresh nonce, unless that was turned off for older
+     * tools. With it, the named key must exist and be current, the request
+     * must carry a fresh nonce, and the command must be in the key's
+     * scopes.
+     *
+     * @param WP_REST_Request $request Request.
+     * @return true|WP_Error
+     */
+    public static function verify_command_request( $request ) {
+        $key_id = $request->get_header( 'X-Key-Id' );
+
+        if ( empty( $key_id ) ) {
+            return WP_Care_Security::verify_hmac( $request, null, (bool) get_option( 'wp_care_require_nonce', true ) );
+        }
+
+        $key = self::get_current_key( $key_id );
+        if ( is_wp_error( $key ) ) {
+            return $key;
+        }
+
+        $secret = WP_Care_Security::decrypt( $key['secret'] );
+        if ( $secret === false ) {
+            return new WP_Error( 'invalid_key', 'API key could not be read', array( 'status' => 500 ) );
+        }
+
+        $verified = WP_Care_Security::verify_hmac( $request, $secret, true );
+        if ( is_wp_error( $verified ) ) {
+            return $verified;
+        }
+
+        $body    = $request->get_json_params();
+        $command = isset( $body['command'] ) ? sanitize_text_field( $body['command'] ) : '';
+
+        if ( $command !== '' && ! self::allows( $key, $command ) ) {
+            return new WP_Error(
+                'command_not_allowed',
+                sprintf( 'This API key may not run "%s"', $command ),
+                array( 'status' => 403 )
+            );
+        }
+
+        self::touch( $key['id'], $command );
+
+        return true;
+    }
+
+    /**
+     * REST permission callback for the health endpoint.
+     *
+     * Without X-Key-Id, X-Api-Key is compared with the primary key as
+     * before. With it, X-Api-Key must be that named key's secret and the
+     * key needs the 'health' scope.
+     *
+     * @param WP_REST_Request $request Request.
+     * @return bool|WP_Error
+     */
+    public static function verify_health_request( $request ) {
+        $key_id = $request->get_header( 'X-Key-Id' );
+
+        if ( empty( $key_id ) ) {
+            return WP_Care_Security::verify_api_key( $request );
+        }
+
+        $key = self::get_current_key( $key_id );
+        if ( is_wp_error( $key ) ) {
+            return $key;
+        }
+
+        $provided = (string) $request->get_header( 'X-Api-Key' );
+        $secret   = WP_Care_Security::decrypt( $key['secret'] );
+
+        if ( $provided === '' || $secret === false || ! hash_equals( $secret, $provided ) ) {
+            return false;
+        }
+
+        if ( ! self::allows( $key, self::SCOPE_HEALTH ) ) {
+            return new WP_Error( 'command_not_allowed', 'This API key may not read site health', array( 'status' => 403 ) );
+        }
+
+        self::touch( $key['id'], self::SCOPE_HEALTH );
+
+        return true;
+    }
+
+    /**
+     * Look up a named key from a request header and check it is usable.
+     *
+     * @param string $key_id Key ID from X-Key-Id.
+     * @return array|WP_Error Key record.
+     */
+    private static function get_current_key( $key_id ) {
+        $key = self::get_key( sanitize_key( $key_id ) );
+
+        if ( ! $key ) {
+            return new WP_Error( 'invalid_key', 'Unknown API key', array( 'status' => 401 ) );
+        }
+
+        if ( self::is_expired( $key ) ) {
+            return new WP_Error( 'key_expired', 'This API key has expired', array( 'status' => 401 ) );
+        }
+
+        return $key;
+    }
+
+    /**
+     * Record that a key was used, at most once a minute per key.
+     *
+     * @param string $key_id  Key ID.
+     * @param string $command Command (or scope) the key was used for.
+     * @return void
+     */
+    private static function touch( $key_id, $command ) {
+        $keys = self::get_keys();
+
+        if ( ! isset( $keys[ $key_id ] ) ) {
+            return;
+        }
+
+        if ( $keys[ $key_id ]['last_used_at'] >= time() - 60 && $keys[ $key_id ]['last_command'] === $command ) {
+            return;
+        }
+
+        $keys[ $key_id ]['last_used_at'] = time();
+        $keys[ $key_id ]['last_used_ip'] = isset( $_SERVER['REMOTE_ADDR'] ) ? sanitize_text_field( wp_unslash( $_SERVER['REMOTE_ADDR'] ) ) : null;
+        $keys[ $key_id ]['last_command'] = $command;
+
+        update_option( self::OPTION_KEY, $keys, false );
+    }
+
+    /**
+     * Clean a scope list down to known scopes. '*' on its own stands for
+     * every command.
+     *
+     * @param string[] $scopes Scopes.
+     * @return string[]
+     */
+    private static function sanitize_scopes( $scopes ) {
+        $scopes = array_map( 'strval', (array) $scopes );
+
+        if ( in_array( self::SCOPE_ALL, $scopes, true ) ) {
+            return array( self::SCOPE_ALL );
+        }
+
+        return array_values( array_intersect( self::get_available_scopes(), array_map( 'sanitize_key', $scopes ) ) );
+    }
+}
@@ -2,8 +2,9 @@
 /**
  * WP Care Backup - Checkpoint backup system
  *
- * Creates database checkpoints before destructive operations
- * and restores them if needed.
+ * Creates database checkpoints, optionally with a snapshot of chosen
+ * wp-content paths, before destructive operations and rolls them back
+ * if needed.
  *
  * @package WP_Care_Connector
  * @since 1.0.0
@@ -34,6 +35,20 @@ class WP_Care_Backup {
      */
     private $max_checkpoints = 5;
 
+    /**
+     * Seconds to spend per chunk before handing back to the caller.
+     *
+     * @var int
+     */
+    private $chunk_timeout = 10;
+
+    /**
+     * Folders inside wp-content that are never snapshotted.
+     *
+     * @var array
+     */
+    private $excluded_dirs = array( 'wp-care-backups', 'wp-care-migrations' );
+
     /**
      * Constructor.
      */
@@ -78,92 +93,343 @@ class WP_Care_Backup {
     /**
      * Create a checkpoint backup before a destructive operation.
      *
-     * @param string $operation_type Type of operation (e.g., 'plugin_update', 'settings_change').
+     * Runs every phase in this request. Use init_checkpoint() and
+     * process_chunk() to spread a large snapshot over several requests.
+     *
+     * @param string $operation_type   Type of operation (e.g., 'plugin_update', 'settings_change').
+     * @param array  $paths            Paths inside wp-content to snapshot.
+     * @param bool   $include_database Whether to dump the database.
      * @return string|false Checkpoint ID on success, false on failure.
      */
-    public function create_checkpoint( $operation_type ) {
-        // Ensure backup directory exists
-        if ( ! self::ensure_backup_dir() ) {
-            error_log( 'WP Care Backup: Backup directory not writable, skipping checkpoint' );
+    public function create_checkpoint( $operation_type, $paths = array(), $include_database = true ) {
+        $state = $this->init_checkpoint( $operation_type, $paths, $include_database );
+        if ( is_wp_error( $state ) ) {
+            error_log( 'WP Care Backup: ' . $state->get_error_message() . ', skipping checkpoint' );
             return false;
         }
 
+        $this->chunk_timeout = 300;
+
+        while ( ! $state['completed'] && ! $state['error'] ) {
+            $state = $this->process_chunk( $state['id'] );
+        }
+
+        if ( $state['error'] ) {
+            error_log( 'WP Care Backup: ' . $state['error'] );
+            return false;
+        }
+
+        return $state['id'];
+    }
+
+    /**
+     * Start a checkpoint that is built over several process_chunk() calls.
+     *
+     * @param string $operation_type   Type of operation the checkpoint guards.
+     * @param array  $paths            Paths inside wp-content to snapshot.
+     * @param bool   $include_database Whether to dump the database.
+     * @return array|WP_Error Checkpoint state.
+     */
+    public function init_checkpoint( $operation_type, $paths = array(), $include_database = true ) {
+        if ( ! self::ensure_backup_dir() ) {
+            return new WP_Error( 'backup_dir_unwritable', 'Backup directory not writable' );
+        }
+
+        $paths = $this->sanitize_paths( $paths );
+
+        if ( ! $include_database && empty( $paths ) ) {
+            return new WP_Error( 'nothing_selected', 'Select the database or at least one folder to include in the checkpoint' );
+        }
+
+        if ( ! empty( $paths ) && ! class_exists( 'ZipArchive' ) ) {
+            return new WP_Error( 'zip_unavailable', 'File checkpoints need the PHP zip extension' );
+        }
+
         // Generate unique checkpoint ID
         $checkpoint_id = gmdate( 'Y-m-d_His' ) . '_' . wp_generate_password( 6, false, false );
-        $checkpoint_dir = $this->backup_dir . '/' . $checkpoint_id;
 
-        // Create checkpoint directory
-        if ( ! wp_mkdir_p( $checkpoint_dir ) ) {
-            error_log( 'WP Care Backup: Failed to create checkpoint directory' );
-            return false;
+        if ( ! wp_mkdir_p( $this->backup_dir . '/' . $checkpoint_id ) ) {
+            return new WP_Error( 'checkpoint_dir_failed', 'Failed to create checkpoint directory' );
         }
 
-        // Export database
-        $db_file = $checkpoint_dir . '/database.sql';
-        $export_success = false;
+        $state = array(
+            'id'               => $checkpoint_id,
+            'type'             => 'create',
+            'phase'            => $include_database ? 'database' : 'enumerate',
+            'progress'         => 0,
+            'completed'        => false,
+            'error'            => null,
+            'operation_type'   => (string) $operation_type,
+            'include_database' => (bool) $include_database,
+            'paths'            => $paths,
+            'tables'           => array(),
+            'total_files'      => 0,
+            'total_size'       => 0,
+            'archived_files'   => 0,
+            'list_offset'      => 0,
+            'started_at'       => gmdate( 'c' ),
+            'updated_at'       => gmdate( 'c' ),
+        );
 
-        if ( $this->check_wp_cli() ) {
-            // Use WP-CLI for database export
-            $abspath = ABSPATH;
-            $command = sprintf(
-                'wp db export %s --path=%s 2>&1',
-                escapeshellarg( $db_file ),
-                escapeshellarg( $abspath )
-            );
-            $output = shell_exec( $command );
-            $export_success = file_exists( $db_file ) && filesize( $db_file ) > 0;
+        if ( ! $this->save_state( $checkpoint_id, $state ) ) {
+            $this->delete_checkpoint( $checkpoint_id );
+            return new WP_Error( 'state_failed', 'Failed to save checkpoint state' );
+        }
 
-            if ( ! $export_success ) {
-                error_log( 'WP Care Backup: WP-CLI export failed, trying PHP fallback' );
-            }
+        return $state;
+    }
+
+    /**
+     * Process the next chunk of a checkpoint or rollback.
+     *
+     * @param string $checkpoint_id Checkpoint ID.
+     * @return array Updated state.
+     */
+    public function process_chunk( $checkpoint_id ) {
+        $checkpoint_id = sanitize_file_name( $checkpoint_id );
+        $state         = $this->load_state( $checkpoint_id );
+
+        if ( ! $state ) {
+            return array( 'error' => 'Checkpoint state not found', 'completed' => false );
         }
 
-        // PHP fallback if WP-CLI not available or failed
-        if ( ! $export_success ) {
-            $export_success = $this->php_db_export( $db_file );
+        if ( $state['completed'] || $state['error'] ) {
+            return $state;
         }
 
-        if ( ! $export_success ) {
-            error_log( 'WP Care Backup: All database export methods failed' );
-            // Clean up checkpoint directory
+        $start_time = time();
+
+        if ( $state['type'] === 'rollback' ) {
+            $this->process_rollback_phase( $state, $start_time );
+        } else {
+            $this->process_create_phase( $state, $start_time );
+        }
+
+        $state['updated_at'] = gmdate( 'c' );
+
+        if ( $state['type'] === 'create' && $state['error'] ) {
+            // A half-written checkpoint is useless
             $this->delete_checkpoint( $checkpoint_id );
+        } elseif ( $state['completed'] || $state['error'] ) {
+            @unlink( $this->backup_dir . '/' . $checkpoint_id . '/state.json' );
+        } else {
+            $this->save_state( $checkpoint_id, $state );
+        }
+
+        return $state;
+    }
+
+    /**
+     * Run the next phase of a checkpoint being created.
+     *
+     * @param array $state      Checkpoint state (by reference).
+     * @param int   $start_time Chunk start timestamp.
+     */
+    private function process_create_phase( &$state, $start_time ) {
+        $checkpoint_dir = $this->backup_dir . '/' . $state['id'];
+
+        switch ( $state['phase'] ) {
+            case 'database':
+                if ( ! $this->export_database( $checkpoint_dir . '/database.sql' ) ) {
+                    $state['error'] = 'All database export methods failed';
+                    return;
+                }
+                $state['tables']   = $this->get_table_checksums();
+                $state['phase']    = 'enumerate';
+                $state['progress'] = 30;
+                break;
+
+            case 'enumerate':
+                $handle = fopen( $checkpoint_dir . '/filelist.txt', 'w' );
+                if ( ! $handle ) {
+                    $state['error'] = 'Failed to write file list';
+                    return;
+                }
+
+                foreach ( $state['paths'] as $path ) {
+                    $this->scan_path( $path, function( $relative, $size, $mtime ) use ( $handle, &$state ) {
+                        fwrite( $handle, $relative . "\t" . $size . "\t" . $mtime . "\n" );
+                        $state['total_files']++;
+                        $state['total_size'] += $size;
+                    } );
+                }
+                fclose( $handle );
+
+                $state['phase']    = empty( $state['paths'] ) ? 'finalize' : 'files';
+                $state['progress'] = 35;
+                break;
+
+            case 'files':
+                if ( $this->archive_files( $state, $start_time ) ) {
+                    $state['phase']    = 'finalize';
+                    $state['progress'] = 95;
+                } elseif ( $state['total_files'] > 0 ) {
+                    $state['progress'] = 35 + (int) ( 60 * $state['archived_files'] / $state['total_files'] );
+                }
+                break;
+
+            case 'finalize':
+                $this->finalize_checkpoint( $state );
+                break;
+        }
+    }
+
+    /**
+     * Add the next batch of listed files to files.zip.
+     *
+     * Each archived file is also written to the files.txt manifest as
+     * "sha256\tsize\tmtime\tpath" so diffs don't have to open the archive.
+     *
+     * @param array $state      Checkpoint state (by reference).
+     * @param int   $start_time Chunk start timestamp.
+     * @return bool True when every listed file is archived.
+     */
+    private function archive_files( &$state, $start_time ) {
+        $checkpoint_dir = $this->backup_dir . '/' . $state['id'];
+
+        $list = fopen( $checkpoint_dir . '/filelist.txt', 'r' );
+        if ( ! $list ) {
+            $state['error'] = 'File list missing';
+            return false;
+        }
+        fseek( $list, $state['list_offset'] );
+
+        $zip = new ZipArchive();
+        if ( $zip->open( $checkpoint_dir . '/files.zip', ZipArchive::CREATE ) !== true ) {
+            fclose( $list );
+            $state['error'] = 'Failed to open checkpoint archive';
+            return false;
+        }
+
+        $manifest = fopen( $checkpoint_dir . '/files.txt', 'a' );
+        if ( ! $manifest ) {
+            fclose( $list );
+            $zip->close();
+            $state['error'] = 'Failed to write checkpoint manifest';
+            return false;
+        }
+
+        $done = true;
+
+        while ( ( $line = fgets( $list ) ) !== false ) {
+            $parts = explode( "\t", rtrim( $line, "\n" ) );
+            if ( count( $parts ) === 3 ) {
+                $file = WP_CONTENT_DIR . '/' . $parts[0];
+                $hash = '-';
+
+                if ( is_readable( $file ) && $zip->addFile( $file, $parts[0] ) ) {
+                    $hash = hash_file( 'sha256', $file );
+                }
+
+                // Unreadable files are still listed so a rollback leaves them alone
+                fwrite( $manifest, $hash . "\t" . $parts[1] . "\t" . $parts[2] . "\t" . $parts[0] . "\n" );
+            }
+
+            $state['archived_files']++;
+            $state['list_offset'] = ftell( $list );
+
+            if ( ( time() - $start_time ) >= $this->chunk_timeout ) {
+                $done = fgets( $list ) === false;
+                break;
+            }
+        }
+
+        fclose( $manifest );
+        fclose( $list );
+
+        if ( ! $zip->close() ) {
+            $state['error'] = 'Failed to write checkpoint archive';
             return false;
         }
 
+        return $done;
+    }
+
+    /**
+     * Write checkpoint.json and drop the working files.
+     *
+     * @param array $state Checkpoint state (by reference).
+     */
+    private function finalize_checkpoint( &$state ) {
+        $checkpoint_dir = $this->backup_dir . '/' . $state['id'];
+        $db_file        = $checkpoint_dir . '/database.sql';
+        $files_zip      = $checkpoint_dir . '/files.zip';
+
+        @unlink( $checkpoint_dir . '/filelist.txt' );
+
         // Save checkpoint metadata
         $metadata = array(
-            'id'             => $checkpoint_id,
-            'created_at'     => gmdate( 'c' ),
-            'operation_type' => $operation_type,
-            'wp_version'     => get_bloginfo( 'version' ),
-            'site_url'       => get_site_url(),
-            'db_size'        => filesize( $db_file ),
+            'id'                 => $state['id'],
+            'created_at'         => gmdate( 'c' ),
+            'operation_type'     => $state['operation_type'],
+            'wp_version'         => get_bloginfo( 'version' ),
+            'site_url'           => get_site_url(),
+            'has_database'       => $state['include_database'],
+            'db_size'            => file_exists( $db_file ) ? filesize( $db_file ) : 0,
+            'tables'             => $state['tables'],
+            'paths'              => $state['paths'],
+            'files_count'        => $state['archived_files'],
+            'files_size'         => $state['total_size'],
+            'files_archive_size' => file_exists( $files_zip ) ? filesize( $files_zip ) : 0,
         );
 
-        $metadata_file = $checkpoint_dir . '/checkpoint.json';
-        if ( ! file_put_contents( $metadata_file, wp_json_encode( $metadata, JSON_PRETTY_PRINT ) ) ) {
-            error_log( 'WP Care Backup: Failed to save checkpoint metadata' );
-            $this->delete_checkpoint( $checkpoint_id );
-            return false;
+        if ( ! file_put_contents( $checkpoint_dir . '/checkpoint.json', wp_json_encode( $metadata, JSON_PRETTY_PRINT ) ) ) {
+            $state['error'] = 'Failed to save checkpoint metadata';
+            return;
         }
 
         // Cleanup old checkpoints
         $this->cleanup_old_checkpoints();
 
-        return $checkpoint_id;
+        $state['phase']     = 'complete';
+        $state['progress']  = 100;
+        $state['completed'] = true;
     }
 
     /**
      * Restore from a checkpoint.
      *
+     * Runs every rollback phase in this request. Use init_rollback() and
+     * process_chunk() to spread it over several requests.
+     *
      * @param string $checkpoint_id Checkpoint ID to restore.
      * @return bool|WP_Error True on success, WP_Error on failure.
      */
     public function restore_checkpoint( $checkpoint_id ) {
+        $state = $this->init_rollback( $checkpoint_id );
+        if ( is_wp_error( $state ) ) {
+            return $state;
+        }
+
+        $this->chunk_timeout = 300;
+
+        while ( ! $state['completed'] && ! $state['error'] ) {
+            $state = $this->process_chunk( $state['id'] );
+        }
+
+        if ( $state['error'] ) {
+            return new WP_Error( 'restore_failed', $state['error'] );
+        }
+
+        return true;
+    }
+
+    /**
+     * Start rolling the site back to a checkpoint.
+     *
+     * Files go back first and the database last, so the request that
+     * replaces the database (and with it the current login session) is
+     * also the one that finishes the rollback.
+     *
+     * @param string $checkpoint_id Checkpoint ID to restore.
+     * @return array|WP_Error Rollback state.
+     */
+    public function init_rollback( $checkpoint_id ) {
+        $checkpoint_id  = sanitize_file_name( $checkpoint_id );
         $checkpoint_dir = $this->backup_dir . '/' . $checkpoint_id;
 
         // Verify checkpoint exists
-        if ( ! is_dir( $checkpoint_dir ) ) {
+        if ( $checkpoint_id === '' || ! is_dir( $checkpoint_dir ) ) {
             return new WP_Error(
                 'checkpoint_not_found',
                 sprintf( 'Checkpoint %s not found', $checkpoint_id )
@@ -186,6 +452,7 @@ class WP_Care_Backup {
                 'Could not parse checkpoint metadata'
             );
         }
+        $metadata = $this->normalize_metadata( $metadata );
 
         // Verify site_url matches to prevent cross-site restore
         if ( isset( $metadata['site_url'] ) && $metadata['site_url'] !== get_site_url() ) {
@@ -200,46 +467,249 @@ class WP_Care_Backup {
         }
 
         // Verify database file exists
-        $db_file = $checkpoint_dir . '/database.sql';
-        if ( ! file_exists( $db_file ) ) {
+        if ( $metadata['has_database'] && ! file_exists( $checkpoint_dir . '/database.sql' ) ) {
             return new WP_Error(
                 'database_missing',
                 'Database backup file not found'
             );
         }
 
-        // Import database
-        $import_success = false;
+        if ( ! empty( $metadata['paths'] ) ) {
+            if ( ! file_exists( $checkpoint_dir . '/files.zip' ) ) {
+                return new WP_Error( 'files_missing', 'Checkpoint file archive not found' );
+            }
+            if ( ! class_exists( 'ZipArchive' ) ) {
+                return new WP_Error( 'zip_unavailable', 'File checkpoints need the PHP zip extension' );
+            }
+        }
 
-        if ( $this->check_wp_cli() ) {
-            $abspath = ABSPATH;
-            $command = sprintf(
-                'wp db import %s --path=%s 2>&1',
-                escapeshellarg( $db_file ),
-                escapeshellarg( $abspath )
-            );
-            $output = shell_exec( $command );
-            // Check if import succeeded by looking for success message
-            $import_success = strpos( $output, 'Success' ) !== false || strpos( $output, 'Query OK' ) !== false;
+        $state = array(
+            'id'             => $checkpoint_id,
+            'type'           => 'rollback',
+            'phase'          => empty( $metadata['paths'] ) ? 'database' : 'files',
+            'progress'       => 0,
+            'completed'      => false,
+            'error'          => null,
+            'has_database'   => $metadata['has_database'],
+            'paths'          => $this->sanitize_paths( $metadata['paths'] ),
+            'zip_index'      => 0,
+            'total_entries'  => 0,
+            'restored_files' => 0,
+            'removed_files'  => 0,
+            'started_at'     => gmdate( 'c' ),
+            'updated_at'     => gmdate( 'c' ),
+        );
 
-            if ( ! $import_success ) {
-                error_log( 'WP Care Backup: WP-CLI import output: ' . $output );
+        if ( ! $this->save_state( $checkpoint_id, $state ) ) {
+            return new WP_Error( 'state_failed', 'Failed to save rollback state' );
+        }
+
+        return $state;
+    }
+
+    /**
+     * Run the next phase of a rollback.
+     *
+     * @param array $state      Rollback state (by reference).
+     * @param int   $start_time Chunk start timestamp.
+     */
+    private function process_rollback_phase( &$state, $start_time ) {
+        $checkpoint_dir = $this->backup_dir . '/' . $state['id'];
+
+        switch ( $state['phase'] ) {
+            case 'files':
+                if ( $this->extract_files( $state, $start_time ) ) {
+                    $state['phase']    = 'cleanup';
+                    $state['progress'] = 60;
+                } elseif ( $state['total_entries'] > 0 ) {
+                    $state['progress'] = (int) ( 60 * $state['zip_index'] / $state['total_entries'] );
+                }
+                break;
+
+            case 'cleanup':
+                // Remove what was added to the snapshot paths since the checkpoint
+                $manifest = $this->load_manifest( $state['id'] );
+                foreach ( $state['paths'] as $path ) {
+                    $this->scan_path( $path, function( $relative ) use ( $manifest, &$state ) {
+                        if ( ! isset( $manifest[ $relative ] ) && @unlink( WP_CONTENT_DIR . '/' . $relative ) ) {
+                            $state['removed_files']++;
+                        }
+                    } );
+                }
+                $state['phase']    = 'database';
+                $state['progress'] = 70;
+                break;
+
+            case 'database':
+                if ( $state['has_database'] && ! $this->import_database( $checkpoint_dir . '/database.sql' ) ) {
+                    $state['error'] = 'Database import failed';
+                    return;
+                }
+                $state['phase']     = 'complete';
+                $state['progress']  = 100;
+                $state['completed'] = true;
+                break;
+        }
+    }
+
+    /**
+     * Extract the next batch of files.zip entries back into wp-content.
+     *
+     * @param array $state      Rollback state (by reference).
+     * @param int   $start_time Chunk start timestamp.
+     * @return bool True when every entry is extracted.
+     */
+    private function extract_files( &$state, $start_time ) {
+        $zip = new ZipArchive();
+        if ( $zip->open( $this->backup_dir . '/' . $state['id'] . '/files.zip' ) !== true ) {
+            $state['error'] = 'Failed to open checkpoint archive';
+            return false;
+        }
+
+        $state['total_entries'] = $zip->numFiles;
+
+        while ( $state['zip_index'] < $zip->numFiles ) {
+            $name = $zip->getNameIndex( $state['zip_index'] );
+            $state['zip_index']++;
+
+            if ( $name !== false && $this->is_snapshot_path( $name, $state['paths'] ) ) {
+                if ( $zip->extractTo( WP_CONTENT_DIR, $name ) ) {
+                    $state['restored_files']++;
+                } else {
+                    error_log( 'WP Care Backup: Could not restore ' . $name );
+                }
+            }
+
+            if ( ( time() - $start_time ) >= $this->chunk_timeout ) {
+                break;
             }
         }
 
-        // PHP fallback
-        if ( ! $import_success ) {
-            $import_success = $this->php_db_import( $db_file );
+        $done = $state['zip_index'] >= $zip->numFiles;
+        $zip->close();
+
+        return $done;
+    }
+
+    /**
+     * Compare the site as it is now with a checkpoint.
+     *
+     * Files are compared by size and modification time first and only
+     * hashed when those differ. Tables are compared by CHECKSUM TABLE.
+     *
+     * @param string $checkpoint_id Checkpoint ID.
+     * @param int    $limit         Maximum entries returned per file list.
+     * @return array|WP_Error
+     */
+    public function get_checkpoint_diff( $checkpoint_id, $limit = 200 ) {
+        $metadata = $this->get_checkpoint( $checkpoint_id );
+        if ( ! $metadata ) {
+            return new WP_Error( 'checkpoint_not_found', sprintf( 'Checkpoint %s not found', $checkpoint_id ) );
         }
 
-        if ( ! $import_success ) {
-            return new WP_Error(
-                'restore_failed',
-                'Database import failed'
-            );
+        $files = array(
+            'added'    => array(),
+            'modified' => array(),
+            'deleted'  => array(),
+        );
+        $counts = array(
+            'added'    => 0,
+            'modified' => 0,
+            'deleted'  => 0,
+        );
+
+        $manifest = $this->load_manifest( $metadata['id'] );
+        foreach ( $metadata['paths'] as $path ) {
+            $this->scan_path( $path, function( $relative, $size, $mtime ) use ( &$manifest, &$files, &$counts, $limit ) {
+                if ( ! isset( $manifest[ $relative ] ) ) {
+                    $change = 'added';
+                } else {
+                    $entry = $manifest[ $relative ];
+                    unset( $manifest[ $relative ] );
+
+                    if ( $entry['size'] === $size && $entry['mtime'] === $mtime ) {
+                        return;
+                    }
+                    if ( $entry['size'] === $size && hash_file( 'sha256', WP_CONTENT_DIR . '/' . $relative ) === $entry['hash'] ) {
+                        return;
+                    }
+                    $change = 'modified';
+                }
+
+                $counts[ $change ]++;
+                if ( count( $files[ $change ] ) < $limit ) {
+                    $files[ $change ][] = $relative;
+                }
+            } );
         }
 
-        return true;
+        // Whatever the scan didn't reach is gone
+        $counts['deleted'] = count( $manifest );
+        $files['deleted']  = array_slice( array_keys( $manifest ), 0, $limit );
+
+        $tables = array(
+            'changed' => array(),
+            'added'   => array(),
+            'removed' => array(),
+        );
+
+        if ( $metadata['has_database'] && ! empty( $metadata['tables'] ) ) {
+            $current = $this->get_table_checksums();
+            foreach ( $current as $table => $checksum ) {
+                if ( ! array_key_exists( $table, $metadata['tables'] ) ) {
+                    $tables['added'][] = $table;
+                } elseif ( (string) $metadata['tables'][ $table ] !== (string) $checksum ) {
+                    $tables['changed'][] = $table;
+                }
+            }
+            $tables['removed'] = array_values( array_diff( array_keys( $metadata['tables'] ), array_keys( $current ) ) );
+        }
+
+        return array(
+            'checkpoint_id'   => $metadata['id'],
+            'files'           => $files,
+            'file_counts'     => $counts,
+            'tables'          => $tables,
+            // Checkpoints from before table checksums were recorded can't be compared
+            'tables_compared' => $metadata['has_database'] && ! empty( $metadata['tables'] ),
+        );
+    }
+
+    /**
+     * Get one checkpoint's metadata.
+     *
+     * @param string $checkpoint_id Checkpoint ID.
+     * @return array|null
+     */
+    public function get_checkpoint( $checkpoint_id ) {
+        $checkpoint_id = sanitize_file_name( $checkpoint_id );
+        $metadata_file = $this->backup_dir . '/' . $checkpoint_id . '/checkpoint.json';
+
+        if ( $checkpoint_id === '' || ! file_exists( $metadata_file ) ) {
+            return null;
+        }
+
+        $metadata = json_decode( file_get_contents( $metadata_file ), true );
+
+        return $metadata ? $this->normalize_metadata( $metadata ) : null;
+    }
+
+    /**
+     * Fill in fields missing from checkpoints made before file snapshots.
+     *
+     * @param array $metadata Raw checkpoint.json contents.
+     * @return array
+     */
+    private function normalize_metadata( $metadata ) {
+        return wp_parse_args( $metadata, array(
+            'has_database'       => true,
+            'db_size'            => 0,
+            'tables'             => array(),
+            'paths'              => array(),
+            'files_count'        => 0,
+            'files_size'         => 0,
+            'files_archive_size' => 0,
+        ) );
     }
 
     /**
@@ -264,7 +734,7 @@ class WP_Care_Backup {
             if ( file_exists( $metadata_file ) ) {
                 $metadata = json_decode( file_get_contents( $metadata_file ), true );
                 if ( $metadata ) {
-                    $checkpoints[] = $metadata;
+                    $checkpoints[] = $this->normalize_metadata( $metadata );
                 }
             }
         }
@@ -284,9 +754,10 @@ class WP_Care_Backup {
      * @return bool True on success, false on failure.
      */
     public function delete_checkpoint( $checkpoint_id ) {
+        $checkpoint_id  = sanitize_file_name( $checkpoint_id );
         $checkpoint_dir = $this->backup_dir . '/' . $checkpoint_id;
 
-        if ( ! is_dir( $checkpoint_dir ) ) {
+        if ( $checkpoint_id === '' || ! is_dir( $checkpoint_dir ) ) {
             return false;
         }
 
@@ -310,6 +781,251 @@ class WP_Care_Backup {
         }
     }
 
+    /**
+     * Clean up a list of wp-content paths to snapshot.
+     *
+     * Paths may point at files or folders, and need not exist yet: a
+     * folder an operation is about to create is removed again on rollback.
+     *
+     * @param array|string $paths Paths relative to wp-content, as an array or one per line.
+     * @return array Unique paths, with paths nested in another one dropped.
+     */
+    public function sanitize_paths( $paths ) {
+        if ( ! is_array( $paths ) ) {
+            $paths = preg_split( '/[\r\n,]+/', (string) $paths );
+        }
+
+        $clean = array();
+        foreach ( $paths as $path ) {
+            $path = trim( str_replace( '\\', '/', (string) $path ), "/ \t" );
+            $path = preg_replace( '#/+#', '/', $path );
+
+            if ( $path === '' || strpos( $path, '..' ) !== false || in_array( strtok( $path, '/' ), $this->excluded_dirs, true ) ) {
+                continue;
+            }
+
+            $clean[] = $path;
+        }
+
+        $clean = array_unique( $clean );
+        sort( $clean );
+
+        $result = array();
+        foreach ( $clean as $path ) {
+            if ( ! $this->is_snapshot_path( $path, $result ) ) {
+                $result[] = $path;
+            }
+        }
+
+        return $result;
+    }
+
+    /**
+     * Check whether a path lies in (or is) one of the snapshot paths.
+     *
+     * @param string $relative Path relative to wp-content.
+     * @param array  $paths    Snapshot paths.
+     * @return bool
+     */
+    private function is_snapshot_path( $relative, $paths ) {
+        if ( strpos( $relative, '..' ) !== false || strpos( $relative, '/' ) === 0 ) {
+            return false;
+        }
+
+        foreach ( $paths as $path ) {
+            if ( $relative === $path || strpos( $relative, $path . '/' ) === 0 ) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Walk a file or folder inside wp-content.
+     *
+     * Symlinks are not followed, and the plugin's own backup and migration
+     * folders are never included.
+     *
+     * @param string   $relative Path relative to wp-content.
+     * @param callable $callback Called with ( $relative, $size, $mtime ) for each file.
+     */
+    private function scan_path( $relative, $callback ) {
+        $path = WP_CONTENT_DIR . '/' . $relative;
+
+        if ( is_link( $path ) ) {
+            return;
+        }
+
+        if ( is_file( $path ) ) {
+            call_user_func( $callback, $relative, (int) filesize( $path ), (int) filemtime( $path ) );
+            return;
+        }
+
+        if ( ! is_dir( $path ) || ! is_readable( $path ) ) {
+            return;
+        }
+
+        $entries = scandir( $path );
+        foreach ( $entries as $entry ) {
+            if ( $entry === '.' || $entry === '..' || in_array( $entry, $this->excluded_dirs, true ) ) {
+                continue;
+            }
+
+            $this->scan_path( $relative . '/' . $entry, $callback );
+        }
+    }
+
+    /**
+     * Load a checkpoint's files.txt manifest.
+     *
+     * @param string $checkpoint_id Checkpoint ID.
+     * @return array Map of path => array( 'hash', 'size', 'mtime' ).
+     */
+    private function load_manifest( $checkpoint_id ) {
+        $manifest = array();
+        $handle   = @fopen( $this->backup_dir . '/' . $checkpoint_id . '/files.txt', 'r' );
+
+        if ( ! $handle ) {
+            return $manifest;
+        }
+
+        while ( ( $line = fgets( $handle ) ) !== false ) {
+            $parts = explode( "\t", rtrim( $line, "\n" ), 4 );
+            if ( count( $parts ) === 4 ) {
+                $manifest[ $parts[3] ] = array(
+                    'hash'  => $parts[0],
+                    'size'  => (int) $parts[1],
+                    'mtime' => (int) $parts[2],
+                );
+            }
+        }
+        fclose( $handle );
+
+        return $manifest;
+    }
+
+    /**
+     * Checksum every table in the database.
+     *
+     * CHECKSUM TABLE reads each table in full, so this costs about as much
+     * as the dump it accompanies.
+     *
+     * @return array Map of table name => checksum.
+     */
+    private function get_table_checksums() {
+        global $wpdb;
+
+        $checksums = array();
+        foreach ( (array) $wpdb->get_col( 'SHOW TABLES' ) as $table ) {
+            $row = $wpdb->get_row( "CHECKSUM TABLE `$table`", ARRAY_N );
+            if ( $row ) {
+                $checksums[ $table ] = (string) $row[1];
+            }
+        }
+
+        return $checksums;
+    }
+
+    /**
+     * Save checkpoint or rollback state.
+     *
+     * @param string $checkpoint_id Checkpoint ID.
+     * @param array  $state         State data.
+     * @return bool
+     */
+    private function save_state( $checkpoint_id, $state ) {
+        $dir = $this->backup_dir . '/' . $checkpoint_id;
+        if ( ! is_dir( $dir ) ) {
+            return false;
+        }
+
+        return (bool) file_put_contents( $dir . '/state.json', wp_json_encode( $state, JSON_PRETTY_PRINT ) );
+    }
+
+    /**
+     * Load checkpoint or rollback state.
+     *
+     * @param string $checkpoint_id Checkpoint ID.
+     * @return array|false
+     */
+    private function load_state( $checkpoint_id ) {
+        $file = $this->backup_dir . '/' . $checkpoint_id . '/state.json';
+        if ( $checkpoint_id === '' || ! file_exists( $file ) ) {
+            return false;
+        }
+
+        $data = json_decode( file_get_contents( $file ), true );
+
+        return is_array( $data ) ? $data : false;
+    }
+
+    /**
+     * Export the database to a SQL file, via WP-CLI when available.
+     *
+     * @param string $db_file Path to write.
+     * @return bool
+     */
+    private function export_database( $db_file ) {
+        $export_success = false;
+
+        if ( $this->check_wp_cli() ) {
+            // Use WP-CLI for database export
+            $abspath = ABSPATH;
+            $command = sprintf(
+                'wp db export %s --path=%s 2>&1',
+                escapeshellarg( $db_file ),
+                escapeshellarg( $abspath )
+            );
+            $output = shell_exec( $command );
+            $export_success = file_exists( $db_file ) && filesize( $db_file ) > 0;
+
+            if ( ! $export_success ) {
+                error_log( 'WP Care Backup: WP-CLI export failed, trying PHP fallback' );
+            }
+        }
+
+        // PHP fallback if WP-CLI not available or failed
+        if ( ! $export_success ) {
+            $export_success = $this->php_db_export( $db_file );
+        }
+
+        return $export_success;
+    }
+
+    /**
+     * Import a SQL file, via WP-CLI when available.
+     *
+     * @param string $db_file SQL file path.
+     * @return bool
+     */
+    private function import_database( $db_file ) {
+        $import_success = false;
+
+        if ( $this->check_wp_cli() ) {
+            $abspath = ABSPATH;
+            $command = sprintf(
+                'wp db import %s --path=%s 2>&1',
+                escapeshellarg( $db_file ),
+                escapeshellarg( $abspath )
+            );
+            $output = shell_exec( $command );
+            // Check if import succeeded by looking for success message
+            $import_success = strpos( $output, 'Success' ) !== false || strpos( $output, 'Query OK' ) !== false;
+
+            if ( ! $import_success ) {
+                error_log( 'WP Care Backup: WP-CLI import output: ' . $output );
+            }
+        }
+
+        // PHP fallback
+        if ( ! $import_success ) {
+            $import_success = $this->php_db_import( $db_file );
+        }
+
+        return $import_success;
+    }
+
     /**
      * Check if WP-CLI is available.
      *
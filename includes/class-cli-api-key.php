@@ -0,0 +1,142 @@
+<?php
+/**
+ * WP Care WP-CLI: API key commands
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Show and rotate the primary API key and named API keys.
+ *
+ * ## EXAMPLES
+ *
+ *     # Print the primary key for a deployment secret store
+ *     $ wp care api-key show --porcelain
+ *
+ *     # Give a named key a new secret
+ *     $ wp care api-key rotate ak_abc123def456 --yes
+ */
+class WP_Care_CLI_API_Key extends WP_Care_CLI {
+
+    /**
+     * Show an API key.
+     *
+     * Without a key ID this prints the primary key, which has full access.
+     * Named keys are shown without their secret, which is only printed
+     * when the key is created or rotated.
+     *
+     * ## OPTIONS
+     *
+     * [<key-id>]
+     * : A named key's ID.
+     *
+     * [--porcelain]
+     * : Only print the primary key.
+     *
+     * [--format=<format>]
+     * : Render the result in a particular format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     * ---
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Named arguments.
+     */
+    public function show( $args, $assoc_args ) {
+        if ( empty( $args[0] ) ) {
+            $api_key = WP_Care_Security::get_api_key();
+
+            if ( ! $api_key ) {
+                WP_CLI::error( 'No API key has been generated. Activate the plugin to create one.' );
+            }
+
+            if ( \WP_CLI\Utils\get_flag_value( $assoc_args, 'porcelain' ) ) {
+                WP_CLI::line( $api_key );
+                return;
+            }
+
+            $this->output_item( array(
+                'id'      => 'primary',
+                'key'     => $api_key,
+                'site_id' => (string) get_option( 'wp_care_site_id' ),
+            ), $assoc_args );
+            return;
+        }
+
+        $key = WP_Care_API_Keys::get_key( $args[0] );
+
+        if ( ! $key ) {
+            WP_CLI::error( sprintf( 'API key %s not found.', $args[0] ) );
+        }
+
+        $this->output_item( array(
+            'id'           => $key['id'],
+            'name'         => $key['name'],
+            'secret_hint'  => '...' . $key['hint'],
+            'scopes'       => implode( ', ', $key['scopes'] ),
+            'created_at'   => gmdate( 'c', $key['created_at'] ),
+            'rotated_at'   => $key['rotated_at'] ? gmdate( 'c', $key['rotated_at'] ) : '',
+            'expires_at'   => $key['expires_at'] ? gmdate( 'c', $key['expires_at'] ) : '',
+            'expired'      => WP_Care_API_Keys::is_expired( $key ) ? 'yes' : 'no',
+            'last_used_at' => $key['last_used_at'] ? gmdate( 'c', $key['last_used_at'] ) : '',
+            'last_command' => (string) $key['last_command'],
+        ), $assoc_args );
+    }
+
+    /**
+     * Replace an API key's secret and print the new one.
+     *
+     * Without a key ID this regenerates the primary key, which disconnects
+     * the WP Care platform until it is given the new key.
+     *
+     * ## OPTIONS
+     *
+     * [<key-id>]
+     * : A named key's ID.
+     *
+     * [--yes]
+     * : Answer yes to the confirmation message.
+     *
+     * [--porcelain]
+     * : Only print the new secret.
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Named arguments.
+     */
+    public function rotate( $args, $assoc_args ) {
+        if ( empty( $args[0] ) ) {
+            WP_CLI::confirm( 'Regenerate the primary API key? Tools using the old key stop working.', $assoc_args );
+
+            $secret = WP_Care_Security::regenerate_api_key();
+
+            WP_Care_Activity_Log::log( 'api_key_rotated', array(
+                'key'  => 'primary',
+                'name' => 'Primary key',
+            ) );
+        } else {
+            WP_CLI::confirm( sprintf( 'Rotate %s? Tools using the old secret stop working.', $args[0] ), $assoc_args );
+
+            $secret = WP_Care_API_Keys::rotate( $args[0] );
+
+            if ( is_wp_error( $secret ) ) {
+                WP_CLI::error( $secret->get_error_message() );
+            }
+        }
+
+        if ( \WP_CLI\Utils\get_flag_value( $assoc_args, 'porcelain' ) ) {
+            WP_CLI::line( $secret );
+            return;
+        }
+
+        WP_CLI::line( $secret );
+        WP_CLI::success( 'Rotated. Copy the new secret now: it is not shown again for named keys.' );
+    }
+}
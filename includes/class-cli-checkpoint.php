@@ -0,0 +1,202 @@
+<?php
+/**
+ * WP Care WP-CLI: checkpoint commands
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Create, restore and list checkpoints: database snapshots, optionally
+ * with files from wp-content, to roll back to.
+ *
+ * ## EXAMPLES
+ *
+ *     # Snapshot the database and the plugins folder before a deploy
+ *     $ wp care checkpoint create --paths=plugins --label=deploy
+ */
+class WP_Care_CLI_Checkpoint extends WP_Care_CLI {
+
+    /**
+     * Create a checkpoint.
+     *
+     * ## OPTIONS
+     *
+     * [--label=<label>]
+     * : What the checkpoint guards, shown in the checkpoint list.
+     * ---
+     * default: manual
+     * ---
+     *
+     * [--paths=<paths>]
+     * : Folders or files inside wp-content to snapshot too, comma-separated.
+     *
+     * [--[no-]database]
+     * : Snapshot the database. Default on.
+     *
+     * [--porcelain]
+     * : Only print the new checkpoint ID.
+     *
+     * [--format=<format>]
+     * : Render the result in a particular format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     * ---
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Named arguments.
+     */
+    public function create( $args, $assoc_args ) {
+        $backup   = new WP_Care_Backup();
+        $label    = sanitize_text_field( $assoc_args['label'] );
+        $paths    = $this->get_list_arg( $assoc_args, 'paths' );
+        $database = (bool) \WP_CLI\Utils\get_flag_value( $assoc_args, 'database', true );
+
+        if ( \WP_CLI\Utils\get_flag_value( $assoc_args, 'porcelain' ) ) {
+            $assoc_args['format'] = 'json';
+        }
+
+        $state = $backup->init_checkpoint( $label, $paths ? $paths : array(), $database );
+
+        if ( is_wp_error( $state ) ) {
+            WP_CLI::error( $state->get_error_message() );
+        }
+
+        $checkpoint_id = $state['id'];
+        $state         = $this->run_chunks( 'Creating checkpoint', $state, function () use ( $backup, $checkpoint_id ) {
+            return $backup->process_chunk( $checkpoint_id );
+        }, $assoc_args );
+
+        if ( ! empty( $state['error'] ) ) {
+            WP_CLI::error( $state['error'] );
+        }
+
+        WP_Care_Activity_Log::log( 'backup_created', array(
+            'checkpoint_id' => $checkpoint_id,
+            'operation'     => $label,
+        ) );
+
+        if ( \WP_CLI\Utils\get_flag_value( $assoc_args, 'porcelain' ) ) {
+            WP_CLI::line( $checkpoint_id );
+            return;
+        }
+
+        $this->output_item( $this->format_checkpoint( $backup->get_checkpoint( $checkpoint_id ) ), $assoc_args );
+
+        if ( $assoc_args['format'] === 'table' ) {
+            WP_CLI::success( sprintf( 'Created checkpoint %s.', $checkpoint_id ) );
+        }
+    }
+
+    /**
+     * Roll the site back to a checkpoint.
+     *
+     * ## OPTIONS
+     *
+     * <checkpoint-id>
+     * : The checkpoint to restore.
+     *
+     * [--yes]
+     * : Answer yes to the confirmation message.
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Named arguments.
+     */
+    public function restore( $args, $assoc_args ) {
+        $backup        = new WP_Care_Backup();
+        $checkpoint_id = sanitize_file_name( $args[0] );
+
+        if ( ! $backup->get_checkpoint( $checkpoint_id ) ) {
+            WP_CLI::error( sprintf( 'Checkpoint %s not found.', $checkpoint_id ) );
+        }
+
+        WP_CLI::confirm( sprintf( 'Roll this site back to %s?', $checkpoint_id ), $assoc_args );
+
+        $state = $backup->init_rollback( $checkpoint_id );
+
+        if ( is_wp_error( $state ) ) {
+            WP_CLI::error( $state->get_error_message() );
+        }
+
+        $rollback_id = $state['id'];
+        $state       = $this->run_chunks( 'Restoring', $state, function () use ( $backup, $rollback_id ) {
+            return $backup->process_chunk( $rollback_id );
+        }, array() );
+
+        if ( ! empty( $state['error'] ) ) {
+            WP_CLI::error( $state['error'] );
+        }
+
+        WP_Care_Activity_Log::log( 'checkpoint_restored', array( 'checkpoint_id' => $checkpoint_id ) );
+
+        WP_CLI::success( sprintf( 'Restored checkpoint %s.', $checkpoint_id ) );
+    }
+
+    /**
+     * List checkpoints.
+     *
+     * ## OPTIONS
+     *
+     * [--fields=<fields>]
+     * : Limit the output to specific fields.
+     *
+     * [--format=<format>]
+     * : Render the output in a particular format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     *   - csv
+     *   - yaml
+     *   - ids
+     *   - count
+     * ---
+     *
+     * ## AVAILABLE FIELDS
+     *
+     * * id
+     * * created_at
+     * * operation
+     * * database
+     * * db_size
+     * * paths
+     * * files
+     *
+     * @subcommand list
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Named arguments.
+     */
+    public function list_( $args, $assoc_args ) {
+        $backup = new WP_Care_Backup();
+        $items  = array_map( array( $this, 'format_checkpoint' ), $backup->list_checkpoints() );
+
+        $this->output_items( $items, $assoc_args, array( 'id', 'created_at', 'operation', 'database', 'paths', 'files' ) );
+    }
+
+    /**
+     * Pick the fields shown for a checkpoint.
+     *
+     * @param array $checkpoint checkpoint.json contents.
+     * @return array
+     */
+    private function format_checkpoint( $checkpoint ) {
+        return array(
+            'id'         => $checkpoint['id'],
+            'created_at' => $checkpoint['created_at'],
+            'operation'  => isset( $checkpoint['operation_type'] ) ? $checkpoint['operation_type'] : '',
+            'database'   => $checkpoint['has_database'] ? 'yes' : 'no',
+            'db_size'    => size_format( $checkpoint['db_size'] ),
+            'paths'      => implode( ', ', $checkpoint['paths'] ),
+            'files'      => (int) $checkpoint['files_count'],
+        );
+    }
+}
@@ -0,0 +1,504 @@
+<?php
+/**
+ * WP Care WP-CLI: migration commands
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Export, restore, verify and manage site migration packages.
+ *
+ * ## EXAMPLES
+ *
+ *     # Export the site without uploads
+ *     $ wp care migration export --no-include-uploads
+ *
+ *     # Restore a package, skipping the confirmation
+ *     $ wp care migration restore 20250101_120000_abc123 --yes
+ */
+class WP_Care_CLI_Migration extends WP_Care_CLI {
+
+    /**
+     * Export the site to a migration package.
+     *
+     * Every export option can be set; boolean ones take --<option> or
+     * --no-<option>, list ones a comma-separated list.
+     *
+     * ## OPTIONS
+     *
+     * [--[no-]include-database]
+     * : Include the database. Default on.
+     *
+     * [--[no-]include-themes]
+     * : Include themes. Default on.
+     *
+     * [--[no-]include-plugins]
+     * : Include plugins. Default on.
+     *
+     * [--[no-]include-uploads]
+     * : Include uploads. Default on.
+     *
+     * [--[no-]include-mu-plugins]
+     * : Include must-use plugins. Default off.
+     *
+     * [--[no-]exclude-cache]
+     * : Leave out cache folders. Default on.
+     *
+     * [--[no-]exclude-inactive-themes]
+     * : Leave out inactive themes. Default off.
+     *
+     * [--[no-]exclude-inactive-plugins]
+     * : Leave out inactive plugins. Default off.
+     *
+     * [--[no-]exclude-spam-comments]
+     * : Leave out spam comments. Default on.
+     *
+     * [--[no-]exclude-post-revisions]
+     * : Leave out post revisions. Default off.
+     *
+     * [--exclude-patterns=<patterns>]
+     * : Glob patterns of files to leave out, comma-separated.
+     *
+     * [--max-file-size=<mb>]
+     * : Leave out files larger than this many MB. 0 for no limit.
+     *
+     * [--extra-folders=<folders>]
+     * : Folders outside wp-content to add, relative to the WordPress root, comma-separated.
+     *
+     * [--include-tables=<tables>]
+     * : Only export these tables, comma-separated.
+     *
+     * [--exclude-tables=<tables>]
+     * : Leave out these tables, comma-separated.
+     *
+     * [--preset=<preset-id>]
+     * : Start from a saved export preset. Options given here override it.
+     *
+     * [--base=<migration-id>]
+     * : Make an incremental export on top of this one. It uses the base's options.
+     *
+     * [--passphrase=<passphrase>]
+     * : Encrypt the package with this passphrase. It is needed to restore the package.
+     *
+     * [--porcelain]
+     * : Only print the new migration ID.
+     *
+     * [--format=<format>]
+     * : Render the result in a particular format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp care migration export --exclude-tables=wp_actionscheduler_logs --max-file-size=100
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Named arguments.
+     */
+    public function export( $args, $assoc_args ) {
+        $migration = new WP_Care_Migration();
+        $options   = $this->get_export_options( $migration, $assoc_args );
+        $base_id   = isset( $assoc_args['base'] ) ? sanitize_file_name( $assoc_args['base'] ) : '';
+
+        if ( \WP_CLI\Utils\get_flag_value( $assoc_args, 'porcelain' ) ) {
+            $assoc_args['format'] = 'json';
+        }
+
+        $passphrase = isset( $assoc_args['passphrase'] ) ? (string) $assoc_args['passphrase'] : '';
+
+        $state = $migration->init_export( $options, 'manual', $base_id, $passphrase );
+
+        if ( is_wp_error( $state ) ) {
+            WP_CLI::error( $state->get_error_message() );
+        }
+
+        if ( ! $state ) {
+            WP_CLI::error( 'Failed to initialize migration. Check directory permissions.' );
+        }
+
+        $migration_id = $state['migration_id'];
+        $state        = $this->run_chunks( 'Exporting', $state, function () use ( $migration, $migration_id ) {
+            return $migration->process_chunk( $migration_id );
+        }, $assoc_args );
+
+        if ( ! empty( $state['error'] ) ) {
+            WP_Care_Activity_Log::log( 'migration_failed', array(
+                'migration_id' => $migration_id,
+                'error'        => $state['error'],
+            ) );
+
+            WP_CLI::error( $state['error'] );
+        }
+
+        WP_Care_Activity_Log::log( 'migration_created', array(
+            'migration_id' => $migration_id,
+            'size'         => isset( $state['archive_size_human'] ) ? $state['archive_size_human'] : '',
+        ) );
+
+        if ( \WP_CLI\Utils\get_flag_value( $assoc_args, 'porcelain' ) ) {
+            WP_CLI::line( $migration_id );
+            return;
+        }
+
+        $this->output_item( $this->format_migration( $migration->get_migration_info( $migration_id ) ), $assoc_args );
+
+        if ( $assoc_args['format'] === 'table' ) {
+            WP_CLI::success( sprintf( 'Exported %s.', $migration_id ) );
+        }
+    }
+
+    /**
+     * Restore the site from a migration package.
+     *
+     * A checkpoint of the current site is made first. Packages that have
+     * not been verified are verified before anything is changed.
+     *
+     * ## OPTIONS
+     *
+     * <migration-id>
+     * : The package to restore.
+     *
+     * [--[no-]database]
+     * : Restore the database. Default on.
+     *
+     * [--[no-]files]
+     * : Restore files. Default on.
+     *
+     * [--[no-]search-replace]
+     * : Replace the package's URLs and paths with this site's. Default on.
+     *
+     * [--tables=<tables>]
+     * : Only restore these tables, comma-separated.
+     *
+     * [--paths=<paths>]
+     * : Only restore these files or folders, relative to wp-content, comma-separated.
+     *
+     * [--skip-verification]
+     * : Restore without verifying the package first.
+     *
+     * [--passphrase=<passphrase>]
+     * : Passphrase of an encrypted package.
+     *
+     * [--yes]
+     * : Answer yes to the confirmation message.
+     *
+     * [--format=<format>]
+     * : Render the result in a particular format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     * ---
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Named arguments.
+     */
+    public function restore( $args, $assoc_args ) {
+        $migration    = new WP_Care_Migration();
+        $migration_id = sanitize_file_name( $args[0] );
+
+        if ( ! $migration->get_migration_info( $migration_id ) ) {
+            WP_CLI::error( sprintf( 'Migration %s not found.', $migration_id ) );
+        }
+
+        WP_CLI::confirm( sprintf( 'Overwrite this site with %s?', $migration_id ), $assoc_args );
+
+        $options = array(
+            'restore_database'  => (bool) \WP_CLI\Utils\get_flag_value( $assoc_args, 'database', true ),
+            'restore_files'     => (bool) \WP_CLI\Utils\get_flag_value( $assoc_args, 'files', true ),
+            'search_replace'    => (bool) \WP_CLI\Utils\get_flag_value( $assoc_args, 'search-replace', true ),
+            'skip_verification' => (bool) \WP_CLI\Utils\get_flag_value( $assoc_args, 'skip-verification', false ),
+            'passphrase'        => isset( $assoc_args['passphrase'] ) ? (string) $assoc_args['passphrase'] : '',
+        );
+        foreach ( array( 'tables', 'paths' ) as $key ) {
+            $list = $this->get_list_arg( $assoc_args, $key );
+            if ( $list !== null ) {
+                $options[ $key ] = $list;
+            }
+        }
+
+        $state = $migration->init_restore( $migration_id, $options );
+
+        if ( is_wp_error( $state ) && $state->get_error_code() === 'verification_required' ) {
+            $verification = $this->run_verify( $migration, $migration_id, $assoc_args );
+            if ( $verification['status'] !== 'passed' ) {
+                WP_CLI::error( 'The package failed verification. Run `wp care migration verify` for details, or pass --skip-verification.' );
+            }
+
+            $state = $migration->init_restore( $migration_id, $options );
+        }
+
+        if ( is_wp_error( $state ) ) {
+            WP_CLI::error( $state->get_error_message() );
+        }
+
+        $state = $this->run_chunks( 'Restoring', $state, function () use ( $migration, $migration_id ) {
+            return $migration->process_restore_chunk( $migration_id );
+        }, $assoc_args );
+
+        if ( ! empty( $state['error'] ) ) {
+            WP_Care_Activity_Log::log( 'migration_restore_failed', array(
+                'migration_id' => $migration_id,
+                'error'        => $state['error'],
+            ) );
+
+            WP_CLI::error( $state['error'] );
+        }
+
+        WP_Care_Activity_Log::log( 'migration_restored', array(
+            'migration_id'  => $migration_id,
+            'checkpoint_id' => isset( $state['checkpoint_id'] ) ? $state['checkpoint_id'] : '',
+        ) );
+
+        $this->output_item( array(
+            'migration_id'  => $migration_id,
+            'checkpoint_id' => isset( $state['checkpoint_id'] ) ? $state['checkpoint_id'] : null,
+            'replaced_rows' => isset( $state['replaced_rows'] ) ? (int) $state['replaced_rows'] : 0,
+        ), $assoc_args );
+
+        if ( $assoc_args['format'] === 'table' ) {
+            WP_CLI::success( sprintf( 'Restored %s.', $migration_id ) );
+        }
+    }
+
+    /**
+     * List migration packages.
+     *
+     * ## OPTIONS
+     *
+     * [--fields=<fields>]
+     * : Limit the output to specific fields.
+     *
+     * [--format=<format>]
+     * : Render the output in a particular format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     *   - csv
+     *   - yaml
+     *   - ids
+     *   - count
+     * ---
+     *
+     * ## AVAILABLE FIELDS
+     *
+     * * id
+     * * created_at
+     * * type
+     * * base_id
+     * * size
+     * * files
+     * * source
+     * * encrypted
+     * * verified
+     *
+     * @subcommand list
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Named arguments.
+     */
+    public function list_( $args, $assoc_args ) {
+        $migration = new WP_Care_Migration();
+        $items     = array();
+
+        foreach ( $migration->list_migrations() as $info ) {
+            $item = $this->format_migration( $info );
+
+            $verification     = $migration->get_verification( $info['id'] );
+            $item['verified'] = $verification ? $verification['status'] : 'no';
+
+            $items[] = $item;
+        }
+
+        $this->output_items( $items, $assoc_args, array( 'id', 'created_at', 'type', 'size', 'files', 'verified' ) );
+    }
+
+    /**
+     * Delete migration packages.
+     *
+     * ## OPTIONS
+     *
+     * <migration-id>...
+     * : One or more packages to delete.
+     *
+     * [--yes]
+     * : Answer yes to the confirmation message.
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Named arguments.
+     */
+    public function delete( $args, $assoc_args ) {
+        $migration = new WP_Care_Migration();
+
+        WP_CLI::confirm( sprintf( 'Delete %d migration package(s)?', count( $args ) ), $assoc_args );
+
+        $errors = 0;
+        foreach ( $args as $migration_id ) {
+            $migration_id = sanitize_file_name( $migration_id );
+
+            if ( ! $migration->delete_migration( $migration_id ) ) {
+                WP_CLI::warning( sprintf( 'Migration %s not found.', $migration_id ) );
+                $errors++;
+                continue;
+            }
+
+            WP_Care_Activity_Log::log( 'migration_deleted', array( 'migration_id' => $migration_id ) );
+            WP_CLI::log( sprintf( 'Deleted %s.', $migration_id ) );
+        }
+
+        if ( $errors ) {
+            WP_CLI::error( sprintf( '%d of %d packages could not be deleted.', $errors, count( $args ) ) );
+        }
+
+        WP_CLI::success( 'Done.' );
+    }
+
+    /**
+     * Check a migration package against its manifest.
+     *
+     * Exits with an error if any file is missing, corrupted or unexpected.
+     *
+     * ## OPTIONS
+     *
+     * <migration-id>
+     * : The package to verify.
+     *
+     * [--format=<format>]
+     * : Render the result in a particular format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     * ---
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Named arguments.
+     */
+    public function verify( $args, $assoc_args ) {
+        $migration    = new WP_Care_Migration();
+        $migration_id = sanitize_file_name( $args[0] );
+        $state        = $this->run_verify( $migration, $migration_id, $assoc_args );
+
+        $this->output_item( array(
+            'migration_id' => $migration_id,
+            'status'       => $state['status'],
+            'checked'      => $state['checked'],
+            'missing'      => $state['missing'],
+            'corrupted'    => $state['corrupted'],
+            'extra'        => $state['extra'],
+        ), $assoc_args );
+
+        if ( $state['status'] !== 'passed' ) {
+            WP_CLI::error( sprintf(
+                '%d missing, %d corrupted and %d unexpected entries.',
+                $state['missing_count'],
+                $state['corrupted_count'],
+                $state['extra_count']
+            ) );
+        }
+
+        if ( $assoc_args['format'] === 'table' ) {
+            WP_CLI::success( sprintf( 'All %d entries match the manifest.', $state['checked'] ) );
+        }
+    }
+
+    /**
+     * Verify a package with a progress bar and log the result.
+     *
+     * @param WP_Care_Migration $migration    Migration instance.
+     * @param string            $migration_id Migration ID.
+     * @param array             $assoc_args   Command arguments: format.
+     * @return array Final verification state. Exits on errors.
+     */
+    private function run_verify( $migration, $migration_id, $assoc_args ) {
+        $state = $migration->init_verify( $migration_id );
+
+        if ( is_wp_error( $state ) ) {
+            WP_CLI::error( $state->get_error_message() );
+        }
+
+        $state = $this->run_chunks( 'Verifying', $state, function () use ( $migration, $migration_id ) {
+            return $migration->process_verify_chunk( $migration_id );
+        }, $assoc_args );
+
+        if ( ! empty( $state['error'] ) ) {
+            WP_CLI::error( $state['error'] );
+        }
+
+        WP_Care_Activity_Log::log( 'migration_verified', array(
+            'migration_id' => $migration_id,
+            'status'       => $state['status'],
+            'missing'      => $state['missing_count'],
+            'corrupted'    => $state['corrupted_count'],
+            'extra'        => $state['extra_count'],
+        ) );
+
+        return $state;
+    }
+
+    /**
+     * Build export options from the command arguments, for every key of
+     * the default options (include_database is --[no-]include-database).
+     *
+     * @param WP_Care_Migration $migration  Migration instance.
+     * @param array             $assoc_args Command arguments.
+     * @return array Options for init_export(), which sanitizes them.
+     */
+    private function get_export_options( $migration, $assoc_args ) {
+        $options = array();
+
+        if ( isset( $assoc_args['preset'] ) ) {
+            $options['preset'] = sanitize_key( $assoc_args['preset'] );
+        }
+
+        foreach ( $migration->get_default_options() as $key => $default ) {
+            $flag = str_replace( '_', '-', $key );
+
+            if ( ! isset( $assoc_args[ $flag ] ) ) {
+                continue;
+            }
+
+            if ( is_bool( $default ) ) {
+                $options[ $key ] = (bool) \WP_CLI\Utils\get_flag_value( $assoc_args, $flag );
+            } elseif ( is_array( $default ) ) {
+                $options[ $key ] = $this->get_list_arg( $assoc_args, $flag );
+            } else {
+                $options[ $key ] = $assoc_args[ $flag ];
+            }
+        }
+
+        return $options;
+    }
+
+    /**
+     * Pick the fields shown for a package.
+     *
+     * @param array $info migration.json contents.
+     * @return array
+     */
+    private function format_migration( $info ) {
+        return array(
+            'id'         => $info['id'],
+            'created_at' => $info['created_at'],
+            'type'       => ! empty( $info['base_id'] ) ? 'incremental' : 'full',
+            'base_id'    => ! empty( $info['base_id'] ) ? $info['base_id'] : '',
+            'size'       => isset( $info['archive_size_human'] ) ? $info['archive_size_human'] : '',
+            'files'      => isset( $info['total_files'] ) ? (int) $info['total_files'] : 0,
+            'source'     => isset( $info['source'] ) ? $info['source'] : '',
+            'encrypted'  => ! empty( $info['encrypted'] ) ? 'yes' : 'no',
+        );
+    }
+}
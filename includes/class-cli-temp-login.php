@@ -0,0 +1,213 @@
+<?php
+/**
+ * WP Care WP-CLI: temporary login commands
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Create, list and revoke temporary logins.
+ *
+ * ## EXAMPLES
+ *
+ *     # A two-hour editor login that works three times, from one office
+ *     $ wp care temp-login create --role=editor --expiry-hours=2 --max-uses=3 --allowed-ips=203.0.113.0/24
+ */
+class WP_Care_CLI_Temp_Login extends WP_Care_CLI {
+
+    /**
+     * Create a temporary login and print its link.
+     *
+     * Without options this is a single-use administrator login that
+     * expires after 4 hours.
+     *
+     * ## OPTIONS
+     *
+     * [--role=<role>]
+     * : Role to give the user, or "custom" for the capabilities in --capabilities.
+     *
+     * [--capabilities=<capabilities>]
+     * : Capabilities for a custom role, comma-separated.
+     *
+     * [--expiry-hours=<hours>]
+     * : Hours until the login and its user are removed.
+     *
+     * [--max-uses=<number>]
+     * : Times the link can be used. 0 for any number until it expires.
+     *
+     * [--allowed-ips=<ips>]
+     * : IP addresses or CIDR ranges the login works from, comma-separated.
+     *
+     * [--requester=<name>]
+     * : Who the login is for, shown in the login list.
+     * ---
+     * default: cli
+     * ---
+     *
+     * [--porcelain]
+     * : Only print the login link.
+     *
+     * [--format=<format>]
+     * : Render the result in a particular format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     * ---
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Named arguments.
+     */
+    public function create( $args, $assoc_args ) {
+        $temp_login = new WP_Care_Temp_Login();
+        $requester  = sanitize_text_field( $assoc_args['requester'] );
+        $options    = array();
+
+        foreach ( array( 'role', 'expiry_hours', 'max_uses', 'allowed_ips' ) as $key ) {
+            $flag = str_replace( '_', '-', $key );
+            if ( isset( $assoc_args[ $flag ] ) ) {
+                $options[ $key ] = $assoc_args[ $flag ];
+            }
+        }
+        if ( isset( $assoc_args['capabilities'] ) ) {
+            $options['capabilities'] = $this->get_list_arg( $assoc_args, 'capabilities' );
+        }
+
+        $url = $temp_login->create_login( $requester, $options );
+
+        if ( is_wp_error( $url ) ) {
+            WP_CLI::error( $url->get_error_message() );
+        }
+
+        // The user ID is in the link
+        parse_str( (string) wp_parse_url( $url, PHP_URL_QUERY ), $query );
+        $user_id = isset( $query['uid'] ) ? absint( $query['uid'] ) : 0;
+
+        WP_Care_Activity_Log::log( 'temp_login_created', array(
+            'created_by' => $requester,
+            'user_id'    => $user_id,
+        ) );
+
+        if ( \WP_CLI\Utils\get_flag_value( $assoc_args, 'porcelain' ) ) {
+            WP_CLI::line( $url );
+            return;
+        }
+
+        $options = $temp_login->sanitize_options( $options );
+
+        $this->output_item( array(
+            'user_id'     => $user_id,
+            'login_url'   => $url,
+            'role'        => $options['role'],
+            'expires'     => gmdate( 'c', (int) get_user_meta( $user_id, '_wp_care_expiry', true ) ),
+            'max_uses'    => $options['max_uses'],
+            'allowed_ips' => implode( ', ', $options['allowed_ips'] ),
+        ), $assoc_args );
+    }
+
+    /**
+     * List active temporary logins.
+     *
+     * ## OPTIONS
+     *
+     * [--fields=<fields>]
+     * : Limit the output to specific fields.
+     *
+     * [--format=<format>]
+     * : Render the output in a particular format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     *   - csv
+     *   - yaml
+     *   - ids
+     *   - count
+     * ---
+     *
+     * ## AVAILABLE FIELDS
+     *
+     * * user_id
+     * * username
+     * * role
+     * * requester
+     * * expires
+     * * uses
+     * * max_uses
+     * * allowed_ips
+     * * sessions
+     * * last_seen
+     * * last_ip
+     *
+     * @subcommand list
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Named arguments.
+     */
+    public function list_( $args, $assoc_args ) {
+        $temp_login = new WP_Care_Temp_Login();
+        $items      = array();
+
+        foreach ( $temp_login->get_active_temp_users() as $user ) {
+            $items[] = array(
+                'user_id'     => $user['user_id'],
+                'username'    => $user['username'],
+                'role'        => $user['role'],
+                'requester'   => $user['requester'],
+                'expires'     => gmdate( 'c', $user['expiry'] ),
+                'uses'        => $user['uses'],
+                'max_uses'    => $user['max_uses'],
+                'allowed_ips' => implode( ', ', $user['allowed_ips'] ),
+                'sessions'    => $user['sessions'],
+                'last_seen'   => $user['last_seen'] ? gmdate( 'c', $user['last_seen'] ) : '',
+                'last_ip'     => $user['last_ip'],
+            );
+        }
+
+        $this->output_items( $items, $assoc_args, array( 'user_id', 'username', 'role', 'requester', 'expires', 'uses', 'max_uses' ) );
+    }
+
+    /**
+     * Revoke temporary logins, deleting their users and ending their sessions.
+     *
+     * ## OPTIONS
+     *
+     * <user-id>...
+     * : One or more temporary user IDs.
+     *
+     * ## EXAMPLES
+     *
+     *     # Revoke every temporary login
+     *     $ wp care temp-login revoke $(wp care temp-login list --format=ids)
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Named arguments.
+     */
+    public function revoke( $args, $assoc_args ) {
+        $temp_login = new WP_Care_Temp_Login();
+        $errors     = 0;
+
+        foreach ( $args as $user_id ) {
+            if ( ! $temp_login->revoke_login( absint( $user_id ) ) ) {
+                WP_CLI::warning( sprintf( 'User %s is not a temporary login.', $user_id ) );
+                $errors++;
+                continue;
+            }
+
+            WP_CLI::log( sprintf( 'Revoked user %d.', $user_id ) );
+        }
+
+        if ( $errors ) {
+            WP_CLI::error( sprintf( '%d of %d logins could not be revoked.', $errors, count( $args ) ) );
+        }
+
+        WP_CLI::success( 'Done.' );
+    }
+}
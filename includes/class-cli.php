@@ -0,0 +1,129 @@
+<?php
+/**
+ * WP Care WP-CLI Commands
+ *
+ * Registers the `wp care` commands and holds what they share: output in
+ * table or JSON form and progress bars over the chunked processes. The
+ * commands themselves live in class-cli-*.php and only wrap the existing
+ * classes, so exports, restores and logins made over SSH behave exactly
+ * like the ones made in the admin.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+abstract class WP_Care_CLI extends WP_CLI_Command {
+
+    /**
+     * Register every `wp care` command.
+     *
+     * @return void
+     */
+    public static function register() {
+        WP_CLI::add_command( 'care migration', 'WP_Care_CLI_Migration' );
+        WP_CLI::add_command( 'care checkpoint', 'WP_Care_CLI_Checkpoint' );
+        WP_CLI::add_command( 'care temp-login', 'WP_Care_CLI_Temp_Login' );
+        WP_CLI::add_command( 'care api-key', 'WP_Care_CLI_API_Key' );
+    }
+
+    /**
+     * Print items as a table, JSON, CSV, YAML, IDs or a count. The first
+     * default field is the ID.
+     *
+     * @param array $items      Rows.
+     * @param array $assoc_args Command arguments: format and fields.
+     * @param array $fields     Default fields.
+     * @return void
+     */
+    protected function output_items( $items, $assoc_args, $fields ) {
+        if ( isset( $assoc_args['format'] ) && $assoc_args['format'] === 'ids' ) {
+            $items = wp_list_pluck( $items, $fields[0] );
+        }
+
+        $formatter = new \WP_CLI\Formatter( $assoc_args, $fields );
+        $formatter->display_items( $items );
+    }
+
+    /**
+     * Print one record as a field/value table or as JSON.
+     *
+     * @param array $item       Record.
+     * @param array $assoc_args Command arguments: format.
+     * @return void
+     */
+    protected function output_item( $item, $assoc_args ) {
+        $format = \WP_CLI\Utils\get_flag_value( $assoc_args, 'format', 'table' );
+
+        if ( $format === 'json' ) {
+            WP_CLI::line( wp_json_encode( $item ) );
+            return;
+        }
+
+        $rows = array();
+        foreach ( $item as $field => $value ) {
+            $rows[] = array(
+                'field' => $field,
+                'value' => is_scalar( $value ) || $value === null ? $value : wp_json_encode( $value ),
+            );
+        }
+
+        \WP_CLI\Utils\format_items( 'table', $rows, array( 'field', 'value' ) );
+    }
+
+    /**
+     * Run a chunked process to the end, with a progress bar when the
+     * output is a table.
+     *
+     * @param string   $message    Progress bar label.
+     * @param array    $state      Initial state with 'progress', 'completed' and 'error'.
+     * @param callable $next       Returns the state after the next chunk.
+     * @param array    $assoc_args Command arguments: format.
+     * @return array Final state.
+     */
+    protected function run_chunks( $message, $state, $next, $assoc_args ) {
+        $show = \WP_CLI\Utils\get_flag_value( $assoc_args, 'format', 'table' ) === 'table';
+        $bar  = $show ? \WP_CLI\Utils\make_progress_bar( $message, 100 ) : null;
+        $done = 0;
+
+        while ( empty( $state['completed'] ) && empty( $state['error'] ) ) {
+            $state = call_user_func( $next );
+
+            // Another process holds the lock; wait for it
+            if ( ! empty( $state['busy'] ) ) {
+                sleep( 2 );
+                continue;
+            }
+
+            $progress = isset( $state['progress'] ) ? min( 100, (int) $state['progress'] ) : $done;
+            if ( $bar && $progress > $done ) {
+                $bar->tick( $progress - $done );
+            }
+            $done = max( $done, $progress );
+        }
+
+        if ( $bar ) {
+            $bar->finish();
+        }
+
+        return $state;
+    }
+
+    /**
+     * Split a comma-separated argument into a list.
+     *
+     * @param array  $assoc_args Command arguments.
+     * @param string $key        Argument name.
+     * @return array|null The list, or null if the argument wasn't given.
+     */
+    protected function get_list_arg( $assoc_args, $key ) {
+        if ( ! isset( $assoc_args[ $key ] ) ) {
+            return null;
+        }
+
+        return array_values( array_filter( array_map( 'trim', explode( ',', (string) $assoc_args[ $key ] ) ), 'strlen' ) );
+    }
+}
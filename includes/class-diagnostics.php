@@ -0,0 +1,404 @@
+<?php
+/**
+ * WP Care Diagnostics
+ *
+ * Collects the diagnostics bundle a support request can include: the tail
+ * of the PHP error log, recent fatal errors, active plugins with versions,
+ * WP-Cron health, and a summary of .htaccess and the wp-config.php
+ * constants.
+ *
+ * Everything in the bundle is redacted before it leaves the site. Values
+ * of constants that look like credentials are never included, and log
+ * text has paths, email addresses, known secrets and anything shaped like
+ * a token masked.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class WP_Care_Diagnostics {
+
+    /**
+     * Lines of the error log included.
+     *
+     * @var int
+     */
+    const TAIL_LINES = 100;
+
+    /**
+     * Bytes read from the end of the error log for the tail.
+     *
+     * @var int
+     */
+    const TAIL_BYTES = 65536;
+
+    /**
+     * Fatal errors included, newest last.
+     *
+     * @var int
+     */
+    const FATAL_LIMIT = 20;
+
+    /**
+     * Characters kept of each log line.
+     *
+     * @var int
+     */
+    const LINE_LENGTH = 1000;
+
+    /**
+     * Seconds past its due time before a cron event counts as late.
+     *
+     * @var int
+     */
+    const CRON_LATE = 600;
+
+    /**
+     * Placeholder for removed values.
+     *
+     * @var string
+     */
+    const REDACTED = '[redacted]';
+
+    /**
+     * Constant names whose values are never included.
+     *
+     * @var string
+     */
+    const SECRET_PATTERN = '/KEY|SALT|PASS|SECRET|TOKEN|AUTH|USER|NONCE|LICEN[CS]E|CREDENTIAL|PRIVATE/i';
+
+    /**
+     * Collect the bundle.
+     *
+     * @return array
+     */
+    public static function collect() {
+        return array(
+            'generated_at' => gmdate( 'c' ),
+            'error_log'    => self::get_error_log(),
+            'fatal_errors' => self::get_fatal_errors(),
+            'plugins'      => self::get_active_plugins(),
+            'cron'         => self::get_cron_health(),
+            'htaccess'     => self::get_htaccess_summary(),
+            'constants'    => self::get_config_constants(),
+        );
+    }
+
+    /**
+     * Get the last lines of the PHP error log.
+     *
+     * @return array 'file', 'size' and 'lines', or 'file' null if there is no readable log.
+     */
+    public static function get_error_log() {
+        $file = WP_Care_Updates::get_error_log_file();
+
+        if ( ! $file ) {
+            return array(
+                'file'  => null,
+                'size'  => 0,
+                'lines' => array(),
+            );
+        }
+
+        $lines = self::read_tail( $file, self::TAIL_BYTES );
+
+        return array(
+            'file'  => self::redact( $file ),
+            'size'  => (int) filesize( $file ),
+            'lines' => array_slice( $lines, -self::TAIL_LINES ),
+        );
+    }
+
+    /**
+     * Get the most recent fatal errors from the last megabyte of the PHP
+     * error log, and extensions WordPress paused after a fatal error.
+     *
+     * @return array 'logged' lines and 'paused' plugin and theme names.
+     */
+    public static function get_fatal_errors() {
+        $file   = WP_Care_Updates::get_error_log_file();
+        $logged = array();
+
+        if ( $file ) {
+            foreach ( self::read_tail( $file, MB_IN_BYTES ) as $line ) {
+                if ( preg_match( '/PHP (Fatal|Parse) error:/', $line ) ) {
+                    $logged[] = $line;
+                }
+            }
+        }
+
+        // Recovery mode, WordPress 5.2+
+        $paused = array();
+        if ( function_exists( 'wp_paused_plugins' ) ) {
+            $paused = array_merge( $paused, array_keys( wp_paused_plugins()->get_all() ) );
+        }
+        if ( function_exists( 'wp_paused_themes' ) ) {
+            $paused = array_merge( $paused, array_keys( wp_paused_themes()->get_all() ) );
+        }
+
+        return array(
+            'logged' => array_slice( $logged, -self::FATAL_LIMIT ),
+            'paused' => $paused,
+        );
+    }
+
+    /**
+     * Get the active plugins, including network-activated and must-use ones.
+     *
+     * @return array List of 'file', 'name', 'version' and 'type'.
+     */
+    public static function get_active_plugins() {
+        if ( ! function_exists( 'get_plugins' ) ) {
+            require_once ABSPATH . 'wp-admin/includes/plugin.php';
+        }
+
+        $all     = get_plugins();
+        $active  = array_fill_keys( (array) get_option( 'active_plugins', array() ), 'active' );
+        $plugins = array();
+
+        if ( is_multisite() ) {
+            $active = array_merge( $active, array_fill_keys( array_keys( (array) get_site_option( 'active_sitewide_plugins', array() ) ), 'network' ) );
+        }
+
+        foreach ( $active as $file => $type ) {
+            $plugins[] = array(
+                'file'    => $file,
+                'name'    => isset( $all[ $file ] ) ? $all[ $file ]['Name'] : $file,
+                'version' => isset( $all[ $file ] ) ? $all[ $file ]['Version'] : '',
+                'type'    => $type,
+            );
+        }
+
+        foreach ( get_mu_plugins() as $file => $data ) {
+            $plugins[] = array(
+                'file'    => $file,
+                'name'    => $data['Name'],
+                'version' => $data['Version'],
+                'type'    => 'must-use',
+            );
+        }
+
+        return $plugins;
+    }
+
+    /**
+     * Check WP-Cron: whether it is disabled and which events are overdue.
+     *
+     * @return array
+     */
+    public static function get_cron_health() {
+        $crons  = _get_cron_array();
+        $now    = time();
+        $events = 0;
+        $late   = array();
+
+        foreach ( (array) $crons as $timestamp => $hooks ) {
+            foreach ( (array) $hooks as $hook => $instances ) {
+                $events += count( $instances );
+
+                if ( $timestamp < $now - self::CRON_LATE ) {
+                    $late[] = array(
+                        'hook'         => $hook,
+                        'due'          => gmdate( 'c', $timestamp ),
+                        'seconds_late' => $now - $timestamp,
+                    );
+                }
+            }
+        }
+
+        $doing = get_transient( 'doing_cron' );
+
+        return array(
+            'disabled'      => defined( 'DISABLE_WP_CRON' ) && DISABLE_WP_CRON,
+            'alternate'     => defined( 'ALTERNATE_WP_CRON' ) && ALTERNATE_WP_CRON,
+            'events'        => $events,
+            'late'          => $late,
+            'running_since' => $doing ? gmdate( 'c', (int) $doing ) : null,
+        );
+    }
+
+    /**
+     * Summarize .htaccess without its values: the marker blocks plugins
+     * wrote and how often each directive is used.
+     *
+     * @return array 'exists', 'size', 'markers' and 'directives' counts.
+     */
+    public static function get_htaccess_summary() {
+        $file = ABSPATH . '.htaccess';
+
+        if ( ! is_file( $file ) || ! is_readable( $file ) ) {
+            return array(
+                'exists'     => false,
+                'size'       => 0,
+                'markers'    => array(),
+                'directives' => array(),
+            );
+        }
+
+        $markers    = array();
+        $directives = array();
+
+        foreach ( (array) file( $file, FILE_IGNORE_NEW_LINES ) as $line ) {
+            $line = trim( $line );
+
+            if ( preg_match( '/^#\s*BEGIN\s+(.+)$/', $line, $match ) ) {
+                $markers[] = trim( $match[1] );
+                continue;
+            }
+
+            if ( $line === '' || $line[0] === '#' ) {
+                continue;
+            }
+
+            // Directive name only, since values can hold paths and credentials
+            if ( preg_match( '/^<?([A-Za-z]+)/', $line, $match ) ) {
+                $name                = $match[1];
+                $directives[ $name ] = isset( $directives[ $name ] ) ? $directives[ $name ] + 1 : 1;
+            }
+        }
+
+        return array(
+            'exists'     => true,
+            'size'       => (int) filesize( $file ),
+            'markers'    => $markers,
+            'directives' => $directives,
+        );
+    }
+
+    /**
+     * List the constants wp-config.php defines with their current values.
+     * Values of constants that look like credentials are redacted.
+     *
+     * @return array Constant name => value.
+     */
+    public static function get_config_constants() {
+        $file = self::get_config_file();
+
+        if ( ! $file ) {
+            return array();
+        }
+
+        preg_match_all( '/define\s*\(\s*[\'"]([A-Za-z0-9_]+)[\'"]/', (string) file_get_contents( $file ), $matches );
+
+        $constants = array();
+
+        foreach ( array_unique( $matches[1] ) as $name ) {
+            if ( ! defined( $name ) ) {
+                $constants[ $name ] = null;
+            } elseif ( preg_match( self::SECRET_PATTERN, $name ) ) {
+                $constants[ $name ] = self::REDACTED;
+            } else {
+                $value              = constant( $name );
+                $constants[ $name ] = is_scalar( $value ) ? self::redact( (string) $value ) : gettype( $value );
+            }
+        }
+
+        ksort( $constants );
+
+        return $constants;
+    }
+
+    /**
+     * Mask what must not leave the site in a piece of log text: known
+     * secrets, the install path, email addresses, credentials in URLs and
+     * query strings, and long tokens.
+     *
+     * @param string $text Text to redact.
+     * @return string
+     */
+    public static function redact( $text ) {
+        // Values of secret constants and the plugin's own key, longest first
+        $secrets = array();
+        foreach ( get_defined_constants() as $name => $value ) {
+            if ( is_string( $value ) && strlen( $value ) >= 6 && preg_match( self::SECRET_PATTERN, $name ) ) {
+                $secrets[] = $value;
+            }
+        }
+        $api_key = WP_Care_Security::get_api_key();
+        if ( $api_key ) {
+            $secrets[] = $api_key;
+        }
+        usort( $secrets, function ( $a, $b ) {
+            return strlen( $b ) - strlen( $a );
+        } );
+        $text = str_replace( $secrets, self::REDACTED, $text );
+
+        $text = str_replace( untrailingslashit( ABSPATH ), 'ABSPATH', $text );
+
+        $patterns = array(
+            // user:password@host
+            '#(://)[^/\s:@]+:[^/\s@]+@#'                                                  => '$1' . self::REDACTED . '@',
+            // password=..., token: ..., "secret":"..."
+            '/((?:pass(?:word|wd)?|pwd|secret|token|api[_-]?key|auth|key)["\']?\s*[=:]\s*["\']?)[^\s"\'&,;]+/i' => '$1' . self::REDACTED,
+            '/Bearer\s+[A-Za-z0-9._~+\/=-]+/i'                                             => 'Bearer ' . self::REDACTED,
+            '/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i'                                    => self::REDACTED,
+            // Hashes and keys: long runs with at least one digit
+            '/\b(?=[A-Za-z_-]*[0-9])[A-Za-z0-9_-]{32,}/'                                  => self::REDACTED,
+        );
+
+        return preg_replace( array_keys( $patterns ), array_values( $patterns ), $text );
+    }
+
+    /**
+     * Read the complete lines in the last bytes of a file, redacted and
+     * shortened. Redaction comes first so a cut can't split a secret.
+     *
+     * @param string $file  Path.
+     * @param int    $bytes Bytes to read from the end.
+     * @return array
+     */
+    private static function read_tail( $file, $bytes ) {
+        $handle = fopen( $file, 'r' );
+
+        if ( ! $handle ) {
+            return array();
+        }
+
+        clearstatcache( true, $file );
+        $size   = (int) filesize( $file );
+        $offset = max( 0, $size - $bytes );
+
+        fseek( $handle, $offset );
+        $text = (string) stream_get_contents( $handle );
+        fclose( $handle );
+
+        $lines = preg_split( '/\r\n|\r|\n/', $text );
+
+        // The first line is partial unless the read started at the beginning
+        if ( $offset > 0 ) {
+            array_shift( $lines );
+        }
+
+        $result = array();
+        foreach ( $lines as $line ) {
+            if ( trim( $line ) === '' ) {
+                continue;
+            }
+            $result[] = wp_html_excerpt( self::redact( $line ), self::LINE_LENGTH, '...' );
+        }
+
+        return $result;
+    }
+
+    /**
+     * Find wp-config.php the way WordPress does: in ABSPATH or the folder above.
+     *
+     * @return string|null
+     */
+    private static function get_config_file() {
+        if ( is_file( ABSPATH . 'wp-config.php' ) ) {
+            return ABSPATH . 'wp-config.php';
+        }
+
+        $parent = dirname( ABSPATH ) . '/wp-config.php';
+        if ( is_file( $parent ) && ! is_file( dirname( ABSPATH ) . '/wp-settings.php' ) ) {
+            return $parent;
+        }
+
+        return null;
+    }
+}
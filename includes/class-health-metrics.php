@@ -0,0 +1,530 @@
+<?php
+/**
+ * WP Care Health Metrics
+ *
+ * Records a time series of site health metrics (database and uploads
+ * size, the largest tables, plugin and theme counts, pending updates, PHP
+ * memory and loopback response time) once an hour, in its own table.
+ * The Site Health page charts the series and thresholds turn it into
+ * admin notices.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class WP_Care_Health_Metrics {
+
+    /**
+     * Table name, without the site prefix.
+     *
+     * @var string
+     */
+    const TABLE = 'wp_care_health_metrics';
+
+    /**
+     * Schema version, bumped when the table changes.
+     *
+     * @var string
+     */
+    const DB_VERSION = '1';
+
+    /**
+     * Option holding the installed schema version.
+     *
+     * @var string
+     */
+    const DB_VERSION_OPTION = 'wp_care_health_metrics_db_version';
+
+    /**
+     * Hourly cron hook that records a sample.
+     *
+     * @var string
+     */
+    const RECORD_HOOK = 'wp_care_record_health_metrics';
+
+    /**
+     * Option holding the alert thresholds.
+     *
+     * @var string
+     */
+    const THRESHOLDS_OPTION = 'wp_care_health_thresholds';
+
+    /**
+     * Option holding the thresholds the latest sample exceeded.
+     *
+     * @var string
+     */
+    const ALERTS_OPTION = 'wp_care_health_alerts';
+
+    /**
+     * Days samples are kept.
+     *
+     * @var int
+     */
+    const RETENTION_DAYS = 90;
+
+    /**
+     * Number of largest tables whose size is recorded.
+     *
+     * @var int
+     */
+    const TOP_TABLES = 10;
+
+    /**
+     * Get the full table name.
+     *
+     * @return string
+     */
+    public static function table() {
+        global $wpdb;
+
+        return $wpdb->prefix . self::TABLE;
+    }
+
+    /**
+     * Create or upgrade the table and schedule recording.
+     *
+     * @return void
+     */
+    public static function install() {
+        global $wpdb;
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $table           = self::table();
+        $charset_collate = $wpdb->get_charset_collate();
+
+        dbDelta( "CREATE TABLE {$table} (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            recorded_at datetime NOT NULL,
+            db_size bigint(20) unsigned NOT NULL DEFAULT 0,
+            uploads_size bigint(20) unsigned NOT NULL DEFAULT 0,
+            plugins smallint(5) unsigned NOT NULL DEFAULT 0,
+            active_plugins smallint(5) unsigned NOT NULL DEFAULT 0,
+            themes smallint(5) unsigned NOT NULL DEFAULT 0,
+            pending_updates smallint(5) unsigned NOT NULL DEFAULT 0,
+            memory_usage bigint(20) unsigned NOT NULL DEFAULT 0,
+            memory_limit bigint(20) NOT NULL DEFAULT 0,
+            loopback_ms int(10) unsigned DEFAULT NULL,
+            loopback_status smallint(5) unsigned NOT NULL DEFAULT 0,
+            tables longtext NOT NULL,
+            PRIMARY KEY  (id),
+            KEY recorded_at (recorded_at)
+        ) {$charset_collate};" );
+
+        if ( ! wp_next_scheduled( self::RECORD_HOOK ) ) {
+            wp_schedule_event( time() + MINUTE_IN_SECONDS, 'hourly', self::RECORD_HOOK );
+        }
+
+        update_option( self::DB_VERSION_OPTION, self::DB_VERSION );
+    }
+
+    /**
+     * Install the table if this version of the plugin hasn't yet, e.g.
+     * after an update that didn't go through activation.
+     *
+     * @return void
+     */
+    public static function maybe_install() {
+        if ( get_option( self::DB_VERSION_OPTION ) !== self::DB_VERSION ) {
+            self::install();
+        }
+    }
+
+    /**
+     * Take a sample, store it, drop samples past the retention period and
+     * check it against the thresholds.
+     *
+     * @return array|WP_Error The stored sample.
+     */
+    public static function record() {
+        global $wpdb;
+
+        $sample = self::collect();
+
+        $row           = $sample;
+        $row['tables'] = wp_json_encode( $sample['tables'] );
+
+        if ( ! $wpdb->insert( self::table(), $row ) ) {
+            return new WP_Error( 'db_error', __( 'The health sample could not be saved.', 'wp-care-connector' ) );
+        }
+
+        $wpdb->query( $wpdb->prepare(
+            'DELETE FROM ' . self::table() . ' WHERE recorded_at < %s',
+            gmdate( 'Y-m-d H:i:s', time() - self::RETENTION_DAYS * DAY_IN_SECONDS )
+        ) );
+
+        $sample = self::format_sample( $sample );
+        update_option( self::ALERTS_OPTION, self::check_thresholds( $sample ), false );
+
+        return $sample;
+    }
+
+    /**
+     * Measure the current values of every metric.
+     *
+     * Slow on big sites (the uploads folder is walked and the home page is
+     * requested), so it runs from cron rather than on page loads.
+     *
+     * @return array Raw sample, as stored.
+     */
+    public static function collect() {
+        if ( ! function_exists( 'get_plugins' ) ) {
+            require_once ABSPATH . 'wp-admin/includes/plugin.php';
+        }
+
+        $upload_dir = wp_upload_dir();
+        $tables     = self::get_table_sizes();
+        $loopback   = self::measure_loopback();
+
+        return array(
+            'recorded_at'     => gmdate( 'Y-m-d H:i:s' ),
+            'db_size'         => array_sum( $tables ),
+            'uploads_size'    => self::get_directory_size( $upload_dir['basedir'] ),
+            'plugins'         => count( get_plugins() ),
+            'active_plugins'  => count( (array) get_option( 'active_plugins', array() ) ),
+            'themes'          => count( wp_get_themes() ),
+            'pending_updates' => self::count_pending_updates(),
+            'memory_usage'    => memory_get_peak_usage( true ),
+            'memory_limit'    => wp_convert_hr_to_bytes( ini_get( 'memory_limit' ) ),
+            'loopback_ms'     => $loopback['ms'],
+            'loopback_status' => $loopback['status'],
+            'tables'          => array_slice( $tables, 0, self::TOP_TABLES, true ),
+        );
+    }
+
+    /**
+     * Get the most recent sample.
+     *
+     * @return array|null
+     */
+    public static function get_latest() {
+        global $wpdb;
+
+        $row = $wpdb->get_row( 'SELECT * FROM ' . self::table() . ' ORDER BY recorded_at DESC, id DESC LIMIT 1', ARRAY_A );
+
+        return $row ? self::format_sample( $row ) : null;
+    }
+
+    /**
+     * Get the samples of the last few days, oldest first, with how much
+     * each of the largest tables grew over that time.
+     *
+     * @param int $days Number of days (1 to the retention period).
+     * @return array 'samples' and 'table_growth'.
+     */
+    public static function get_series( $days = 30 ) {
+        global $wpdb;
+
+        $days = min( max( 1, (int) $days ), self::RETENTION_DAYS );
+
+        $rows = $wpdb->get_results( $wpdb->prepare(
+            'SELECT * FROM ' . self::table() . ' WHERE recorded_at >= %s ORDER BY recorded_at ASC, id ASC',
+            gmdate( 'Y-m-d H:i:s', time() - $days * DAY_IN_SECONDS )
+        ), ARRAY_A );
+
+        $samples = array_map( array( __CLASS__, 'format_sample' ), $rows );
+
+        return array(
+            'days'         => $days,
+            'samples'      => $samples,
+            'table_growth' => self::get_table_growth( $samples ),
+        );
+    }
+
+    /**
+     * Get the alert thresholds. A threshold of 0 is switched off.
+     *
+     * @return array db_size_mb, uploads_size_mb, pending_updates, memory_percent, loopback_ms.
+     */
+    public static function get_thresholds() {
+        $defaults = array(
+            'db_size_mb'      => 0,
+            'uploads_size_mb' => 0,
+            'pending_updates' => 10,
+            'memory_percent'  => 90,
+            'loopback_ms'     => 3000,
+        );
+
+        return array_intersect_key( wp_parse_args( (array) get_option( self::THRESHOLDS_OPTION, array() ), $defaults ), $defaults );
+    }
+
+    /**
+     * Save the alert thresholds and re-check the latest sample against them.
+     *
+     * @param array $thresholds Thresholds, as returned by get_thresholds().
+     * @return void
+     */
+    public static function set_thresholds( $thresholds ) {
+        $clean = array();
+
+        foreach ( self::get_thresholds() as $key => $current ) {
+            $clean[ $key ] = isset( $thresholds[ $key ] ) ? absint( $thresholds[ $key ] ) : $current;
+        }
+        $clean['memory_percent'] = min( 100, $clean['memory_percent'] );
+
+        update_option( self::THRESHOLDS_OPTION, $clean, false );
+
+        $latest = self::get_latest();
+        update_option( self::ALERTS_OPTION, $latest ? self::check_thresholds( $latest ) : array(), false );
+    }
+
+    /**
+     * Get the thresholds the latest sample exceeded.
+     *
+     * @return array[] Each with metric, message, value and threshold.
+     */
+    public static function get_alerts() {
+        return (array) get_option( self::ALERTS_OPTION, array() );
+    }
+
+    /**
+     * Compare a sample with the thresholds.
+     *
+     * @param array $sample Formatted sample.
+     * @return array[] Exceeded thresholds.
+     */
+    public static function check_thresholds( $sample ) {
+        $thresholds = self::get_thresholds();
+        $alerts     = array();
+
+        if ( $thresholds['db_size_mb'] && $sample['db_size'] > $thresholds['db_size_mb'] * MB_IN_BYTES ) {
+            $alerts[] = array(
+                'metric'    => 'db_size',
+                /* translators: 1: database size, 2: threshold */
+                'message'   => sprintf( __( 'The database is %1$s, over the %2$s threshold.', 'wp-care-connector' ), size_format( $sample['db_size'] ), size_format( $thresholds['db_size_mb'] * MB_IN_BYTES ) ),
+                'value'     => $sample['db_size'],
+                'threshold' => $thresholds['db_size_mb'],
+            );
+        }
+
+        if ( $thresholds['uploads_size_mb'] && $sample['uploads_size'] > $thresholds['uploads_size_mb'] * MB_IN_BYTES ) {
+            $alerts[] = array(
+                'metric'    => 'uploads_size',
+                /* translators: 1: uploads size, 2: threshold */
+                'message'   => sprintf( __( 'The uploads folder is %1$s, over the %2$s threshold.', 'wp-care-connector' ), size_format( $sample['uploads_size'] ), size_format( $thresholds['uploads_size_mb'] * MB_IN_BYTES ) ),
+                'value'     => $sample['uploads_size'],
+                'threshold' => $thresholds['uploads_size_mb'],
+            );
+        }
+
+        if ( $thresholds['pending_updates'] && $sample['pending_updates'] >= $thresholds['pending_updates'] ) {
+            $alerts[] = array(
+                'metric'    => 'pending_updates',
+                /* translators: %d: number of pending updates */
+                'message'   => sprintf( _n( '%d update is waiting to be installed.', '%d updates are waiting to be installed.', $sample['pending_updates'], 'wp-care-connector' ), $sample['pending_updates'] ),
+                'value'     => $sample['pending_updates'],
+                'threshold' => $thresholds['pending_updates'],
+            );
+        }
+
+        if ( $thresholds['memory_percent'] && $sample['memory_percent'] !== null && $sample['memory_percent'] >= $thresholds['memory_percent'] ) {
+            $alerts[] = array(
+                'metric'    => 'memory_percent',
+                /* translators: 1: percentage used, 2: memory limit */
+                'message'   => sprintf( __( 'PHP used %1$d%% of its %2$s memory limit.', 'wp-care-connector' ), $sample['memory_percent'], size_format( $sample['memory_limit'] ) ),
+                'value'     => $sample['memory_percent'],
+                'threshold' => $thresholds['memory_percent'],
+            );
+        }
+
+        $loopback_failed = $sample['loopback_ms'] === null || $sample['loopback_status'] >= 500;
+        if ( $thresholds['loopback_ms'] && ( $loopback_failed || $sample['loopback_ms'] > $thresholds['loopback_ms'] ) ) {
+            $alerts[] = array(
+                'metric'    => 'loopback_ms',
+                'message'   => $loopback_failed
+                    ? __( 'The site could not load its own home page.', 'wp-care-connector' )
+                    /* translators: %d: response time in milliseconds */
+                    : sprintf( __( 'The home page took %d ms to respond.', 'wp-care-connector' ), $sample['loopback_ms'] ),
+                'value'     => $sample['loopback_ms'],
+                'threshold' => $thresholds['loopback_ms'],
+            );
+        }
+
+        return $alerts;
+    }
+
+    /**
+     * Delete every sample.
+     *
+     * @return void
+     */
+    public static function clear() {
+        global $wpdb;
+
+        $wpdb->query( 'TRUNCATE TABLE ' . self::table() );
+        delete_option( self::ALERTS_OPTION );
+    }
+
+    /**
+     * Cast a stored row to typed values and add derived ones.
+     *
+     * @param array $row Row or freshly collected sample.
+     * @return array
+     */
+    private static function format_sample( $row ) {
+        $tables = is_array( $row['tables'] ) ? $row['tables'] : json_decode( $row['tables'], true );
+        $limit  = (int) $row['memory_limit'];
+
+        return array(
+            'recorded_at'     => strtotime( $row['recorded_at'] . ' UTC' ),
+            'db_size'         => (int) $row['db_size'],
+            'uploads_size'    => (int) $row['uploads_size'],
+            'plugins'         => (int) $row['plugins'],
+            'active_plugins'  => (int) $row['active_plugins'],
+            'themes'          => (int) $row['themes'],
+            'pending_updates' => (int) $row['pending_updates'],
+            'memory_usage'    => (int) $row['memory_usage'],
+            'memory_limit'    => $limit,
+            // A limit of -1 means unlimited
+            'memory_percent'  => $limit > 0 ? (int) round( $row['memory_usage'] / $limit * 100 ) : null,
+            'loopback_ms'     => $row['loopback_ms'] === null ? null : (int) $row['loopback_ms'],
+            'loopback_status' => (int) $row['loopback_status'],
+            'tables'          => is_array( $tables ) ? array_map( 'intval', $tables ) : array(),
+        );
+    }
+
+    /**
+     * Work out how much each table in the latest sample grew since the
+     * first sample in the range.
+     *
+     * @param array[] $samples Formatted samples, oldest first.
+     * @return array[] Each with table, size and change, largest first.
+     */
+    private static function get_table_growth( $samples ) {
+        if ( empty( $samples ) ) {
+            return array();
+        }
+
+        $last   = end( $samples );
+        $growth = array();
+
+        foreach ( $last['tables'] as $table => $size ) {
+            // Tables that weren't in the first sample's top list are compared with their first appearance
+            $start = null;
+            foreach ( $samples as $sample ) {
+                if ( isset( $sample['tables'][ $table ] ) ) {
+                    $start = $sample['tables'][ $table ];
+                    break;
+                }
+            }
+
+            $growth[] = array(
+                'table'  => $table,
+                'size'   => $size,
+                'change' => $size - $start,
+            );
+        }
+
+        return $growth;
+    }
+
+    /**
+     * Get the size of each table in the site's database, largest first.
+     *
+     * @return int[] Table name => bytes.
+     */
+    private static function get_table_sizes() {
+        global $wpdb;
+
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                'SELECT table_name AS name, data_length + index_length AS size FROM information_schema.tables WHERE table_schema = %s ORDER BY size DESC',
+                DB_NAME
+            )
+        );
+
+        $sizes = array();
+        foreach ( (array) $rows as $row ) {
+            $sizes[ $row->name ] = (int) $row->size;
+        }
+
+        return $sizes;
+    }
+
+    /**
+     * Get the size of a directory in bytes.
+     *
+     * @param string $path Directory path.
+     * @return int Size in bytes.
+     */
+    private static function get_directory_size( $path ) {
+        $size = 0;
+
+        if ( ! is_dir( $path ) ) {
+            return $size;
+        }
+
+        $iterator = new RecursiveIteratorIterator(
+            new RecursiveDirectoryIterator( $path, RecursiveDirectoryIterator::SKIP_DOTS ),
+            RecursiveIteratorIterator::SELF_FIRST
+        );
+
+        foreach ( $iterator as $file ) {
+            if ( $file->isFile() ) {
+                $size += $file->getSize();
+            }
+        }
+
+        return $size;
+    }
+
+    /**
+     * Count the plugin, theme and core updates WordPress has found.
+     *
+     * Read from the update transients directly: wp_get_update_data()
+     * only counts what the current user may update, and cron has no user.
+     *
+     * @return int
+     */
+    private static function count_pending_updates() {
+        $count = 0;
+
+        foreach ( array( 'update_plugins', 'update_themes' ) as $transient ) {
+            $updates = get_site_transient( $transient );
+            if ( $updates && ! empty( $updates->response ) ) {
+                $count += count( $updates->response );
+            }
+        }
+
+        $core = get_site_transient( 'update_core' );
+        if ( $core && ! empty( $core->updates ) ) {
+            foreach ( $core->updates as $update ) {
+                if ( 'upgrade' === $update->response ) {
+                    $count++;
+                    break;
+                }
+            }
+        }
+
+        return $count;
+    }
+
+    /**
+     * Time a request from the site to its own home page.
+     *
+     * @return array 'ms' (null if the request failed) and the HTTP 'status'.
+     */
+    private static function measure_loopback() {
+        $start    = microtime( true );
+        $response = wp_remote_get( home_url( '/' ), array(
+            'timeout'   => 10,
+            'sslverify' => apply_filters( 'https_local_ssl_verify', false ),
+            'headers'   => array( 'Cache-Control' => 'no-cache' ),
+        ) );
+        $ms = (int) round( ( microtime( true ) - $start ) * 1000 );
+
+        if ( is_wp_error( $response ) ) {
+            return array( 'ms' => null, 'status' => 0 );
+        }
+
+        return array(
+            'ms'     => $ms,
+            'status' => (int) wp_remote_retrieve_response_code( $response ),
+        );
+    }
+}
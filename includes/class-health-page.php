@@ -2,7 +2,8 @@
 /**
  * WP Care Health Page
  *
- * Admin page showing site health information using data from WP_Care_Site_Mapper.
+ * Admin page showing site health information using data from WP_Care_Site_Mapper,
+ * with trend charts of the metrics recorded by WP_Care_Health_Metrics.
  *
  * @package WP_Care_Connector
  * @since 1.0.0
@@ -35,12 +36,8 @@ class WP_Care_Health_Page {
             }
         }
 
-        // Calculate disk usage
-        $upload_dir = wp_upload_dir();
-        $disk_usage = self::get_directory_size( $upload_dir['basedir'] );
-
-        // Get database size
-        $db_size = self::get_database_size();
+        // Storage sizes are slow to measure, so show the last recorded sample
+        $latest = WP_Care_Health_Metrics::get_latest();
 
         // Last health report
         $last_report = get_option( 'wp_care_last_health_report', 0 );
@@ -131,11 +128,11 @@ class WP_Care_Health_Page {
                         <tbody>
                             <tr>
                                 <td><strong><?php esc_html_e( 'Uploads Directory', 'wp-care-connector' ); ?></strong></td>
-                                <td><?php echo esc_html( size_format( $disk_usage ) ); ?></td>
+                                <td><?php echo $latest ? esc_html( size_format( $latest['uploads_size'] ) ) : esc_html__( 'Not measured yet', 'wp-care-connector' ); ?></td>
                             </tr>
                             <tr>
                                 <td><strong><?php esc_html_e( 'Database Size', 'wp-care-connector' ); ?></strong></td>
-                                <td><?php echo esc_html( $db_size ); ?></td>
+                                <td><?php echo $latest ? esc_html( size_format( $latest['db_size'] ) ) : esc_html__( 'Not measured yet', 'wp-care-connector' ); ?></td>
                             </tr>
                             <tr>
                                 <td><strong><?php esc_html_e( 'Media Items', 'wp-care-connector' ); ?></strong></td>
@@ -143,6 +140,14 @@ class WP_Care_Health_Page {
                             </tr>
                         </tbody>
                     </table>
+                    <?php if ( $latest ) : ?>
+                        <p class="description">
+                            <?php
+                            /* translators: %s: human-readable time difference */
+                            echo esc_html( sprintf( __( 'Measured %s ago.', 'wp-care-connector' ), human_time_diff( $latest['recorded_at'] ) ) );
+                            ?>
+                        </p>
+                    <?php endif; ?>
                 </div>
 
                 <!-- Last Report -->
@@ -195,6 +200,11 @@ class WP_Care_Health_Page {
 
             </div>
 
+            <?php
+            $thresholds = WP_Care_Health_Metrics::get_thresholds();
+            include WP_CARE_PLUGIN_DIR . 'admin/views/health-trends.php';
+            ?>
+
             <!-- Plugins Table -->
             <h2 style="margin-top: 30px;"><?php esc_html_e( 'Plugins', 'wp-care-connector' ); ?></h2>
             <?php
@@ -266,53 +276,4 @@ class WP_Care_Health_Page {
         </div>
         <?php
     }
-
-    /**
-     * Get the size of a directory in bytes.
-     *
-     * @param string $path Directory path.
-     * @return int Size in bytes.
-     */
-    private static function get_directory_size( $path ) {
-        $size = 0;
-
-        if ( ! is_dir( $path ) ) {
-            return $size;
-        }
-
-        $iterator = new RecursiveIteratorIterator(
-            new RecursiveDirectoryIterator( $path, RecursiveDirectoryIterator::SKIP_DOTS ),
-            RecursiveIteratorIterator::SELF_FIRST
-        );
-
-        foreach ( $iterator as $file ) {
-            if ( $file->isFile() ) {
-                $size += $file->getSize();
-            }
-        }
-
-        return $size;
-    }
-
-    /**
-     * Get the total database size as a human-readable string.
-     *
-     * @return string Database size.
-     */
-    private static function get_database_size() {
-        global $wpdb;
-
-        $result = $wpdb->get_results(
-            $wpdb->prepare(
-                "SELECT SUM(data_length + index_length) AS size FROM information_schema.tables WHERE table_schema = %s",
-                DB_NAME
-            )
-        );
-
-        if ( $result && isset( $result[0]->size ) ) {
-            return size_format( (int) $result[0]->size );
-        }
-
-        return __( 'Unknown', 'wp-care-connector' );
-    }
 }
@@ -0,0 +1,834 @@
+<?php
+/**
+ * WP Care File Integrity
+ *
+ * Keeps a baseline of SHA-256 hashes for WordPress core, plugins, themes,
+ * must-use plugins and drop-ins, and rescans on a schedule to report files
+ * that were added, modified or deleted since. PHP files in the uploads
+ * folder are always flagged, since uploads should never contain code.
+ *
+ * Scans list the files in one go with WP_Care_Migration::list_files(),
+ * then hash them in time-boxed chunks: from WP-Cron, from the File
+ * Integrity page over AJAX, or from the remote API.
+ *
+ * Lists and indexes are kept in wp-care-backups/integrity:
+ *
+ * - baseline.txt  Accepted state, "sha256<TAB>size<TAB>mtime<TAB>path" per line.
+ * - latest.txt    State found by the last scan, same format.
+ * - results.json  Differences between the two.
+ * - filelist.txt / scan.txt  Work files of the scan in progress.
+ *
+ * Paths are entry paths as in WP_Care_Migration: relative to wp-content,
+ * or starting with "/" and relative to ABSPATH for core files.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class WP_Care_Integrity {
+
+    /**
+     * Option holding the scan in progress and the last results summary.
+     *
+     * @var string
+     */
+    const STATUS_OPTION = 'wp_care_integrity_status';
+
+    /**
+     * Option holding the scan frequency.
+     *
+     * @var string
+     */
+    const SETTINGS_OPTION = 'wp_care_integrity_settings';
+
+    /**
+     * Recurring cron hook that starts a scan.
+     *
+     * @var string
+     */
+    const SCAN_HOOK = 'wp_care_integrity_scan';
+
+    /**
+     * Single cron hook that continues a scan.
+     *
+     * @var string
+     */
+    const CHUNK_HOOK = 'wp_care_integrity_scan_chunk';
+
+    /**
+     * Seconds of hashing per cron request.
+     *
+     * @var int
+     */
+    const TIME_BUDGET = 50;
+
+    /**
+     * Minutes without progress after which a scan counts as abandoned.
+     *
+     * @var int
+     */
+    const STALE_MINUTES = 15;
+
+    /**
+     * Extensions that make a file in uploads suspicious.
+     *
+     * @var string
+     */
+    const PHP_PATTERN = '/\.(php\d?|phtml|phar|phps|pht)$/i';
+
+    /**
+     * Scan frequencies and the cron recurrence each uses.
+     *
+     * @return array Frequency => recurrence ('' for off).
+     */
+    public static function get_frequencies() {
+        return array(
+            'off'        => '',
+            'twicedaily' => 'twicedaily',
+            'daily'      => 'daily',
+            'weekly'     => 'wp_care_weekly',
+        );
+    }
+
+    /**
+     * Get the scan frequency.
+     *
+     * @return string
+     */
+    public static function get_frequency() {
+        $settings = get_option( self::SETTINGS_OPTION, array() );
+
+        return isset( $settings['frequency'] ) && array_key_exists( $settings['frequency'], self::get_frequencies() )
+            ? $settings['frequency']
+            : 'daily';
+    }
+
+    /**
+     * Save the scan frequency and reschedule.
+     *
+     * @param string $frequency One of get_frequencies().
+     * @return void
+     */
+    public static function set_frequency( $frequency ) {
+        if ( ! array_key_exists( $frequency, self::get_frequencies() ) ) {
+            $frequency = 'daily';
+        }
+
+        update_option( self::SETTINGS_OPTION, array( 'frequency' => $frequency ), false );
+        self::reschedule();
+    }
+
+    /**
+     * Clear and re-create the recurring scan from the frequency.
+     *
+     * @return void
+     */
+    public static function reschedule() {
+        wp_clear_scheduled_hook( self::SCAN_HOOK );
+
+        $recurrences = self::get_frequencies();
+        $recurrence  = $recurrences[ self::get_frequency() ];
+
+        if ( $recurrence ) {
+            wp_schedule_event( time() + HOUR_IN_SECONDS, $recurrence, self::SCAN_HOOK );
+        }
+    }
+
+    /**
+     * Schedule scans if they should run and aren't scheduled yet. Called on
+     * activation and on each load, for sites updated without reactivating.
+     *
+     * @return void
+     */
+    public static function install() {
+        if ( self::get_frequency() !== 'off' && ! wp_next_scheduled( self::SCAN_HOOK ) ) {
+            self::reschedule();
+        }
+    }
+
+    /**
+     * Get the scan status.
+     *
+     * @return array 'current' scan or null, 'baseline' {created_at, files} or
+     *               null, and 'last_scan' summary or null.
+     */
+    public static function get_status() {
+        return wp_parse_args( get_option( self::STATUS_OPTION, array() ), array(
+            'current'   => null,
+            'baseline'  => null,
+            'last_scan' => null,
+        ) );
+    }
+
+    /**
+     * Save the scan status.
+     *
+     * @param array $status Status.
+     * @return void
+     */
+    private static function save_status( $status ) {
+        update_option( self::STATUS_OPTION, $status, false );
+    }
+
+    /**
+     * Get the differences found by the last scan.
+     *
+     * @param int $limit Entries returned per list, 0 for all.
+     * @return array|null {finished_at, files, added, modified, deleted,
+     *                    uploads_php, truncated}, or null before the first
+     *                    comparison. Each list holds {path, size}; uploads_php
+     *                    entries also say whether they are 'new'.
+     */
+    public static function get_results( $limit = 0 ) {
+        $json    = @file_get_contents( self::get_dir() . '/results.json' );
+        $results = $json ? json_decode( $json, true ) : null;
+
+        if ( ! is_array( $results ) ) {
+            return null;
+        }
+
+        $results['truncated'] = false;
+
+        if ( $limit ) {
+            foreach ( array( 'added', 'modified', 'deleted', 'uploads_php' ) as $list ) {
+                if ( count( $results[ $list ] ) > $limit ) {
+                    $results[ $list ]     = array_slice( $results[ $list ], 0, $limit );
+                    $results['truncated'] = true;
+                }
+            }
+        }
+
+        return $results;
+    }
+
+    /**
+     * Count the unaccepted changes from the last scan. New PHP files in
+     * uploads are among the added ones.
+     *
+     * @return int
+     */
+    public static function count_changes() {
+        $status = self::get_status();
+
+        if ( empty( $status['last_scan'] ) ) {
+            return 0;
+        }
+
+        $last = $status['last_scan'];
+
+        return $last['added'] + $last['modified'] + $last['deleted'];
+    }
+
+    /**
+     * Get a path as shown to people: relative to the WordPress folder.
+     *
+     * @param string $path Entry path.
+     * @return string
+     */
+    public static function get_display_path( $path ) {
+        if ( strpos( $path, '/' ) === 0 ) {
+            return substr( $path, 1 );
+        }
+
+        return basename( WP_CONTENT_DIR ) . '/' . $path;
+    }
+
+    /**
+     * Start a scan.
+     *
+     * Lists every monitored file, then leaves the hashing to process_chunk().
+     * The first scan, or one started with $mode 'baseline', becomes the
+     * baseline instead of being compared against it.
+     *
+     * @param string $mode   'scan' or 'baseline'.
+     * @param string $source What started it: 'manual', 'scheduled' or 'api'.
+     * @return array|WP_Error The scan (see get_status()).
+     */
+    public static function start_scan( $mode = 'scan', $source = 'manual' ) {
+        $status = self::get_status();
+
+        if ( ! empty( $status['current'] ) ) {
+            if ( $status['current']['updated_at'] > time() - self::STALE_MINUTES * MINUTE_IN_SECONDS ) {
+                return new WP_Error( 'scan_running', __( 'A file integrity scan is already running.', 'wp-care-connector' ) );
+            }
+
+            self::fail_scan( __( 'The previous scan stopped before finishing.', 'wp-care-connector' ) );
+            $status = self::get_status();
+        }
+
+        $dir = self::get_dir();
+        if ( ! WP_Care_Backup::ensure_backup_dir() || ! wp_mkdir_p( $dir ) ) {
+            return new WP_Error( 'dir_unwritable', __( 'The backup folder is not writable.', 'wp-care-connector' ) );
+        }
+
+        $handle = fopen( $dir . '/filelist.txt', 'w' );
+        if ( ! $handle ) {
+            return new WP_Error( 'dir_unwritable', __( 'The scan file list could not be created.', 'wp-care-connector' ) );
+        }
+
+        @set_time_limit( 300 );
+
+        $total   = self::list_files( $handle );
+        $uploads = self::get_uploads_entry();
+
+        if ( $uploads !== null ) {
+            $total += self::list_uploads_php( $uploads, $handle );
+        }
+
+        fclose( $handle );
+        @unlink( $dir . '/scan.txt' );
+
+        $status['current'] = array(
+            'id'         => gmdate( 'Ymd-His' ),
+            'mode'       => ( $mode === 'baseline' || empty( $status['baseline'] ) ) ? 'baseline' : 'scan',
+            'source'     => $source,
+            'uploads'    => $uploads,
+            'total'      => $total,
+            'processed'  => 0,
+            'offset'     => 0,
+            'started_at' => time(),
+            'updated_at' => time(),
+        );
+        self::save_status( $status );
+
+        return $status['current'];
+    }
+
+    /**
+     * Hash the next files of the scan in progress.
+     *
+     * @param int $time_budget Seconds to spend.
+     * @return array|WP_Error {id, mode, total, processed, busy, completed,
+     *                        summary}. busy is set when another request holds
+     *                        the scan.
+     */
+    public static function process_chunk( $time_budget = 20 ) {
+        $status  = self::get_status();
+        $current = $status['current'];
+
+        if ( empty( $current ) ) {
+            return new WP_Error( 'no_scan', __( 'No file integrity scan is running.', 'wp-care-connector' ) );
+        }
+
+        $progress = array(
+            'id'        => $current['id'],
+            'mode'      => $current['mode'],
+            'total'     => $current['total'],
+            'processed' => $current['processed'],
+            'busy'      => false,
+            'completed' => false,
+            'summary'   => null,
+        );
+
+        // Cron and the admin page can both be driving the same scan
+        if ( get_transient( 'wp_care_integrity_lock' ) ) {
+            $progress['busy'] = true;
+            return $progress;
+        }
+        set_transient( 'wp_care_integrity_lock', 1, $time_budget + 60 );
+
+        $dir   = self::get_dir();
+        $list  = fopen( $dir . '/filelist.txt', 'r' );
+        $index = fopen( $dir . '/scan.txt', 'a' );
+
+        if ( ! $list || ! $index ) {
+            delete_transient( 'wp_care_integrity_lock' );
+            self::fail_scan( __( 'The scan files could not be opened.', 'wp-care-connector' ) );
+            return new WP_Error( 'scan_failed', __( 'The scan files could not be opened.', 'wp-care-connector' ) );
+        }
+
+        @set_time_limit( $time_budget + 30 );
+
+        $migration = new WP_Care_Migration();
+        $started   = microtime( true );
+        $done      = false;
+
+        fseek( $list, $current['offset'] );
+
+        while ( microtime( true ) - $started < $time_budget ) {
+            $line = fgets( $list );
+            if ( $line === false ) {
+                $done = true;
+                break;
+            }
+
+            $relative = rtrim( $line, "\r\n" );
+            $path     = $migration->get_entry_path( $relative );
+
+            // Removed since it was listed
+            if ( $relative === '' || ! is_file( $path ) || ! is_readable( $path ) ) {
+                continue;
+            }
+
+            $hash = hash_file( 'sha256', $path );
+            if ( $hash ) {
+                fwrite( $index, $hash . "\t" . filesize( $path ) . "\t" . (int) filemtime( $path ) . "\t" . $relative . "\n" );
+            }
+            $current['processed']++;
+        }
+
+        $current['offset']     = ftell( $list );
+        $current['updated_at'] = time();
+        fclose( $list );
+        fclose( $index );
+
+        $status['current'] = $current;
+        self::save_status( $status );
+
+        if ( $done ) {
+            $progress['summary']   = self::finish_scan();
+            $progress['completed'] = true;
+        }
+
+        $progress['processed'] = $current['processed'];
+        delete_transient( 'wp_care_integrity_lock' );
+
+        return $progress;
+    }
+
+    /**
+     * Start a scheduled scan. Hooked to the recurring cron event.
+     *
+     * @return void
+     */
+    public static function start_scheduled_scan() {
+        $scan = self::start_scan( 'scan', 'scheduled' );
+
+        // A scan is already running; it is carried on by its own events
+        if ( is_wp_error( $scan ) ) {
+            return;
+        }
+
+        self::continue_scan();
+    }
+
+    /**
+     * Hash files until the scan is done or out of time, then queue the
+     * next chunk. Hooked to the single cron event.
+     *
+     * @return void
+     */
+    public static function continue_scan() {
+        $progress = self::process_chunk( self::TIME_BUDGET );
+
+        if ( is_wp_error( $progress ) || $progress['completed'] ) {
+            return;
+        }
+
+        wp_schedule_single_event( time() + ( $progress['busy'] ? MINUTE_IN_SECONDS : 0 ), self::CHUNK_HOOK );
+    }
+
+    /**
+     * Accept changes from the last scan into the baseline.
+     *
+     * @param string[]|null $paths Paths to accept, or null for every change.
+     * @return int|WP_Error Number of changes accepted.
+     */
+    public static function accept_changes( $paths = null ) {
+        $status = self::get_status();
+
+        if ( ! empty( $status['current'] ) ) {
+            return new WP_Error( 'scan_running', __( 'Wait for the running scan to finish.', 'wp-care-connector' ) );
+        }
+
+        $results = self::get_results();
+        if ( ! $results ) {
+            return new WP_Error( 'no_results', __( 'There are no scan results to accept.', 'wp-care-connector' ) );
+        }
+
+        $dir      = self::get_dir();
+        $baseline = self::load_index( $dir . '/baseline.txt' );
+        $latest   = self::load_index( $dir . '/latest.txt' );
+
+        if ( $baseline === false || $latest === false ) {
+            return new WP_Error( 'index_missing', __( 'The baseline or the last scan could not be read. Create a new baseline.', 'wp-care-connector' ) );
+        }
+
+        $changed = array();
+        foreach ( array( 'added', 'modified', 'deleted', 'uploads_php' ) as $list ) {
+            foreach ( $results[ $list ] as $entry ) {
+                if ( $list !== 'uploads_php' || $entry['new'] ) {
+                    $changed[ $entry['path'] ] = true;
+                }
+            }
+        }
+
+        $accept = $paths === null ? array_keys( $changed ) : array_values( array_intersect( (array) $paths, array_keys( $changed ) ) );
+
+        foreach ( $accept as $path ) {
+            if ( isset( $latest[ $path ] ) ) {
+                $baseline[ $path ] = $latest[ $path ];
+            } else {
+                unset( $baseline[ $path ] );
+            }
+        }
+
+        if ( ! self::write_index( $dir . '/baseline.txt', $baseline ) ) {
+            return new WP_Error( 'write_failed', __( 'The baseline could not be saved.', 'wp-care-connector' ) );
+        }
+
+        // Take the accepted paths out of the results
+        $accepted = array_flip( $accept );
+        foreach ( array( 'added', 'modified', 'deleted' ) as $list ) {
+            $results[ $list ] = array_values( array_filter( $results[ $list ], function( $entry ) use ( $accepted ) {
+                return ! isset( $accepted[ $entry['path'] ] );
+            } ) );
+        }
+        foreach ( $results['uploads_php'] as $i => $entry ) {
+            if ( isset( $accepted[ $entry['path'] ] ) ) {
+                $results['uploads_php'][ $i ]['new'] = false;
+            }
+        }
+        self::save_results( $results );
+
+        $status['baseline']['files']      = count( $baseline );
+        $status['baseline']['updated_at'] = time();
+        $status['last_scan']              = self::summarize( $results );
+        self::save_status( $status );
+
+        WP_Care_Activity_Log::log( 'integrity_changes_accepted', array(
+            'files'     => count( $accept ),
+            'remaining' => self::count_changes(),
+        ) );
+
+        return count( $accept );
+    }
+
+    /**
+     * Delete the baseline, results and any scan in progress.
+     *
+     * @return void
+     */
+    public static function clear() {
+        foreach ( array( 'baseline.txt', 'latest.txt', 'results.json', 'filelist.txt', 'scan.txt' ) as $file ) {
+            @unlink( self::get_dir() . '/' . $file );
+        }
+
+        delete_option( self::STATUS_OPTION );
+    }
+
+    /**
+     * Turn the finished scan into the baseline or compare it against it.
+     *
+     * @return array Summary (see summarize()).
+     */
+    private static function finish_scan() {
+        $status  = self::get_status();
+        $current = $status['current'];
+        $dir     = self::get_dir();
+
+        @unlink( $dir . '/filelist.txt' );
+
+        if ( $current['mode'] === 'baseline' ) {
+            rename( $dir . '/scan.txt', $dir . '/baseline.txt' );
+            copy( $dir . '/baseline.txt', $dir . '/latest.txt' );
+            $latest = self::load_index( $dir . '/latest.txt' );
+
+            $results = array(
+                'finished_at' => time(),
+                'files'       => $current['processed'],
+                'added'       => array(),
+                'modified'    => array(),
+                'deleted'     => array(),
+                // Still listed, but not new: they are part of the baseline now
+                'uploads_php' => self::flag_uploads_php( $latest, $current['uploads'], (array) $latest ),
+            );
+
+            $status['baseline'] = array(
+                'created_at' => time(),
+                'updated_at' => time(),
+                'files'      => $current['processed'],
+            );
+
+            WP_Care_Activity_Log::log( 'integrity_baseline_created', array(
+                'files'      => $current['processed'],
+                'started_by' => $current['source'],
+            ) );
+        } else {
+            rename( $dir . '/scan.txt', $dir . '/latest.txt' );
+            $results = self::compare( self::load_index( $dir . '/baseline.txt' ), self::load_index( $dir . '/latest.txt' ), $current['uploads'] );
+        }
+
+        self::save_results( $results );
+
+        $status['current']   = null;
+        $status['last_scan'] = self::summarize( $results );
+        self::save_status( $status );
+
+        if ( $current['mode'] === 'scan' ) {
+            $summary = $status['last_scan'];
+            WP_Care_Activity_Log::log( self::count_changes() ? 'integrity_changes_found' : 'integrity_scan_completed', array(
+                'files'           => $summary['files'],
+                'added'           => $summary['added'],
+                'modified'        => $summary['modified'],
+                'deleted'         => $summary['deleted'],
+                'new_uploads_php' => $summary['new_uploads_php'],
+                'started_by'      => $current['source'],
+            ) );
+        }
+
+        return $status['last_scan'];
+    }
+
+    /**
+     * Record a scan that could not finish.
+     *
+     * @param string $error Error message.
+     * @return void
+     */
+    private static function fail_scan( $error ) {
+        $status = self::get_status();
+        $source = isset( $status['current']['source'] ) ? $status['current']['source'] : '';
+
+        $status['current'] = null;
+        self::save_status( $status );
+
+        @unlink( self::get_dir() . '/filelist.txt' );
+        @unlink( self::get_dir() . '/scan.txt' );
+
+        WP_Care_Activity_Log::log( 'integrity_scan_failed', array(
+            'error'      => $error,
+            'started_by' => $source,
+        ) );
+    }
+
+    /**
+     * Compare a scan against the baseline.
+     *
+     * @param array|false $baseline Baseline index.
+     * @param array|false $latest   Scan index.
+     * @param string|null $uploads  Uploads folder entry path.
+     * @return array Results (see get_results()).
+     */
+    private static function compare( $baseline, $latest, $uploads ) {
+        $baseline = (array) $baseline;
+        $latest   = (array) $latest;
+        $results  = array(
+            'finished_at' => time(),
+            'files'       => count( $latest ),
+            'added'       => array(),
+            'modified'    => array(),
+            'deleted'     => array(),
+            'uploads_php' => array(),
+        );
+
+        foreach ( $latest as $path => $entry ) {
+            if ( ! isset( $baseline[ $path ] ) ) {
+                $results['added'][] = array( 'path' => $path, 'size' => $entry['size'] );
+            } elseif ( $baseline[ $path ]['sha256'] !== $entry['sha256'] ) {
+                $results['modified'][] = array( 'path' => $path, 'size' => $entry['size'] );
+            }
+        }
+
+        foreach ( $baseline as $path => $entry ) {
+            if ( ! isset( $latest[ $path ] ) ) {
+                $results['deleted'][] = array( 'path' => $path, 'size' => $entry['size'] );
+            }
+        }
+
+        $results['uploads_php'] = self::flag_uploads_php( $latest, $uploads, $baseline );
+
+        return $results;
+    }
+
+    /**
+     * List the PHP files of a scan that are in uploads.
+     *
+     * @param array|false $latest   Scan index.
+     * @param string|null $uploads  Uploads folder entry path.
+     * @param array       $baseline Baseline index; files not in it, or changed, are new.
+     * @return array[] {path, size, new}
+     */
+    private static function flag_uploads_php( $latest, $uploads, $baseline ) {
+        $found = array();
+
+        if ( $uploads === null ) {
+            return $found;
+        }
+
+        foreach ( (array) $latest as $path => $entry ) {
+            if ( strpos( $path, $uploads . '/' ) === 0 ) {
+                $found[] = array(
+                    'path' => $path,
+                    'size' => $entry['size'],
+                    'new'  => ! isset( $baseline[ $path ] ) || $baseline[ $path ]['sha256'] !== $entry['sha256'],
+                );
+            }
+        }
+
+        return $found;
+    }
+
+    /**
+     * Count the results of a scan.
+     *
+     * @param array $results Results.
+     * @return array {finished_at, files, added, modified, deleted, uploads_php, new_uploads_php}
+     */
+    private static function summarize( $results ) {
+        return array(
+            'finished_at'     => $results['finished_at'],
+            'files'           => $results['files'],
+            'added'           => count( $results['added'] ),
+            'modified'        => count( $results['modified'] ),
+            'deleted'         => count( $results['deleted'] ),
+            'uploads_php'     => count( $results['uploads_php'] ),
+            'new_uploads_php' => count( wp_list_filter( $results['uploads_php'], array( 'new' => true ) ) ),
+        );
+    }
+
+    /**
+     * Save scan results.
+     *
+     * @param array $results Results.
+     * @return void
+     */
+    private static function save_results( $results ) {
+        unset( $results['truncated'] );
+        file_put_contents( self::get_dir() . '/results.json', wp_json_encode( $results ) );
+    }
+
+    /**
+     * List the monitored files.
+     *
+     * Core folders and wp-content's plugins, themes and mu-plugins are
+     * walked in full. Of the loose files at the top of ABSPATH and
+     * wp-content only the PHP ones are added (wp-settings.php, drop-ins
+     * like object-cache.php); logs there change all the time.
+     *
+     * @param resource $handle File list handle.
+     * @return int Number of files listed.
+     */
+    private static function list_files( $handle ) {
+        $migration = new WP_Care_Migration();
+        $total     = 0;
+
+        foreach ( array( '/wp-admin', '/' . WPINC, 'plugins', 'themes', 'mu-plugins' ) as $folder ) {
+            $total += $migration->list_files( $folder, $handle );
+        }
+
+        foreach ( array( '/' => ABSPATH, '' => WP_CONTENT_DIR . '/' ) as $prefix => $dir ) {
+            foreach ( (array) glob( $dir . '*.php' ) as $file ) {
+                if ( $file && is_file( $file ) ) {
+                    fwrite( $handle, $prefix . basename( $file ) . "\n" );
+                    $total++;
+                }
+            }
+        }
+
+        return $total;
+    }
+
+    /**
+     * List the PHP files in uploads.
+     *
+     * @param string   $uploads Uploads folder entry path.
+     * @param resource $handle  File list handle.
+     * @return int Number of files listed.
+     */
+    private static function list_uploads_php( $uploads, $handle ) {
+        $all = fopen( 'php://temp', 'w+' );
+        if ( ! $all ) {
+            return 0;
+        }
+
+        $migration = new WP_Care_Migration();
+        $migration->list_files( $uploads, $all );
+        rewind( $all );
+
+        $total = 0;
+        while ( ( $line = fgets( $all ) ) !== false ) {
+            if ( preg_match( self::PHP_PATTERN, rtrim( $line, "\r\n" ) ) ) {
+                fwrite( $handle, $line );
+                $total++;
+            }
+        }
+        fclose( $all );
+
+        return $total;
+    }
+
+    /**
+     * Get the entry path of the uploads folder.
+     *
+     * @return string|null Null if uploads is outside the WordPress folder.
+     */
+    private static function get_uploads_entry() {
+        $upload_dir = wp_upload_dir( null, false );
+        $basedir    = wp_normalize_path( $upload_dir['basedir'] );
+        $content    = wp_normalize_path( WP_CONTENT_DIR );
+        $abspath    = wp_normalize_path( untrailingslashit( ABSPATH ) );
+
+        if ( strpos( $basedir, $content . '/' ) === 0 ) {
+            return substr( $basedir, strlen( $content ) + 1 );
+        }
+
+        if ( strpos( $basedir, $abspath . '/' ) === 0 ) {
+            return substr( $basedir, strlen( $abspath ) );
+        }
+
+        return null;
+    }
+
+    /**
+     * Read a hash index.
+     *
+     * @param string $file Index file.
+     * @return array|false Entries {sha256, size, mtime} keyed by path.
+     */
+    private static function load_index( $file ) {
+        $handle = @fopen( $file, 'r' );
+        if ( ! $handle ) {
+            return false;
+        }
+
+        $entries = array();
+        while ( ( $line = fgets( $handle ) ) !== false ) {
+            $parts = explode( "\t", rtrim( $line, "\r\n" ), 4 );
+            if ( count( $parts ) === 4 ) {
+                $entries[ $parts[3] ] = array(
+                    'sha256' => $parts[0],
+                    'size'   => (int) $parts[1],
+                    'mtime'  => (int) $parts[2],
+                );
+            }
+        }
+        fclose( $handle );
+
+        return $entries;
+    }
+
+    /**
+     * Write a hash index.
+     *
+     * @param string $file    Index file.
+     * @param array  $entries Entries keyed by path.
+     * @return bool
+     */
+    private static function write_index( $file, $entries ) {
+        $handle = fopen( $file . '.tmp', 'w' );
+        if ( ! $handle ) {
+            return false;
+        }
+
+        foreach ( $entries as $path => $entry ) {
+            fwrite( $handle, $entry['sha256'] . "\t" . $entry['size'] . "\t" . $entry['mtime'] . "\t" . $path . "\n" );
+        }
+        fclose( $handle );
+
+        return rename( $file . '.tmp', $file );
+    }
+
+    /**
+     * Get the folder the integrity files are kept in.
+     *
+     * @return string
+     */
+    private static function get_dir() {
+        return WP_CONTENT_DIR . '/wp-care-backups/integrity';
+    }
+}
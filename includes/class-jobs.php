@@ -0,0 +1,595 @@
+<?php
+/**
+ * WP Care Jobs
+ *
+ * Background queue for remote commands that take too long to run inside
+ * one REST request (migration exports and restores). The command answers
+ * with a job ID straight away; the job is then driven through the chunked
+ * migration engine by a loopback request to admin-ajax.php, with a WP-Cron
+ * event as fallback for hosts that block loopbacks. Each runner request
+ * processes chunks for TIME_BUDGET seconds and dispatches the next one.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class WP_Care_Jobs {
+
+    /**
+     * Option key for the job list.
+     *
+     * @var string
+     */
+    const OPTION_KEY = 'wp_care_jobs';
+
+    /**
+     * Single cron hook that runs a job.
+     *
+     * @var string
+     */
+    const RUN_HOOK = 'wp_care_run_job';
+
+    /**
+     * admin-ajax action the loopback request calls.
+     *
+     * @var string
+     */
+    const RUNNER_ACTION = 'wp_care_job_runner';
+
+    /**
+     * Seconds of chunk processing per runner request.
+     *
+     * @var int
+     */
+    const TIME_BUDGET = 50;
+
+    /**
+     * Number of finished jobs kept for display.
+     *
+     * @var int
+     */
+    const MAX_FINISHED = 20;
+
+    /**
+     * Supported job types.
+     *
+     * @return string[]
+     */
+    public static function get_types() {
+        return array( 'export', 'restore' );
+    }
+
+    /**
+     * Get all jobs, newest first.
+     *
+     * The option cache is dropped first: a runner polls this in a loop to
+     * notice cancellations made by other requests.
+     *
+     * @return array Job ID => job.
+     */
+    public static function get_jobs() {
+        wp_cache_delete( self::OPTION_KEY, 'options' );
+
+        return (array) get_option( self::OPTION_KEY, array() );
+    }
+
+    /**
+     * Get one job.
+     *
+     * @param string $job_id Job ID.
+     * @return array|null
+     */
+    public static function get_job( $job_id ) {
+        $jobs = self::get_jobs();
+
+        return isset( $jobs[ $job_id ] ) ? $jobs[ $job_id ] : null;
+    }
+
+    /**
+     * Get jobs that are queued or running.
+     *
+     * @return array Job ID => job.
+     */
+    public static function get_active_jobs() {
+        return array_filter( self::get_jobs(), function( $job ) {
+            return in_array( $job['status'], array( 'queued', 'running' ), true );
+        } );
+    }
+
+    /**
+     * Queue a job and start its runner.
+     *
+     * @param string $type Job type ('export' or 'restore').
+     * @param array  $args Command arguments (export: options, base_id; restore: migration_id, options),
+     *                     plus an optional passphrase for encrypted packages.
+     * @return array|WP_Error The new job.
+     */
+    public static function create( $type, $args ) {
+        if ( ! in_array( $type, self::get_types(), true ) ) {
+            return new WP_Error( 'invalid_job_type', sprintf( 'Unknown job type "%s".', $type ) );
+        }
+
+        if ( $type === 'restore' ) {
+            $migration = new WP_Care_Migration();
+            if ( empty( $args['migration_id'] ) || ! $migration->get_download_path( $args['migration_id'] ) ) {
+                return new WP_Error( 'not_found', 'Migration backup not found.' );
+            }
+
+            // Two restores at once would overwrite each other's work
+            foreach ( self::get_active_jobs() as $active ) {
+                if ( $active['type'] === 'restore' ) {
+                    return new WP_Error( 'restore_in_progress', sprintf( 'Restore job %s is still running.', $active['id'] ) );
+                }
+            }
+        }
+
+        // Kept encrypted only until the export or restore has derived its keys
+        if ( isset( $args['passphrase'] ) && $args['passphrase'] !== '' ) {
+            $args['passphrase'] = WP_Care_Security::encrypt( $args['passphrase'] );
+        } else {
+            unset( $args['passphrase'] );
+        }
+
+        $job = array(
+            'id'           => gmdate( 'Ymd_His' ) . '_' . wp_generate_password( 6, false, false ),
+            'type'         => $type,
+            'status'       => 'queued',
+            'args'         => $args,
+            'migration_id' => $type === 'restore' ? $args['migration_id'] : null,
+            'stage'        => null,
+            'phase'        => null,
+            'progress'     => 0,
+            'error'        => null,
+            'result'       => null,
+            'runner_key'   => wp_generate_password( 32, false, false ),
+            'created_at'   => gmdate( 'c' ),
+            'started_at'   => null,
+            'updated_at'   => gmdate( 'c' ),
+            'finished_at'  => null,
+        );
+
+        $jobs = self::get_jobs();
+        $jobs = array( $job['id'] => $job ) + $jobs;
+        update_option( self::OPTION_KEY, self::prune( $jobs ), false );
+
+        WP_Care_Activity_Log::log( 'job_queued', array(
+            'job_id' => $job['id'],
+            'type'   => $type,
+        ) );
+
+        self::dispatch( $job['id'] );
+
+        return $job;
+    }
+
+    /**
+     * Cancel a queued or running job.
+     *
+     * The unfinished export or restore is discarded. A restore that already
+     * started leaves the site partially restored; its checkpoint is kept.
+     *
+     * @param string $job_id Job ID.
+     * @return array|WP_Error The cancelled job.
+     */
+    public static function cancel( $job_id ) {
+        $job = self::get_job( $job_id );
+
+        if ( ! $job ) {
+            return new WP_Error( 'job_not_found', sprintf( 'Job %s not found.', $job_id ) );
+        }
+
+        if ( ! in_array( $job['status'], array( 'queued', 'running' ), true ) ) {
+            return new WP_Error( 'job_finished', sprintf( 'Job %s has already finished.', $job_id ) );
+        }
+
+        $job = self::update( $job_id, array(
+            'status'      => 'cancelled',
+            'finished_at' => gmdate( 'c' ),
+        ) );
+
+        wp_clear_scheduled_hook( self::RUN_HOOK, array( $job_id ) );
+
+        // A runner that is mid-request discards the work itself once it
+        // sees the cancellation
+        if ( ! get_transient( self::lock_key( $job_id ) ) ) {
+            self::discard_work( $job );
+        }
+
+        WP_Care_Activity_Log::log( 'job_cancelled', array(
+            'job_id' => $job_id,
+            'type'   => $job['type'],
+        ) );
+
+        return $job;
+    }
+
+    /**
+     * Start a runner request for a job.
+     *
+     * A cron event is queued first so the job still runs if the loopback
+     * request is blocked.
+     *
+     * @param string $job_id Job ID.
+     * @param int    $delay  Seconds before the fallback cron event.
+     * @return void
+     */
+    public static function dispatch( $job_id, $delay = 0 ) {
+        $job = self::get_job( $job_id );
+        if ( ! $job ) {
+            return;
+        }
+
+        if ( ! wp_next_scheduled( self::RUN_HOOK, array( $job_id ) ) ) {
+            wp_schedule_single_event( time() + $delay, self::RUN_HOOK, array( $job_id ) );
+        }
+
+        if ( $delay > 0 ) {
+            return;
+        }
+
+        wp_remote_post( admin_url( 'admin-ajax.php' ), array(
+            'timeout'   => 0.01,
+            'blocking'  => false,
+            /** This filter is documented in wp-includes/class-wp-http-streams.php */
+            'sslverify' => apply_filters( 'https_local_ssl_verify', false ),
+            'body'      => array(
+                'action' => self::RUNNER_ACTION,
+                'job_id' => $job_id,
+                'key'    => $job['runner_key'],
+            ),
+        ) );
+    }
+
+    /**
+     * Handle the loopback request. Hooked to admin-ajax for logged-out
+     * requests too; the per-job runner key is the authorization.
+     *
+     * @return void
+     */
+    public static function handle_runner_request() {
+        $job_id = isset( $_POST['job_id'] ) ? sanitize_file_name( wp_unslash( $_POST['job_id'] ) ) : '';
+        $key    = isset( $_POST['key'] ) ? sanitize_text_field( wp_unslash( $_POST['key'] ) ) : '';
+        $job    = $job_id !== '' ? self::get_job( $job_id ) : null;
+
+        if ( ! $job || ! hash_equals( $job['runner_key'], $key ) ) {
+            wp_die( '', '', array( 'response' => 403 ) );
+        }
+
+        ignore_user_abort( true );
+        self::run( $job_id );
+        wp_die();
+    }
+
+    /**
+     * Work on a job until it finishes or the time budget runs out.
+     *
+     * @param string $job_id Job ID.
+     * @return void
+     */
+    public static function run( $job_id ) {
+        $job_id = sanitize_file_name( $job_id );
+        $job    = self::get_job( $job_id );
+
+        if ( ! $job || ! in_array( $job['status'], array( 'queued', 'running' ), true ) ) {
+            return;
+        }
+
+        // The loopback request and the fallback cron event can both arrive
+        $lock_key = self::lock_key( $job_id );
+        if ( get_transient( $lock_key ) ) {
+            return;
+        }
+        set_transient( $lock_key, 1, self::TIME_BUDGET + 2 * MINUTE_IN_SECONDS );
+
+        if ( function_exists( 'set_time_limit' ) ) {
+            @set_time_limit( self::TIME_BUDGET + 60 );
+        }
+
+        // Picks the job up again if this request dies mid-chunk
+        wp_clear_scheduled_hook( self::RUN_HOOK, array( $job_id ) );
+        wp_schedule_single_event( time() + self::TIME_BUDGET + 3 * MINUTE_IN_SECONDS, self::RUN_HOOK, array( $job_id ) );
+
+        if ( $job['status'] === 'queued' ) {
+            $job = self::start( $job );
+        }
+
+        $started = time();
+        $delay   = 0;
+
+        while ( $job['status'] === 'running' && time() - $started < self::TIME_BUDGET ) {
+            $job = self::step( $job );
+
+            if ( ! empty( $job['busy'] ) ) {
+                // Someone is working on the same migration from the admin
+                $delay = MINUTE_IN_SECONDS;
+                break;
+            }
+        }
+
+        delete_transient( $lock_key );
+        wp_clear_scheduled_hook( self::RUN_HOOK, array( $job_id ) );
+
+        if ( $job['status'] === 'cancelled' ) {
+            self::discard_work( $job );
+        } elseif ( $job['status'] === 'running' ) {
+            self::dispatch( $job_id, $delay );
+        }
+    }
+
+    /**
+     * Initialize the export or restore behind a queued job.
+     *
+     * @param array $job Queued job.
+     * @return array Updated job.
+     */
+    private static function start( $job ) {
+        $migration = new WP_Care_Migration();
+        $args      = $job['args'];
+        $options   = isset( $args['options'] ) ? (array) $args['options'] : array();
+
+        if ( $job['type'] === 'export' ) {
+            $state = $migration->init_export( $options, 'remote', isset( $args['base_id'] ) ? $args['base_id'] : '', self::get_passphrase( $job ) );
+            if ( ! $state && ! is_wp_error( $state ) ) {
+                $state = new WP_Error( 'init_failed', 'Failed to initialize migration export' );
+            }
+            $stage = 'export';
+        } else {
+            $stage = 'restore';
+            $state = $migration->init_restore( $job['migration_id'], array_merge( $options, array( 'passphrase' => self::get_passphrase( $job ) ) ) );
+
+            // Verify first, as run_full_restore() does
+            if ( is_wp_error( $state ) && $state->get_error_code() === 'verification_required' ) {
+                $stage = 'verify';
+                $state = $migration->init_verify( $job['migration_id'] );
+            }
+        }
+
+        if ( is_wp_error( $state ) ) {
+            return self::fail( $job, $state->get_error_message() );
+        }
+
+        // The restore still needs the passphrase after verifying
+        if ( $stage !== 'verify' ) {
+            unset( $args['passphrase'] );
+        }
+
+        return self::update( $job['id'], array(
+            'args'         => $args,
+            'status'       => 'running',
+            'stage'        => $stage,
+            'migration_id' => $state['migration_id'],
+            'phase'        => $state['phase'],
+            'progress'     => $state['progress'],
+            'started_at'   => gmdate( 'c' ),
+        ) );
+    }
+
+    /**
+     * Process one chunk of a running job.
+     *
+     * @param array $job Running job.
+     * @return array Updated job, with 'busy' set if the migration is locked.
+     */
+    private static function step( $job ) {
+        $migration = new WP_Care_Migration();
+
+        switch ( $job['stage'] ) {
+            case 'export':
+                $state = $migration->process_chunk( $job['migration_id'] );
+                break;
+
+            case 'verify':
+                $state = $migration->process_verify_chunk( $job['migration_id'] );
+                if ( empty( $state['error'] ) && ! empty( $state['completed'] ) ) {
+                    $options = isset( $job['args']['options'] ) ? (array) $job['args']['options'] : array();
+                    $restore = $migration->init_restore( $job['migration_id'], array_merge( $options, array( 'passphrase' => self::get_passphrase( $job ) ) ) );
+                    if ( is_wp_error( $restore ) ) {
+                        return self::fail( $job, $restore->get_error_message() );
+                    }
+                    unset( $job['args']['passphrase'] );
+                    return self::update( $job['id'], array(
+                        'args'     => $job['args'],
+                        'stage'    => 'restore',
+                        'phase'    => $restore['phase'],
+                        'progress' => 0,
+                    ) );
+                }
+                break;
+
+            default:
+                $state = $migration->process_restore_chunk( $job['migration_id'] );
+                break;
+        }
+
+        if ( ! empty( $state['busy'] ) ) {
+            $job['busy'] = true;
+            return $job;
+        }
+
+        if ( ! empty( $state['error'] ) ) {
+            if ( $job['stage'] !== 'verify' ) {
+                $migration->discard_interrupted( $job['migration_id'] );
+            }
+            return self::fail( $job, $state['error'] );
+        }
+
+        if ( ! empty( $state['completed'] ) ) {
+            return self::complete( $job, $state );
+        }
+
+        return self::update( $job['id'], array(
+            'phase'    => $state['phase'],
+            'progress' => $state['progress'],
+        ) );
+    }
+
+    /**
+     * Record a finished job.
+     *
+     * @param array $job   Job.
+     * @param array $state Final export or restore state.
+     * @return array Updated job.
+     */
+    private static function complete( $job, $state ) {
+        if ( $job['type'] === 'export' ) {
+            $result = array(
+                'migration_id'       => $state['migration_id'],
+                'archive_size'       => isset( $state['archive_size'] ) ? $state['archive_size'] : 0,
+                'archive_size_human' => isset( $state['archive_size_human'] ) ? $state['archive_size_human'] : '',
+                'created_at'         => $state['created_at'],
+            );
+
+            WP_Care_Activity_Log::log( 'migration_created', array(
+                'migration_id' => $state['migration_id'],
+                'size'         => $result['archive_size_human'],
+                'job_id'       => $job['id'],
+            ) );
+        } else {
+            $result = array(
+                'migration_id'  => $job['migration_id'],
+                'checkpoint_id' => isset( $state['checkpoint_id'] ) ? $state['checkpoint_id'] : null,
+            );
+
+            WP_Care_Activity_Log::log( 'migration_restored', array(
+                'migration_id'  => $job['migration_id'],
+                'checkpoint_id' => isset( $result['checkpoint_id'] ) ? $result['checkpoint_id'] : '',
+                'job_id'        => $job['id'],
+            ) );
+        }
+
+        return self::update( $job['id'], array(
+            'status'      => 'completed',
+            'phase'       => 'complete',
+            'progress'    => 100,
+            'result'      => $result,
+            'finished_at' => gmdate( 'c' ),
+        ) );
+    }
+
+    /**
+     * Record a failed job.
+     *
+     * @param array  $job   Job.
+     * @param string $error Error message.
+     * @return array Updated job.
+     */
+    private static function fail( $job, $error ) {
+        WP_Care_Activity_Log::log( 'job_failed', array(
+            'job_id' => $job['id'],
+            'type'   => $job['type'],
+            'error'  => $error,
+        ) );
+
+        return self::update( $job['id'], array(
+            'status'      => 'failed',
+            'error'       => $error,
+            'finished_at' => gmdate( 'c' ),
+        ) );
+    }
+
+    /**
+     * Drop the unfinished export or restore behind a cancelled job.
+     *
+     * @param array $job Cancelled job.
+     * @return void
+     */
+    private static function discard_work( $job ) {
+        if ( empty( $job['stage'] ) || empty( $job['migration_id'] ) ) {
+            return;
+        }
+
+        $migration = new WP_Care_Migration();
+        if ( $job['stage'] !== 'verify' ) {
+            $migration->discard_interrupted( $job['migration_id'] );
+        }
+    }
+
+    /**
+     * Merge changes into a stored job.
+     *
+     * The job is re-read first so a cancellation saved by another request
+     * is never overwritten with 'running'.
+     *
+     * @param string $job_id  Job ID.
+     * @param array  $changes Fields to update.
+     * @return array Updated job.
+     */
+    private static function update( $job_id, $changes ) {
+        $jobs = self::get_jobs();
+        if ( ! isset( $jobs[ $job_id ] ) ) {
+            return array_merge( array( 'id' => $job_id, 'status' => 'cancelled' ), $changes );
+        }
+
+        if ( $jobs[ $job_id ]['status'] === 'cancelled' ) {
+            unset( $changes['status'] );
+        }
+
+        $jobs[ $job_id ] = array_merge( $jobs[ $job_id ], $changes, array( 'updated_at' => gmdate( 'c' ) ) );
+
+        // A finished job has no further use for a passphrase
+        if ( ! in_array( $jobs[ $job_id ]['status'], array( 'queued', 'running' ), true ) ) {
+            unset( $jobs[ $job_id ]['args']['passphrase'] );
+        }
+        update_option( self::OPTION_KEY, $jobs, false );
+
+        return $jobs[ $job_id ];
+    }
+
+    /**
+     * Drop the oldest finished jobs beyond MAX_FINISHED.
+     *
+     * @param array $jobs Jobs, newest first.
+     * @return array
+     */
+    private static function prune( $jobs ) {
+        $finished = 0;
+
+        foreach ( $jobs as $id => $job ) {
+            if ( ! in_array( $job['status'], array( 'queued', 'running' ), true ) && ++$finished > self::MAX_FINISHED ) {
+                unset( $jobs[ $id ] );
+            }
+        }
+
+        return $jobs;
+    }
+
+    /**
+     * Strip internal fields before a job is returned to a remote caller.
+     *
+     * @param array $job Job.
+     * @return array
+     */
+    public static function to_public( $job ) {
+        unset( $job['runner_key'], $job['busy'], $job['args']['passphrase'] );
+
+        return $job;
+    }
+
+    /**
+     * Get the passphrase a job was queued with.
+     *
+     * @param array $job Job.
+     * @return string Passphrase, or '' if none.
+     */
+    private static function get_passphrase( $job ) {
+        if ( empty( $job['args']['passphrase'] ) ) {
+            return '';
+        }
+
+        return (string) WP_Care_Security::decrypt( $job['args']['passphrase'] );
+    }
+
+    /**
+     * Transient key of a job's runner lock.
+     *
+     * @param string $job_id Job ID.
+     * @return string
+     */
+    private static function lock_key( $job_id ) {
+        return 'wp_care_job_lock_' . md5( $job_id );
+    }
+}
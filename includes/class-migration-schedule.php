@@ -0,0 +1,418 @@
+<?php
+/**
+ * WP Care Migration Schedule
+ *
+ * Runs migration exports automatically on a WP-Cron schedule. Each run is
+ * driven through WP_Care_Migration::process_chunk() in short batches, with
+ * a follow-up single event queued whenever a request runs out of time.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class WP_Care_Migration_Schedule {
+
+    /**
+     * Option key for schedule settings.
+     *
+     * @var string
+     */
+    const OPTION_KEY = 'wp_care_migration_schedule';
+
+    /**
+     * Option key for run status (current run, last result, failures).
+     *
+     * @var string
+     */
+    const STATUS_KEY = 'wp_care_migration_schedule_status';
+
+    /**
+     * Recurring cron hook that starts a scheduled export.
+     *
+     * @var string
+     */
+    const RUN_HOOK = 'wp_care_scheduled_migration';
+
+    /**
+     * Single cron hook that continues a scheduled export.
+     *
+     * @var string
+     */
+    const CHUNK_HOOK = 'wp_care_scheduled_migration_chunk';
+
+    /**
+     * Seconds of chunk processing per cron request.
+     *
+     * @var int
+     */
+    const TIME_BUDGET = 50;
+
+    /**
+     * Number of failures kept for display.
+     *
+     * @var int
+     */
+    const MAX_FAILURES = 10;
+
+    /**
+     * Get schedule settings merged with defaults.
+     *
+     * @return array
+     */
+    public static function get_settings() {
+        $migration = new WP_Care_Migration();
+
+        $settings = wp_parse_args( get_option( self::OPTION_KEY, array() ), array(
+            'enabled'      => false,
+            'frequency'    => 'daily',
+            'time'         => '03:00',
+            'weekday'      => 0,
+            'custom_hours' => 12,
+            'options'      => array(),
+        ) );
+
+        $settings['options'] = wp_parse_args( (array) $settings['options'], $migration->get_default_options() );
+
+        return $settings;
+    }
+
+    /**
+     * Sanitize and save schedule settings, then reschedule the cron event.
+     *
+     * @param array $input Raw settings.
+     * @return array The saved settings.
+     */
+    public static function save_settings( $input ) {
+        $migration = new WP_Care_Migration();
+
+        $frequency = isset( $input['frequency'] ) && in_array( $input['frequency'], array( 'daily', 'weekly', 'custom' ), true )
+            ? $input['frequency']
+            : 'daily';
+
+        $time = isset( $input['time'] ) && preg_match( '/^([01]\d|2[0-3]):[0-5]\d$/', $input['time'] )
+            ? $input['time']
+            : '03:00';
+
+        // Unticked checkboxes are not posted, so missing booleans are off
+        $options = array();
+        foreach ( $migration->get_default_options() as $key => $default ) {
+            if ( is_bool( $default ) ) {
+                $options[ $key ] = ! empty( $input['options'][ $key ] );
+            } elseif ( isset( $input['options'][ $key ] ) ) {
+                $options[ $key ] = $input['options'][ $key ];
+            }
+        }
+        $options = $migration->sanitize_options( $options );
+
+        // A preset replaces the options above when the export runs
+        if ( ! empty( $input['options']['preset'] ) && $migration->get_preset( sanitize_key( $input['options']['preset'] ) ) ) {
+            $options['preset'] = sanitize_key( $input['options']['preset'] );
+        }
+
+        $settings = array(
+            'enabled'      => ! empty( $input['enabled'] ),
+            'frequency'    => $frequency,
+            'time'         => $time,
+            'weekday'      => isset( $input['weekday'] ) ? min( 6, absint( $input['weekday'] ) ) : 0,
+            'custom_hours' => isset( $input['custom_hours'] ) ? min( 168, max( 1, absint( $input['custom_hours'] ) ) ) : 12,
+            'options'      => $options,
+        );
+
+        update_option( self::OPTION_KEY, $settings, false );
+        self::reschedule( $settings );
+
+        return $settings;
+    }
+
+    /**
+     * Register custom cron recurrences.
+     *
+     * @param array $schedules Existing schedules.
+     * @return array
+     */
+    public static function add_cron_schedules( $schedules ) {
+        if ( ! isset( $schedules['wp_care_weekly'] ) ) {
+            $schedules['wp_care_weekly'] = array(
+                'interval' => WEEK_IN_SECONDS,
+                'display'  => __( 'Once Weekly', 'wp-care-connector' ),
+            );
+        }
+
+        $settings = get_option( self::OPTION_KEY, array() );
+        $hours    = isset( $settings['custom_hours'] ) ? max( 1, absint( $settings['custom_hours'] ) ) : 12;
+
+        $schedules['wp_care_migration_custom'] = array(
+            'interval' => $hours * HOUR_IN_SECONDS,
+            /* translators: %d: number of hours */
+            'display'  => sprintf( __( 'Every %d hours', 'wp-care-connector' ), $hours ),
+        );
+
+        return $schedules;
+    }
+
+    /**
+     * Clear and re-create the recurring event from settings.
+     *
+     * @param array|null $settings Settings, or null to load them.
+     * @return void
+     */
+    public static function reschedule( $settings = null ) {
+        if ( null === $settings ) {
+            $settings = self::get_settings();
+        }
+
+        wp_clear_scheduled_hook( self::RUN_HOOK );
+
+        if ( empty( $settings['enabled'] ) ) {
+            return;
+        }
+
+        $recurrences = array(
+            'daily'  => 'daily',
+            'weekly' => 'wp_care_weekly',
+            'custom' => 'wp_care_migration_custom',
+        );
+
+        wp_schedule_event( self::get_first_run( $settings ), $recurrences[ $settings['frequency'] ], self::RUN_HOOK );
+    }
+
+    /**
+     * Calculate the first run timestamp for the given settings.
+     *
+     * Daily and weekly runs are anchored to the configured time in the
+     * site's timezone; custom intervals start one interval from now.
+     *
+     * @param array $settings Schedule settings.
+     * @return int Unix timestamp.
+     */
+    private static function get_first_run( $settings ) {
+        if ( 'custom' === $settings['frequency'] ) {
+            return time() + max( 1, absint( $settings['custom_hours'] ) ) * HOUR_IN_SECONDS;
+        }
+
+        list( $hour, $minute ) = array_map( 'intval', explode( ':', $settings['time'] ) );
+
+        $offset = (int) ( get_option( 'gmt_offset' ) * HOUR_IN_SECONDS );
+        $local  = time() + $offset;
+        $today  = gmmktime( $hour, $minute, 0, (int) gmdate( 'n', $local ), (int) gmdate( 'j', $local ), (int) gmdate( 'Y', $local ) );
+        $next   = $today;
+
+        if ( 'weekly' === $settings['frequency'] ) {
+            $next += ( ( (int) $settings['weekday'] - (int) gmdate( 'w', $local ) + 7 ) % 7 ) * DAY_IN_SECONDS;
+            if ( $next <= $local ) {
+                $next += WEEK_IN_SECONDS;
+            }
+        } elseif ( $next <= $local ) {
+            $next += DAY_IN_SECONDS;
+        }
+
+        return $next - $offset;
+    }
+
+    /**
+     * Get the next few scheduled run times.
+     *
+     * @param int $count Number of runs to return.
+     * @return int[] Unix timestamps.
+     */
+    public static function get_upcoming_runs( $count = 3 ) {
+        $next = wp_next_scheduled( self::RUN_HOOK );
+        if ( ! $next ) {
+            return array();
+        }
+
+        $interval  = DAY_IN_SECONDS;
+        $schedule  = wp_get_schedule( self::RUN_HOOK );
+        $schedules = wp_get_schedules();
+        if ( $schedule && isset( $schedules[ $schedule ] ) ) {
+            $interval = $schedules[ $schedule ]['interval'];
+        }
+
+        $runs = array();
+        for ( $i = 0; $i < $count; $i++ ) {
+            $runs[] = $next + $i * $interval;
+        }
+
+        return $runs;
+    }
+
+    /**
+     * Get run status.
+     *
+     * @return array {current, last_run, failures}
+     */
+    public static function get_status() {
+        return wp_parse_args( get_option( self::STATUS_KEY, array() ), array(
+            'current'  => null,
+            'last_run' => null,
+            'failures' => array(),
+        ) );
+    }
+
+    /**
+     * Save run status.
+     *
+     * @param array $status Status data.
+     * @return void
+     */
+    private static function save_status( $status ) {
+        update_option( self::STATUS_KEY, $status, false );
+    }
+
+    /**
+     * Start a scheduled export. Hooked to the recurring cron event.
+     *
+     * @return void
+     */
+    public static function start_run() {
+        $settings = self::get_settings();
+        if ( empty( $settings['enabled'] ) ) {
+            return;
+        }
+
+        $status = self::get_status();
+
+        if ( ! empty( $status['current'] ) ) {
+            // Skip this occurrence if the previous run is still being processed
+            if ( wp_next_scheduled( self::CHUNK_HOOK, array( $status['current']['migration_id'] ) ) ) {
+                return;
+            }
+
+            // Otherwise the previous run died mid-request (fatal error, timeout)
+            $stale = new WP_Care_Migration();
+            $stale->discard_interrupted( $status['current']['migration_id'] );
+            self::record_failure( $status['current']['migration_id'], $status['current']['started_at'], __( 'The previous scheduled export stopped before finishing.', 'wp-care-connector' ) );
+            $status = self::get_status();
+        }
+
+        $migration = new WP_Care_Migration();
+        $state     = $migration->init_export( $settings['options'], 'scheduled' );
+
+        // e.g. the preset the schedule uses was deleted
+        if ( is_wp_error( $state ) ) {
+            self::record_failure( null, gmdate( 'c' ), $state->get_error_message() );
+            return;
+        }
+
+        if ( ! $state ) {
+            self::record_failure( null, gmdate( 'c' ), __( 'Failed to initialize export. Check directory permissions.', 'wp-care-connector' ) );
+            return;
+        }
+
+        $status['current'] = array(
+            'migration_id' => $state['migration_id'],
+            'started_at'   => gmdate( 'c' ),
+        );
+        self::save_status( $status );
+
+        self::continue_run( $state['migration_id'] );
+    }
+
+    /**
+     * Process chunks of a scheduled export until done or out of time.
+     *
+     * @param string $migration_id Migration ID.
+     * @return void
+     */
+    public static function continue_run( $migration_id ) {
+        $migration_id = sanitize_file_name( $migration_id );
+        $status       = self::get_status();
+
+        if ( empty( $status['current'] ) || $status['current']['migration_id'] !== $migration_id ) {
+            return;
+        }
+
+        if ( function_exists( 'set_time_limit' ) ) {
+            @set_time_limit( self::TIME_BUDGET + 30 );
+        }
+
+        $migration = new WP_Care_Migration();
+        $started   = time();
+
+        do {
+            $state = $migration->process_chunk( $migration_id );
+
+            if ( ! empty( $state['busy'] ) ) {
+                wp_schedule_single_event( time() + MINUTE_IN_SECONDS, self::CHUNK_HOOK, array( $migration_id ) );
+                return;
+            }
+
+            if ( ! empty( $state['error'] ) ) {
+                $migration->discard_interrupted( $migration_id );
+                self::record_failure( $migration_id, $status['current']['started_at'], $state['error'] );
+                return;
+            }
+
+            if ( ! empty( $state['completed'] ) ) {
+                self::record_success( $migration_id, $status['current']['started_at'], $state );
+                return;
+            }
+        } while ( time() - $started < self::TIME_BUDGET );
+
+        wp_schedule_single_event( time(), self::CHUNK_HOOK, array( $migration_id ) );
+    }
+
+    /**
+     * Record a completed run.
+     *
+     * @param string $migration_id Migration ID.
+     * @param string $started_at   ISO 8601 start time.
+     * @param array  $state        Final migration state.
+     * @return void
+     */
+    private static function record_success( $migration_id, $started_at, $state ) {
+        $status = self::get_status();
+
+        $status['current']  = null;
+        $status['last_run'] = array(
+            'migration_id' => $migration_id,
+            'started_at'   => $started_at,
+            'finished_at'  => gmdate( 'c' ),
+            'status'       => 'success',
+            'size'         => isset( $state['archive_size_human'] ) ? $state['archive_size_human'] : '',
+            'error'        => null,
+        );
+        self::save_status( $status );
+
+        WP_Care_Activity_Log::log( 'migration_scheduled_run', array(
+            'migration_id' => $migration_id,
+            'size'         => $status['last_run']['size'],
+        ) );
+    }
+
+    /**
+     * Record a failed run.
+     *
+     * @param string|null $migration_id Migration ID, if one was created.
+     * @param string      $started_at   ISO 8601 start time.
+     * @param string      $error        Error message.
+     * @return void
+     */
+    private static function record_failure( $migration_id, $started_at, $error ) {
+        $status = self::get_status();
+
+        $run = array(
+            'migration_id' => $migration_id,
+            'started_at'   => $started_at,
+            'finished_at'  => gmdate( 'c' ),
+            'status'       => 'failed',
+            'size'         => '',
+            'error'        => $error,
+        );
+
+        $status['current']  = null;
+        $status['last_run'] = $run;
+        array_unshift( $status['failures'], $run );
+        $status['failures'] = array_slice( $status['failures'], 0, self::MAX_FAILURES );
+        self::save_status( $status );
+
+        WP_Care_Activity_Log::log( 'migration_schedule_failed', array(
+            'migration_id' => $migration_id,
+            'error'        => $error,
+        ) );
+    }
+}
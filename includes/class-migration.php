@@ -16,6 +16,13 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 class WP_Care_Migration {
 
+    /**
+     * First line of manifest.txt, identifying its format.
+     *
+     * @var string
+     */
+    const MANIFEST_HEADER = 'wp-care-connector manifest v1 sha256';
+
     /**
      * Base directory for migration backups.
      *
@@ -24,11 +31,26 @@ class WP_Care_Migration {
     private $migration_dir;
 
     /**
-     * Maximum number of migration backups to keep.
+     * Option name for the retention policy.
      *
-     * @var int
+     * @var string
+     */
+    const RETENTION_OPTION = 'wp_care_migration_retention';
+
+    /**
+     * Option name for saved export rule presets.
+     *
+     * @var string
+     */
+    const PRESETS_OPTION = 'wp_care_export_presets';
+
+    /**
+     * Archive folder for extra folders outside wp-content. Their paths in
+     * the filemap and file index start with "/" and are relative to ABSPATH.
+     *
+     * @var string
      */
-    private $max_migrations = 3;
+    const ROOT_PREFIX = 'wp-root';
 
     /**
      * Chunk timeout in seconds (for AJAX processing).
@@ -53,6 +75,13 @@ class WP_Care_Migration {
         'exclude_inactive_plugins'  => false,
         'exclude_spam_comments'     => true,
         'exclude_post_revisions'    => false,
+        // Rules: glob patterns, size limit in MB (0 = none), folders
+        // relative to ABSPATH and table lists (empty include = all)
+        'exclude_patterns'          => array(),
+        'max_file_size'             => 0,
+        'extra_folders'             => array(),
+        'include_tables'            => array(),
+        'exclude_tables'            => array(),
     );
 
     /**
@@ -90,28 +119,316 @@ class WP_Care_Migration {
         return is_writable( $dir );
     }
 
+    /**
+     * Get the default export options.
+     *
+     * @return array
+     */
+    public function get_default_options() {
+        return $this->default_options;
+    }
+
+    /**
+     * Sanitize export options, filling in defaults.
+     *
+     * Booleans accept "true"/"1" strings; rule lists accept an array or a
+     * string with one entry per line (commas also separate table names).
+     *
+     * @param array $options Raw options.
+     * @return array
+     */
+    public function sanitize_options( $options ) {
+        $options = wp_parse_args( (array) $options, $this->default_options );
+        $clean   = array();
+
+        foreach ( $this->default_options as $key => $default ) {
+            if ( is_bool( $default ) ) {
+                $clean[ $key ] = filter_var( $options[ $key ], FILTER_VALIDATE_BOOLEAN );
+            } elseif ( is_int( $default ) ) {
+                $clean[ $key ] = absint( $options[ $key ] );
+            } else {
+                $clean[ $key ] = $this->sanitize_rule_list( $key, $options[ $key ] );
+            }
+        }
+
+        return $clean;
+    }
+
+    /**
+     * Sanitize one of the list-valued export rules.
+     *
+     * @param string       $key   Option key.
+     * @param array|string $value Raw list.
+     * @return array
+     */
+    private function sanitize_rule_list( $key, $value ) {
+        if ( ! is_array( $value ) ) {
+            $value = preg_split( substr( $key, -7 ) === '_tables' ? '/[\r\n,]+/' : '/[\r\n]+/', (string) $value );
+        }
+
+        $list = array();
+        foreach ( $value as $entry ) {
+            if ( ! is_scalar( $entry ) ) {
+                continue;
+            }
+
+            $entry = trim( str_replace( '\\', '/', wp_strip_all_tags( (string) $entry ) ) );
+
+            if ( $key === 'exclude_patterns' ) {
+                $entry = trim( $entry, '/' );
+            } elseif ( $key === 'extra_folders' ) {
+                $entry = trim( $entry, '/' );
+                if ( ! $this->is_allowed_extra_folder( $entry ) ) {
+                    continue;
+                }
+            } else {
+                $entry = preg_replace( '/[^A-Za-z0-9_$]/', '', $entry );
+            }
+
+            if ( $entry !== '' ) {
+                $list[] = $entry;
+            }
+        }
+
+        return array_values( array_unique( $list ) );
+    }
+
+    /**
+     * Whether a folder relative to ABSPATH may be added to an export.
+     *
+     * WordPress core folders are left out, and so is wp-content (and any
+     * folder containing it) since it is already covered.
+     *
+     * @param string $folder Folder relative to ABSPATH, without slashes at either end.
+     * @return bool
+     */
+    private function is_allowed_extra_folder( $folder ) {
+        if ( $folder === '' || preg_match( '#(^|/)\.\.?(/|$)#', $folder ) ) {
+            return false;
+        }
+
+        $first = strtok( $folder, '/' );
+        if ( in_array( $first, array( 'wp-admin', 'wp-includes' ), true ) ) {
+            return false;
+        }
+
+        $abspath = wp_normalize_path( untrailingslashit( ABSPATH ) );
+        $content = wp_normalize_path( WP_CONTENT_DIR );
+        if ( strpos( $content, $abspath . '/' ) === 0 ) {
+            $content = substr( $content, strlen( $abspath ) + 1 );
+            if ( $folder === $content || strpos( $folder . '/', $content . '/' ) === 0 || strpos( $content, $folder . '/' ) === 0 ) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the saved export rule presets.
+     *
+     * @return array Presets {id, name, options, updated_at}, keyed by ID.
+     */
+    public function get_presets() {
+        $presets = get_option( self::PRESETS_OPTION, array() );
+        if ( ! is_array( $presets ) ) {
+            return array();
+        }
+
+        foreach ( $presets as $id => $preset ) {
+            $presets[ $id ]['options'] = $this->sanitize_options( isset( $preset['options'] ) ? $preset['options'] : array() );
+        }
+
+        return $presets;
+    }
+
+    /**
+     * Get a saved preset.
+     *
+     * @param string $preset_id Preset ID.
+     * @return array|null
+     */
+    public function get_preset( $preset_id ) {
+        $presets = $this->get_presets();
+
+        return isset( $presets[ $preset_id ] ) ? $presets[ $preset_id ] : null;
+    }
+
+    /**
+     * Save export options as a named preset. A preset with the same name
+     * is replaced.
+     *
+     * @param string $name    Preset name.
+     * @param array  $options Export options.
+     * @return array|WP_Error The saved preset.
+     */
+    public function save_preset( $name, $options ) {
+        $name = trim( sanitize_text_field( $name ) );
+        if ( $name === '' ) {
+            return new WP_Error( 'missing_name', 'A preset name is required.' );
+        }
+
+        $presets   = $this->get_presets();
+        $preset_id = '';
+        foreach ( $presets as $id => $preset ) {
+            if ( strcasecmp( $preset['name'], $name ) === 0 ) {
+                $preset_id = $id;
+                break;
+            }
+        }
+
+        if ( $preset_id === '' ) {
+            $preset_id = 'preset_' . strtolower( wp_generate_password( 8, false, false ) );
+        }
+
+        $presets[ $preset_id ] = array(
+            'id'         => $preset_id,
+            'name'       => $name,
+            'options'    => $this->sanitize_options( $options ),
+            'updated_at' => gmdate( 'c' ),
+        );
+
+        update_option( self::PRESETS_OPTION, $presets, false );
+
+        return $presets[ $preset_id ];
+    }
+
+    /**
+     * Delete a preset.
+     *
+     * @param string $preset_id Preset ID.
+     * @return bool True if it existed.
+     */
+    public function delete_preset( $preset_id ) {
+        $presets = $this->get_presets();
+        if ( ! isset( $presets[ $preset_id ] ) ) {
+            return false;
+        }
+
+        unset( $presets[ $preset_id ] );
+        update_option( self::PRESETS_OPTION, $presets, false );
+
+        return true;
+    }
+
+    /**
+     * Apply the preset named in $options['preset'], if any.
+     *
+     * The preset supplies the options; anything else passed alongside it
+     * overrides the preset value.
+     *
+     * @param array $options Export options, optionally with a 'preset' ID.
+     * @return array|WP_Error Options without the 'preset' key, plus the preset (or null).
+     */
+    private function resolve_preset( $options ) {
+        $options = (array) $options;
+        if ( empty( $options['preset'] ) ) {
+            unset( $options['preset'] );
+            return array( $options, null );
+        }
+
+        $preset = $this->get_preset( sanitize_key( $options['preset'] ) );
+        if ( ! $preset ) {
+            return new WP_Error( 'invalid_preset', 'The selected export preset does not exist.' );
+        }
+
+        unset( $options['preset'] );
+
+        return array( array_merge( $preset['options'], $options ), $preset );
+    }
+
+    /**
+     * Get the retention policy applied after each new migration.
+     *
+     * keep_last always keeps the newest N packages; keep_daily and
+     * keep_weekly additionally keep the newest package of each of the
+     * last N days / ISO weeks that have one.
+     *
+     * @return array {keep_last, keep_daily, keep_weekly}
+     */
+    public static function get_retention_policy() {
+        $policy = wp_parse_args( get_option( self::RETENTION_OPTION, array() ), array(
+            'keep_last'   => 3,
+            'keep_daily'  => 0,
+            'keep_weekly' => 0,
+        ) );
+
+        return array(
+            'keep_last'   => max( 1, absint( $policy['keep_last'] ) ),
+            'keep_daily'  => absint( $policy['keep_daily'] ),
+            'keep_weekly' => absint( $policy['keep_weekly'] ),
+        );
+    }
+
+    /**
+     * Save the retention policy.
+     *
+     * @param array $policy Policy values.
+     * @return array The sanitized policy.
+     */
+    public static function save_retention_policy( $policy ) {
+        $policy = array(
+            'keep_last'   => isset( $policy['keep_last'] ) ? min( 50, max( 1, absint( $policy['keep_last'] ) ) ) : 3,
+            'keep_daily'  => isset( $policy['keep_daily'] ) ? min( 31, absint( $policy['keep_daily'] ) ) : 0,
+            'keep_weekly' => isset( $policy['keep_weekly'] ) ? min( 52, absint( $policy['keep_weekly'] ) ) : 0,
+        );
+
+        update_option( self::RETENTION_OPTION, $policy, false );
+
+        return $policy;
+    }
+
     /**
      * Initialize a new migration export.
      *
-     * @param array $options Export options.
-     * @return array|false Migration state or false on failure.
+     * With a base export the new package is incremental: it archives only
+     * the files added or changed since the base, lists the ones deleted,
+     * and always uses the base's options so both cover the same folders.
+     *
+     * @param array  $options    Export options. A 'preset' key applies a saved preset.
+     * @param string $source     What started the export: 'manual' or 'scheduled'.
+     * @param string $base_id    Export to build on, or '' for a full export.
+     * @param string $passphrase Passphrase to encrypt the package with, or '' for none.
+     * @return array|false|WP_Error Migration state, false on failure, or WP_Error for an unusable base, preset or passphrase.
      */
-    public function init_export( $options = array() ) {
+    public function init_export( $options = array(), $source = 'manual', $base_id = '', $passphrase = '' ) {
         if ( ! self::ensure_migration_dir() ) {
             return false;
         }
 
-        $options = wp_parse_args( $options, $this->default_options );
+        if ( $passphrase !== '' ) {
+            $valid = WP_Care_Package_Encryption::validate_passphrase( $passphrase );
+            if ( is_wp_error( $valid ) ) {
+                return $valid;
+            }
+        }
+
+        $resolved = $this->resolve_preset( $options );
+        if ( is_wp_error( $resolved ) ) {
+            return $resolved;
+        }
+        list( $options, $preset ) = $resolved;
+
+        $chain = array();
+        if ( $base_id !== '' ) {
+            $base_id = sanitize_file_name( $base_id );
+            $base    = $this->get_migration_info( $base_id );
+            if ( ! $base || ! $this->can_be_base( $base_id ) ) {
+                return new WP_Error( 'invalid_base', 'The selected base export cannot be used for an incremental export.' );
+            }
 
-        // Cast all options to boolean
-        foreach ( $options as $key => $value ) {
-            if ( array_key_exists( $key, $this->default_options ) ) {
-                $options[ $key ] = (bool) $value;
+            $chain = ! empty( $base['chain'] ) ? $base['chain'] : array();
+            foreach ( $chain as $ancestor_id ) {
+                if ( ! $this->get_download_path( $ancestor_id ) ) {
+                    return new WP_Error( 'chain_incomplete', sprintf( 'The base export builds on %s, which is no longer available.', $ancestor_id ) );
+                }
             }
+            $chain[] = $base_id;
+
+            $options = $base['options'];
         }
 
-        // Remove unknown options
-        $options = array_intersect_key( $options, $this->default_options );
+        $options = $this->sanitize_options( $options );
 
         $migration_id  = gmdate( 'Ymd_His' ) . '_' . wp_generate_password( 6, false, false );
         $working_dir   = $this->migration_dir . '/' . $migration_id;
@@ -123,12 +440,18 @@ class WP_Care_Migration {
 
         $state = array(
             'migration_id'       => $migration_id,
+            'type'               => 'export',
+            'source'             => $source,
+            'base_id'            => $base_id !== '' ? $base_id : null,
+            'chain'              => $chain,
+            'preset'             => $preset && $base_id === '' ? $preset['name'] : null,
             'phase'              => 'config',
             'progress'           => 0,
             'completed'          => false,
             'error'              => null,
             'options'            => $options,
             'created_at'         => gmdate( 'c' ),
+            'updated_at'         => gmdate( 'c' ),
             'working_dir'        => $working_dir,
             // Database state
             'table_index'        => 0,
@@ -137,14 +460,25 @@ class WP_Care_Migration {
             // File enumeration state
             'total_files_count'  => 0,
             'total_files_size'   => 0,
+            'unchanged_files'    => 0,
+            'deleted_files'      => 0,
             // Archive state
             'filemap_offset'     => 0,
             'archived_files'     => 0,
             'archived_size'      => 0,
             'db_archived'        => false,
             'config_archived'    => false,
+            // Encryption state
+            'encrypted'          => $passphrase !== '',
+            'encrypt_progress'   => array(),
         );
 
+        // Only the derived keys are kept, outside the state, until the package is sealed
+        if ( $passphrase !== '' ) {
+            $package = WP_Care_Package_Encryption::create_header( $passphrase );
+            $this->save_encryption( $migration_id, $package['header'], array( $migration_id => $package['keys'] ) );
+        }
+
         if ( ! $this->save_state( $migration_id, $state ) ) {
             return false;
         }
@@ -159,16 +493,22 @@ class WP_Care_Migration {
      * @return array Updated migration state.
      */
     public function process_chunk( $migration_id ) {
+        $lock  = $this->acquire_lock( $migration_id );
         $state = $this->load_state( $migration_id );
         if ( ! $state ) {
+            $this->release_lock( $lock );
             return array( 'error' => 'Migration state not found', 'completed' => false );
         }
 
-        if ( $state['completed'] ) {
+        if ( $state['completed'] || $state['error'] ) {
+            $this->release_lock( $lock );
             return $state;
         }
 
-        if ( $state['error'] ) {
+        // Another request is still working on this migration (e.g. one
+        // started before the page was reloaded); let the caller retry.
+        if ( false === $lock ) {
+            $state['busy'] = true;
             return $state;
         }
 
@@ -208,7 +548,7 @@ class WP_Care_Migration {
             case 'archive':
                 $done = $this->phase_archive( $state, $start_time );
                 if ( $done ) {
-                    $state['phase']    = 'finalize';
+                    $state['phase']    = ! empty( $state['encrypted'] ) ? 'encrypt' : 'finalize';
                     $state['progress'] = 95;
                 } else {
                     // Calculate progress within archive phase (35-95%)
@@ -218,6 +558,16 @@ class WP_Care_Migration {
                 }
                 break;
 
+            case 'encrypt':
+                $done = $this->phase_encrypt( $state, $start_time );
+                if ( $done ) {
+                    $state['phase'] = 'finalize';
+                } elseif ( ! empty( $state['encrypt_size'] ) ) {
+                    // Calculate progress within encrypt phase (95-99%)
+                    $state['progress'] = 95 + (int) ( 4 * $state['encrypt_progress']['read'] / $state['encrypt_size'] );
+                }
+                break;
+
             case 'finalize':
                 $this->phase_finalize( $state );
                 $state['phase']     = 'complete';
@@ -226,22 +576,29 @@ class WP_Care_Migration {
                 break;
         }
 
+        $state['updated_at'] = gmdate( 'c' );
         $this->save_state( $migration_id, $state );
+        $this->release_lock( $lock );
         return $state;
     }
 
     /**
      * Run the full export in one go (for remote command use).
      *
-     * @param array $options Export options.
+     * @param array  $options    Export options.
+     * @param string $base_id    Export to build an incremental on, or '' for a full export.
+     * @param string $passphrase Passphrase to encrypt the package with, or '' for none.
      * @return array Final migration state.
      */
-    public function run_full_export( $options = array() ) {
+    public function run_full_export( $options = array(), $base_id = '', $passphrase = '' ) {
         if ( function_exists( 'set_time_limit' ) ) {
             @set_time_limit( 600 );
         }
 
-        $state = $this->init_export( $options );
+        $state = $this->init_export( $options, 'manual', $base_id, $passphrase );
+        if ( is_wp_error( $state ) ) {
+            return array( 'error' => $state->get_error_message() );
+        }
         if ( ! $state ) {
             return array( 'error' => 'Failed to initialize migration export' );
         }
@@ -285,11 +642,21 @@ class WP_Care_Migration {
             if ( $this->check_wp_cli() ) {
                 $abspath = ABSPATH;
                 $command = sprintf(
-                    'wp db export %s --path=%s 2>&1',
+                    'wp db export %s --path=%s',
                     escapeshellarg( $sql_path ),
                     escapeshellarg( $abspath )
                 );
 
+                if ( ! empty( $state['options']['include_tables'] ) ) {
+                    $command .= ' --tables=' . escapeshellarg( implode( ',', $state['options']['include_tables'] ) );
+                }
+                $exclude_tables = isset( $state['options']['exclude_tables'] ) ? $state['options']['exclude_tables'] : array();
+                $exclude_tables = array_merge( $exclude_tables, WP_Care_Staging::get_staging_tables() );
+                if ( ! empty( $exclude_tables ) ) {
+                    $command .= ' --exclude_tables=' . escapeshellarg( implode( ',', $exclude_tables ) );
+                }
+                $command .= ' 2>&1';
+
                 // Apply spam/revision exclusions if needed
                 $output = shell_exec( $command );
 
@@ -323,7 +690,7 @@ class WP_Care_Migration {
             return true;
         }
 
-        $table_names = array_map( function( $t ) { return $t[0]; }, $tables );
+        $table_names = $this->filter_tables( array_map( function( $t ) { return $t[0]; }, $tables ), $state['options'] );
         $state['total_tables'] = count( $table_names );
 
         // Open file in append mode (or write mode if starting fresh)
@@ -432,6 +799,28 @@ class WP_Care_Migration {
         return true;
     }
 
+    /**
+     * Apply the include/exclude table lists of the export options. The
+     * staging site's tables are never exported.
+     *
+     * @param string[] $table_names All table names.
+     * @param array    $options     Export options.
+     * @return string[]
+     */
+    private function filter_tables( $table_names, $options ) {
+        if ( ! empty( $options['include_tables'] ) ) {
+            $table_names = array_intersect( $table_names, $options['include_tables'] );
+        }
+
+        if ( ! empty( $options['exclude_tables'] ) ) {
+            $table_names = array_diff( $table_names, $options['exclude_tables'] );
+        }
+
+        $table_names = array_diff( $table_names, WP_Care_Staging::get_staging_tables() );
+
+        return array_values( $table_names );
+    }
+
     /**
      * Phase: Enumerate files to archive.
      *
@@ -445,31 +834,135 @@ class WP_Care_Migration {
             return;
         }
 
-        $exclusions = $this->get_exclusion_filters( $state['options'] );
-        $base_dir   = WP_CONTENT_DIR;
+        // Exports started before the rule options existed lack those keys
+        $options     = $this->sanitize_options( $state['options'] );
+        $filters     = $this->get_file_filters( $options );
         $total_files = 0;
         $total_size  = 0;
 
-        $this->enumerate_directory( $base_dir, '', $exclusions, $handle, $total_files, $total_size );
+        // Incremental: files that match the base are carried over into this
+        // export's file index instead of being archived again
+        $compare = null;
+        if ( ! empty( $state['base_id'] ) ) {
+            $base_index = $this->load_file_index( $state['base_id'] );
+            $index      = fopen( $state['working_dir'] . '/fileindex.txt', 'w' );
+            if ( false === $base_index || ! $index ) {
+                fclose( $handle );
+                $state['error'] = 'Failed to read the file index of the base export';
+                return;
+            }
+            $compare = array(
+                'base'      => $base_index,
+                'index'     => $index,
+                'unchanged' => 0,
+            );
+        }
+
+        foreach ( $this->get_enumeration_roots( $options ) as $root ) {
+            $this->enumerate_directory( $root, $filters, $handle, $total_files, $total_size, $compare );
+        }
 
         fclose( $handle );
 
+        if ( null !== $compare ) {
+            fclose( $compare['index'] );
+
+            // Whatever is left of the base index was not seen this time.
+            // Files that still exist (e.g. a theme that became inactive and
+            // is now excluded) are left alone rather than deleted on restore.
+            $deleted = array();
+            foreach ( array_keys( $compare['base'] ) as $relative ) {
+                if ( ! file_exists( $this->get_entry_path( $relative ) ) ) {
+                    $deleted[] = $relative;
+                }
+            }
+
+            if ( $deleted ) {
+                file_put_contents( $state['working_dir'] . '/deletions.txt', implode( "\n", $deleted ) . "\n" );
+            }
+
+            $state['unchanged_files'] = $compare['unchanged'];
+            $state['deleted_files']   = count( $deleted );
+        }
+
         $state['total_files_count'] = $total_files;
         $state['total_files_size']  = $total_size;
     }
 
+    /**
+     * Folders the export walks: wp-content plus any extra folders.
+     *
+     * @param array $options Export options.
+     * @return string[] Entry paths ('' for wp-content, "/folder" for extra folders).
+     */
+    private function get_enumeration_roots( $options ) {
+        $roots = array( '' );
+        foreach ( $options['extra_folders'] as $folder ) {
+            $roots[] = '/' . $folder;
+        }
+
+        return $roots;
+    }
+
+    /**
+     * Write every file under a folder to a handle, one entry path per line.
+     *
+     * The same walk an export does, without the export's exclusions.
+     * WP_Care_Integrity builds its file lists with it.
+     *
+     * @param string   $relative Folder entry path (see get_entry_path()).
+     * @param resource $handle   File handle to write to.
+     * @return int Number of files listed.
+     */
+    public function list_files( $relative, $handle ) {
+        $filters = array(
+            'directories' => array(),
+            'patterns'    => array(),
+            'max_size'    => 0,
+        );
+
+        $total_files = 0;
+        $total_size  = 0;
+        $this->enumerate_directory( $relative, $filters, $handle, $total_files, $total_size );
+
+        return $total_files;
+    }
+
+    /**
+     * Write every file an export with these options would include to a
+     * handle, one entry path per line.
+     *
+     * WP_Care_Staging copies the files of a staging site from this list.
+     *
+     * @param array    $options Export options.
+     * @param resource $handle  File handle to write to.
+     * @return int Number of files listed.
+     */
+    public function list_export_files( $options, $handle ) {
+        $options     = $this->sanitize_options( $options );
+        $filters     = $this->get_file_filters( $options );
+        $total_files = 0;
+        $total_size  = 0;
+
+        foreach ( $this->get_enumeration_roots( $options ) as $root ) {
+            $this->enumerate_directory( $root, $filters, $handle, $total_files, $total_size );
+        }
+
+        return $total_files;
+    }
+
     /**
      * Recursively enumerate a directory.
      *
-     * @param string   $base_dir   The base wp-content directory.
-     * @param string   $relative   Current relative path from base.
-     * @param array    $exclusions Directory names to exclude.
-     * @param resource $handle     File handle for writing paths.
-     * @param int      $total_files Total file count (by reference).
-     * @param int      $total_size  Total size in bytes (by reference).
+     * @param string        $relative    Current entry path (see get_entry_path()).
+     * @param array         $filters     File filters from get_file_filters().
+     * @param resource|null $handle      File handle for writing paths, or null to only count.
+     * @param int           $total_files Total file count (by reference).
+     * @param int           $total_size  Total size in bytes (by reference).
+     * @param array         $compare     Base export comparison for incrementals (by reference), or null.
      */
-    private function enumerate_directory( $base_dir, $relative, $exclusions, $handle, &$total_files, &$total_size ) {
-        $full_path = $base_dir . ( $relative ? '/' . $relative : '' );
+    private function enumerate_directory( $relative, $filters, $handle, &$total_files, &$total_size, &$compare = null ) {
+        $full_path = $this->get_entry_path( $relative );
 
         if ( ! is_dir( $full_path ) || ! is_readable( $full_path ) ) {
             return;
@@ -486,12 +979,16 @@ class WP_Care_Migration {
             }
 
             $item_relative = $relative ? $relative . '/' . $item : $item;
-            $item_full     = $base_dir . '/' . $item_relative;
+            $item_full     = $this->get_entry_path( $item_relative );
+
+            if ( $this->matches_pattern( $item, $item_relative, $filters['patterns'] ) ) {
+                continue;
+            }
 
             // Check exclusions at directory level
             if ( is_dir( $item_full ) ) {
                 $should_exclude = false;
-                foreach ( $exclusions as $exclusion ) {
+                foreach ( $filters['directories'] as $exclusion ) {
                     // Check if the directory name or relative path matches an exclusion
                     if ( $item === $exclusion || strpos( $item_relative, $exclusion ) === 0 ) {
                         $should_exclude = true;
@@ -501,7 +998,7 @@ class WP_Care_Migration {
                 if ( $should_exclude ) {
                     continue;
                 }
-                $this->enumerate_directory( $base_dir, $item_relative, $exclusions, $handle, $total_files, $total_size );
+                $this->enumerate_directory( $item_relative, $filters, $handle, $total_files, $total_size, $compare );
             } else {
                 // Skip unreadable files
                 if ( ! is_readable( $item_full ) ) {
@@ -509,11 +1006,17 @@ class WP_Care_Migration {
                 }
 
                 $size = @filesize( $item_full );
-                if ( $size === false ) {
+                if ( $size === false || ( $filters['max_size'] && $size > $filters['max_size'] ) ) {
+                    continue;
+                }
+
+                if ( null !== $compare && $this->match_base_entry( $item_full, $item_relative, $size, $compare ) ) {
                     continue;
                 }
 
-                fwrite( $handle, $item_relative . "\n" );
+                if ( $handle ) {
+                    fwrite( $handle, $item_relative . "\n" );
+                }
                 $total_files++;
                 $total_size += $size;
             }
@@ -521,39 +1024,269 @@ class WP_Care_Migration {
     }
 
     /**
-     * Get directory exclusion list based on export options.
+     * Check a file against the base export's index.
      *
-     * @param array $options Export options.
-     * @return array Directory names/paths to exclude.
+     * Size and mtime settle most files; when only the mtime differs the
+     * hash decides. Unchanged files are written to the new file index.
+     * Every file seen is removed from the base index, so what remains at
+     * the end has been deleted.
+     *
+     * @param string $path     Absolute file path.
+     * @param string $relative Path relative to wp-content.
+     * @param int    $size     File size.
+     * @param array  $compare  Comparison state (by reference).
+     * @return bool True if the file is unchanged.
      */
-    private function get_exclusion_filters( $options ) {
-        $exclusions = array(
-            'wp-care-backups',
-            'wp-care-migrations',
-            'ai1wm-backups',
-            'upgrade',
-            'debug.log',
-        );
+    private function match_base_entry( $path, $relative, $size, &$compare ) {
+        if ( ! isset( $compare['base'][ $relative ] ) ) {
+            return false;
+        }
 
-        if ( ! $options['include_themes'] ) {
-            $exclusions[] = 'themes';
-        } elseif ( $options['exclude_inactive_themes'] ) {
-            // Exclude all themes except active and parent theme
-            $active_theme = get_stylesheet();
-            $parent_theme = get_template();
-            $themes_dir   = WP_CONTENT_DIR . '/themes';
-            if ( is_dir( $themes_dir ) ) {
-                $theme_dirs = @scandir( $themes_dir );
-                if ( $theme_dirs ) {
-                    foreach ( $theme_dirs as $theme ) {
-                        if ( $theme === '.' || $theme === '..' ) {
-                            continue;
-                        }
-                        if ( $theme !== $active_theme && $theme !== $parent_theme ) {
-                            $exclusions[] = 'themes/' . $theme;
-                        }
-                    }
-                }
+        $entry = $compare['base'][ $relative ];
+        unset( $compare['base'][ $relative ] );
+
+        if ( $entry['size'] !== $size ) {
+            return false;
+        }
+
+        $mtime = (int) @filemtime( $path );
+        if ( $entry['mtime'] !== $mtime && hash_file( 'sha256', $path ) !== $entry['sha256'] ) {
+            return false;
+        }
+
+        $this->write_index_entry( $compare['index'], $entry['sha256'], $size, $mtime, $relative );
+        $compare['unchanged']++;
+
+        return true;
+    }
+
+    /**
+     * Record a file in the export's file index.
+     *
+     * fileindex.txt lists every file the export represents, including ones
+     * carried over from its base, as "sha256<TAB>size<TAB>mtime<TAB>path".
+     * It stays next to the archive so later exports can build on it.
+     *
+     * @param resource|false $index    Index handle.
+     * @param string|false   $hash     SHA-256 of the file.
+     * @param int            $size     File size.
+     * @param int            $mtime    Modification time.
+     * @param string         $relative Path relative to wp-content.
+     */
+    private function write_index_entry( $index, $hash, $size, $mtime, $relative ) {
+        if ( $index && $hash ) {
+            fwrite( $index, $hash . "\t" . $size . "\t" . $mtime . "\t" . $relative . "\n" );
+        }
+    }
+
+    /**
+     * Read the file index of a completed export.
+     *
+     * @param string $migration_id Migration ID.
+     * @return array|false Entries {sha256, size, mtime} keyed by relative path.
+     */
+    private function load_file_index( $migration_id ) {
+        $handle = @fopen( $this->migration_dir . '/' . sanitize_file_name( $migration_id ) . '/fileindex.txt', 'r' );
+        if ( ! $handle ) {
+            return false;
+        }
+
+        $entries = array();
+        while ( ( $line = fgets( $handle ) ) !== false ) {
+            $parts = explode( "\t", rtrim( $line, "\r\n" ), 4 );
+            if ( count( $parts ) === 4 ) {
+                $entries[ $parts[3] ] = array(
+                    'sha256' => $parts[0],
+                    'size'   => (int) $parts[1],
+                    'mtime'  => (int) $parts[2],
+                );
+            }
+        }
+        fclose( $handle );
+
+        return $entries;
+    }
+
+    /**
+     * Whether an export can serve as the base of an incremental export.
+     *
+     * Only exports made on this site by a version that writes a file index
+     * qualify; uploaded and pulled packages have no index.
+     *
+     * @param string $migration_id Migration ID.
+     * @return bool
+     */
+    public function can_be_base( $migration_id ) {
+        $migration_id = sanitize_file_name( $migration_id );
+
+        return $this->get_download_path( $migration_id ) && file_exists( $this->migration_dir . '/' . $migration_id . '/fileindex.txt' );
+    }
+
+    /**
+     * Collect everything that keeps a file out of an export.
+     *
+     * @param array $options Export options.
+     * @return array {directories, patterns, max_size}
+     */
+    private function get_file_filters( $options ) {
+        return array(
+            'directories' => $this->get_exclusion_filters( $options ),
+            'patterns'    => $options['exclude_patterns'],
+            'max_size'    => $options['max_file_size'] * MB_IN_BYTES,
+        );
+    }
+
+    /**
+     * Check an entry against the user's exclusion patterns.
+     *
+     * A pattern with a slash is matched against the whole path (relative
+     * to wp-content, or to ABSPATH for extra folders), e.g. "uploads/backup-*".
+     * One without is matched against the file or folder name alone, so
+     * "*.log" and "node_modules" apply at any depth.
+     *
+     * @param string $name     File or folder name.
+     * @param string $relative Entry path.
+     * @param array  $patterns Glob patterns.
+     * @return bool
+     */
+    private function matches_pattern( $name, $relative, $patterns ) {
+        $relative = ltrim( $relative, '/' );
+
+        foreach ( $patterns as $pattern ) {
+            $subject = strpos( $pattern, '/' ) !== false ? $relative : $name;
+            if ( fnmatch( $pattern, $subject ) ) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Absolute path of a filemap / file index entry.
+     *
+     * @param string $relative Path relative to wp-content, or "/"-prefixed and relative to ABSPATH.
+     * @return string
+     */
+    public function get_entry_path( $relative ) {
+        if ( strpos( $relative, '/' ) === 0 ) {
+            return untrailingslashit( ABSPATH ) . $relative;
+        }
+
+        return WP_CONTENT_DIR . ( $relative !== '' ? '/' . $relative : '' );
+    }
+
+    /**
+     * Archive entry name of a filemap / file index entry.
+     *
+     * @param string $relative Entry path (see get_entry_path()).
+     * @return string
+     */
+    private function get_entry_name( $relative ) {
+        if ( strpos( $relative, '/' ) === 0 ) {
+            return self::ROOT_PREFIX . $relative;
+        }
+
+        return 'wp-content/' . $relative;
+    }
+
+    /**
+     * Whether an entry resolves to a real file inside the folder it belongs to.
+     *
+     * @param string $relative Entry path (see get_entry_path()).
+     * @return bool
+     */
+    private function is_contained_entry( $relative ) {
+        $real_path = realpath( $this->get_entry_path( $relative ) );
+        $real_root = realpath( strpos( $relative, '/' ) === 0 ? ABSPATH : WP_CONTENT_DIR );
+
+        return $real_path !== false && $real_root !== false && strpos( $real_path, $real_root ) === 0;
+    }
+
+    /**
+     * Estimate the size of an export before it starts.
+     *
+     * Walks the same folders with the same filters as the export and sums
+     * the data size of the selected tables. The archive is compressed, so
+     * it usually ends up smaller.
+     *
+     * @param array $options Export options. A 'preset' key applies a saved preset.
+     * @return array|WP_Error {files, files_size, tables, database_size, total_size}
+     */
+    public function estimate_export( $options = array() ) {
+        global $wpdb;
+
+        $resolved = $this->resolve_preset( $options );
+        if ( is_wp_error( $resolved ) ) {
+            return $resolved;
+        }
+        $options = $this->sanitize_options( $resolved[0] );
+
+        $files      = 0;
+        $files_size = 0;
+        $filters    = $this->get_file_filters( $options );
+        foreach ( $this->get_enumeration_roots( $options ) as $root ) {
+            $this->enumerate_directory( $root, $filters, null, $files, $files_size );
+        }
+
+        $tables        = 0;
+        $database_size = 0;
+        if ( $options['include_database'] ) {
+            $status = $wpdb->get_results( 'SHOW TABLE STATUS', ARRAY_A );
+            $sizes  = array();
+            foreach ( (array) $status as $row ) {
+                $sizes[ $row['Name'] ] = (int) $row['Data_length'];
+            }
+
+            foreach ( $this->filter_tables( array_keys( $sizes ), $options ) as $table ) {
+                $tables++;
+                $database_size += $sizes[ $table ];
+            }
+        }
+
+        return array(
+            'files'         => $files,
+            'files_size'    => $files_size,
+            'tables'        => $tables,
+            'database_size' => $database_size,
+            'total_size'    => $files_size + $database_size,
+        );
+    }
+
+    /**
+     * Get directory exclusion list based on export options.
+     *
+     * @param array $options Export options.
+     * @return array Directory names/paths to exclude.
+     */
+    private function get_exclusion_filters( $options ) {
+        $exclusions = array(
+            'wp-care-backups',
+            'wp-care-migrations',
+            'ai1wm-backups',
+            'upgrade',
+            'debug.log',
+        );
+
+        if ( ! $options['include_themes'] ) {
+            $exclusions[] = 'themes';
+        } elseif ( $options['exclude_inactive_themes'] ) {
+            // Exclude all themes except active and parent theme
+            $active_theme = get_stylesheet();
+            $parent_theme = get_template();
+            $themes_dir   = WP_CONTENT_DIR . '/themes';
+            if ( is_dir( $themes_dir ) ) {
+                $theme_dirs = @scandir( $themes_dir );
+                if ( $theme_dirs ) {
+                    foreach ( $theme_dirs as $theme ) {
+                        if ( $theme === '.' || $theme === '..' ) {
+                            continue;
+                        }
+                        if ( $theme !== $active_theme && $theme !== $parent_theme ) {
+                            $exclusions[] = 'themes/' . $theme;
+                        }
+                    }
+                }
             }
         }
 
@@ -648,11 +1381,16 @@ class WP_Care_Migration {
             return true;
         }
 
-        // Add config and database files first (only once)
+        $manifest = $this->open_manifest( $state );
+
+        // Add config (plus an incremental's deletion list) and database files first (only once)
         if ( ! $state['config_archived'] ) {
-            $config_path = $state['working_dir'] . '/package.json';
-            if ( file_exists( $config_path ) ) {
-                $zip->addFile( $config_path, 'package.json' );
+            foreach ( array( 'package.json', 'deletions.txt' ) as $name ) {
+                $path = $state['working_dir'] . '/' . $name;
+                if ( file_exists( $path ) ) {
+                    $zip->addFile( $path, $name );
+                    $this->write_manifest_entry( $manifest, $path, $name );
+                }
             }
             $state['config_archived'] = true;
         }
@@ -661,18 +1399,21 @@ class WP_Care_Migration {
             $sql_path = $state['working_dir'] . '/database.sql';
             if ( file_exists( $sql_path ) ) {
                 $zip->addFile( $sql_path, 'database.sql' );
+                $state['database_sha256'] = $this->write_manifest_entry( $manifest, $sql_path, 'database.sql' );
             }
             $state['db_archived'] = true;
         }
 
         // Process files from filemap
         if ( ! file_exists( $filemap_path ) ) {
+            $this->close_manifest( $manifest );
             $zip->close();
             return true;
         }
 
         $handle = fopen( $filemap_path, 'r' );
         if ( ! $handle ) {
+            $this->close_manifest( $manifest );
             $zip->close();
             $state['error'] = 'Failed to open filemap';
             return true;
@@ -683,10 +1424,14 @@ class WP_Care_Migration {
             fseek( $handle, $state['filemap_offset'] );
         }
 
+        $index = fopen( $state['working_dir'] . '/fileindex.txt', 'a' );
+
         while ( ( $line = fgets( $handle ) ) !== false ) {
             if ( ( time() - $start_time ) >= $this->chunk_timeout ) {
                 $state['filemap_offset'] = ftell( $handle );
                 fclose( $handle );
+                $this->close_manifest( $manifest );
+                $this->close_manifest( $index );
                 $zip->close();
                 return false;
             }
@@ -696,23 +1441,26 @@ class WP_Care_Migration {
                 continue;
             }
 
-            $full_path = WP_CONTENT_DIR . '/' . $relative_path;
+            $full_path  = $this->get_entry_path( $relative_path );
+            $entry_name = $this->get_entry_name( $relative_path );
 
-            // Security: ensure path is within wp-content
-            $real_path = realpath( $full_path );
-            $real_content_dir = realpath( WP_CONTENT_DIR );
-            if ( $real_path === false || strpos( $real_path, $real_content_dir ) !== 0 ) {
+            // Security: ensure path is within wp-content (or ABSPATH for extra folders)
+            if ( ! $this->is_contained_entry( $relative_path ) ) {
                 continue;
             }
 
             if ( file_exists( $full_path ) && is_readable( $full_path ) ) {
-                $zip->addFile( $full_path, 'wp-content/' . $relative_path );
+                $zip->addFile( $full_path, $entry_name );
+                $hash = $this->write_manifest_entry( $manifest, $full_path, $entry_name );
+                $this->write_index_entry( $index, $hash, filesize( $full_path ), filemtime( $full_path ), $relative_path );
                 $state['archived_files']++;
                 $state['archived_size'] += filesize( $full_path );
             }
         }
 
         fclose( $handle );
+        $this->close_manifest( $manifest );
+        $this->close_manifest( $index );
         $zip->close();
         return true;
     }
@@ -741,13 +1489,19 @@ class WP_Care_Migration {
         }
 
         $files_to_add = array();
+        $root_files   = array();
         $batch_size   = 50;
+        $manifest     = $this->open_manifest( $state );
+        $index        = fopen( $state['working_dir'] . '/fileindex.txt', 'a' );
 
-        // Add config and database files first
+        // Add config (plus an incremental's deletion list) and database files first, at the archive root
         if ( ! $state['config_archived'] ) {
-            $config_path = $state['working_dir'] . '/package.json';
-            if ( file_exists( $config_path ) ) {
-                $files_to_add[] = $config_path;
+            foreach ( array( 'package.json', 'deletions.txt' ) as $name ) {
+                $path = $state['working_dir'] . '/' . $name;
+                if ( file_exists( $path ) ) {
+                    $root_files[] = $path;
+                    $this->write_manifest_entry( $manifest, $path, $name );
+                }
             }
             $state['config_archived'] = true;
         }
@@ -755,20 +1509,28 @@ class WP_Care_Migration {
         if ( ! $state['db_archived'] && $state['options']['include_database'] ) {
             $sql_path = $state['working_dir'] . '/database.sql';
             if ( file_exists( $sql_path ) ) {
-                $files_to_add[] = $sql_path;
+                $root_files[] = $sql_path;
+                $state['database_sha256'] = $this->write_manifest_entry( $manifest, $sql_path, 'database.sql' );
             }
             $state['db_archived'] = true;
         }
 
+        if ( ! empty( $root_files ) ) {
+            $zip = new PclZip( $zip_path );
+            $zip->add( $root_files, PCLZIP_OPT_REMOVE_PATH, $state['working_dir'] );
+        }
+
         while ( ( $line = fgets( $handle ) ) !== false ) {
             if ( ( time() - $start_time ) >= $this->chunk_timeout ) {
                 // Flush current batch
                 if ( ! empty( $files_to_add ) ) {
                     $zip = new PclZip( $zip_path );
-                    $zip->add( $files_to_add, PCLZIP_OPT_REMOVE_PATH, WP_CONTENT_DIR, PCLZIP_OPT_ADD_PATH, 'wp-content' );
+                    $zip->add( $files_to_add );
                 }
                 $state['filemap_offset'] = ftell( $handle );
                 fclose( $handle );
+                $this->close_manifest( $manifest );
+                $this->close_manifest( $index );
                 return false;
             }
 
@@ -777,16 +1539,21 @@ class WP_Care_Migration {
                 continue;
             }
 
-            $full_path = WP_CONTENT_DIR . '/' . $relative_path;
+            $full_path  = $this->get_entry_path( $relative_path );
+            $entry_name = $this->get_entry_name( $relative_path );
 
-            $real_path = realpath( $full_path );
-            $real_content_dir = realpath( WP_CONTENT_DIR );
-            if ( $real_path === false || strpos( $real_path, $real_content_dir ) !== 0 ) {
+            if ( ! $this->is_contained_entry( $relative_path ) ) {
                 continue;
             }
 
             if ( file_exists( $full_path ) && is_readable( $full_path ) ) {
-                $files_to_add[] = $full_path;
+                // Name each entry explicitly: a batch can mix wp-content and extra folders
+                $files_to_add[] = array(
+                    PCLZIP_ATT_FILE_NAME          => $full_path,
+                    PCLZIP_ATT_FILE_NEW_FULL_NAME => $entry_name,
+                );
+                $hash = $this->write_manifest_entry( $manifest, $full_path, $entry_name );
+                $this->write_index_entry( $index, $hash, filesize( $full_path ), filemtime( $full_path ), $relative_path );
                 $state['archived_files']++;
                 $state['archived_size'] += filesize( $full_path );
             }
@@ -794,7 +1561,7 @@ class WP_Care_Migration {
             // Flush batch
             if ( count( $files_to_add ) >= $batch_size ) {
                 $zip = new PclZip( $zip_path );
-                $zip->add( $files_to_add, PCLZIP_OPT_REMOVE_PATH, WP_CONTENT_DIR, PCLZIP_OPT_ADD_PATH, 'wp-content' );
+                $zip->add( $files_to_add );
                 $files_to_add = array();
             }
         }
@@ -802,10 +1569,12 @@ class WP_Care_Migration {
         // Flush remaining
         if ( ! empty( $files_to_add ) ) {
             $zip = new PclZip( $zip_path );
-            $zip->add( $files_to_add, PCLZIP_OPT_REMOVE_PATH, WP_CONTENT_DIR, PCLZIP_OPT_ADD_PATH, 'wp-content' );
+            $zip->add( $files_to_add );
         }
 
         fclose( $handle );
+        $this->close_manifest( $manifest );
+        $this->close_manifest( $index );
         return true;
     }
 
@@ -822,6 +1591,16 @@ class WP_Care_Migration {
             return;
         }
 
+        // Seal the manifest into the archive last, once every entry is known
+        // (phase_encrypt() already did this for encrypted packages)
+        if ( isset( $state['has_manifest'] ) ) {
+            $has_manifest = $state['has_manifest'];
+        } else {
+            $manifest_path = $state['working_dir'] . '/manifest.txt';
+            $has_manifest  = file_exists( $manifest_path ) && $this->add_manifest_to_archive( $zip_path, $manifest_path );
+        }
+
+        clearstatcache();
         $archive_size = filesize( $zip_path );
 
         // Write migration metadata
@@ -839,13 +1618,23 @@ class WP_Care_Migration {
             'options'             => $state['options'],
             'total_files'         => $state['archived_files'],
             'total_files_size'    => $state['archived_size'],
+            'has_manifest'        => $has_manifest,
+            'database_sha256'     => isset( $state['database_sha256'] ) ? $state['database_sha256'] : null,
+            'source'              => isset( $state['source'] ) ? $state['source'] : 'manual',
+            'has_file_index'      => file_exists( $state['working_dir'] . '/fileindex.txt' ),
+            'base_id'             => ! empty( $state['base_id'] ) ? $state['base_id'] : null,
+            'chain'               => ! empty( $state['chain'] ) ? $state['chain'] : array(),
+            'unchanged_files'     => isset( $state['unchanged_files'] ) ? $state['unchanged_files'] : 0,
+            'deleted_files'       => isset( $state['deleted_files'] ) ? $state['deleted_files'] : 0,
+            'preset'              => ! empty( $state['preset'] ) ? $state['preset'] : null,
+            'encrypted'           => ! empty( $state['encrypted'] ),
         );
 
         $metadata_path = $state['working_dir'] . '/migration.json';
         file_put_contents( $metadata_path, wp_json_encode( $metadata, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES ) );
 
-        // Cleanup temporary working files
-        $temp_files = array( 'filemap.txt', 'state.json', 'database.sql', 'package.json' );
+        // Cleanup temporary working files (fileindex.txt stays for later incrementals)
+        $temp_files = array( 'filemap.txt', 'state.json', 'database.sql', 'package.json', 'manifest.txt', 'deletions.txt', 'encryption.json', 'migration.zip.enc' );
         foreach ( $temp_files as $file ) {
             $path = $state['working_dir'] . '/' . $file;
             if ( file_exists( $path ) ) {
@@ -857,8 +1646,194 @@ class WP_Care_Migration {
         $state['archive_size']       = $archive_size;
         $state['archive_size_human'] = size_format( $archive_size );
 
-        // Cleanup old migrations
-        $this->cleanup_old_migrations();
+        // Prune old migrations
+        $this->apply_retention_policy();
+
+        // Push a copy to any off-site storage targets in the background
+        WP_Care_Storage::queue_migration( $state['migration_id'] );
+    }
+
+    /**
+     * Phase: Encrypt the finished archive with the export's passphrase.
+     *
+     * The manifest is sealed first so it is covered too. The encrypted copy
+     * is written next to the archive in chunks and replaces it when done, so
+     * the package keeps the name storage and transfers expect.
+     *
+     * @param array $state      Migration state (by reference).
+     * @param int   $start_time Start timestamp.
+     * @return bool True if complete.
+     */
+    private function phase_encrypt( &$state, $start_time ) {
+        $zip_path = $state['working_dir'] . '/migration.zip';
+        $enc_path = $zip_path . '.enc';
+
+        $encryption = $this->load_encryption( $state['migration_id'] );
+        if ( ! $encryption || empty( $encryption['keys'][ $state['migration_id'] ] ) ) {
+            $state['error'] = 'The encryption keys for this export are missing. Start the export again.';
+            return true;
+        }
+
+        if ( ! isset( $state['has_manifest'] ) ) {
+            $manifest_path         = $state['working_dir'] . '/manifest.txt';
+            $state['has_manifest'] = file_exists( $manifest_path ) && $this->add_manifest_to_archive( $zip_path, $manifest_path );
+
+            clearstatcache();
+            $state['encrypt_size'] = filesize( $zip_path );
+        }
+
+        $progress = (array) $state['encrypt_progress'];
+        $done     = WP_Care_Package_Encryption::encrypt_file( $zip_path, $enc_path, $encryption['header'], $encryption['keys'][ $state['migration_id'] ], $progress, $start_time + $this->chunk_timeout );
+
+        if ( is_wp_error( $done ) ) {
+            $state['error'] = $done->get_error_message();
+            return true;
+        }
+
+        $state['encrypt_progress'] = $progress;
+
+        if ( $done ) {
+            unlink( $zip_path );
+            if ( ! rename( $enc_path, $zip_path ) ) {
+                $state['error'] = 'Failed to replace the archive with its encrypted copy.';
+            }
+            $this->delete_encryption( $state['migration_id'] );
+        }
+
+        return $done;
+    }
+
+    /**
+     * Save the keys for an encrypted export or restore in its working
+     * directory. Keys are encrypted with the site's salts; the passphrase
+     * itself is never stored.
+     *
+     * @param string      $migration_id Migration ID whose directory holds the file.
+     * @param string|null $header       Header of the package being written, if any.
+     * @param array       $keys         Binary keys, keyed by migration ID.
+     * @return bool
+     */
+    private function save_encryption( $migration_id, $header, $keys ) {
+        $data = array(
+            'header' => $header !== null ? base64_encode( $header ) : null,
+            'keys'   => array(),
+        );
+
+        foreach ( $keys as $id => $key ) {
+            $data['keys'][ $id ] = WP_Care_Security::encrypt( base64_encode( $key ) );
+        }
+
+        return (bool) file_put_contents( $this->migration_dir . '/' . $migration_id . '/encryption.json', wp_json_encode( $data ) );
+    }
+
+    /**
+     * Load keys saved by save_encryption().
+     *
+     * @param string $migration_id Migration ID.
+     * @return array|false 'header' and 'keys', binary.
+     */
+    private function load_encryption( $migration_id ) {
+        $file = $this->migration_dir . '/' . sanitize_file_name( $migration_id ) . '/encryption.json';
+        if ( ! file_exists( $file ) ) {
+            return false;
+        }
+
+        $data = json_decode( file_get_contents( $file ), true );
+        if ( ! is_array( $data ) ) {
+            return false;
+        }
+
+        $keys = array();
+        foreach ( isset( $data['keys'] ) ? (array) $data['keys'] : array() as $id => $key ) {
+            $keys[ $id ] = base64_decode( (string) WP_Care_Security::decrypt( $key ) );
+        }
+
+        return array(
+            'header' => ! empty( $data['header'] ) ? base64_decode( $data['header'] ) : null,
+            'keys'   => $keys,
+        );
+    }
+
+    /**
+     * Delete keys saved by save_encryption().
+     *
+     * @param string $migration_id Migration ID.
+     */
+    private function delete_encryption( $migration_id ) {
+        $file = $this->migration_dir . '/' . sanitize_file_name( $migration_id ) . '/encryption.json';
+        if ( file_exists( $file ) ) {
+            unlink( $file );
+        }
+    }
+
+    /**
+     * Open the working manifest for appending, writing its header if new.
+     *
+     * The manifest lists every archive entry as "sha256<TAB>size<TAB>name",
+     * one per line, and is stored in the archive as manifest.txt.
+     *
+     * @param array $state Migration state.
+     * @return resource|false
+     */
+    private function open_manifest( $state ) {
+        $path   = $state['working_dir'] . '/manifest.txt';
+        $is_new = ! file_exists( $path );
+        $handle = fopen( $path, 'a' );
+
+        if ( $handle && $is_new ) {
+            fwrite( $handle, '# ' . self::MANIFEST_HEADER . "\n" );
+        }
+
+        return $handle;
+    }
+
+    /**
+     * Hash a file and record it in the manifest.
+     *
+     * @param resource|false $manifest Manifest handle.
+     * @param string         $path     File on disk.
+     * @param string         $name     Entry name inside the archive.
+     * @return string|false SHA-256 of the file.
+     */
+    private function write_manifest_entry( $manifest, $path, $name ) {
+        $hash = hash_file( 'sha256', $path );
+        if ( $manifest && $hash ) {
+            fwrite( $manifest, $hash . "\t" . filesize( $path ) . "\t" . $name . "\n" );
+        }
+        return $hash;
+    }
+
+    /**
+     * Close a manifest handle from open_manifest(), or a file index handle.
+     *
+     * @param resource|false $manifest Manifest handle.
+     */
+    private function close_manifest( $manifest ) {
+        if ( $manifest ) {
+            fclose( $manifest );
+        }
+    }
+
+    /**
+     * Add the finished manifest to the archive.
+     *
+     * @param string $zip_path      Archive path.
+     * @param string $manifest_path Manifest path.
+     * @return bool
+     */
+    private function add_manifest_to_archive( $zip_path, $manifest_path ) {
+        if ( class_exists( 'ZipArchive' ) ) {
+            $zip = new ZipArchive();
+            if ( $zip->open( $zip_path ) !== true ) {
+                return false;
+            }
+            $added = $zip->addFile( $manifest_path, 'manifest.txt' );
+            return $zip->close() && $added;
+        }
+
+        require_once ABSPATH . 'wp-admin/includes/class-pclzip.php';
+        $zip = new PclZip( $zip_path );
+        return (bool) $zip->add( $manifest_path, PCLZIP_OPT_REMOVE_PATH, dirname( $manifest_path ) );
     }
 
     /**
@@ -888,6 +1863,7 @@ class WP_Care_Migration {
             'created_at'    => gmdate( 'c' ),
             'site_url'      => get_site_url(),
             'home_url'      => get_home_url(),
+            'abspath'       => untrailingslashit( ABSPATH ),
             'wp_version'    => get_bloginfo( 'version' ),
             'php_version'   => phpversion(),
             'db_version'    => get_option( 'db_version' ),
@@ -966,19 +1942,159 @@ class WP_Care_Migration {
     }
 
     /**
-     * List all available migration backups.
+     * Take an exclusive, non-blocking lock on a migration's working directory.
      *
-     * @return array Migration metadata sorted by creation date descending.
+     * Prevents two chunk requests from processing the same migration at
+     * once, which would corrupt the SQL dump or archive.
+     *
+     * @param string $migration_id Migration ID.
+     * @return resource|false|null Lock handle, false if already locked,
+     *                             null if the lock file can't be created.
      */
-    public function list_migrations() {
-        $migrations = array();
+    private function acquire_lock( $migration_id ) {
+        $dir = $this->migration_dir . '/' . sanitize_file_name( $migration_id );
+        if ( ! is_dir( $dir ) ) {
+            return null;
+        }
 
-        if ( ! is_dir( $this->migration_dir ) ) {
-            return $migrations;
+        $handle = @fopen( $dir . '/state.lock', 'c' );
+        if ( ! $handle ) {
+            // Proceed unlocked rather than stalling the migration forever
+            return null;
         }
 
-        $dirs = scandir( $this->migration_dir );
-        foreach ( $dirs as $dir ) {
+        if ( ! flock( $handle, LOCK_EX | LOCK_NB ) ) {
+            fclose( $handle );
+            return false;
+        }
+
+        return $handle;
+    }
+
+    /**
+     * Release a lock taken by acquire_lock().
+     *
+     * @param resource|false|null $handle Lock handle.
+     */
+    private function release_lock( $handle ) {
+        if ( $handle ) {
+            flock( $handle, LOCK_UN );
+            fclose( $handle );
+        }
+    }
+
+    /**
+     * Get the operation type a state belongs to.
+     *
+     * States written before the 'type' key existed are told apart by
+     * their restore-only fields.
+     *
+     * @param array $state Migration or restore state.
+     * @return string 'export' or 'restore'.
+     */
+    private function get_state_type( $state ) {
+        if ( ! empty( $state['type'] ) ) {
+            return $state['type'];
+        }
+        return array_key_exists( 'checkpoint_id', $state ) ? 'restore' : 'export';
+    }
+
+    // =========================================================================
+    // Interrupted Operations
+    // =========================================================================
+
+    /**
+     * List exports and restores that were started but never completed.
+     *
+     * These are left behind when the browser driving the chunked process
+     * is closed or reloaded. Each can be resumed through process_chunk()
+     * or process_restore_chunk(), or discarded.
+     *
+     * @return array States sorted by last activity descending.
+     */
+    public function list_interrupted() {
+        $interrupted = array();
+
+        if ( ! is_dir( $this->migration_dir ) ) {
+            return $interrupted;
+        }
+
+        foreach ( scandir( $this->migration_dir ) as $dir ) {
+            if ( $dir === '.' || $dir === '..' || ! is_dir( $this->migration_dir . '/' . $dir ) ) {
+                continue;
+            }
+
+            $state = $this->load_state( $dir );
+            if ( ! $state || ! empty( $state['completed'] ) ) {
+                continue;
+            }
+
+            $state['migration_id'] = $dir;
+            $state['type']         = $this->get_state_type( $state );
+            if ( empty( $state['updated_at'] ) ) {
+                $state['updated_at'] = $state['type'] === 'restore' ? $state['started_at'] : $state['created_at'];
+            }
+            unset( $state['working_dir'] );
+
+            $interrupted[] = $state;
+        }
+
+        usort( $interrupted, function( $a, $b ) {
+            return strcmp( $b['updated_at'], $a['updated_at'] );
+        } );
+
+        return $interrupted;
+    }
+
+    /**
+     * Discard an interrupted export or restore.
+     *
+     * An unfinished export has no usable archive, so its whole directory
+     * is removed. A restore only drops its state; the archive it was
+     * restoring from is kept.
+     *
+     * @param string $migration_id Migration ID.
+     * @return bool|WP_Error True on success.
+     */
+    public function discard_interrupted( $migration_id ) {
+        $migration_id = sanitize_file_name( $migration_id );
+        $state        = $this->load_state( $migration_id );
+
+        if ( ! $state || ! empty( $state['completed'] ) ) {
+            return new WP_Error( 'not_found', 'No interrupted operation found.' );
+        }
+
+        $dir = $this->migration_dir . '/' . $migration_id;
+
+        if ( $this->get_state_type( $state ) === 'export' && ! file_exists( $dir . '/migration.json' ) ) {
+            return $this->delete_migration( $migration_id );
+        }
+
+        $this->remove_decrypted_archives( $state );
+
+        foreach ( array( 'state.json', 'state.lock', 'restore_database.sql' ) as $file ) {
+            if ( file_exists( $dir . '/' . $file ) ) {
+                unlink( $dir . '/' . $file );
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * List all available migration backups.
+     *
+     * @return array Migration metadata sorted by creation date descending.
+     */
+    public function list_migrations() {
+        $migrations = array();
+
+        if ( ! is_dir( $this->migration_dir ) ) {
+            return $migrations;
+        }
+
+        $dirs = scandir( $this->migration_dir );
+        foreach ( $dirs as $dir ) {
             if ( $dir === '.' || $dir === '..' ) {
                 continue;
             }
@@ -1080,8 +2196,8 @@ class WP_Care_Migration {
 
         // Validate file extension
         $ext = strtolower( pathinfo( $file['name'], PATHINFO_EXTENSION ) );
-        if ( $ext !== 'zip' ) {
-            return new WP_Error( 'invalid_type', 'Only .zip files are accepted.' );
+        if ( ! in_array( $ext, array( 'zip', 'enc' ), true ) ) {
+            return new WP_Error( 'invalid_type', 'Only .zip and encrypted .zip.enc files are accepted.' );
         }
 
         // Validate it's actually a ZIP by trying to open it
@@ -1110,9 +2226,25 @@ class WP_Care_Migration {
             return new WP_Error( 'move_failed', 'Failed to store uploaded file.' );
         }
 
-        $archive_size = filesize( $zip_path );
+        $metadata = $this->write_upload_metadata( $migration_id, $validation, $file['name'] );
+
+        $this->apply_retention_policy();
+
+        return $metadata;
+    }
+
+    /**
+     * Write migration.json for an uploaded archive.
+     *
+     * @param string $migration_id      Migration ID (directory name).
+     * @param array  $validation        Result of validate_archive().
+     * @param string $original_filename Filename as uploaded by the user.
+     * @return array Migration metadata.
+     */
+    private function write_upload_metadata( $migration_id, $validation, $original_filename ) {
+        $working_dir  = $this->migration_dir . '/' . $migration_id;
+        $archive_size = filesize( $working_dir . '/migration.zip' );
 
-        // Write migration metadata
         $metadata = array(
             'id'                 => $migration_id,
             'created_at'         => gmdate( 'c' ),
@@ -1125,9 +2257,11 @@ class WP_Care_Migration {
             'archive_size'       => $archive_size,
             'archive_size_human' => size_format( $archive_size ),
             'source'             => 'upload',
-            'original_filename'  => sanitize_file_name( $file['name'] ),
+            'original_filename'  => sanitize_file_name( $original_filename ),
             'has_database'       => $validation['has_database'],
             'has_files'          => $validation['has_files'],
+            'has_manifest'       => $validation['has_manifest'],
+            'encrypted'          => $validation['encrypted'],
             'total_files'        => 0,
             'total_files_size'   => 0,
         );
@@ -1135,20 +2269,334 @@ class WP_Care_Migration {
         $metadata_path = $working_dir . '/migration.json';
         file_put_contents( $metadata_path, wp_json_encode( $metadata, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES ) );
 
-        $this->cleanup_old_migrations();
+        return $metadata;
+    }
+
+    // =========================================================================
+    // Chunked Upload
+    // =========================================================================
+
+    /**
+     * Start a chunked upload, or resume a matching one.
+     *
+     * The browser slices the file and sends it piece by piece, so archives
+     * larger than wp_max_upload_size() can be uploaded. Partial data is kept
+     * in upload.part next to an upload.json state file until finalized.
+     *
+     * @param string $filename    Original filename.
+     * @param int    $total_size  Total file size in bytes.
+     * @param string $fingerprint Client-side file fingerprint (name, size, mtime).
+     * @param string $upload_id   Optional ID of an interrupted upload to resume.
+     * @return array|WP_Error Upload state or error.
+     */
+    public function init_chunked_upload( $filename, $total_size, $fingerprint, $upload_id = '' ) {
+        if ( ! self::ensure_migration_dir() ) {
+            return new WP_Error( 'dir_failed', 'Migration directory is not writable.' );
+        }
+
+        $this->cleanup_stale_uploads();
+
+        $ext = strtolower( pathinfo( $filename, PATHINFO_EXTENSION ) );
+        if ( ! in_array( $ext, array( 'zip', 'enc' ), true ) ) {
+            return new WP_Error( 'invalid_type', 'Only .zip and encrypted .zip.enc files are accepted.' );
+        }
+
+        $total_size = (int) $total_size;
+        if ( $total_size <= 0 ) {
+            return new WP_Error( 'invalid_size', 'The selected file is empty.' );
+        }
+
+        // Resume if the browser remembered an upload for this exact file
+        if ( ! empty( $upload_id ) ) {
+            $state = $this->load_upload_state( $upload_id );
+            if ( $state && $state['fingerprint'] === $fingerprint && $state['total_size'] === $total_size ) {
+                $state['resumed'] = $state['received'] > 0;
+                return $state;
+            }
+        }
+
+        $free_space = function_exists( 'disk_free_space' ) ? @disk_free_space( $this->migration_dir ) : false;
+        if ( $free_space !== false && $free_space < $total_size ) {
+            return new WP_Error( 'no_space', 'Not enough disk space to store this archive.' );
+        }
+
+        $upload_id   = 'upload_' . gmdate( 'Ymd_His' ) . '_' . wp_generate_password( 6, false, false );
+        $working_dir = $this->migration_dir . '/' . $upload_id;
+
+        if ( ! wp_mkdir_p( $working_dir ) ) {
+            return new WP_Error( 'dir_failed', 'Failed to create migration directory.' );
+        }
+
+        $state = array(
+            'upload_id'   => $upload_id,
+            'filename'    => sanitize_file_name( $filename ),
+            'fingerprint' => $fingerprint,
+            'total_size'  => $total_size,
+            'received'    => 0,
+            'chunks'      => 0,
+            'started_at'  => gmdate( 'c' ),
+            'updated_at'  => time(),
+            'resumed'     => false,
+        );
+
+        if ( ! $this->save_upload_state( $upload_id, $state ) ) {
+            $this->recursive_delete( $working_dir );
+            return new WP_Error( 'state_failed', 'Failed to save upload state.' );
+        }
+
+        return $state;
+    }
+
+    /**
+     * Append one uploaded chunk to the partial archive.
+     *
+     * Chunks must arrive in order. A chunk whose offset does not match the
+     * bytes already received is ignored and the current state returned, so
+     * the client can re-sync after a lost response.
+     *
+     * @param string $upload_id  Upload ID.
+     * @param int    $offset     Byte offset of this chunk in the file.
+     * @param array  $chunk_file $_FILES entry for the chunk.
+     * @param string $chunk_hash Optional SHA-256 of the chunk computed by the browser.
+     * @return array|WP_Error Updated upload state or error.
+     */
+    public function receive_upload_chunk( $upload_id, $offset, $chunk_file, $chunk_hash = '' ) {
+        $state = $this->load_upload_state( $upload_id );
+        if ( ! $state ) {
+            return new WP_Error( 'not_found', 'Upload not found. Please start the upload again.' );
+        }
+
+        if ( empty( $chunk_file['tmp_name'] ) || ! is_uploaded_file( $chunk_file['tmp_name'] ) ) {
+            return new WP_Error( 'upload_failed', 'No chunk was uploaded.' );
+        }
+
+        if ( $chunk_file['error'] !== UPLOAD_ERR_OK ) {
+            return new WP_Error( 'upload_error', 'Upload error code: ' . $chunk_file['error'] );
+        }
+
+        if ( (int) $offset !== $state['received'] ) {
+            return $state;
+        }
+
+        $chunk_size = filesize( $chunk_file['tmp_name'] );
+        if ( $chunk_size === false || $chunk_size === 0 || $state['received'] + $chunk_size > $state['total_size'] ) {
+            return new WP_Error( 'invalid_chunk', 'Chunk size does not match the expected file size.' );
+        }
+
+        if ( ! empty( $chunk_hash ) && ! hash_equals( strtolower( $chunk_hash ), hash_file( 'sha256', $chunk_file['tmp_name'] ) ) ) {
+            return new WP_Error( 'chunk_corrupt', 'Chunk checksum mismatch.' );
+        }
+
+        $part_path = $this->migration_dir . '/' . $state['upload_id'] . '/upload.part';
+
+        // Drop any bytes written past the last recorded chunk (e.g. an interrupted append)
+        if ( file_exists( $part_path ) && filesize( $part_path ) !== $state['received'] ) {
+            $handle = fopen( $part_path, 'r+b' );
+            if ( $handle ) {
+                ftruncate( $handle, $state['received'] );
+                fclose( $handle );
+            }
+            clearstatcache( true, $part_path );
+        }
+
+        $in  = fopen( $chunk_file['tmp_name'], 'rb' );
+        $out = fopen( $part_path, 'ab' );
+        if ( ! $in || ! $out ) {
+            return new WP_Error( 'write_failed', 'Failed to write uploaded chunk.' );
+        }
+
+        $written = stream_copy_to_stream( $in, $out );
+        fclose( $in );
+        fclose( $out );
+
+        if ( $written !== $chunk_size ) {
+            return new WP_Error( 'write_failed', 'Failed to write uploaded chunk.' );
+        }
+
+        $state['received']  += $chunk_size;
+        $state['chunks']++;
+        $state['updated_at'] = time();
+        $state['resumed']    = false;
+
+        $this->save_upload_state( $state['upload_id'], $state );
+
+        return $state;
+    }
+
+    /**
+     * Verify and finalize a completed chunked upload.
+     *
+     * Checks the reassembled file against the announced size, then runs
+     * validate_archive() before turning it into a regular migration.
+     *
+     * @param string $upload_id Upload ID.
+     * @return array|WP_Error Migration metadata on success, WP_Error on failure.
+     */
+    public function finalize_chunked_upload( $upload_id ) {
+        $state = $this->load_upload_state( $upload_id );
+        if ( ! $state ) {
+            return new WP_Error( 'not_found', 'Upload not found. Please start the upload again.' );
+        }
+
+        $working_dir = $this->migration_dir . '/' . $state['upload_id'];
+        $part_path   = $working_dir . '/upload.part';
+
+        clearstatcache( true, $part_path );
+        if ( $state['received'] !== $state['total_size'] || ! file_exists( $part_path ) || filesize( $part_path ) !== $state['total_size'] ) {
+            return new WP_Error( 'incomplete_upload', 'The uploaded file is incomplete. Please resume the upload.' );
+        }
+
+        $validation = $this->validate_archive( $part_path );
+        if ( is_wp_error( $validation ) ) {
+            $this->recursive_delete( $working_dir );
+            return $validation;
+        }
+
+        if ( ! rename( $part_path, $working_dir . '/migration.zip' ) ) {
+            return new WP_Error( 'move_failed', 'Failed to store uploaded file.' );
+        }
+
+        unlink( $working_dir . '/upload.json' );
+
+        $metadata = $this->write_upload_metadata( $state['upload_id'], $validation, $state['filename'] );
+
+        $this->apply_retention_policy();
+
+        return $metadata;
+    }
+
+    /**
+     * Turn an archive pulled from off-site storage into a regular migration.
+     *
+     * @param string $migration_id Migration ID (directory name).
+     * @param string $part_path    Path of the downloaded file.
+     * @param array  $metadata     migration.json as stored on the target.
+     * @param array  $remote       Sync records to attach, keyed by target ID.
+     * @return array|WP_Error Migration metadata on success, WP_Error on failure.
+     */
+    public function register_pulled_archive( $migration_id, $part_path, $metadata, $remote ) {
+        $migration_id = sanitize_file_name( $migration_id );
+        $working_dir  = $this->migration_dir . '/' . $migration_id;
+
+        $validation = $this->validate_archive( $part_path );
+        if ( is_wp_error( $validation ) ) {
+            $this->recursive_delete( $working_dir );
+            return $validation;
+        }
+
+        if ( ! rename( $part_path, $working_dir . '/migration.zip' ) ) {
+            return new WP_Error( 'move_failed', 'Failed to store pulled file.' );
+        }
+
+        if ( file_exists( $working_dir . '/pull.json' ) ) {
+            unlink( $working_dir . '/pull.json' );
+        }
+
+        clearstatcache( true, $working_dir . '/migration.zip' );
+        $archive_size = filesize( $working_dir . '/migration.zip' );
+
+        // A fresh copy has not been verified here yet
+        unset( $metadata['remote'], $metadata['verification'] );
+
+        $metadata = array_merge( $metadata, array(
+            'id'                 => $migration_id,
+            'archive_file'       => 'migration.zip',
+            'archive_size'       => $archive_size,
+            'archive_size_human' => size_format( $archive_size ),
+            'has_manifest'       => $validation['has_manifest'],
+            'encrypted'          => $validation['encrypted'],
+            'pulled_at'          => gmdate( 'c' ),
+            'remote'             => $remote,
+        ) );
+
+        file_put_contents( $working_dir . '/migration.json', wp_json_encode( $metadata, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES ) );
 
         return $metadata;
     }
 
+    /**
+     * Save chunked upload state to upload.json.
+     *
+     * @param string $upload_id Upload ID.
+     * @param array  $state     State data.
+     * @return bool
+     */
+    private function save_upload_state( $upload_id, $state ) {
+        $dir = $this->migration_dir . '/' . $upload_id;
+        if ( ! is_dir( $dir ) ) {
+            return false;
+        }
+        return (bool) file_put_contents( $dir . '/upload.json', wp_json_encode( $state, JSON_PRETTY_PRINT ) );
+    }
+
+    /**
+     * Load chunked upload state from upload.json.
+     *
+     * @param string $upload_id Upload ID.
+     * @return array|false
+     */
+    private function load_upload_state( $upload_id ) {
+        $upload_id = sanitize_file_name( $upload_id );
+        if ( strpos( $upload_id, 'upload_' ) !== 0 ) {
+            return false;
+        }
+
+        $file = $this->migration_dir . '/' . $upload_id . '/upload.json';
+        if ( ! file_exists( $file ) ) {
+            return false;
+        }
+        $data = json_decode( file_get_contents( $file ), true );
+        return is_array( $data ) ? $data : false;
+    }
+
+    /**
+     * Delete partial uploads that have not received data for two days.
+     */
+    private function cleanup_stale_uploads() {
+        if ( ! is_dir( $this->migration_dir ) ) {
+            return;
+        }
+
+        foreach ( scandir( $this->migration_dir ) as $dir ) {
+            if ( strpos( $dir, 'upload_' ) !== 0 ) {
+                continue;
+            }
+            $state = $this->load_upload_state( $dir );
+            if ( $state && ( time() - $state['updated_at'] ) > 2 * DAY_IN_SECONDS ) {
+                $this->recursive_delete( $this->migration_dir . '/' . $dir );
+            }
+        }
+    }
+
     /**
      * Validate that a ZIP file is a valid migration archive.
      *
-     * Checks for the presence of package.json and/or database.sql.
+     * Checks for the presence of package.json and/or database.sql. The
+     * contents of an encrypted package can't be read without the
+     * passphrase, so only its header is checked and the rest is unknown.
      *
      * @param string $zip_path Path to the ZIP file.
      * @return array|WP_Error Validation info or error.
      */
     private function validate_archive( $zip_path ) {
+        if ( WP_Care_Package_Encryption::is_encrypted( $zip_path ) ) {
+            if ( filesize( $zip_path ) < WP_Care_Package_Encryption::HEADER_LENGTH + 37 ) {
+                return new WP_Error( 'invalid_archive', 'The encrypted package appears to be empty or truncated.' );
+            }
+            return array(
+                'has_database' => null,
+                'has_files'    => null,
+                'has_manifest' => false,
+                'encrypted'    => true,
+                'site_url'     => null,
+                'home_url'     => null,
+                'abspath'      => null,
+                'wp_version'   => null,
+                'php_version'  => null,
+                'version'      => null,
+            );
+        }
+
         if ( ! class_exists( 'ZipArchive' ) ) {
             // Fall back to basic size check if ZipArchive not available
             if ( filesize( $zip_path ) < 100 ) {
@@ -1157,7 +2605,11 @@ class WP_Care_Migration {
             return array(
                 'has_database' => false,
                 'has_files'    => true,
+                'has_manifest' => false,
+                'encrypted'    => false,
                 'site_url'     => null,
+                'home_url'     => null,
+                'abspath'      => null,
                 'wp_version'   => null,
                 'php_version'  => null,
                 'version'      => null,
@@ -1172,10 +2624,13 @@ class WP_Care_Migration {
 
         $has_database = ( $zip->locateName( 'database.sql' ) !== false );
         $has_files    = ( $zip->numFiles > ( $has_database ? 1 : 0 ) );
+        $has_manifest = ( $zip->locateName( 'manifest.txt' ) !== false );
 
         // Try to read package.json for metadata
         $config = array(
             'site_url'    => null,
+            'home_url'    => null,
+            'abspath'     => null,
             'wp_version'  => null,
             'php_version' => null,
             'version'     => null,
@@ -1188,6 +2643,8 @@ class WP_Care_Migration {
                 $package = json_decode( $package_content, true );
                 if ( is_array( $package ) ) {
                     $config['site_url']    = isset( $package['site_url'] ) ? $package['site_url'] : null;
+                    $config['home_url']    = isset( $package['home_url'] ) ? $package['home_url'] : null;
+                    $config['abspath']     = isset( $package['abspath'] ) ? $package['abspath'] : null;
                     $config['wp_version']  = isset( $package['wp_version'] ) ? $package['wp_version'] : null;
                     $config['php_version'] = isset( $package['php_version'] ) ? $package['php_version'] : null;
                     $config['version']     = isset( $package['version'] ) ? $package['version'] : null;
@@ -1204,23 +2661,268 @@ class WP_Care_Migration {
         return array_merge( $config, array(
             'has_database' => $has_database,
             'has_files'    => $has_files,
+            'has_manifest' => $has_manifest,
+            'encrypted'    => false,
         ) );
     }
 
     // =========================================================================
-    // Restore
+    // Archive Contents
     // =========================================================================
 
     /**
-     * Initialize a restore operation from a migration backup.
+     * List what an archive contains, for browsing and selective restore.
      *
-     * Creates a restore state file to track chunked progress.
+     * Tables come from the CREATE TABLE statements in database.sql, sized by
+     * the bytes of SQL belonging to each. Files are grouped one level below
+     * wp-content/themes, plugins, mu-plugins and uploads (e.g. a single
+     * plugin), and by top-level folder elsewhere. The result is cached in
+     * contents.json next to the archive.
      *
-     * @param string $migration_id Migration ID to restore from.
-     * @param array  $options      Restore options: 'restore_database', 'restore_files'.
-     * @return array|WP_Error Restore state or error.
+     * @param string $migration_id Migration ID.
+     * @return array|WP_Error array( 'tables', 'directories' ) or error.
      */
-    public function init_restore( $migration_id, $options = array() ) {
+    public function get_archive_contents( $migration_id ) {
+        $zip_path = $this->get_download_path( $migration_id );
+        if ( ! $zip_path ) {
+            return new WP_Error( 'not_found', 'Migration backup not found.' );
+        }
+
+        if ( WP_Care_Package_Encryption::is_encrypted( $zip_path ) ) {
+            return new WP_Error( 'encrypted', 'This package is encrypted. Its contents can only be read while restoring it with the passphrase.' );
+        }
+
+        $cache_path = dirname( $zip_path ) . '/contents.json';
+        $cache_key  = $this->get_archive_key( $zip_path );
+
+        if ( file_exists( $cache_path ) ) {
+            $cached = json_decode( file_get_contents( $cache_path ), true );
+            if ( is_array( $cached ) && isset( $cached['cache_key'] ) && $cached['cache_key'] === $cache_key ) {
+                return $cached;
+            }
+        }
+
+        if ( ! class_exists( 'ZipArchive' ) ) {
+            return new WP_Error( 'unsupported', 'Browsing archives requires the PHP zip extension.' );
+        }
+
+        $zip = new ZipArchive();
+        if ( $zip->open( $zip_path ) !== true ) {
+            return new WP_Error( 'invalid_archive', 'Failed to open migration archive.' );
+        }
+
+        // An incremental only holds what changed, but restoring it restores
+        // the whole chain, so list the folders from its file index instead
+        $info  = $this->get_migration_info( $migration_id );
+        $files = ! empty( $info['chain'] ) ? $this->load_file_index( $migration_id ) : false;
+        if ( false === $files ) {
+            $files = array();
+            for ( $i = 0; $i < $zip->numFiles; $i++ ) {
+                $stat = $zip->statIndex( $i );
+                $relative = $stat ? $this->get_entry_relative( $stat['name'] ) : null;
+                if ( $relative !== null ) {
+                    $files[ $relative ] = array( 'size' => $stat['size'] );
+                }
+            }
+        }
+
+        $directories = array();
+        foreach ( $files as $relative => $file ) {
+            $group = $this->get_restore_group( $relative );
+            if ( ! isset( $directories[ $group ] ) ) {
+                $directories[ $group ] = array( 'path' => $group, 'size' => 0, 'files' => 0 );
+            }
+            $directories[ $group ]['size'] += $file['size'];
+            $directories[ $group ]['files']++;
+        }
+        ksort( $directories );
+
+        $tables = array();
+        $stream = $zip->locateName( 'database.sql' ) !== false ? $zip->getStream( 'database.sql' ) : false;
+        if ( $stream ) {
+            $current    = null;
+            $line_start = true;
+            while ( ( $chunk = fgets( $stream, 65536 ) ) !== false ) {
+                if ( $line_start ) {
+                    $table = $this->get_sql_line_table( $chunk );
+                    if ( $table !== null ) {
+                        $current = $table;
+                        if ( ! isset( $tables[ $current ] ) ) {
+                            $tables[ $current ] = array( 'name' => $current, 'size' => 0 );
+                        }
+                    }
+                }
+                if ( $current !== null ) {
+                    $tables[ $current ]['size'] += strlen( $chunk );
+                }
+                $line_start = substr( $chunk, -1 ) === "\n";
+            }
+            fclose( $stream );
+        }
+
+        $zip->close();
+
+        $contents = array(
+            'cache_key'   => $cache_key,
+            'tables'      => array_values( $tables ),
+            'directories' => array_values( $directories ),
+        );
+
+        file_put_contents( $cache_path, wp_json_encode( $contents ) );
+
+        return $contents;
+    }
+
+    /**
+     * Entry path of a file in the archive, the reverse of get_entry_name().
+     *
+     * @param string $entry_name Archive entry name.
+     * @return string|null Entry path, or null for directories, root files
+     *                     and anything that could escape its folder.
+     */
+    private function get_entry_relative( $entry_name ) {
+        if ( strpos( $entry_name, 'wp-content/' ) === 0 ) {
+            $relative = substr( $entry_name, strlen( 'wp-content/' ) );
+        } elseif ( strpos( $entry_name, self::ROOT_PREFIX . '/' ) === 0 ) {
+            $relative = substr( $entry_name, strlen( self::ROOT_PREFIX ) );
+        } else {
+            return null;
+        }
+
+        if ( trim( $relative, '/' ) === '' || substr( $relative, -1 ) === '/' || strpos( $relative, '..' ) !== false ) {
+            return null;
+        }
+
+        return $relative;
+    }
+
+    /**
+     * Map a path inside wp-content to the unit it is restored as.
+     *
+     * Extra folders from outside wp-content are restored as a whole.
+     *
+     * @param string $relative Entry path (see get_entry_path()).
+     * @return string e.g. "plugins/akismet", "uploads/2024", "languages", "/downloads".
+     */
+    private function get_restore_group( $relative ) {
+        if ( strpos( $relative, '/' ) === 0 ) {
+            return '/' . strtok( substr( $relative, 1 ), '/' );
+        }
+
+        $parts = explode( '/', $relative );
+
+        if ( count( $parts ) > 1 && in_array( $parts[0], array( 'themes', 'plugins', 'mu-plugins', 'uploads' ), true ) ) {
+            return $parts[0] . '/' . $parts[1];
+        }
+
+        return $parts[0];
+    }
+
+    /**
+     * Get the table a line of SQL dump starts a statement for.
+     *
+     * Recognises the statements both mysqldump (WP-CLI) and our PHP
+     * exporter write per table.
+     *
+     * @param string $line Line from database.sql.
+     * @return string|null Table name, or null for global statements.
+     */
+    private function get_sql_line_table( $line ) {
+        if ( preg_match( '/^(?:DROP TABLE(?: IF EXISTS)?|CREATE TABLE(?: IF NOT EXISTS)?|INSERT(?: IGNORE)? INTO|REPLACE INTO|LOCK TABLES|\/\*!\d+ ALTER TABLE)\s+`([^`]+)`/i', $line, $m ) ) {
+            return $m[1];
+        }
+        return null;
+    }
+
+    /**
+     * Copy a SQL dump keeping only the statements for the given tables.
+     *
+     * @param string $source Source SQL path.
+     * @param string $target Filtered SQL path.
+     * @param array  $tables Table names to keep.
+     * @return bool
+     */
+    private function filter_sql_tables( $source, $target, $tables ) {
+        $in  = fopen( $source, 'r' );
+        $out = fopen( $target, 'w' );
+        if ( ! $in || ! $out ) {
+            if ( $in ) {
+                fclose( $in );
+            }
+            if ( $out ) {
+                fclose( $out );
+            }
+            return false;
+        }
+
+        $keep         = array_flip( $tables );
+        $keep_current = true;
+        $in_statement = false;
+        $line_start   = true;
+
+        while ( ( $chunk = fgets( $in, 65536 ) ) !== false ) {
+            if ( $line_start && ! $in_statement ) {
+                $table        = $this->get_sql_line_table( $chunk );
+                $keep_current = $table === null || isset( $keep[ $table ] );
+            }
+
+            if ( $keep_current ) {
+                fwrite( $out, $chunk );
+            }
+
+            $line_start = substr( $chunk, -1 ) === "\n";
+            if ( $line_start ) {
+                $trimmed = trim( $chunk );
+                if ( $trimmed !== '' && strpos( $trimmed, '--' ) !== 0 ) {
+                    $in_statement = substr( $trimmed, -1 ) !== ';';
+                }
+            } else {
+                $in_statement = true;
+            }
+        }
+
+        fclose( $in );
+        fclose( $out );
+        return true;
+    }
+
+    /**
+     * Check whether an archive entry is part of the selected restore paths.
+     *
+     * @param string     $relative Path relative to wp-content.
+     * @param array|null $paths    Selected paths, or null for everything.
+     * @return bool
+     */
+    private function is_selected_path( $relative, $paths ) {
+        if ( null === $paths ) {
+            return true;
+        }
+
+        foreach ( $paths as $path ) {
+            if ( $relative === $path || strpos( $relative, $path . '/' ) === 0 ) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // =========================================================================
+    // Verification
+    // =========================================================================
+
+    /**
+     * Start verifying an archive against its manifest.
+     *
+     * The manifest is copied out of the archive so each chunk can seek to
+     * where the previous one stopped. Progress is kept in verify.json,
+     * separate from state.json so it never looks like an interrupted
+     * export or restore.
+     *
+     * @param string $migration_id Migration ID.
+     * @return array|WP_Error Verification state or error.
+     */
+    public function init_verify( $migration_id ) {
         $migration_id = sanitize_file_name( $migration_id );
         $zip_path     = $this->get_download_path( $migration_id );
 
@@ -1228,294 +2930,1438 @@ class WP_Care_Migration {
             return new WP_Error( 'not_found', 'Migration backup not found.' );
         }
 
-        $info = $this->get_migration_info( $migration_id );
+        // Decrypting authenticates every chunk, which covers the same ground
+        if ( WP_Care_Package_Encryption::is_encrypted( $zip_path ) ) {
+            return new WP_Error( 'encrypted', 'Encrypted packages are checked for changes while they are decrypted during a restore.' );
+        }
 
-        $defaults = array(
-            'restore_database' => true,
-            'restore_files'    => true,
-        );
-        $options = wp_parse_args( $options, $defaults );
+        if ( ! class_exists( 'ZipArchive' ) ) {
+            return new WP_Error( 'unsupported', 'Verifying archives requires the PHP zip extension.' );
+        }
+
+        $zip = new ZipArchive();
+        if ( $zip->open( $zip_path ) !== true ) {
+            return new WP_Error( 'invalid_archive', 'Failed to open migration archive.' );
+        }
+
+        $stream = $zip->locateName( 'manifest.txt' ) !== false ? $zip->getStream( 'manifest.txt' ) : false;
+        if ( ! $stream ) {
+            $zip->close();
+            return new WP_Error( 'no_manifest', 'This archive has no integrity manifest. It was created by an older version of the plugin.' );
+        }
+
+        $manifest_path = dirname( $zip_path ) . '/verify_manifest.txt';
+        $out           = fopen( $manifest_path, 'w' );
+        if ( ! $out ) {
+            fclose( $stream );
+            $zip->close();
+            return new WP_Error( 'write_failed', 'Failed to prepare verification.' );
+        }
+        stream_copy_to_stream( $stream, $out );
+        fclose( $stream );
+        fclose( $out );
+        $zip->close();
+
+        $handle = fopen( $manifest_path, 'r' );
+        $header = trim( fgets( $handle ) );
+        $offset = ftell( $handle );
+        $total  = 0;
+        while ( ( $line = fgets( $handle ) ) !== false ) {
+            if ( trim( $line ) !== '' ) {
+                $total++;
+            }
+        }
+        fclose( $handle );
+
+        if ( $header !== '# ' . self::MANIFEST_HEADER ) {
+            unlink( $manifest_path );
+            return new WP_Error( 'invalid_manifest', 'The archive manifest is in an unknown format.' );
+        }
 
         $state = array(
-            'migration_id'       => $migration_id,
-            'phase'              => 'checkpoint',
-            'progress'           => 0,
-            'completed'          => false,
-            'error'              => null,
-            'options'            => $options,
-            'started_at'         => gmdate( 'c' ),
-            'checkpoint_id'      => null,
-            // Extract tracking
-            'extracted_files'    => 0,
-            'total_entries'      => 0,
-            'zip_index'          => 0,
-            'db_imported'        => false,
+            'migration_id'    => $migration_id,
+            'phase'           => 'entries',
+            'progress'        => 0,
+            'completed'       => false,
+            'error'           => null,
+            'status'          => null,
+            'started_at'      => gmdate( 'c' ),
+            'archive_key'     => $this->get_archive_key( $zip_path ),
+            'manifest_offset' => $offset,
+            'checked'         => 0,
+            'total'           => $total,
+            'missing'         => array(),
+            'corrupted'       => array(),
+            'extra'           => array(),
+            'missing_count'   => 0,
+            'corrupted_count' => 0,
+            'extra_count'     => 0,
         );
 
-        $working_dir = $this->migration_dir . '/' . $migration_id;
-        if ( ! $this->save_state( $migration_id, $state ) ) {
-            return new WP_Error( 'state_failed', 'Failed to save restore state.' );
+        if ( ! $this->save_verify_state( $migration_id, $state ) ) {
+            return new WP_Error( 'state_failed', 'Failed to save verification state.' );
         }
 
         return $state;
     }
 
     /**
-     * Process next chunk of a restore operation.
+     * Process next chunk of a verification.
      *
-     * @param string $migration_id The migration ID being restored.
-     * @return array Updated restore state.
+     * First every manifest entry is checked for presence, size and hash,
+     * then the archive is scanned for entries the manifest doesn't list.
+     *
+     * @param string $migration_id Migration ID.
+     * @return array Updated verification state.
      */
-    public function process_restore_chunk( $migration_id ) {
-        $state = $this->load_state( $migration_id );
+    public function process_verify_chunk( $migration_id ) {
+        $migration_id = sanitize_file_name( $migration_id );
+        $state        = $this->load_verify_state( $migration_id );
         if ( ! $state ) {
-            return array( 'error' => 'Restore state not found', 'completed' => false );
+            return array( 'error' => 'Verification state not found', 'completed' => false );
         }
 
         if ( $state['completed'] || $state['error'] ) {
             return $state;
         }
 
-        $start_time = time();
+        $dir           = $this->migration_dir . '/' . $migration_id;
+        $manifest_path = $dir . '/verify_manifest.txt';
+        $start_time    = time();
 
-        switch ( $state['phase'] ) {
-            case 'checkpoint':
-                $this->restore_phase_checkpoint( $state );
-                $state['phase']    = 'database';
-                $state['progress'] = 10;
-                break;
+        $zip = new ZipArchive();
+        if ( ! file_exists( $manifest_path ) || $zip->open( $dir . '/migration.zip' ) !== true ) {
+            $state['error'] = 'Failed to open migration archive.';
+            $this->save_verify_state( $migration_id, $state );
+            return $state;
+        }
 
-            case 'database':
-                if ( ! $state['options']['restore_database'] ) {
-                    $state['phase']    = 'files';
-                    $state['progress'] = 40;
-                    $state['db_imported'] = true;
-                } else {
-                    $done = $this->restore_phase_database( $state );
-                    if ( $done ) {
-                        $state['phase']    = 'files';
-                        $state['progress'] = 40;
-                    } else {
-                        $state['progress'] = 20;
+        if ( $state['phase'] === 'entries' ) {
+            $handle = fopen( $manifest_path, 'r' );
+            fseek( $handle, $state['manifest_offset'] );
+
+            while ( ( $line = fgets( $handle ) ) !== false ) {
+                $parts = explode( "\t", rtrim( $line, "\r\n" ), 3 );
+                if ( count( $parts ) === 3 ) {
+                    list( $hash, $size, $name ) = $parts;
+                    $state['checked']++;
+
+                    $stat = $zip->statName( $name );
+                    if ( ! $stat ) {
+                        $this->record_verify_issue( $state, 'missing', $name );
+                    } elseif ( (int) $stat['size'] !== (int) $size || ! hash_equals( $hash, $this->hash_archive_entry( $zip, $name ) ) ) {
+                        $this->record_verify_issue( $state, 'corrupted', $name );
                     }
                 }
-                break;
 
-            case 'files':
-                if ( ! $state['options']['restore_files'] ) {
-                    $state['phase']     = 'complete';
-                    $state['progress']  = 100;
-                    $state['completed'] = true;
-                } else {
-                    $done = $this->restore_phase_files( $state, $start_time );
-                    if ( $done ) {
-                        $state['phase']     = 'complete';
-                        $state['progress']  = 100;
-                        $state['completed'] = true;
-                    } else {
-                        if ( $state['total_entries'] > 0 ) {
-                            $state['progress'] = 40 + (int) ( 60 * $state['extracted_files'] / $state['total_entries'] );
+                if ( ( time() - $start_time ) >= $this->chunk_timeout ) {
+                    break;
+                }
+            }
+
+            $state['manifest_offset'] = ftell( $handle );
+            if ( feof( $handle ) ) {
+                $state['phase'] = 'extra';
+            }
+            fclose( $handle );
+
+            if ( $state['total'] > 0 ) {
+                $state['progress'] = (int) ( 95 * $state['checked'] / $state['total'] );
+            }
+        } elseif ( $state['phase'] === 'extra' ) {
+            $listed = array( 'manifest.txt' => true );
+            $handle = fopen( $manifest_path, 'r' );
+            fgets( $handle );
+            while ( ( $line = fgets( $handle ) ) !== false ) {
+                $parts = explode( "\t", rtrim( $line, "\r\n" ), 3 );
+                if ( count( $parts ) === 3 ) {
+                    $listed[ $parts[2] ] = true;
+                }
+            }
+            fclose( $handle );
+
+            for ( $i = 0; $i < $zip->numFiles; $i++ ) {
+                $name = $zip->getNameIndex( $i );
+                if ( $name !== false && substr( $name, -1 ) !== '/' && ! isset( $listed[ $name ] ) ) {
+                    $this->record_verify_issue( $state, 'extra', $name );
+                }
+            }
+
+            $passed = ! $state['missing_count'] && ! $state['corrupted_count'] && ! $state['extra_count'];
+
+            $state['status']    = $passed ? 'passed' : 'failed';
+            $state['phase']     = 'complete';
+            $state['progress']  = 100;
+            $state['completed'] = true;
+
+            $this->update_migration_info( $migration_id, array(
+                'verification' => array(
+                    'status'          => $state['status'],
+                    'checked_at'      => gmdate( 'c' ),
+                    'archive_key'     => $state['archive_key'],
+                    'checked'         => $state['checked'],
+                    'missing_count'   => $state['missing_count'],
+                    'corrupted_count' => $state['corrupted_count'],
+                    'extra_count'     => $state['extra_count'],
+                ),
+            ) );
+        }
+
+        $zip->close();
+
+        if ( $state['completed'] ) {
+            unlink( $manifest_path );
+            unlink( $dir . '/verify.json' );
+        } else {
+            $this->save_verify_state( $migration_id, $state );
+        }
+
+        return $state;
+    }
+
+    /**
+     * Run a full verification in one go (for remote command use).
+     *
+     * @param string $migration_id Migration ID.
+     * @return array|WP_Error Final verification state or error.
+     */
+    public function run_full_verify( $migration_id ) {
+        if ( function_exists( 'set_time_limit' ) ) {
+            @set_time_limit( 600 );
+        }
+
+        $state = $this->init_verify( $migration_id );
+        if ( is_wp_error( $state ) ) {
+            return $state;
+        }
+
+        $this->chunk_timeout = 300;
+
+        while ( ! $state['completed'] && ! $state['error'] ) {
+            $state = $this->process_verify_chunk( $migration_id );
+        }
+
+        return $state;
+    }
+
+    /**
+     * Get the stored verification result for an archive.
+     *
+     * Results are tied to the archive's size and modification time, so a
+     * replaced archive counts as unverified.
+     *
+     * @param string $migration_id Migration ID.
+     * @return array|null Verification summary, or null if not verified.
+     */
+    public function get_verification( $migration_id ) {
+        $info     = $this->get_migration_info( $migration_id );
+        $zip_path = $this->get_download_path( $migration_id );
+
+        if ( ! $info || ! $zip_path || empty( $info['verification'] ) ) {
+            return null;
+        }
+
+        if ( $info['verification']['archive_key'] !== $this->get_archive_key( $zip_path ) ) {
+            return null;
+        }
+
+        return $info['verification'];
+    }
+
+    /**
+     * Record a verification problem, keeping at most 50 names per kind.
+     *
+     * @param array  $state Verification state (by reference).
+     * @param string $kind  'missing', 'corrupted' or 'extra'.
+     * @param string $name  Archive entry name.
+     */
+    private function record_verify_issue( &$state, $kind, $name ) {
+        $state[ $kind . '_count' ]++;
+        if ( count( $state[ $kind ] ) < 50 ) {
+            $state[ $kind ][] = $name;
+        }
+    }
+
+    /**
+     * SHA-256 an archive entry without extracting it to disk.
+     *
+     * @param ZipArchive $zip  Open archive.
+     * @param string     $name Entry name.
+     * @return string Hex digest, or empty string if unreadable.
+     */
+    private function hash_archive_entry( $zip, $name ) {
+        $stream = $zip->getStream( $name );
+        if ( ! $stream ) {
+            return '';
+        }
+
+        $context = hash_init( 'sha256' );
+        hash_update_stream( $context, $stream );
+        fclose( $stream );
+
+        return hash_final( $context );
+    }
+
+    /**
+     * Check whether an archive carries a manifest.
+     *
+     * @param string $zip_path Archive path.
+     * @return bool
+     */
+    private function archive_has_manifest( $zip_path ) {
+        if ( ! class_exists( 'ZipArchive' ) ) {
+            return false;
+        }
+
+        $zip = new ZipArchive();
+        if ( $zip->open( $zip_path ) !== true ) {
+            return false;
+        }
+
+        $found = $zip->locateName( 'manifest.txt' ) !== false;
+        $zip->close();
+        return $found;
+    }
+
+    /**
+     * Identify an archive's current contents by size and modification time.
+     *
+     * @param string $zip_path Archive path.
+     * @return string
+     */
+    private function get_archive_key( $zip_path ) {
+        clearstatcache();
+        return filesize( $zip_path ) . ':' . filemtime( $zip_path );
+    }
+
+    /**
+     * Save verification state.
+     *
+     * @param string $migration_id Migration ID.
+     * @param array  $state        State data.
+     * @return bool
+     */
+    private function save_verify_state( $migration_id, $state ) {
+        return (bool) file_put_contents(
+            $this->migration_dir . '/' . $migration_id . '/verify.json',
+            wp_json_encode( $state, JSON_PRETTY_PRINT )
+        );
+    }
+
+    /**
+     * Load verification state.
+     *
+     * @param string $migration_id Migration ID.
+     * @return array|false
+     */
+    private function load_verify_state( $migration_id ) {
+        $file = $this->migration_dir . '/' . $migration_id . '/verify.json';
+        if ( ! file_exists( $file ) ) {
+            return false;
+        }
+        $data = json_decode( file_get_contents( $file ), true );
+        return is_array( $data ) ? $data : false;
+    }
+
+    /**
+     * Merge data into a migration's migration.json.
+     *
+     * @param string $migration_id Migration ID.
+     * @param array  $data         Keys to set.
+     * @return bool
+     */
+    public function update_migration_info( $migration_id, $data ) {
+        $info = $this->get_migration_info( $migration_id );
+        if ( ! $info ) {
+            return false;
+        }
+
+        return (bool) file_put_contents(
+            $this->migration_dir . '/' . sanitize_file_name( $migration_id ) . '/migration.json',
+            wp_json_encode( array_merge( $info, $data ), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES )
+        );
+    }
+
+    // =========================================================================
+    // Restore
+    // =========================================================================
+
+    /**
+     * Initialize a restore operation from a migration backup.
+     *
+     * Creates a restore state file to track chunked progress.
+     *
+     * @param string $migration_id Migration ID to restore from.
+     * @param array  $options      Restore options: 'restore_database', 'restore_files',
+     *                             'search_replace', 'replacements', 'tables' /
+     *                             'paths' to restore only part of the archive, and
+     *                             'passphrase' for encrypted packages.
+     * @return array|WP_Error Restore state or error.
+     */
+    public function init_restore( $migration_id, $options = array() ) {
+        $migration_id = sanitize_file_name( $migration_id );
+        $zip_path     = $this->get_download_path( $migration_id );
+
+        if ( ! $zip_path ) {
+            return new WP_Error( 'not_found', 'Migration backup not found.' );
+        }
+
+        $info = $this->get_migration_info( $migration_id );
+
+        $defaults = array(
+            'restore_database'  => true,
+            'restore_files'     => true,
+            'search_replace'    => true,
+            'replacements'      => array(),
+            'tables'            => null,
+            'paths'             => null,
+            'skip_verification' => false,
+            'passphrase'        => '',
+        );
+        $options = wp_parse_args( $options, $defaults );
+
+        // Refuse packages that fail (or haven't had) an integrity check,
+        // unless the caller explicitly accepts the risk.
+        if ( ! $options['skip_verification'] ) {
+            $verification = $this->get_verification( $migration_id );
+            if ( null === $verification && $this->archive_has_manifest( $zip_path ) ) {
+                return new WP_Error( 'verification_required', 'This package must be verified before it can be restored.' );
+            }
+            if ( $verification && $verification['status'] !== 'passed' ) {
+                return new WP_Error( 'verification_failed', sprintf(
+                    'This package failed verification: %d missing, %d corrupted and %d unexpected entries.',
+                    $verification['missing_count'],
+                    $verification['corrupted_count'],
+                    $verification['extra_count']
+                ) );
+            }
+        }
+
+        // An incremental only holds what changed since its base, so files
+        // are restored from every export in its chain, oldest first
+        $chain = array();
+        if ( $options['restore_files'] && $info && ! empty( $info['chain'] ) ) {
+            foreach ( $info['chain'] as $base_id ) {
+                if ( ! $this->get_download_path( $base_id ) ) {
+                    return new WP_Error( 'chain_incomplete', sprintf( 'This incremental export builds on %s, which is no longer available.', $base_id ) );
+                }
+
+                $base_verification = $this->get_verification( $base_id );
+                if ( ! $options['skip_verification'] && $base_verification && $base_verification['status'] !== 'passed' ) {
+                    return new WP_Error( 'verification_failed', sprintf( 'The base export %s failed verification.', $base_id ) );
+                }
+            }
+            $chain = array_merge( $info['chain'], array( $migration_id ) );
+        }
+
+        // Check the passphrase against every encrypted archive before
+        // anything is touched; they are decrypted in the first phase
+        $decrypt_queue = array();
+        $keys          = array();
+        foreach ( ! empty( $chain ) ? $chain : array( $migration_id ) as $archive_id ) {
+            $archive_path = $this->get_download_path( $archive_id );
+            if ( ! WP_Care_Package_Encryption::is_encrypted( $archive_path ) ) {
+                continue;
+            }
+
+            if ( (string) $options['passphrase'] === '' ) {
+                return new WP_Error( 'passphrase_required', 'This package is encrypted. Enter its passphrase to restore it.' );
+            }
+
+            $key = WP_Care_Package_Encryption::unlock( $archive_path, (string) $options['passphrase'] );
+            if ( is_wp_error( $key ) ) {
+                if ( $archive_id !== $migration_id && $key->get_error_code() === 'wrong_passphrase' ) {
+                    return new WP_Error( 'wrong_passphrase', sprintf( 'The passphrase is not correct for the base export %s.', $archive_id ) );
+                }
+                return $key;
+            }
+
+            $decrypt_queue[]     = $archive_id;
+            $keys[ $archive_id ] = $key;
+        }
+        unset( $options['passphrase'] );
+
+        // Selective restore: null means everything in the archive
+        $selected_tables = null;
+        if ( is_array( $options['tables'] ) ) {
+            $selected_tables = array_values( array_filter( array_map( function( $table ) {
+                return preg_replace( '/[^A-Za-z0-9_$-]/', '', $table );
+            }, $options['tables'] ) ) );
+        }
+
+        $selected_paths = null;
+        if ( is_array( $options['paths'] ) ) {
+            $selected_paths = array();
+            foreach ( $options['paths'] as $path ) {
+                // A leading slash marks an extra folder from outside wp-content
+                $path    = str_replace( '\\', '/', $path );
+                $is_root = strpos( $path, '/' ) === 0;
+                $path    = trim( $path, '/' );
+                if ( $path !== '' && strpos( $path, '..' ) === false ) {
+                    $selected_paths[] = ( $is_root ? '/' : '' ) . $path;
+                }
+            }
+        }
+        unset( $options['tables'], $options['paths'] );
+
+        // Work out the URL/path rewrites now, while this site's own values
+        // are still in the database. An encrypted archive's source URLs are
+        // only known once it is decrypted, which also happens before any
+        // change is made.
+        $replacements        = array();
+        $detect_replacements = $options['restore_database'] && $options['search_replace'] && in_array( $migration_id, $decrypt_queue, true );
+        if ( $options['restore_database'] && $options['search_replace'] && ! $detect_replacements ) {
+            $detected = $this->get_restore_replacements( $migration_id );
+            if ( ! is_wp_error( $detected ) ) {
+                $replacements = $detected;
+            }
+        }
+        foreach ( (array) $options['replacements'] as $pair ) {
+            if ( is_array( $pair ) && isset( $pair['from'], $pair['to'] ) && $pair['from'] !== '' && $pair['from'] !== $pair['to'] ) {
+                $replacements[] = array(
+                    'type' => 'custom',
+                    'from' => (string) $pair['from'],
+                    'to'   => (string) $pair['to'],
+                );
+            }
+        }
+        unset( $options['replacements'] );
+
+        $state = array(
+            'migration_id'       => $migration_id,
+            'type'               => 'restore',
+            'phase'              => ! empty( $decrypt_queue ) ? 'decrypt' : 'checkpoint',
+            'progress'           => 0,
+            'completed'          => false,
+            'error'              => null,
+            'options'            => $options,
+            'started_at'         => gmdate( 'c' ),
+            'updated_at'         => gmdate( 'c' ),
+            'checkpoint_id'      => null,
+            // Extract tracking
+            'extracted_files'    => 0,
+            'deleted_files'      => 0,
+            'total_entries'      => 0,
+            'zip_index'          => 0,
+            'chain'              => $chain,
+            'chain_index'        => 0,
+            'db_imported'        => false,
+            'db_restored'        => false,
+            'selected_tables'    => $selected_tables,
+            'selected_paths'     => $selected_paths,
+            // Search-replace tracking
+            'replacements'       => $replacements,
+            'target_site_url'    => get_site_url(),
+            'target_home_url'    => get_home_url(),
+            'replace_tables'     => null,
+            'replace_table_index' => 0,
+            'replace_last_key'   => null,
+            'replaced_rows'      => 0,
+            // Decrypt tracking
+            'decrypt_queue'       => $decrypt_queue,
+            'decrypt_index'       => 0,
+            'decrypt_progress'    => array(),
+            'detect_replacements' => $detect_replacements,
+        );
+
+        if ( ! empty( $decrypt_queue ) && ! $this->save_encryption( $migration_id, null, $keys ) ) {
+            return new WP_Error( 'state_failed', 'Failed to save restore state.' );
+        }
+
+        $working_dir = $this->migration_dir . '/' . $migration_id;
+        if ( ! $this->save_state( $migration_id, $state ) ) {
+            return new WP_Error( 'state_failed', 'Failed to save restore state.' );
+        }
+
+        return $state;
+    }
+
+    /**
+     * Process next chunk of a restore operation.
+     *
+     * @param string $migration_id The migration ID being restored.
+     * @return array Updated restore state.
+     */
+    public function process_restore_chunk( $migration_id ) {
+        $lock  = $this->acquire_lock( $migration_id );
+        $state = $this->load_state( $migration_id );
+        if ( ! $state ) {
+            $this->release_lock( $lock );
+            return array( 'error' => 'Restore state not found', 'completed' => false );
+        }
+
+        if ( $state['completed'] || $state['error'] ) {
+            $this->release_lock( $lock );
+            return $state;
+        }
+
+        if ( false === $lock ) {
+            $state['busy'] = true;
+            return $state;
+        }
+
+        $start_time = time();
+
+        switch ( $state['phase'] ) {
+            case 'decrypt':
+                $done = $this->restore_phase_decrypt( $state, $start_time );
+                if ( $done ) {
+                    $state['phase']    = 'checkpoint';
+                    $state['progress'] = 5;
+                } elseif ( ! empty( $state['decrypt_queue'] ) ) {
+                    // Calculate progress within decrypt phase (0-5%)
+                    $state['progress'] = (int) ( 5 * $state['decrypt_index'] / count( $state['decrypt_queue'] ) );
+                }
+                break;
+
+            case 'checkpoint':
+                $this->restore_phase_checkpoint( $state );
+                $state['phase']    = 'database';
+                $state['progress'] = 10;
+                break;
+
+            case 'database':
+                if ( ! $state['options']['restore_database'] ) {
+                    $state['phase']    = 'files';
+                    $state['progress'] = 40;
+                    $state['db_imported'] = true;
+                } else {
+                    $done = $this->restore_phase_database( $state );
+                    if ( $done && $state['db_restored'] && ! empty( $state['replacements'] ) ) {
+                        $this->restore_site_urls( $state );
+                        $state['phase']    = 'replace';
+                        $state['progress'] = 25;
+                    } elseif ( $done ) {
+                        $state['phase']    = 'files';
+                        $state['progress'] = 40;
+                    } else {
+                        $state['progress'] = 20;
+                    }
+                }
+                break;
+
+            case 'replace':
+                $done = $this->restore_phase_replace( $state, $start_time );
+                if ( $done ) {
+                    $state['phase']    = 'files';
+                    $state['progress'] = 40;
+                } elseif ( ! empty( $state['replace_tables'] ) ) {
+                    // Calculate progress within replace phase (25-40%)
+                    $state['progress'] = 25 + (int) ( 15 * $state['replace_table_index'] / count( $state['replace_tables'] ) );
+                }
+                break;
+
+            case 'files':
+                if ( ! $state['options']['restore_files'] ) {
+                    $state['phase']     = 'complete';
+                    $state['progress']  = 100;
+                    $state['completed'] = true;
+                } else {
+                    $done = $this->restore_phase_files( $state, $start_time );
+                    if ( $done ) {
+                        $state['phase']     = 'complete';
+                        $state['progress']  = 100;
+                        $state['completed'] = true;
+                    } else {
+                        // Calculate progress within files phase (40-100%), one step per archive in the chain
+                        $steps = ! empty( $state['chain'] ) ? count( $state['chain'] ) : 1;
+                        $step  = isset( $state['chain_index'] ) ? $state['chain_index'] : 0;
+                        if ( $state['total_entries'] > 0 ) {
+                            $step += $state['zip_index'] / $state['total_entries'];
+                        }
+                        $state['progress'] = 40 + (int) ( 60 * $step / $steps );
+                    }
+                }
+                break;
+        }
+
+        // Decrypted copies and keys don't outlive the restore
+        if ( $state['completed'] || $state['error'] ) {
+            $this->remove_decrypted_archives( $state );
+        }
+
+        $state['updated_at'] = gmdate( 'c' );
+        $this->save_state( $migration_id, $state );
+        $this->release_lock( $lock );
+        return $state;
+    }
+
+    /**
+     * Run a full restore in one go (for remote command use).
+     *
+     * @param string $migration_id Migration ID to restore.
+     * @param array  $options      Restore options.
+     * @return array Final restore state.
+     */
+    public function run_full_restore( $migration_id, $options = array() ) {
+        if ( function_exists( 'set_time_limit' ) ) {
+            @set_time_limit( 600 );
+        }
+
+        $state = $this->init_restore( $migration_id, $options );
+        if ( is_wp_error( $state ) && $state->get_error_code() === 'verification_required' ) {
+            $verify = $this->run_full_verify( $migration_id );
+            if ( is_wp_error( $verify ) ) {
+                return array( 'error' => $verify->get_error_message(), 'completed' => false );
+            }
+            $state = $this->init_restore( $migration_id, $options );
+        }
+        if ( is_wp_error( $state ) ) {
+            return array( 'error' => $state->get_error_message(), 'completed' => false );
+        }
+
+        $this->chunk_timeout = 300;
+
+        while ( ! $state['completed'] && ! $state['error'] ) {
+            $state = $this->process_restore_chunk( $migration_id );
+        }
+
+        return $state;
+    }
+
+    /**
+     * Restore phase: Decrypt each encrypted archive the restore reads into
+     * a decrypted.zip next to it. Every chunk is authenticated first, so a
+     * wrong or tampered package stops the restore before the checkpoint.
+     *
+     * @param array $state      Restore state (by reference).
+     * @param int   $start_time Start timestamp for timeout tracking.
+     * @return bool True if complete.
+     */
+    private function restore_phase_decrypt( &$state, $start_time ) {
+        $encryption = $this->load_encryption( $state['migration_id'] );
+
+        while ( $state['decrypt_index'] < count( $state['decrypt_queue'] ) ) {
+            $archive_id = $state['decrypt_queue'][ $state['decrypt_index'] ];
+            $source     = $this->get_download_path( $archive_id );
+
+            if ( ! $source ) {
+                $state['error'] = 'Migration archive not found.';
+                return true;
+            }
+
+            if ( ! $encryption || empty( $encryption['keys'][ $archive_id ] ) ) {
+                $state['error'] = 'The decryption keys for this restore are missing. Start the restore again.';
+                return true;
+            }
+
+            // Written under a temporary name so decrypted.zip is always complete
+            $target   = dirname( $source ) . '/decrypted.zip';
+            $progress = (array) $state['decrypt_progress'];
+            $done     = WP_Care_Package_Encryption::decrypt_file( $source, $target . '.part', $encryption['keys'][ $archive_id ], $progress, $start_time + $this->chunk_timeout );
+
+            if ( is_wp_error( $done ) ) {
+                $state['error'] = $done->get_error_message();
+                return true;
+            }
+
+            $state['decrypt_progress'] = $progress;
+
+            if ( ! $done ) {
+                return false;
+            }
+
+            if ( ! rename( $target . '.part', $target ) ) {
+                $state['error'] = 'Failed to store the decrypted archive.';
+                return true;
+            }
+
+            $state['decrypt_index']++;
+            $state['decrypt_progress'] = array();
+
+            if ( time() - $start_time >= $this->chunk_timeout ) {
+                break;
+            }
+        }
+
+        if ( $state['decrypt_index'] < count( $state['decrypt_queue'] ) ) {
+            return false;
+        }
+
+        $this->delete_encryption( $state['migration_id'] );
+
+        if ( ! empty( $state['detect_replacements'] ) ) {
+            $detected = $this->get_restore_replacements( $state['migration_id'] );
+            if ( ! is_wp_error( $detected ) ) {
+                $state['replacements'] = array_merge( $detected, $state['replacements'] );
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the archive a restore reads: its decrypted copy for an encrypted
+     * package, otherwise the package itself.
+     *
+     * @param string $migration_id Migration ID.
+     * @return string|false File path or false.
+     */
+    private function get_restore_archive( $migration_id ) {
+        $decrypted = $this->migration_dir . '/' . sanitize_file_name( $migration_id ) . '/decrypted.zip';
+
+        return file_exists( $decrypted ) ? $decrypted : $this->get_download_path( $migration_id );
+    }
+
+    /**
+     * Delete the decrypted copies and keys of a restore.
+     *
+     * @param array $state Restore state.
+     */
+    private function remove_decrypted_archives( $state ) {
+        if ( empty( $state['decrypt_queue'] ) ) {
+            return;
+        }
+
+        foreach ( $state['decrypt_queue'] as $archive_id ) {
+            $dir = $this->migration_dir . '/' . sanitize_file_name( $archive_id );
+            foreach ( array( 'decrypted.zip', 'decrypted.zip.part' ) as $file ) {
+                if ( file_exists( $dir . '/' . $file ) ) {
+                    unlink( $dir . '/' . $file );
+                }
+            }
+        }
+
+        $this->delete_encryption( $state['migration_id'] );
+    }
+
+    /**
+     * Restore phase: Create a checkpoint before restoring.
+     *
+     * When files are restored, the themes, plugins and must-use plugins
+     * about to be overwritten are snapshotted along with the database.
+     * Uploads are left out; they are rarely broken by a restore and can
+     * be far too large to copy here.
+     *
+     * @param array $state Restore state (by reference).
+     */
+    private function restore_phase_checkpoint( &$state ) {
+        $paths = array();
+        if ( $state['options']['restore_files'] ) {
+            $code_dirs = array( 'themes', 'plugins', 'mu-plugins' );
+            if ( null === $state['selected_paths'] ) {
+                $paths = $code_dirs;
+            } else {
+                foreach ( $state['selected_paths'] as $path ) {
+                    if ( in_array( strtok( $path, '/' ), $code_dirs, true ) ) {
+                        $paths[] = $path;
+                    }
+                }
+            }
+        }
+
+        $backup = new WP_Care_Backup();
+        $checkpoint_id = $backup->create_checkpoint( 'pre_migration_restore', $paths );
+
+        if ( $checkpoint_id === false ) {
+            error_log( 'WP Care Migration: Failed to create pre-restore checkpoint, proceeding anyway' );
+        } else {
+            $state['checkpoint_id'] = $checkpoint_id;
+        }
+    }
+
+    /**
+     * Restore phase: Extract and import database.sql from the archive.
+     *
+     * @param array $state Restore state (by reference).
+     * @return bool True if complete.
+     */
+    private function restore_phase_database( &$state ) {
+        if ( $state['db_imported'] ) {
+            return true;
+        }
+
+        $zip_path = $this->get_restore_archive( $state['migration_id'] );
+        if ( ! $zip_path ) {
+            $state['error'] = 'Migration archive not found.';
+            return true;
+        }
+
+        // Extract database.sql to a temp file
+        $working_dir = dirname( $zip_path );
+        $sql_path    = $working_dir . '/restore_database.sql';
+
+        if ( ! file_exists( $sql_path ) ) {
+            if ( class_exists( 'ZipArchive' ) ) {
+                $zip = new ZipArchive();
+                if ( $zip->open( $zip_path ) !== true ) {
+                    $state['error'] = 'Failed to open migration archive.';
+                    return true;
+                }
+
+                if ( $zip->locateName( 'database.sql' ) === false ) {
+                    $zip->close();
+                    $state['db_imported'] = true;
+                    return true; // No database in archive, skip
+                }
+
+                $zip->extractTo( $working_dir, array( 'database.sql' ) );
+                $zip->close();
+
+                // Rename to avoid conflict with export temp files
+                if ( file_exists( $working_dir . '/database.sql' ) ) {
+                    rename( $working_dir . '/database.sql', $sql_path );
+                }
+            } else {
+                require_once ABSPATH . 'wp-admin/includes/class-pclzip.php';
+                $zip = new PclZip( $zip_path );
+                $result = $zip->extract( PCLZIP_OPT_BY_NAME, 'database.sql', PCLZIP_OPT_PATH, $working_dir );
+                if ( $result && file_exists( $working_dir . '/database.sql' ) ) {
+                    rename( $working_dir . '/database.sql', $sql_path );
+                }
+            }
+        }
+
+        if ( ! file_exists( $sql_path ) ) {
+            // No database.sql found, skip
+            $state['db_imported'] = true;
+            return true;
+        }
+
+        // Selective restore: import only the chosen tables
+        if ( isset( $state['selected_tables'] ) ) {
+            $filtered_path = $working_dir . '/restore_database_filtered.sql';
+            if ( ! $this->filter_sql_tables( $sql_path, $filtered_path, $state['selected_tables'] ) ) {
+                $state['error'] = 'Failed to prepare the selected tables for import.';
+                return true;
+            }
+            unlink( $sql_path );
+            rename( $filtered_path, $sql_path );
+        }
+
+        // Import using WP-CLI or PHP fallback (reuse backup class pattern)
+        $import_success = false;
+
+        if ( $this->check_wp_cli() ) {
+            $abspath = ABSPATH;
+            $command = sprintf(
+                'wp db import %s --path=%s 2>&1',
+                escapeshellarg( $sql_path ),
+                escapeshellarg( $abspath )
+            );
+            $output = shell_exec( $command );
+            $import_success = ( strpos( $output, 'Success' ) !== false || strpos( $output, 'Query OK' ) !== false );
+        }
+
+        if ( ! $import_success ) {
+            $import_success = $this->import_database_php( $sql_path );
+        }
+
+        // Cleanup temp SQL file
+        if ( file_exists( $sql_path ) ) {
+            unlink( $sql_path );
+        }
+
+        if ( ! $import_success ) {
+            $state['error'] = 'Database import failed. Your previous database has been preserved in checkpoint: ' . ( $state['checkpoint_id'] ? $state['checkpoint_id'] : 'none' );
+            return true;
+        }
+
+        $state['db_imported'] = true;
+        $state['db_restored'] = true;
+        return true;
+    }
+
+    /**
+     * Import a SQL file using PHP (fallback when WP-CLI unavailable).
+     *
+     * @param string $filepath Path to SQL file.
+     * @return bool True on success.
+     */
+    private function import_database_php( $filepath ) {
+        global $wpdb;
+
+        if ( function_exists( 'set_time_limit' ) ) {
+            @set_time_limit( 300 );
+        }
+
+        $handle = fopen( $filepath, 'r' );
+        if ( ! $handle ) {
+            return false;
+        }
+
+        $statement     = '';
+        $error_count   = 0;
+        $success_count = 0;
+
+        while ( ( $line = fgets( $handle ) ) !== false ) {
+            $trimmed = trim( $line );
+            if ( empty( $trimmed ) || strpos( $trimmed, '--' ) === 0 ) {
+                continue;
+            }
+
+            $statement .= $line;
+
+            if ( substr( rtrim( $statement ), -1 ) === ';' ) {
+                $result = $wpdb->query( $statement );
+                if ( $result === false ) {
+                    $error_count++;
+                } else {
+                    $success_count++;
+                }
+                $statement = '';
+            }
+        }
+
+        fclose( $handle );
+
+        if ( $error_count > 0 ) {
+            error_log( sprintf( 'WP Care Migration: DB import completed with %d errors and %d successes', $error_count, $success_count ) );
+        }
+
+        return $success_count > $error_count;
+    }
+
+    // =========================================================================
+    // Search & Replace
+    // =========================================================================
+
+    /**
+     * Detect the URL and path rewrites needed to restore an archive here.
+     *
+     * Compares the source site recorded in the archive's package.json with
+     * this site. Pairs that are already identical are left out, so restoring
+     * an archive of this same site yields an empty list.
+     *
+     * @param string $migration_id Migration ID.
+     * @return array|WP_Error List of array( 'type', 'from', 'to' ) pairs.
+     */
+    public function get_restore_replacements( $migration_id ) {
+        $zip_path = $this->get_restore_archive( $migration_id );
+        if ( ! $zip_path ) {
+            return new WP_Error( 'not_found', 'Migration backup not found.' );
+        }
+
+        $source = $this->validate_archive( $zip_path );
+        if ( is_wp_error( $source ) ) {
+            return $source;
+        }
+
+        $candidates = array(
+            array( 'type' => 'url', 'from' => $source['site_url'], 'to' => get_site_url() ),
+            array( 'type' => 'url', 'from' => $source['home_url'], 'to' => get_home_url() ),
+            array( 'type' => 'path', 'from' => $source['abspath'], 'to' => ABSPATH ),
+        );
+
+        $pairs = array();
+        $seen  = array();
+        foreach ( $candidates as $pair ) {
+            if ( empty( $pair['from'] ) || $pair['from'] === 'unknown' ) {
+                continue;
+            }
+
+            $pair['from'] = untrailingslashit( $pair['from'] );
+            $pair['to']   = untrailingslashit( $pair['to'] );
+
+            if ( $pair['from'] === $pair['to'] || isset( $seen[ $pair['from'] ] ) ) {
+                continue;
+            }
+
+            $seen[ $pair['from'] ] = true;
+            $pairs[] = $pair;
+        }
+
+        return $pairs;
+    }
+
+    /**
+     * Point siteurl and home at this site straight after the database import.
+     *
+     * WordPress derives its auth cookie names from siteurl, so leaving the
+     * source value in place until the replace phase reaches the options
+     * table would log the admin out between chunks.
+     *
+     * @param array $state Restore state.
+     */
+    private function restore_site_urls( $state ) {
+        global $wpdb;
+
+        $wpdb->update( $wpdb->options, array( 'option_value' => $state['target_site_url'] ), array( 'option_name' => 'siteurl' ) );
+        $wpdb->update( $wpdb->options, array( 'option_value' => $state['target_home_url'] ), array( 'option_name' => 'home' ) );
+        wp_cache_flush();
+    }
+
+    /**
+     * Restore phase: Rewrite source URLs and paths in the imported database.
+     *
+     * @param array $state      Restore state (by reference).
+     * @param int   $start_time Start timestamp for timeout tracking.
+     * @return bool True if complete.
+     */
+    private function restore_phase_replace( &$state, $start_time ) {
+        global $wpdb;
+
+        if ( ! $this->build_replace_map( $state['replacements'] ) ) {
+            return true;
+        }
+
+        if ( null === $state['replace_tables'] ) {
+            $state['replace_tables'] = $wpdb->get_col(
+                $wpdb->prepare( 'SHOW TABLES LIKE %s', $wpdb->esc_like( $wpdb->base_prefix ) . '%' )
+            );
+            // Tables that weren't restored still hold this site's own data
+            if ( isset( $state['selected_tables'] ) ) {
+                $state['replace_tables'] = array_values( array_intersect( $state['replace_tables'], $state['selected_tables'] ) );
+            }
+            $state['replace_table_index'] = 0;
+            $state['replace_last_key']    = null;
+        }
+
+        return $this->search_replace_tables( $state['replacements'], $state, $start_time );
+    }
+
+    /**
+     * Rewrite URLs and paths in a list of tables.
+     *
+     * Walks every text column of every table with a single-column primary
+     * key, in batches keyed on that primary key. Progress is kept in the
+     * state's 'replace_tables', 'replace_table_index', 'replace_last_key'
+     * and 'replaced_rows', so the walk resumes across chunks. A
+     * 'posts_table' key names the table whose GUIDs are left alone when
+     * it isn't this site's posts table.
+     *
+     * @param array $pairs      Replacement pairs with 'from' and 'to'.
+     * @param array $state      Restore or staging state (by reference).
+     * @param int   $start_time Start timestamp for timeout tracking.
+     * @return bool True if complete.
+     */
+    public function search_replace_tables( $pairs, &$state, $start_time ) {
+        global $wpdb;
+
+        $map = $this->build_replace_map( $pairs );
+        if ( empty( $map ) ) {
+            return true;
+        }
+
+        $posts_table = isset( $state['posts_table'] ) ? $state['posts_table'] : $wpdb->posts;
+        $batch_size  = 200;
+
+        while ( $state['replace_table_index'] < count( $state['replace_tables'] ) ) {
+            $table   = $state['replace_tables'][ $state['replace_table_index'] ];
+            $columns = $this->get_replace_columns( $table, $posts_table );
+
+            if ( ! $columns ) {
+                $state['replace_table_index']++;
+                $state['replace_last_key'] = null;
+                continue;
+            }
+
+            $quoted_table = '`' . str_replace( '`', '``', $table ) . '`';
+            $quoted_pk    = '`' . str_replace( '`', '``', $columns['primary'] ) . '`';
+            $select       = array( $quoted_pk );
+            foreach ( $columns['text'] as $column ) {
+                $select[] = '`' . str_replace( '`', '``', $column ) . '`';
+            }
+
+            while ( true ) {
+                if ( ( time() - $start_time ) >= $this->chunk_timeout ) {
+                    return false;
+                }
+
+                $where = '';
+                if ( null !== $state['replace_last_key'] ) {
+                    $where = $columns['numeric']
+                        ? $wpdb->prepare( "WHERE {$quoted_pk} > %d", $state['replace_last_key'] )
+                        : $wpdb->prepare( "WHERE {$quoted_pk} > %s", $state['replace_last_key'] );
+                }
+
+                $rows = $wpdb->get_results(
+                    'SELECT ' . implode( ', ', $select ) . " FROM {$quoted_table} {$where} ORDER BY {$quoted_pk} LIMIT {$batch_size}",
+                    ARRAY_A
+                );
+
+                if ( empty( $rows ) ) {
+                    break;
+                }
+
+                foreach ( $rows as $row ) {
+                    $update = array();
+                    foreach ( $columns['text'] as $column ) {
+                        if ( null === $row[ $column ] ) {
+                            continue;
+                        }
+                        $value = $this->search_replace_value( $row[ $column ], $map );
+                        if ( $value !== $row[ $column ] ) {
+                            $update[ $column ] = $value;
                         }
                     }
+
+                    if ( $update ) {
+                        $wpdb->update( $table, $update, array( $columns['primary'] => $row[ $columns['primary'] ] ) );
+                        $state['replaced_rows']++;
+                    }
+
+                    $state['replace_last_key'] = $row[ $columns['primary'] ];
                 }
-                break;
+
+                if ( count( $rows ) < $batch_size ) {
+                    break;
+                }
+            }
+
+            $state['replace_table_index']++;
+            $state['replace_last_key'] = null;
         }
 
-        $this->save_state( $migration_id, $state );
-        return $state;
+        wp_cache_flush();
+        return true;
     }
 
     /**
-     * Run a full restore in one go (for remote command use).
+     * Get the primary key and searchable text columns of a table.
      *
-     * @param string $migration_id Migration ID to restore.
-     * @param array  $options      Restore options.
-     * @return array Final restore state.
+     * Post GUIDs are skipped: they are identifiers, not links, and must not
+     * change when a site moves.
+     *
+     * @param string      $table       Table name.
+     * @param string|null $posts_table Posts table, if not this site's.
+     * @return array|false array( 'primary', 'numeric', 'text' ), or false if
+     *                     the table can't be walked safely.
      */
-    public function run_full_restore( $migration_id, $options = array() ) {
-        if ( function_exists( 'set_time_limit' ) ) {
-            @set_time_limit( 600 );
+    private function get_replace_columns( $table, $posts_table = null ) {
+        global $wpdb;
+
+        if ( null === $posts_table ) {
+            $posts_table = $wpdb->posts;
         }
 
-        $state = $this->init_restore( $migration_id, $options );
-        if ( is_wp_error( $state ) ) {
-            return array( 'error' => $state->get_error_message(), 'completed' => false );
+        $columns = $wpdb->get_results( 'SHOW COLUMNS FROM `' . str_replace( '`', '``', $table ) . '`', ARRAY_A );
+        if ( ! $columns ) {
+            return false;
         }
 
-        $this->chunk_timeout = 300;
+        $primary = array();
+        $text    = array();
+        foreach ( $columns as $column ) {
+            if ( $column['Key'] === 'PRI' ) {
+                $primary[] = $column;
+            }
+            if ( preg_match( '/char|text/i', $column['Type'] ) && ! ( $table === $posts_table && $column['Field'] === 'guid' ) ) {
+                $text[] = $column['Field'];
+            }
+        }
 
-        while ( ! $state['completed'] && ! $state['error'] ) {
-            $state = $this->process_restore_chunk( $migration_id );
+        if ( count( $primary ) !== 1 || empty( $text ) ) {
+            if ( count( $primary ) !== 1 && ! empty( $text ) ) {
+                error_log( sprintf( 'WP Care Migration: Skipping search-replace on %s (no single-column primary key)', $table ) );
+            }
+            return false;
         }
 
-        return $state;
+        return array(
+            'primary' => $primary[0]['Field'],
+            'numeric' => (bool) preg_match( '/int/i', $primary[0]['Type'] ),
+            'text'    => array_values( array_diff( $text, array( $primary[0]['Field'] ) ) ),
+        );
     }
 
     /**
-     * Restore phase: Create a database checkpoint before restoring.
+     * Expand replacement pairs into a strtr() map covering the forms URLs
+     * and paths are stored in.
      *
-     * @param array $state Restore state (by reference).
-     */
-    private function restore_phase_checkpoint( &$state ) {
-        $backup = new WP_Care_Backup();
-        $checkpoint_id = $backup->create_checkpoint( 'pre_migration_restore' );
-
-        if ( $checkpoint_id === false ) {
-            error_log( 'WP Care Migration: Failed to create pre-restore checkpoint, proceeding anyway' );
-        } else {
-            $state['checkpoint_id'] = $checkpoint_id;
-        }
-    }
-
-    /**
-     * Restore phase: Extract and import database.sql from the archive.
+     * URLs are matched with either scheme, with and without "www.", and
+     * protocol-relative, and always rewritten to the target's scheme. Every
+     * entry also gets a JSON-escaped ("\/") variant, and URLs a
+     * percent-encoded one.
      *
-     * @param array $state Restore state (by reference).
-     * @return bool True if complete.
+     * @param array $pairs Replacement pairs with 'from' and 'to'.
+     * @return array Search => replace map.
      */
-    private function restore_phase_database( &$state ) {
-        if ( $state['db_imported'] ) {
-            return true;
-        }
-
-        $zip_path = $this->get_download_path( $state['migration_id'] );
-        if ( ! $zip_path ) {
-            $state['error'] = 'Migration archive not found.';
-            return true;
-        }
+    private function build_replace_map( $pairs ) {
+        $map = array();
 
-        // Extract database.sql to a temp file
-        $working_dir = dirname( $zip_path );
-        $sql_path    = $working_dir . '/restore_database.sql';
+        foreach ( $pairs as $pair ) {
+            $from = untrailingslashit( $pair['from'] );
+            $to   = untrailingslashit( $pair['to'] );
 
-        if ( ! file_exists( $sql_path ) ) {
-            if ( class_exists( 'ZipArchive' ) ) {
-                $zip = new ZipArchive();
-                if ( $zip->open( $zip_path ) !== true ) {
-                    $state['error'] = 'Failed to open migration archive.';
-                    return true;
-                }
+            if ( $from === '' ) {
+                continue;
+            }
 
-                if ( $zip->locateName( 'database.sql' ) === false ) {
-                    $zip->close();
-                    $state['db_imported'] = true;
-                    return true; // No database in archive, skip
+            $entries = array();
+            if ( preg_match( '#^(https?:)?//#i', $from ) ) {
+                $host     = preg_replace( '#^(https?:)?//#i', '', $from );
+                $relative = preg_replace( '#^https?:#i', '', $to );
+                $hosts    = array( $host );
+                $hosts[]  = stripos( $host, 'www.' ) === 0 ? substr( $host, 4 ) : 'www.' . $host;
+
+                foreach ( $hosts as $variant ) {
+                    $entries[ 'http://' . $variant ]  = $to;
+                    $entries[ 'https://' . $variant ] = $to;
+                    $entries[ '//' . $variant ]       = $relative;
                 }
 
-                $zip->extractTo( $working_dir, array( 'database.sql' ) );
-                $zip->close();
-
-                // Rename to avoid conflict with export temp files
-                if ( file_exists( $working_dir . '/database.sql' ) ) {
-                    rename( $working_dir . '/database.sql', $sql_path );
+                foreach ( $entries as $search => $replace ) {
+                    $entries[ rawurlencode( $search ) ] = rawurlencode( $replace );
                 }
             } else {
-                require_once ABSPATH . 'wp-admin/includes/class-pclzip.php';
-                $zip = new PclZip( $zip_path );
-                $result = $zip->extract( PCLZIP_OPT_BY_NAME, 'database.sql', PCLZIP_OPT_PATH, $working_dir );
-                if ( $result && file_exists( $working_dir . '/database.sql' ) ) {
-                    rename( $working_dir . '/database.sql', $sql_path );
-                }
+                $entries[ $from ] = $to;
+            }
+
+            foreach ( $entries as $search => $replace ) {
+                $entries[ str_replace( '/', '\\/', $search ) ] = str_replace( '/', '\\/', $replace );
             }
+
+            // Earlier pairs win when two expand to the same search string
+            $map += $entries;
         }
 
-        if ( ! file_exists( $sql_path ) ) {
-            // No database.sql found, skip
-            $state['db_imported'] = true;
-            return true;
+        foreach ( $map as $search => $replace ) {
+            if ( $search === $replace ) {
+                unset( $map[ $search ] );
+            }
         }
 
-        // Import using WP-CLI or PHP fallback (reuse backup class pattern)
-        $import_success = false;
+        return $map;
+    }
 
-        if ( $this->check_wp_cli() ) {
-            $abspath = ABSPATH;
-            $command = sprintf(
-                'wp db import %s --path=%s 2>&1',
-                escapeshellarg( $sql_path ),
-                escapeshellarg( $abspath )
-            );
-            $output = shell_exec( $command );
-            $import_success = ( strpos( $output, 'Success' ) !== false || strpos( $output, 'Query OK' ) !== false );
+    /**
+     * Apply a replace map to a database value.
+     *
+     * Serialized data is rewritten in place with string lengths corrected,
+     * without unserializing it (so no classes are instantiated). Values that
+     * look serialized but can't be parsed are left untouched rather than
+     * risk corrupting them.
+     *
+     * @param string $value Raw column value.
+     * @param array  $map   Search => replace map.
+     * @return string
+     */
+    private function search_replace_value( $value, $map ) {
+        if ( ! is_string( $value ) || $value === '' ) {
+            return $value;
         }
 
-        if ( ! $import_success ) {
-            $import_success = $this->import_database_php( $sql_path );
+        $found = false;
+        foreach ( $map as $search => $replace ) {
+            if ( strpos( $value, (string) $search ) !== false ) {
+                $found = true;
+                break;
+            }
         }
-
-        // Cleanup temp SQL file
-        if ( file_exists( $sql_path ) ) {
-            unlink( $sql_path );
+        if ( ! $found ) {
+            return $value;
         }
 
-        if ( ! $import_success ) {
-            $state['error'] = 'Database import failed. Your previous database has been preserved in checkpoint: ' . ( $state['checkpoint_id'] ? $state['checkpoint_id'] : 'none' );
-            return true;
+        if ( is_serialized( $value ) ) {
+            $pos    = 0;
+            $result = $this->search_replace_serialized( $value, $map, $pos );
+            if ( false === $result ) {
+                return $value;
+            }
+            return $result . substr( $value, $pos );
         }
 
-        $state['db_imported'] = true;
-        return true;
+        return strtr( $value, $map );
     }
 
     /**
-     * Import a SQL file using PHP (fallback when WP-CLI unavailable).
+     * Rewrite one serialized token starting at $pos, advancing $pos past it.
      *
-     * @param string $filepath Path to SQL file.
-     * @return bool True on success.
+     * @param string $data    Serialized data.
+     * @param array  $map     Search => replace map.
+     * @param int    $pos     Current offset (by reference).
+     * @param bool   $replace Whether string tokens may be rewritten
+     *                        (false for array keys).
+     * @return string|false Rewritten token, or false on malformed input.
      */
-    private function import_database_php( $filepath ) {
-        global $wpdb;
-
-        if ( function_exists( 'set_time_limit' ) ) {
-            @set_time_limit( 300 );
-        }
+    private function search_replace_serialized( $data, $map, &$pos, $replace = true ) {
+        $type = isset( $data[ $pos ] ) ? $data[ $pos ] : '';
 
-        $handle = fopen( $filepath, 'r' );
-        if ( ! $handle ) {
-            return false;
-        }
+        switch ( $type ) {
+            case 'N':
+                if ( substr( $data, $pos, 2 ) !== 'N;' ) {
+                    return false;
+                }
+                $pos += 2;
+                return 'N;';
+
+            case 'b':
+            case 'i':
+            case 'd':
+            case 'r':
+            case 'R':
+                $end = strpos( $data, ';', $pos );
+                if ( false === $end ) {
+                    return false;
+                }
+                $token = substr( $data, $pos, $end - $pos + 1 );
+                $pos   = $end + 1;
+                return $token;
 
-        $statement     = '';
-        $error_count   = 0;
-        $success_count = 0;
+            case 's':
+            case 'E':
+                if ( ! preg_match( '/\\G[sE]:(\\d+):"/', $data, $m, 0, $pos ) ) {
+                    return false;
+                }
+                $start  = $pos + strlen( $m[0] );
+                $length = (int) $m[1];
+                if ( substr( $data, $start + $length, 2 ) !== '";' ) {
+                    return false;
+                }
+                $string = substr( $data, $start, $length );
+                $pos    = $start + $length + 2;
 
-        while ( ( $line = fgets( $handle ) ) !== false ) {
-            $trimmed = trim( $line );
-            if ( empty( $trimmed ) || strpos( $trimmed, '--' ) === 0 ) {
-                continue;
-            }
+                // Enum names are identifiers, never content
+                if ( $type === 'E' || ! $replace ) {
+                    return $type . ':' . $length . ':"' . $string . '";';
+                }
 
-            $statement .= $line;
+                $string = $this->search_replace_value( $string, $map );
+                return 's:' . strlen( $string ) . ':"' . $string . '";';
 
-            if ( substr( rtrim( $statement ), -1 ) === ';' ) {
-                $result = $wpdb->query( $statement );
-                if ( $result === false ) {
-                    $error_count++;
-                } else {
-                    $success_count++;
+            case 'a':
+            case 'O':
+                if ( ! preg_match( '/\\G(?:a|O:\\d+:"[^"]*"):(\\d+):\\{/', $data, $m, 0, $pos ) ) {
+                    return false;
                 }
-                $statement = '';
-            }
-        }
-
-        fclose( $handle );
+                $pos += strlen( $m[0] );
+                $out  = $m[0];
+                for ( $i = 0; $i < (int) $m[1]; $i++ ) {
+                    $key   = $this->search_replace_serialized( $data, $map, $pos, false );
+                    $value = false === $key ? false : $this->search_replace_serialized( $data, $map, $pos );
+                    if ( false === $value ) {
+                        return false;
+                    }
+                    $out .= $key . $value;
+                }
+                if ( ! isset( $data[ $pos ] ) || $data[ $pos ] !== '}' ) {
+                    return false;
+                }
+                $pos++;
+                return $out . '}';
 
-        if ( $error_count > 0 ) {
-            error_log( sprintf( 'WP Care Migration: DB import completed with %d errors and %d successes', $error_count, $success_count ) );
+            case 'C':
+                // Custom Serializable payload: opaque, copy verbatim
+                if ( ! preg_match( '/\\GC:\\d+:"[^"]*":(\\d+):\\{/', $data, $m, 0, $pos ) ) {
+                    return false;
+                }
+                $end = $pos + strlen( $m[0] ) + (int) $m[1];
+                if ( ! isset( $data[ $end ] ) || $data[ $end ] !== '}' ) {
+                    return false;
+                }
+                $token = substr( $data, $pos, $end - $pos + 1 );
+                $pos   = $end + 1;
+                return $token;
         }
 
-        return $success_count > $error_count;
+        return false;
     }
 
     /**
-     * Restore phase: Extract wp-content files from the archive.
+     * Restore phase: Extract wp-content files from the archive, or from
+     * each archive of an incremental's chain in turn, applying recorded
+     * deletions after each one.
      *
      * @param array $state      Restore state (by reference).
      * @param int   $start_time Start timestamp for timeout tracking.
      * @return bool True if complete.
      */
     private function restore_phase_files( &$state, $start_time ) {
-        $zip_path = $this->get_download_path( $state['migration_id'] );
+        $chain       = ! empty( $state['chain'] ) ? $state['chain'] : array( $state['migration_id'] );
+        $chain_index = isset( $state['chain_index'] ) ? $state['chain_index'] : 0;
+
+        $zip_path = $this->get_restore_archive( $chain[ $chain_index ] );
         if ( ! $zip_path ) {
             $state['error'] = 'Migration archive not found.';
             return true;
@@ -1523,9 +4369,36 @@ class WP_Care_Migration {
 
         if ( ! class_exists( 'ZipArchive' ) ) {
             // PclZip fallback: extract all at once (no chunking support)
-            return $this->restore_files_pclzip( $zip_path, $state );
+            $done = $this->restore_files_pclzip( $zip_path, $state );
+        } else {
+            $done = $this->restore_files_ziparchive( $zip_path, $state, $start_time );
+        }
+
+        if ( ! $done || $state['error'] ) {
+            return $done;
         }
 
+        $this->restore_deletions( $zip_path, $state );
+
+        // Move on to the next export in the chain
+        if ( $chain_index + 1 < count( $chain ) ) {
+            $state['chain_index'] = $chain_index + 1;
+            $state['zip_index']   = 0;
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Extract wp-content files from an archive using ZipArchive, in chunks.
+     *
+     * @param string $zip_path   Path to ZIP file.
+     * @param array  $state      Restore state (by reference).
+     * @param int    $start_time Start timestamp for timeout tracking.
+     * @return bool True when complete.
+     */
+    private function restore_files_ziparchive( $zip_path, &$state, $start_time ) {
         $zip = new ZipArchive();
         if ( $zip->open( $zip_path ) !== true ) {
             $state['error'] = 'Failed to open migration archive.';
@@ -1533,6 +4406,7 @@ class WP_Care_Migration {
         }
 
         $state['total_entries'] = $zip->numFiles;
+        $selected_paths         = isset( $state['selected_paths'] ) ? $state['selected_paths'] : null;
 
         for ( $i = $state['zip_index']; $i < $zip->numFiles; $i++ ) {
             if ( ( time() - $start_time ) >= $this->chunk_timeout ) {
@@ -1546,23 +4420,18 @@ class WP_Care_Migration {
                 continue;
             }
 
-            // Only extract wp-content/ entries
-            if ( strpos( $entry_name, 'wp-content/' ) !== 0 ) {
+            // Only extract wp-content/ and extra folder entries. Directories
+            // are created automatically and traversal attempts are skipped.
+            $relative = $this->get_entry_relative( $entry_name );
+            if ( $relative === null ) {
                 continue;
             }
 
-            // Get relative path within wp-content
-            $relative = substr( $entry_name, strlen( 'wp-content/' ) );
-            if ( empty( $relative ) || substr( $relative, -1 ) === '/' ) {
-                continue; // Skip directories (they'll be created automatically)
-            }
-
-            // Security: prevent path traversal
-            if ( strpos( $relative, '..' ) !== false ) {
+            if ( ! $this->is_selected_path( $relative, $selected_paths ) ) {
                 continue;
             }
 
-            $target_path = WP_CONTENT_DIR . '/' . $relative;
+            $target_path = $this->get_entry_path( $relative );
             $target_dir  = dirname( $target_path );
 
             // Create target directory if needed
@@ -1592,34 +4461,141 @@ class WP_Care_Migration {
     private function restore_files_pclzip( $zip_path, &$state ) {
         require_once ABSPATH . 'wp-admin/includes/class-pclzip.php';
 
-        $zip = new PclZip( $zip_path );
-        $list = $zip->extract(
-            PCLZIP_OPT_PATH, WP_CONTENT_DIR,
-            PCLZIP_OPT_BY_PREG, '/^wp-content\//',
-            PCLZIP_OPT_REMOVE_PATH, 'wp-content'
+        // wp-content entries, then extra folders (selected as "/folder")
+        $roots = array(
+            'wp-content'      => array( WP_CONTENT_DIR, '' ),
+            self::ROOT_PREFIX => array( untrailingslashit( ABSPATH ), '/' ),
         );
 
-        if ( $list === 0 ) {
-            $state['error'] = 'File extraction failed: ' . $zip->errorInfo( true );
-            return true;
+        foreach ( $roots as $prefix => $root ) {
+            $pattern = '/^' . preg_quote( $prefix, '/' ) . '\//';
+            if ( isset( $state['selected_paths'] ) ) {
+                $quoted = array();
+                foreach ( $state['selected_paths'] as $path ) {
+                    if ( ( strpos( $path, '/' ) === 0 ) === ( $root[1] === '/' ) ) {
+                        $quoted[] = preg_quote( ltrim( $path, '/' ), '/' );
+                    }
+                }
+                if ( ! $quoted ) {
+                    continue;
+                }
+                $pattern = '/^' . preg_quote( $prefix, '/' ) . '\/(?:' . implode( '|', $quoted ) . ')(?:\/|$)/';
+            }
+
+            $zip = new PclZip( $zip_path );
+            $list = $zip->extract(
+                PCLZIP_OPT_PATH, $root[0],
+                PCLZIP_OPT_BY_PREG, $pattern,
+                PCLZIP_OPT_REMOVE_PATH, $prefix
+            );
+
+            if ( $list === 0 ) {
+                $state['error'] = 'File extraction failed: ' . $zip->errorInfo( true );
+                return true;
+            }
+
+            $state['extracted_files'] += is_array( $list ) ? count( $list ) : 0;
         }
 
-        $state['extracted_files'] = is_array( $list ) ? count( $list ) : 0;
         return true;
     }
 
     /**
-     * Cleanup old migrations exceeding max count.
+     * Remove the files an incremental export recorded as deleted.
+     *
+     * @param string $zip_path Path to ZIP file.
+     * @param array  $state    Restore state (by reference).
+     */
+    private function restore_deletions( $zip_path, &$state ) {
+        if ( class_exists( 'ZipArchive' ) ) {
+            $zip = new ZipArchive();
+            if ( $zip->open( $zip_path ) !== true ) {
+                return;
+            }
+            $list = $zip->getFromName( 'deletions.txt' );
+            $zip->close();
+        } else {
+            require_once ABSPATH . 'wp-admin/includes/class-pclzip.php';
+            $zip    = new PclZip( $zip_path );
+            $result = $zip->extract( PCLZIP_OPT_BY_NAME, 'deletions.txt', PCLZIP_OPT_EXTRACT_AS_STRING );
+            $list   = ! empty( $result[0]['content'] ) ? $result[0]['content'] : false;
+        }
+
+        if ( ! $list ) {
+            return;
+        }
+
+        $selected_paths = isset( $state['selected_paths'] ) ? $state['selected_paths'] : null;
+        foreach ( explode( "\n", $list ) as $relative ) {
+            $relative = trim( $relative );
+            if ( $relative === '' || strpos( $relative, '..' ) !== false || ! $this->is_selected_path( $relative, $selected_paths ) ) {
+                continue;
+            }
+
+            $path = $this->get_entry_path( $relative );
+            if ( is_file( $path ) && @unlink( $path ) ) {
+                $state['deleted_files']++;
+            }
+        }
+    }
+
+    /**
+     * Delete migrations not kept by the retention policy.
+     *
+     * @return int Number of migrations deleted.
      */
-    private function cleanup_old_migrations() {
+    public function apply_retention_policy() {
+        $policy     = self::get_retention_policy();
         $migrations = $this->list_migrations();
+        $keep       = array();
+        $days       = array();
+        $weeks      = array();
+
+        // list_migrations() is newest first, so the first package seen in
+        // a day or week is the one that represents it
+        foreach ( $migrations as $index => $migration ) {
+            if ( $index < $policy['keep_last'] ) {
+                $keep[ $migration['id'] ] = true;
+            }
+
+            // Archives pulled back from off-site storage are usually old but
+            // about to be restored; give them a day before they count
+            if ( ! empty( $migration['pulled_at'] ) && strtotime( $migration['pulled_at'] ) > time() - DAY_IN_SECONDS ) {
+                $keep[ $migration['id'] ] = true;
+            }
+
+            $created = gmdate( 'Y-m-d H:i:s', strtotime( $migration['created_at'] ) );
+            $day     = get_date_from_gmt( $created, 'Y-m-d' );
+            $week    = get_date_from_gmt( $created, 'o-W' );
+
+            if ( ! isset( $days[ $day ] ) && count( $days ) < $policy['keep_daily'] ) {
+                $days[ $day ]             = true;
+                $keep[ $migration['id'] ] = true;
+            }
 
-        if ( count( $migrations ) > $this->max_migrations ) {
-            $to_delete = array_slice( $migrations, $this->max_migrations );
-            foreach ( $to_delete as $migration ) {
-                $this->delete_migration( $migration['id'] );
+            if ( ! isset( $weeks[ $week ] ) && count( $weeks ) < $policy['keep_weekly'] ) {
+                $weeks[ $week ]           = true;
+                $keep[ $migration['id'] ] = true;
             }
         }
+
+        // An incremental can't be restored without the exports it builds on
+        foreach ( $migrations as $migration ) {
+            if ( isset( $keep[ $migration['id'] ] ) && ! empty( $migration['chain'] ) ) {
+                foreach ( $migration['chain'] as $base_id ) {
+                    $keep[ $base_id ] = true;
+                }
+            }
+        }
+
+        $deleted = 0;
+        foreach ( $migrations as $migration ) {
+            if ( ! isset( $keep[ $migration['id'] ] ) && $this->delete_migration( $migration['id'] ) ) {
+                $deleted++;
+            }
+        }
+
+        return $deleted;
     }
 
     /**
@@ -0,0 +1,430 @@
+<?php
+/**
+ * WP Care Package Encryption - Passphrase protection for migration archives
+ *
+ * Encrypts a finished migration ZIP as a stream of 1 MB chunks, so archives
+ * of any size are processed with constant memory and the work can be split
+ * across AJAX requests. Keys come from the passphrase with PBKDF2-SHA256.
+ * Each chunk is encrypted with AES-256-CTR and authenticated with an
+ * HMAC-SHA256 tag over the file header, the chunk's position and whether it
+ * is the last one, so a changed, reordered or truncated package is rejected.
+ * This only needs the OpenSSL extension, which PHP 5.6 hosts have.
+ *
+ * Layout: header (magic, iterations, chunk size, salt, nonce, passphrase
+ * check), then records of flag (1 = last), length, ciphertext and tag.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class WP_Care_Package_Encryption {
+
+    /**
+     * First bytes of every encrypted package.
+     *
+     * @var string
+     */
+    const MAGIC = 'WPCENC01';
+
+    /**
+     * Header size: magic, iterations, chunk size, salt, nonce and check.
+     *
+     * @var int
+     */
+    const HEADER_LENGTH = 72;
+
+    /**
+     * Plaintext bytes per chunk.
+     *
+     * @var int
+     */
+    const CHUNK_SIZE = 1048576;
+
+    /**
+     * PBKDF2 iterations for new packages.
+     *
+     * @var int
+     */
+    const ITERATIONS = 100000;
+
+    /**
+     * Shortest passphrase accepted.
+     *
+     * @var int
+     */
+    const MIN_PASSPHRASE_LENGTH = 8;
+
+    /**
+     * Cipher for the chunk data.
+     *
+     * @var string
+     */
+    const CIPHER = 'aes-256-ctr';
+
+    /**
+     * Check that packages can be encrypted here with a passphrase.
+     *
+     * @param string $passphrase Passphrase.
+     * @return true|WP_Error
+     */
+    public static function validate_passphrase( $passphrase ) {
+        if ( ! self::is_available() ) {
+            return new WP_Error( 'encryption_unavailable', 'Encrypting packages requires the PHP OpenSSL extension with AES-256-CTR.' );
+        }
+
+        if ( strlen( $passphrase ) < self::MIN_PASSPHRASE_LENGTH ) {
+            return new WP_Error( 'weak_passphrase', sprintf( 'The passphrase must be at least %d characters long.', self::MIN_PASSPHRASE_LENGTH ) );
+        }
+
+        return true;
+    }
+
+    /**
+     * Whether this server can encrypt and decrypt packages.
+     *
+     * @return bool
+     */
+    public static function is_available() {
+        return function_exists( 'openssl_encrypt' )
+            && function_exists( 'hash_pbkdf2' )
+            && in_array( self::CIPHER, array_map( 'strtolower', openssl_get_cipher_methods() ), true );
+    }
+
+    /**
+     * Whether a file is an encrypted package.
+     *
+     * @param string $path File path.
+     * @return bool
+     */
+    public static function is_encrypted( $path ) {
+        $handle = $path ? @fopen( $path, 'rb' ) : false;
+        if ( ! $handle ) {
+            return false;
+        }
+
+        $magic = fread( $handle, strlen( self::MAGIC ) );
+        fclose( $handle );
+
+        return $magic === self::MAGIC;
+    }
+
+    /**
+     * Create the header and keys for a new package.
+     *
+     * @param string $passphrase Passphrase.
+     * @return array 'header' and 'keys', both binary.
+     */
+    public static function create_header( $passphrase ) {
+        $salt  = openssl_random_pseudo_bytes( 16 );
+        $nonce = openssl_random_pseudo_bytes( 8 );
+        $keys  = self::derive_keys( $passphrase, $salt, self::ITERATIONS );
+
+        $header = self::MAGIC . pack( 'NN', self::ITERATIONS, self::CHUNK_SIZE ) . $salt . $nonce;
+
+        return array(
+            'header' => $header . self::get_check( $keys, $header ),
+            'keys'   => $keys,
+        );
+    }
+
+    /**
+     * Check a passphrase against a package's header, without reading the data.
+     *
+     * @param string $path       Package path.
+     * @param string $passphrase Passphrase.
+     * @return string|WP_Error Binary keys for decrypt_file().
+     */
+    public static function unlock( $path, $passphrase ) {
+        if ( ! self::is_available() ) {
+            return new WP_Error( 'encryption_unavailable', 'Decrypting packages requires the PHP OpenSSL extension with AES-256-CTR.' );
+        }
+
+        $header = self::read_header( $path );
+        if ( is_wp_error( $header ) ) {
+            return $header;
+        }
+
+        $keys = self::derive_keys( $passphrase, $header['salt'], $header['iterations'] );
+
+        if ( ! hash_equals( $header['check'], self::get_check( $keys, substr( $header['raw'], 0, 40 ) ) ) ) {
+            return new WP_Error( 'wrong_passphrase', 'The passphrase is not correct for this package.' );
+        }
+
+        return $keys;
+    }
+
+    /**
+     * Encrypt a file, resuming where the last call stopped.
+     *
+     * @param string $source   Plain archive.
+     * @param string $target   Encrypted package, written next to it.
+     * @param string $header   Header from create_header().
+     * @param string $keys     Keys from create_header().
+     * @param array  $progress 'read', 'written' and 'index' (by reference; empty to start).
+     * @param int    $deadline Timestamp to stop by after the current chunk.
+     * @return bool|WP_Error True when the whole file is encrypted.
+     */
+    public static function encrypt_file( $source, $target, $header, $keys, &$progress, $deadline ) {
+        $progress = wp_parse_args( $progress, array(
+            'read'    => 0,
+            'written' => 0,
+            'index'   => 0,
+        ) );
+
+        clearstatcache( true, $source );
+        $size = filesize( $source );
+        $in   = fopen( $source, 'rb' );
+        $out  = self::open_target( $target, $progress['written'] );
+
+        if ( ! $in || ! $out ) {
+            return new WP_Error( 'encrypt_failed', 'Failed to open the archive for encryption.' );
+        }
+
+        if ( $progress['written'] === 0 ) {
+            fwrite( $out, $header );
+            $progress['written'] = strlen( $header );
+        }
+
+        fseek( $in, $progress['read'] );
+
+        do {
+            $data  = (string) fread( $in, self::CHUNK_SIZE );
+            $final = $progress['read'] + strlen( $data ) >= $size;
+
+            if ( $data === '' && ! $final ) {
+                fclose( $in );
+                fclose( $out );
+                return new WP_Error( 'encrypt_failed', 'Failed to read the archive for encryption.' );
+            }
+
+            $flag       = $final ? "\x01" : "\x00";
+            $ciphertext = self::crypt( $keys, $header, $progress['index'], $data );
+            $record     = $flag . pack( 'N', strlen( $ciphertext ) ) . $ciphertext . self::get_tag( $keys, $header, $progress['index'], $flag, $ciphertext );
+
+            if ( fwrite( $out, $record ) !== strlen( $record ) ) {
+                fclose( $in );
+                fclose( $out );
+                return new WP_Error( 'encrypt_failed', 'Failed to write the encrypted package. Check the free disk space.' );
+            }
+
+            $progress['read']    += strlen( $data );
+            $progress['written'] += strlen( $record );
+            $progress['index']++;
+        } while ( ! $final && time() < $deadline );
+
+        fclose( $in );
+        fclose( $out );
+
+        return $final;
+    }
+
+    /**
+     * Decrypt a package, resuming where the last call stopped. Every chunk
+     * is authenticated before it is written.
+     *
+     * @param string $source   Encrypted package.
+     * @param string $target   Plain archive to write.
+     * @param string $keys     Keys from unlock().
+     * @param array  $progress 'read', 'written' and 'index' (by reference; empty to start).
+     * @param int    $deadline Timestamp to stop by after the current chunk.
+     * @return bool|WP_Error True when the whole package is decrypted.
+     */
+    public static function decrypt_file( $source, $target, $keys, &$progress, $deadline ) {
+        $header = self::read_header( $source );
+        if ( is_wp_error( $header ) ) {
+            return $header;
+        }
+
+        $progress = wp_parse_args( $progress, array(
+            'read'    => self::HEADER_LENGTH,
+            'written' => 0,
+            'index'   => 0,
+        ) );
+
+        clearstatcache( true, $source );
+        $size = filesize( $source );
+        $in   = fopen( $source, 'rb' );
+        $out  = self::open_target( $target, $progress['written'] );
+
+        if ( ! $in || ! $out ) {
+            return new WP_Error( 'decrypt_failed', 'Failed to open the package for decryption.' );
+        }
+
+        $damaged = new WP_Error( 'package_damaged', 'The encrypted package is damaged or was changed after it was created.' );
+
+        fseek( $in, $progress['read'] );
+
+        do {
+            $prefix = (string) fread( $in, 5 );
+            if ( strlen( $prefix ) !== 5 ) {
+                fclose( $in );
+                fclose( $out );
+                return $damaged;
+            }
+
+            $flag   = $prefix[0];
+            $length = unpack( 'N', substr( $prefix, 1 ) );
+            $length = $length[1];
+
+            if ( ( $flag !== "\x00" && $flag !== "\x01" ) || $length > $header['chunk_size'] ) {
+                fclose( $in );
+                fclose( $out );
+                return $damaged;
+            }
+
+            $ciphertext = $length > 0 ? (string) fread( $in, $length ) : '';
+            $tag        = (string) fread( $in, 32 );
+
+            if ( strlen( $ciphertext ) !== $length || ! hash_equals( self::get_tag( $keys, $header['raw'], $progress['index'], $flag, $ciphertext ), $tag ) ) {
+                fclose( $in );
+                fclose( $out );
+                return $damaged;
+            }
+
+            $data = self::crypt( $keys, $header['raw'], $progress['index'], $ciphertext );
+
+            if ( fwrite( $out, $data ) !== strlen( $data ) ) {
+                fclose( $in );
+                fclose( $out );
+                return new WP_Error( 'decrypt_failed', 'Failed to write the decrypted archive. Check the free disk space.' );
+            }
+
+            $progress['read']    += 5 + $length + 32;
+            $progress['written'] += strlen( $data );
+            $progress['index']++;
+            $final = $flag === "\x01";
+        } while ( ! $final && time() < $deadline );
+
+        fclose( $in );
+        fclose( $out );
+
+        // Nothing may follow the last chunk
+        if ( $final && $progress['read'] !== $size ) {
+            return $damaged;
+        }
+
+        return $final;
+    }
+
+    /**
+     * Read and check a package header.
+     *
+     * @param string $path Package path.
+     * @return array|WP_Error 'raw', 'iterations', 'chunk_size', 'salt', 'nonce' and 'check'.
+     */
+    private static function read_header( $path ) {
+        $handle = @fopen( $path, 'rb' );
+        $raw    = $handle ? (string) fread( $handle, self::HEADER_LENGTH ) : '';
+
+        if ( $handle ) {
+            fclose( $handle );
+        }
+
+        if ( strlen( $raw ) !== self::HEADER_LENGTH || strpos( $raw, self::MAGIC ) !== 0 ) {
+            return new WP_Error( 'invalid_package', 'The file is not an encrypted migration package.' );
+        }
+
+        $numbers = unpack( 'Niterations/Nchunk_size', substr( $raw, 8, 8 ) );
+
+        // Bounds keep a crafted header from stalling the server
+        if ( $numbers['iterations'] < 1000 || $numbers['iterations'] > 10000000 || $numbers['chunk_size'] < 1 || $numbers['chunk_size'] > 16 * self::CHUNK_SIZE ) {
+            return new WP_Error( 'invalid_package', 'The encrypted package header is not valid.' );
+        }
+
+        return array(
+            'raw'        => $raw,
+            'iterations' => $numbers['iterations'],
+            'chunk_size' => $numbers['chunk_size'],
+            'salt'       => substr( $raw, 16, 16 ),
+            'nonce'      => substr( $raw, 32, 8 ),
+            'check'      => substr( $raw, 40, 32 ),
+        );
+    }
+
+    /**
+     * Open the output file, dropping anything written after the last
+     * recorded chunk (e.g. by a request that timed out mid-write).
+     *
+     * @param string $path    Output path.
+     * @param int    $written Bytes recorded so far.
+     * @return resource|false
+     */
+    private static function open_target( $path, $written ) {
+        if ( $written === 0 ) {
+            return fopen( $path, 'wb' );
+        }
+
+        $handle = fopen( $path, 'r+b' );
+        if ( $handle ) {
+            ftruncate( $handle, $written );
+            fseek( $handle, $written );
+        }
+
+        return $handle;
+    }
+
+    /**
+     * Derive the encryption and MAC keys from a passphrase.
+     *
+     * @param string $passphrase Passphrase.
+     * @param string $salt       Salt from the header.
+     * @param int    $iterations PBKDF2 iterations.
+     * @return string 64 bytes: encryption key, then MAC key.
+     */
+    private static function derive_keys( $passphrase, $salt, $iterations ) {
+        return hash_pbkdf2( 'sha256', $passphrase, $salt, $iterations, 64, true );
+    }
+
+    /**
+     * Passphrase check value stored in the header.
+     *
+     * @param string $keys   Derived keys.
+     * @param string $header Header without the check value.
+     * @return string
+     */
+    private static function get_check( $keys, $header ) {
+        return hash_hmac( 'sha256', 'passphrase check' . $header, substr( $keys, 32 ), true );
+    }
+
+    /**
+     * Authentication tag of one chunk.
+     *
+     * @param string $keys       Derived keys.
+     * @param string $header     Full header.
+     * @param int    $index      Chunk number.
+     * @param string $flag       "\x01" for the last chunk, else "\x00".
+     * @param string $ciphertext Encrypted chunk.
+     * @return string
+     */
+    private static function get_tag( $keys, $header, $index, $flag, $ciphertext ) {
+        $context = hash_init( 'sha256', HASH_HMAC, substr( $keys, 32 ) );
+        hash_update( $context, $header . pack( 'N', $index ) . $flag );
+        hash_update( $context, $ciphertext );
+
+        return hash_final( $context, true );
+    }
+
+    /**
+     * Encrypt or decrypt one chunk. The counter block is the header nonce,
+     * the chunk number and a block counter, so no two chunks share one.
+     *
+     * @param string $keys   Derived keys.
+     * @param string $header Full header.
+     * @param int    $index  Chunk number.
+     * @param string $data   Chunk data.
+     * @return string
+     */
+    private static function crypt( $keys, $header, $index, $data ) {
+        if ( $data === '' ) {
+            return '';
+        }
+
+        $iv = substr( $header, 32, 8 ) . pack( 'NN', $index, 0 );
+
+        return (string) openssl_encrypt( $data, self::CIPHER, substr( $keys, 0, 32 ), OPENSSL_RAW_DATA, $iv );
+    }
+}
@@ -53,6 +53,13 @@ class WP_Care_Security {
      */
     private static $max_timestamp_age = 60;
 
+    /**
+     * Transient prefix for nonces already seen
+     *
+     * @var string
+     */
+    private static $nonce_prefix = 'wp_care_nonce_';
+
     /**
      * Generate a new API key and store it encrypted
      *
@@ -194,16 +201,21 @@ class WP_Care_Security {
      * Full HMAC verification for command endpoints. Validates:
      * 1. Timestamp is within acceptable window (60 seconds)
      * 2. HMAC signature matches expected value
+     * 3. X-Nonce, when sent (or required), has not been seen before
      *
-     * Signature is calculated as: HMAC-SHA256(timestamp + "\n" + body, api_key)
+     * Signature is calculated as: HMAC-SHA256(timestamp + "\n" + body, api_key),
+     * or HMAC-SHA256(timestamp + "\n" + nonce + "\n" + body, api_key) with a nonce
      *
-     * @param WP_REST_Request $request The REST API request object
+     * @param WP_REST_Request $request       The REST API request object
+     * @param string|null     $secret        Key to verify against instead of the API key (e.g. a transfer token secret)
+     * @param bool            $require_nonce Reject requests without an X-Nonce header
      * @return bool|WP_Error True if valid, WP_Error with reason if invalid
      */
-    public static function verify_hmac($request) {
+    public static function verify_hmac($request, $secret = null, $require_nonce = false) {
         // Get required headers
         $timestamp = $request->get_header('X-Timestamp');
         $signature = $request->get_header('X-Signature');
+        $nonce = (string) $request->get_header('X-Nonce');
 
         // Validate headers exist
         if (empty($timestamp) || empty($signature)) {
@@ -223,6 +235,23 @@ class WP_Care_Security {
             );
         }
 
+        // Validate nonce: 16-64 URL-safe characters
+        if ($nonce === '' && $require_nonce) {
+            return new WP_Error(
+                'missing_nonce',
+                'Missing X-Nonce header',
+                ['status' => 401]
+            );
+        }
+
+        if ($nonce !== '' && !preg_match('/^[A-Za-z0-9_-]{16,64}$/', $nonce)) {
+            return new WP_Error(
+                'invalid_nonce',
+                'X-Nonce must be 16-64 letters, digits, dashes or underscores',
+                ['status' => 401]
+            );
+        }
+
         // Check timestamp is within acceptable window (60 seconds)
         $timestamp_int = intval($timestamp);
         $current_time = time();
@@ -236,8 +265,8 @@ class WP_Care_Security {
             );
         }
 
-        // Get API key
-        $api_key = self::get_api_key();
+        // Get API key (or the caller-supplied secret)
+        $api_key = $secret !== null ? $secret : self::get_api_key();
 
         if ($api_key === false) {
             return new WP_Error(
@@ -247,12 +276,8 @@ class WP_Care_Security {
             );
         }
 
-        // Build payload: timestamp + request body
-        $body = $request->get_body();
-        $payload = $timestamp . "\n" . $body;
-
-        // Calculate expected HMAC signature
-        $expected_signature = hash_hmac('sha256', $payload, $api_key);
+        // Calculate expected HMAC signature over timestamp (+ nonce) + request body
+        $expected_signature = self::sign($timestamp, $request->get_body(), $api_key, $nonce);
 
         // Use constant-time comparison to prevent timing attacks
         if (!hash_equals($expected_signature, $signature)) {
@@ -263,9 +288,57 @@ class WP_Care_Security {
             );
         }
 
+        // Only checked once the signature holds, so unsigned junk can't fill the store
+        if ($nonce !== '' && !self::use_nonce($nonce, $api_key)) {
+            return new WP_Error(
+                'nonce_reused',
+                'Request nonce has already been used',
+                ['status' => 401]
+            );
+        }
+
+        return true;
+    }
+
+    /**
+     * Record a request nonce, refusing one already seen for the same key
+     *
+     * Nonces are kept for twice the timestamp window; after that the
+     * timestamp check rejects a replay on its own.
+     *
+     * @param string $nonce  Nonce from X-Nonce
+     * @param string $secret Key the request was signed with
+     * @return bool False if the nonce was already used
+     */
+    private static function use_nonce($nonce, $secret) {
+        $transient = self::$nonce_prefix . md5($secret . '|' . $nonce);
+
+        if (get_transient($transient) !== false) {
+            return false;
+        }
+
+        set_transient($transient, 1, 2 * self::$max_timestamp_age);
+
         return true;
     }
 
+    /**
+     * Calculate an HMAC signature as checked by verify_hmac()
+     *
+     * Used to sign outgoing requests to another site running this plugin.
+     *
+     * @param int|string $timestamp Unix timestamp sent as X-Timestamp
+     * @param string     $body      Raw request body
+     * @param string     $secret    Shared secret
+     * @param string     $nonce     Nonce sent as X-Nonce, if any
+     * @return string Hex-encoded HMAC-SHA256
+     */
+    public static function sign($timestamp, $body, $secret, $nonce = '') {
+        $message = $nonce !== '' ? $timestamp . "\n" . $nonce . "\n" . $body : $timestamp . "\n" . $body;
+
+        return hash_hmac('sha256', $message, $secret);
+    }
+
     /**
      * Get masked API key for admin display
      *
@@ -0,0 +1,1334 @@
+<?php
+/**
+ * WP Care Staging - One-click staging copy of the site
+ *
+ * Copies the database into a second table prefix and WordPress with
+ * wp-content into a subdirectory install (e.g. example.com/staging), then
+ * rewrites URLs and paths so the copy runs on its own. The copy is kept
+ * out of search engines and cannot send email. Selected tables and
+ * folders can later be pushed back to the live site, after a checkpoint.
+ *
+ * Both directions run in chunks like exports and restores, and reuse
+ * their pieces: WP_Care_Migration lists the files with the export
+ * filters and rewrites URLs with the restore's serialization-safe
+ * search-replace.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class WP_Care_Staging {
+
+    /**
+     * Option holding the staging site: status ('creating' or 'ready'),
+     * directory, path, url, prefix and timestamps.
+     *
+     * @var string
+     */
+    const OPTION = 'wp_care_staging';
+
+    /**
+     * Must-use plugin written into the staging site.
+     *
+     * @var string
+     */
+    const MU_PLUGIN = 'wp-care-staging.php';
+
+    /**
+     * Folder for the state of the running create or push.
+     *
+     * @var string
+     */
+    private $state_dir;
+
+    /**
+     * Chunk timeout in seconds (for AJAX processing).
+     *
+     * @var int
+     */
+    private $chunk_timeout = 10;
+
+    /**
+     * Live options a push never overwrites, besides wp_care_* options.
+     *
+     * @var string[]
+     */
+    private $kept_options = array( 'siteurl', 'home', 'blog_public', 'cron' );
+
+    /**
+     * Options removed from the copy so it doesn't act as the live site
+     * towards the WP Care platform, webhook receivers or storage targets.
+     *
+     * @var string[]
+     */
+    private $removed_options = array(
+        'wp_care_site_id',
+        'wp_care_webhooks',
+        'wp_care_migration_schedule',
+        'wp_care_transfer_tokens',
+        self::OPTION,
+    );
+
+    /**
+     * Folders of the live WordPress root the staging directory can't be.
+     *
+     * @var string[]
+     */
+    private $reserved_directories = array( 'wp-admin', 'wp-includes', 'wp-content' );
+
+    /**
+     * Constructor.
+     */
+    public function __construct() {
+        $this->state_dir = WP_CONTENT_DIR . '/wp-care-migrations/staging';
+    }
+
+    /**
+     * Get the staging site.
+     *
+     * @return array|null Null if there is none.
+     */
+    public static function get_staging() {
+        $staging = get_option( self::OPTION );
+
+        return is_array( $staging ) && ! empty( $staging['prefix'] ) ? $staging : null;
+    }
+
+    /**
+     * Get the staging site's tables, so exports can leave them out.
+     *
+     * @return string[]
+     */
+    public static function get_staging_tables() {
+        global $wpdb;
+
+        $staging = self::get_staging();
+        if ( ! $staging ) {
+            return array();
+        }
+
+        return (array) $wpdb->get_col( $wpdb->prepare( 'SHOW TABLES LIKE %s', $wpdb->esc_like( $staging['prefix'] ) . '%' ) );
+    }
+
+    /**
+     * Get the state of the last create or push, if it didn't finish.
+     *
+     * @return array|null
+     */
+    public function get_unfinished() {
+        $state = $this->load_state();
+
+        return $state && empty( $state['completed'] ) ? $state : null;
+    }
+
+    /**
+     * Tables a push can copy to the live site, by name without prefix.
+     *
+     * The plugin's own tables (activity log, health metrics, webhook
+     * deliveries) stay the live site's.
+     *
+     * @return string[]
+     */
+    public function get_pushable_tables() {
+        $staging = self::get_staging();
+        if ( ! $staging ) {
+            return array();
+        }
+
+        $tables = array();
+        foreach ( $this->get_base_tables( $staging['prefix'] ) as $table ) {
+            $name = substr( $table, strlen( $staging['prefix'] ) );
+            if ( strpos( $name, 'wp_care_' ) !== 0 ) {
+                $tables[] = $name;
+            }
+        }
+
+        return $tables;
+    }
+
+    /**
+     * Folders of the staging wp-content a push can copy to the live site.
+     *
+     * @return string[]
+     */
+    public function get_pushable_folders() {
+        $staging = self::get_staging();
+        if ( ! $staging ) {
+            return array();
+        }
+
+        $folders = array();
+        foreach ( array( 'themes', 'plugins', 'mu-plugins', 'uploads', 'languages' ) as $folder ) {
+            if ( is_dir( $staging['path'] . '/wp-content/' . $folder ) ) {
+                $folders[] = $folder;
+            }
+        }
+
+        return $folders;
+    }
+
+    /**
+     * Start creating the staging site.
+     *
+     * @param array $options 'directory' (folder below the WordPress root)
+     *                       and 'include_uploads'.
+     * @return array|WP_Error Staging state.
+     */
+    public function init_create( $options = array() ) {
+        global $wpdb;
+
+        if ( is_multisite() ) {
+            return new WP_Error( 'multisite', 'Staging sites are not supported on multisite networks.' );
+        }
+
+        if ( self::get_staging() ) {
+            return new WP_Error( 'staging_exists', 'A staging site already exists. Delete it before creating a new one.' );
+        }
+
+        $directory = isset( $options['directory'] ) ? sanitize_title( $options['directory'] ) : '';
+        if ( $directory === '' ) {
+            $directory = 'staging';
+        }
+        if ( in_array( $directory, $this->reserved_directories, true ) ) {
+            return new WP_Error( 'invalid_directory', sprintf( 'The staging site can\'t be created in %s.', $directory ) );
+        }
+
+        $path = untrailingslashit( ABSPATH ) . '/' . $directory;
+        if ( file_exists( $path ) ) {
+            return new WP_Error( 'directory_exists', sprintf( 'The folder %s already exists. Choose another folder for the staging site.', $directory ) );
+        }
+
+        $prefix = $this->generate_prefix();
+        if ( ! $prefix ) {
+            return new WP_Error( 'no_prefix', 'No free table prefix was found for the staging site.' );
+        }
+
+        if ( ! $this->ensure_state_dir() || ! wp_mkdir_p( $path ) ) {
+            return new WP_Error( 'not_writable', 'The staging folder could not be created. Check directory permissions.' );
+        }
+
+        $tables = array();
+        foreach ( $this->get_base_tables( $wpdb->base_prefix ) as $table ) {
+            $tables[] = array( $table, $prefix . substr( $table, strlen( $wpdb->base_prefix ) ) );
+        }
+
+        $staging = array(
+            'status'     => 'creating',
+            'directory'  => $directory,
+            'path'       => $path,
+            'url'        => untrailingslashit( site_url() ) . '/' . $directory,
+            'prefix'     => $prefix,
+            'created_at' => gmdate( 'c' ),
+            'pushed_at'  => null,
+        );
+
+        // Saved before any table is copied so exports skip the copies and
+        // a failed create can still be deleted
+        update_option( self::OPTION, $staging, false );
+
+        $state = array_merge( $this->get_initial_state( 'create' ), array(
+            'phase'          => 'database',
+            'options'        => array(
+                'include_uploads' => ! isset( $options['include_uploads'] ) || filter_var( $options['include_uploads'], FILTER_VALIDATE_BOOLEAN ),
+            ),
+            'directory'      => $directory,
+            'path'           => $path,
+            'url'            => $staging['url'],
+            'prefix'         => $prefix,
+            'copy_tables'    => $tables,
+            'total_tables'   => count( $tables ),
+            'replacements'   => $this->get_replacements( $staging, 'create' ),
+            'replace_tables' => wp_list_pluck( $tables, 1 ),
+            'posts_table'    => $prefix . 'posts',
+        ) );
+
+        if ( ! $this->save_state( $state ) ) {
+            return new WP_Error( 'not_writable', 'Failed to save the staging state. Check directory permissions.' );
+        }
+
+        return $state;
+    }
+
+    /**
+     * Start pushing the staging site to the live site.
+     *
+     * @param array $options 'tables' (names without prefix) and 'folders'
+     *                       (folders of wp-content) to copy.
+     * @return array|WP_Error Staging state.
+     */
+    public function init_push( $options = array() ) {
+        global $wpdb;
+
+        $staging = self::get_staging();
+        if ( ! $staging || $staging['status'] !== 'ready' ) {
+            return new WP_Error( 'no_staging', 'There is no finished staging site to push.' );
+        }
+
+        $lock = $this->acquire_lock();
+        if ( false === $lock ) {
+            return new WP_Error( 'busy', 'Another staging operation is still running.' );
+        }
+        $this->release_lock( $lock );
+
+        $names   = isset( $options['tables'] ) ? array_values( array_intersect( $this->get_pushable_tables(), (array) $options['tables'] ) ) : array();
+        $folders = isset( $options['folders'] ) ? array_values( array_intersect( $this->get_pushable_folders(), (array) $options['folders'] ) ) : array();
+
+        if ( empty( $names ) && empty( $folders ) ) {
+            return new WP_Error( 'nothing_selected', 'Select at least one table or folder to push.' );
+        }
+
+        // Each table is copied to a temporary table first and only swapped
+        // in once it is complete
+        $tables = array();
+        $swap   = array();
+        foreach ( $names as $name ) {
+            $temp     = $wpdb->base_prefix . 'wpcare_push_' . substr( md5( $name ), 0, 8 );
+            $tables[] = array( $staging['prefix'] . $name, $temp );
+            $swap[]   = array( $temp, $wpdb->base_prefix . $name );
+        }
+
+        $state = array_merge( $this->get_initial_state( 'push' ), array(
+            'phase'          => 'checkpoint',
+            'options'        => array(
+                'tables'  => $names,
+                'folders' => $folders,
+            ),
+            'directory'      => $staging['directory'],
+            'path'           => $staging['path'],
+            'url'            => $staging['url'],
+            'prefix'         => $staging['prefix'],
+            'copy_tables'    => $tables,
+            'swap_tables'    => $swap,
+            'total_tables'   => count( $tables ),
+            'replacements'   => $this->get_replacements( $staging, 'push' ),
+            'replace_tables' => wp_list_pluck( $tables, 1 ),
+            'posts_table'    => $wpdb->base_prefix . 'wpcare_push_' . substr( md5( 'posts' ), 0, 8 ),
+            'checkpoint_id'  => null,
+            'deleted_files'  => 0,
+        ) );
+
+        if ( ! $this->ensure_state_dir() || ! $this->save_state( $state ) ) {
+            return new WP_Error( 'not_writable', 'Failed to save the staging state. Check directory permissions.' );
+        }
+
+        return $state;
+    }
+
+    /**
+     * Process the next chunk of the running create or push.
+     *
+     * @return array Updated staging state.
+     */
+    public function process_chunk() {
+        $lock  = $this->acquire_lock();
+        $state = $this->load_state();
+        if ( ! $state ) {
+            $this->release_lock( $lock );
+            return array( 'error' => 'Staging state not found', 'completed' => false );
+        }
+
+        if ( $state['completed'] || $state['error'] ) {
+            $this->release_lock( $lock );
+            return $state;
+        }
+
+        // Another request is still working on it; let the caller retry
+        if ( false === $lock ) {
+            $state['busy'] = true;
+            return $state;
+        }
+
+        $start_time = time();
+
+        if ( $state['type'] === 'push' ) {
+            $this->process_push_phase( $state, $start_time );
+        } else {
+            $this->process_create_phase( $state, $start_time );
+        }
+
+        $state['updated_at'] = gmdate( 'c' );
+        $this->save_state( $state );
+        $this->release_lock( $lock );
+        return $state;
+    }
+
+    /**
+     * Delete the staging site: its tables, its folder and its record.
+     * Also clears up after a create that failed or was abandoned.
+     *
+     * @return true|WP_Error
+     */
+    public function delete_staging() {
+        global $wpdb;
+
+        $staging = self::get_staging();
+        if ( ! $staging ) {
+            return new WP_Error( 'not_found', 'There is no staging site.' );
+        }
+
+        $lock = $this->acquire_lock();
+        if ( false === $lock ) {
+            return new WP_Error( 'busy', 'A staging operation is still running.' );
+        }
+
+        foreach ( self::get_staging_tables() as $table ) {
+            $wpdb->query( 'DROP TABLE IF EXISTS ' . $this->quote_table( $table ) );
+        }
+
+        // Only ever a folder directly below the WordPress root that this
+        // plugin created
+        $path = untrailingslashit( ABSPATH ) . '/' . $staging['directory'];
+        if ( $staging['path'] === $path && ! in_array( $staging['directory'], $this->reserved_directories, true ) && is_dir( $path ) ) {
+            $this->recursive_delete( $path );
+        }
+
+        $this->release_lock( $lock );
+
+        foreach ( array( 'state.json', 'filemap.txt', 'deletions.txt' ) as $file ) {
+            if ( file_exists( $this->state_dir . '/' . $file ) ) {
+                unlink( $this->state_dir . '/' . $file );
+            }
+        }
+
+        delete_option( self::OPTION );
+
+        return true;
+    }
+
+    /**
+     * Run the next phase of a create.
+     *
+     * @param array $state      Staging state (by reference).
+     * @param int   $start_time Start timestamp for timeout tracking.
+     */
+    private function process_create_phase( &$state, $start_time ) {
+        global $wpdb;
+
+        switch ( $state['phase'] ) {
+            case 'database':
+                if ( $this->copy_tables( $state, $start_time ) ) {
+                    $this->rename_prefixed_keys( $state['prefix'] . 'options', $state['prefix'] . 'usermeta', $wpdb->base_prefix, $state['prefix'] );
+                    $state['phase']    = 'replace';
+                    $state['progress'] = 40;
+                } elseif ( $state['total_tables'] > 0 ) {
+                    $state['progress'] = 5 + (int) ( 35 * $state['table_index'] / $state['total_tables'] );
+                }
+                break;
+
+            case 'replace':
+                $migration = new WP_Care_Migration();
+                if ( $migration->search_replace_tables( $state['replacements'], $state, $start_time ) ) {
+                    $this->apply_staging_options( $state );
+                    $state['phase']    = 'enumerate';
+                    $state['progress'] = 55;
+                }
+                break;
+
+            case 'enumerate':
+                $this->enumerate_create_files( $state );
+                $state['phase']    = 'files';
+                $state['progress'] = 60;
+                break;
+
+            case 'files':
+                if ( $this->copy_files( $state, $start_time ) ) {
+                    $state['phase']    = 'config';
+                    $state['progress'] = 95;
+                } elseif ( $state['total_files'] > 0 ) {
+                    $state['progress'] = 60 + (int) ( 35 * $state['copied_files'] / $state['total_files'] );
+                }
+                break;
+
+            case 'config':
+                $this->write_config( $state );
+                if ( $state['error'] ) {
+                    break;
+                }
+
+                $staging                 = self::get_staging();
+                $staging['status']       = 'ready';
+                $staging['completed_at'] = gmdate( 'c' );
+                update_option( self::OPTION, $staging, false );
+
+                $state['phase']     = 'complete';
+                $state['progress']  = 100;
+                $state['completed'] = true;
+                break;
+        }
+    }
+
+    /**
+     * Run the next phase of a push.
+     *
+     * @param array $state      Staging state (by reference).
+     * @param int   $start_time Start timestamp for timeout tracking.
+     */
+    private function process_push_phase( &$state, $start_time ) {
+        switch ( $state['phase'] ) {
+            case 'checkpoint':
+                // Same code folders a restore snapshots; uploads are left out
+                $paths         = array_values( array_intersect( $state['options']['folders'], array( 'themes', 'plugins', 'mu-plugins' ) ) );
+                $backup        = new WP_Care_Backup();
+                $checkpoint_id = $backup->create_checkpoint( 'pre_staging_push', $paths );
+
+                if ( $checkpoint_id === false ) {
+                    $state['error'] = 'Failed to create the checkpoint before pushing; nothing was changed on the live site.';
+                    break;
+                }
+
+                $state['checkpoint_id'] = $checkpoint_id;
+                $state['phase']         = empty( $state['copy_tables'] ) ? 'enumerate' : 'database';
+                $state['progress']      = 20;
+                break;
+
+            case 'database':
+                if ( $this->copy_tables( $state, $start_time ) ) {
+                    $state['phase']    = 'replace';
+                    $state['progress'] = 50;
+                } elseif ( $state['total_tables'] > 0 ) {
+                    $state['progress'] = 20 + (int) ( 30 * $state['table_index'] / $state['total_tables'] );
+                }
+                break;
+
+            case 'replace':
+                $migration = new WP_Care_Migration();
+                if ( $migration->search_replace_tables( $state['replacements'], $state, $start_time ) ) {
+                    $state['phase']    = 'swap';
+                    $state['progress'] = 60;
+                }
+                break;
+
+            case 'swap':
+                $this->swap_tables( $state );
+                $state['phase']    = 'enumerate';
+                $state['progress'] = 65;
+                break;
+
+            case 'enumerate':
+                $this->enumerate_push_files( $state );
+                $state['phase']    = 'files';
+                $state['progress'] = 70;
+                break;
+
+            case 'files':
+                if ( $this->copy_files( $state, $start_time ) ) {
+                    $this->apply_deletions( $state );
+
+                    $staging              = self::get_staging();
+                    $staging['pushed_at'] = gmdate( 'c' );
+                    update_option( self::OPTION, $staging, false );
+
+                    $state['phase']     = 'complete';
+                    $state['progress']  = 100;
+                    $state['completed'] = true;
+                } elseif ( $state['total_files'] > 0 ) {
+                    $state['progress'] = 70 + (int) ( 25 * $state['copied_files'] / $state['total_files'] );
+                }
+                break;
+        }
+    }
+
+    /**
+     * Copy the state's 'copy_tables' (source, target pairs) a batch of
+     * rows at a time, in primary key order, keeping the last key copied in
+     * the state's 'table_last_key'. Tables without a single-column primary
+     * key are copied in one go. Each target is recreated from its source's
+     * structure first; targets are always staging or temporary tables.
+     *
+     * @param array $state      Staging state (by reference).
+     * @param int   $start_time Start timestamp for timeout tracking.
+     * @return bool True if complete.
+     */
+    private function copy_tables( &$state, $start_time ) {
+        global $wpdb;
+
+        $limit = 1000;
+
+        while ( $state['table_index'] < count( $state['copy_tables'] ) ) {
+            list( $source, $target ) = $state['copy_tables'][ $state['table_index'] ];
+            $quoted_source = $this->quote_table( $source );
+            $quoted_target = $this->quote_table( $target );
+
+            if ( null === $state['table_last_key'] ) {
+                $wpdb->query( "DROP TABLE IF EXISTS {$quoted_target}" );
+                if ( false === $wpdb->query( "CREATE TABLE {$quoted_target} LIKE {$quoted_source}" ) ) {
+                    $state['error'] = sprintf( 'Failed to create table %s: %s', $target, $wpdb->last_error );
+                    return true;
+                }
+            }
+
+            $primary = $this->get_primary_key( $source );
+
+            // Nothing to page on; copy the table whole
+            if ( ! $primary ) {
+                if ( false === $wpdb->query( "INSERT INTO {$quoted_target} SELECT * FROM {$quoted_source}" ) ) {
+                    $state['error'] = sprintf( 'Failed to copy table %s: %s', $source, $wpdb->last_error );
+                    return true;
+                }
+
+                $state['table_index']++;
+                continue;
+            }
+
+            $quoted_pk = '`' . str_replace( '`', '``', $primary['column'] ) . '`';
+            $format    = $primary['numeric'] ? '%d' : '%s';
+
+            while ( true ) {
+                if ( ( time() - $start_time ) >= $this->chunk_timeout ) {
+                    return false;
+                }
+
+                $where = '';
+                if ( null !== $state['table_last_key'] ) {
+                    $where = $wpdb->prepare( "WHERE {$quoted_pk} > {$format}", $state['table_last_key'] );
+                }
+
+                // Last key of this batch; null when the rest of the table fits in it
+                $last_key = $wpdb->get_var( "SELECT {$quoted_pk} FROM {$quoted_source} {$where} ORDER BY {$quoted_pk} LIMIT 1 OFFSET " . ( $limit - 1 ) );
+
+                $range = $where;
+                if ( null !== $last_key ) {
+                    $range .= ( $where === '' ? 'WHERE ' : ' AND ' ) . $wpdb->prepare( "{$quoted_pk} <= {$format}", $last_key );
+                }
+
+                if ( false === $wpdb->query( "INSERT INTO {$quoted_target} SELECT * FROM {$quoted_source} {$range}" ) ) {
+                    $state['error'] = sprintf( 'Failed to copy table %s: %s', $source, $wpdb->last_error );
+                    return true;
+                }
+
+                if ( null === $last_key ) {
+                    break;
+                }
+
+                $state['table_last_key'] = $last_key;
+            }
+
+            $state['table_index']++;
+            $state['table_last_key'] = null;
+        }
+
+        return true;
+    }
+
+    /**
+     * Move the table prefix in the option and user meta keys that contain
+     * it (user roles, capabilities, user levels and the like).
+     *
+     * @param string $options_table  Options table to update.
+     * @param string $usermeta_table User meta table to update.
+     * @param string $from           Prefix the keys have now.
+     * @param string $to             Prefix they should have.
+     */
+    private function rename_prefixed_keys( $options_table, $usermeta_table, $from, $to ) {
+        global $wpdb;
+
+        $length = strlen( $from ) + 1;
+
+        if ( $this->table_exists( $options_table ) ) {
+            $quoted = $this->quote_table( $options_table );
+            $wpdb->query( $wpdb->prepare( "DELETE FROM {$quoted} WHERE option_name = %s", $to . 'user_roles' ) );
+            $wpdb->query( $wpdb->prepare( "UPDATE {$quoted} SET option_name = %s WHERE option_name = %s", $to . 'user_roles', $from . 'user_roles' ) );
+        }
+
+        if ( $this->table_exists( $usermeta_table ) ) {
+            $quoted = $this->quote_table( $usermeta_table );
+            $wpdb->query( $wpdb->prepare(
+                "UPDATE {$quoted} SET meta_key = CONCAT( %s, SUBSTRING( meta_key, %d ) ) WHERE meta_key LIKE %s",
+                $to,
+                $length,
+                $wpdb->esc_like( $from ) . '%'
+            ) );
+        }
+    }
+
+    /**
+     * Settle the copy's options: its own URLs, search engines discouraged,
+     * no transients from the live site and none of the options that tie
+     * it to the live site's WP Care connection.
+     *
+     * @param array $state Staging state.
+     */
+    private function apply_staging_options( $state ) {
+        global $wpdb;
+
+        $table = $state['prefix'] . 'options';
+
+        $wpdb->update( $table, array( 'option_value' => $state['url'] ), array( 'option_name' => 'siteurl' ) );
+        $wpdb->update( $table, array( 'option_value' => $state['url'] ), array( 'option_name' => 'home' ) );
+        $wpdb->update( $table, array( 'option_value' => '0' ), array( 'option_name' => 'blog_public' ) );
+
+        foreach ( $this->removed_options as $name ) {
+            $wpdb->delete( $table, array( 'option_name' => $name ) );
+        }
+
+        $this->delete_transients( $table );
+    }
+
+    /**
+     * Delete every transient from an options table.
+     *
+     * @param string $table Options table.
+     */
+    private function delete_transients( $table ) {
+        global $wpdb;
+
+        $wpdb->query( $wpdb->prepare(
+            'DELETE FROM ' . $this->quote_table( $table ) . ' WHERE option_name LIKE %s OR option_name LIKE %s',
+            $wpdb->esc_like( '_transient_' ) . '%',
+            $wpdb->esc_like( '_site_transient_' ) . '%'
+        ) );
+    }
+
+    /**
+     * Swap the pushed tables in, keeping what must stay the live site's:
+     * its URLs, search engine setting, cron events, WP Care settings and
+     * the login sessions of its users.
+     *
+     * Each table is replaced with a single RENAME TABLE, so the site never
+     * sees it half-copied.
+     *
+     * @param array $state Staging state (by reference).
+     */
+    private function swap_tables( &$state ) {
+        global $wpdb;
+
+        $temp_options  = '';
+        $temp_usermeta = '';
+        foreach ( $state['swap_tables'] as $pair ) {
+            if ( $pair[1] === $wpdb->options ) {
+                $temp_options = $pair[0];
+            } elseif ( $pair[1] === $wpdb->usermeta ) {
+                $temp_usermeta = $pair[0];
+            }
+        }
+
+        $this->rename_prefixed_keys( $temp_options, $temp_usermeta, $state['prefix'], $wpdb->base_prefix );
+
+        if ( $temp_options ) {
+            $quoted = $this->quote_table( $temp_options );
+            $where  = $wpdb->prepare(
+                'option_name IN (' . implode( ', ', array_fill( 0, count( $this->kept_options ), '%s' ) ) . ') OR option_name LIKE %s',
+                array_merge( $this->kept_options, array( $wpdb->esc_like( 'wp_care_' ) . '%' ) )
+            );
+
+            $this->delete_transients( $temp_options );
+            $wpdb->query( "DELETE FROM {$quoted} WHERE {$where}" );
+            $wpdb->query( "INSERT INTO {$quoted} ( option_name, option_value, autoload ) SELECT option_name, option_value, autoload FROM {$wpdb->options} WHERE {$where}" );
+        }
+
+        if ( $temp_usermeta ) {
+            $quoted = $this->quote_table( $temp_usermeta );
+            $wpdb->query( "DELETE FROM {$quoted} WHERE meta_key = 'session_tokens'" );
+            $wpdb->query( "INSERT INTO {$quoted} ( user_id, meta_key, meta_value ) SELECT user_id, meta_key, meta_value FROM {$wpdb->usermeta} WHERE meta_key = 'session_tokens'" );
+        }
+
+        foreach ( $state['swap_tables'] as $pair ) {
+            list( $temp, $live ) = $pair;
+
+            if ( ! $this->table_exists( $temp ) ) {
+                continue;
+            }
+
+            if ( $this->table_exists( $live ) ) {
+                $old = $temp . '_old';
+                $wpdb->query( 'DROP TABLE IF EXISTS ' . $this->quote_table( $old ) );
+                $renamed = $wpdb->query( 'RENAME TABLE ' . $this->quote_table( $live ) . ' TO ' . $this->quote_table( $old ) . ', ' . $this->quote_table( $temp ) . ' TO ' . $this->quote_table( $live ) );
+                if ( false !== $renamed ) {
+                    $wpdb->query( 'DROP TABLE ' . $this->quote_table( $old ) );
+                }
+            } else {
+                $renamed = $wpdb->query( 'RENAME TABLE ' . $this->quote_table( $temp ) . ' TO ' . $this->quote_table( $live ) );
+            }
+
+            if ( false === $renamed ) {
+                $state['error'] = sprintf( 'Failed to replace table %s: %s', $live, $wpdb->last_error );
+                return;
+            }
+
+            $state['swapped_tables']++;
+        }
+
+        wp_cache_flush();
+    }
+
+    /**
+     * List the files of a create: core (wp-admin, wp-includes and the PHP
+     * files in the WordPress root, except wp-config.php) and wp-content
+     * with the export's filters, which leave out caches, backups and
+     * migrations.
+     *
+     * @param array $state Staging state (by reference).
+     */
+    private function enumerate_create_files( &$state ) {
+        $handle = fopen( $this->state_dir . '/filemap.txt', 'w' );
+        if ( ! $handle ) {
+            $state['error'] = 'Failed to create filemap';
+            return;
+        }
+
+        $migration = new WP_Care_Migration();
+        $total     = 0;
+
+        foreach ( array( '/wp-admin', '/' . WPINC ) as $folder ) {
+            $total += $migration->list_files( $folder, $handle );
+        }
+
+        foreach ( (array) glob( ABSPATH . '*.php' ) as $file ) {
+            if ( $file && is_file( $file ) && basename( $file ) !== 'wp-config.php' ) {
+                fwrite( $handle, '/' . basename( $file ) . "\n" );
+                $total++;
+            }
+        }
+
+        $total += $migration->list_export_files( array(
+            'include_database'   => false,
+            'include_uploads'    => $state['options']['include_uploads'],
+            'include_mu_plugins' => true,
+        ), $handle );
+
+        fclose( $handle );
+
+        $state['total_files'] = $total;
+    }
+
+    /**
+     * List the files of a push: everything in the selected folders of the
+     * staging wp-content, except this plugin and the staging must-use
+     * plugin. Files of the live themes, plugins and must-use plugins that
+     * are gone from staging are listed for deletion.
+     *
+     * @param array $state Staging state (by reference).
+     */
+    private function enumerate_push_files( &$state ) {
+        $handle    = fopen( $this->state_dir . '/filemap.txt', 'w' );
+        $deletions = fopen( $this->state_dir . '/deletions.txt', 'w' );
+        if ( ! $handle || ! $deletions ) {
+            $state['error'] = 'Failed to create filemap';
+            return;
+        }
+
+        $source = $state['path'] . '/wp-content/';
+        $total  = 0;
+
+        foreach ( $state['options']['folders'] as $folder ) {
+            $total += $this->list_directory( $source, $folder, $handle );
+        }
+        fclose( $handle );
+
+        $migration = new WP_Care_Migration();
+        $live      = fopen( 'php://temp', 'w+' );
+
+        foreach ( array_intersect( $state['options']['folders'], array( 'themes', 'plugins', 'mu-plugins' ) ) as $folder ) {
+            $migration->list_files( $folder, $live );
+        }
+        rewind( $live );
+
+        while ( ( $line = fgets( $live ) ) !== false ) {
+            $relative = rtrim( $line, "\r\n" );
+            if ( $relative !== '' && ! $this->is_skipped_on_push( $relative ) && ! file_exists( $source . $relative ) ) {
+                fwrite( $deletions, $relative . "\n" );
+            }
+        }
+        fclose( $live );
+        fclose( $deletions );
+
+        $state['total_files'] = $total;
+    }
+
+    /**
+     * Recursively list the files under a folder, one path relative to
+     * $base per line, leaving out what a push never copies.
+     *
+     * @param string   $base     Folder the paths are relative to, with a trailing slash.
+     * @param string   $relative Folder to list.
+     * @param resource $handle   File handle to write to.
+     * @return int Number of files listed.
+     */
+    private function list_directory( $base, $relative, $handle ) {
+        $items = @scandir( $base . $relative );
+        if ( $items === false ) {
+            return 0;
+        }
+
+        $total = 0;
+        foreach ( $items as $item ) {
+            if ( $item === '.' || $item === '..' ) {
+                continue;
+            }
+
+            $item_relative = $relative . '/' . $item;
+            if ( $this->is_skipped_on_push( $item_relative ) ) {
+                continue;
+            }
+
+            if ( is_dir( $base . $item_relative ) ) {
+                $total += $this->list_directory( $base, $item_relative, $handle );
+            } elseif ( is_readable( $base . $item_relative ) ) {
+                fwrite( $handle, $item_relative . "\n" );
+                $total++;
+            }
+        }
+
+        return $total;
+    }
+
+    /**
+     * Whether a push leaves a wp-content path alone: this plugin, which
+     * is running the push, and the staging must-use plugin.
+     *
+     * @param string $relative Path relative to wp-content.
+     * @return bool
+     */
+    private function is_skipped_on_push( $relative ) {
+        $plugin = 'plugins/' . basename( WP_CARE_PLUGIN_DIR );
+
+        return $relative === $plugin || strpos( $relative, $plugin . '/' ) === 0 || $relative === 'mu-plugins/' . self::MU_PLUGIN;
+    }
+
+    /**
+     * Copy the next files of the filemap. A file that can't be copied is
+     * logged and skipped.
+     *
+     * @param array $state      Staging state (by reference).
+     * @param int   $start_time Start timestamp for timeout tracking.
+     * @return bool True if complete.
+     */
+    private function copy_files( &$state, $start_time ) {
+        $handle = fopen( $this->state_dir . '/filemap.txt', 'r' );
+        if ( ! $handle ) {
+            $state['error'] = 'Failed to open filemap';
+            return true;
+        }
+
+        if ( $state['filemap_offset'] > 0 ) {
+            fseek( $handle, $state['filemap_offset'] );
+        }
+
+        $migration = new WP_Care_Migration();
+
+        while ( ( $line = fgets( $handle ) ) !== false ) {
+            if ( ( time() - $start_time ) >= $this->chunk_timeout ) {
+                $state['filemap_offset'] = ftell( $handle ) - strlen( $line );
+                fclose( $handle );
+                return false;
+            }
+
+            $relative = rtrim( $line, "\r\n" );
+            if ( $relative === '' ) {
+                continue;
+            }
+
+            if ( $state['type'] === 'push' ) {
+                $source      = $state['path'] . '/wp-content/' . $relative;
+                $destination = WP_CONTENT_DIR . '/' . $relative;
+            } else {
+                $source      = $migration->get_entry_path( $relative );
+                $destination = $state['path'] . ( strpos( $relative, '/' ) === 0 ? $relative : '/wp-content/' . $relative );
+            }
+
+            if ( ! wp_mkdir_p( dirname( $destination ) ) || ! @copy( $source, $destination ) ) {
+                error_log( sprintf( 'WP Care Staging: Failed to copy %s', $relative ) );
+                $state['failed_files']++;
+            }
+
+            $state['copied_files']++;
+        }
+
+        fclose( $handle );
+        $state['filemap_offset'] = 0;
+        return true;
+    }
+
+    /**
+     * Delete the live files listed by enumerate_push_files(), and folders
+     * left empty by it.
+     *
+     * @param array $state Staging state (by reference).
+     */
+    private function apply_deletions( &$state ) {
+        $file = $this->state_dir . '/deletions.txt';
+        if ( ! file_exists( $file ) ) {
+            return;
+        }
+
+        $folders = array();
+        foreach ( (array) file( $file, FILE_IGNORE_NEW_LINES | FILE_SKIP_EMPTY_LINES ) as $relative ) {
+            $path = WP_CONTENT_DIR . '/' . $relative;
+            if ( is_file( $path ) && @unlink( $path ) ) {
+                $state['deleted_files']++;
+                $folders[ dirname( $path ) ] = true;
+            }
+        }
+
+        // Deepest first, so a parent is only tried once its children are gone
+        $folders = array_keys( $folders );
+        rsort( $folders );
+        foreach ( $folders as $folder ) {
+            while ( strpos( $folder, WP_CONTENT_DIR . '/' ) === 0 && substr_count( $folder, '/' ) > substr_count( WP_CONTENT_DIR, '/' ) + 1 && @rmdir( $folder ) ) {
+                $folder = dirname( $folder );
+            }
+        }
+    }
+
+    /**
+     * Write the staging site's wp-config.php, .htaccess and must-use plugin.
+     *
+     * wp-config.php uses the live database with the staging table prefix,
+     * fresh salts, fixed URLs and WP-Cron turned off, so the copy never
+     * runs the live site's scheduled exports or syncs on its own.
+     *
+     * @param array $state Staging state (by reference).
+     */
+    private function write_config( &$state ) {
+        $constants = array();
+        foreach ( array( 'DB_NAME', 'DB_USER', 'DB_PASSWORD', 'DB_HOST', 'DB_CHARSET', 'DB_COLLATE' ) as $name ) {
+            $constants[ $name ] = defined( $name ) ? constant( $name ) : '';
+        }
+        foreach ( array( 'AUTH_KEY', 'SECURE_AUTH_KEY', 'LOGGED_IN_KEY', 'NONCE_KEY', 'AUTH_SALT', 'SECURE_AUTH_SALT', 'LOGGED_IN_SALT', 'NONCE_SALT' ) as $name ) {
+            $constants[ $name ] = wp_generate_password( 64, true, true );
+        }
+        $constants['WP_HOME']         = $state['url'];
+        $constants['WP_SITEURL']      = $state['url'];
+        $constants['WP_CARE_STAGING'] = true;
+        $constants['DISABLE_WP_CRON'] = true;
+
+        $config  = "<?php\n";
+        $config .= "/**\n * Staging copy of " . home_url() . ', created by WP Care Connector on ' . gmdate( 'Y-m-d H:i' ) . " UTC.\n";
+        $config .= " *\n * Delete the staging site from the live site's Migration page rather than by hand.\n */\n\n";
+        foreach ( $constants as $name => $value ) {
+            $config .= "define( '" . $name . "', " . var_export( $value, true ) . " );\n";
+        }
+        $config .= "\n\$table_prefix = " . var_export( $state['prefix'], true ) . ";\n\n";
+        $config .= "if ( ! defined( 'ABSPATH' ) ) {\n    define( 'ABSPATH', __DIR__ . '/' );\n}\n\n";
+        $config .= "require_once ABSPATH . 'wp-settings.php';\n";
+
+        $base = trailingslashit( (string) wp_parse_url( $state['url'], PHP_URL_PATH ) );
+
+        $htaccess  = "# BEGIN WordPress\n<IfModule mod_rewrite.c>\nRewriteEngine On\n";
+        $htaccess .= 'RewriteBase ' . $base . "\n";
+        $htaccess .= "RewriteRule ^index\\.php$ - [L]\nRewriteCond %{REQUEST_FILENAME} !-f\nRewriteCond %{REQUEST_FILENAME} !-d\n";
+        $htaccess .= 'RewriteRule . ' . $base . "index.php [L]\n</IfModule>\n# END WordPress\n\n";
+        $htaccess .= "# BEGIN WP Care Staging\n<IfModule mod_headers.c>\nHeader set X-Robots-Tag \"noindex, nofollow\"\n</IfModule>\n# END WP Care Staging\n";
+
+        $mu_dir = $state['path'] . '/wp-content/mu-plugins';
+
+        if ( ! file_put_contents( $state['path'] . '/wp-config.php', $config )
+            || ! file_put_contents( $state['path'] . '/.htaccess', $htaccess )
+            || ! wp_mkdir_p( $mu_dir )
+            || ! file_put_contents( $mu_dir . '/' . self::MU_PLUGIN, $this->get_mu_plugin( home_url() ) )
+        ) {
+            $state['error'] = 'Failed to write the staging site configuration';
+        }
+    }
+
+    /**
+     * Source of the must-use plugin that keeps the staging site out of
+     * search engines, stops its email and marks it in the toolbar.
+     *
+     * @param string $live_url Live site URL.
+     * @return string
+     */
+    private function get_mu_plugin( $live_url ) {
+        $notice = sprintf( 'This is a staging copy of %s. It is hidden from search engines and does not send email.', $live_url );
+
+        return <<<PHP
+<?php
+/**
+ * Plugin Name: WP Care Staging
+ * Description: Marks this site as a staging copy: hidden from search engines, no outgoing email. Added by WP Care Connector.
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+// Discourage search engines whatever Settings > Reading says
+add_filter( 'pre_option_blog_public', '__return_zero' );
+
+// WordPress 5.7+ skips sending altogether; older versions are left
+// without recipients, so PHPMailer refuses to send
+add_filter( 'pre_wp_mail', '__return_false' );
+add_action( 'phpmailer_init', function ( \$phpmailer ) {
+    \$phpmailer->clearAllRecipients();
+}, PHP_INT_MAX );
+
+add_action( 'admin_bar_menu', function ( \$admin_bar ) {
+    \$admin_bar->add_node( array(
+        'id'    => 'wp-care-staging',
+        'title' => 'STAGING',
+        'href'  => admin_url(),
+        'meta'  => array( 'title' => {$this->export_string( $notice )} ),
+    ) );
+}, 0 );
+
+PHP;
+    }
+
+    /**
+     * Quote a string as a PHP literal for generated code.
+     *
+     * @param string $value Value.
+     * @return string
+     */
+    private function export_string( $value ) {
+        return var_export( (string) $value, true );
+    }
+
+    /**
+     * URL and path replacements between the live site and the staging
+     * site. Home wins over the site URL when both map to the staging URL.
+     *
+     * @param array  $staging   Staging site.
+     * @param string $direction 'create' (live to staging) or 'push' (staging to live).
+     * @return array Replacement pairs with 'from' and 'to'.
+     */
+    private function get_replacements( $staging, $direction ) {
+        $pairs = array(
+            array( content_url(), $staging['url'] . '/wp-content' ),
+            array( untrailingslashit( WP_CONTENT_DIR ), $staging['path'] . '/wp-content' ),
+            array( site_url(), $staging['url'] ),
+            array( home_url(), $staging['url'] ),
+            array( untrailingslashit( ABSPATH ), $staging['path'] ),
+        );
+
+        if ( $direction === 'push' ) {
+            $pairs = array_reverse( $pairs );
+        }
+
+        $replacements = array();
+        foreach ( $pairs as $pair ) {
+            list( $live, $copy ) = $pair;
+            $replacements[] = $direction === 'push'
+                ? array( 'from' => $copy, 'to' => $live )
+                : array( 'from' => $live, 'to' => $copy );
+        }
+
+        return $replacements;
+    }
+
+    /**
+     * Fields every staging state starts with.
+     *
+     * @param string $type 'create' or 'push'.
+     * @return array
+     */
+    private function get_initial_state( $type ) {
+        return array(
+            'migration_id'        => gmdate( 'Ymd_His' ) . '_' . wp_generate_password( 6, false, false ),
+            'type'                => $type,
+            'progress'            => 0,
+            'completed'           => false,
+            'error'               => null,
+            'started_at'          => gmdate( 'c' ),
+            'updated_at'          => gmdate( 'c' ),
+            // Database state
+            'table_index'         => 0,
+            'table_last_key'      => null,
+            'replace_table_index' => 0,
+            'replace_last_key'    => null,
+            'replaced_rows'       => 0,
+            'swapped_tables'      => 0,
+            // File state
+            'filemap_offset'      => 0,
+            'total_files'         => 0,
+            'copied_files'        => 0,
+            'failed_files'        => 0,
+        );
+    }
+
+    /**
+     * Base tables (not views) whose names start with a prefix.
+     *
+     * @param string $prefix Table prefix.
+     * @return string[]
+     */
+    private function get_base_tables( $prefix ) {
+        global $wpdb;
+
+        $tables = array();
+        $rows   = $wpdb->get_results( $wpdb->prepare( 'SHOW FULL TABLES LIKE %s', $wpdb->esc_like( $prefix ) . '%' ), ARRAY_N );
+        foreach ( (array) $rows as $row ) {
+            if ( isset( $row[1] ) && $row[1] === 'BASE TABLE' ) {
+                $tables[] = $row[0];
+            }
+        }
+
+        return $tables;
+    }
+
+    /**
+     * Pick a table prefix for the staging site that no table uses and
+     * that neither starts nor is the start of the live prefix, so the two
+     * sites' tables can always be told apart.
+     *
+     * @return string|false
+     */
+    private function generate_prefix() {
+        global $wpdb;
+
+        for ( $i = 0; $i < 10; $i++ ) {
+            $prefix = 'stg' . strtolower( wp_generate_password( 4, false, false ) ) . '_';
+
+            if ( strpos( $prefix, $wpdb->base_prefix ) === 0 || strpos( $wpdb->base_prefix, $prefix ) === 0 ) {
+                continue;
+            }
+
+            if ( ! $wpdb->get_var( $wpdb->prepare( 'SHOW TABLES LIKE %s', $wpdb->esc_like( $prefix ) . '%' ) ) ) {
+                return $prefix;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * The single-column primary key of a table.
+     *
+     * @param string $table Table name.
+     * @return array|false array( 'column', 'numeric' ), or false if the
+     *                     table has no primary key or a composite one.
+     */
+    private function get_primary_key( $table ) {
+        global $wpdb;
+
+        $primary = array();
+        foreach ( (array) $wpdb->get_results( 'SHOW COLUMNS FROM ' . $this->quote_table( $table ), ARRAY_A ) as $column ) {
+            if ( $column['Key'] === 'PRI' ) {
+                $primary[] = $column;
+            }
+        }
+
+        if ( count( $primary ) !== 1 ) {
+            return false;
+        }
+
+        return array(
+            'column'  => $primary[0]['Field'],
+            'numeric' => (bool) preg_match( '/int/i', $primary[0]['Type'] ),
+        );
+    }
+
+    /**
+     * Whether a table exists.
+     *
+     * @param string $table Table name.
+     * @return bool
+     */
+    private function table_exists( $table ) {
+        global $wpdb;
+
+        return $table !== '' && $wpdb->get_var( $wpdb->prepare( 'SHOW TABLES LIKE %s', $wpdb->esc_like( $table ) ) ) === $table;
+    }
+
+    /**
+     * Quote a table name for a query.
+     *
+     * @param string $table Table name.
+     * @return string
+     */
+    private function quote_table( $table ) {
+        return '`' . str_replace( '`', '``', $table ) . '`';
+    }
+
+    /**
+     * Ensure the state folder exists, inside the protected migration folder.
+     *
+     * @return bool True if writable.
+     */
+    private function ensure_state_dir() {
+        return WP_Care_Migration::ensure_migration_dir() && wp_mkdir_p( $this->state_dir ) && is_writable( $this->state_dir );
+    }
+
+    /**
+     * Save the staging state.
+     *
+     * @param array $state State data.
+     * @return bool
+     */
+    private function save_state( $state ) {
+        if ( ! is_dir( $this->state_dir ) ) {
+            return false;
+        }
+
+        return (bool) file_put_contents( $this->state_dir . '/state.json', wp_json_encode( $state, JSON_PRETTY_PRINT ) );
+    }
+
+    /**
+     * Load the staging state.
+     *
+     * @return array|false
+     */
+    private function load_state() {
+        $file = $this->state_dir . '/state.json';
+        if ( ! file_exists( $file ) ) {
+            return false;
+        }
+
+        $data = json_decode( file_get_contents( $file ), true );
+        return is_array( $data ) ? $data : false;
+    }
+
+    /**
+     * Take an exclusive, non-blocking lock on the staging state.
+     *
+     * @return resource|false|null Lock handle, false if already locked,
+     *                             null if the lock file can't be created.
+     */
+    private function acquire_lock() {
+        if ( ! is_dir( $this->state_dir ) ) {
+            return null;
+        }
+
+        $handle = @fopen( $this->state_dir . '/state.lock', 'c' );
+        if ( ! $handle ) {
+            return null;
+        }
+
+        if ( ! flock( $handle, LOCK_EX | LOCK_NB ) ) {
+            fclose( $handle );
+            return false;
+        }
+
+        return $handle;
+    }
+
+    /**
+     * Release a lock taken by acquire_lock().
+     *
+     * @param resource|false|null $handle Lock handle.
+     */
+    private function release_lock( $handle ) {
+        if ( $handle ) {
+            flock( $handle, LOCK_UN );
+            fclose( $handle );
+        }
+    }
+
+    /**
+     * Recursively delete a directory.
+     *
+     * @param string $dir Directory path.
+     * @return bool
+     */
+    private function recursive_delete( $dir ) {
+        if ( ! is_dir( $dir ) ) {
+            return false;
+        }
+
+        $files = array_diff( scandir( $dir ), array( '.', '..' ) );
+        foreach ( $files as $file ) {
+            $path = $dir . '/' . $file;
+            if ( is_dir( $path ) && ! is_link( $path ) ) {
+                $this->recursive_delete( $path );
+            } else {
+                unlink( $path );
+            }
+        }
+
+        return rmdir( $dir );
+    }
+}
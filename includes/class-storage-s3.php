@@ -0,0 +1,300 @@
+<?php
+/**
+ * WP Care S3 Storage Target
+ *
+ * Amazon S3 and S3-compatible object storage (MinIO, Wasabi, Backblaze B2,
+ * DigitalOcean Spaces). Requests are signed with AWS Signature Version 4
+ * and archives are sent as multipart uploads, one part per chunk.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class WP_Care_Storage_S3 extends WP_Care_Storage_Target {
+
+    /**
+     * S3 requires every multipart part except the last to be at least 5 MB.
+     *
+     * @var int
+     */
+    const MIN_PART_SIZE = 5242880;
+
+    /**
+     * Configuration fields.
+     *
+     * @return array
+     */
+    public static function get_fields() {
+        return array(
+            'endpoint'   => array(
+                'label'       => __( 'Endpoint', 'wp-care-connector' ),
+                'type'        => 'url',
+                'placeholder' => 'http://localhost:9000',
+                'description' => __( 'Leave empty for Amazon S3. Set it for MinIO and other S3-compatible services.', 'wp-care-connector' ),
+            ),
+            'region'     => array(
+                'label'       => __( 'Region', 'wp-care-connector' ),
+                'placeholder' => 'us-east-1',
+            ),
+            'bucket'     => array(
+                'label'    => __( 'Bucket', 'wp-care-connector' ),
+                'required' => true,
+            ),
+            'access_key' => array(
+                'label'    => __( 'Access Key', 'wp-care-connector' ),
+                'required' => true,
+            ),
+            'secret_key' => array(
+                'label'    => __( 'Secret Key', 'wp-care-connector' ),
+                'type'     => 'password',
+                'secret'   => true,
+                'required' => true,
+            ),
+            'path_style' => array(
+                'label'       => __( 'Path-style URLs', 'wp-care-connector' ),
+                'type'        => 'checkbox',
+                'description' => __( 'Use endpoint/bucket/key instead of bucket.endpoint/key. Required by MinIO.', 'wp-care-connector' ),
+            ),
+        );
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function test_connection() {
+        $response = $this->request( 'GET', '', array( 'list-type' => '2', 'max-keys' => '1' ) );
+
+        return is_wp_error( $response ) ? $response : true;
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_location( $remote_path ) {
+        return 's3://' . $this->get( 'bucket' ) . '/' . ltrim( $remote_path, '/' );
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function begin_upload( $remote_path, $size, $chunk_size ) {
+        if ( $chunk_size < self::MIN_PART_SIZE && $size > $chunk_size ) {
+            return new WP_Error( 'chunk_too_small', 'S3 multipart uploads need chunks of at least 5 MB.' );
+        }
+
+        $response = $this->request( 'POST', $remote_path, array( 'uploads' => '' ) );
+        if ( is_wp_error( $response ) ) {
+            return $response;
+        }
+
+        if ( ! preg_match( '#<UploadId>([^<]+)</UploadId>#', wp_remote_retrieve_body( $response ), $matches ) ) {
+            return new WP_Error( 's3_no_upload_id', 'S3 did not return a multipart upload ID.' );
+        }
+
+        return array(
+            'key'       => $remote_path,
+            'upload_id' => $matches[1],
+            'parts'     => array(),
+        );
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function upload_chunk( &$upload, $data, $offset ) {
+        $part_number = count( $upload['parts'] ) + 1;
+
+        $response = $this->request( 'PUT', $upload['key'], array(
+            'partNumber' => (string) $part_number,
+            'uploadId'   => $upload['upload_id'],
+        ), $data );
+
+        if ( is_wp_error( $response ) ) {
+            // The upload ID is gone (expired or aborted); start again
+            if ( $response->get_error_code() === 'http_404' ) {
+                return new WP_Error( 'offset_mismatch', $response->get_error_message() );
+            }
+            return $response;
+        }
+
+        $upload['parts'][ $part_number ] = trim( wp_remote_retrieve_header( $response, 'etag' ), '"' );
+
+        return true;
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function complete_upload( &$upload ) {
+        $xml = '<CompleteMultipartUpload>';
+        foreach ( $upload['parts'] as $number => $etag ) {
+            $xml .= '<Part><PartNumber>' . (int) $number . '</PartNumber><ETag>"' . esc_html( $etag ) . '"</ETag></Part>';
+        }
+        $xml .= '</CompleteMultipartUpload>';
+
+        $response = $this->request( 'POST', $upload['key'], array( 'uploadId' => $upload['upload_id'] ), $xml );
+        if ( is_wp_error( $response ) ) {
+            return $response;
+        }
+
+        // S3 can answer 200 and still report a failure in the body
+        if ( strpos( wp_remote_retrieve_body( $response ), '<Error>' ) !== false ) {
+            return new WP_Error( 's3_complete_failed', 'S3 rejected the multipart upload: ' . substr( wp_strip_all_tags( wp_remote_retrieve_body( $response ) ), 0, 200 ) );
+        }
+
+        return true;
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function abort_upload( $upload ) {
+        if ( ! empty( $upload['upload_id'] ) ) {
+            $this->request( 'DELETE', $upload['key'], array( 'uploadId' => $upload['upload_id'] ) );
+        }
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function download_chunk( $remote_path, $offset, $length ) {
+        $response = $this->request( 'GET', $remote_path, array(), '', array(
+            'Range' => 'bytes=' . $offset . '-' . ( $offset + $length - 1 ),
+        ) );
+
+        return is_wp_error( $response ) ? $response : wp_remote_retrieve_body( $response );
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function put_contents( $remote_path, $contents ) {
+        $response = $this->request( 'PUT', $remote_path, array(), $contents );
+
+        return is_wp_error( $response ) ? $response : true;
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_contents( $remote_path ) {
+        $response = $this->request( 'GET', $remote_path );
+
+        return is_wp_error( $response ) ? $response : wp_remote_retrieve_body( $response );
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function list_directories( $remote_dir ) {
+        $response = $this->request( 'GET', '', array(
+            'list-type' => '2',
+            'prefix'    => trim( $remote_dir, '/' ) . '/',
+            'delimiter' => '/',
+        ) );
+
+        if ( is_wp_error( $response ) ) {
+            return $response;
+        }
+
+        preg_match_all( '#<CommonPrefixes>\s*<Prefix>([^<]+)</Prefix>#', wp_remote_retrieve_body( $response ), $matches );
+
+        return array_map( function( $prefix ) {
+            return basename( html_entity_decode( $prefix, ENT_QUOTES | ENT_XML1 ) );
+        }, $matches[1] );
+    }
+
+    /**
+     * Send a signed request.
+     *
+     * @param string $method  HTTP method.
+     * @param string $key     Object key ('' for the bucket itself).
+     * @param array  $query   Query parameters.
+     * @param string $body    Request body.
+     * @param array  $headers Extra headers.
+     * @return array|WP_Error
+     */
+    private function request( $method, $key, $query = array(), $body = '', $headers = array() ) {
+        $region   = $this->get( 'region', 'us-east-1' );
+        $bucket   = $this->get( 'bucket' );
+        $endpoint = $this->get( 'endpoint', 'https://s3.' . $region . '.amazonaws.com' );
+        $parts    = wp_parse_url( $endpoint );
+
+        if ( empty( $parts['host'] ) ) {
+            return new WP_Error( 's3_bad_endpoint', 'The S3 endpoint is not a valid URL.' );
+        }
+
+        $scheme = isset( $parts['scheme'] ) ? $parts['scheme'] : 'https';
+        $host   = $parts['host'] . ( isset( $parts['port'] ) ? ':' . $parts['port'] : '' );
+        $path   = '/' . ltrim( $key, '/' );
+
+        if ( $this->get( 'path_style' ) ) {
+            $path = '/' . $bucket . ( $key === '' ? '' : $path );
+        } else {
+            $host = $bucket . '.' . $host;
+        }
+
+        $canonical_uri = implode( '/', array_map( 'rawurlencode', explode( '/', $path ) ) );
+
+        ksort( $query );
+        $canonical_query = array();
+        foreach ( $query as $name => $value ) {
+            $canonical_query[] = rawurlencode( $name ) . '=' . rawurlencode( $value );
+        }
+        $canonical_query = implode( '&', $canonical_query );
+
+        $amz_date     = gmdate( 'Ymd\THis\Z' );
+        $date         = gmdate( 'Ymd' );
+        $payload_hash = hash( 'sha256', $body );
+
+        $headers = array_merge( $headers, array(
+            'Host'                 => $host,
+            'x-amz-content-sha256' => $payload_hash,
+            'x-amz-date'           => $amz_date,
+        ) );
+
+        $signed = array();
+        foreach ( $headers as $name => $value ) {
+            $signed[ strtolower( $name ) ] = trim( $value );
+        }
+        ksort( $signed );
+
+        $canonical_headers = '';
+        foreach ( $signed as $name => $value ) {
+            $canonical_headers .= $name . ':' . $value . "\n";
+        }
+        $signed_headers = implode( ';', array_keys( $signed ) );
+
+        $canonical_request = implode( "\n", array( $method, $canonical_uri, $canonical_query, $canonical_headers, $signed_headers, $payload_hash ) );
+        $scope             = $date . '/' . $region . '/s3/aws4_request';
+        $string_to_sign    = "AWS4-HMAC-SHA256\n" . $amz_date . "\n" . $scope . "\n" . hash( 'sha256', $canonical_request );
+
+        $signing_key = hash_hmac( 'sha256', 'aws4_request',
+            hash_hmac( 'sha256', 's3',
+                hash_hmac( 'sha256', $region,
+                    hash_hmac( 'sha256', $date, 'AWS4' . $this->get( 'secret_key' ), true ),
+                true ),
+            true ),
+        true );
+
+        $headers['Authorization'] = sprintf(
+            'AWS4-HMAC-SHA256 Credential=%s/%s, SignedHeaders=%s, Signature=%s',
+            $this->get( 'access_key' ),
+            $scope,
+            $signed_headers,
+            hash_hmac( 'sha256', $string_to_sign, $signing_key )
+        );
+        unset( $headers['Host'] );
+
+        $url = $scheme . '://' . $host . $canonical_uri . ( $canonical_query !== '' ? '?' . $canonical_query : '' );
+
+        return $this->http( $method, $url, array(
+            'headers' => $headers,
+            'body'    => $body,
+        ) );
+    }
+}
@@ -0,0 +1,359 @@
+<?php
+/**
+ * WP Care SFTP Storage Target
+ *
+ * Pushes archives to an SSH server over SFTP using the PHP ssh2 extension.
+ * Chunks are appended to a .part file that is renamed into place once
+ * complete, so an interrupted upload resumes from the remote file size.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class WP_Care_Storage_SFTP extends WP_Care_Storage_Target {
+
+    /**
+     * SFTP subsystem resource, opened lazily.
+     *
+     * @var resource|null
+     */
+    private $sftp = null;
+
+    /**
+     * Configuration fields.
+     *
+     * @return array
+     */
+    public static function get_fields() {
+        return array(
+            'host'        => array(
+                'label'    => __( 'Host', 'wp-care-connector' ),
+                'required' => true,
+            ),
+            'port'        => array(
+                'label'       => __( 'Port', 'wp-care-connector' ),
+                'type'        => 'number',
+                'placeholder' => '22',
+            ),
+            'fingerprint' => array(
+                'label'       => __( 'Host key fingerprint', 'wp-care-connector' ),
+                'placeholder' => '9A:3C:...:E1',
+                'required'    => true,
+                'description' => __( 'SHA-1 fingerprint of the server\'s host key in hex, colons optional. Get it from your host. Connections are refused when the server presents another key.', 'wp-care-connector' ),
+            ),
+            'username'    => array(
+                'label'    => __( 'Username', 'wp-care-connector' ),
+                'required' => true,
+            ),
+            'password'    => array(
+                'label'       => __( 'Password', 'wp-care-connector' ),
+                'type'        => 'password',
+                'secret'      => true,
+                'description' => __( 'Used as the key passphrase when a private key is set.', 'wp-care-connector' ),
+            ),
+            'private_key' => array(
+                'label'       => __( 'Private key file', 'wp-care-connector' ),
+                'placeholder' => '/home/user/.ssh/id_rsa',
+                'description' => __( 'Path on this server. The public key is read from the same path with .pub appended.', 'wp-care-connector' ),
+            ),
+            'path'        => array(
+                'label'       => __( 'Remote directory', 'wp-care-connector' ),
+                'placeholder' => '/backups',
+                'required'    => true,
+            ),
+        );
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function test_connection() {
+        $result = $this->put_contents( '.wp-care-test', 'ok' );
+        if ( is_wp_error( $result ) ) {
+            return $result;
+        }
+
+        ssh2_sftp_unlink( $this->sftp, $this->remote( '.wp-care-test' ) );
+
+        return true;
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_location( $remote_path ) {
+        return 'sftp://' . $this->get( 'username' ) . '@' . $this->get( 'host' ) . $this->remote( $remote_path );
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function begin_upload( $remote_path, $size, $chunk_size ) {
+        $connected = $this->connect();
+        if ( is_wp_error( $connected ) ) {
+            return $connected;
+        }
+
+        $result = $this->ensure_dir( dirname( $this->remote( $remote_path ) ) );
+        if ( is_wp_error( $result ) ) {
+            return $result;
+        }
+
+        $part = $this->remote( $remote_path ) . '.part';
+        if ( @ssh2_sftp_stat( $this->sftp, $part ) ) {
+            ssh2_sftp_unlink( $this->sftp, $part );
+        }
+
+        return array(
+            'path' => $this->remote( $remote_path ),
+        );
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function upload_chunk( &$upload, $data, $offset ) {
+        $connected = $this->connect();
+        if ( is_wp_error( $connected ) ) {
+            return $connected;
+        }
+
+        $part = $upload['path'] . '.part';
+        $stat = @ssh2_sftp_stat( $this->sftp, $part );
+        $size = $stat ? (int) $stat['size'] : 0;
+
+        // A previous attempt wrote the chunk but the response was lost
+        if ( $size === $offset + strlen( $data ) ) {
+            return true;
+        }
+
+        if ( $size !== $offset ) {
+            return new WP_Error( 'offset_mismatch', sprintf( 'Remote file is %d bytes, expected %d.', $size, $offset ) );
+        }
+
+        $handle = @fopen( $this->wrapper( $part ), 'a' );
+        if ( ! $handle ) {
+            return new WP_Error( 'sftp_write_failed', 'Could not open ' . $part . ' for writing.' );
+        }
+
+        $written = fwrite( $handle, $data );
+        fclose( $handle );
+
+        if ( $written !== strlen( $data ) ) {
+            return new WP_Error( 'sftp_write_failed', 'Short write to ' . $part . '.' );
+        }
+
+        return true;
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function complete_upload( &$upload ) {
+        $connected = $this->connect();
+        if ( is_wp_error( $connected ) ) {
+            return $connected;
+        }
+
+        if ( @ssh2_sftp_stat( $this->sftp, $upload['path'] ) ) {
+            ssh2_sftp_unlink( $this->sftp, $upload['path'] );
+        }
+
+        if ( ! ssh2_sftp_rename( $this->sftp, $upload['path'] . '.part', $upload['path'] ) ) {
+            return new WP_Error( 'sftp_rename_failed', 'Could not move the uploaded file into place.' );
+        }
+
+        return true;
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function abort_upload( $upload ) {
+        if ( ! empty( $upload['path'] ) && ! is_wp_error( $this->connect() ) ) {
+            @ssh2_sftp_unlink( $this->sftp, $upload['path'] . '.part' );
+        }
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function download_chunk( $remote_path, $offset, $length ) {
+        $connected = $this->connect();
+        if ( is_wp_error( $connected ) ) {
+            return $connected;
+        }
+
+        $handle = @fopen( $this->wrapper( $this->remote( $remote_path ) ), 'r' );
+        if ( ! $handle ) {
+            return new WP_Error( 'sftp_read_failed', 'Could not open ' . $remote_path . ' for reading.' );
+        }
+
+        if ( $offset > 0 && fseek( $handle, $offset ) !== 0 ) {
+            fclose( $handle );
+            return new WP_Error( 'sftp_read_failed', 'Could not seek in ' . $remote_path . '.' );
+        }
+
+        $data = '';
+        while ( strlen( $data ) < $length && ! feof( $handle ) ) {
+            $read = fread( $handle, min( 1048576, $length - strlen( $data ) ) );
+            if ( $read === false || $read === '' ) {
+                break;
+            }
+            $data .= $read;
+        }
+        fclose( $handle );
+
+        return $data;
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function put_contents( $remote_path, $contents ) {
+        $connected = $this->connect();
+        if ( is_wp_error( $connected ) ) {
+            return $connected;
+        }
+
+        $result = $this->ensure_dir( dirname( $this->remote( $remote_path ) ) );
+        if ( is_wp_error( $result ) ) {
+            return $result;
+        }
+
+        if ( @file_put_contents( $this->wrapper( $this->remote( $remote_path ) ), $contents ) === false ) {
+            return new WP_Error( 'sftp_write_failed', 'Could not write ' . $this->remote( $remote_path ) . '.' );
+        }
+
+        return true;
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_contents( $remote_path ) {
+        $connected = $this->connect();
+        if ( is_wp_error( $connected ) ) {
+            return $connected;
+        }
+
+        $contents = @file_get_contents( $this->wrapper( $this->remote( $remote_path ) ) );
+
+        return $contents === false ? new WP_Error( 'sftp_read_failed', 'Could not read ' . $remote_path . '.' ) : $contents;
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function list_directories( $remote_dir ) {
+        $connected = $this->connect();
+        if ( is_wp_error( $connected ) ) {
+            return $connected;
+        }
+
+        $path    = $this->remote( $remote_dir );
+        $entries = @scandir( $this->wrapper( $path ) );
+        if ( $entries === false ) {
+            return array();
+        }
+
+        $dirs = array();
+        foreach ( $entries as $entry ) {
+            if ( $entry !== '.' && $entry !== '..' && is_dir( $this->wrapper( $path . '/' . $entry ) ) ) {
+                $dirs[] = $entry;
+            }
+        }
+
+        return $dirs;
+    }
+
+    /**
+     * Connect and authenticate, once per instance.
+     *
+     * @return true|WP_Error
+     */
+    private function connect() {
+        if ( $this->sftp ) {
+            return true;
+        }
+
+        if ( ! function_exists( 'ssh2_connect' ) ) {
+            return new WP_Error( 'sftp_unavailable', 'The PHP ssh2 extension is required for SFTP targets.' );
+        }
+
+        $connection = @ssh2_connect( $this->get( 'host' ), (int) $this->get( 'port', 22 ) );
+        if ( ! $connection ) {
+            return new WP_Error( 'sftp_connect_failed', 'Could not connect to ' . $this->get( 'host' ) . '.' );
+        }
+
+        // Check the host key before any credentials are sent
+        $fingerprint = strtoupper( preg_replace( '/[^0-9A-Fa-f]/', '', (string) $this->get( 'fingerprint' ) ) );
+        $presented   = strtoupper( (string) ssh2_fingerprint( $connection, SSH2_FINGERPRINT_SHA1 | SSH2_FINGERPRINT_HEX ) );
+
+        if ( $fingerprint === '' ) {
+            return new WP_Error( 'sftp_no_fingerprint', sprintf( 'No host key fingerprint is configured for %s. Add the target again with the fingerprint from your host.', $this->get( 'host' ) ) );
+        }
+
+        if ( ! hash_equals( $fingerprint, $presented ) ) {
+            return new WP_Error( 'sftp_fingerprint_mismatch', sprintf( 'The host key of %s does not match the configured fingerprint. It presented %s. The connection was refused.', $this->get( 'host' ), $presented ) );
+        }
+
+        $key = $this->get( 'private_key' );
+        if ( $key ) {
+            $authenticated = @ssh2_auth_pubkey_file( $connection, $this->get( 'username' ), $key . '.pub', $key, $this->get( 'password' ) );
+        } else {
+            $authenticated = @ssh2_auth_password( $connection, $this->get( 'username' ), $this->get( 'password' ) );
+        }
+
+        if ( ! $authenticated ) {
+            return new WP_Error( 'sftp_auth_failed', 'SFTP authentication failed for ' . $this->get( 'username' ) . '.' );
+        }
+
+        $sftp = @ssh2_sftp( $connection );
+        if ( ! $sftp ) {
+            return new WP_Error( 'sftp_subsystem_failed', 'Could not start the SFTP subsystem.' );
+        }
+
+        $this->sftp = $sftp;
+
+        return true;
+    }
+
+    /**
+     * Create a remote directory and its parents.
+     *
+     * @param string $dir Absolute remote directory.
+     * @return true|WP_Error
+     */
+    private function ensure_dir( $dir ) {
+        if ( is_dir( $this->wrapper( $dir ) ) || @ssh2_sftp_mkdir( $this->sftp, $dir, 0755, true ) ) {
+            return true;
+        }
+
+        return new WP_Error( 'sftp_mkdir_failed', 'Could not create ' . $dir . '.' );
+    }
+
+    /**
+     * Absolute remote path for a path relative to the target directory.
+     *
+     * @param string $remote_path Relative path.
+     * @return string
+     */
+    private function remote( $remote_path ) {
+        return rtrim( $this->join_path( '/' . trim( $this->get( 'path', '/' ), '/' ), $remote_path ), '/' );
+    }
+
+    /**
+     * Stream wrapper URL for an absolute remote path.
+     *
+     * @param string $path Absolute remote path.
+     * @return string
+     */
+    private function wrapper( $path ) {
+        return 'ssh2.sftp://' . intval( $this->sftp ) . $path;
+    }
+}
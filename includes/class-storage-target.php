@@ -0,0 +1,195 @@
+<?php
+/**
+ * WP Care Storage Target
+ *
+ * Base class for off-site destinations that migration archives are pushed
+ * to. Uploads are split into chunks driven by WP_Care_Storage; each target
+ * keeps whatever it needs between chunks (multipart IDs, part lists) in a
+ * plain array that is persisted alongside the migration.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+abstract class WP_Care_Storage_Target {
+
+    /**
+     * Target configuration, including decrypted secrets.
+     *
+     * @var array
+     */
+    protected $config;
+
+    /**
+     * Constructor.
+     *
+     * @param array $config Target configuration.
+     */
+    public function __construct( $config ) {
+        $this->config = $config;
+    }
+
+    /**
+     * Configuration fields for this target type.
+     *
+     * Each field is {label, type, secret, required, placeholder}. Secret
+     * fields are stored encrypted and never rendered back into forms.
+     *
+     * @return array
+     */
+    public static function get_fields() {
+        return array();
+    }
+
+    /**
+     * Check the target is reachable and writable.
+     *
+     * @return true|WP_Error
+     */
+    abstract public function test_connection();
+
+    /**
+     * Human-readable location of a remote path, for display.
+     *
+     * @param string $remote_path Path relative to the target root.
+     * @return string
+     */
+    abstract public function get_location( $remote_path );
+
+    /**
+     * Start uploading a file.
+     *
+     * @param string $remote_path Path relative to the target root.
+     * @param int    $size        Total size in bytes.
+     * @param int    $chunk_size  Size of every chunk except the last.
+     * @return array|WP_Error Upload state passed back to upload_chunk().
+     */
+    abstract public function begin_upload( $remote_path, $size, $chunk_size );
+
+    /**
+     * Upload one chunk.
+     *
+     * Returns a WP_Error with code 'offset_mismatch' when the remote side
+     * disagrees about how much has been written, so the caller restarts.
+     *
+     * @param array  $upload Upload state (updated in place).
+     * @param string $data   Chunk bytes.
+     * @param int    $offset Offset of the chunk within the file.
+     * @return true|WP_Error
+     */
+    abstract public function upload_chunk( &$upload, $data, $offset );
+
+    /**
+     * Finish an upload once every chunk has been sent.
+     *
+     * @param array $upload Upload state (updated in place).
+     * @return true|WP_Error
+     */
+    abstract public function complete_upload( &$upload );
+
+    /**
+     * Abandon an upload and remove any partial data.
+     *
+     * @param array $upload Upload state.
+     * @return void
+     */
+    abstract public function abort_upload( $upload );
+
+    /**
+     * Read part of a remote file.
+     *
+     * May return fewer bytes than requested; callers advance by the
+     * length actually returned.
+     *
+     * @param string $remote_path Path relative to the target root.
+     * @param int    $offset      Byte offset.
+     * @param int    $length      Maximum bytes to read.
+     * @return string|WP_Error
+     */
+    abstract public function download_chunk( $remote_path, $offset, $length );
+
+    /**
+     * Write a small file in one request.
+     *
+     * @param string $remote_path Path relative to the target root.
+     * @param string $contents    File contents.
+     * @return true|WP_Error
+     */
+    abstract public function put_contents( $remote_path, $contents );
+
+    /**
+     * Read a small file in one request.
+     *
+     * @param string $remote_path Path relative to the target root.
+     * @return string|WP_Error
+     */
+    abstract public function get_contents( $remote_path );
+
+    /**
+     * List the direct child directories of a remote directory.
+     *
+     * @param string $remote_dir Directory relative to the target root.
+     * @return string[]|WP_Error Directory names.
+     */
+    abstract public function list_directories( $remote_dir );
+
+    /**
+     * Get a config value.
+     *
+     * @param string $key     Config key.
+     * @param mixed  $default Default value.
+     * @return mixed
+     */
+    protected function get( $key, $default = '' ) {
+        return isset( $this->config[ $key ] ) && $this->config[ $key ] !== '' ? $this->config[ $key ] : $default;
+    }
+
+    /**
+     * Join the configured root path with a relative path.
+     *
+     * @param string $root        Root path or URL.
+     * @param string $remote_path Relative path.
+     * @return string
+     */
+    protected function join_path( $root, $remote_path ) {
+        return rtrim( $root, '/' ) . '/' . ltrim( $remote_path, '/' );
+    }
+
+    /**
+     * Send an HTTP request, turning transport errors and 4xx/5xx responses
+     * into WP_Error.
+     *
+     * @param string $method HTTP method.
+     * @param string $url    URL.
+     * @param array  $args   Extra wp_remote_request() arguments.
+     * @return array|WP_Error Response array.
+     */
+    protected function http( $method, $url, $args = array() ) {
+        $args = array_merge( array(
+            'method'  => $method,
+            'timeout' => 60,
+        ), $args );
+
+        $response = wp_remote_request( $url, $args );
+        if ( is_wp_error( $response ) ) {
+            return $response;
+        }
+
+        $code = wp_remote_retrieve_response_code( $response );
+        if ( $code >= 400 ) {
+            $body = wp_remote_retrieve_body( $response );
+
+            return new WP_Error(
+                'http_' . $code,
+                sprintf( '%s %s failed with HTTP %d: %s', $method, $url, $code, substr( wp_strip_all_tags( $body ), 0, 200 ) ),
+                array( 'status' => $code )
+            );
+        }
+
+        return $response;
+    }
+}
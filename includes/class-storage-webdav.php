@@ -0,0 +1,299 @@
+<?php
+/**
+ * WP Care WebDAV Storage Target
+ *
+ * Generic WebDAV (Nextcloud, ownCloud, Apache mod_dav, nginx dav, NAS
+ * boxes). Plain WebDAV has no portable way to append to a file, so each
+ * chunk is stored as a numbered part inside "<name>.parts/" together with
+ * an index.json, and downloads read the parts back in order.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class WP_Care_Storage_WebDAV extends WP_Care_Storage_Target {
+
+    /**
+     * Part indexes already fetched, keyed by remote path.
+     *
+     * @var array
+     */
+    private $indexes = array();
+
+    /**
+     * Configuration fields.
+     *
+     * @return array
+     */
+    public static function get_fields() {
+        return array(
+            'url'      => array(
+                'label'       => __( 'Folder URL', 'wp-care-connector' ),
+                'type'        => 'url',
+                'placeholder' => 'https://cloud.example.com/remote.php/dav/files/user/backups',
+                'required'    => true,
+            ),
+            'username' => array(
+                'label' => __( 'Username', 'wp-care-connector' ),
+            ),
+            'password' => array(
+                'label'  => __( 'Password', 'wp-care-connector' ),
+                'type'   => 'password',
+                'secret' => true,
+            ),
+        );
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function test_connection() {
+        $result = $this->put_contents( '.wp-care-test', 'ok' );
+        if ( is_wp_error( $result ) ) {
+            return $result;
+        }
+
+        $this->request( 'DELETE', '.wp-care-test' );
+
+        return true;
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_location( $remote_path ) {
+        return $this->join_path( $this->get( 'url' ), $remote_path );
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function begin_upload( $remote_path, $size, $chunk_size ) {
+        $parts_dir = $remote_path . '.parts';
+
+        // Drop parts left over from an earlier attempt
+        $this->request( 'DELETE', $parts_dir . '/' );
+
+        $result = $this->ensure_dir( $parts_dir );
+        if ( is_wp_error( $result ) ) {
+            return $result;
+        }
+
+        return array(
+            'path'      => $remote_path,
+            'size'      => $size,
+            'part_size' => $chunk_size,
+            'parts'     => 0,
+        );
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function upload_chunk( &$upload, $data, $offset ) {
+        if ( $offset !== $upload['parts'] * $upload['part_size'] ) {
+            return new WP_Error( 'offset_mismatch', 'Chunk does not line up with the stored parts.' );
+        }
+
+        $response = $this->request( 'PUT', $this->part_path( $upload['path'], $upload['parts'] ), $data );
+        if ( is_wp_error( $response ) ) {
+            return $response;
+        }
+
+        $upload['parts']++;
+
+        return true;
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function complete_upload( &$upload ) {
+        return $this->put_contents( $upload['path'] . '.parts/index.json', wp_json_encode( array(
+            'size'      => $upload['size'],
+            'part_size' => $upload['part_size'],
+            'parts'     => $upload['parts'],
+        ) ) );
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function abort_upload( $upload ) {
+        if ( ! empty( $upload['path'] ) ) {
+            $this->request( 'DELETE', $upload['path'] . '.parts/' );
+        }
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function download_chunk( $remote_path, $offset, $length ) {
+        $index = $this->get_index( $remote_path );
+        if ( is_wp_error( $index ) ) {
+            return $index;
+        }
+
+        $part        = (int) floor( $offset / $index['part_size'] );
+        $part_offset = $offset - $part * $index['part_size'];
+        $length      = min( $length, $index['part_size'] - $part_offset );
+
+        $response = $this->request( 'GET', $this->part_path( $remote_path, $part ), '', array(
+            'Range' => 'bytes=' . $part_offset . '-' . ( $part_offset + $length - 1 ),
+        ) );
+
+        if ( is_wp_error( $response ) ) {
+            return $response;
+        }
+
+        $body = wp_remote_retrieve_body( $response );
+
+        // Servers that ignore Range send the whole part
+        if ( wp_remote_retrieve_response_code( $response ) === 200 ) {
+            $body = substr( $body, $part_offset, $length );
+        }
+
+        return $body;
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function put_contents( $remote_path, $contents ) {
+        $result = $this->ensure_dir( dirname( $remote_path ) );
+        if ( is_wp_error( $result ) ) {
+            return $result;
+        }
+
+        $response = $this->request( 'PUT', $remote_path, $contents );
+
+        return is_wp_error( $response ) ? $response : true;
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_contents( $remote_path ) {
+        $response = $this->request( 'GET', $remote_path );
+
+        return is_wp_error( $response ) ? $response : wp_remote_retrieve_body( $response );
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function list_directories( $remote_dir ) {
+        $remote_dir = trim( $remote_dir, '/' ) . '/';
+        $response   = $this->request( 'PROPFIND', $remote_dir, '<?xml version="1.0"?><d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/></d:prop></d:propfind>', array(
+            'Depth'        => '1',
+            'Content-Type' => 'application/xml',
+        ) );
+
+        if ( is_wp_error( $response ) ) {
+            $data = $response->get_error_data();
+            return ( isset( $data['status'] ) && $data['status'] === 404 ) ? array() : $response;
+        }
+
+        $dirs = array();
+        $self = untrailingslashit( wp_parse_url( $this->get_location( $remote_dir ), PHP_URL_PATH ) );
+
+        preg_match_all( '#<(?:\w+:)?response\b.*?</(?:\w+:)?response>#is', wp_remote_retrieve_body( $response ), $responses );
+        foreach ( $responses[0] as $entry ) {
+            if ( ! preg_match( '#<(?:\w+:)?href>([^<]+)</(?:\w+:)?href>#i', $entry, $href ) || ! preg_match( '#<(?:\w+:)?collection\s*/>#i', $entry ) ) {
+                continue;
+            }
+
+            $path = untrailingslashit( rawurldecode( wp_parse_url( html_entity_decode( $href[1] ), PHP_URL_PATH ) ) );
+            if ( $path !== rawurldecode( $self ) ) {
+                $dirs[] = basename( $path );
+            }
+        }
+
+        return $dirs;
+    }
+
+    /**
+     * Read and cache the part index of an uploaded file.
+     *
+     * @param string $remote_path File path relative to the target root.
+     * @return array|WP_Error
+     */
+    private function get_index( $remote_path ) {
+        if ( ! isset( $this->indexes[ $remote_path ] ) ) {
+            $contents = $this->get_contents( $remote_path . '.parts/index.json' );
+            if ( is_wp_error( $contents ) ) {
+                return $contents;
+            }
+
+            $index = json_decode( $contents, true );
+            if ( empty( $index['part_size'] ) ) {
+                return new WP_Error( 'webdav_bad_index', 'The remote part index is missing or damaged.' );
+            }
+
+            $this->indexes[ $remote_path ] = $index;
+        }
+
+        return $this->indexes[ $remote_path ];
+    }
+
+    /**
+     * Path of a numbered part.
+     *
+     * @param string $remote_path File path.
+     * @param int    $number      Zero-based part number.
+     * @return string
+     */
+    private function part_path( $remote_path, $number ) {
+        return $remote_path . '.parts/' . sprintf( '%05d', $number + 1 ) . '.bin';
+    }
+
+    /**
+     * Create a collection and its parents. MKCOL on an existing collection
+     * answers 405, which is fine.
+     *
+     * @param string $remote_dir Directory relative to the target root.
+     * @return true|WP_Error
+     */
+    private function ensure_dir( $remote_dir ) {
+        $path = '';
+        foreach ( array_filter( explode( '/', trim( $remote_dir, '/.' ) ) ) as $segment ) {
+            $path .= $segment . '/';
+
+            $response = $this->request( 'MKCOL', $path );
+            if ( is_wp_error( $response ) ) {
+                $data = $response->get_error_data();
+                if ( ! isset( $data['status'] ) || $data['status'] !== 405 ) {
+                    return $response;
+                }
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Send an authenticated request relative to the folder URL.
+     *
+     * @param string $method      HTTP method.
+     * @param string $remote_path Path relative to the folder URL.
+     * @param string $body        Request body.
+     * @param array  $headers     Extra headers.
+     * @return array|WP_Error
+     */
+    private function request( $method, $remote_path, $body = '', $headers = array() ) {
+        if ( $this->get( 'username' ) !== '' ) {
+            $headers['Authorization'] = 'Basic ' . base64_encode( $this->get( 'username' ) . ':' . $this->get( 'password' ) );
+        }
+
+        $url = $this->join_path( $this->get( 'url' ), implode( '/', array_map( 'rawurlencode', explode( '/', $remote_path ) ) ) );
+
+        return $this->http( $method, $url, array(
+            'headers' => $headers,
+            'body'    => $body,
+        ) );
+    }
+}
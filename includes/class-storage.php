@@ -0,0 +1,798 @@
+<?php
+/**
+ * WP Care Off-site Storage
+ *
+ * Keeps copies of migration archives on remote targets (S3-compatible,
+ * SFTP, WebDAV). Finished exports are queued for every enabled target and
+ * pushed in the background by WP-Cron, chunk by chunk with retries. The
+ * sync state of each copy lives in the migration's migration.json under
+ * 'remote', keyed by target ID.
+ *
+ * Remote layout: <prefix>/<migration_id>/migration.zip and migration.json,
+ * which is what list_remote() reads to offer archives for pulling back.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class WP_Care_Storage {
+
+    /**
+     * Option key for configured targets.
+     *
+     * @var string
+     */
+    const OPTION_KEY = 'wp_care_storage_targets';
+
+    /**
+     * Single cron hook that pushes one migration to its targets.
+     *
+     * @var string
+     */
+    const SYNC_HOOK = 'wp_care_storage_sync';
+
+    /**
+     * Bytes per upload/download chunk. S3 needs at least 5 MB per part.
+     *
+     * @var int
+     */
+    const CHUNK_SIZE = 8388608;
+
+    /**
+     * Attempts per chunk within one request before backing off.
+     *
+     * @var int
+     */
+    const CHUNK_RETRIES = 3;
+
+    /**
+     * Background attempts before a copy is marked failed.
+     *
+     * @var int
+     */
+    const MAX_ATTEMPTS = 5;
+
+    /**
+     * Seconds of transfer per cron request.
+     *
+     * @var int
+     */
+    const TIME_BUDGET = 50;
+
+    /**
+     * Seconds of transfer per AJAX pull request.
+     *
+     * @var int
+     */
+    const PULL_TIMEOUT = 10;
+
+    /**
+     * Supported target types.
+     *
+     * @return array Type => {class, label}.
+     */
+    public static function get_types() {
+        return array(
+            's3'     => array(
+                'class' => 'WP_Care_Storage_S3',
+                'label' => __( 'S3-compatible', 'wp-care-connector' ),
+            ),
+            'sftp'   => array(
+                'class' => 'WP_Care_Storage_SFTP',
+                'label' => __( 'SFTP', 'wp-care-connector' ),
+            ),
+            'webdav' => array(
+                'class' => 'WP_Care_Storage_WebDAV',
+                'label' => __( 'WebDAV', 'wp-care-connector' ),
+            ),
+        );
+    }
+
+    // =========================================================================
+    // Targets
+    // =========================================================================
+
+    /**
+     * Get configured targets without secrets.
+     *
+     * @return array Target ID => {id, type, label, enabled, prefix, config}.
+     */
+    public static function get_targets() {
+        $targets = get_option( self::OPTION_KEY, array() );
+
+        foreach ( $targets as $id => $target ) {
+            unset( $targets[ $id ]['secrets'] );
+        }
+
+        return $targets;
+    }
+
+    /**
+     * Get enabled targets without secrets.
+     *
+     * @return array
+     */
+    public static function get_enabled_targets() {
+        return array_filter( self::get_targets(), function( $target ) {
+            return ! empty( $target['enabled'] );
+        } );
+    }
+
+    /**
+     * Add a target from form input.
+     *
+     * @param array $input Raw input: type, label, prefix and the type's fields.
+     * @return string|WP_Error New target ID.
+     */
+    public static function add_target( $input ) {
+        $types = self::get_types();
+        $type  = isset( $input['type'] ) ? sanitize_key( $input['type'] ) : '';
+
+        if ( ! isset( $types[ $type ] ) ) {
+            return new WP_Error( 'invalid_type', __( 'Unknown storage type.', 'wp-care-connector' ) );
+        }
+
+        $class   = $types[ $type ]['class'];
+        $config  = array();
+        $secrets = array();
+
+        foreach ( call_user_func( array( $class, 'get_fields' ) ) as $key => $field ) {
+            $field_type = isset( $field['type'] ) ? $field['type'] : 'text';
+            $value      = isset( $input[ $key ] ) ? trim( (string) $input[ $key ] ) : '';
+
+            if ( $field_type === 'checkbox' ) {
+                $value = $value !== '' ? '1' : '';
+            } elseif ( $field_type === 'url' ) {
+                $value = esc_url_raw( $value );
+            } elseif ( empty( $field['secret'] ) ) {
+                $value = sanitize_text_field( $value );
+            }
+
+            if ( ! empty( $field['required'] ) && $value === '' ) {
+                /* translators: %s: field label */
+                return new WP_Error( 'missing_field', sprintf( __( '%s is required.', 'wp-care-connector' ), $field['label'] ) );
+            }
+
+            if ( ! empty( $field['secret'] ) ) {
+                $secrets[ $key ] = $value;
+            } else {
+                $config[ $key ] = $value;
+            }
+        }
+
+        $id    = 'target_' . strtolower( wp_generate_password( 8, false, false ) );
+        $label = isset( $input['label'] ) ? sanitize_text_field( $input['label'] ) : '';
+
+        $prefix = isset( $input['prefix'] ) ? trim( sanitize_text_field( $input['prefix'] ), '/' ) : '';
+        if ( $prefix === '' ) {
+            $prefix = 'wp-care/' . sanitize_file_name( wp_parse_url( home_url(), PHP_URL_HOST ) );
+        }
+
+        $targets        = get_option( self::OPTION_KEY, array() );
+        $targets[ $id ] = array(
+            'id'      => $id,
+            'type'    => $type,
+            'label'   => $label !== '' ? $label : $types[ $type ]['label'],
+            'enabled' => true,
+            'prefix'  => $prefix,
+            'config'  => $config,
+            'secrets' => WP_Care_Security::encrypt( wp_json_encode( $secrets ) ),
+        );
+
+        update_option( self::OPTION_KEY, $targets, false );
+
+        return $id;
+    }
+
+    /**
+     * Remove a target. Copies already pushed to it are left in place.
+     *
+     * @param string $target_id Target ID.
+     * @return bool
+     */
+    public static function delete_target( $target_id ) {
+        $targets = get_option( self::OPTION_KEY, array() );
+        if ( ! isset( $targets[ $target_id ] ) ) {
+            return false;
+        }
+
+        unset( $targets[ $target_id ] );
+        update_option( self::OPTION_KEY, $targets, false );
+
+        return true;
+    }
+
+    /**
+     * Build a target instance with decrypted secrets.
+     *
+     * @param string $target_id Target ID.
+     * @return WP_Care_Storage_Target|WP_Error
+     */
+    public static function get_target( $target_id ) {
+        $targets = get_option( self::OPTION_KEY, array() );
+        $types   = self::get_types();
+
+        if ( ! isset( $targets[ $target_id ] ) || ! isset( $types[ $targets[ $target_id ]['type'] ] ) ) {
+            return new WP_Error( 'target_not_found', __( 'Storage target not found.', 'wp-care-connector' ) );
+        }
+
+        $target  = $targets[ $target_id ];
+        $secrets = json_decode( (string) WP_Care_Security::decrypt( $target['secrets'] ), true );
+        $class   = $types[ $target['type'] ]['class'];
+
+        return new $class( array_merge( $target['config'], is_array( $secrets ) ? $secrets : array() ) );
+    }
+
+    /**
+     * Test a target's connection.
+     *
+     * @param string $target_id Target ID.
+     * @return true|WP_Error
+     */
+    public static function test_target( $target_id ) {
+        $target = self::get_target( $target_id );
+
+        return is_wp_error( $target ) ? $target : $target->test_connection();
+    }
+
+    /**
+     * Remote path of a migration file on a target.
+     *
+     * @param array  $target       Target settings.
+     * @param string $migration_id Migration ID.
+     * @param string $file         File name.
+     * @return string
+     */
+    private static function remote_path( $target, $migration_id, $file ) {
+        return $target['prefix'] . '/' . $migration_id . '/' . $file;
+    }
+
+    // =========================================================================
+    // Push
+    // =========================================================================
+
+    /**
+     * Queue a migration for every enabled target and start the background push.
+     *
+     * Copies that are already synced are left alone, pending ones carry on
+     * where they stopped and failed ones are retried from scratch.
+     *
+     * @param string $migration_id Migration ID.
+     * @return bool True if anything was queued.
+     */
+    public static function queue_migration( $migration_id ) {
+        $targets = self::get_enabled_targets();
+        if ( empty( $targets ) ) {
+            return false;
+        }
+
+        $migration = new WP_Care_Migration();
+        $info      = $migration->get_migration_info( $migration_id );
+        if ( ! $info || ! $migration->get_download_path( $migration_id ) ) {
+            return false;
+        }
+
+        $remote = isset( $info['remote'] ) ? $info['remote'] : array();
+        $queued = false;
+
+        foreach ( $targets as $id => $target ) {
+            if ( isset( $remote[ $id ] ) && $remote[ $id ]['status'] === 'synced' ) {
+                continue;
+            }
+
+            // Copies already in flight keep their progress; they only need the event
+            if ( isset( $remote[ $id ] ) && $remote[ $id ]['status'] !== 'failed' ) {
+                $queued = true;
+                continue;
+            }
+
+            $remote[ $id ] = array(
+                'label'        => $target['label'],
+                'type'         => $target['type'],
+                'location'     => '',
+                'status'       => 'pending',
+                'offset'       => 0,
+                'size'         => (int) $info['archive_size'],
+                'attempts'     => 0,
+                'next_attempt' => 0,
+                'error'        => null,
+                'upload'       => null,
+                'synced_at'    => null,
+            );
+            $queued = true;
+        }
+
+        if ( $queued ) {
+            $migration->update_migration_info( $migration_id, array( 'remote' => $remote ) );
+            self::schedule_sync( $migration_id, time() );
+        }
+
+        return $queued;
+    }
+
+    /**
+     * Schedule the sync event for a migration unless one is already queued.
+     *
+     * @param string $migration_id Migration ID.
+     * @param int    $timestamp    When to run.
+     * @return void
+     */
+    private static function schedule_sync( $migration_id, $timestamp ) {
+        $next = wp_next_scheduled( self::SYNC_HOOK, array( $migration_id ) );
+
+        if ( $next && $next <= $timestamp ) {
+            return;
+        }
+
+        if ( $next ) {
+            wp_unschedule_event( $next, self::SYNC_HOOK, array( $migration_id ) );
+        }
+
+        wp_schedule_single_event( $timestamp, self::SYNC_HOOK, array( $migration_id ) );
+    }
+
+    /**
+     * Push a migration's pending copies. Hooked to the sync cron event.
+     *
+     * @param string $migration_id Migration ID.
+     * @return void
+     */
+    public static function process_sync( $migration_id ) {
+        $migration_id = sanitize_file_name( $migration_id );
+        $lock_key     = 'wp_care_storage_sync_' . md5( $migration_id );
+
+        if ( get_transient( $lock_key ) ) {
+            self::schedule_sync( $migration_id, time() + MINUTE_IN_SECONDS );
+            return;
+        }
+        set_transient( $lock_key, 1, self::TIME_BUDGET + 2 * MINUTE_IN_SECONDS );
+
+        if ( function_exists( 'set_time_limit' ) ) {
+            @set_time_limit( self::TIME_BUDGET + 60 );
+        }
+
+        $migration = new WP_Care_Migration();
+        $info      = $migration->get_migration_info( $migration_id );
+        $zip_path  = $migration->get_download_path( $migration_id );
+        $targets   = get_option( self::OPTION_KEY, array() );
+        $started   = time();
+        $next_run  = 0;
+
+        if ( ! $info || empty( $info['remote'] ) ) {
+            delete_transient( $lock_key );
+            return;
+        }
+
+        foreach ( $info['remote'] as $target_id => $copy ) {
+            if ( ! in_array( $copy['status'], array( 'pending', 'uploading' ), true ) ) {
+                continue;
+            }
+
+            if ( ! isset( $targets[ $target_id ] ) ) {
+                $copy['status'] = 'failed';
+                $copy['error']  = __( 'The storage target was removed.', 'wp-care-connector' );
+            } elseif ( ! $zip_path ) {
+                $copy['status'] = 'failed';
+                $copy['error']  = __( 'The local archive no longer exists.', 'wp-care-connector' );
+            } elseif ( $copy['next_attempt'] > time() ) {
+                $next_run = $next_run ? min( $next_run, $copy['next_attempt'] ) : $copy['next_attempt'];
+                continue;
+            } elseif ( time() - $started < self::TIME_BUDGET ) {
+                $copy = self::sync_copy( $migration, $migration_id, $info, $zip_path, $targets[ $target_id ], $copy, $started );
+            }
+
+            if ( in_array( $copy['status'], array( 'pending', 'uploading' ), true ) ) {
+                $when     = max( time(), $copy['next_attempt'] );
+                $next_run = $next_run ? min( $next_run, $when ) : $when;
+            }
+
+            // Re-read so progress on other copies saved meanwhile is kept
+            $current = $migration->get_migration_info( $migration_id );
+            if ( ! $current ) {
+                break;
+            }
+            $current['remote'][ $target_id ] = $copy;
+            $migration->update_migration_info( $migration_id, array( 'remote' => $current['remote'] ) );
+        }
+
+        delete_transient( $lock_key );
+
+        if ( $next_run ) {
+            self::schedule_sync( $migration_id, $next_run );
+        }
+    }
+
+    /**
+     * Push as much of one copy as the time budget allows.
+     *
+     * @param WP_Care_Migration $migration    Migration instance.
+     * @param string            $migration_id Migration ID.
+     * @param array             $info         Migration metadata.
+     * @param string            $zip_path     Local archive path.
+     * @param array             $target       Target settings.
+     * @param array             $copy         Copy sync record.
+     * @param int               $started      Request start time.
+     * @return array Updated copy record.
+     */
+    private static function sync_copy( $migration, $migration_id, $info, $zip_path, $target, $copy, $started ) {
+        $storage = self::get_target( $target['id'] );
+        if ( is_wp_error( $storage ) ) {
+            return self::copy_failed( $copy, $storage, $migration_id, $target );
+        }
+
+        $archive_path     = self::remote_path( $target, $migration_id, 'migration.zip' );
+        $copy['location'] = $storage->get_location( $archive_path );
+
+        clearstatcache( true, $zip_path );
+        $size = filesize( $zip_path );
+
+        if ( empty( $copy['upload'] ) || $copy['size'] !== $size ) {
+            $upload = $storage->begin_upload( $archive_path, $size, self::CHUNK_SIZE );
+            if ( is_wp_error( $upload ) ) {
+                return self::copy_failed( $copy, $upload, $migration_id, $target );
+            }
+
+            $copy['upload'] = $upload;
+            $copy['offset'] = 0;
+            $copy['size']   = $size;
+            $copy['status'] = 'uploading';
+        }
+
+        $handle = fopen( $zip_path, 'rb' );
+        if ( ! $handle ) {
+            return self::copy_failed( $copy, new WP_Error( 'read_failed', 'Could not read the local archive.' ), $migration_id, $target );
+        }
+
+        while ( $copy['offset'] < $size && time() - $started < self::TIME_BUDGET ) {
+            fseek( $handle, $copy['offset'] );
+            $data   = fread( $handle, self::CHUNK_SIZE );
+            $result = self::with_retries( function() use ( $storage, &$copy, $data ) {
+                return $storage->upload_chunk( $copy['upload'], $data, $copy['offset'] );
+            } );
+
+            if ( is_wp_error( $result ) && $result->get_error_code() === 'offset_mismatch' ) {
+                // The remote side lost track; restart this copy on the next pass
+                $storage->abort_upload( $copy['upload'] );
+                $copy['upload'] = null;
+                $copy['offset'] = 0;
+                fclose( $handle );
+                return $copy;
+            }
+
+            if ( is_wp_error( $result ) ) {
+                fclose( $handle );
+                return self::copy_failed( $copy, $result, $migration_id, $target );
+            }
+
+            $copy['offset'] += strlen( $data );
+        }
+
+        fclose( $handle );
+
+        if ( $copy['offset'] < $size ) {
+            return $copy;
+        }
+
+        $result = self::with_retries( function() use ( $storage, &$copy ) {
+            return $storage->complete_upload( $copy['upload'] );
+        } );
+
+        if ( ! is_wp_error( $result ) ) {
+            // Metadata next to the archive lets another install list and pull it
+            $metadata = $info;
+            unset( $metadata['remote'], $metadata['verification'] );
+            $result = $storage->put_contents( self::remote_path( $target, $migration_id, 'migration.json' ), wp_json_encode( $metadata, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES ) );
+        }
+
+        if ( is_wp_error( $result ) ) {
+            return self::copy_failed( $copy, $result, $migration_id, $target );
+        }
+
+        $copy['status']    = 'synced';
+        $copy['upload']    = null;
+        $copy['error']     = null;
+        $copy['synced_at'] = gmdate( 'c' );
+
+        WP_Care_Activity_Log::log( 'migration_synced', array(
+            'migration_id' => $migration_id,
+            'target'       => $target['label'],
+        ) );
+
+        return $copy;
+    }
+
+    /**
+     * Record a failed attempt, backing off before the next one.
+     *
+     * @param array    $copy         Copy sync record.
+     * @param WP_Error $error        The failure.
+     * @param string   $migration_id Migration ID.
+     * @param array    $target       Target settings.
+     * @return array Updated copy record.
+     */
+    private static function copy_failed( $copy, $error, $migration_id, $target ) {
+        $copy['attempts']++;
+        $copy['error'] = $error->get_error_message();
+
+        if ( $copy['attempts'] >= self::MAX_ATTEMPTS ) {
+            $copy['status'] = 'failed';
+
+            WP_Care_Activity_Log::log( 'migration_sync_failed', array(
+                'migration_id' => $migration_id,
+                'target'       => $target['label'],
+                'error'        => $copy['error'],
+            ) );
+        } else {
+            $copy['next_attempt'] = time() + $copy['attempts'] * 5 * MINUTE_IN_SECONDS;
+        }
+
+        return $copy;
+    }
+
+    /**
+     * Run a transfer step, retrying transient failures with a short pause.
+     *
+     * @param callable $step Returns true/string on success or WP_Error.
+     * @return mixed|WP_Error
+     */
+    private static function with_retries( $step ) {
+        $result = null;
+
+        for ( $attempt = 1; $attempt <= self::CHUNK_RETRIES; $attempt++ ) {
+            $result = call_user_func( $step );
+
+            if ( ! is_wp_error( $result ) || $result->get_error_code() === 'offset_mismatch' ) {
+                return $result;
+            }
+
+            if ( $attempt < self::CHUNK_RETRIES ) {
+                sleep( $attempt );
+            }
+        }
+
+        return $result;
+    }
+
+    // =========================================================================
+    // Pull
+    // =========================================================================
+
+    /**
+     * List archives stored on a target.
+     *
+     * @param string $target_id Target ID.
+     * @return array|WP_Error Remote migration metadata, newest first, with
+     *                        'available_locally' set for archives already here.
+     */
+    public static function list_remote( $target_id ) {
+        $targets = get_option( self::OPTION_KEY, array() );
+        $storage = self::get_target( $target_id );
+        if ( is_wp_error( $storage ) ) {
+            return $storage;
+        }
+
+        $dirs = $storage->list_directories( $targets[ $target_id ]['prefix'] );
+        if ( is_wp_error( $dirs ) ) {
+            return $dirs;
+        }
+
+        $migration = new WP_Care_Migration();
+        $archives  = array();
+
+        foreach ( $dirs as $dir ) {
+            $contents = $storage->get_contents( self::remote_path( $targets[ $target_id ], sanitize_file_name( $dir ), 'migration.json' ) );
+            $metadata = is_wp_error( $contents ) ? null : json_decode( $contents, true );
+
+            // Directories without metadata are uploads that never completed
+            if ( empty( $metadata['id'] ) || $metadata['id'] !== $dir ) {
+                continue;
+            }
+
+            $metadata['available_locally'] = (bool) $migration->get_download_path( $dir );
+            $archives[]                    = $metadata;
+        }
+
+        usort( $archives, function( $a, $b ) {
+            return strcmp( $b['created_at'], $a['created_at'] );
+        } );
+
+        return $archives;
+    }
+
+    /**
+     * Start (or resume) pulling an archive from a target.
+     *
+     * The archive is downloaded to pull.part in the migration's directory,
+     * tracked by pull.json, and becomes a regular migration once complete.
+     *
+     * @param string $target_id    Target ID.
+     * @param string $migration_id Remote migration ID.
+     * @return array|WP_Error Pull state.
+     */
+    public static function init_pull( $target_id, $migration_id ) {
+        $migration_id = sanitize_file_name( $migration_id );
+        $migration    = new WP_Care_Migration();
+
+        if ( $migration->get_download_path( $migration_id ) ) {
+            return new WP_Error( 'already_local', __( 'This archive is already available on this site.', 'wp-care-connector' ) );
+        }
+
+        $state = self::load_pull_state( $migration_id, 'storage' );
+        if ( $state && isset( $state['target_id'] ) && $state['target_id'] === $target_id ) {
+            return $state;
+        }
+
+        $targets = get_option( self::OPTION_KEY, array() );
+        $storage = self::get_target( $target_id );
+        if ( is_wp_error( $storage ) ) {
+            return $storage;
+        }
+
+        $contents = $storage->get_contents( self::remote_path( $targets[ $target_id ], $migration_id, 'migration.json' ) );
+        if ( is_wp_error( $contents ) ) {
+            return $contents;
+        }
+
+        $metadata = json_decode( $contents, true );
+        if ( empty( $metadata['archive_size'] ) ) {
+            return new WP_Error( 'invalid_remote', __( 'The remote archive has no usable metadata.', 'wp-care-connector' ) );
+        }
+
+        if ( ! WP_Care_Migration::ensure_migration_dir() || ! wp_mkdir_p( self::pull_dir( $migration_id ) ) ) {
+            return new WP_Error( 'dir_failed', __( 'Migration directory is not writable.', 'wp-care-connector' ) );
+        }
+
+        $part = self::pull_dir( $migration_id ) . '/pull.part';
+        if ( file_exists( $part ) ) {
+            unlink( $part );
+        }
+
+        $state = array(
+            'type'         => 'storage',
+            'migration_id' => $migration_id,
+            'target_id'    => $target_id,
+            'size'         => (int) $metadata['archive_size'],
+            'received'     => 0,
+            'progress'     => 0,
+            'completed'    => false,
+            'error'        => null,
+            'metadata'     => $metadata,
+        );
+
+        self::save_pull_state( $migration_id, $state );
+
+        return $state;
+    }
+
+    /**
+     * Download the next chunks of a pull.
+     *
+     * @param string $migration_id Migration ID.
+     * @return array|WP_Error Updated pull state.
+     */
+    public static function process_pull_chunk( $migration_id ) {
+        $migration_id = sanitize_file_name( $migration_id );
+        $state        = self::load_pull_state( $migration_id, 'storage' );
+        if ( ! $state ) {
+            return new WP_Error( 'not_found', __( 'No pull in progress for this archive.', 'wp-care-connector' ) );
+        }
+
+        $targets = get_option( self::OPTION_KEY, array() );
+        $storage = self::get_target( $state['target_id'] );
+        if ( is_wp_error( $storage ) ) {
+            return $storage;
+        }
+
+        $part         = self::pull_dir( $migration_id ) . '/pull.part';
+        $archive_path = self::remote_path( $targets[ $state['target_id'] ], $migration_id, 'migration.zip' );
+        $started      = time();
+
+        clearstatcache( true, $part );
+        $state['received'] = file_exists( $part ) ? filesize( $part ) : 0;
+
+        while ( $state['received'] < $state['size'] && time() - $started < self::PULL_TIMEOUT ) {
+            $received = $state['received'];
+            $data     = self::with_retries( function() use ( $storage, $archive_path, $received, $state ) {
+                return $storage->download_chunk( $archive_path, $received, min( self::CHUNK_SIZE, $state['size'] - $received ) );
+            } );
+
+            if ( is_wp_error( $data ) ) {
+                return $data;
+            }
+
+            if ( $data === '' ) {
+                return new WP_Error( 'pull_empty', __( 'The remote archive is shorter than expected.', 'wp-care-connector' ) );
+            }
+
+            if ( file_put_contents( $part, $data, FILE_APPEND ) !== strlen( $data ) ) {
+                return new WP_Error( 'write_failed', __( 'Could not write the downloaded data.', 'wp-care-connector' ) );
+            }
+
+            $state['received'] += strlen( $data );
+        }
+
+        $state['progress'] = $state['size'] > 0 ? (int) floor( 100 * $state['received'] / $state['size'] ) : 100;
+
+        if ( $state['received'] < $state['size'] ) {
+            self::save_pull_state( $migration_id, $state );
+            return $state;
+        }
+
+        $target = $targets[ $state['target_id'] ];
+        $result = ( new WP_Care_Migration() )->register_pulled_archive( $migration_id, $part, $state['metadata'], array(
+            $state['target_id'] => array(
+                'label'        => $target['label'],
+                'type'         => $target['type'],
+                'location'     => $storage->get_location( $archive_path ),
+                'status'       => 'synced',
+                'offset'       => $state['size'],
+                'size'         => $state['size'],
+                'attempts'     => 0,
+                'next_attempt' => 0,
+                'error'        => null,
+                'upload'       => null,
+                'synced_at'    => isset( $state['metadata']['completed_at'] ) ? $state['metadata']['completed_at'] : null,
+            ),
+        ) );
+
+        if ( is_wp_error( $result ) ) {
+            return $result;
+        }
+
+        WP_Care_Activity_Log::log( 'migration_pulled', array(
+            'migration_id' => $migration_id,
+            'target'       => $target['label'],
+        ) );
+
+        $state['completed'] = true;
+        $state['progress']  = 100;
+
+        return $state;
+    }
+
+    /**
+     * Local directory a pull downloads into.
+     *
+     * Shared with site-to-site transfers (WP_Care_Transfer). Only one pull
+     * per migration runs at a time; the state records which kind it is.
+     *
+     * @param string $migration_id Migration ID.
+     * @return string
+     */
+    public static function pull_dir( $migration_id ) {
+        return WP_CONTENT_DIR . '/wp-care-migrations/' . $migration_id;
+    }
+
+    /**
+     * Save pull state to pull.json.
+     *
+     * @param string $migration_id Migration ID.
+     * @param array  $state        Pull state, with its 'type'.
+     * @return void
+     */
+    public static function save_pull_state( $migration_id, $state ) {
+        file_put_contents( self::pull_dir( $migration_id ) . '/pull.json', wp_json_encode( $state ) );
+    }
+
+    /**
+     * Load pull state from pull.json.
+     *
+     * @param string $migration_id Migration ID.
+     * @param string $type         'storage' or 'transfer'.
+     * @return array|false False when there is none, or it belongs to the
+     *                     other kind of pull.
+     */
+    public static function load_pull_state( $migration_id, $type ) {
+        $path = self::pull_dir( $migration_id ) . '/pull.json';
+        if ( ! file_exists( $path ) ) {
+            return false;
+        }
+
+        $state = json_decode( file_get_contents( $path ), true );
+        return ( is_array( $state ) && isset( $state['type'] ) && $state['type'] === $type ) ? $state : false;
+    }
+}
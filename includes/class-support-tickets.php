@@ -0,0 +1,203 @@
+<?php
+/**
+ * WP Care Support Tickets
+ *
+ * Sends support requests to the central API as tickets and reads them
+ * back with their replies, so the Get Help page can show the
+ * conversation and users can follow up without email.
+ *
+ * Requests are signed like the health submission: an HMAC of the
+ * timestamp and body with the site's API key, plus the site ID the API
+ * returned at registration. The API base comes from
+ * WP_Care_API_Endpoints::get_api_base(), so the WP_CARE_API_URL constant
+ * can point it at a local server while testing.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class WP_Care_Support_Tickets {
+
+    /**
+     * Request timeout in seconds.
+     *
+     * @var int
+     */
+    const TIMEOUT = 15;
+
+    /**
+     * Create a ticket from a support request.
+     *
+     * @param array $request Support request as stored by WP_Care_Admin.
+     * @return array|WP_Error The ticket.
+     */
+    public static function create( $request ) {
+        $data = self::request( 'POST', '/tickets', array(
+            'requestId'     => $request['id'],
+            'category'      => $request['category'],
+            'subject'       => $request['subject'],
+            'message'       => $request['message'],
+            'priority'      => $request['priority'],
+            'screenshotUrl' => $request['screenshot_url'],
+            'userEmail'     => $request['user_email'],
+            'userName'      => $request['user_name'],
+            'siteContext'   => $request['site_context'],
+            'diagnostics'   => isset( $request['diagnostics'] ) ? $request['diagnostics'] : null,
+            'submittedAt'   => $request['submitted_at'],
+        ) );
+
+        if ( is_wp_error( $data ) ) {
+            return $data;
+        }
+
+        return self::format_ticket( $data );
+    }
+
+    /**
+     * Get the site's tickets, most recently updated first.
+     *
+     * @return array|WP_Error
+     */
+    public static function get_tickets() {
+        $data = self::request( 'GET', '/tickets' );
+
+        if ( is_wp_error( $data ) ) {
+            return $data;
+        }
+
+        $tickets = array_map( array( __CLASS__, 'format_ticket' ), (array) $data );
+
+        usort( $tickets, function ( $a, $b ) {
+            return strcmp( $b['updated_at'], $a['updated_at'] );
+        } );
+
+        return $tickets;
+    }
+
+    /**
+     * Get a ticket with its replies, oldest first.
+     *
+     * @param string $ticket_id Ticket ID.
+     * @return array|WP_Error
+     */
+    public static function get_ticket( $ticket_id ) {
+        $data = self::request( 'GET', '/tickets/' . rawurlencode( $ticket_id ) );
+
+        if ( is_wp_error( $data ) ) {
+            return $data;
+        }
+
+        $ticket            = self::format_ticket( $data );
+        $ticket['replies'] = array();
+
+        foreach ( isset( $data['replies'] ) ? (array) $data['replies'] : array() as $reply ) {
+            $ticket['replies'][] = array(
+                'id'         => isset( $reply['id'] ) ? (string) $reply['id'] : '',
+                'author'     => isset( $reply['authorName'] ) ? (string) $reply['authorName'] : '',
+                'from_agent' => isset( $reply['authorType'] ) && $reply['authorType'] === 'agent',
+                'message'    => isset( $reply['message'] ) ? (string) $reply['message'] : '',
+                'created_at' => isset( $reply['createdAt'] ) ? (string) $reply['createdAt'] : '',
+            );
+        }
+
+        usort( $ticket['replies'], function ( $a, $b ) {
+            return strcmp( $a['created_at'], $b['created_at'] );
+        } );
+
+        return $ticket;
+    }
+
+    /**
+     * Add a reply to a ticket as the current user.
+     *
+     * @param string $ticket_id Ticket ID.
+     * @param string $message   Reply text.
+     * @return true|WP_Error
+     */
+    public static function reply( $ticket_id, $message ) {
+        $user = wp_get_current_user();
+        $data = self::request( 'POST', '/tickets/' . rawurlencode( $ticket_id ) . '/replies', array(
+            'message'   => $message,
+            'userEmail' => $user->user_email,
+            'userName'  => $user->display_name,
+        ) );
+
+        return is_wp_error( $data ) ? $data : true;
+    }
+
+    /**
+     * Send a signed request to the site's ticket endpoints.
+     *
+     * @param string     $method HTTP method.
+     * @param string     $path   Path below /sites/{id}.
+     * @param array|null $data   JSON body.
+     * @return array|WP_Error The response's 'data'.
+     */
+    private static function request( $method, $path, $data = null ) {
+        $site_id = WP_Care_API_Endpoints::get_site_id();
+        $api_key = WP_Care_Security::get_api_key();
+
+        if ( ! $site_id || ! $api_key ) {
+            return new WP_Error( 'not_registered', __( 'This site is not connected to WP Care.', 'wp-care-connector' ) );
+        }
+
+        $timestamp = (string) time();
+        $body      = $data === null ? '' : wp_json_encode( $data );
+
+        $response = wp_remote_request( WP_Care_API_Endpoints::get_api_base() . '/sites/' . rawurlencode( $site_id ) . $path, array(
+            'method'  => $method,
+            'headers' => array(
+                'Content-Type' => 'application/json',
+                'X-Timestamp'  => $timestamp,
+                'X-Signature'  => WP_Care_Security::sign( $timestamp, $body, $api_key ),
+                'X-Site-Id'    => $site_id,
+            ),
+            'body'    => $data === null ? null : $body,
+            'timeout' => self::TIMEOUT,
+        ) );
+
+        if ( is_wp_error( $response ) ) {
+            return $response;
+        }
+
+        $code   = (int) wp_remote_retrieve_response_code( $response );
+        $result = json_decode( wp_remote_retrieve_body( $response ), true );
+
+        if ( $code < 200 || $code >= 300 || empty( $result['success'] ) ) {
+            if ( isset( $result['error']['message'] ) ) {
+                return new WP_Error( 'ticket_request_failed', $result['error']['message'] );
+            }
+
+            /* translators: %d: HTTP status code */
+            return new WP_Error( 'ticket_request_failed', sprintf( __( 'WP Care answered with HTTP %d.', 'wp-care-connector' ), $code ) );
+        }
+
+        return isset( $result['data'] ) ? $result['data'] : array();
+    }
+
+    /**
+     * Map a ticket from the API to the fields the admin shows.
+     *
+     * @param array $ticket Ticket from the API.
+     * @return array
+     */
+    private static function format_ticket( $ticket ) {
+        $created = isset( $ticket['createdAt'] ) ? (string) $ticket['createdAt'] : '';
+
+        return array(
+            'id'          => isset( $ticket['id'] ) ? (string) $ticket['id'] : '',
+            'subject'     => isset( $ticket['subject'] ) ? (string) $ticket['subject'] : '',
+            'message'     => isset( $ticket['message'] ) ? (string) $ticket['message'] : '',
+            'category'    => isset( $ticket['category'] ) ? (string) $ticket['category'] : '',
+            'priority'    => isset( $ticket['priority'] ) ? (string) $ticket['priority'] : 'normal',
+            'status'      => isset( $ticket['status'] ) ? (string) $ticket['status'] : 'open',
+            'reply_count' => isset( $ticket['replyCount'] ) ? (int) $ticket['replyCount'] : 0,
+            'created_at'  => $created,
+            'updated_at'  => isset( $ticket['updatedAt'] ) ? (string) $ticket['updatedAt'] : $created,
+        );
+    }
+}
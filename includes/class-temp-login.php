@@ -1,9 +1,10 @@
 <?php
 /**
- * WP Care Temp Login - Temporary admin access system
+ * WP Care Temp Login - Temporary access system
  *
- * Provides time-limited administrator access with full audit logging.
- * Temp users automatically expire after 4 hours and are cleaned up.
+ * Provides time-limited access with full audit logging. Each login has its
+ * own role (or capability set), lifetime, number of uses and optional IP
+ * allow-list. Temp users are deleted when they expire.
  *
  * @package WP_Care_Connector
  * @since 1.0.0
@@ -16,7 +17,8 @@ if ( ! defined( 'ABSPATH' ) ) {
 /**
  * Class WP_Care_Temp_Login
  *
- * Creates temporary admin users with secure token-based login links.
+ * Creates temporary users with secure token-based login links, tracks
+ * their sessions and pages visited, and can end them at any time.
  * All events are logged for audit trail.
  */
 class WP_Care_Temp_Login {
@@ -29,12 +31,33 @@ class WP_Care_Temp_Login {
     private $log_option = 'wp_care_temp_login_log';
 
     /**
-     * Number of hours until temp login expires.
+     * Default number of hours until temp login expires.
      *
      * @var int
      */
     private $expiry_hours = 4;
 
+    /**
+     * Longest lifetime a temp login can be given, in hours.
+     *
+     * @var int
+     */
+    private $max_expiry_hours = 168;
+
+    /**
+     * Shortest lifetime a temp login can be given, in minutes.
+     *
+     * @var int
+     */
+    private $min_expiry_minutes = 5;
+
+    /**
+     * Number of recent page views kept per temp user.
+     *
+     * @var int
+     */
+    private $max_pages = 20;
+
     /**
      * Constructor.
      *
@@ -49,18 +72,134 @@ class WP_Care_Temp_Login {
 
         // Hook for expired user check on every page load (fallback for missed crons)
         add_action( 'init', array( $this, 'cleanup_expired_users' ), 5 );
+
+        // Enforce expiry and IP rules on temp users' own requests, and track them
+        add_action( 'init', array( $this, 'track_session' ), 20 );
     }
 
     /**
-     * Create a temporary admin login.
+     * Get the default options for a new temp login.
      *
-     * Generates a secure token and creates a temporary administrator user
-     * that expires after the configured number of hours.
+     * @return array
+     */
+    public function get_default_options() {
+        return array(
+            'role'         => 'administrator',
+            'capabilities' => array(),
+            'expiry_hours' => $this->expiry_hours,
+            'max_uses'     => 1,
+            'allowed_ips'  => array(),
+        );
+    }
+
+    /**
+     * Get the roles a temp login can be given.
+     *
+     * @return array Role slug => display name.
+     */
+    public function get_roles() {
+        $roles = array();
+
+        foreach ( wp_roles()->roles as $slug => $role ) {
+            $roles[ $slug ] = translate_user_role( $role['name'] );
+        }
+
+        return $roles;
+    }
+
+    /**
+     * Get every capability held by some role, for custom capability sets.
+     *
+     * @return string[]
+     */
+    public function get_capabilities() {
+        $caps = array();
+
+        foreach ( wp_roles()->roles as $role ) {
+            $caps = array_merge( $caps, array_keys( array_filter( $role['capabilities'] ) ) );
+        }
+
+        $caps = array_unique( $caps );
+        sort( $caps );
+
+        return $caps;
+    }
+
+    /**
+     * Validate and normalize temp login options.
+     *
+     * @param array $options Options (role, capabilities, expiry_hours, max_uses, allowed_ips).
+     *                       allowed_ips may be an array or a comma/newline separated string.
+     * @return array|WP_Error
+     */
+    public function sanitize_options( $options ) {
+        $options = wp_parse_args( (array) $options, $this->get_default_options() );
+
+        $role = sanitize_key( $options['role'] );
+        if ( $role === 'custom' ) {
+            $known = $this->get_capabilities();
+            $caps  = array_values( array_intersect( $known, array_map( 'sanitize_key', (array) $options['capabilities'] ) ) );
+
+            if ( empty( $caps ) ) {
+                return new WP_Error( 'missing_capabilities', __( 'Choose at least one capability for a custom capability set.', 'wp-care-connector' ) );
+            }
+
+            // Without read the user can't reach the dashboard at all
+            if ( ! in_array( 'read', $caps, true ) ) {
+                $caps[] = 'read';
+            }
+        } elseif ( ! isset( wp_roles()->roles[ $role ] ) ) {
+            return new WP_Error( 'invalid_role', sprintf( __( 'Unknown role: %s', 'wp-care-connector' ), $role ) );
+        } else {
+            $caps = array();
+        }
+
+        $expiry_hours = (float) $options['expiry_hours'];
+        if ( $expiry_hours < $this->min_expiry_minutes / 60 || $expiry_hours > $this->max_expiry_hours ) {
+            /* translators: 1: minimum lifetime in minutes, 2: maximum lifetime in hours */
+            return new WP_Error( 'invalid_expiry', sprintf( __( 'The lifetime must be between %1$d minutes and %2$d hours.', 'wp-care-connector' ), $this->min_expiry_minutes, $this->max_expiry_hours ) );
+        }
+
+        $ips = $options['allowed_ips'];
+        if ( is_string( $ips ) ) {
+            $ips = preg_split( '/[\s,]+/', $ips );
+        }
+        $ips = array_values( array_filter( array_map( 'trim', array_map( 'strval', (array) $ips ) ) ) );
+
+        foreach ( $ips as $rule ) {
+            if ( ! $this->is_valid_ip_rule( $rule ) ) {
+                /* translators: %s: the IP address or range as entered */
+                return new WP_Error( 'invalid_ip', sprintf( __( 'Not an IP address or CIDR range: %s', 'wp-care-connector' ), $rule ) );
+            }
+        }
+
+        return array(
+            'role'         => $role,
+            'capabilities' => $caps,
+            'expiry_hours' => $expiry_hours,
+            'max_uses'     => max( 0, (int) $options['max_uses'] ),
+            'allowed_ips'  => $ips,
+        );
+    }
+
+    /**
+     * Create a temporary login.
+     *
+     * Generates a secure token and creates a temporary user that expires
+     * after the configured number of hours. Without options this is a
+     * single-use administrator login for 4 hours.
      *
      * @param string $requester_id Identifier of who requested the login (e.g., support agent ID).
+     * @param array  $options      Optional role ('custom' for a capability set), capabilities,
+     *                             expiry_hours, max_uses (0 = until expiry) and allowed_ips.
      * @return string|WP_Error Login URL on success, WP_Error on failure.
      */
-    public function create_login( $requester_id = '' ) {
+    public function create_login( $requester_id = '', $options = array() ) {
+        $options = $this->sanitize_options( $options );
+        if ( is_wp_error( $options ) ) {
+            return $options;
+        }
+
         // Generate secure 64-character token
         $token = wp_generate_password( 64, false, false );
 
@@ -68,14 +207,14 @@ class WP_Care_Temp_Login {
         $username = 'wp_care_temp_' . wp_generate_password( 8, false, false );
 
         // Calculate expiry timestamp
-        $expiry = time() + ( $this->expiry_hours * HOUR_IN_SECONDS );
+        $expiry = time() + (int) round( $options['expiry_hours'] * HOUR_IN_SECONDS );
 
-        // Create the temporary user
+        // Create the temporary user (a custom capability set starts with no role)
         $user_data = array(
             'user_login'   => $username,
             'user_pass'    => wp_generate_password( 24, true, true ),
             'user_email'   => $username . '@temp.wp-care.local',
-            'role'         => 'administrator',
+            'role'         => $options['role'] === 'custom' ? '' : $options['role'],
             'display_name' => 'WP Care Support',
             'first_name'   => 'WP Care',
             'last_name'    => 'Support',
@@ -87,12 +226,23 @@ class WP_Care_Temp_Login {
             return $user_id;
         }
 
+        if ( $options['role'] === 'custom' ) {
+            $user = new WP_User( $user_id );
+            foreach ( $options['capabilities'] as $cap ) {
+                $user->add_cap( $cap );
+            }
+        }
+
         // Store metadata for token validation and cleanup
         update_user_meta( $user_id, '_wp_care_temp_user', true );
         update_user_meta( $user_id, '_wp_care_token_hash', wp_hash_password( $token ) );
         update_user_meta( $user_id, '_wp_care_expiry', $expiry );
         update_user_meta( $user_id, '_wp_care_requester', sanitize_text_field( $requester_id ) );
         update_user_meta( $user_id, '_wp_care_created', time() );
+        update_user_meta( $user_id, '_wp_care_role', $options['role'] );
+        update_user_meta( $user_id, '_wp_care_max_uses', $options['max_uses'] );
+        update_user_meta( $user_id, '_wp_care_uses', 0 );
+        update_user_meta( $user_id, '_wp_care_allowed_ips', $options['allowed_ips'] );
 
         // Schedule cleanup at expiry time
         wp_schedule_single_event( $expiry, 'wp_care_cleanup_temp_user', array( $user_id ) );
@@ -101,7 +251,7 @@ class WP_Care_Temp_Login {
         $this->log_event( 'created', $user_id, $requester_id );
 
         // Send email notification to site admin (SEC-05)
-        $this->notify_admin_temp_login_created( $username, $expiry, $requester_id );
+        $this->notify_admin_temp_login_created( $username, $expiry, $requester_id, $options );
 
         // Build and return the login URL
         $login_url = add_query_arg(
@@ -164,15 +314,33 @@ class WP_Care_Temp_Login {
             );
         }
 
+        // Check the IP allow-list
+        if ( ! $this->is_ip_allowed( $user_id ) ) {
+            $this->log_event( 'blocked', $user_id, '', $this->get_client_ip() );
+            wp_die(
+                esc_html__( 'This login link cannot be used from your network.', 'wp-care-connector' ),
+                esc_html__( 'Login Error', 'wp-care-connector' ),
+                array( 'response' => 403 )
+            );
+        }
+
         // Get IP and user agent for logging
         $ip_address = $this->get_client_ip();
         $user_agent = isset( $_SERVER['HTTP_USER_AGENT'] ) ? sanitize_text_field( wp_unslash( $_SERVER['HTTP_USER_AGENT'] ) ) : '';
 
         // Log the successful login
         $this->log_event( 'logged_in', $user_id, '', $ip_address, $user_agent );
+        WP_Care_Activity_Log::log( 'temp_login_used', array( 'user_id' => $user_id ) );
 
-        // Clear the token hash - one-time use only
-        delete_user_meta( $user_id, '_wp_care_token_hash' );
+        // Count the use, clearing the token hash once the uses run out (0 = until expiry)
+        $uses     = (int) get_user_meta( $user_id, '_wp_care_uses', true ) + 1;
+        $max_uses = get_user_meta( $user_id, '_wp_care_max_uses', true );
+        $max_uses = $max_uses === '' ? 1 : (int) $max_uses;
+
+        update_user_meta( $user_id, '_wp_care_uses', $uses );
+        if ( $max_uses > 0 && $uses >= $max_uses ) {
+            delete_user_meta( $user_id, '_wp_care_token_hash' );
+        }
 
         // Authenticate the user
         wp_set_current_user( $user_id );
@@ -291,9 +459,10 @@ class WP_Care_Temp_Login {
      * @param string $username     The temp user's username.
      * @param int    $expiry       Unix timestamp when login expires.
      * @param string $requester_id Who requested the login.
+     * @param array  $options      Sanitized login options.
      * @return bool Whether email was sent.
      */
-    private function notify_admin_temp_login_created( $username, $expiry, $requester_id = '' ) {
+    private function notify_admin_temp_login_created( $username, $expiry, $requester_id = '', $options = array() ) {
         $admin_email = get_option( 'admin_email' );
         if ( ! $admin_email ) {
             return false;
@@ -304,7 +473,7 @@ class WP_Care_Temp_Login {
 
         $subject = sprintf(
             /* translators: %s: site name */
-            __( '[%s] WP Care: Temporary admin login created', 'wp-care-connector' ),
+            __( '[%s] WP Care: Temporary login created', 'wp-care-connector' ),
             $site_name
         );
 
@@ -313,7 +482,7 @@ class WP_Care_Temp_Login {
 
         $message = sprintf(
             __(
-                "A temporary administrator login has been created for WP Care support access.\n\n" .
+                "A temporary login has been created for WP Care support access.\n\n" .
                 "Site: %s (%s)\n" .
                 "Username: %s\n" .
                 "Expires: %s (in %s hours)\n",
@@ -326,6 +495,22 @@ class WP_Care_Temp_Login {
             $expires_in_hours
         );
 
+        if ( ! empty( $options['role'] ) ) {
+            $message .= sprintf(
+                /* translators: %s: role name or list of capabilities */
+                __( "Access: %s\n", 'wp-care-connector' ),
+                $options['role'] === 'custom' ? implode( ', ', $options['capabilities'] ) : $options['role']
+            );
+        }
+
+        if ( ! empty( $options['allowed_ips'] ) ) {
+            $message .= sprintf(
+                /* translators: %s: list of IP addresses or ranges */
+                __( "Allowed IPs: %s\n", 'wp-care-connector' ),
+                implode( ', ', $options['allowed_ips'] )
+            );
+        }
+
         if ( ! empty( $requester_id ) ) {
             $message .= sprintf(
                 /* translators: %s: requester ID */
@@ -337,7 +522,7 @@ class WP_Care_Temp_Login {
         $message .= "\n" . __(
             "This temporary account will be automatically deleted when it expires.\n\n" .
             "If you did not request support access, please contact us immediately:\n" .
-            "- Revoke access from WP Admin > WP Care > Temp Logins\n" .
+            "- Revoke access from WP Admin > WP Care > Tools > Temporary Logins\n" .
             "- Or reply to this email\n\n" .
             "-- \n" .
             "WP Care Support System",
@@ -374,13 +559,26 @@ class WP_Care_Temp_Login {
         foreach ( $users as $user ) {
             $expiry = get_user_meta( $user->ID, '_wp_care_expiry', true );
             if ( $expiry && time() < intval( $expiry ) ) {
+                $role     = get_user_meta( $user->ID, '_wp_care_role', true );
+                $max_uses = get_user_meta( $user->ID, '_wp_care_max_uses', true );
+
                 $active[] = array(
-                    'user_id'    => $user->ID,
-                    'username'   => $user->user_login,
-                    'expiry'     => intval( $expiry ),
-                    'expires_in' => intval( $expiry ) - time(),
-                    'requester'  => get_user_meta( $user->ID, '_wp_care_requester', true ),
-                    'created'    => get_user_meta( $user->ID, '_wp_care_created', true ),
+                    'user_id'      => $user->ID,
+                    'username'     => $user->user_login,
+                    'expiry'       => intval( $expiry ),
+                    'expires_in'   => intval( $expiry ) - time(),
+                    'requester'    => get_user_meta( $user->ID, '_wp_care_requester', true ),
+                    'created'      => get_user_meta( $user->ID, '_wp_care_created', true ),
+                    // Logins made before roles were configurable were all administrators
+                    'role'         => $role ? $role : 'administrator',
+                    'capabilities' => $role === 'custom' ? array_keys( array_filter( $user->caps ) ) : array(),
+                    'max_uses'     => $max_uses === '' ? 1 : intval( $max_uses ),
+                    'uses'         => intval( get_user_meta( $user->ID, '_wp_care_uses', true ) ),
+                    'allowed_ips'  => (array) get_user_meta( $user->ID, '_wp_care_allowed_ips', true ),
+                    'sessions'     => count( WP_Session_Tokens::get_instance( $user->ID )->get_all() ),
+                    'last_seen'    => intval( get_user_meta( $user->ID, '_wp_care_last_seen', true ) ),
+                    'last_ip'      => get_user_meta( $user->ID, '_wp_care_last_ip', true ),
+                    'pages'        => (array) get_user_meta( $user->ID, '_wp_care_pages', true ),
                 );
             }
         }
@@ -391,7 +589,9 @@ class WP_Care_Temp_Login {
     /**
      * Revoke a temporary login.
      *
-     * Early deletion of a temp user before expiry.
+     * Early deletion of a temp user before expiry. Its sessions are ended
+     * first, so a browser that is logged in is signed out on its next
+     * request.
      *
      * @param int $user_id User ID to revoke.
      * @return bool True if revoked, false if not a temp user.
@@ -405,6 +605,10 @@ class WP_Care_Temp_Login {
 
         // Log as revoked (different from expired deletion)
         $this->log_event( 'revoked', $user_id );
+        WP_Care_Activity_Log::log( 'temp_login_revoked', array( 'user_id' => $user_id ) );
+
+        // End the user's sessions
+        WP_Session_Tokens::get_instance( $user_id )->destroy_all();
 
         // Cleanup the user
         require_once ABSPATH . 'wp-admin/includes/user.php';
@@ -414,6 +618,142 @@ class WP_Care_Temp_Login {
         return true;
     }
 
+    /**
+     * Enforce expiry and the IP allow-list on a temp user's own requests,
+     * and record when they were last seen and which pages they opened.
+     *
+     * @return void
+     */
+    public function track_session() {
+        $user_id = get_current_user_id();
+
+        if ( ! $user_id || ! get_user_meta( $user_id, '_wp_care_temp_user', true ) ) {
+            return;
+        }
+
+        $expiry = intval( get_user_meta( $user_id, '_wp_care_expiry', true ) );
+        if ( time() > $expiry ) {
+            $this->cleanup_user( $user_id );
+            wp_die(
+                esc_html__( 'This temporary login has expired.', 'wp-care-connector' ),
+                esc_html__( 'Login Expired', 'wp-care-connector' ),
+                array( 'response' => 403 )
+            );
+        }
+
+        if ( ! $this->is_ip_allowed( $user_id ) ) {
+            $this->log_event( 'blocked', $user_id, '', $this->get_client_ip() );
+            WP_Session_Tokens::get_instance( $user_id )->destroy_all();
+            wp_clear_auth_cookie();
+            wp_die(
+                esc_html__( 'This temporary login cannot be used from your network.', 'wp-care-connector' ),
+                esc_html__( 'Login Error', 'wp-care-connector' ),
+                array( 'response' => 403 )
+            );
+        }
+
+        // Last seen is kept to within 15 seconds to spare writes on busy screens
+        if ( intval( get_user_meta( $user_id, '_wp_care_last_seen', true ) ) < time() - 15 ) {
+            update_user_meta( $user_id, '_wp_care_last_seen', time() );
+            update_user_meta( $user_id, '_wp_care_last_ip', $this->get_client_ip() );
+        }
+
+        // Pages only: skip AJAX, REST and cron requests
+        if ( wp_doing_ajax() || ( function_exists( 'wp_doing_cron' ) && wp_doing_cron() ) || ( defined( 'REST_REQUEST' ) && REST_REQUEST ) || empty( $_SERVER['REQUEST_URI'] ) ) {
+            return;
+        }
+
+        $pages   = (array) get_user_meta( $user_id, '_wp_care_pages', true );
+        $pages[] = array(
+            'url'  => esc_url_raw( wp_unslash( $_SERVER['REQUEST_URI'] ) ),
+            'time' => time(),
+        );
+
+        update_user_meta( $user_id, '_wp_care_pages', array_slice( array_filter( $pages ), -$this->max_pages ) );
+    }
+
+    /**
+     * Check the current request's IP against a temp user's allow-list.
+     *
+     * Uses REMOTE_ADDR only: forwarded headers are set by the client and
+     * would let anyone claim an allowed address.
+     *
+     * @param int $user_id Temp user ID.
+     * @return bool True if allowed or the user has no allow-list.
+     */
+    private function is_ip_allowed( $user_id ) {
+        $rules = array_filter( (array) get_user_meta( $user_id, '_wp_care_allowed_ips', true ) );
+
+        if ( empty( $rules ) ) {
+            return true;
+        }
+
+        $ip = isset( $_SERVER['REMOTE_ADDR'] ) ? sanitize_text_field( wp_unslash( $_SERVER['REMOTE_ADDR'] ) ) : '';
+
+        foreach ( $rules as $rule ) {
+            if ( $this->ip_matches( $ip, $rule ) ) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Check whether an allow-list entry is an IP address or CIDR range.
+     *
+     * @param string $rule Entry such as 203.0.113.7, 203.0.113.0/24 or 2001:db8::/32.
+     * @return bool
+     */
+    private function is_valid_ip_rule( $rule ) {
+        $parts = explode( '/', $rule, 2 );
+        $bin   = @inet_pton( $parts[0] );
+
+        if ( $bin === false ) {
+            return false;
+        }
+
+        if ( ! isset( $parts[1] ) ) {
+            return true;
+        }
+
+        return ctype_digit( $parts[1] ) && (int) $parts[1] <= strlen( $bin ) * 8;
+    }
+
+    /**
+     * Check whether an IP address matches an address or CIDR range.
+     *
+     * @param string $ip   IP address.
+     * @param string $rule Address or CIDR range.
+     * @return bool
+     */
+    private function ip_matches( $ip, $rule ) {
+        $parts    = explode( '/', $rule, 2 );
+        $ip_bin   = @inet_pton( $ip );
+        $rule_bin = @inet_pton( $parts[0] );
+
+        // Invalid, or IPv4 against an IPv6 rule (and the other way round)
+        if ( $ip_bin === false || $rule_bin === false || strlen( $ip_bin ) !== strlen( $rule_bin ) ) {
+            return false;
+        }
+
+        $bits = isset( $parts[1] ) ? (int) $parts[1] : strlen( $ip_bin ) * 8;
+
+        $whole = (int) floor( $bits / 8 );
+        if ( substr( $ip_bin, 0, $whole ) !== substr( $rule_bin, 0, $whole ) ) {
+            return false;
+        }
+
+        $rest = $bits % 8;
+        if ( $rest === 0 ) {
+            return true;
+        }
+
+        $mask = chr( ( 0xff << ( 8 - $rest ) ) & 0xff );
+
+        return ( $ip_bin[ $whole ] & $mask ) === ( $rule_bin[ $whole ] & $mask );
+    }
+
     /**
      * Get the client IP address.
      *
@@ -0,0 +1,540 @@
+<?php
+/**
+ * WP Care Site-to-site Transfer
+ *
+ * Moves a migration archive straight from one site running this plugin to
+ * another, without downloading it to a computer first.
+ *
+ * The source site creates a one-time transfer token for one of its
+ * migrations ("<token_id>.<secret>"). The destination signs every request
+ * with the secret and a fresh nonce, the same way as remote commands are
+ * signed with the API key, and pulls the archive over the REST API in
+ * chunks. The first request binds the token to the site that made it, so
+ * nobody else can use it afterwards. The token stops working altogether
+ * once the transfer completes, is revoked, or expires.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class WP_Care_Transfer {
+
+    /**
+     * Option key for transfer tokens issued by this site.
+     *
+     * @var string
+     */
+    const OPTION_KEY = 'wp_care_transfer_tokens';
+
+    /**
+     * Seconds a transfer token stays valid (24 hours).
+     *
+     * @var int
+     */
+    const TOKEN_TTL = 86400;
+
+    /**
+     * Bytes per chunk. Chunks travel base64-encoded inside JSON.
+     *
+     * @var int
+     */
+    const CHUNK_SIZE = 4194304;
+
+    /**
+     * Seconds of transfer per AJAX pull request.
+     *
+     * @var int
+     */
+    const PULL_TIMEOUT = 10;
+
+    // =========================================================================
+    // Source: tokens and REST endpoints
+    // =========================================================================
+
+    /**
+     * Create a transfer token for a migration.
+     *
+     * @param string $migration_id Migration ID.
+     * @return string|WP_Error Token to give to the destination site. The
+     *                         secret part is only available now.
+     */
+    public static function create_token( $migration_id ) {
+        $migration_id = sanitize_file_name( $migration_id );
+        $migration    = new WP_Care_Migration();
+        $info         = $migration->get_migration_info( $migration_id );
+
+        if ( ! $info || ! $migration->get_download_path( $migration_id ) ) {
+            return new WP_Error( 'not_found', __( 'Migration backup not found.', 'wp-care-connector' ) );
+        }
+
+        if ( ! empty( $info['chain'] ) ) {
+            return new WP_Error( 'incremental', __( 'Incremental exports cannot be transferred on their own. Choose a full export.', 'wp-care-connector' ) );
+        }
+
+        $id     = 'tt_' . strtolower( wp_generate_password( 12, false, false ) );
+        $secret = wp_generate_password( 40, false, false );
+
+        $tokens        = self::get_tokens();
+        $tokens[ $id ] = array(
+            'id'           => $id,
+            'migration_id' => $migration_id,
+            'secret'       => WP_Care_Security::encrypt( $secret ),
+            'created_at'   => time(),
+            'expires_at'   => time() + self::TOKEN_TTL,
+            'used_at'      => null,
+            'last_seen'    => null,
+            'claim'        => null,
+        );
+
+        update_option( self::OPTION_KEY, $tokens, false );
+
+        WP_Care_Activity_Log::log( 'transfer_token_created', array(
+            'migration_id' => $migration_id,
+            'token'        => $id,
+        ) );
+
+        return $id . '.' . $secret;
+    }
+
+    /**
+     * Get issued tokens, dropping ones that expired or were used over a
+     * day ago.
+     *
+     * @return array Token records keyed by ID.
+     */
+    public static function get_tokens() {
+        $tokens = get_option( self::OPTION_KEY, array() );
+        $now    = time();
+
+        foreach ( $tokens as $id => $token ) {
+            $ended = $token['used_at'] ? $token['used_at'] : $token['expires_at'];
+            if ( $ended < $now - DAY_IN_SECONDS ) {
+                unset( $tokens[ $id ] );
+            }
+        }
+
+        return $tokens;
+    }
+
+    /**
+     * Revoke a token.
+     *
+     * @param string $token_id Token ID.
+     * @return bool
+     */
+    public static function revoke_token( $token_id ) {
+        $tokens = self::get_tokens();
+        if ( ! isset( $tokens[ $token_id ] ) ) {
+            return false;
+        }
+
+        unset( $tokens[ $token_id ] );
+        update_option( self::OPTION_KEY, $tokens, false );
+
+        return true;
+    }
+
+    /**
+     * REST permission callback: check the token and the request signature.
+     *
+     * Every request must carry an unused nonce. The first valid request
+     * claims the token for the site that sent it (X-Transfer-Claim); other
+     * sites are turned away from then on.
+     *
+     * @param WP_REST_Request $request Request.
+     * @return true|WP_Error
+     */
+    public static function verify_request( $request ) {
+        $token = self::get_request_token( $request );
+        if ( ! $token ) {
+            return new WP_Error( 'invalid_token', 'Unknown transfer token', array( 'status' => 401 ) );
+        }
+
+        if ( $token['used_at'] ) {
+            return new WP_Error( 'token_used', 'This transfer token has already been used', array( 'status' => 401 ) );
+        }
+
+        if ( $token['expires_at'] < time() ) {
+            return new WP_Error( 'token_expired', 'This transfer token has expired', array( 'status' => 401 ) );
+        }
+
+        $secret = WP_Care_Security::decrypt( $token['secret'] );
+        if ( $secret === false ) {
+            return new WP_Error( 'invalid_token', 'Transfer token could not be read', array( 'status' => 500 ) );
+        }
+
+        $verified = WP_Care_Security::verify_hmac( $request, $secret, true );
+        if ( is_wp_error( $verified ) ) {
+            return $verified;
+        }
+
+        $claim = (string) $request->get_header( 'X-Transfer-Claim' );
+        if ( ! preg_match( '/^[a-f0-9]{64}$/', $claim ) ) {
+            return new WP_Error( 'missing_claim', 'Missing or invalid X-Transfer-Claim header', array( 'status' => 401 ) );
+        }
+
+        if ( empty( $token['claim'] ) ) {
+            $tokens = self::get_tokens();
+            $tokens[ $token['id'] ]['claim']     = $claim;
+            $tokens[ $token['id'] ]['last_seen'] = time();
+            update_option( self::OPTION_KEY, $tokens, false );
+        } elseif ( ! hash_equals( $token['claim'], $claim ) ) {
+            return new WP_Error( 'token_used', 'This transfer token has already been used', array( 'status' => 401 ) );
+        }
+
+        return true;
+    }
+
+    /**
+     * REST: describe the archive behind a token.
+     *
+     * @param WP_REST_Request $request Request.
+     * @return WP_REST_Response|WP_Error
+     */
+    public static function rest_info( $request ) {
+        $token = self::get_request_token( $request );
+        $info  = ( new WP_Care_Migration() )->get_migration_info( $token['migration_id'] );
+
+        if ( ! $info ) {
+            return new WP_Error( 'not_found', 'Migration backup not found', array( 'status' => 404 ) );
+        }
+
+        self::touch_token( $token['id'] );
+
+        // Local bookkeeping means nothing on the other site
+        unset( $info['remote'], $info['verification'], $info['has_file_index'] );
+
+        return rest_ensure_response( array(
+            'migration'  => $info,
+            'chunk_size' => self::CHUNK_SIZE,
+        ) );
+    }
+
+    /**
+     * REST: read one chunk of the archive behind a token.
+     *
+     * @param WP_REST_Request $request Request with JSON {offset, length}.
+     * @return WP_REST_Response|WP_Error
+     */
+    public static function rest_chunk( $request ) {
+        $token    = self::get_request_token( $request );
+        $zip_path = ( new WP_Care_Migration() )->get_download_path( $token['migration_id'] );
+
+        if ( ! $zip_path ) {
+            return new WP_Error( 'not_found', 'Migration backup not found', array( 'status' => 404 ) );
+        }
+
+        $params = $request->get_json_params();
+        $offset = isset( $params['offset'] ) ? absint( $params['offset'] ) : 0;
+        $length = isset( $params['length'] ) ? min( self::CHUNK_SIZE, absint( $params['length'] ) ) : self::CHUNK_SIZE;
+        $size   = filesize( $zip_path );
+
+        if ( $offset > $size ) {
+            return new WP_Error( 'invalid_offset', 'Offset is past the end of the archive', array( 'status' => 416 ) );
+        }
+
+        $handle = fopen( $zip_path, 'rb' );
+        if ( ! $handle ) {
+            return new WP_Error( 'read_failed', 'Could not open the archive', array( 'status' => 500 ) );
+        }
+
+        fseek( $handle, $offset );
+        $data = $length > 0 ? (string) fread( $handle, $length ) : '';
+        fclose( $handle );
+
+        self::touch_token( $token['id'] );
+
+        return rest_ensure_response( array(
+            'offset' => $offset,
+            'length' => strlen( $data ),
+            'sha256' => hash( 'sha256', $data ),
+            'data'   => base64_encode( $data ),
+        ) );
+    }
+
+    /**
+     * REST: the destination has the whole archive; retire the token.
+     *
+     * @param WP_REST_Request $request Request.
+     * @return WP_REST_Response
+     */
+    public static function rest_complete( $request ) {
+        $token  = self::get_request_token( $request );
+        $tokens = self::get_tokens();
+
+        $tokens[ $token['id'] ]['used_at'] = time();
+        update_option( self::OPTION_KEY, $tokens, false );
+
+        WP_Care_Activity_Log::log( 'migration_transfer_sent', array(
+            'migration_id' => $token['migration_id'],
+            'token'        => $token['id'],
+        ) );
+
+        return rest_ensure_response( array( 'success' => true ) );
+    }
+
+    /**
+     * Find the token named in a request's X-Transfer-Token header.
+     *
+     * @param WP_REST_Request $request Request.
+     * @return array|false Token record.
+     */
+    private static function get_request_token( $request ) {
+        $token_id = sanitize_key( (string) $request->get_header( 'X-Transfer-Token' ) );
+        $tokens   = self::get_tokens();
+
+        return ( $token_id !== '' && isset( $tokens[ $token_id ] ) ) ? $tokens[ $token_id ] : false;
+    }
+
+    /**
+     * Record when a token was last used, for the admin list.
+     *
+     * @param string $token_id Token ID.
+     * @return void
+     */
+    private static function touch_token( $token_id ) {
+        $tokens = self::get_tokens();
+        if ( isset( $tokens[ $token_id ] ) && $tokens[ $token_id ]['last_seen'] < time() - 60 ) {
+            $tokens[ $token_id ]['last_seen'] = time();
+            update_option( self::OPTION_KEY, $tokens, false );
+        }
+    }
+
+    // =========================================================================
+    // Destination: pull from another site
+    // =========================================================================
+
+    /**
+     * Start (or resume) pulling an archive from another site.
+     *
+     * @param string $source_url Source site URL.
+     * @param string $token      Transfer token from the source site.
+     * @return array|WP_Error Pull state.
+     */
+    public static function init_pull( $source_url, $token ) {
+        $source_url = untrailingslashit( esc_url_raw( trim( $source_url ), array( 'http', 'https' ) ) );
+        if ( $source_url === '' ) {
+            return new WP_Error( 'invalid_url', __( 'Enter the address of the site to pull from.', 'wp-care-connector' ) );
+        }
+
+        $parts = explode( '.', trim( $token ), 2 );
+        if ( count( $parts ) !== 2 || ! preg_match( '/^tt_[a-z0-9]+$/', $parts[0] ) || $parts[1] === '' ) {
+            return new WP_Error( 'invalid_token', __( 'That does not look like a transfer token.', 'wp-care-connector' ) );
+        }
+
+        $connection = array(
+            'source_url' => $source_url,
+            'token_id'   => $parts[0],
+            'secret'     => $parts[1],
+        );
+
+        $response = self::request( $connection, 'info' );
+        if ( is_wp_error( $response ) ) {
+            return $response;
+        }
+
+        $metadata = isset( $response['migration'] ) ? $response['migration'] : array();
+        if ( empty( $metadata['id'] ) || empty( $metadata['archive_size'] ) ) {
+            return new WP_Error( 'invalid_remote', __( 'The source site did not describe a usable archive.', 'wp-care-connector' ) );
+        }
+
+        $migration_id = sanitize_file_name( $metadata['id'] );
+        $migration    = new WP_Care_Migration();
+
+        if ( $migration->get_download_path( $migration_id ) ) {
+            return new WP_Error( 'already_local', __( 'This archive is already available on this site.', 'wp-care-connector' ) );
+        }
+
+        $state = WP_Care_Storage::load_pull_state( $migration_id, 'transfer' );
+        if ( $state && isset( $state['token_id'] ) && $state['token_id'] === $connection['token_id'] ) {
+            return self::without_secret( $state );
+        }
+
+        if ( ! WP_Care_Migration::ensure_migration_dir() || ! wp_mkdir_p( WP_Care_Storage::pull_dir( $migration_id ) ) ) {
+            return new WP_Error( 'dir_failed', __( 'Migration directory is not writable.', 'wp-care-connector' ) );
+        }
+
+        $part = WP_Care_Storage::pull_dir( $migration_id ) . '/pull.part';
+        if ( file_exists( $part ) ) {
+            unlink( $part );
+        }
+
+        $state = array(
+            'type'         => 'transfer',
+            'migration_id' => $migration_id,
+            'source_url'   => $source_url,
+            'token_id'     => $connection['token_id'],
+            'secret'       => WP_Care_Security::encrypt( $connection['secret'] ),
+            'chunk_size'   => ! empty( $response['chunk_size'] ) ? min( self::CHUNK_SIZE, absint( $response['chunk_size'] ) ) : self::CHUNK_SIZE,
+            'size'         => (int) $metadata['archive_size'],
+            'received'     => 0,
+            'progress'     => 0,
+            'completed'    => false,
+            'error'        => null,
+            'metadata'     => $metadata,
+        );
+
+        WP_Care_Storage::save_pull_state( $migration_id, $state );
+
+        return self::without_secret( $state );
+    }
+
+    /**
+     * Download the next chunks of a pull from another site.
+     *
+     * @param string $migration_id Migration ID.
+     * @return array|WP_Error Updated pull state.
+     */
+    public static function process_pull_chunk( $migration_id ) {
+        $migration_id = sanitize_file_name( $migration_id );
+        $state        = WP_Care_Storage::load_pull_state( $migration_id, 'transfer' );
+        if ( ! $state ) {
+            return new WP_Error( 'not_found', __( 'No transfer in progress for this archive.', 'wp-care-connector' ) );
+        }
+
+        $connection = array(
+            'source_url' => $state['source_url'],
+            'token_id'   => $state['token_id'],
+            'secret'     => WP_Care_Security::decrypt( $state['secret'] ),
+        );
+
+        $part    = WP_Care_Storage::pull_dir( $migration_id ) . '/pull.part';
+        $started = time();
+
+        clearstatcache( true, $part );
+        $state['received'] = file_exists( $part ) ? filesize( $part ) : 0;
+
+        while ( $state['received'] < $state['size'] && time() - $started < self::PULL_TIMEOUT ) {
+            $chunk = self::request( $connection, 'chunk', array(
+                'offset' => $state['received'],
+                'length' => min( $state['chunk_size'], $state['size'] - $state['received'] ),
+            ) );
+
+            if ( is_wp_error( $chunk ) ) {
+                return $chunk;
+            }
+
+            $data = isset( $chunk['data'] ) ? base64_decode( $chunk['data'], true ) : false;
+            if ( $data === false || $data === '' ) {
+                return new WP_Error( 'pull_empty', __( 'The source site sent an empty or unreadable chunk.', 'wp-care-connector' ) );
+            }
+
+            if ( ! isset( $chunk['sha256'] ) || ! hash_equals( (string) $chunk['sha256'], hash( 'sha256', $data ) ) ) {
+                return new WP_Error( 'chunk_corrupted', __( 'A chunk was damaged in transit. Resume to try again.', 'wp-care-connector' ) );
+            }
+
+            if ( file_put_contents( $part, $data, FILE_APPEND ) !== strlen( $data ) ) {
+                return new WP_Error( 'write_failed', __( 'Could not write the downloaded data.', 'wp-care-connector' ) );
+            }
+
+            $state['received'] += strlen( $data );
+        }
+
+        $state['progress'] = $state['size'] > 0 ? (int) floor( 100 * $state['received'] / $state['size'] ) : 100;
+
+        if ( $state['received'] < $state['size'] ) {
+            WP_Care_Storage::save_pull_state( $migration_id, $state );
+            return self::without_secret( $state );
+        }
+
+        $metadata = array_merge( $state['metadata'], array(
+            'source'           => 'transfer',
+            'transferred_from' => $state['source_url'],
+        ) );
+
+        $result = ( new WP_Care_Migration() )->register_pulled_archive( $migration_id, $part, $metadata, array() );
+        if ( is_wp_error( $result ) ) {
+            return $result;
+        }
+
+        // Retire the token; the archive is safe here even if this fails
+        self::request( $connection, 'complete' );
+
+        WP_Care_Activity_Log::log( 'migration_transferred', array(
+            'migration_id' => $migration_id,
+            'source'       => $state['source_url'],
+        ) );
+
+        $state['completed']    = true;
+        $state['progress']     = 100;
+        $state['has_manifest'] = $result['has_manifest'];
+
+        return self::without_secret( $state );
+    }
+
+    /**
+     * Pull state as returned to the browser: the token secret stays here.
+     *
+     * @param array $state Pull state.
+     * @return array
+     */
+    private static function without_secret( $state ) {
+        unset( $state['secret'] );
+        return $state;
+    }
+
+    /**
+     * Send a signed request to a source site's transfer endpoint.
+     *
+     * Uses ?rest_route= so it works whatever the source's permalink setup.
+     *
+     * @param array  $connection {source_url, token_id, secret}.
+     * @param string $endpoint   'info', 'chunk' or 'complete'.
+     * @param array  $args       JSON body.
+     * @return array|WP_Error Decoded response.
+     */
+    private static function request( $connection, $endpoint, $args = array() ) {
+        $body      = wp_json_encode( (object) $args );
+        $timestamp = time();
+        $nonce     = wp_generate_password( 32, false, false );
+
+        $response = wp_remote_post( add_query_arg( 'rest_route', '/wp-care/v1/transfer/' . $endpoint, $connection['source_url'] . '/' ), array(
+            'timeout' => 60,
+            'headers' => array(
+                'Content-Type'     => 'application/json',
+                'X-Transfer-Token' => $connection['token_id'],
+                'X-Transfer-Claim' => self::claim( $connection['token_id'] ),
+                'X-Timestamp'      => (string) $timestamp,
+                'X-Nonce'          => $nonce,
+                'X-Signature'      => WP_Care_Security::sign( $timestamp, $body, $connection['secret'], $nonce ),
+            ),
+            'body'    => $body,
+        ) );
+
+        if ( is_wp_error( $response ) ) {
+            return $response;
+        }
+
+        $code = wp_remote_retrieve_response_code( $response );
+        $data = json_decode( wp_remote_retrieve_body( $response ), true );
+
+        if ( $code >= 400 || ! is_array( $data ) ) {
+            $message = isset( $data['message'] ) ? $data['message'] : sprintf(
+                /* translators: %d: HTTP status code */
+                __( 'The source site answered with HTTP %d. Is WP Care Connector active there?', 'wp-care-connector' ),
+                $code
+            );
+
+            return new WP_Error( isset( $data['code'] ) ? $data['code'] : 'http_' . $code, $message, array( 'status' => $code ) );
+        }
+
+        return $data;
+    }
+
+    /**
+     * This site's claim on a transfer token.
+     *
+     * Derived from the site's own salt, so resuming a pull sends the same
+     * claim while another site holding the token cannot produce it.
+     *
+     * @param string $token_id Token ID.
+     * @return string
+     */
+    private static function claim( $token_id ) {
+        return hash_hmac( 'sha256', $token_id, wp_salt( 'auth' ) );
+    }
+}
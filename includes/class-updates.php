@@ -0,0 +1,849 @@
+<?php
+/**
+ * WP Care Updates
+ *
+ * Updates plugins, themes and core one package at a time, with a way
+ * back. Before each update the database is checkpointed through
+ * WP_Care_Backup and the package's files are copied aside. After it, the
+ * site is checked over loopback requests (home page, wp-admin) and the
+ * PHP error log is scanned for new fatal errors. If the update or the
+ * check fails, the files and database are rolled back. Every step goes to
+ * the activity log.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class WP_Care_Updates {
+
+    /**
+     * Option holding the most recent update runs.
+     *
+     * @var string
+     */
+    const HISTORY_OPTION = 'wp_care_update_history';
+
+    /**
+     * Number of update runs kept in the history.
+     *
+     * @var int
+     */
+    const MAX_HISTORY = 20;
+
+    /**
+     * Supported package types.
+     *
+     * @var string[]
+     */
+    const TYPES = array( 'plugin', 'theme', 'core' );
+
+    /**
+     * Text in a response that means PHP or WordPress hit a fatal error.
+     *
+     * @var string
+     */
+    const FATAL_PATTERN = '/critical error on (this|your) website|<b>(Fatal|Parse) error<\/b>|PHP (Fatal|Parse) error/i';
+
+    /**
+     * Get the packages WordPress has found updates for.
+     *
+     * @param bool $refresh Ask WordPress.org for updates first instead of using the last check.
+     * @return array 'plugins' and 'themes' lists, and 'core' (null when up to date).
+     */
+    public static function get_available( $refresh = false ) {
+        self::load_admin_includes();
+
+        if ( $refresh ) {
+            wp_version_check( array(), true );
+            wp_update_plugins();
+            wp_update_themes();
+        }
+
+        $available = array(
+            'plugins' => array(),
+            'themes'  => array(),
+            'core'    => null,
+        );
+
+        $plugin_updates = get_site_transient( 'update_plugins' );
+        if ( $plugin_updates && ! empty( $plugin_updates->response ) ) {
+            $plugins = get_plugins();
+            foreach ( $plugin_updates->response as $file => $update ) {
+                if ( ! isset( $plugins[ $file ] ) ) {
+                    continue;
+                }
+                $available['plugins'][] = array(
+                    'id'          => $file,
+                    'name'        => $plugins[ $file ]['Name'],
+                    'version'     => $plugins[ $file ]['Version'],
+                    'new_version' => $update->new_version,
+                    'active'      => is_plugin_active( $file ),
+                );
+            }
+        }
+
+        $theme_updates = get_site_transient( 'update_themes' );
+        if ( $theme_updates && ! empty( $theme_updates->response ) ) {
+            foreach ( $theme_updates->response as $stylesheet => $update ) {
+                $theme = wp_get_theme( $stylesheet );
+                if ( ! $theme->exists() ) {
+                    continue;
+                }
+                $available['themes'][] = array(
+                    'id'          => $stylesheet,
+                    'name'        => $theme->get( 'Name' ),
+                    'version'     => $theme->get( 'Version' ),
+                    'new_version' => $update['new_version'],
+                    'active'      => get_stylesheet() === $stylesheet || get_template() === $stylesheet,
+                );
+            }
+        }
+
+        $core_update = self::find_core_update();
+        if ( $core_update ) {
+            $available['core'] = array(
+                'id'          => 'wordpress',
+                'name'        => 'WordPress',
+                'version'     => get_bloginfo( 'version' ),
+                'new_version' => $core_update->current,
+                'active'      => true,
+            );
+        }
+
+        return $available;
+    }
+
+    /**
+     * Update several packages of one type, one after the other.
+     *
+     * @param string   $type Package type: plugin, theme or core.
+     * @param string[] $ids  Plugin files (akismet/akismet.php), theme stylesheets, or array( 'wordpress' ).
+     * @return array[] One run (see update()) per package, or an error entry for packages that couldn't start.
+     */
+    public static function update_many( $type, $ids ) {
+        $runs = array();
+
+        foreach ( array_unique( (array) $ids ) as $id ) {
+            $run = self::update( $type, $id );
+
+            if ( is_wp_error( $run ) ) {
+                $run = array(
+                    'type'    => $type,
+                    'package' => (string) $id,
+                    'status'  => 'skipped',
+                    'error'   => $run->get_error_message(),
+                );
+            }
+
+            $runs[] = $run;
+        }
+
+        return $runs;
+    }
+
+    /**
+     * Safely update one package.
+     *
+     * @param string $type Package type: plugin, theme or core.
+     * @param string $id   Plugin file, theme stylesheet, or 'wordpress' for core.
+     * @return array|WP_Error The run: status ('updated', 'rolled_back' or
+     *                        'rollback_failed'), versions, checkpoint ID,
+     *                        health checks and error. WP_Error if the update
+     *                        could not start.
+     */
+    public static function update( $type, $id ) {
+        $ready = self::prepare( $type );
+        if ( is_wp_error( $ready ) ) {
+            return $ready;
+        }
+
+        $package = self::find_package( $type, $id );
+        if ( is_wp_error( $package ) ) {
+            return $package;
+        }
+
+        @set_time_limit( 600 );
+
+        $run = array(
+            'id'            => gmdate( 'Ymd-His' ) . '-' . strtolower( wp_generate_password( 6, false, false ) ),
+            'type'          => $type,
+            'package'       => $package['id'],
+            'name'          => $package['name'],
+            'from_version'  => $package['version'],
+            'to_version'    => $package['new_version'],
+            'status'        => 'running',
+            'checkpoint_id' => null,
+            'checks'        => array(),
+            'error'         => null,
+            'started_at'    => time(),
+            'finished_at'   => null,
+        );
+
+        $log_from = self::get_last_log_id();
+        self::log( 'update_started', $run );
+
+        // 1. Checkpoint the database, which updates may migrate
+        $backup        = new WP_Care_Backup();
+        $checkpoint_id = $backup->create_checkpoint( $type . '_update', array(), true );
+
+        if ( ! $checkpoint_id ) {
+            $run['error'] = __( 'The database checkpoint could not be created, so nothing was updated.', 'wp-care-connector' );
+            return self::finish( $run, 'failed', 'update_failed' );
+        }
+        $run['checkpoint_id'] = $checkpoint_id;
+
+        // 2. Copy the package's files aside
+        $copy = self::get_copy_file( $run['id'] );
+        $size = self::copy_package( $type, $package['id'], $copy );
+
+        if ( is_wp_error( $size ) ) {
+            @unlink( $copy );
+            $run['error'] = $size->get_error_message();
+            return self::finish( $run, 'failed', 'update_failed' );
+        }
+
+        self::log( 'update_backup_created', $run, array( 'copy_size' => size_format( $size ) ) );
+
+        // 3. Update
+        $active_plugins = get_option( 'active_plugins', array() );
+        $log_offset     = self::get_error_log_size();
+        $upgraded       = self::run_upgrader( $type, $package['id'] );
+
+        // Updating a plugin can deactivate it; keep the plugin list as it was
+        update_option( 'active_plugins', $active_plugins );
+
+        if ( is_wp_error( $upgraded ) ) {
+            $run['error'] = $upgraded->get_error_message();
+            self::log( 'update_failed', $run );
+            return self::roll_back( $run, $copy, $log_from );
+        }
+
+        $run['to_version'] = self::get_installed_version( $type, $package['id'] );
+        self::log( 'update_installed', $run );
+
+        // 4. Check the site still works
+        $run['checks'] = self::run_health_checks( $log_offset );
+        $failed        = wp_list_filter( $run['checks'], array( 'passed' => false ) );
+
+        if ( ! empty( $failed ) ) {
+            $run['error'] = implode( ' ', wp_list_pluck( $failed, 'message' ) );
+            self::log( 'update_check_failed', $run, array( 'checks' => $run['checks'] ) );
+            return self::roll_back( $run, $copy, $log_from );
+        }
+
+        self::log( 'update_check_passed', $run );
+        @unlink( $copy );
+
+        return self::finish( $run, 'updated', 'update_completed' );
+    }
+
+    /**
+     * Check the site over loopback requests and scan the error log.
+     *
+     * @param int|null $log_offset Error log size before the update; only what was written since is scanned.
+     * @return array[] Each with check, label, passed and message.
+     */
+    public static function run_health_checks( $log_offset = null ) {
+        $checks = array();
+
+        $checks[] = self::check_url( 'home', __( 'Home page', 'wp-care-connector' ), home_url( '/' ), array() );
+
+        // Let wp-admin render for the current user if there is one; logged out it still loads every plugin
+        $cookies = array();
+        if ( is_user_logged_in() ) {
+            foreach ( $_COOKIE as $name => $value ) {
+                $cookies[] = new WP_Http_Cookie( array(
+                    'name'  => $name,
+                    'value' => wp_unslash( $value ),
+                ) );
+            }
+        }
+        $checks[] = self::check_url( 'admin', __( 'Dashboard', 'wp-care-connector' ), admin_url(), $cookies );
+
+        $checks[] = self::scan_error_log( $log_offset );
+
+        return $checks;
+    }
+
+    /**
+     * Get the most recent update runs, newest first.
+     *
+     * @return array[]
+     */
+    public static function get_history() {
+        return (array) get_option( self::HISTORY_OPTION, array() );
+    }
+
+    /**
+     * Restore the package copy and the database checkpoint after a
+     * failed update or health check.
+     *
+     * @param array  $run      Run so far.
+     * @param string $copy     Path to the package copy.
+     * @param int    $log_from Last activity log entry before the update.
+     * @return array Finished run.
+     */
+    private static function roll_back( $run, $copy, $log_from ) {
+        global $wpdb;
+
+        $restored = self::restore_package( $run['type'], $run['package'], $copy );
+
+        if ( ! is_wp_error( $restored ) ) {
+            // The checkpoint predates this run's log entries; put them back after the restore
+            $entries = $wpdb->get_results( $wpdb->prepare(
+                'SELECT * FROM ' . WP_Care_Activity_Log::table() . ' WHERE id > %d ORDER BY id ASC',
+                $log_from
+            ), ARRAY_A );
+
+            $backup   = new WP_Care_Backup();
+            $restored = $backup->restore_checkpoint( $run['checkpoint_id'] );
+
+            $lost = 0;
+            foreach ( (array) $entries as $entry ) {
+                if ( ! $wpdb->replace( WP_Care_Activity_Log::table(), $entry ) ) {
+                    $lost++;
+                }
+            }
+
+            if ( $lost ) {
+                $run['error'] .= ' ' . sprintf(
+                    /* translators: %d: number of activity log entries */
+                    _n( '%d activity log entry from this update could not be put back after the rollback.', '%d activity log entries from this update could not be put back after the rollback.', $lost, 'wp-care-connector' ),
+                    $lost
+                );
+            }
+        }
+
+        if ( is_wp_error( $restored ) ) {
+            // Keep the copy for restoring by hand
+            $run['error'] .= ' ' . sprintf(
+                /* translators: 1: error message, 2: path to the package copy */
+                __( 'Rollback failed: %1$s The old files are in %2$s.', 'wp-care-connector' ),
+                $restored->get_error_message(),
+                $copy
+            );
+            return self::finish( $run, 'rollback_failed', 'update_rollback_failed' );
+        }
+
+        @unlink( $copy );
+
+        return self::finish( $run, 'rolled_back', 'update_rolled_back' );
+    }
+
+    /**
+     * Mark a run finished, log it and add it to the history.
+     *
+     * @param array  $run    Run.
+     * @param string $status Final status.
+     * @param string $action Activity log action.
+     * @return array
+     */
+    private static function finish( $run, $status, $action ) {
+        $run['status']      = $status;
+        $run['finished_at'] = time();
+
+        self::log( $action, $run );
+
+        $history = self::get_history();
+        array_unshift( $history, $run );
+        update_option( self::HISTORY_OPTION, array_slice( $history, 0, self::MAX_HISTORY ), false );
+
+        return $run;
+    }
+
+    /**
+     * Record an update step in the activity log.
+     *
+     * @param string $action Activity log action.
+     * @param array  $run    Run.
+     * @param array  $extra  Additional details.
+     * @return void
+     */
+    private static function log( $action, $run, $extra = array() ) {
+        $details = array(
+            'package' => $run['package'],
+            'type'    => $run['type'],
+            'from'    => $run['from_version'],
+            'to'      => $run['to_version'],
+        );
+
+        if ( $run['checkpoint_id'] ) {
+            $details['checkpoint_id'] = $run['checkpoint_id'];
+        }
+
+        if ( $run['error'] ) {
+            $details['error'] = $run['error'];
+        }
+
+        WP_Care_Activity_Log::log( $action, array_merge( $details, $extra ) );
+    }
+
+    /**
+     * Get the ID of the newest activity log entry.
+     *
+     * @return int
+     */
+    private static function get_last_log_id() {
+        global $wpdb;
+
+        return (int) $wpdb->get_var( 'SELECT MAX(id) FROM ' . WP_Care_Activity_Log::table() );
+    }
+
+    /**
+     * Load the admin files the upgraders need and make sure files can be
+     * written without asking for FTP credentials.
+     *
+     * @param string $type Package type.
+     * @return true|WP_Error
+     */
+    private static function prepare( $type ) {
+        if ( ! in_array( $type, self::TYPES, true ) ) {
+            return new WP_Error( 'invalid_type', sprintf( 'Unknown package type: %s', $type ) );
+        }
+
+        if ( ! class_exists( 'ZipArchive' ) ) {
+            return new WP_Error( 'zip_unavailable', __( 'Safe updates need the PHP zip extension.', 'wp-care-connector' ) );
+        }
+
+        // wp_is_file_mod_allowed() arrived in WordPress 4.8
+        $file_mods = function_exists( 'wp_is_file_mod_allowed' )
+            ? wp_is_file_mod_allowed( 'wp_care_update' )
+            : ! ( defined( 'DISALLOW_FILE_MODS' ) && DISALLOW_FILE_MODS );
+
+        if ( ! $file_mods ) {
+            return new WP_Error( 'file_mods_disabled', __( 'File changes are disabled on this site (DISALLOW_FILE_MODS).', 'wp-care-connector' ) );
+        }
+
+        self::load_admin_includes();
+
+        // Remote commands and AJAX requests can't show the credentials form
+        if ( get_filesystem_method() !== 'direct' || ! WP_Filesystem() ) {
+            return new WP_Error( 'filesystem_unavailable', __( 'WordPress cannot write to its files directly on this server, so updates must be run from the Updates screen.', 'wp-care-connector' ) );
+        }
+
+        return true;
+    }
+
+    /**
+     * Load the admin files used for updates.
+     *
+     * @return void
+     */
+    private static function load_admin_includes() {
+        require_once ABSPATH . 'wp-admin/includes/file.php';
+        require_once ABSPATH . 'wp-admin/includes/misc.php';
+        require_once ABSPATH . 'wp-admin/includes/plugin.php';
+        require_once ABSPATH . 'wp-admin/includes/theme.php';
+        require_once ABSPATH . 'wp-admin/includes/update.php';
+        require_once ABSPATH . 'wp-admin/includes/class-wp-upgrader.php';
+    }
+
+    /**
+     * Find a package with a pending update.
+     *
+     * @param string $type Package type.
+     * @param string $id   Package ID.
+     * @return array|WP_Error Entry from get_available().
+     */
+    private static function find_package( $type, $id ) {
+        $available = self::get_available();
+
+        if ( $type === 'core' ) {
+            $packages = $available['core'] ? array( $available['core'] ) : array();
+        } else {
+            $packages = $available[ $type . 's' ];
+        }
+
+        foreach ( $packages as $package ) {
+            if ( $package['id'] === $id ) {
+                return $package;
+            }
+        }
+
+        return new WP_Error( 'no_update', sprintf(
+            /* translators: %s: plugin file, theme or 'wordpress' */
+            __( 'No update is available for %s.', 'wp-care-connector' ),
+            $id
+        ) );
+    }
+
+    /**
+     * Get the core update WordPress offers, if any.
+     *
+     * @return object|null
+     */
+    private static function find_core_update() {
+        $core = get_site_transient( 'update_core' );
+
+        if ( $core && ! empty( $core->updates ) ) {
+            foreach ( $core->updates as $update ) {
+                if ( 'upgrade' === $update->response ) {
+                    return $update;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Run the WordPress upgrader for a package.
+     *
+     * @param string $type Package type.
+     * @param string $id   Package ID.
+     * @return true|WP_Error
+     */
+    private static function run_upgrader( $type, $id ) {
+        $skin = new Automatic_Upgrader_Skin();
+
+        switch ( $type ) {
+            case 'plugin':
+                $upgrader = new Plugin_Upgrader( $skin );
+                $result   = $upgrader->upgrade( $id );
+                break;
+
+            case 'theme':
+                $upgrader = new Theme_Upgrader( $skin );
+                $result   = $upgrader->upgrade( $id );
+                break;
+
+            default:
+                $upgrader = new Core_Upgrader( $skin );
+                $result   = $upgrader->upgrade( self::find_core_update() );
+                break;
+        }
+
+        if ( is_wp_error( $result ) ) {
+            return $result;
+        }
+
+        if ( ! $result ) {
+            $messages = array_filter( array_map( 'wp_strip_all_tags', $skin->get_upgrade_messages() ) );
+            return new WP_Error( 'update_failed', $messages ? implode( ' ', $messages ) : __( 'The update could not be installed.', 'wp-care-connector' ) );
+        }
+
+        return true;
+    }
+
+    /**
+     * Read the version that is now on disk.
+     *
+     * @param string $type Package type.
+     * @param string $id   Package ID.
+     * @return string
+     */
+    private static function get_installed_version( $type, $id ) {
+        switch ( $type ) {
+            case 'plugin':
+                $data = get_plugin_data( WP_PLUGIN_DIR . '/' . $id, false, false );
+                return $data['Version'];
+
+            case 'theme':
+                wp_clean_themes_cache();
+                return wp_get_theme( $id )->get( 'Version' );
+
+            default:
+                // The global still holds the version this request started with
+                $wp_version = '';
+                include ABSPATH . WPINC . '/version.php';
+                return $wp_version;
+        }
+    }
+
+    /**
+     * Get where a package lives and which part of it to copy.
+     *
+     * @param string $type Package type.
+     * @param string $id   Package ID.
+     * @return array 'base' directory and the 'paths' under it that make up the package.
+     */
+    private static function get_package_paths( $type, $id ) {
+        switch ( $type ) {
+            case 'plugin':
+                // Single-file plugins (hello.php) sit directly in the plugins folder
+                return array(
+                    'base'  => WP_PLUGIN_DIR,
+                    'paths' => array( strpos( $id, '/' ) !== false ? dirname( $id ) : $id ),
+                );
+
+            case 'theme':
+                return array(
+                    'base'  => get_theme_root( $id ),
+                    'paths' => array( $id ),
+                );
+
+            default:
+                $paths = array( 'wp-admin', WPINC );
+                foreach ( glob( ABSPATH . '*', GLOB_MARK ) as $file ) {
+                    $name = basename( $file );
+                    if ( substr( $file, -1 ) !== '/' && ! in_array( $name, array( 'wp-config.php', '.htaccess', '.maintenance' ), true ) ) {
+                        $paths[] = $name;
+                    }
+                }
+
+                return array(
+                    'base'  => untrailingslashit( ABSPATH ),
+                    'paths' => $paths,
+                );
+        }
+    }
+
+    /**
+     * Get the path of the package copy for a run.
+     *
+     * @param string $run_id Run ID.
+     * @return string
+     */
+    private static function get_copy_file( $run_id ) {
+        return WP_CONTENT_DIR . '/wp-care-backups/updates/' . $run_id . '.zip';
+    }
+
+    /**
+     * Zip a package's files.
+     *
+     * @param string $type Package type.
+     * @param string $id   Package ID.
+     * @param string $zip_file Path to write.
+     * @return int|WP_Error Size of the copy in bytes.
+     */
+    private static function copy_package( $type, $id, $zip_file ) {
+        if ( ! WP_Care_Backup::ensure_backup_dir() || ! wp_mkdir_p( dirname( $zip_file ) ) ) {
+            return new WP_Error( 'backup_dir_unwritable', __( 'The backup folder is not writable.', 'wp-care-connector' ) );
+        }
+
+        $package = self::get_package_paths( $type, $id );
+
+        $zip = new ZipArchive();
+        if ( $zip->open( $zip_file, ZipArchive::CREATE | ZipArchive::OVERWRITE ) !== true ) {
+            return new WP_Error( 'zip_failed', __( 'The package copy could not be created.', 'wp-care-connector' ) );
+        }
+
+        foreach ( $package['paths'] as $path ) {
+            $full = $package['base'] . '/' . $path;
+
+            if ( is_file( $full ) ) {
+                $zip->addFile( $full, $path );
+                continue;
+            }
+
+            if ( ! is_dir( $full ) ) {
+                continue;
+            }
+
+            $zip->addEmptyDir( $path );
+            $iterator = new RecursiveIteratorIterator(
+                new RecursiveDirectoryIterator( $full, RecursiveDirectoryIterator::SKIP_DOTS ),
+                RecursiveIteratorIterator::SELF_FIRST
+            );
+
+            foreach ( $iterator as $item ) {
+                $relative = $path . '/' . str_replace( '\\', '/', substr( $item->getPathname(), strlen( $full ) + 1 ) );
+                if ( $item->isDir() ) {
+                    $zip->addEmptyDir( $relative );
+                } else {
+                    $zip->addFile( $item->getPathname(), $relative );
+                }
+            }
+        }
+
+        if ( ! $zip->close() ) {
+            return new WP_Error( 'zip_failed', __( 'The package copy could not be written.', 'wp-care-connector' ) );
+        }
+
+        return filesize( $zip_file );
+    }
+
+    /**
+     * Put a package's copied files back.
+     *
+     * Plugin and theme folders are emptied first so files the update added
+     * don't linger. Core files are only overwritten: deleting wp-includes
+     * under the running request is not worth the risk.
+     *
+     * @param string $type     Package type.
+     * @param string $id       Package ID.
+     * @param string $zip_file Package copy.
+     * @return true|WP_Error
+     */
+    private static function restore_package( $type, $id, $zip_file ) {
+        global $wp_filesystem;
+
+        $package = self::get_package_paths( $type, $id );
+
+        $zip = new ZipArchive();
+        if ( ! file_exists( $zip_file ) || $zip->open( $zip_file ) !== true ) {
+            return new WP_Error( 'copy_missing', __( 'The package copy could not be opened.', 'wp-care-connector' ) );
+        }
+
+        if ( $type !== 'core' ) {
+            foreach ( $package['paths'] as $path ) {
+                $wp_filesystem->delete( $package['base'] . '/' . $path, true );
+            }
+        }
+
+        $extracted = $zip->extractTo( $package['base'] );
+        $zip->close();
+
+        if ( ! $extracted ) {
+            return new WP_Error( 'extract_failed', __( 'The package copy could not be extracted.', 'wp-care-connector' ) );
+        }
+
+        if ( function_exists( 'wp_opcache_invalidate_directory' ) ) {
+            foreach ( $package['paths'] as $path ) {
+                wp_opcache_invalidate_directory( $package['base'] . '/' . $path );
+            }
+        }
+
+        if ( $type === 'core' ) {
+            delete_site_transient( 'update_core' );
+        } else {
+            delete_site_transient( 'update_' . $type . 's' );
+        }
+
+        return true;
+    }
+
+    /**
+     * Request a page of the site and check it loads without a fatal error.
+     *
+     * @param string $check   Check ID.
+     * @param string $label   Label.
+     * @param string $url     URL.
+     * @param array  $cookies Cookies to send.
+     * @return array
+     */
+    private static function check_url( $check, $label, $url, $cookies ) {
+        $response = wp_remote_get( $url, array(
+            'timeout'     => 20,
+            'redirection' => 0,
+            'cookies'     => $cookies,
+            'sslverify'   => apply_filters( 'https_local_ssl_verify', false ),
+            'headers'     => array( 'Cache-Control' => 'no-cache' ),
+        ) );
+
+        $result = array(
+            'check'   => $check,
+            'label'   => $label,
+            'passed'  => false,
+            'message' => '',
+        );
+
+        if ( is_wp_error( $response ) ) {
+            /* translators: 1: page, 2: error message */
+            $result['message'] = sprintf( __( '%1$s could not be loaded: %2$s', 'wp-care-connector' ), $label, $response->get_error_message() );
+            return $result;
+        }
+
+        $code = (int) wp_remote_retrieve_response_code( $response );
+
+        if ( $code >= 500 ) {
+            /* translators: 1: page, 2: HTTP status code */
+            $result['message'] = sprintf( __( '%1$s returned HTTP %2$d.', 'wp-care-connector' ), $label, $code );
+            return $result;
+        }
+
+        if ( preg_match( self::FATAL_PATTERN, wp_remote_retrieve_body( $response ) ) ) {
+            /* translators: %s: page */
+            $result['message'] = sprintf( __( '%s shows a fatal error.', 'wp-care-connector' ), $label );
+            return $result;
+        }
+
+        $result['passed'] = true;
+        /* translators: 1: page, 2: HTTP status code */
+        $result['message'] = sprintf( __( '%1$s loaded (HTTP %2$d).', 'wp-care-connector' ), $label, $code );
+
+        return $result;
+    }
+
+    /**
+     * Look for fatal errors written to the PHP error log since an offset.
+     *
+     * @param int|null $offset Log size before the update.
+     * @return array
+     */
+    private static function scan_error_log( $offset ) {
+        $result = array(
+            'check'   => 'error_log',
+            'label'   => __( 'Error log', 'wp-care-connector' ),
+            'passed'  => true,
+            'message' => __( 'No new fatal errors logged.', 'wp-care-connector' ),
+        );
+
+        $file = self::get_error_log_file();
+
+        if ( ! $file || $offset === null ) {
+            $result['message'] = __( 'No error log to scan.', 'wp-care-connector' );
+            return $result;
+        }
+
+        clearstatcache( true, $file );
+        $size = filesize( $file );
+
+        // Rotated or truncated since the update started
+        if ( $size < $offset ) {
+            $offset = 0;
+        }
+
+        // Read at most the last megabyte written
+        $offset = max( $offset, $size - MB_IN_BYTES );
+        $handle = fopen( $file, 'r' );
+
+        if ( ! $handle ) {
+            return $result;
+        }
+
+        fseek( $handle, $offset );
+        $written = (string) stream_get_contents( $handle );
+        fclose( $handle );
+
+        if ( preg_match( '/PHP (Fatal|Parse) error:\s*(.*)/', $written, $match ) ) {
+            $result['passed'] = false;
+            /* translators: %s: error message from the log */
+            $result['message'] = sprintf( __( 'A fatal error was logged: %s', 'wp-care-connector' ), wp_html_excerpt( $match[2], 300, '...' ) );
+        }
+
+        return $result;
+    }
+
+    /**
+     * Get the current size of the PHP error log.
+     *
+     * @return int|null Null if there is no readable log.
+     */
+    private static function get_error_log_size() {
+        $file = self::get_error_log_file();
+
+        if ( ! $file ) {
+            return null;
+        }
+
+        clearstatcache( true, $file );
+
+        return (int) filesize( $file );
+    }
+
+    /**
+     * Find the PHP error log: WordPress's debug.log, or PHP's error_log setting.
+     *
+     * @return string|null
+     */
+    public static function get_error_log_file() {
+        $candidates = array( ini_get( 'error_log' ) );
+
+        if ( defined( 'WP_DEBUG_LOG' ) && WP_DEBUG_LOG ) {
+            $candidates[] = is_string( WP_DEBUG_LOG ) ? WP_DEBUG_LOG : WP_CONTENT_DIR . '/debug.log';
+        }
+
+        foreach ( $candidates as $file ) {
+            if ( $file && is_file( $file ) && is_readable( $file ) ) {
+                return $file;
+            }
+        }
+
+        return null;
+    }
+}
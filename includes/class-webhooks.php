@@ -0,0 +1,671 @@
+<?php
+/**
+ * WP Care Webhooks
+ *
+ * Sends signed POST requests to configured endpoints when site events
+ * happen (migrations, checkpoints, temporary logins, API key rotation,
+ * option changes). Events are picked up from the activity log, queued
+ * in their own table and delivered by cron, with retries on a backoff.
+ *
+ * Requests are signed the same way as health reports: X-Signature is the
+ * HMAC-SHA256 of X-Timestamp, a newline and the body, keyed with the
+ * webhook's secret.
+ *
+ * @package WP_Care_Connector
+ * @since 1.1.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class WP_Care_Webhooks {
+
+    /**
+     * Option holding the configured webhooks.
+     *
+     * @var string
+     */
+    const OPTION_KEY = 'wp_care_webhooks';
+
+    /**
+     * Deliveries table name, without the site prefix.
+     *
+     * @var string
+     */
+    const TABLE = 'wp_care_webhook_deliveries';
+
+    /**
+     * Schema version, bumped when the table changes.
+     *
+     * @var string
+     */
+    const DB_VERSION = '1';
+
+    /**
+     * Option holding the installed schema version.
+     *
+     * @var string
+     */
+    const DB_VERSION_OPTION = 'wp_care_webhook_deliveries_db_version';
+
+    /**
+     * Single cron event that sends the deliveries that are due.
+     *
+     * @var string
+     */
+    const DELIVER_HOOK = 'wp_care_webhook_deliver';
+
+    /**
+     * Deliveries sent per cron run. Each may wait up to TIMEOUT seconds.
+     *
+     * @var int
+     */
+    const BATCH_SIZE = 10;
+
+    /**
+     * Request timeout in seconds.
+     *
+     * @var int
+     */
+    const TIMEOUT = 10;
+
+    /**
+     * Days finished deliveries are kept.
+     *
+     * @var int
+     */
+    const RETENTION_DAYS = 30;
+
+    /**
+     * Seconds to wait before each retry. A delivery that still fails after
+     * the last one is marked failed.
+     *
+     * @var int[]
+     */
+    private static $backoff = array( 60, 300, 900, 3600, 21600, 86400 );
+
+    /**
+     * Activity log actions that raise an event. job_failed is mapped by
+     * the job type in get_event_for_action().
+     *
+     * @var array
+     */
+    private static $action_events = array(
+        'migration_created'         => 'migration.completed',
+        'migration_scheduled_run'   => 'migration.completed',
+        'migration_failed'          => 'migration.failed',
+        'migration_schedule_failed' => 'migration.failed',
+        'migration_restored'        => 'migration.restored',
+        'migration_restore_failed'  => 'migration.restore_failed',
+        'backup_created'            => 'checkpoint.created',
+        'checkpoint_restored'       => 'checkpoint.restored',
+        'temp_login_created'        => 'temp_login.created',
+        'temp_login_used'           => 'temp_login.used',
+        'temp_login_revoked'        => 'temp_login.revoked',
+        'api_key_rotated'           => 'api_key.rotated',
+        'option_changed'            => 'option.changed',
+    );
+
+    /**
+     * Get the full deliveries table name.
+     *
+     * @return string
+     */
+    public static function table() {
+        global $wpdb;
+
+        return $wpdb->prefix . self::TABLE;
+    }
+
+    /**
+     * Create or upgrade the deliveries table and schedule any deliveries
+     * still queued, e.g. from before the plugin was deactivated.
+     *
+     * @return void
+     */
+    public static function install() {
+        global $wpdb;
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $table           = self::table();
+        $charset_collate = $wpdb->get_charset_collate();
+
+        dbDelta( "CREATE TABLE {$table} (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            webhook_id varchar(40) NOT NULL,
+            event varchar(64) NOT NULL,
+            event_id varchar(36) NOT NULL DEFAULT '',
+            payload longtext NOT NULL,
+            status varchar(20) NOT NULL DEFAULT 'pending',
+            attempts smallint(5) unsigned NOT NULL DEFAULT 0,
+            response_code smallint(5) unsigned NOT NULL DEFAULT 0,
+            error text NOT NULL,
+            created_at datetime NOT NULL,
+            last_attempt_at datetime DEFAULT NULL,
+            next_attempt_at datetime DEFAULT NULL,
+            PRIMARY KEY  (id),
+            KEY status_next (status,next_attempt_at),
+            KEY webhook_id (webhook_id),
+            KEY created_at (created_at)
+        ) {$charset_collate};" );
+
+        self::schedule_next();
+
+        update_option( self::DB_VERSION_OPTION, self::DB_VERSION );
+    }
+
+    /**
+     * Install the table if this version of the plugin hasn't yet, e.g.
+     * after an update that didn't go through activation.
+     *
+     * @return void
+     */
+    public static function maybe_install() {
+        if ( get_option( self::DB_VERSION_OPTION ) !== self::DB_VERSION ) {
+            self::install();
+        }
+    }
+
+    /**
+     * Get the events a webhook can subscribe to.
+     *
+     * @return array Event => label.
+     */
+    public static function get_events() {
+        return array(
+            'migration.completed'      => __( 'Migration completed', 'wp-care-connector' ),
+            'migration.failed'         => __( 'Migration failed', 'wp-care-connector' ),
+            'migration.restored'       => __( 'Site restored from a migration', 'wp-care-connector' ),
+            'migration.restore_failed' => __( 'Migration restore failed', 'wp-care-connector' ),
+            'checkpoint.created'       => __( 'Checkpoint created', 'wp-care-connector' ),
+            'checkpoint.restored'      => __( 'Checkpoint restored', 'wp-care-connector' ),
+            'temp_login.created'       => __( 'Temporary login created', 'wp-care-connector' ),
+            'temp_login.used'          => __( 'Temporary login used', 'wp-care-connector' ),
+            'temp_login.revoked'       => __( 'Temporary login revoked', 'wp-care-connector' ),
+            'api_key.rotated'          => __( 'API key rotated', 'wp-care-connector' ),
+            'option.changed'           => __( 'Option changed', 'wp-care-connector' ),
+        );
+    }
+
+    /**
+     * Get all webhooks.
+     *
+     * @return array Webhook records keyed by ID. Secrets stay encrypted.
+     */
+    public static function get_webhooks() {
+        return (array) get_option( self::OPTION_KEY, array() );
+    }
+
+    /**
+     * Get one webhook.
+     *
+     * @param string $webhook_id Webhook ID.
+     * @return array|null
+     */
+    public static function get_webhook( $webhook_id ) {
+        $webhooks = self::get_webhooks();
+
+        return isset( $webhooks[ $webhook_id ] ) ? $webhooks[ $webhook_id ] : null;
+    }
+
+    /**
+     * Add a webhook with a new signing secret.
+     *
+     * @param string   $name   Name shown in the admin.
+     * @param string   $url    Endpoint URL.
+     * @param string[] $events Events to send.
+     * @return array|WP_Error array( 'webhook' => array, 'secret' => raw secret ).
+     */
+    public static function add( $name, $url, $events ) {
+        $name   = sanitize_text_field( $name );
+        $url    = esc_url_raw( trim( $url ), array( 'http', 'https' ) );
+        $events = array_values( array_intersect( array_keys( self::get_events() ), (array) $events ) );
+
+        if ( $name === '' ) {
+            return new WP_Error( 'missing_name', __( 'Give the webhook a name.', 'wp-care-connector' ) );
+        }
+
+        // Same check wp_safe_remote_post() makes when sending
+        if ( $url === '' || ! wp_http_validate_url( $url ) ) {
+            return new WP_Error( 'invalid_url', __( 'Enter a public http:// or https:// URL.', 'wp-care-connector' ) );
+        }
+
+        if ( empty( $events ) ) {
+            return new WP_Error( 'missing_events', __( 'Choose at least one event to send.', 'wp-care-connector' ) );
+        }
+
+        $id     = 'wh_' . strtolower( wp_generate_password( 12, false, false ) );
+        $secret = wp_generate_password( 40, false, false );
+
+        $webhooks        = self::get_webhooks();
+        $webhooks[ $id ] = array(
+            'id'         => $id,
+            'name'       => $name,
+            'url'        => $url,
+            'events'     => $events,
+            'secret'     => WP_Care_Security::encrypt( $secret ),
+            'hint'       => substr( $secret, -4 ),
+            'created_at' => time(),
+        );
+
+        update_option( self::OPTION_KEY, $webhooks, false );
+
+        WP_Care_Activity_Log::log( 'webhook_added', array(
+            'webhook_id' => $id,
+            'name'       => $name,
+            'url'        => $url,
+            'events'     => implode( ', ', $events ),
+        ) );
+
+        return array(
+            'webhook' => $webhooks[ $id ],
+            'secret'  => $secret,
+        );
+    }
+
+    /**
+     * Remove a webhook. Its queued deliveries are marked failed; the
+     * delivery log is kept.
+     *
+     * @param string $webhook_id Webhook ID.
+     * @return true|WP_Error
+     */
+    public static function remove( $webhook_id ) {
+        global $wpdb;
+
+        $webhooks = self::get_webhooks();
+
+        if ( ! isset( $webhooks[ $webhook_id ] ) ) {
+            return new WP_Error( 'not_found', __( 'Webhook not found.', 'wp-care-connector' ) );
+        }
+
+        $name = $webhooks[ $webhook_id ]['name'];
+        unset( $webhooks[ $webhook_id ] );
+        update_option( self::OPTION_KEY, $webhooks, false );
+
+        $wpdb->update(
+            self::table(),
+            array(
+                'status'          => 'failed',
+                'error'           => 'Webhook removed',
+                'next_attempt_at' => null,
+            ),
+            array(
+                'webhook_id' => $webhook_id,
+                'status'     => 'pending',
+            )
+        );
+
+        WP_Care_Activity_Log::log( 'webhook_removed', array(
+            'webhook_id' => $webhook_id,
+            'name'       => $name,
+        ) );
+
+        return true;
+    }
+
+    /**
+     * Queue an event for the webhooks subscribed to the activity log
+     * action just recorded. Hooked to wp_care_activity_logged.
+     *
+     * @param string $action  Action identifier.
+     * @param array  $details Action details.
+     * @param array  $entry   The stored log row (user_login, source, ...).
+     * @return void
+     */
+    public static function handle_activity( $action, $details, $entry ) {
+        $event = self::get_event_for_action( $action, (array) $details );
+
+        if ( $event === null ) {
+            return;
+        }
+
+        self::dispatch( $event, (array) $details, array(
+            'user'   => isset( $entry['user_login'] ) ? $entry['user_login'] : 'system',
+            'source' => isset( $entry['source'] ) ? $entry['source'] : '',
+        ) );
+    }
+
+    /**
+     * Queue an event for every webhook subscribed to it and schedule the
+     * delivery run.
+     *
+     * @param string $event Event name, one of get_events().
+     * @param array  $data  Event data.
+     * @param array  $actor Who caused the event: user and source.
+     * @return int Number of deliveries queued.
+     */
+    public static function dispatch( $event, $data, $actor = array() ) {
+        global $wpdb;
+
+        $webhooks = array();
+        foreach ( self::get_webhooks() as $webhook ) {
+            if ( in_array( $event, $webhook['events'], true ) ) {
+                $webhooks[] = $webhook;
+            }
+        }
+
+        if ( empty( $webhooks ) ) {
+            return 0;
+        }
+
+        $site_id  = get_option( 'wp_care_site_id' );
+        $event_id = wp_generate_uuid4();
+        $payload  = wp_json_encode( array(
+            'id'          => $event_id,
+            'event'       => $event,
+            'occurred_at' => gmdate( 'c' ),
+            'site'        => array(
+                'url'     => home_url( '/' ),
+                'site_id' => $site_id ? $site_id : null,
+            ),
+            'actor'       => (object) $actor,
+            'data'        => (object) $data,
+        ) );
+
+        $now = gmdate( 'Y-m-d H:i:s' );
+        foreach ( $webhooks as $webhook ) {
+            $wpdb->insert( self::table(), array(
+                'webhook_id'      => $webhook['id'],
+                'event'           => $event,
+                'event_id'        => $event_id,
+                'payload'         => $payload,
+                'status'          => 'pending',
+                'error'           => '',
+                'created_at'      => $now,
+                'next_attempt_at' => $now,
+            ) );
+        }
+
+        self::schedule_next();
+
+        return count( $webhooks );
+    }
+
+    /**
+     * Send the deliveries that are due (cron), then schedule the next run
+     * and drop old finished deliveries.
+     *
+     * @return int Number of deliveries attempted.
+     */
+    public static function process_queue() {
+        global $wpdb;
+
+        $table = self::table();
+
+        // Deliveries whose run died mid-request go back in the queue
+        $wpdb->query( $wpdb->prepare(
+            "UPDATE {$table} SET status = 'pending' WHERE status = 'sending' AND last_attempt_at < %s",
+            gmdate( 'Y-m-d H:i:s', time() - 10 * MINUTE_IN_SECONDS )
+        ) );
+
+        $ids = $wpdb->get_col( $wpdb->prepare(
+            "SELECT id FROM {$table} WHERE status = 'pending' AND next_attempt_at <= %s ORDER BY next_attempt_at ASC, id ASC LIMIT %d",
+            gmdate( 'Y-m-d H:i:s' ),
+            self::BATCH_SIZE
+        ) );
+
+        $attempted = 0;
+        foreach ( $ids as $id ) {
+            // Claim the row so an overlapping run doesn't send it too
+            $claimed = $wpdb->query( $wpdb->prepare(
+                "UPDATE {$table} SET status = 'sending', last_attempt_at = %s WHERE id = %d AND status = 'pending'",
+                gmdate( 'Y-m-d H:i:s' ),
+                $id
+            ) );
+
+            if ( $claimed ) {
+                self::deliver( (int) $id );
+                $attempted++;
+            }
+        }
+
+        $wpdb->query( $wpdb->prepare(
+            "DELETE FROM {$table} WHERE status IN ('delivered', 'failed') AND created_at < %s",
+            gmdate( 'Y-m-d H:i:s', time() - self::RETENTION_DAYS * DAY_IN_SECONDS )
+        ) );
+
+        self::schedule_next();
+
+        return $attempted;
+    }
+
+    /**
+     * Send a delivery's payload again, as a new delivery to the same
+     * webhook. The payload keeps its event ID so receivers can spot
+     * duplicates.
+     *
+     * @param int $delivery_id Delivery ID.
+     * @return array|WP_Error The new delivery, after the attempt.
+     */
+    public static function resend( $delivery_id ) {
+        global $wpdb;
+
+        $table = self::table();
+        $row   = $wpdb->get_row( $wpdb->prepare( "SELECT * FROM {$table} WHERE id = %d", $delivery_id ), ARRAY_A );
+
+        if ( ! $row ) {
+            return new WP_Error( 'not_found', __( 'Delivery not found.', 'wp-care-connector' ) );
+        }
+
+        if ( ! self::get_webhook( $row['webhook_id'] ) ) {
+            return new WP_Error( 'webhook_not_found', __( 'The webhook for this delivery has been removed.', 'wp-care-connector' ) );
+        }
+
+        $now = gmdate( 'Y-m-d H:i:s' );
+        $wpdb->insert( $table, array(
+            'webhook_id'      => $row['webhook_id'],
+            'event'           => $row['event'],
+            'event_id'        => $row['event_id'],
+            'payload'         => $row['payload'],
+            'status'          => 'sending',
+            'error'           => '',
+            'created_at'      => $now,
+            'last_attempt_at' => $now,
+        ) );
+
+        $new_id = (int) $wpdb->insert_id;
+        self::deliver( $new_id );
+
+        return self::get_delivery( $new_id );
+    }
+
+    /**
+     * Get one delivery.
+     *
+     * @param int $delivery_id Delivery ID.
+     * @return array|null
+     */
+    public static function get_delivery( $delivery_id ) {
+        global $wpdb;
+
+        $table = self::table();
+        $row   = $wpdb->get_row( $wpdb->prepare( "SELECT * FROM {$table} WHERE id = %d", $delivery_id ), ARRAY_A );
+
+        return $row ? self::format_delivery( $row ) : null;
+    }
+
+    /**
+     * Get the latest deliveries, newest first.
+     *
+     * @param int    $limit      Maximum number of deliveries.
+     * @param string $webhook_id Only this webhook's deliveries. Default all.
+     * @return array
+     */
+    public static function get_deliveries( $limit = 50, $webhook_id = '' ) {
+        global $wpdb;
+
+        $table = self::table();
+
+        if ( $webhook_id !== '' ) {
+            $rows = $wpdb->get_results( $wpdb->prepare(
+                "SELECT * FROM {$table} WHERE webhook_id = %s ORDER BY id DESC LIMIT %d",
+                $webhook_id,
+                $limit
+            ), ARRAY_A );
+        } else {
+            $rows = $wpdb->get_results( $wpdb->prepare(
+                "SELECT * FROM {$table} ORDER BY id DESC LIMIT %d",
+                $limit
+            ), ARRAY_A );
+        }
+
+        return array_map( array( __CLASS__, 'format_delivery' ), (array) $rows );
+    }
+
+    /**
+     * Work out which event, if any, an activity log action raises.
+     *
+     * @param string $action  Action identifier.
+     * @param array  $details Action details.
+     * @return string|null Event name.
+     */
+    private static function get_event_for_action( $action, $details ) {
+        if ( $action === 'job_failed' && isset( $details['type'] ) ) {
+            return $details['type'] === 'restore' ? 'migration.restore_failed' : 'migration.failed';
+        }
+
+        return isset( self::$action_events[ $action ] ) ? self::$action_events[ $action ] : null;
+    }
+
+    /**
+     * Send a claimed delivery and record the outcome: delivered on a 2xx
+     * response, otherwise queued for a retry or failed once the retries
+     * are used up.
+     *
+     * @param int $delivery_id Delivery ID.
+     * @return void
+     */
+    private static function deliver( $delivery_id ) {
+        global $wpdb;
+
+        $table   = self::table();
+        $row     = $wpdb->get_row( $wpdb->prepare( "SELECT * FROM {$table} WHERE id = %d", $delivery_id ), ARRAY_A );
+        $webhook = $row ? self::get_webhook( $row['webhook_id'] ) : null;
+
+        if ( ! $row ) {
+            return;
+        }
+
+        if ( ! $webhook ) {
+            $wpdb->update( $table, array(
+                'status'          => 'failed',
+                'error'           => 'Webhook removed',
+                'next_attempt_at' => null,
+            ), array( 'id' => $delivery_id ) );
+            return;
+        }
+
+        $timestamp = (string) time();
+        $secret    = WP_Care_Security::decrypt( $webhook['secret'] );
+        $site_id   = get_option( 'wp_care_site_id' );
+
+        $headers = array(
+            'Content-Type'       => 'application/json',
+            'User-Agent'         => 'WP-Care-Connector/' . WP_CARE_VERSION . '; ' . home_url( '/' ),
+            'X-Timestamp'        => $timestamp,
+            'X-Signature'        => WP_Care_Security::sign( $timestamp, $row['payload'], (string) $secret ),
+            'X-Webhook-Event'    => $row['event'],
+            'X-Webhook-Id'       => $row['event_id'],
+            'X-Webhook-Delivery' => (string) $row['id'],
+        );
+        if ( $site_id ) {
+            $headers['X-Site-Id'] = $site_id;
+        }
+
+        $response = wp_safe_remote_post( $webhook['url'], array(
+            'headers'     => $headers,
+            'body'        => $row['payload'],
+            'timeout'     => self::TIMEOUT,
+            'redirection' => 0,
+        ) );
+
+        $attempts = (int) $row['attempts'] + 1;
+        $code     = is_wp_error( $response ) ? 0 : (int) wp_remote_retrieve_response_code( $response );
+
+        if ( $code >= 200 && $code < 300 ) {
+            $wpdb->update( $table, array(
+                'status'          => 'delivered',
+                'attempts'        => $attempts,
+                'response_code'   => $code,
+                'error'           => '',
+                'last_attempt_at' => gmdate( 'Y-m-d H:i:s' ),
+                'next_attempt_at' => null,
+            ), array( 'id' => $delivery_id ) );
+            return;
+        }
+
+        if ( is_wp_error( $response ) ) {
+            $error = $response->get_error_message();
+        } else {
+            $error = trim( 'HTTP ' . $code . ' ' . wp_remote_retrieve_response_message( $response ) );
+        }
+
+        $retry  = $attempts <= count( self::$backoff );
+        $update = array(
+            'status'          => $retry ? 'pending' : 'failed',
+            'attempts'        => $attempts,
+            'response_code'   => $code,
+            'error'           => substr( $error, 0, 500 ),
+            'last_attempt_at' => gmdate( 'Y-m-d H:i:s' ),
+            'next_attempt_at' => $retry ? gmdate( 'Y-m-d H:i:s', time() + self::$backoff[ $attempts - 1 ] ) : null,
+        );
+        $wpdb->update( $table, $update, array( 'id' => $delivery_id ) );
+
+        if ( ! $retry ) {
+            WP_Care_Activity_Log::log( 'webhook_delivery_failed', array(
+                'webhook_id'  => $webhook['id'],
+                'event'       => $row['event'],
+                'delivery_id' => (int) $row['id'],
+                'attempts'    => $attempts,
+                'error'       => $update['error'],
+            ) );
+        }
+    }
+
+    /**
+     * Schedule the delivery run for the earliest pending delivery, or
+     * clear it if none are left.
+     *
+     * @return void
+     */
+    private static function schedule_next() {
+        global $wpdb;
+
+        $table = self::table();
+        $next  = $wpdb->get_var( "SELECT MIN(next_attempt_at) FROM {$table} WHERE status = 'pending'" );
+
+        wp_clear_scheduled_hook( self::DELIVER_HOOK );
+
+        if ( $next ) {
+            wp_schedule_single_event( max( time(), strtotime( $next . ' UTC' ) ), self::DELIVER_HOOK );
+        }
+    }
+
+    /**
+     * Turn a table row into a delivery record.
+     *
+     * @param array $row Table row.
+     * @return array Delivery with timestamps and the decoded payload.
+     */
+    private static function format_delivery( $row ) {
+        $payload = json_decode( $row['payload'], true );
+
+        return array(
+            'id'              => (int) $row['id'],
+            'webhook_id'      => $row['webhook_id'],
+            'event'           => $row['event'],
+            'event_id'        => $row['event_id'],
+            'payload'         => is_array( $payload ) ? $payload : array(),
+            'status'          => $row['status'],
+            'attempts'        => (int) $row['attempts'],
+            'response_code'   => (int) $row['response_code'],
+            'error'           => $row['error'],
+            'created_at'      => strtotime( $row['created_at'] . ' UTC' ),
+            'last_attempt_at' => $row['last_attempt_at'] ? strtotime( $row['last_attempt_at'] . ' UTC' ) : null,
+            'next_attempt_at' => $row['next_attempt_at'] ? strtotime( $row['next_attempt_at'] . ' UTC' ) : null,
+        );
+    }
+}
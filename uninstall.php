@@ -18,18 +18,53 @@ if (!defined('WP_UNINSTALL_PLUGIN')) {
  * Clean up all plugin data
  */
 
+// Delete the staging site (its tables and folder) while its record still
+// says where they are
+require_once dirname(__FILE__) . '/includes/class-staging.php';
+if (WP_Care_Staging::get_staging()) {
+    (new WP_Care_Staging())->delete_staging();
+}
+
 // Delete API key options
 delete_option('wp_care_api_key_encrypted');
 delete_option('wp_care_api_key_hash');
+delete_option('wp_care_api_keys');
+delete_option('wp_care_require_nonce');
 
 // Delete any other plugin options that might be added
 delete_option('wp_care_registered');
 delete_option('wp_care_central_url');
 delete_option('wp_care_site_id');
+delete_option('wp_care_migration_schedule');
+delete_option('wp_care_migration_schedule_status');
+delete_option('wp_care_migration_retention');
+delete_option('wp_care_storage_targets');
+delete_option('wp_care_transfer_tokens');
+delete_option('wp_care_export_presets');
+delete_option('wp_care_jobs');
+delete_option('wp_care_staging');
+delete_option('wp_care_health_thresholds');
+delete_option('wp_care_health_alerts');
+delete_option('wp_care_health_metrics_db_version');
+delete_option('wp_care_update_history');
+delete_option('wp_care_integrity_status');
+delete_option('wp_care_integrity_settings');
+delete_option('wp_care_webhooks');
+delete_option('wp_care_webhook_deliveries_db_version');
+delete_option('wp_care_support_requests');
 
 // Clear any scheduled cron events
 wp_clear_scheduled_hook('wp_care_cleanup_expired_users');
 wp_clear_scheduled_hook('wp_care_cleanup_temp_user');
+wp_clear_scheduled_hook('wp_care_scheduled_migration');
+wp_clear_scheduled_hook('wp_care_scheduled_migration_chunk');
+wp_clear_scheduled_hook('wp_care_storage_sync');
+wp_clear_scheduled_hook('wp_care_run_job');
+wp_clear_scheduled_hook('wp_care_prune_activity_log');
+wp_clear_scheduled_hook('wp_care_record_health_metrics');
+wp_clear_scheduled_hook('wp_care_integrity_scan');
+wp_clear_scheduled_hook('wp_care_integrity_scan_chunk');
+wp_clear_scheduled_hook('wp_care_webhook_deliver');
 
 // Delete all temporary users created by the plugin
 $temp_users = get_users([
@@ -86,8 +121,15 @@ if (is_dir($migration_dir)) {
     rmdir($migration_dir);
 }
 
-// Clean up any transients
 global $wpdb;
+
+// Drop the health metrics table
+$wpdb->query("DROP TABLE IF EXISTS {$wpdb->prefix}wp_care_health_metrics");
+
+// Drop the webhook deliveries table
+$wpdb->query("DROP TABLE IF EXISTS {$wpdb->prefix}wp_care_webhook_deliveries");
+
+// Clean up any transients
 $wpdb->query(
     "DELETE FROM {$wpdb->options}
      WHERE option_name LIKE '_transient_wp_care_%'
@@ -95,5 +137,6 @@ $wpdb->query(
 );
 
 // Note: We intentionally do NOT delete:
-// - User activity logs (they might be needed for audit)
+// - User activity logs (the wp_care_activity_log table and its retention
+//   setting; they might be needed for audit)
 // - Backup files (user should manually remove if desired)
@@ -26,21 +26,60 @@ define('WP_CARE_PLUGIN_FILE', __FILE__);
 
 // Include required files
 require_once WP_CARE_PLUGIN_DIR . 'includes/class-security.php';
+require_once WP_CARE_PLUGIN_DIR . 'includes/class-api-keys.php';
 require_once WP_CARE_PLUGIN_DIR . 'includes/class-backup.php';
 require_once WP_CARE_PLUGIN_DIR . 'includes/class-migration.php';
+require_once WP_CARE_PLUGIN_DIR . 'includes/class-package-encryption.php';
+require_once WP_CARE_PLUGIN_DIR . 'includes/class-migration-schedule.php';
+require_once WP_CARE_PLUGIN_DIR . 'includes/class-staging.php';
+require_once WP_CARE_PLUGIN_DIR . 'includes/class-storage-target.php';
+require_once WP_CARE_PLUGIN_DIR . 'includes/class-storage-s3.php';
+require_once WP_CARE_PLUGIN_DIR . 'includes/class-storage-sftp.php';
+require_once WP_CARE_PLUGIN_DIR . 'includes/class-storage-webdav.php';
+require_once WP_CARE_PLUGIN_DIR . 'includes/class-storage.php';
+require_once WP_CARE_PLUGIN_DIR . 'includes/class-transfer.php';
+require_once WP_CARE_PLUGIN_DIR . 'includes/class-jobs.php';
 require_once WP_CARE_PLUGIN_DIR . 'includes/class-site-mapper.php';
 require_once WP_CARE_PLUGIN_DIR . 'includes/class-temp-login.php';
 require_once WP_CARE_PLUGIN_DIR . 'includes/class-api-endpoints.php';
 require_once WP_CARE_PLUGIN_DIR . 'includes/class-activity-log.php';
+require_once WP_CARE_PLUGIN_DIR . 'includes/class-health-metrics.php';
+require_once WP_CARE_PLUGIN_DIR . 'includes/class-updates.php';
+require_once WP_CARE_PLUGIN_DIR . 'includes/class-integrity.php';
+require_once WP_CARE_PLUGIN_DIR . 'includes/class-webhooks.php';
+require_once WP_CARE_PLUGIN_DIR . 'includes/class-diagnostics.php';
+require_once WP_CARE_PLUGIN_DIR . 'includes/class-support-tickets.php';
 require_once WP_CARE_PLUGIN_DIR . 'includes/class-health-page.php';
 require_once WP_CARE_PLUGIN_DIR . 'includes/class-admin.php';
 
+// WP-CLI commands
+if (defined('WP_CLI') && WP_CLI) {
+    require_once WP_CARE_PLUGIN_DIR . 'includes/class-cli.php';
+    require_once WP_CARE_PLUGIN_DIR . 'includes/class-cli-migration.php';
+    require_once WP_CARE_PLUGIN_DIR . 'includes/class-cli-checkpoint.php';
+    require_once WP_CARE_PLUGIN_DIR . 'includes/class-cli-temp-login.php';
+    require_once WP_CARE_PLUGIN_DIR . 'includes/class-cli-api-key.php';
+    WP_Care_CLI::register();
+}
+
 /**
  * Plugin activation hook
  *
  * Generates API key, schedules cleanup, creates backup directory
  */
 function wp_care_activate() {
+    // Create the activity log table before anything is logged
+    WP_Care_Activity_Log::install();
+
+    // Create the health metrics table and schedule hourly measurements
+    WP_Care_Health_Metrics::install();
+
+    // Schedule file integrity scans
+    WP_Care_Integrity::install();
+
+    // Create the webhook deliveries table and resume queued deliveries
+    WP_Care_Webhooks::install();
+
     // Generate API key if not exists
     if (!get_option('wp_care_api_key_encrypted')) {
         WP_Care_Security::generate_api_key();
@@ -56,6 +95,9 @@ function wp_care_activate() {
         wp_schedule_event(time(), 'twicedaily', 'wp_care_submit_health');
     }
 
+    // Restore scheduled migration exports if they were enabled before deactivation
+    WP_Care_Migration_Schedule::reschedule();
+
     // Create backup directory with protection
     $backup_dir = WP_CONTENT_DIR . '/wp-care-backups';
     if (!file_exists($backup_dir)) {
@@ -105,6 +147,29 @@ function wp_care_deactivate() {
         wp_unschedule_event($health_timestamp, 'wp_care_submit_health');
     }
 
+    // Clear scheduled migration exports (settings are kept for reactivation)
+    wp_clear_scheduled_hook('wp_care_scheduled_migration');
+    wp_clear_scheduled_hook('wp_care_scheduled_migration_chunk');
+
+    // Clear pending off-site pushes (they are re-queued with the Sync button)
+    wp_clear_scheduled_hook('wp_care_storage_sync');
+
+    // Stop background jobs (unfinished ones are picked up again on reactivation)
+    wp_clear_scheduled_hook('wp_care_run_job');
+
+    // Clear activity log pruning (rescheduled on activation)
+    wp_clear_scheduled_hook('wp_care_prune_activity_log');
+
+    // Stop recording health metrics (rescheduled on activation)
+    wp_clear_scheduled_hook('wp_care_record_health_metrics');
+
+    // Stop file integrity scans (rescheduled on activation; the baseline is kept)
+    wp_clear_scheduled_hook('wp_care_integrity_scan');
+    wp_clear_scheduled_hook('wp_care_integrity_scan_chunk');
+
+    // Pause webhook deliveries (queued ones are sent after reactivation)
+    wp_clear_scheduled_hook('wp_care_webhook_deliver');
+
     // Note: We do NOT delete the API key here
     // User might reactivate the plugin and expect their key to still work
 }
@@ -123,6 +188,18 @@ function wp_care_init() {
         dirname(plugin_basename(__FILE__)) . '/languages'
     );
 
+    // Create or upgrade the activity log table after a plugin update
+    WP_Care_Activity_Log::maybe_install();
+
+    // Same for the health metrics table
+    WP_Care_Health_Metrics::maybe_install();
+
+    // Schedule file integrity scans after a plugin update
+    WP_Care_Integrity::install();
+
+    // Create or upgrade the webhook deliveries table after a plugin update
+    WP_Care_Webhooks::maybe_install();
+
     // Initialize site mapper and register cache hooks
     $site_mapper = new WP_Care_Site_Mapper();
     $site_mapper->register_cache_hooks();
@@ -178,3 +255,118 @@ function wp_care_submit_health_callback() {
     }
 }
 add_action('wp_care_submit_health', 'wp_care_submit_health_callback');
+
+/**
+ * Register custom cron recurrences for scheduled migration exports
+ */
+add_filter('cron_schedules', array('WP_Care_Migration_Schedule', 'add_cron_schedules'));
+
+/**
+ * Start a scheduled migration export
+ *
+ * Hooked to wp_care_scheduled_migration cron event
+ */
+function wp_care_scheduled_migration_callback() {
+    WP_Care_Migration_Schedule::start_run();
+}
+add_action('wp_care_scheduled_migration', 'wp_care_scheduled_migration_callback');
+
+/**
+ * Continue a scheduled migration export that ran out of time
+ *
+ * Hooked to wp_care_scheduled_migration_chunk single cron events
+ *
+ * @param string $migration_id Migration ID.
+ */
+function wp_care_scheduled_migration_chunk_callback($migration_id) {
+    WP_Care_Migration_Schedule::continue_run($migration_id);
+}
+add_action('wp_care_scheduled_migration_chunk', 'wp_care_scheduled_migration_chunk_callback');
+
+/**
+ * Push a migration archive to off-site storage targets
+ *
+ * Hooked to wp_care_storage_sync single cron events
+ *
+ * @param string $migration_id Migration ID.
+ */
+function wp_care_storage_sync_callback($migration_id) {
+    WP_Care_Storage::process_sync($migration_id);
+}
+add_action('wp_care_storage_sync', 'wp_care_storage_sync_callback');
+
+/**
+ * Work on a queued background job
+ *
+ * Hooked to wp_care_run_job single cron events, the fallback for when the
+ * loopback request to admin-ajax.php does not get through
+ *
+ * @param string $job_id Job ID.
+ */
+function wp_care_run_job_callback($job_id) {
+    WP_Care_Jobs::run($job_id);
+}
+add_action('wp_care_run_job', 'wp_care_run_job_callback');
+
+/**
+ * Remove activity log entries past the retention period
+ *
+ * Hooked to wp_care_prune_activity_log cron event (daily)
+ */
+function wp_care_prune_activity_log_callback() {
+    WP_Care_Activity_Log::prune();
+}
+add_action('wp_care_prune_activity_log', 'wp_care_prune_activity_log_callback');
+
+/**
+ * Record a health metrics sample
+ *
+ * Hooked to wp_care_record_health_metrics cron event (hourly)
+ */
+function wp_care_record_health_metrics_callback() {
+    WP_Care_Health_Metrics::record();
+}
+add_action('wp_care_record_health_metrics', 'wp_care_record_health_metrics_callback');
+
+/**
+ * Start a scheduled file integrity scan
+ *
+ * Hooked to wp_care_integrity_scan cron event
+ */
+function wp_care_integrity_scan_callback() {
+    WP_Care_Integrity::start_scheduled_scan();
+}
+add_action('wp_care_integrity_scan', 'wp_care_integrity_scan_callback');
+
+/**
+ * Continue a file integrity scan that ran out of time
+ *
+ * Hooked to wp_care_integrity_scan_chunk single cron events
+ */
+function wp_care_integrity_scan_chunk_callback() {
+    WP_Care_Integrity::continue_scan();
+}
+add_action('wp_care_integrity_scan_chunk', 'wp_care_integrity_scan_chunk_callback');
+
+/**
+ * Send queued webhook deliveries that are due
+ *
+ * Hooked to wp_care_webhook_deliver single cron events
+ */
+function wp_care_webhook_deliver_callback() {
+    WP_Care_Webhooks::process_queue();
+}
+add_action('wp_care_webhook_deliver', 'wp_care_webhook_deliver_callback');
+
+/**
+ * Queue webhook events for activity log actions that raise them
+ */
+add_action('wp_care_activity_logged', array('WP_Care_Webhooks', 'handle_activity'), 10, 3);
+
+/**
+ * Loopback runner for background jobs
+ *
+ * Not tied to a login: the request is authorized by the job's runner key
+ */
+add_action('wp_ajax_wp_care_job_runner', array('WP_Care_Jobs', 'handle_runner_request'));
+add_action('wp_ajax_nopriv_wp_care_job_runner', array('WP_Care_Jobs', 'handle_runner_request'));